@@ -4,7 +4,6 @@ const http = require('http');
 const { Server: SocketIO } = require('socket.io');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const jwt = require('jsonwebtoken');
 const EnhancedModuleLoader = require('./enhancedModuleLoader');
 const eventBus = require('./eventBus');
 const auth = require('./auth');
@@ -17,7 +16,8 @@ const {
     optionalAuth,
     requireAdmin,
     requireModerator,
-    requestLogger
+    requestLogger,
+    hasValidSession
 } = require('./middleware');
 const {
     requirePermission,
@@ -30,19 +30,39 @@ const setupApi = require('./setupApi');
 const pageBuilderApi = require('./pageBuilderApi');
 const postsApi = require('./postsApi');
 const locationApi = require('./locationApi');
+const resourceBookingApi = require('./resourceBookingApi');
+const deskBookingApi = require('./deskBookingApi');
 const moduleManagementApi = require('./moduleManagementApi');
 const userManagementApi = require('./userManagementApi');
 const eventsApi = require('./eventsApi');
 const socialApi = require('./socialApi');
 const chatApi = require('./chatApi');
+const notificationService = require('./notificationService');
 const exchangeApi = require('./exchangeApi');
 const userStatusApi = require('./userStatusApi');
 const mailApi = require('./mailApi');
 const ldapApi = require('./ldapApi');
 const driveApi = require('./driveApi');
 const projectApi = require('./projectApi');
+const wikiApi = require('./wikiApi');
+const auditApi = require('./auditApi');
+const sessionApi = require('./sessionApi');
+const twoFactorApi = require('./twoFactorApi');
+const oidcApi = require('./oidcApi');
+const roleApi = require('./roleApi');
+const groupApi = require('./groupApi');
+const appPasswordApi = require('./appPasswordApi');
+const webdavApi = require('./webdavApi');
 const scheduledSyncWorker = require('./scheduledSyncWorker');
 const ldapSyncWorker = require('./ldapSyncWorker');
+const calendarSubscriptionWorker = require('./calendarSubscriptionWorker');
+const deskReleaseWorker = require('./deskReleaseWorker');
+const notificationDigestWorker = require('./notificationDigestWorker');
+const auditRetentionWorker = require('./auditRetentionWorker');
+const driveTrashWorker = require('./driveTrashWorker');
+const drivePreviewWorker = require('./drivePreviewWorker');
+const driveIndexWorker = require('./driveIndexWorker');
+const reminderDispatcher = require('./reminderDispatcher');
 
 const app = express();
 const httpServer = http.createServer(app);
@@ -56,6 +76,10 @@ const io = new SocketIO(httpServer, {
 
 const PORT = process.env.PORT || 3000;
 
+// WebDAV (Drive als Netzlaufwerk, Anmeldung mit App-Passwort) - vor CORS und
+// JSON-Parser: OPTIONS muss die DAV-Header liefern, PUT liest den Rohinhalt
+app.use('/dav/drive', webdavApi);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -106,6 +130,78 @@ app.get('/', (req, res) => res.send('OpenIntraHub Core is running'));
  *         description: Ungültige Anmeldedaten
  */
 app.post('/api/auth/login', auth.login);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Zweiten Faktor prüfen und Login abschließen
+ *     description: Nach einem Login mit twoFactorRequired; code ist ein TOTP- oder Wiederherstellungscode
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Erfolgreicher Login
+ *       401:
+ *         description: Ungültiger Code oder abgelaufene Challenge
+ *       429:
+ *         description: Zu viele Fehlversuche
+ */
+app.post('/api/auth/2fa/verify', auth.verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Access-Token erneuern (rotiert den Refresh-Token)
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Neuer Access- und Refresh-Token
+ *       401:
+ *         description: Refresh-Token ungültig, Session beendet oder abgelaufen
+ */
+app.post('/api/auth/refresh', auth.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Aktuelle Session beenden
+ *     tags: [Authentication]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Falls der Access-Token bereits abgelaufen ist
+ *     responses:
+ *       200:
+ *         description: Abgemeldet
+ */
+app.post('/api/auth/logout', auth.logout);
 app.get('/api/core/status', (req, res) => {
     res.json({ status: 'ok', uptime: process.uptime() });
 });
@@ -216,6 +312,12 @@ app.use('/api', postsApi);
 // Location API
 app.use('/api', locationApi);
 
+// Resource Booking API (Räume & Ressourcen)
+app.use('/api', resourceBookingApi);
+
+// Desk Booking API (Hot-Seating)
+app.use('/api', deskBookingApi);
+
 // Module Management API
 app.use('/api', moduleManagementApi);
 
@@ -249,6 +351,36 @@ app.use('/api', driveApi);
 // Project Management API
 app.use('/api', projectApi);
 
+// Wiki API (Spaces, Pages, Revisions, Attachments)
+app.use('/api', wikiApi);
+
+// Audit Log API (Admin)
+app.use('/api', auditApi);
+
+// Session API (eigene Sitzungen / Geräte)
+app.use('/api', sessionApi);
+
+// Two-Factor API (TOTP-Einrichtung, Wiederherstellungscodes)
+app.use('/api', twoFactorApi);
+
+// OIDC API (Single Sign-On, Provider-Verwaltung)
+app.use('/api', oidcApi);
+
+// Role API (Rollen- und Berechtigungs-Editor)
+app.use('/api', roleApi);
+
+// Group API (Gruppen und Teams)
+app.use('/api', groupApi);
+
+// App Password API (Gerätepasswörter für WebDAV)
+app.use('/api', appPasswordApi);
+
+// OIDC Mock Issuer (lokaler OpenID Provider für Entwicklung/Tests)
+if (process.env.OIDC_MOCK_ENABLED === 'true') {
+    app.use('/api/oidc-mock', require('./oidcMockIssuer'));
+    logger.warn('OIDC Mock Issuer aktiv unter /api/oidc-mock (nicht für Produktion!)');
+}
+
 // Admin Routes - Nur für Admins
 app.get('/api/admin/users', authenticateToken, requireAdmin, (req, res) => {
     res.json({
@@ -340,10 +472,16 @@ async function startServer() {
             }
 
             try {
-                const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const user = await userService.findUserById(decoded.id);
+                const decoded = auth.verifyToken(token);
+
+                // Widerrufene Sessions dürfen keine Socket-Verbindung aufbauen
+                if (!(await hasValidSession(decoded))) {
+                    throw new Error('Session revoked');
+                }
+
+                const user = await userService.findUserById(decoded.userId);
 
-                if (!user) {
+                if (!user || user.is_active === false) {
                     throw new Error('User not found');
                 }
 
@@ -357,6 +495,9 @@ async function startServer() {
         chatApi.setupSocketIO(io, authenticateSocketToken);
         logger.info('Socket.io Chat initialisiert');
 
+        // Initialize Socket.io Notifications (/notifications)
+        notificationService.setupSocketIO(io, authenticateSocketToken);
+
         // Server starten
         httpServer.listen(PORT, () => {
             logger.info(`🚀 OpenIntraHub v${require('../package.json').version} gestartet auf Port ${PORT}`);
@@ -365,6 +506,7 @@ async function startServer() {
             logger.info(`Mehrsprachigkeit: DE, EN, FR, ES, IT, PL, NL (Standard: DE)`);
             logger.info(`API-Dokumentation: http://localhost:${PORT}/api-docs`);
             logger.info(`Socket.io Chat: ws://localhost:${PORT}/chat`);
+            logger.info(`Socket.io Benachrichtigungen: ws://localhost:${PORT}/notifications`);
 
             // Start Exchange scheduled sync worker
             if (process.env.EXCHANGE_ENABLED === 'true') {
@@ -377,6 +519,54 @@ async function startServer() {
                 ldapSyncWorker.start();
                 logger.info('👥 LDAP sync worker aktiviert');
             }
+
+            // Start calendar subscription worker (externe iCal-Feeds)
+            if (process.env.CALENDAR_SUBSCRIPTIONS_ENABLED === 'true') {
+                calendarSubscriptionWorker.startWorker();
+                logger.info('📅 Kalender-Abonnement worker aktiviert');
+            }
+
+            // Start event reminder dispatcher
+            if (process.env.REMINDERS_ENABLED === 'true') {
+                reminderDispatcher.startWorker();
+                logger.info('⏰ Erinnerungs-Dispatcher aktiviert');
+            }
+
+            // Start desk release worker (Freigabe ohne Check-in)
+            if (process.env.DESK_AUTO_RELEASE_ENABLED === 'true') {
+                deskReleaseWorker.startWorker();
+                logger.info('🪑 Desk-Freigabe worker aktiviert');
+            }
+
+            // Start notification digest worker (Digest- und verzögerte E-Mails)
+            if (process.env.NOTIFICATION_DIGEST_ENABLED === 'true') {
+                notificationDigestWorker.startWorker();
+                logger.info('📬 Benachrichtigungs-Digest worker aktiviert');
+            }
+
+            // Start audit retention worker (Löschen alter Audit-Einträge)
+            if (process.env.AUDIT_RETENTION_ENABLED === 'true') {
+                auditRetentionWorker.startWorker();
+                logger.info('🗂️ Audit-Retention worker aktiviert');
+            }
+
+            // Start drive trash worker (endgültiges Löschen nach Aufbewahrungsfrist)
+            if (process.env.DRIVE_TRASH_PURGE_ENABLED === 'true') {
+                driveTrashWorker.startWorker();
+                logger.info('🗑️ Drive-Papierkorb worker aktiviert');
+            }
+
+            // Start drive preview worker (Thumbnails, Vorschau, EXIF)
+            if (process.env.DRIVE_PREVIEWS_ENABLED === 'true') {
+                drivePreviewWorker.startWorker();
+                logger.info('🖼️ Drive-Vorschau worker aktiviert');
+            }
+
+            // Start drive index worker (Volltextindex der Dateiinhalte)
+            if (process.env.DRIVE_INDEXING_ENABLED === 'true') {
+                driveIndexWorker.startWorker();
+                logger.info('🔎 Drive-Volltextindex worker aktiviert');
+            }
         });
 
         // Graceful shutdown
@@ -397,6 +587,46 @@ async function startServer() {
                     ldapSyncWorker.stop();
                 }
 
+                // Stop calendar subscription worker
+                if (process.env.CALENDAR_SUBSCRIPTIONS_ENABLED === 'true') {
+                    calendarSubscriptionWorker.stopWorker();
+                }
+
+                // Stop reminder dispatcher
+                if (process.env.REMINDERS_ENABLED === 'true') {
+                    reminderDispatcher.stopWorker();
+                }
+
+                // Stop desk release worker
+                if (process.env.DESK_AUTO_RELEASE_ENABLED === 'true') {
+                    deskReleaseWorker.stopWorker();
+                }
+
+                // Stop notification digest worker
+                if (process.env.NOTIFICATION_DIGEST_ENABLED === 'true') {
+                    notificationDigestWorker.stopWorker();
+                }
+
+                // Stop audit retention worker
+                if (process.env.AUDIT_RETENTION_ENABLED === 'true') {
+                    auditRetentionWorker.stopWorker();
+                }
+
+                // Stop drive trash worker
+                if (process.env.DRIVE_TRASH_PURGE_ENABLED === 'true') {
+                    driveTrashWorker.stopWorker();
+                }
+
+                // Stop drive preview worker
+                if (process.env.DRIVE_PREVIEWS_ENABLED === 'true') {
+                    drivePreviewWorker.stopWorker();
+                }
+
+                // Stop drive index worker
+                if (process.env.DRIVE_INDEXING_ENABLED === 'true') {
+                    driveIndexWorker.stopWorker();
+                }
+
                 // Close database connections
                 try {
                     await database.pool.end();
@@ -0,0 +1,107 @@
+/**
+ * App Password API
+ * Eigene Gerätepasswörter für WebDAV-Clients anlegen und widerrufen
+ */
+
+const express = require('express');
+const router = express.Router();
+const appPasswordService = require('./appPasswordService');
+const auditService = require('./auditService');
+const { authenticateToken } = require('./middleware');
+const i18n = require('./i18n');
+
+function sendAppPasswordError(res, req, error, context) {
+    const statusMap = {
+        'Name is required': 400,
+        'Name is too long': 400,
+        'Too many app passwords': 400,
+        'App password not found': 404
+    };
+
+    const status = statusMap[error.message];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        message: i18n.t('errors.serverError', { lng: req.language })
+    });
+}
+
+/**
+ * GET /api/auth/app-passwords
+ * App passwords of the current user (the passwords themselves are not stored)
+ */
+router.get('/auth/app-passwords', authenticateToken, async (req, res) => {
+    try {
+        const appPasswords = await appPasswordService.listAppPasswords(req.user.userId);
+
+        res.json({
+            success: true,
+            data: appPasswords
+        });
+    } catch (error) {
+        sendAppPasswordError(res, req, error, 'listing app passwords');
+    }
+});
+
+/**
+ * POST /api/auth/app-passwords
+ * Body: name (device label). The password is only returned in this response.
+ */
+router.post('/auth/app-passwords', authenticateToken, async (req, res) => {
+    try {
+        const { appPassword, password } = await appPasswordService.createAppPassword(req.user.userId, req.body.name);
+
+        await auditService.log({
+            action: auditService.ACTIONS.APP_PASSWORD_CREATE,
+            req,
+            resourceType: 'app_password',
+            resourceId: appPassword.id,
+            description: `App password ${appPassword.name} created`
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...appPassword,
+                password,
+                username: req.user.username,
+                webdavUrl: `${req.protocol}://${req.get('host')}/dav/drive/`
+            }
+        });
+    } catch (error) {
+        sendAppPasswordError(res, req, error, 'creating app password');
+    }
+});
+
+/**
+ * DELETE /api/auth/app-passwords/:id
+ */
+router.delete('/auth/app-passwords/:id', authenticateToken, async (req, res) => {
+    try {
+        const appPassword = await appPasswordService.revokeAppPassword(req.user.userId, parseInt(req.params.id));
+
+        await auditService.log({
+            action: auditService.ACTIONS.APP_PASSWORD_REVOKE,
+            req,
+            resourceType: 'app_password',
+            resourceId: appPassword.id,
+            description: `App password ${appPassword.name} revoked`
+        });
+
+        res.json({
+            success: true,
+            message: 'App password revoked'
+        });
+    } catch (error) {
+        sendAppPasswordError(res, req, error, 'revoking app password');
+    }
+});
+
+module.exports = router;
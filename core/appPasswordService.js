@@ -0,0 +1,188 @@
+/**
+ * App Password Service
+ * Gerätepasswörter für WebDAV-Clients (Explorer, Finder, Nautilus), damit
+ * das Konto- bzw. LDAP-Passwort nie auf einem Gerät gespeichert wird
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const database = require('./database');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('AppPasswordService');
+
+const MAX_PER_USER = parseInt(process.env.APP_PASSWORD_MAX_PER_USER) || 20;
+
+// last_used_at is written at most once per interval (clients send a request per file)
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+// Readable groups without ambiguous characters (0/O, 1/l)
+const PASSWORD_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const PASSWORD_GROUPS = 5;
+const PASSWORD_GROUP_LENGTH = 5;
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+/**
+ * Dashes and case are ignored, so "ABCDE-FGHIJ" and "abcdefghij" match
+ */
+function normalizePassword(password) {
+    return String(password || '').replace(/[-\s]/g, '').toLowerCase();
+}
+
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(normalizePassword(password)).digest('hex');
+}
+
+function generatePassword() {
+    const groups = [];
+
+    for (let g = 0; g < PASSWORD_GROUPS; g++) {
+        let group = '';
+        for (let i = 0; i < PASSWORD_GROUP_LENGTH; i++) {
+            group += PASSWORD_ALPHABET[crypto.randomInt(PASSWORD_ALPHABET.length)];
+        }
+        groups.push(group);
+    }
+
+    return groups.join('-');
+}
+
+function getClientIp(req) {
+    const ip = req && (req.ip || req.connection?.remoteAddress);
+    return ip && net.isIP(ip) ? ip : null;
+}
+
+// ==============================================
+// MANAGEMENT
+// ==============================================
+
+/**
+ * App passwords of a user (without hashes)
+ */
+async function listAppPasswords(userId) {
+    const result = await database.query(
+        `SELECT id, name, password_hint, created_at, last_used_at, last_used_ip
+         FROM app_passwords
+         WHERE user_id = $1
+         ORDER BY created_at DESC`,
+        [userId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Create an app password; the plain password is only returned here
+ * @returns {Promise<Object>} { appPassword, password }
+ */
+async function createAppPassword(userId, name) {
+    const label = String(name || '').trim();
+
+    if (!label) {
+        throw new Error('Name is required');
+    }
+
+    if (label.length > 100) {
+        throw new Error('Name is too long');
+    }
+
+    const countResult = await database.query(
+        'SELECT COUNT(*)::int AS count FROM app_passwords WHERE user_id = $1',
+        [userId]
+    );
+
+    if (countResult.rows[0].count >= MAX_PER_USER) {
+        throw new Error('Too many app passwords');
+    }
+
+    const password = generatePassword();
+
+    const result = await database.query(
+        `INSERT INTO app_passwords (user_id, name, password_hash, password_hint)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, name, password_hint, created_at, last_used_at, last_used_ip`,
+        [userId, label, hashPassword(password), password.substring(0, PASSWORD_GROUP_LENGTH)]
+    );
+
+    logger.info('App password created', { userId, appPasswordId: result.rows[0].id });
+
+    return { appPassword: result.rows[0], password };
+}
+
+/**
+ * Revoke an app password (clients using it are signed out on the next request)
+ */
+async function revokeAppPassword(userId, appPasswordId) {
+    const result = await database.query(
+        `DELETE FROM app_passwords
+         WHERE id = $1 AND user_id = $2
+         RETURNING id, name`,
+        [appPasswordId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('App password not found');
+    }
+
+    logger.info('App password revoked', { userId, appPasswordId });
+
+    return result.rows[0];
+}
+
+// ==============================================
+// AUTHENTICATION
+// ==============================================
+
+/**
+ * Check username + app password (HTTP Basic auth of WebDAV clients).
+ * Account and LDAP passwords are never accepted here.
+ *
+ * @returns {Promise<Object|null>} { id, username, name, role, language, appPasswordId } or null
+ */
+async function authenticate(username, password, req = null) {
+    if (!username || !password) {
+        return null;
+    }
+
+    const result = await database.query(
+        `SELECT ap.id AS app_password_id, ap.last_used_at,
+                u.id, u.username, u.name, u.role, u.language, u.is_active
+         FROM app_passwords ap
+         JOIN users u ON u.id = ap.user_id
+         WHERE ap.password_hash = $1`,
+        [hashPassword(password)]
+    );
+
+    const row = result.rows[0];
+
+    if (!row || row.username.toLowerCase() !== String(username).toLowerCase() || row.is_active === false) {
+        logger.warn('App password authentication failed', { username, ip: getClientIp(req) });
+        return null;
+    }
+
+    if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > LAST_USED_UPDATE_MS) {
+        await database.query(
+            'UPDATE app_passwords SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2 WHERE id = $1',
+            [row.app_password_id, getClientIp(req)]
+        );
+    }
+
+    return {
+        id: row.id,
+        username: row.username,
+        name: row.name,
+        role: row.role,
+        language: row.language,
+        appPasswordId: row.app_password_id
+    };
+}
+
+module.exports = {
+    listAppPasswords,
+    createAppPassword,
+    revokeAppPassword,
+    authenticate
+};
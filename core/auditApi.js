@@ -0,0 +1,107 @@
+/**
+ * Audit API
+ * Admin-Abfrage und CSV-Export des Audit-Trails
+ */
+
+const express = require('express');
+const router = express.Router();
+const auditService = require('./auditService');
+const { authenticateToken } = require('./middleware');
+const { requirePermission } = require('./permissions');
+const i18n = require('./i18n');
+
+/**
+ * GET /api/admin/audit-log
+ * Query audit entries
+ * Query: user_id?, username?, action? (comma separated), resource_type?, resource_id?,
+ *        status?, from?, to?, limit?, offset?
+ */
+router.get('/admin/audit-log', authenticateToken, requirePermission('admin.logs'), async (req, res) => {
+    try {
+        const result = await auditService.queryEntries(req.query);
+
+        res.json({
+            success: true,
+            data: result.entries,
+            pagination: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset
+            }
+        });
+    } catch (error) {
+        if (error.message.startsWith('Invalid date')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error querying audit log:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * GET /api/admin/audit-log/actions
+ * Known actions (for filters)
+ */
+router.get('/admin/audit-log/actions', authenticateToken, requirePermission('admin.logs'), async (req, res) => {
+    try {
+        const actions = await auditService.listActions();
+
+        res.json({
+            success: true,
+            data: actions
+        });
+    } catch (error) {
+        console.error('Error listing audit actions:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * GET /api/admin/audit-log/export
+ * CSV export with the same filters as the query endpoint
+ */
+router.get('/admin/audit-log/export', authenticateToken, requirePermission('admin.logs'), async (req, res) => {
+    try {
+        const { csv, rowCount, truncated } = await auditService.exportCsv(req.query);
+
+        // The export itself is audited
+        await auditService.log({
+            action: auditService.ACTIONS.AUDIT_EXPORT,
+            req,
+            resourceType: 'audit_log',
+            description: `${rowCount} entries exported${truncated ? ' (truncated)' : ''}`,
+            changes: { filters: req.query }
+        });
+
+        const filename = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('X-Export-Truncated', truncated ? 'true' : 'false');
+        res.send(csv);
+    } catch (error) {
+        if (error.message.startsWith('Invalid date')) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// =====================================================
+// Audit Retention Worker - Audit Log Cleanup
+// =====================================================
+// Purpose: Delete audit entries older than
+// AUDIT_RETENTION_DAYS
+// =====================================================
+
+const auditService = require('./auditService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('AuditRetentionWorker');
+
+const CHECK_INTERVAL = parseInt(process.env.AUDIT_RETENTION_CHECK_HOURS || 24) * 60 * 60 * 1000;
+
+let checkTimer = null;
+let running = false;
+
+/**
+ * Delete expired audit entries
+ */
+async function purgeExpiredEntries() {
+    if (running) {
+        return;
+    }
+
+    running = true;
+
+    try {
+        await auditService.purgeExpiredEntries();
+    } catch (error) {
+        logger.error('Error in purgeExpiredEntries', { error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the audit retention worker
+ */
+function startWorker() {
+    logger.info(`Starting audit retention worker (retention: ${auditService.RETENTION_DAYS} days, check interval: ${CHECK_INTERVAL / 1000 / 60 / 60} hours)`);
+
+    checkTimer = setInterval(() => {
+        purgeExpiredEntries();
+    }, CHECK_INTERVAL);
+
+    purgeExpiredEntries();
+}
+
+/**
+ * Stop the worker
+ */
+function stopWorker() {
+    logger.info('Stopping audit retention worker...');
+
+    clearInterval(checkTimer);
+    checkTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    purgeExpiredEntries
+};
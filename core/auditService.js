@@ -0,0 +1,345 @@
+/**
+ * Audit Service
+ * Zentraler Audit-Trail für Admin- und Sicherheitsaktionen (Tabelle audit_log)
+ */
+
+const net = require('net');
+const database = require('./database');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('AuditService');
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// Rows per CSV export and per retention delete batch
+const EXPORT_MAX_ROWS = 50000;
+const PURGE_BATCH_SIZE = 5000;
+
+const ACTIONS = {
+    LOGIN: 'login',
+    LOGIN_FAILED: 'login_failed',
+    USER_CREATE: 'user_create',
+    USER_DELETE: 'user_delete',
+    ROLE_CHANGE: 'role_change',
+    MODULE_ENABLE: 'module_enable',
+    MODULE_DISABLE: 'module_disable',
+    LDAP_GROUP_MAPPING_CREATE: 'ldap_group_mapping_create',
+    LDAP_GROUP_MAPPING_UPDATE: 'ldap_group_mapping_update',
+    LDAP_GROUP_MAPPING_DELETE: 'ldap_group_mapping_delete',
+    DRIVE_SHARE_CREATE: 'drive_share_create',
+    DRIVE_SHARE_REVOKE: 'drive_share_revoke',
+    DRIVE_RESTORE: 'drive_restore',
+    DRIVE_PURGE: 'drive_purge',
+    DRIVE_QUOTA_UPDATE: 'drive_quota_update',
+    DRIVE_QUOTA_DELETE: 'drive_quota_delete',
+    DRIVE_PUBLIC_LINK_CREATE: 'drive_public_link_create',
+    DRIVE_PUBLIC_LINK_ACCESS: 'drive_public_link_access',
+    LOGOUT: 'logout',
+    SESSION_REVOKE: 'session_revoke',
+    APP_PASSWORD_CREATE: 'app_password_create',
+    APP_PASSWORD_REVOKE: 'app_password_revoke',
+    FORCE_LOGOUT: 'force_logout',
+    REFRESH_TOKEN_REUSE: 'refresh_token_reuse',
+    TWO_FACTOR_ENABLE: 'two_factor_enable',
+    TWO_FACTOR_DISABLE: 'two_factor_disable',
+    TWO_FACTOR_RESET: 'two_factor_reset',
+    TWO_FACTOR_FAILED: 'two_factor_failed',
+    TWO_FACTOR_RECOVERY_CODE_USED: 'two_factor_recovery_code_used',
+    TWO_FACTOR_RECOVERY_CODES_REGENERATE: 'two_factor_recovery_codes_regenerate',
+    OIDC_PROVIDER_CREATE: 'oidc_provider_create',
+    OIDC_PROVIDER_UPDATE: 'oidc_provider_update',
+    OIDC_PROVIDER_DELETE: 'oidc_provider_delete',
+    OIDC_ROLE_MAPPING_CREATE: 'oidc_role_mapping_create',
+    OIDC_ROLE_MAPPING_UPDATE: 'oidc_role_mapping_update',
+    OIDC_ROLE_MAPPING_DELETE: 'oidc_role_mapping_delete',
+    ROLE_CREATE: 'role_create',
+    ROLE_UPDATE: 'role_update',
+    ROLE_DELETE: 'role_delete',
+    PERMISSION_CREATE: 'permission_create',
+    PERMISSION_UPDATE: 'permission_update',
+    PERMISSION_DELETE: 'permission_delete',
+    GROUP_CREATE: 'group_create',
+    GROUP_UPDATE: 'group_update',
+    GROUP_DELETE: 'group_delete',
+    GROUP_MEMBERS_ADD: 'group_members_add',
+    GROUP_MEMBER_REMOVE: 'group_member_remove',
+    AUDIT_EXPORT: 'audit_export',
+    AUDIT_RETENTION: 'audit_retention'
+};
+
+const CSV_COLUMNS = [
+    'id', 'created_at', 'user_id', 'username', 'action', 'resource_type', 'resource_id',
+    'status', 'description', 'changes', 'ip_address', 'user_agent', 'request_method',
+    'request_path', 'error_message'
+];
+
+// ==============================================
+// WRITING
+// ==============================================
+
+function getClientIp(req) {
+    const ip = req.ip || req.connection?.remoteAddress;
+    return ip && net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Write an audit entry. Never throws: a failing audit write must not
+ * break the action being audited.
+ *
+ * @param {Object} entry
+ * @param {string} entry.action - One of ACTIONS
+ * @param {Object} [entry.req] - Express request (actor, IP, user agent, path)
+ * @param {number} [entry.userId] - Actor (default: req.user)
+ * @param {string} [entry.username]
+ * @param {string} [entry.resourceType] - e.g. user, module, ldap_group_mapping, file
+ * @param {string|number} [entry.resourceId]
+ * @param {string} [entry.description]
+ * @param {Object} [entry.changes] - { before, after }
+ * @param {string} [entry.status] - success, failure, error
+ * @param {string} [entry.errorMessage]
+ * @param {string} [entry.requestPath] - Overrides the request path (e.g. to hide tokens)
+ */
+async function log(entry) {
+    const { req } = entry;
+    // JWT payload carries userId; some callers pass a user row with id
+    const actor = req && req.user ? req.user : null;
+
+    try {
+        await database.query(
+            `INSERT INTO audit_log (
+                user_id, username, action, resource_type, resource_id, description, changes,
+                ip_address, user_agent, request_method, request_path, status, error_message
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+            [
+                entry.userId || (actor && (actor.userId || actor.id)) || null,
+                entry.username || (actor && actor.username) || null,
+                entry.action,
+                entry.resourceType || null,
+                entry.resourceId !== undefined && entry.resourceId !== null ? String(entry.resourceId) : null,
+                entry.description || null,
+                entry.changes ? JSON.stringify(entry.changes) : null,
+                req ? getClientIp(req) : null,
+                req && req.headers ? req.headers['user-agent'] || null : null,
+                req ? req.method : null,
+                entry.requestPath || (req ? String(req.originalUrl || req.url || '').substring(0, 500) : null),
+                entry.status || 'success',
+                entry.errorMessage || null
+            ]
+        );
+    } catch (error) {
+        logger.error('Failed to write audit entry', { action: entry.action, error: error.message });
+    }
+}
+
+// ==============================================
+// QUERYING
+// ==============================================
+
+/**
+ * WHERE clause for the admin filters
+ *
+ * @param {Object} filters - { user_id, username, action, resource_type, resource_id, status, from, to }
+ */
+function buildFilter(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.user_id) {
+        params.push(parseInt(filters.user_id));
+        conditions.push(`user_id = $${params.length}`);
+    }
+
+    if (filters.username) {
+        params.push(`%${filters.username}%`);
+        conditions.push(`username ILIKE $${params.length}`);
+    }
+
+    if (filters.action) {
+        // Comma separated list of actions
+        const actions = String(filters.action).split(',').map(action => action.trim()).filter(Boolean);
+        params.push(actions);
+        conditions.push(`action = ANY($${params.length})`);
+    }
+
+    if (filters.resource_type) {
+        params.push(filters.resource_type);
+        conditions.push(`resource_type = $${params.length}`);
+    }
+
+    if (filters.resource_id) {
+        params.push(String(filters.resource_id));
+        conditions.push(`resource_id = $${params.length}`);
+    }
+
+    if (filters.status) {
+        params.push(filters.status);
+        conditions.push(`status = $${params.length}`);
+    }
+
+    if (filters.from) {
+        params.push(new Date(filters.from));
+        conditions.push(`created_at >= $${params.length}`);
+    }
+
+    if (filters.to) {
+        params.push(new Date(filters.to));
+        conditions.push(`created_at <= $${params.length}`);
+    }
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+function validateFilters(filters) {
+    ['from', 'to'].forEach((field) => {
+        if (filters[field] && isNaN(new Date(filters[field]).getTime())) {
+            throw new Error(`Invalid date: ${field}`);
+        }
+    });
+}
+
+/**
+ * Query audit entries (newest first)
+ *
+ * @returns {Promise<{ entries: Array, total: number, limit: number, offset: number }>}
+ */
+async function queryEntries(filters = {}) {
+    validateFilters(filters);
+
+    const limit = Math.min(parseInt(filters.limit) || 50, 500);
+    const offset = parseInt(filters.offset) || 0;
+    const { where, params } = buildFilter(filters);
+
+    const countResult = await database.query(
+        `SELECT COUNT(*)::int as total FROM audit_log ${where}`,
+        params
+    );
+
+    const result = await database.query(
+        `SELECT * FROM audit_log
+         ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+
+    return {
+        entries: result.rows,
+        total: countResult.rows[0].total,
+        limit,
+        offset
+    };
+}
+
+/**
+ * Actions present in the log (for filter drop-downs)
+ */
+async function listActions() {
+    const result = await database.query(
+        'SELECT DISTINCT action FROM audit_log ORDER BY action ASC'
+    );
+
+    return [...new Set([...Object.values(ACTIONS), ...result.rows.map(row => row.action)])].sort();
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Keep spreadsheet programs from evaluating cell content as a formula
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export filtered entries as CSV (max EXPORT_MAX_ROWS rows)
+ */
+async function exportCsv(filters = {}) {
+    validateFilters(filters);
+
+    const { where, params } = buildFilter(filters);
+
+    const result = await database.query(
+        `SELECT ${CSV_COLUMNS.join(', ')} FROM audit_log
+         ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1}`,
+        [...params, EXPORT_MAX_ROWS]
+    );
+
+    const lines = [CSV_COLUMNS.join(',')];
+    result.rows.forEach((row) => {
+        lines.push(CSV_COLUMNS.map(column => toCsvValue(row[column])).join(','));
+    });
+
+    return {
+        csv: lines.join('\r\n') + '\r\n',
+        rowCount: result.rows.length,
+        truncated: result.rows.length === EXPORT_MAX_ROWS
+    };
+}
+
+// ==============================================
+// RETENTION
+// ==============================================
+
+/**
+ * Delete entries older than the retention period (in batches)
+ *
+ * @param {number} [retentionDays] - default AUDIT_RETENTION_DAYS
+ * @returns {Promise<number>} Deleted entries
+ */
+async function purgeExpiredEntries(retentionDays = RETENTION_DAYS) {
+    let deleted = 0;
+    let batch;
+
+    do {
+        const result = await database.query(
+            `DELETE FROM audit_log
+             WHERE id IN (
+                 SELECT id FROM audit_log
+                 WHERE created_at < CURRENT_TIMESTAMP - ($1 || ' days')::INTERVAL
+                 LIMIT $2
+             )`,
+            [retentionDays, PURGE_BATCH_SIZE]
+        );
+        batch = result.rowCount;
+        deleted += batch;
+    } while (batch === PURGE_BATCH_SIZE);
+
+    if (deleted > 0) {
+        logger.info('Expired audit entries deleted', { deleted, retentionDays });
+
+        await log({
+            action: ACTIONS.AUDIT_RETENTION,
+            resourceType: 'audit_log',
+            description: `${deleted} entries older than ${retentionDays} days deleted`
+        });
+    }
+
+    return deleted;
+}
+
+module.exports = {
+    ACTIONS,
+    RETENTION_DAYS,
+
+    // Writing
+    log,
+
+    // Querying
+    queryEntries,
+    listActions,
+    exportCsv,
+
+    // Retention
+    purgeExpiredEntries
+};
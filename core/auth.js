@@ -3,6 +3,9 @@ const bcrypt = require('bcrypt');
 const eventBus = require('./eventBus');
 const ldapService = require('./ldapService');
 const database = require('./database');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('Auth');
@@ -22,15 +25,19 @@ eventBus.on('USER_LOGIN', async (user) => {
     }
 });
 
+// Kurzlebige Access-Tokens; verlängert wird über Refresh-Tokens (sessionService)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Ohne Datenbank gibt es keine Sessions und damit keinen Refresh
+const STATELESS_TOKEN_EXPIRES_IN = '24h';
+
 // JWT-Hilfsfunktionen
-const generateToken = (payload) => {
+const generateToken = (payload, expiresIn = ACCESS_TOKEN_EXPIRES_IN) => {
     const secret = process.env.JWT_SECRET;
     if (!secret) {
         throw new Error('JWT_SECRET ist nicht in den Umgebungsvariablen gesetzt');
     }
 
-    const expiresIn = process.env.JWT_EXPIRES_IN || '24h';
-
     return jwt.sign(payload, secret, { expiresIn });
 };
 
@@ -40,11 +47,20 @@ const verifyToken = (token) => {
         throw new Error('JWT_SECRET ist nicht in den Umgebungsvariablen gesetzt');
     }
 
+    let decoded;
     try {
-        return jwt.verify(token, secret);
+        decoded = jwt.verify(token, secret);
     } catch (error) {
         throw new Error('Ungültiger oder abgelaufener Token');
     }
+
+    // Nur Access-Tokens: 2FA-Challenges (type/purpose) und andere mit JWT_SECRET
+    // signierte Zwischen-Tokens ohne userId sind keine Anmeldung
+    if (decoded.type || decoded.purpose || !decoded.userId) {
+        throw new Error('Ungültiger oder abgelaufener Token');
+    }
+
+    return decoded;
 };
 
 // Passwort-Hilfsfunktionen
@@ -57,12 +73,173 @@ const comparePassword = async (password, hash) => {
     return await bcrypt.compare(password, hash);
 };
 
+/**
+ * Access- und Refresh-Token für einen angemeldeten User ausstellen.
+ * Mit Datenbank wird eine Session angelegt (sid im Access-Token),
+ * sonst (Mock/ohne DB) ein zustandsloser Token ohne Refresh.
+ */
+const issueTokens = async (user, req) => {
+    const payload = {
+        userId: user.id,
+        username: user.username,
+        role: user.role
+    };
+
+    if (!sessionService.isEnabled() || user.authMethod === 'mock') {
+        return { token: generateToken(payload, STATELESS_TOKEN_EXPIRES_IN), refreshToken: null };
+    }
+
+    const { session, refreshToken } = await sessionService.createSession(user, req);
+
+    return {
+        token: generateToken({ ...payload, sid: session.id }),
+        refreshToken
+    };
+};
+
+/**
+ * Fehlerantwort für Refresh-Fehler (immer 401, Client muss sich neu anmelden)
+ */
+const sessionErrorResponse = (res, error) => {
+    const messages = {
+        REFRESH_TOKEN_INVALID: 'Ungültiger Refresh-Token',
+        REFRESH_TOKEN_ROTATED: 'Refresh-Token wurde bereits verwendet',
+        SESSION_REVOKED: 'Sitzung wurde beendet',
+        SESSION_EXPIRED: 'Sitzung ist abgelaufen'
+    };
+
+    return res.status(401).json({ error: messages[error.code], code: error.code });
+};
+
+/**
+ * Nächster Schritt nach erfolgreicher Primär-Anmeldung (Passwort, LDAP, OIDC):
+ * 2FA-Challenge oder null, wenn direkt Tokens ausgestellt werden können
+ */
+const getTwoFactorStep = async (user) => {
+    // Zweiter Faktor nur mit Datenbank; Mock-User haben keinen
+    if (!database.pool || user.authMethod === 'mock') {
+        return null;
+    }
+
+    const twoFactor = await twoFactorService.getLoginRequirement(user.id);
+
+    if (twoFactor.enabled) {
+        logger.info('Primär-Anmeldung erfolgreich, zweiter Faktor erforderlich', { username: user.username });
+        return {
+            twoFactorRequired: true,
+            challengeToken: twoFactorService.createChallenge(user, 'verify')
+        };
+    }
+
+    // Rolle erzwingt 2FA: Einrichtung vor dem ersten Login
+    if (twoFactor.required) {
+        logger.info('Primär-Anmeldung erfolgreich, 2FA-Einrichtung erforderlich', { username: user.username, role: user.role });
+        return {
+            twoFactorSetupRequired: true,
+            challengeToken: twoFactorService.createChallenge(user, 'setup')
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Login abschließen: Tokens ausstellen, USER_LOGIN-Event und Audit
+ *
+ * @returns {Promise<Object>} Login-Antwort ({ token, refreshToken, user })
+ */
+const buildLoginResult = async (user, req, extra = {}) => {
+    // Access-Token (und Refresh-Token mit Session) generieren
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    // USER_LOGIN Event triggern
+    eventBus.emit('USER_LOGIN', user);
+
+    logger.info('Erfolgreicher Login', { username: user.username, authMethod: user.authMethod, role: user.role, twoFactor: !!extra.twoFactorMethod });
+
+    auditService.log({
+        action: auditService.ACTIONS.LOGIN,
+        req,
+        userId: user.id,
+        username: user.username,
+        resourceType: 'user',
+        resourceId: user.id,
+        description: `Login via ${user.authMethod}${extra.twoFactorMethod ? ` (2FA: ${extra.twoFactorMethod})` : ''}`
+    });
+
+    return {
+        token,
+        refreshToken,
+        ...(extra.recoveryCodes ? { recoveryCodes: extra.recoveryCodes } : {}),
+        user: {
+            id: user.id,
+            username: user.username,
+            name: user.name,
+            display_name: user.name, // Alias für Frontend-Kompatibilität
+            email: user.email,
+            role: user.role
+        }
+    };
+};
+
+const completeLogin = async (user, req, res, extra = {}) => {
+    return res.json(await buildLoginResult(user, req, extra));
+};
+
+/**
+ * User aus einer 2FA-Challenge neu laden (Rolle/Status können sich geändert haben)
+ */
+const loadChallengeUser = async (challenge) => {
+    const result = await database.query(
+        'SELECT id, username, name, email, role, is_active FROM users WHERE id = $1',
+        [challenge.userId]
+    );
+
+    const dbUser = result.rows[0];
+    if (!dbUser || dbUser.is_active === false) {
+        throw new Error('Invalid or expired challenge');
+    }
+
+    return {
+        id: dbUser.id,
+        username: dbUser.username,
+        name: dbUser.name,
+        email: dbUser.email,
+        role: dbUser.role,
+        authMethod: challenge.authMethod
+    };
+};
+
+/**
+ * Fehlerantwort für 2FA-Challenges
+ */
+const twoFactorErrorResponse = (res, error) => {
+    const responses = {
+        'Invalid code': [401, 'Ungültiger Code', 'TWO_FACTOR_INVALID_CODE'],
+        'Invalid or expired challenge': [401, 'Anmeldung abgelaufen, bitte erneut anmelden', 'TWO_FACTOR_CHALLENGE_INVALID'],
+        'Too many attempts': [429, 'Zu viele Fehlversuche, bitte erneut anmelden', 'TWO_FACTOR_TOO_MANY_ATTEMPTS']
+    };
+
+    const [status, message, code] = responses[error.message] || [];
+    if (!status) {
+        return null;
+    }
+
+    return res.status(status).json({ error: message, code });
+};
+
 module.exports = {
     // Hilfsfunktionen exportieren
     generateToken,
     verifyToken,
     hashPassword,
     comparePassword,
+    issueTokens,
+    getTwoFactorStep,
+    buildLoginResult,
+    completeLogin,
+    loadChallengeUser,
+    twoFactorErrorResponse,
 
     login: async (req, res) => {
         try {
@@ -150,35 +327,177 @@ module.exports = {
 
             // Wenn User gefunden und authentifiziert
             if (user) {
-                // JWT-Token generieren
-                const token = generateToken({
+                const twoFactorStep = await getTwoFactorStep(user);
+                if (twoFactorStep) {
+                    return res.json(twoFactorStep);
+                }
+
+                return await completeLogin(user, req, res);
+            }
+
+            // Login fehlgeschlagen
+            auditService.log({
+                action: auditService.ACTIONS.LOGIN_FAILED,
+                req,
+                username,
+                resourceType: 'user',
+                status: 'failure',
+                errorMessage: 'Ungültige Anmeldedaten'
+            });
+
+            return res.status(401).json({ error: 'Ungültige Anmeldedaten' });
+        } catch (error) {
+            logger.error('Login-Fehler', { error: error.message, stack: error.stack });
+            return res.status(500).json({ error: 'Interner Serverfehler' });
+        }
+    },
+
+    verifyTwoFactor: async (req, res) => {
+        try {
+            const { challengeToken, code } = req.body;
+
+            if (!challengeToken || !code) {
+                return res.status(400).json({ error: 'challengeToken und code sind erforderlich' });
+            }
+
+            const challenge = twoFactorService.verifyChallenge(challengeToken, 'verify');
+            const user = await loadChallengeUser(challenge);
+
+            let method;
+            try {
+                method = await twoFactorService.verifyCode(user.id, code);
+            } catch (error) {
+                if (error.message !== 'Invalid code') {
+                    throw error;
+                }
+
+                twoFactorService.recordChallengeFailure(challenge);
+
+                auditService.log({
+                    action: auditService.ACTIONS.TWO_FACTOR_FAILED,
+                    req,
                     userId: user.id,
                     username: user.username,
-                    role: user.role
+                    resourceType: 'user',
+                    resourceId: user.id,
+                    status: 'failure',
+                    errorMessage: 'Ungültiger Code'
+                });
+
+                throw error;
+            }
+
+            if (method === 'recovery_code') {
+                auditService.log({
+                    action: auditService.ACTIONS.TWO_FACTOR_RECOVERY_CODE_USED,
+                    req,
+                    userId: user.id,
+                    username: user.username,
+                    resourceType: 'user',
+                    resourceId: user.id
                 });
+            }
+
+            return await completeLogin(user, req, res, { twoFactorMethod: method });
+        } catch (error) {
+            if (twoFactorErrorResponse(res, error)) {
+                return;
+            }
+
+            logger.error('2FA-Fehler', { error: error.message, stack: error.stack });
+            return res.status(500).json({ error: 'Interner Serverfehler' });
+        }
+    },
 
-                // USER_LOGIN Event triggern
-                eventBus.emit('USER_LOGIN', user);
+    refresh: async (req, res) => {
+        try {
+            if (!sessionService.isEnabled()) {
+                return res.status(400).json({ error: 'Sessions sind ohne Datenbank nicht verfügbar' });
+            }
 
-                logger.info('Erfolgreicher Login', { username, authMethod: user.authMethod, role: user.role });
+            const { session, user, refreshToken } = await sessionService.rotateRefreshToken(req.body.refreshToken, req);
 
-                return res.json({
-                    token,
-                    user: {
-                        id: user.id,
-                        username: user.username,
-                        name: user.name,
-                        display_name: user.name, // Alias für Frontend-Kompatibilität
-                        email: user.email,
-                        role: user.role
+            const token = generateToken({
+                userId: user.id,
+                username: user.username,
+                role: user.role,
+                sid: session.id
+            });
+
+            return res.json({
+                token,
+                refreshToken,
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    name: user.name,
+                    display_name: user.name,
+                    email: user.email,
+                    role: user.role
+                }
+            });
+        } catch (error) {
+            if (error.code) {
+                return sessionErrorResponse(res, error);
+            }
+
+            logger.error('Refresh-Fehler', { error: error.message, stack: error.stack });
+            return res.status(500).json({ error: 'Interner Serverfehler' });
+        }
+    },
+
+    logout: async (req, res) => {
+        try {
+            if (!sessionService.isEnabled()) {
+                return res.json({ success: true });
+            }
+
+            // Session aus dem Access-Token, bei abgelaufenem Token aus dem Refresh-Token
+            let sessionId = null;
+            let userId = null;
+
+            const authHeader = req.headers['authorization'];
+            const accessToken = authHeader && authHeader.split(' ')[1];
+            if (accessToken) {
+                try {
+                    const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+                    sessionId = decoded.sid || null;
+                    userId = decoded.userId;
+                } catch (error) {
+                    // Ungültiger Token: Refresh-Token versuchen
+                }
+            }
+
+            if (!sessionId && req.body && req.body.refreshToken) {
+                const session = await sessionService.findSessionByRefreshToken(req.body.refreshToken);
+                if (session) {
+                    sessionId = session.id;
+                    userId = session.user_id;
+                }
+            }
+
+            if (sessionId) {
+                try {
+                    await sessionService.revokeSession(sessionId, { reason: 'logout' });
+
+                    auditService.log({
+                        action: auditService.ACTIONS.LOGOUT,
+                        req,
+                        userId,
+                        resourceType: 'session',
+                        resourceId: sessionId
+                    });
+                } catch (error) {
+                    // Bereits beendete Sessions sind kein Fehler
+                    if (error.message !== 'Session not found') {
+                        throw error;
                     }
-                });
+                }
             }
 
-            // Login fehlgeschlagen
-            return res.status(401).json({ error: 'Ungültige Anmeldedaten' });
+            return res.json({ success: true });
         } catch (error) {
-            logger.error('Login-Fehler', { error: error.message, stack: error.stack });
+            logger.error('Logout-Fehler', { error: error.message, stack: error.stack });
             return res.status(500).json({ error: 'Interner Serverfehler' });
         }
     }
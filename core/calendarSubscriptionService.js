@@ -0,0 +1,628 @@
+/**
+ * Calendar Subscription Service
+ * Import externer iCal-Feeds (Feiertage, Partner-Kalender) als schreibgeschützte Kalender-Overlays
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const database = require('./database');
+const eventsService = require('./eventsService');
+const icalService = require('./icalService');
+const recurrence = require('./recurrence');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('CalendarSubscriptionService');
+
+const MIN_SYNC_INTERVAL_MINUTES = 15;
+const FETCH_TIMEOUT_MS = (parseInt(process.env.CALENDAR_SUBSCRIPTION_TIMEOUT_SECONDS) || 30) * 1000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+const MAX_OVERLAY_EVENTS = 2000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Feeds are fetched by the server: no loopback, private, link-local or
+// unique local addresses (server-side request forgery)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const EDITABLE_FIELDS = [
+    'name', 'ical_url', 'sync_enabled', 'sync_interval_minutes',
+    'color', 'is_visible', 'display_order'
+];
+
+// ==============================================
+// VALIDATION
+// ==============================================
+
+/**
+ * Normalizes a feed URL (webcal:// -> https://) and rejects non-HTTP schemes
+ */
+function normalizeFeedUrl(url) {
+    const trimmed = String(url || '').trim().replace(/^webcal(s)?:\/\//i, 'https://');
+
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch (error) {
+        throw new Error('Invalid calendar URL');
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error('Calendar URL must use http, https or webcal');
+    }
+
+    return parsed.toString();
+}
+
+/**
+ * Rejects feed URLs whose host resolves to a blocked address
+ * (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+ */
+async function assertPublicFeedUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+        addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+        throw new Error('Calendar host could not be resolved');
+    }
+
+    const blocked = addresses.some(({ address, family }) =>
+        BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (addresses.length === 0 || blocked) {
+        throw new Error('Calendar URL must point to a public host');
+    }
+}
+
+/**
+ * Validates subscription fields and returns the normalized values
+ * @private
+ */
+function normalizeSubscriptionData(data) {
+    const normalized = {};
+
+    for (const [key, value] of Object.entries(data)) {
+        if (!EDITABLE_FIELDS.includes(key)) {
+            continue;
+        }
+
+        if (key === 'ical_url') {
+            normalized.ical_url = normalizeFeedUrl(value);
+        } else if (key === 'sync_interval_minutes') {
+            const minutes = parseInt(value);
+            if (isNaN(minutes) || minutes < MIN_SYNC_INTERVAL_MINUTES) {
+                throw new Error(`sync_interval_minutes must be at least ${MIN_SYNC_INTERVAL_MINUTES}`);
+            }
+            normalized.sync_interval_minutes = minutes;
+        } else if (key === 'color') {
+            if (value && !/^#[0-9A-Fa-f]{6}$/.test(value)) {
+                throw new Error('color must be a hex color like #3b82f6');
+            }
+            normalized.color = value || null;
+        } else {
+            normalized[key] = value;
+        }
+    }
+
+    return normalized;
+}
+
+// ==============================================
+// SUBSCRIPTION CRUD
+// ==============================================
+
+/**
+ * Lists the external calendar subscriptions of a user
+ */
+async function listSubscriptions(userId) {
+    const result = await database.query(
+        `SELECT * FROM calendar_subscriptions
+         WHERE user_id = $1 AND type = 'external'
+         ORDER BY display_order ASC, name ASC`,
+        [userId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Gets a subscription owned by the user (null if not found)
+ */
+async function getSubscription(subscriptionId, userId) {
+    const result = await database.query(
+        `SELECT * FROM calendar_subscriptions
+         WHERE id = $1 AND user_id = $2 AND type = 'external'`,
+        [subscriptionId, userId]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Creates a subscription for an external iCal feed
+ */
+async function createSubscription(userId, data) {
+    try {
+        if (!data.name || !data.ical_url) {
+            throw new Error('name and ical_url are required');
+        }
+
+        const fields = normalizeSubscriptionData(data);
+        await assertPublicFeedUrl(fields.ical_url);
+
+        const result = await database.query(
+            `INSERT INTO calendar_subscriptions (
+                user_id, name, type, ical_url, sync_enabled,
+                sync_interval_minutes, color, is_visible, display_order
+            ) VALUES ($1, $2, 'external', $3, $4, $5, $6, $7, $8)
+            RETURNING *`,
+            [
+                userId,
+                fields.name,
+                fields.ical_url,
+                fields.sync_enabled !== undefined ? fields.sync_enabled : true,
+                fields.sync_interval_minutes || 60,
+                fields.color || null,
+                fields.is_visible !== undefined ? fields.is_visible : true,
+                fields.display_order || 0
+            ]
+        );
+
+        logger.info('Calendar subscription created', { subscriptionId: result.rows[0].id, userId });
+
+        return result.rows[0];
+
+    } catch (error) {
+        logger.error('Error creating calendar subscription', { userId, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Updates a subscription (changing the URL forces a full resync)
+ */
+async function updateSubscription(subscriptionId, userId, updates) {
+    try {
+        const fields = normalizeSubscriptionData(updates);
+        const entries = Object.entries(fields);
+
+        if (entries.length === 0) {
+            throw new Error('No valid update fields provided');
+        }
+
+        if (fields.ical_url) {
+            await assertPublicFeedUrl(fields.ical_url);
+        }
+
+        const assignments = entries.map(([key], index) => `${key} = $${index + 1}`);
+        const values = entries.map(([, value]) => value);
+
+        if (fields.ical_url) {
+            assignments.push('etag = NULL', 'last_modified_header = NULL', 'last_sync_at = NULL');
+        }
+
+        values.push(subscriptionId, userId);
+
+        const result = await database.query(
+            `UPDATE calendar_subscriptions
+             SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $${values.length - 1} AND user_id = $${values.length} AND type = 'external'
+             RETURNING *`,
+            values
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Subscription not found');
+        }
+
+        logger.info('Calendar subscription updated', { subscriptionId, userId, updates: Object.keys(fields) });
+
+        return result.rows[0];
+
+    } catch (error) {
+        logger.error('Error updating calendar subscription', { subscriptionId, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Deletes a subscription including its imported events
+ */
+async function deleteSubscription(subscriptionId, userId) {
+    const result = await database.query(
+        `DELETE FROM calendar_subscriptions
+         WHERE id = $1 AND user_id = $2 AND type = 'external'
+         RETURNING id`,
+        [subscriptionId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Subscription not found');
+    }
+
+    logger.info('Calendar subscription deleted', { subscriptionId, userId });
+
+    return true;
+}
+
+// ==============================================
+// SYNC
+// ==============================================
+
+/**
+ * Reads the response body and aborts as soon as it exceeds MAX_FEED_BYTES
+ * (Content-Length may be missing or wrong)
+ * @private
+ */
+async function readFeedBody(response) {
+    if (!response.body) {
+        return '';
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_FEED_BYTES) {
+            throw new Error('Feed exceeds maximum size');
+        }
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Downloads a feed (conditional GET with ETag / Last-Modified)
+ * @private
+ */
+async function fetchFeed(subscription) {
+    const headers = {
+        'Accept': 'text/calendar, */*;q=0.5',
+        'User-Agent': 'OpenIntraHub Calendar Sync'
+    };
+
+    if (subscription.etag) {
+        headers['If-None-Match'] = subscription.etag;
+    }
+    if (subscription.last_modified_header) {
+        headers['If-Modified-Since'] = subscription.last_modified_header;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+        // Redirects are followed manually, every target is checked again
+        let url = subscription.ical_url;
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            await assertPublicFeedUrl(url);
+
+            response = await fetch(url, {
+                headers,
+                redirect: 'manual',
+                signal: controller.signal
+            });
+
+            if (!REDIRECT_STATUSES.includes(response.status)) {
+                break;
+            }
+
+            await response.body?.cancel();
+
+            const location = response.headers.get('location');
+            if (!location) {
+                throw new Error(`Feed request failed with HTTP ${response.status}`);
+            }
+            if (redirects >= MAX_REDIRECTS) {
+                throw new Error('Feed request exceeded the redirect limit');
+            }
+
+            url = normalizeFeedUrl(new URL(location, url).toString());
+        }
+
+        if (response.status === 304) {
+            return { notModified: true };
+        }
+
+        if (!response.ok) {
+            throw new Error(`Feed request failed with HTTP ${response.status}`);
+        }
+
+        if (parseInt(response.headers.get('content-length')) > MAX_FEED_BYTES) {
+            throw new Error('Feed exceeds maximum size');
+        }
+
+        const body = await readFeedBody(response);
+
+        return {
+            notModified: false,
+            body,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified')
+        };
+
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`Feed request timed out after ${FETCH_TIMEOUT_MS / 1000}s`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Folds RECURRENCE-ID overrides into the exceptions of their series
+ * @private
+ */
+function prepareEvents(events) {
+    const masters = new Map();
+    for (const event of events) {
+        if (event.uid && event.recurrence_rule && !event.recurrence_id) {
+            masters.set(event.uid, event);
+        }
+    }
+
+    const prepared = [];
+    for (const event of events) {
+        if (event.recurrence_id) {
+            const master = masters.get(event.uid);
+            if (master) {
+                master.recurrence_exception_dates.push(event.recurrence_id.toISOString());
+            }
+        }
+
+        // Abgesagte Termine werden nicht angezeigt (abgesagte Vorkommen sind jetzt Ausnahmen)
+        if (event.status !== 'cancelled') {
+            prepared.push(event);
+        }
+    }
+
+    return prepared;
+}
+
+/**
+ * Replaces the imported events of a subscription
+ * @private
+ */
+async function storeEvents(subscriptionId, events) {
+    const client = await database.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        await client.query(
+            'DELETE FROM calendar_subscription_events WHERE subscription_id = $1',
+            [subscriptionId]
+        );
+
+        for (const event of events) {
+            await client.query(
+                `INSERT INTO calendar_subscription_events (
+                    subscription_id, uid, recurrence_id, title, description, location, url,
+                    status, start_time, end_time, all_day, timezone,
+                    recurrence_rule, recurrence_exception_dates
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+                [
+                    subscriptionId,
+                    (event.uid || `${event.start_time.toISOString()}-${event.title}`).slice(0, 500),
+                    event.recurrence_id,
+                    (event.title || '(ohne Titel)').slice(0, 500),
+                    event.description,
+                    event.location ? event.location.slice(0, 500) : null,
+                    event.url,
+                    event.status,
+                    event.start_time,
+                    event.end_time,
+                    event.all_day,
+                    event.timezone,
+                    event.recurrence_rule,
+                    JSON.stringify(event.recurrence_exception_dates)
+                ]
+            );
+        }
+
+        await client.query('COMMIT');
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Fetches, parses and stores a subscription feed
+ *
+ * @param {Object} subscription - calendar_subscriptions row
+ * @returns {Promise<{status: string, eventCount: number}>}
+ */
+async function syncSubscription(subscription) {
+    const startTime = Date.now();
+
+    try {
+        const feed = await fetchFeed(subscription);
+
+        if (feed.notModified) {
+            await database.query(
+                `UPDATE calendar_subscriptions
+                 SET last_sync_at = CURRENT_TIMESTAMP, last_sync_status = 'not_modified', last_error = NULL
+                 WHERE id = $1`,
+                [subscription.id]
+            );
+
+            logger.debug('Calendar subscription not modified', { subscriptionId: subscription.id });
+
+            return { status: 'not_modified', eventCount: subscription.event_count || 0 };
+        }
+
+        const calendar = icalService.parseCalendar(feed.body);
+        const events = prepareEvents(calendar.events);
+
+        await storeEvents(subscription.id, events);
+
+        await database.query(
+            `UPDATE calendar_subscriptions
+             SET last_sync_at = CURRENT_TIMESTAMP,
+                 last_sync_status = 'success',
+                 last_error = NULL,
+                 etag = $1,
+                 last_modified_header = $2,
+                 event_count = $3
+             WHERE id = $4`,
+            [feed.etag, feed.lastModified, events.length, subscription.id]
+        );
+
+        logger.info('Calendar subscription synced', {
+            subscriptionId: subscription.id,
+            events: events.length,
+            duration: `${Date.now() - startTime}ms`
+        });
+
+        return { status: 'success', eventCount: events.length };
+
+    } catch (error) {
+        logger.error('Calendar subscription sync failed', { subscriptionId: subscription.id, error: error.message });
+
+        // last_sync_at wird auch bei Fehlern gesetzt, damit defekte Feeds nur im Intervall abgefragt werden
+        await database.query(
+            `UPDATE calendar_subscriptions
+             SET last_sync_at = CURRENT_TIMESTAMP, last_sync_status = 'error', last_error = $1
+             WHERE id = $2`,
+            [error.message, subscription.id]
+        );
+
+        throw error;
+    }
+}
+
+/**
+ * Subscriptions whose sync interval has elapsed
+ */
+async function getDueSubscriptions(limit = 50) {
+    const result = await database.query(
+        `SELECT * FROM calendar_subscriptions
+         WHERE type = 'external'
+           AND sync_enabled = true
+           AND ical_url IS NOT NULL
+           AND (
+               last_sync_at IS NULL
+               OR last_sync_at + make_interval(mins => GREATEST(sync_interval_minutes, $1)) <= CURRENT_TIMESTAMP
+           )
+         ORDER BY last_sync_at ASC NULLS FIRST
+         LIMIT $2`,
+        [MIN_SYNC_INTERVAL_MINUTES, limit]
+    );
+
+    return result.rows;
+}
+
+// ==============================================
+// CALENDAR OVERLAY
+// ==============================================
+
+/**
+ * Builds a read-only calendar entry from an imported event
+ * @private
+ */
+function buildOverlayEvent(row, occurrence) {
+    const start = occurrence ? occurrence.start : row.start_time;
+
+    return {
+        id: `external-${row.id}-${new Date(start).getTime()}`,
+        external_id: row.id,
+        uid: row.uid,
+        subscription_id: row.subscription_id,
+        subscription_name: row.subscription_name,
+        title: row.title,
+        description: row.description,
+        location_details: row.location,
+        url: row.url,
+        status: row.status,
+        start_time: start,
+        end_time: occurrence ? occurrence.end : row.end_time,
+        all_day: row.all_day,
+        timezone: row.timezone,
+        category: 'external',
+        color: row.subscription_color,
+        is_occurrence: Boolean(occurrence),
+        occurrence_start: occurrence ? occurrence.start.toISOString() : undefined,
+        is_external: true,
+        is_read_only: true
+    };
+}
+
+/**
+ * Imported events of the user's visible subscriptions within a range
+ * (recurring events are expanded into occurrences)
+ */
+async function getOverlayEvents(userId, startDate, endDate) {
+    const range = eventsService.resolveExpansionRange(startDate, endDate);
+    if (!range) {
+        return [];
+    }
+
+    const result = await database.query(
+        `SELECT se.*, cs.name as subscription_name, cs.color as subscription_color
+         FROM calendar_subscription_events se
+         JOIN calendar_subscriptions cs ON cs.id = se.subscription_id
+         WHERE cs.user_id = $1
+           AND cs.type = 'external'
+           AND cs.is_visible = true
+           AND se.start_time <= $3
+           AND (se.end_time >= $2 OR se.recurrence_rule IS NOT NULL)
+         ORDER BY se.start_time ASC`,
+        [userId, range.start, range.end]
+    );
+
+    const events = [];
+
+    for (const row of result.rows) {
+        if (!row.recurrence_rule) {
+            events.push(buildOverlayEvent(row));
+            continue;
+        }
+
+        try {
+            const occurrences = recurrence.expandRecurrence(row, range.start, range.end, {
+                limit: MAX_OVERLAY_EVENTS
+            });
+            events.push(...occurrences.map(occurrence => buildOverlayEvent(row, occurrence)));
+        } catch (error) {
+            logger.warn('Invalid recurrence rule in imported event', { externalId: row.id, error: error.message });
+            events.push(buildOverlayEvent(row));
+        }
+    }
+
+    return events
+        .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+        .slice(0, MAX_OVERLAY_EVENTS);
+}
+
+module.exports = {
+    // Subscriptions
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    normalizeFeedUrl,
+
+    // Sync
+    syncSubscription,
+    getDueSubscriptions,
+
+    // Overlay
+    getOverlayEvents
+};
@@ -0,0 +1,91 @@
+// =====================================================
+// Calendar Subscription Worker - Background iCal Import
+// =====================================================
+// Purpose: Periodically refresh external iCal subscriptions
+// according to their sync_interval_minutes
+// =====================================================
+
+const calendarSubscriptionService = require('./calendarSubscriptionService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('CalendarSubscriptionSync');
+
+// How often due subscriptions are looked up (the feed interval is per subscription)
+const CHECK_INTERVAL = parseInt(process.env.CALENDAR_SUBSCRIPTION_CHECK_MINUTES || 5) * 60 * 1000;
+
+// Track running syncs to avoid overlaps
+const runningSyncs = new Set();
+
+let initialTimer = null;
+let checkTimer = null;
+
+/**
+ * Sync all subscriptions that are due
+ */
+async function syncDueSubscriptions() {
+    try {
+        const subscriptions = await calendarSubscriptionService.getDueSubscriptions();
+
+        if (subscriptions.length === 0) {
+            logger.debug('No calendar subscriptions due for sync');
+            return;
+        }
+
+        logger.info(`Syncing ${subscriptions.length} calendar subscriptions`);
+
+        // Sequentially: feeds are small, and this keeps outgoing requests bounded
+        for (const subscription of subscriptions) {
+            if (runningSyncs.has(subscription.id)) {
+                continue;
+            }
+
+            runningSyncs.add(subscription.id);
+
+            try {
+                await calendarSubscriptionService.syncSubscription(subscription);
+            } catch (error) {
+                // Already logged and stored on the subscription
+            } finally {
+                runningSyncs.delete(subscription.id);
+            }
+        }
+    } catch (error) {
+        logger.error('Error in syncDueSubscriptions', { error: error.message });
+    }
+}
+
+/**
+ * Start the calendar subscription worker
+ */
+function startWorker() {
+    logger.info(`Starting calendar subscription worker (check interval: ${CHECK_INTERVAL / 1000 / 60} minutes)`);
+
+    // Run initial check after 60 seconds
+    initialTimer = setTimeout(() => {
+        syncDueSubscriptions();
+    }, 60000);
+
+    checkTimer = setInterval(() => {
+        syncDueSubscriptions();
+    }, CHECK_INTERVAL);
+
+    logger.info('Calendar subscription worker started successfully');
+}
+
+/**
+ * Stop the worker
+ */
+function stopWorker() {
+    logger.info('Stopping calendar subscription worker...');
+
+    clearTimeout(initialTimer);
+    clearInterval(checkTimer);
+    initialTimer = null;
+    checkTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    syncDueSubscriptions
+};
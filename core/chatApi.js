@@ -7,7 +7,9 @@
 const express = require('express');
 const router = express.Router();
 const chatService = require('./chatService');
+const groupService = require('./groupService');
 const { authenticateToken, requirePermission } = require('./middleware');
+const { userHasPermission } = require('./permissions');
 const i18n = require('./i18n');
 
 // ==============================================
@@ -120,22 +122,36 @@ router.post('/chat/conversations/direct', authenticateToken, requirePermission('
 /**
  * POST /api/chat/conversations/group
  * Create group conversation
+ * Body: name, description?, member_ids?, group_id? (links the chat to a group; name defaults to the group name)
  */
 router.post('/chat/conversations/group', authenticateToken, requirePermission('chat.create_group'), async (req, res) => {
     try {
         const { name, description, member_ids } = req.body;
+        const groupId = req.body.group_id ? parseInt(req.body.group_id) : null;
 
-        if (!name) {
+        if (!name && !groupId) {
             return res.status(400).json({
                 success: false,
-                message: 'name is required'
+                message: 'name or group_id is required'
             });
         }
 
-        const conversation = await chatService.createGroupConversation(req.user.id, {
+        // Only members of the group (or group admins) may open its chat
+        if (groupId) {
+            const userGroupIds = await groupService.getUserGroupIds(req.user.userId);
+            if (!userGroupIds.includes(groupId) && !(await userHasPermission(req.user, 'groups.manage'))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Not a member of this group'
+                });
+            }
+        }
+
+        const conversation = await chatService.createGroupConversation(req.user.userId, {
             name,
             description,
-            member_ids
+            member_ids,
+            group_id: groupId
         });
 
         res.status(201).json({
@@ -144,6 +160,18 @@ router.post('/chat/conversations/group', authenticateToken, requirePermission('c
             message: 'Group conversation created'
         });
     } catch (error) {
+        if (error.message === 'Group not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+        if (error.message === 'Group already has a conversation') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Error creating group conversation:', error);
         res.status(500).json({
             success: false,
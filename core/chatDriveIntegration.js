@@ -3,6 +3,7 @@
 // =====================================================
 
 const driveService = require('./driveService');
+const drivePreviewService = require('./drivePreviewService');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('ChatDrive');
@@ -49,8 +50,10 @@ async function getChatAttachment(fileId, userId) {
             id: file.id,
             name: file.name,
             url: `/api/drive/files/${file.id}/download`,
+            ...drivePreviewService.previewUrls(file),
             mimeType: file.mime_type,
             size: file.file_size_bytes,
+            metadata: file.metadata,
             createdAt: file.created_at
         };
     } catch (error) {
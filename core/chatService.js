@@ -5,6 +5,8 @@
  */
 
 const database = require('./database');
+const eventBus = require('./eventBus');
+const groupService = require('./groupService');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('ChatService');
@@ -36,49 +38,61 @@ async function getOrCreateDirectConversation(user1Id, user2Id) {
 
 /**
  * Create group conversation
+ * With group_id the conversation is linked to a group: its members join
+ * and later membership changes are applied automatically.
  */
 async function createGroupConversation(creatorId, groupData) {
-    const { name, description, member_ids = [] } = groupData;
+    const { description, member_ids = [], group_id } = groupData;
+    let { name } = groupData;
+
+    let groupMemberIds = [];
+    if (group_id) {
+        const group = await groupService.getGroup(group_id);
+        name = name || group.name;
+        groupMemberIds = await groupService.getGroupMemberIds([group.id]);
+    }
 
     try {
         // Create conversation
         const convResult = await database.query(
-            `INSERT INTO chat_conversations (type, name, description, created_by)
-             VALUES ('group', $1, $2, $3)
+            `INSERT INTO chat_conversations (type, name, description, created_by, group_id)
+             VALUES ('group', $1, $2, $3, $4)
              RETURNING *`,
-            [name, description, creatorId]
+            [name, description, creatorId, group_id || null]
         );
 
         const conversation = convResult.rows[0];
 
         // Add creator as admin
         await database.query(
-            `INSERT INTO chat_participants (conversation_id, user_id, role)
-             VALUES ($1, $2, 'admin')`,
-            [conversation.id, creatorId]
+            `INSERT INTO chat_participants (conversation_id, user_id, role, via_group)
+             VALUES ($1, $2, 'admin', $3)`,
+            [conversation.id, creatorId, groupMemberIds.includes(creatorId)]
         );
 
-        // Add other members
-        if (member_ids.length > 0) {
-            const uniqueMemberIds = [...new Set(member_ids)].filter(id => id !== creatorId);
+        // Add other members (group members follow the group)
+        const uniqueMemberIds = [...new Set([...member_ids, ...groupMemberIds])].filter(id => id !== creatorId);
 
-            for (const memberId of uniqueMemberIds) {
-                await database.query(
-                    `INSERT INTO chat_participants (conversation_id, user_id)
-                     VALUES ($1, $2)`,
-                    [conversation.id, memberId]
-                );
-            }
+        for (const memberId of uniqueMemberIds) {
+            await database.query(
+                `INSERT INTO chat_participants (conversation_id, user_id, via_group)
+                 VALUES ($1, $2, $3)`,
+                [conversation.id, memberId, groupMemberIds.includes(memberId)]
+            );
         }
 
         logger.info('Group conversation created', {
             conversationId: conversation.id,
             creatorId,
-            memberCount: member_ids.length + 1
+            groupId: group_id || null,
+            memberCount: uniqueMemberIds.length + 1
         });
 
         return conversation;
     } catch (error) {
+        if (error.code === '23505' && group_id) {
+            throw new Error('Group already has a conversation');
+        }
         logger.error('Error creating group conversation', { creatorId, error: error.message });
         throw error;
     }
@@ -314,7 +328,7 @@ async function addParticipant(conversationId, userId, addedBy) {
             `INSERT INTO chat_participants (conversation_id, user_id)
              VALUES ($1, $2)
              ON CONFLICT (conversation_id, user_id)
-             DO UPDATE SET is_active = true, joined_at = CURRENT_TIMESTAMP
+             DO UPDATE SET is_active = true, via_group = false, joined_at = CURRENT_TIMESTAMP
              RETURNING *`,
             [conversationId, userId]
         );
@@ -347,6 +361,54 @@ async function removeParticipant(conversationId, userId) {
     }
 }
 
+/**
+ * Follow membership changes of groups linked to conversations.
+ * Only participants that joined via the group are removed again.
+ */
+async function syncGroupConversationParticipants({ groupId, added, removed }) {
+    const result = await database.query(
+        `SELECT id FROM chat_conversations WHERE group_id = $1 AND is_active = true`,
+        [groupId]
+    );
+
+    for (const { id: conversationId } of result.rows) {
+        for (const userId of added) {
+            await database.query(
+                `INSERT INTO chat_participants (conversation_id, user_id, via_group)
+                 VALUES ($1, $2, true)
+                 ON CONFLICT (conversation_id, user_id)
+                 DO UPDATE SET is_active = true, left_at = NULL, via_group = true,
+                               joined_at = CASE WHEN chat_participants.is_active THEN chat_participants.joined_at ELSE CURRENT_TIMESTAMP END`,
+                [conversationId, userId]
+            );
+        }
+
+        if (removed.length > 0) {
+            await database.query(
+                `UPDATE chat_participants
+                 SET is_active = false, left_at = CURRENT_TIMESTAMP
+                 WHERE conversation_id = $1 AND user_id = ANY($2::int[]) AND via_group = true AND is_active = true`,
+                [conversationId, removed]
+            );
+        }
+
+        logger.info('Group conversation participants synced', {
+            conversationId,
+            groupId,
+            added: added.length,
+            removed: removed.length
+        });
+    }
+}
+
+eventBus.on('GROUP_MEMBERS_CHANGED', async (change) => {
+    try {
+        await syncGroupConversationParticipants(change);
+    } catch (error) {
+        logger.error('Error syncing group conversation participants', { groupId: change.groupId, error: error.message });
+    }
+});
+
 // ==============================================
 // MESSAGES
 // ==============================================
@@ -719,6 +781,7 @@ module.exports = {
     getConversationParticipants,
     addParticipant,
     removeParticipant,
+    syncGroupConversationParticipants,
 
     // Messages
     sendMessage,
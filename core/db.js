@@ -0,0 +1,17 @@
+/**
+ * Pool-Schnittstelle (query/connect) für Module, die direkt mit pg arbeiten
+ * Nutzt die gemeinsame Verbindung aus database.js, die beim Start aufgebaut wird
+ */
+
+const database = require('./database');
+
+module.exports = {
+    query: (text, params) => database.query(text, params),
+
+    connect: () => {
+        if (!database.pool) {
+            throw new Error('Datenbankverbindung nicht initialisiert');
+        }
+        return database.pool.connect();
+    }
+};
@@ -0,0 +1,351 @@
+/**
+ * Desk Booking API
+ * REST-Endpunkte für Hot-Seating: Grundrisse, Platzreservierungen, Check-in und Anwesenheit
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const deskBookingService = require('./deskBookingService');
+const resourceBookingService = require('./resourceBookingService');
+const { authenticateToken, requirePermission } = require('./middleware');
+const { userHasPermission } = require('./permissions');
+const i18n = require('./i18n');
+
+// Floor plan images (memory storage, uploaded to the Drive)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024 // 10MB
+    }
+});
+
+const NOT_FOUND_MESSAGES = ['Floor plan not found', 'Desk not found', 'Location not found', 'Reservation not found', 'File not found', 'Resource not found'];
+
+// Validation errors of deskBookingService and resourceBookingService; everything
+// else (e.g. database errors) is answered with a generic 500
+const VALIDATION_PATTERN = /^(date must|period must|name is required|Floor plan must|No valid fields|Desk positions|Desk \d+ not found|Desks can be reserved|You already have|You can have at most|Reservation is|Reservation has|Check-in opens|Invalid|Resource is not bookable|Resource capacity|End time must|Booking must|Booking is not pending)/;
+
+/**
+ * Sends a desk booking error (409 for occupied desks, 404 for unknown objects)
+ */
+function sendDeskError(res, req, error) {
+    let status = null;
+    if (error.conflicts) {
+        status = 409;
+    } else if (NOT_FOUND_MESSAGES.includes(error.message)) {
+        status = 404;
+    } else if (VALIDATION_PATTERN.test(error.message)) {
+        status = 400;
+    }
+
+    if (!status) {
+        return res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+
+    res.status(status).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+    });
+}
+
+// ==============================================
+// FLOOR PLANS
+// ==============================================
+
+/**
+ * GET /api/locations/:id/floor-plans
+ * Floor plans of a location
+ */
+router.get('/locations/:id/floor-plans', authenticateToken, async (req, res) => {
+    try {
+        const plans = await deskBookingService.listFloorPlans(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: plans
+        });
+    } catch (error) {
+        console.error('Error listing floor plans:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * POST /api/locations/:id/floor-plans
+ * Upload a floor plan (multipart: image, name, floor?, display_order?)
+ */
+router.post('/locations/:id/floor-plans', authenticateToken, requirePermission('admin.locations'), upload.single('image'), async (req, res) => {
+    try {
+        const plan = await deskBookingService.createFloorPlan(
+            parseInt(req.params.id),
+            {
+                name: req.body.name,
+                floor: req.body.floor,
+                display_order: req.body.display_order ? parseInt(req.body.display_order) : 0
+            },
+            req.file,
+            req.user.userId
+        );
+
+        res.status(201).json({
+            success: true,
+            data: plan,
+            message: 'Floor plan created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating floor plan:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/floor-plans/:planId
+ * Floor plan with desks and their occupancy
+ * Query: date? (YYYY-MM-DD, default today)
+ */
+router.get('/floor-plans/:planId', authenticateToken, async (req, res) => {
+    try {
+        const plan = await deskBookingService.getFloorPlanOccupancy(parseInt(req.params.planId), req.query.date);
+
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        console.error('Error getting floor plan:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/floor-plans/:planId/image
+ * Floor plan image
+ */
+router.get('/floor-plans/:planId/image', authenticateToken, async (req, res) => {
+    try {
+        const { stream, file } = await deskBookingService.getFloorPlanImage(parseInt(req.params.planId), req.user.userId);
+
+        res.setHeader('Content-Type', file.mime_type);
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error getting floor plan image:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+/**
+ * PUT /api/floor-plans/:planId
+ * Update floor plan (optionally replace the image)
+ */
+router.put('/floor-plans/:planId', authenticateToken, requirePermission('admin.locations'), upload.single('image'), async (req, res) => {
+    try {
+        const plan = await deskBookingService.updateFloorPlan(
+            parseInt(req.params.planId),
+            req.body,
+            req.file,
+            req.user.userId
+        );
+
+        res.json({
+            success: true,
+            data: plan,
+            message: 'Floor plan updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating floor plan:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/floor-plans/:planId
+ * Delete floor plan
+ */
+router.delete('/floor-plans/:planId', authenticateToken, requirePermission('admin.locations'), async (req, res) => {
+    try {
+        await deskBookingService.deleteFloorPlan(parseInt(req.params.planId));
+
+        res.json({
+            success: true,
+            message: 'Floor plan deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting floor plan:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * PUT /api/floor-plans/:planId/desks
+ * Place desks on the floor plan
+ * Body: { desks: [{ resource_id, position_x, position_y }] } (relative 0..1)
+ */
+router.put('/floor-plans/:planId/desks', authenticateToken, requirePermission('admin.locations'), async (req, res) => {
+    try {
+        const { desks } = req.body;
+
+        if (!Array.isArray(desks)) {
+            return res.status(400).json({
+                success: false,
+                message: 'desks must be an array'
+            });
+        }
+
+        await deskBookingService.updateDeskPositions(parseInt(req.params.planId), desks);
+
+        res.json({
+            success: true,
+            message: 'Desk positions updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating desk positions:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+// ==============================================
+// RESERVATIONS
+// ==============================================
+
+/**
+ * POST /api/desks/:resourceId/reservations
+ * Reserve a desk
+ * Body: { date: 'YYYY-MM-DD', period?: 'full_day' | 'morning' | 'afternoon' }
+ */
+router.post('/desks/:resourceId/reservations', authenticateToken, async (req, res) => {
+    try {
+        const booking = await deskBookingService.reserveDesk(req.user.userId, {
+            resource_id: parseInt(req.params.resourceId),
+            date: req.body.date,
+            period: req.body.period
+        });
+
+        res.status(201).json({
+            success: true,
+            data: booking,
+            message: booking.status === 'pending'
+                ? 'Reservation created and awaiting approval'
+                : 'Desk reserved successfully'
+        });
+    } catch (error) {
+        console.error('Error reserving desk:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/user/desk-reservations
+ * Current user's desk reservations
+ * Query: include_past?, limit?
+ */
+router.get('/user/desk-reservations', authenticateToken, async (req, res) => {
+    try {
+        const { include_past, limit = 50 } = req.query;
+
+        const reservations = await deskBookingService.getUserDeskReservations(req.user.userId, {
+            include_past: include_past === 'true',
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: reservations
+        });
+    } catch (error) {
+        console.error('Error getting desk reservations:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/desk-reservations/:id
+ * Cancel a desk reservation
+ */
+router.delete('/desk-reservations/:id', authenticateToken, async (req, res) => {
+    try {
+        const booking = await resourceBookingService.getBooking(parseInt(req.params.id));
+
+        if (!booking || booking.resource_type !== 'desk') {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        if (booking.user_id !== req.user.userId && !(await userHasPermission(req.user, 'bookings.approve'))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        await resourceBookingService.cancelBooking(booking.id, req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Reservation cancelled successfully'
+        });
+    } catch (error) {
+        console.error('Error cancelling desk reservation:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+/**
+ * POST /api/desk-reservations/:id/check-in
+ * Check in to a reserved desk
+ */
+router.post('/desk-reservations/:id/check-in', authenticateToken, async (req, res) => {
+    try {
+        const booking = await deskBookingService.checkIn(parseInt(req.params.id), req.user.userId);
+
+        res.json({
+            success: true,
+            data: booking,
+            message: 'Checked in successfully'
+        });
+    } catch (error) {
+        console.error('Error checking in:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+// ==============================================
+// PRESENCE
+// ==============================================
+
+/**
+ * GET /api/locations/:id/presence
+ * Who is in the office on a day
+ * Query: date? (YYYY-MM-DD, default today)
+ */
+router.get('/locations/:id/presence', authenticateToken, async (req, res) => {
+    try {
+        const presence = await deskBookingService.getOfficePresence(parseInt(req.params.id), req.query.date);
+
+        res.json({
+            success: true,
+            data: presence
+        });
+    } catch (error) {
+        console.error('Error getting office presence:', error);
+        sendDeskError(res, req, error);
+    }
+});
+
+module.exports = router;
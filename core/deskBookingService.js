@@ -0,0 +1,657 @@
+/**
+ * Desk Booking Service
+ * Hot-Seating: Grundrisse pro Standort, Tages-/Halbtagesbuchungen von Arbeitsplätzen,
+ * Check-in mit automatischer Freigabe und "Wer ist heute im Büro?"
+ */
+
+const database = require('./database');
+const driveService = require('./driveService');
+const locationService = require('./locationService');
+const resourceBookingService = require('./resourceBookingService');
+const recurrence = require('./recurrence');
+const notificationService = require('./notificationService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DeskBookingService');
+
+const DESK_RESOURCE_TYPE = 'desk';
+const BOOKING_PERIODS = ['full_day', 'morning', 'afternoon'];
+
+// Check-in is possible this many minutes before the reservation starts
+const CHECKIN_EARLY_MINUTES = 30;
+
+// Defaults for the per-location settings (location_settings)
+const DESK_SETTING_DEFAULTS = {
+    desk_max_active_bookings: 5,      // Zukünftige Reservierungen pro Benutzer
+    desk_max_days_in_advance: 14,
+    desk_checkin_grace_minutes: 30,   // Freigabe ohne Check-in nach Beginn
+    desk_auto_release: true,
+    desk_day_start: '08:00',
+    desk_midday: '13:00',
+    desk_day_end: '18:00'
+};
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+/**
+ * Desk settings of a location merged with the defaults
+ */
+async function getDeskSettings(locationId) {
+    const settings = await locationService.getLocationSettings(locationId);
+    const merged = { ...DESK_SETTING_DEFAULTS };
+
+    for (const key of Object.keys(DESK_SETTING_DEFAULTS)) {
+        if (settings[key] !== undefined && settings[key] !== null) {
+            merged[key] = settings[key];
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Converts "HH:MM" on a local date of the location into a UTC Date
+ * @private
+ */
+function localTime(date, time, timezone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = String(time).split(':').map(Number);
+
+    return recurrence.zonedTimeToUtc({ year, month, day, hour, minute: minute || 0, second: 0 }, timezone);
+}
+
+/**
+ * Time range of a day / half-day reservation at a location
+ */
+function getPeriodRange(date, period, settings, timezone) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        throw new Error('date must be formatted as YYYY-MM-DD');
+    }
+    if (!BOOKING_PERIODS.includes(period)) {
+        throw new Error(`period must be one of: ${BOOKING_PERIODS.join(', ')}`);
+    }
+
+    const bounds = {
+        full_day: [settings.desk_day_start, settings.desk_day_end],
+        morning: [settings.desk_day_start, settings.desk_midday],
+        afternoon: [settings.desk_midday, settings.desk_day_end]
+    }[period];
+
+    return {
+        start: localTime(date, bounds[0], timezone),
+        end: localTime(date, bounds[1], timezone)
+    };
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a timezone
+ * @private
+ */
+function localToday(timezone) {
+    const parts = recurrence.getZonedParts(new Date(), timezone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+/**
+ * Loads a desk including its location
+ * @private
+ */
+async function getDesk(resourceId) {
+    const result = await database.query(
+        `SELECT lr.*, l.timezone, l.name as location_name
+         FROM location_resources lr
+         JOIN locations l ON l.id = lr.location_id
+         WHERE lr.id = $1 AND lr.resource_type = $2 AND lr.is_active = true`,
+        [resourceId, DESK_RESOURCE_TYPE]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Desk not found');
+    }
+
+    return result.rows[0];
+}
+
+// ==============================================
+// FLOOR PLANS
+// ==============================================
+
+/**
+ * Uploads a floor plan image to the Drive and creates the floor plan
+ *
+ * @param {number} locationId
+ * @param {Object} planData - { name, floor, display_order }
+ * @param {Object} file - { buffer, originalname, mimetype }
+ * @param {number} userId
+ */
+async function createFloorPlan(locationId, planData, file, userId) {
+    try {
+        if (!planData.name) {
+            throw new Error('name is required');
+        }
+        if (!file || !/^image\//.test(file.mimetype)) {
+            throw new Error('Floor plan must be an image');
+        }
+
+        // Öffentlich, damit alle Mitarbeiter den Grundriss sehen können
+        const driveFile = await driveService.uploadFile(file.buffer, file.originalname, {
+            userId,
+            description: `Grundriss: ${planData.name}`,
+            tags: ['floor-plan'],
+            visibility: 'public',
+            mimeType: file.mimetype
+        });
+
+        const result = await database.query(
+            `INSERT INTO location_floor_plans (location_id, name, floor, drive_file_id, display_order, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [locationId, planData.name, planData.floor || null, driveFile.id, planData.display_order || 0, userId]
+        );
+
+        logger.info('Floor plan created', { floorPlanId: result.rows[0].id, locationId, userId });
+
+        return result.rows[0];
+
+    } catch (error) {
+        logger.error('Error creating floor plan', { locationId, error: error.message, userId });
+        throw error;
+    }
+}
+
+/**
+ * List floor plans of a location
+ */
+async function listFloorPlans(locationId) {
+    const result = await database.query(
+        `SELECT fp.*,
+                (SELECT COUNT(*) FROM location_resources lr
+                 WHERE lr.floor_plan_id = fp.id AND lr.is_active = true)::int as desk_count
+         FROM location_floor_plans fp
+         WHERE fp.location_id = $1 AND fp.is_active = true
+         ORDER BY fp.display_order ASC, fp.name ASC`,
+        [locationId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Get floor plan (null if not found)
+ */
+async function getFloorPlan(floorPlanId) {
+    const result = await database.query(
+        `SELECT fp.*, l.timezone, l.name as location_name
+         FROM location_floor_plans fp
+         JOIN locations l ON l.id = fp.location_id
+         WHERE fp.id = $1 AND fp.is_active = true`,
+        [floorPlanId]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Floor plan with its desks and their reservations on a day
+ */
+async function getFloorPlanOccupancy(floorPlanId, date = null) {
+    const plan = await getFloorPlan(floorPlanId);
+    if (!plan) {
+        throw new Error('Floor plan not found');
+    }
+
+    const day = date || localToday(plan.timezone);
+    const settings = await getDeskSettings(plan.location_id);
+    const range = getPeriodRange(day, 'full_day', settings, plan.timezone);
+
+    const desks = await database.query(
+        `SELECT id, name, code, description, equipment, position_x, position_y, is_bookable, requires_approval
+         FROM location_resources
+         WHERE floor_plan_id = $1 AND is_active = true
+         ORDER BY name ASC`,
+        [floorPlanId]
+    );
+
+    const bookings = await database.query(
+        `SELECT rb.id, rb.resource_id, rb.user_id, rb.booking_period, rb.start_time, rb.end_time,
+                rb.status, rb.checked_in_at, u.name as user_name, u.avatar_url
+         FROM resource_bookings rb
+         JOIN location_resources lr ON lr.id = rb.resource_id
+         JOIN users u ON u.id = rb.user_id
+         WHERE lr.floor_plan_id = $1
+           AND rb.status = ANY($2)
+           AND rb.start_time < $4
+           AND rb.end_time > $3
+         ORDER BY rb.start_time ASC`,
+        [floorPlanId, resourceBookingService.BLOCKING_STATUSES, range.start, range.end]
+    );
+
+    return {
+        ...plan,
+        date: day,
+        desks: desks.rows.map(desk => ({
+            ...desk,
+            bookings: bookings.rows.filter(booking => booking.resource_id === desk.id)
+        }))
+    };
+}
+
+/**
+ * Streams the floor plan image from the Drive
+ */
+async function getFloorPlanImage(floorPlanId, userId) {
+    const plan = await getFloorPlan(floorPlanId);
+    if (!plan || !plan.drive_file_id) {
+        throw new Error('Floor plan not found');
+    }
+
+    return driveService.getFileStream(plan.drive_file_id, userId);
+}
+
+/**
+ * Update floor plan (optionally with a new image)
+ */
+async function updateFloorPlan(floorPlanId, updates, file, userId) {
+    const allowedFields = ['name', 'floor', 'display_order', 'is_active'];
+    const fields = [];
+    const params = [];
+
+    Object.keys(updates).forEach(key => {
+        if (allowedFields.includes(key)) {
+            params.push(updates[key]);
+            fields.push(`${key} = $${params.length}`);
+        }
+    });
+
+    if (file) {
+        if (!/^image\//.test(file.mimetype)) {
+            throw new Error('Floor plan must be an image');
+        }
+
+        const driveFile = await driveService.uploadFile(file.buffer, file.originalname, {
+            userId,
+            tags: ['floor-plan'],
+            visibility: 'public',
+            mimeType: file.mimetype
+        });
+
+        params.push(driveFile.id);
+        fields.push(`drive_file_id = $${params.length}`);
+    }
+
+    if (fields.length === 0) {
+        throw new Error('No valid fields to update');
+    }
+
+    params.push(floorPlanId);
+    const result = await database.query(
+        `UPDATE location_floor_plans
+         SET ${fields.join(', ')}
+         WHERE id = $${params.length}
+         RETURNING *`,
+        params
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Floor plan not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Delete floor plan (desks stay, but lose their position)
+ */
+async function deleteFloorPlan(floorPlanId) {
+    await database.query('DELETE FROM location_floor_plans WHERE id = $1', [floorPlanId]);
+}
+
+/**
+ * Places desks on a floor plan
+ *
+ * @param {number} floorPlanId
+ * @param {Array<{resource_id: number, position_x: number, position_y: number}>} positions - relative (0..1)
+ */
+async function updateDeskPositions(floorPlanId, positions) {
+    const plan = await getFloorPlan(floorPlanId);
+    if (!plan) {
+        throw new Error('Floor plan not found');
+    }
+
+    for (const position of positions) {
+        const x = Number(position.position_x);
+        const y = Number(position.position_y);
+        if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+            throw new Error('Desk positions must be relative coordinates between 0 and 1');
+        }
+    }
+
+    const client = await database.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        for (const position of positions) {
+            const result = await client.query(
+                `UPDATE location_resources
+                 SET floor_plan_id = $1, position_x = $2, position_y = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $4 AND location_id = $5 AND resource_type = $6
+                 RETURNING id`,
+                [floorPlanId, position.position_x, position.position_y, position.resource_id, plan.location_id, DESK_RESOURCE_TYPE]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error(`Desk ${position.resource_id} not found at this location`);
+            }
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    logger.info('Desk positions updated', { floorPlanId, count: positions.length });
+}
+
+// ==============================================
+// RESERVATIONS
+// ==============================================
+
+/**
+ * Reserves a desk for a day or half-day
+ *
+ * @param {number} userId
+ * @param {Object} reservation - { resource_id, date: 'YYYY-MM-DD', period: 'full_day' | 'morning' | 'afternoon' }
+ */
+async function reserveDesk(userId, reservation) {
+    const { resource_id, date, period = 'full_day' } = reservation;
+
+    try {
+        const desk = await getDesk(resource_id);
+        const settings = await getDeskSettings(desk.location_id);
+        const range = getPeriodRange(date, period, settings, desk.timezone);
+
+        if (range.end <= new Date()) {
+            throw new Error('Reservation is in the past');
+        }
+
+        const today = localToday(desk.timezone);
+        const daysAhead = Math.round((Date.parse(date) - Date.parse(today)) / (24 * 60 * 60 * 1000));
+        if (daysAhead > settings.desk_max_days_in_advance) {
+            throw new Error(`Desks can be reserved at most ${settings.desk_max_days_in_advance} days in advance`);
+        }
+
+        const client = await database.pool.connect();
+        let result;
+
+        try {
+            await client.query('BEGIN');
+
+            // Reservierungen eines Benutzers nacheinander, damit gleichzeitige Anfragen
+            // die Prüfungen unten nicht beide bestehen
+            await client.query("SELECT pg_advisory_xact_lock(hashtext('desk_reservation'), $1)", [userId]);
+
+            // Ein Platz pro Person und Zeitraum, begrenzte Anzahl offener Reservierungen
+            const existing = await client.query(
+                `SELECT rb.start_time, rb.end_time
+                 FROM resource_bookings rb
+                 JOIN location_resources lr ON lr.id = rb.resource_id
+                 WHERE rb.user_id = $1
+                   AND lr.resource_type = $2
+                   AND rb.status = ANY($3)
+                   AND rb.end_time > CURRENT_TIMESTAMP`,
+                [userId, DESK_RESOURCE_TYPE, resourceBookingService.BLOCKING_STATUSES]
+            );
+
+            const overlapping = existing.rows.some(booking =>
+                new Date(booking.start_time) < range.end && new Date(booking.end_time) > range.start
+            );
+            if (overlapping) {
+                throw new Error('You already have a desk reserved for this time');
+            }
+
+            if (existing.rows.length >= settings.desk_max_active_bookings) {
+                throw new Error(`You can have at most ${settings.desk_max_active_bookings} upcoming desk reservations`);
+            }
+
+            result = await resourceBookingService.createBooking({
+                resource_id,
+                start_time: range.start,
+                end_time: range.end,
+                title: desk.name,
+                timezone: desk.timezone,
+                booking_period: period
+            }, userId, { client });
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        return result.bookings[0];
+
+    } catch (error) {
+        logger.error('Error reserving desk', { resourceId: resource_id, date, period, error: error.message, userId });
+        throw error;
+    }
+}
+
+/**
+ * Desk reservations of a user
+ */
+async function getUserDeskReservations(userId, options = {}) {
+    const { include_past = false, limit = 50 } = options;
+
+    const result = await database.query(
+        `SELECT rb.*, lr.name as desk_name, lr.code as desk_code, lr.floor_plan_id,
+                lr.location_id, l.name as location_name, fp.name as floor_plan_name
+         FROM resource_bookings rb
+         JOIN location_resources lr ON lr.id = rb.resource_id
+         JOIN locations l ON l.id = lr.location_id
+         LEFT JOIN location_floor_plans fp ON fp.id = lr.floor_plan_id
+         WHERE rb.user_id = $1
+           AND lr.resource_type = $2
+           ${include_past ? '' : 'AND rb.end_time > CURRENT_TIMESTAMP AND rb.status = ANY($4)'}
+         ORDER BY rb.start_time ${include_past ? 'DESC' : 'ASC'}
+         LIMIT $3`,
+        include_past
+            ? [userId, DESK_RESOURCE_TYPE, limit]
+            : [userId, DESK_RESOURCE_TYPE, limit, resourceBookingService.BLOCKING_STATUSES]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Check in to a desk reservation
+ */
+async function checkIn(bookingId, userId) {
+    const booking = await resourceBookingService.getBooking(bookingId);
+
+    if (!booking || booking.resource_type !== DESK_RESOURCE_TYPE || booking.user_id !== userId) {
+        throw new Error('Reservation not found');
+    }
+    if (booking.status !== 'confirmed') {
+        throw new Error('Reservation is not active');
+    }
+    if (booking.checked_in_at) {
+        return booking;
+    }
+
+    const now = Date.now();
+    if (now < new Date(booking.start_time).getTime() - CHECKIN_EARLY_MINUTES * 60 * 1000) {
+        throw new Error(`Check-in opens ${CHECKIN_EARLY_MINUTES} minutes before the reservation`);
+    }
+    if (now >= new Date(booking.end_time).getTime()) {
+        throw new Error('Reservation has already ended');
+    }
+
+    const result = await database.query(
+        `UPDATE resource_bookings SET checked_in_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND status = 'confirmed'
+         RETURNING *`,
+        [bookingId]
+    );
+
+    logger.info('Desk check-in', { bookingId, userId });
+
+    return result.rows[0];
+}
+
+/**
+ * Releases desk reservations without check-in after the grace period (no-shows)
+ * and notifies the users
+ *
+ * @returns {Promise<number>} Number of released reservations
+ */
+async function releaseNoShows() {
+    const result = await database.query(
+        `UPDATE resource_bookings rb
+         SET status = 'released', released_at = CURRENT_TIMESTAMP
+         FROM location_resources lr
+         LEFT JOIN location_settings grace
+                ON grace.location_id = lr.location_id AND grace.setting_key = 'desk_checkin_grace_minutes'
+         LEFT JOIN location_settings auto
+                ON auto.location_id = lr.location_id AND auto.setting_key = 'desk_auto_release'
+         WHERE rb.resource_id = lr.id
+           AND lr.resource_type = $1
+           AND rb.status = 'confirmed'
+           AND rb.checked_in_at IS NULL
+           AND COALESCE((auto.setting_value #>> '{}')::boolean, $2)
+           AND rb.start_time + make_interval(mins => COALESCE((grace.setting_value #>> '{}')::int, $3)) <= CURRENT_TIMESTAMP
+         RETURNING rb.id, rb.user_id, lr.name, lr.location_id`,
+        [DESK_RESOURCE_TYPE, DESK_SETTING_DEFAULTS.desk_auto_release, DESK_SETTING_DEFAULTS.desk_checkin_grace_minutes]
+    );
+
+    for (const released of result.rows) {
+        try {
+            await notificationService.createNotification({
+                user_id: released.user_id,
+                notification_type: 'desk_released',
+                source_type: 'resource_booking',
+                source_id: released.id,
+                title: 'Platz freigegeben',
+                message: `Deine Reservierung für ${released.name} wurde freigegeben, da kein Check-in erfolgt ist`,
+                link: `/locations/${released.location_id}/desks`
+            });
+        } catch (error) {
+            logger.warn('Failed to notify about released desk', { bookingId: released.id, error: error.message });
+        }
+    }
+
+    if (result.rows.length > 0) {
+        logger.info(`Released ${result.rows.length} desk reservations without check-in`);
+    }
+
+    return result.rows.length;
+}
+
+// ==============================================
+// PRESENCE
+// ==============================================
+
+/**
+ * Who is in the office: users assigned to the location (user_locations) and
+ * everybody with a desk reservation there on the given day
+ */
+async function getOfficePresence(locationId, date = null) {
+    const location = await locationService.findLocationById(locationId);
+    const day = date || localToday(location.timezone);
+    const settings = await getDeskSettings(locationId);
+    const range = getPeriodRange(day, 'full_day', settings, location.timezone);
+
+    const result = await database.query(
+        `WITH day_bookings AS (
+            SELECT rb.id, rb.user_id, rb.resource_id, rb.booking_period, rb.start_time, rb.end_time,
+                   rb.checked_in_at, lr.name as desk_name, lr.code as desk_code, lr.floor_plan_id
+            FROM resource_bookings rb
+            JOIN location_resources lr ON lr.id = rb.resource_id
+            WHERE lr.location_id = $1
+              AND lr.resource_type = $4
+              AND rb.status = ANY($5)
+              AND rb.start_time < $3
+              AND rb.end_time > $2
+        )
+        SELECT u.id as user_id, u.name, u.email, u.avatar_url,
+               ul.is_primary, ul.department, ul.work_model,
+               (ul.user_id IS NULL) as is_visitor,
+               us.status as presence_status,
+               COALESCE(
+                   json_agg(json_build_object(
+                       'booking_id', db.id,
+                       'desk_id', db.resource_id,
+                       'desk_name', db.desk_name,
+                       'desk_code', db.desk_code,
+                       'floor_plan_id', db.floor_plan_id,
+                       'period', db.booking_period,
+                       'start_time', db.start_time,
+                       'end_time', db.end_time,
+                       'checked_in_at', db.checked_in_at
+                   ) ORDER BY db.start_time) FILTER (WHERE db.id IS NOT NULL),
+                   '[]'
+               ) as desks
+        FROM users u
+        LEFT JOIN user_locations ul ON ul.user_id = u.id AND ul.location_id = $1
+            AND (ul.valid_from IS NULL OR ul.valid_from <= $6::date)
+            AND (ul.valid_until IS NULL OR ul.valid_until >= $6::date)
+        LEFT JOIN day_bookings db ON db.user_id = u.id
+        LEFT JOIN user_status us ON us.user_id = u.id
+        WHERE u.is_active = true
+          AND (ul.user_id IS NOT NULL OR db.id IS NOT NULL)
+        GROUP BY u.id, ul.user_id, ul.is_primary, ul.department, ul.work_model, us.status
+        ORDER BY COUNT(db.id) = 0, u.name ASC`,
+        [locationId, range.start, range.end, DESK_RESOURCE_TYPE, resourceBookingService.BLOCKING_STATUSES, day]
+    );
+
+    const users = result.rows.map(row => ({
+        ...row,
+        in_office: row.desks.length > 0 && row.presence_status !== 'oof'
+    }));
+
+    return {
+        location_id: location.id,
+        location_name: location.name,
+        date: day,
+        summary: {
+            assigned: users.filter(user => !user.is_visitor).length,
+            in_office: users.filter(user => user.in_office).length,
+            checked_in: users.filter(user => user.desks.some(desk => desk.checked_in_at)).length,
+            visitors: users.filter(user => user.is_visitor).length
+        },
+        users
+    };
+}
+
+module.exports = {
+    // Settings
+    getDeskSettings,
+    getPeriodRange,
+    BOOKING_PERIODS,
+
+    // Floor plans
+    createFloorPlan,
+    listFloorPlans,
+    getFloorPlan,
+    getFloorPlanOccupancy,
+    getFloorPlanImage,
+    updateFloorPlan,
+    deleteFloorPlan,
+    updateDeskPositions,
+
+    // Reservations
+    reserveDesk,
+    getUserDeskReservations,
+    checkIn,
+    releaseNoShows,
+
+    // Presence
+    getOfficePresence
+};
@@ -0,0 +1,64 @@
+// =====================================================
+// Desk Release Worker - Hot-Seating No-Show Release
+// =====================================================
+// Purpose: Release desk reservations that were not
+// checked in within the location's grace period
+// =====================================================
+
+const deskBookingService = require('./deskBookingService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DeskReleaseWorker');
+
+const CHECK_INTERVAL = parseInt(process.env.DESK_RELEASE_CHECK_MINUTES || 5) * 60 * 1000;
+
+let checkTimer = null;
+let running = false;
+
+/**
+ * Release all overdue reservations without check-in
+ */
+async function releaseNoShows() {
+    if (running) {
+        return;
+    }
+
+    running = true;
+
+    try {
+        await deskBookingService.releaseNoShows();
+    } catch (error) {
+        logger.error('Error in releaseNoShows', { error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the desk release worker
+ */
+function startWorker() {
+    logger.info(`Starting desk release worker (check interval: ${CHECK_INTERVAL / 1000 / 60} minutes)`);
+
+    checkTimer = setInterval(() => {
+        releaseNoShows();
+    }, CHECK_INTERVAL);
+
+    releaseNoShows();
+}
+
+/**
+ * Stop the worker
+ */
+function stopWorker() {
+    logger.info('Stopping desk release worker...');
+
+    clearInterval(checkTimer);
+    checkTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    releaseNoShows
+};
@@ -6,7 +6,12 @@ const express = require('express');
 const multer = require('multer');
 const router = express.Router();
 const driveService = require('./driveService');
+const driveQuotaService = require('./driveQuotaService');
+const driveUploadService = require('./driveUploadService');
+const drivePreviewService = require('./drivePreviewService');
+const auditService = require('./auditService');
 const { authenticateToken } = require('./middleware');
+const { requirePermission } = require('./permissions');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('DriveAPI');
@@ -18,11 +23,8 @@ const upload = multer({
         fileSize: parseInt(process.env.DRIVE_MAX_FILE_SIZE) || 100 * 1024 * 1024 // 100MB
     },
     fileFilter: (req, file, cb) => {
-        // Optional: Block dangerous file types
-        const dangerousExtensions = ['.exe', '.bat', '.cmd', '.sh', '.ps1'];
-        const ext = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
-
-        if (dangerousExtensions.includes(ext)) {
+        // Block dangerous file types
+        if (!driveService.isAllowedFileName(file.originalname)) {
             return cb(new Error('File type not allowed'), false);
         }
 
@@ -30,6 +32,54 @@ const upload = multer({
     }
 });
 
+/**
+ * Error responses for the sharing, trash, quota, folder, upload and preview endpoints
+ */
+function sendDriveError(res, req, error) {
+    const statusMap = {
+        'File not found': [404, req.t('drive:errors.fileNotFound')],
+        'Folder not found': [404, req.t('drive:errors.folderNotFound')],
+        'Share not found': [404, error.message],
+        'Group not found': [404, error.message],
+        'User not found': [404, error.message],
+        'Quota not found': [404, error.message],
+        'Group is not active': [400, error.message],
+        'Invalid permission': [400, error.message],
+        'Invalid expiry date': [400, error.message],
+        'Either sharedWithUserId or sharedWithGroupId is required': [400, error.message],
+        'Item was deleted with its folder': [400, error.message],
+        'Invalid quota scope': [400, error.message],
+        'Invalid quota size': [400, error.message],
+        'Invalid warning percent': [400, error.message],
+        'Folder cannot be moved into itself': [400, error.message],
+        'Storage quota exceeded': [413, req.t('drive:errors.quotaExceeded')],
+        'Folder quota exceeded': [413, req.t('drive:errors.folderQuotaExceeded')],
+        'Upload session not found': [404, error.message],
+        'File name is required': [400, error.message],
+        'File type not allowed': [400, error.message],
+        'Invalid file size': [400, error.message],
+        'Invalid chunk size': [400, error.message],
+        'Invalid chunk index': [400, error.message],
+        'Invalid checksum': [400, error.message],
+        'Chunk checksum is required': [400, error.message],
+        'Chunk checksum mismatch': [400, error.message],
+        'File checksum mismatch': [400, error.message],
+        'File too large': [413, req.t('drive:errors.fileTooLarge')],
+        'Name already exists': [409, error.message],
+        'Upload incomplete': [409, error.message],
+        'Upload already completed': [409, error.message],
+        'Preview not available': [404, error.message],
+        'Access denied': [403, req.t('errors:general.accessDenied')]
+    };
+
+    const [status, message] = statusMap[error.message] || [500, error.message];
+
+    res.status(status).json({
+        success: false,
+        error: message
+    });
+}
+
 // =====================================================
 // FILE ENDPOINTS
 // =====================================================
@@ -55,7 +105,7 @@ router.post('/drive/files/upload', authenticateToken, upload.single('file'), asy
         } = req.body;
 
         const file = await driveService.uploadFile(req.file.buffer, req.file.originalname, {
-            userId: req.user.id,
+            userId: req.user.userId,
             folderId: folderId ? parseInt(folderId) : null,
             description,
             tags: tags ? (Array.isArray(tags) ? tags : JSON.parse(tags)) : [],
@@ -72,7 +122,7 @@ router.post('/drive/files/upload', authenticateToken, upload.single('file'), asy
         logger.info('File uploaded via API', {
             fileId: file.id,
             fileName: file.name,
-            userId: req.user.id
+            userId: req.user.userId
         });
 
     } catch (error) {
@@ -85,6 +135,20 @@ router.post('/drive/files/upload', authenticateToken, upload.single('file'), asy
             });
         }
 
+        if (error.message === 'Folder quota exceeded') {
+            return res.status(413).json({
+                success: false,
+                error: req.t('drive:errors.folderQuotaExceeded')
+            });
+        }
+
+        if (error.message === 'Access denied') {
+            return res.status(403).json({
+                success: false,
+                error: req.t('errors:general.accessDenied')
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: error.message
@@ -92,9 +156,135 @@ router.post('/drive/files/upload', authenticateToken, upload.single('file'), asy
     }
 });
 
+// =====================================================
+// CHUNKED UPLOAD ENDPOINTS
+// =====================================================
+// Resumable uploads for large files: open a session, PUT the chunks
+// (raw body, header X-Chunk-Checksum = SHA-256 hex), then complete.
+// After a lost connection GET the session and send missingChunks.
+
+/**
+ * POST /api/drive/uploads
+ * Body: fileName, size, folderId, mimeType, description, tags, visibility,
+ * chunkSize (optional), checksum (optional SHA-256 of the whole file)
+ */
+router.post('/drive/uploads', authenticateToken, async (req, res) => {
+    try {
+        const { folderId, size, chunkSize } = req.body;
+
+        const session = await driveUploadService.createSession({
+            ...req.body,
+            folderId: folderId ? parseInt(folderId) : null,
+            size: Number(size),
+            chunkSize: chunkSize !== undefined ? Number(chunkSize) : undefined
+        }, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        logger.error('Upload session creation failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/drive/uploads/:id
+ * Progress of an upload session (received and missing chunks)
+ */
+router.get('/drive/uploads/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await driveUploadService.getSession(req.params.id, req.user.userId);
+
+        res.json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * PUT /api/drive/uploads/:id/chunks/:index
+ * Raw chunk content (Content-Type: application/octet-stream)
+ */
+router.put('/drive/uploads/:id/chunks/:index', authenticateToken, async (req, res) => {
+    try {
+        const session = await driveUploadService.storeChunk(
+            req.params.id,
+            Number(req.params.index),
+            req,
+            req.get('X-Chunk-Checksum'),
+            req.user.userId
+        );
+
+        res.json({
+            success: true,
+            data: session
+        });
+
+    } catch (error) {
+        logger.warn('Chunk upload failed', { sessionId: req.params.id, index: req.params.index, error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * POST /api/drive/uploads/:id/complete
+ * Body: checksum (optional SHA-256 of the whole file)
+ */
+router.post('/drive/uploads/:id/complete', authenticateToken, async (req, res) => {
+    try {
+        const file = await driveUploadService.completeSession(req.params.id, req.user.userId, {
+            checksum: req.body.checksum
+        });
+
+        res.json({
+            success: true,
+            data: file,
+            message: req.t('drive:upload.success')
+        });
+
+        logger.info('File uploaded via chunked upload', {
+            fileId: file.id,
+            fileName: file.name,
+            userId: req.user.userId
+        });
+
+    } catch (error) {
+        logger.error('Completing upload failed', { sessionId: req.params.id, error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/drive/uploads/:id
+ * Cancel an upload session
+ */
+router.delete('/drive/uploads/:id', authenticateToken, async (req, res) => {
+    try {
+        await driveUploadService.abortSession(req.params.id, req.user.userId);
+
+        res.json({
+            success: true
+        });
+
+    } catch (error) {
+        sendDriveError(res, req, error);
+    }
+});
+
 /**
  * GET /api/drive/files
  * List files in folder (or root)
+ * With ?search= the name, description, tags and extracted content of all
+ * accessible files are searched (scope=folder: only the folder); results are
+ * sorted by relevance and carry a snippet (matches marked with **) when the
+ * content matched
  */
 router.get('/drive/files', authenticateToken, async (req, res) => {
     try {
@@ -102,19 +292,21 @@ router.get('/drive/files', authenticateToken, async (req, res) => {
             folderId,
             limit = 50,
             offset = 0,
-            sortBy = 'created_at',
-            sortOrder = 'DESC',
-            search
+            search,
+            scope,
+            sortBy = search ? 'relevance' : 'created_at',
+            sortOrder = 'DESC'
         } = req.query;
 
         const result = await driveService.listFiles({
             folderId: folderId ? parseInt(folderId) : null,
-            userId: req.user.id,
+            userId: req.user.userId,
             limit: parseInt(limit),
             offset: parseInt(offset),
             sortBy,
             sortOrder,
-            search
+            search,
+            scope
         });
 
         res.json({
@@ -144,7 +336,7 @@ router.get('/drive/files', authenticateToken, async (req, res) => {
 router.get('/drive/files/:id', authenticateToken, async (req, res) => {
     try {
         const fileId = parseInt(req.params.id);
-        const file = await driveService.getFile(fileId, req.user.id);
+        const file = await driveService.getFile(fileId, req.user.userId);
 
         res.json({
             success: true,
@@ -182,7 +374,7 @@ router.get('/drive/files/:id', authenticateToken, async (req, res) => {
 router.get('/drive/files/:id/download', authenticateToken, async (req, res) => {
     try {
         const fileId = parseInt(req.params.id);
-        const { stream, file } = await driveService.getFileStream(fileId, req.user.id);
+        const { stream, file } = await driveService.getFileStream(fileId, req.user.userId);
 
         // Set headers
         res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
@@ -192,7 +384,7 @@ router.get('/drive/files/:id/download', authenticateToken, async (req, res) => {
         // Pipe stream
         stream.pipe(res);
 
-        logger.info('File downloaded', { fileId, userId: req.user.id });
+        logger.info('File downloaded', { fileId, userId: req.user.userId });
 
     } catch (error) {
         logger.error('File download failed', { error: error.message, fileId: req.params.id });
@@ -218,6 +410,114 @@ router.get('/drive/files/:id/download', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/drive/files/:id/download-url
+ * Time-limited download URL (presigned URL for S3 storage)
+ */
+router.get('/drive/files/:id/download-url', authenticateToken, async (req, res) => {
+    try {
+        const fileId = parseInt(req.params.id);
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const result = await driveService.getDownloadUrl(fileId, req.user.userId, baseUrl);
+
+        logger.info('Download URL created', { fileId, userId: req.user.userId });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Download URL creation failed', { error: error.message, fileId: req.params.id });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * Send a thumbnail or preview image (revalidated via ETag)
+ */
+async function sendPreview(req, res, variant) {
+    try {
+        const fileId = parseInt(req.params.id);
+        const { stream, preview } = await drivePreviewService.getPreview(fileId, req.user.userId, variant);
+        const etag = `"${preview.content_hash}"`;
+
+        res.setHeader('ETag', etag);
+        res.setHeader('Cache-Control', 'private, no-cache');
+
+        if (req.headers['if-none-match'] === etag) {
+            stream.destroy();
+            return res.status(304).end();
+        }
+
+        res.setHeader('Content-Type', preview.mime_type);
+        res.setHeader('Content-Length', preview.size_bytes);
+
+        stream.pipe(res);
+
+    } catch (error) {
+        logger.error('Preview download failed', { error: error.message, fileId: req.params.id, variant });
+        sendDriveError(res, req, error);
+    }
+}
+
+/**
+ * GET /api/drive/files/:id/thumbnail?size=256
+ * Thumbnail (WebP) of an image or PDF
+ */
+router.get('/drive/files/:id/thumbnail', authenticateToken, (req, res) =>
+    sendPreview(req, res, drivePreviewService.thumbnailVariant(req.query.size))
+);
+
+/**
+ * GET /api/drive/files/:id/preview
+ * Large preview (WebP) of an image or the first page of a PDF
+ */
+router.get('/drive/files/:id/preview', authenticateToken, (req, res) =>
+    sendPreview(req, res, 'preview')
+);
+
+/**
+ * GET /api/drive/blobs/:token
+ * Download via signed URL (local storage; S3 URLs point to the bucket)
+ */
+router.get('/drive/blobs/:token', async (req, res) => {
+    try {
+        const blob = driveService.storage.name === 'local'
+            ? driveService.storage.verifySignedToken(req.params.token)
+            : null;
+
+        if (!blob) {
+            return res.status(404).json({
+                success: false,
+                error: 'Link not found or expired'
+            });
+        }
+
+        const stream = await driveService.getBlobStream(blob.key);
+
+        res.setHeader('Content-Type', blob.mimeType || 'application/octet-stream');
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(blob.fileName || 'download')}"`);
+
+        stream.pipe(res);
+
+    } catch (error) {
+        logger.error('Signed URL download failed', { error: error.message });
+
+        if (error.message === 'File not found on disk') {
+            return res.status(404).json({
+                success: false,
+                error: req.t('drive:errors.fileNotFound')
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * DELETE /api/drive/files/:id
  * Delete file (soft delete)
@@ -225,14 +525,14 @@ router.get('/drive/files/:id/download', authenticateToken, async (req, res) => {
 router.delete('/drive/files/:id', authenticateToken, async (req, res) => {
     try {
         const fileId = parseInt(req.params.id);
-        await driveService.deleteFile(fileId, req.user.id);
+        await driveService.deleteFile(fileId, req.user.userId);
 
         res.json({
             success: true,
             message: req.t('drive:delete.success')
         });
 
-        logger.info('File deleted', { fileId, userId: req.user.id });
+        logger.info('File deleted', { fileId, userId: req.user.userId });
 
     } catch (error) {
         logger.error('File delete failed', { error: error.message, fileId: req.params.id });
@@ -267,10 +567,18 @@ router.put('/drive/files/:id', authenticateToken, async (req, res) => {
         const fileId = parseInt(req.params.id);
         const { name, description, tags, visibility } = req.body;
 
-        // Check access
-        const file = await driveService.getFile(fileId, req.user.id);
+        // Editing requires write access, changing the visibility admin access
+        const permission = await driveService.getFilePermission(fileId, req.user.userId);
 
-        if (file.uploaded_by !== req.user.id) {
+        if (!permission) {
+            return res.status(404).json({
+                success: false,
+                error: req.t('drive:errors.fileNotFound')
+            });
+        }
+
+        const allowed = visibility !== undefined ? permission === 'admin' : permission !== 'read';
+        if (!allowed) {
             return res.status(403).json({
                 success: false,
                 error: req.t('errors:general.accessDenied')
@@ -296,7 +604,7 @@ router.put('/drive/files/:id', authenticateToken, async (req, res) => {
             message: req.t('drive:update.success')
         });
 
-        logger.info('File metadata updated', { fileId, userId: req.user.id });
+        logger.info('File metadata updated', { fileId, userId: req.user.userId });
 
     } catch (error) {
         logger.error('File update failed', { error: error.message, fileId: req.params.id });
@@ -327,7 +635,7 @@ router.post('/drive/folders', authenticateToken, async (req, res) => {
         }
 
         const folder = await driveService.createFolder(name, {
-            userId: req.user.id,
+            userId: req.user.userId,
             parentId: parentId ? parseInt(parentId) : null,
             description,
             visibility
@@ -339,10 +647,25 @@ router.post('/drive/folders', authenticateToken, async (req, res) => {
             message: req.t('drive:folder.created')
         });
 
-        logger.info('Folder created', { folderId: folder.id, name, userId: req.user.id });
+        logger.info('Folder created', { folderId: folder.id, name, userId: req.user.userId });
 
     } catch (error) {
         logger.error('Folder creation failed', { error: error.message });
+
+        if (error.message === 'Parent folder not found') {
+            return res.status(404).json({
+                success: false,
+                error: req.t('drive:errors.folderNotFound')
+            });
+        }
+
+        if (error.message === 'Access denied') {
+            return res.status(403).json({
+                success: false,
+                error: req.t('errors:general.accessDenied')
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: error.message
@@ -360,7 +683,7 @@ router.get('/drive/folders', authenticateToken, async (req, res) => {
 
         const folders = await driveService.listFolders({
             parentId: parentId ? parseInt(parentId) : null,
-            userId: req.user.id,
+            userId: req.user.userId,
             limit: parseInt(limit),
             offset: parseInt(offset)
         });
@@ -386,39 +709,30 @@ router.get('/drive/folders', authenticateToken, async (req, res) => {
 router.get('/drive/folders/:id', authenticateToken, async (req, res) => {
     try {
         const folderId = parseInt(req.params.id);
+        const folder = await driveService.getFolder(folderId, req.user.userId);
 
-        const pool = require('./db');
-        const result = await pool.query(`
-            SELECT f.*, u.name as owner_name
-            FROM drive_folders f
-            LEFT JOIN users u ON f.owner_id = u.id
-            WHERE f.id = $1 AND f.deleted_at IS NULL
-        `, [folderId]);
+        res.json({
+            success: true,
+            data: folder
+        });
 
-        if (result.rows.length === 0) {
+    } catch (error) {
+        logger.error('Get folder failed', { error: error.message, folderId: req.params.id });
+
+        if (error.message === 'Folder not found') {
             return res.status(404).json({
                 success: false,
                 error: req.t('drive:errors.folderNotFound')
             });
         }
 
-        const folder = result.rows[0];
-
-        // Check access
-        if (folder.owner_id !== req.user.id && folder.visibility !== 'public') {
+        if (error.message === 'Access denied') {
             return res.status(403).json({
                 success: false,
                 error: req.t('errors:general.accessDenied')
             });
         }
 
-        res.json({
-            success: true,
-            data: folder
-        });
-
-    } catch (error) {
-        logger.error('Get folder failed', { error: error.message, folderId: req.params.id });
         res.status(500).json({
             success: false,
             error: error.message
@@ -432,37 +746,200 @@ router.get('/drive/folders/:id', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/drive/files/:id/share
- * Share file with user
+ * Share file with a user (sharedWithUserId) or a group (sharedWithGroupId)
  */
 router.post('/drive/files/:id/share', authenticateToken, async (req, res) => {
     try {
         const fileId = parseInt(req.params.id);
-        const { sharedWithUserId, permission = 'read', expiresAt } = req.body;
+        const { sharedWithUserId, sharedWithGroupId, permission = 'read', expiresAt } = req.body;
 
-        if (!sharedWithUserId) {
+        if (!sharedWithUserId && !sharedWithGroupId) {
             return res.status(400).json({
                 success: false,
                 error: req.t('errors:validation.required', { field: 'sharedWithUserId' })
             });
         }
 
+        const recipient = sharedWithGroupId
+            ? { shared_with_group_id: parseInt(sharedWithGroupId) }
+            : { shared_with_user_id: parseInt(sharedWithUserId) };
+
         const share = await driveService.shareFile(fileId, {
-            sharedBy: req.user.id,
-            sharedWithUserId: parseInt(sharedWithUserId),
+            sharedBy: req.user.userId,
+            sharedWithUserId: recipient.shared_with_user_id || null,
+            sharedWithGroupId: recipient.shared_with_group_id || null,
             permission,
             expiresAt: expiresAt ? new Date(expiresAt) : null
         });
 
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_SHARE_CREATE,
+            req,
+            resourceType: 'file',
+            resourceId: fileId,
+            description: sharedWithGroupId
+                ? `File shared with group ${sharedWithGroupId} (${permission})`
+                : `File shared with user ${sharedWithUserId} (${permission})`,
+            changes: { after: { ...recipient, permission, expires_at: expiresAt || null } }
+        });
+
         res.json({
             success: true,
             data: share,
             message: req.t('drive:share.success')
         });
 
-        logger.info('File shared', { fileId, sharedWithUserId, userId: req.user.id });
+        logger.info('File shared', { fileId, sharedWithUserId, sharedWithGroupId, userId: req.user.userId });
 
     } catch (error) {
         logger.error('File sharing failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * POST /api/drive/folders/:id/share
+ * Share folder (and everything below it) with a user or a group
+ */
+router.post('/drive/folders/:id/share', authenticateToken, async (req, res) => {
+    try {
+        const folderId = parseInt(req.params.id);
+        const { sharedWithUserId, sharedWithGroupId, permission = 'read', expiresAt } = req.body;
+
+        if (!sharedWithUserId && !sharedWithGroupId) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('errors:validation.required', { field: 'sharedWithUserId' })
+            });
+        }
+
+        const recipient = sharedWithGroupId
+            ? { shared_with_group_id: parseInt(sharedWithGroupId) }
+            : { shared_with_user_id: parseInt(sharedWithUserId) };
+
+        const share = await driveService.shareFolder(folderId, {
+            sharedBy: req.user.userId,
+            sharedWithUserId: recipient.shared_with_user_id || null,
+            sharedWithGroupId: recipient.shared_with_group_id || null,
+            permission,
+            expiresAt: expiresAt ? new Date(expiresAt) : null
+        });
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_SHARE_CREATE,
+            req,
+            resourceType: 'folder',
+            resourceId: folderId,
+            description: sharedWithGroupId
+                ? `Folder shared with group ${sharedWithGroupId} (${permission})`
+                : `Folder shared with user ${sharedWithUserId} (${permission})`,
+            changes: { after: { ...recipient, permission, expires_at: expiresAt || null } }
+        });
+
+        res.json({
+            success: true,
+            data: share,
+            message: req.t('drive:share.success')
+        });
+
+        logger.info('Folder shared', { folderId, sharedWithUserId, sharedWithGroupId, userId: req.user.userId });
+
+    } catch (error) {
+        logger.error('Folder sharing failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/drive/files/:id/shares
+ * Active shares and public links of a file (admin permission required)
+ */
+router.get('/drive/files/:id/shares', authenticateToken, async (req, res) => {
+    try {
+        const shares = await driveService.listShares({ fileId: parseInt(req.params.id) }, req.user.userId);
+
+        res.json({
+            success: true,
+            data: shares
+        });
+
+    } catch (error) {
+        logger.error('List file shares failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/drive/folders/:id/shares
+ * Active shares of a folder (admin permission required)
+ */
+router.get('/drive/folders/:id/shares', authenticateToken, async (req, res) => {
+    try {
+        const shares = await driveService.listShares({ folderId: parseInt(req.params.id) }, req.user.userId);
+
+        res.json({
+            success: true,
+            data: shares
+        });
+
+    } catch (error) {
+        logger.error('List folder shares failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/drive/shares/:id
+ * Revoke a share or public link
+ */
+router.delete('/drive/shares/:id', authenticateToken, async (req, res) => {
+    try {
+        const share = await driveService.revokeShare(parseInt(req.params.id), req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_SHARE_REVOKE,
+            req,
+            resourceType: share.file_id ? 'file' : 'folder',
+            resourceId: share.file_id || share.folder_id,
+            description: `Share ${share.id} revoked`,
+            changes: {
+                before: {
+                    shared_with_user_id: share.shared_with_user_id,
+                    shared_with_group_id: share.shared_with_group_id,
+                    public_link: !!share.public_token,
+                    permission: share.permission
+                }
+            }
+        });
+
+        res.json({
+            success: true,
+            message: req.t('drive:share.revoked')
+        });
+
+        logger.info('Share revoked', { shareId: share.id, userId: req.user.userId });
+
+    } catch (error) {
+        logger.error('Share revoke failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/drive/shared
+ * "Shared with me": folders and files shared with the user or their groups
+ */
+router.get('/drive/shared', authenticateToken, async (req, res) => {
+    try {
+        const shared = await driveService.getSharedWithMe(req.user.userId);
+
+        res.json({
+            success: true,
+            data: shared
+        });
+
+    } catch (error) {
+        logger.error('List shared items failed', { error: error.message });
         res.status(500).json({
             success: false,
             error: error.message
@@ -481,24 +958,30 @@ router.post('/drive/files/:id/public-link', authenticateToken, async (req, res)
 
         const link = await driveService.createPublicLink(
             fileId,
-            req.user.id,
+            req.user.userId,
             expiresAt ? new Date(expiresAt) : null
         );
 
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_PUBLIC_LINK_CREATE,
+            req,
+            resourceType: 'file',
+            resourceId: fileId,
+            description: 'Public link created',
+            changes: { after: { expires_at: expiresAt || null } }
+        });
+
         res.json({
             success: true,
             data: link,
             message: req.t('drive:share.linkCreated')
         });
 
-        logger.info('Public link created', { fileId, userId: req.user.id });
+        logger.info('Public link created', { fileId, userId: req.user.userId });
 
     } catch (error) {
         logger.error('Public link creation failed', { error: error.message });
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendDriveError(res, req, error);
     }
 });
 
@@ -518,11 +1001,21 @@ router.get('/drive/public/:token', async (req, res) => {
             FROM drive_shares s
             JOIN drive_files f ON s.file_id = f.id
             WHERE s.public_token = $1
+              AND s.revoked_at IS NULL
               AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
               AND f.deleted_at IS NULL
         `, [token]);
 
         if (shareResult.rows.length === 0) {
+            await auditService.log({
+                action: auditService.ACTIONS.DRIVE_PUBLIC_LINK_ACCESS,
+                req,
+                resourceType: 'file',
+                requestPath: '/api/drive/public/:token',
+                status: 'failure',
+                errorMessage: 'Link not found or expired'
+            });
+
             return res.status(404).json({
                 success: false,
                 error: 'Link not found or expired'
@@ -530,7 +1023,16 @@ router.get('/drive/public/:token', async (req, res) => {
         }
 
         const file = shareResult.rows[0];
-        const filePath = require('path').join(driveService.uploadDir, '..', file.file_path);
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_PUBLIC_LINK_ACCESS,
+            req,
+            resourceType: 'file',
+            resourceId: file.id,
+            requestPath: '/api/drive/public/:token',
+            description: `Public download of ${file.name}`
+        });
+        const stream = await driveService.getBlobStream(file.file_path);
 
         // Update access stats
         await pool.query(`
@@ -545,8 +1047,6 @@ router.get('/drive/public/:token', async (req, res) => {
         res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.name)}"`);
         res.setHeader('Content-Length', file.file_size_bytes);
 
-        const fsSync = require('fs');
-        const stream = fsSync.createReadStream(filePath);
         stream.pipe(res);
 
         logger.info('File downloaded via public link', { fileId: file.id, token });
@@ -566,12 +1066,15 @@ router.get('/drive/public/:token', async (req, res) => {
 
 /**
  * GET /api/drive/stats
- * Get user storage statistics
+ * Get user storage statistics (effective quota, usage by file type and by folder)
  */
 router.get('/drive/stats', authenticateToken, async (req, res) => {
     try {
-        const usage = await driveService.getUserStorageUsage(req.user.id);
-        const quota = driveService.defaultQuota;
+        const [usage, quota, breakdown] = await Promise.all([
+            driveService.getUserStorageUsage(req.user.userId),
+            driveQuotaService.getUserQuota(req.user.userId),
+            driveQuotaService.getUsageBreakdown(req.user.userId)
+        ]);
 
         const pool = require('./db');
 
@@ -587,11 +1090,11 @@ router.get('/drive/stats', authenticateToken, async (req, res) => {
             WHERE uploaded_by = $1
               AND deleted_at IS NULL
               AND is_current_version = true
-        `, [req.user.id]);
+        `, [req.user.userId]);
 
         const folderCountResult = await pool.query(
             'SELECT COUNT(*) as total FROM drive_folders WHERE owner_id = $1 AND deleted_at IS NULL',
-            [req.user.id]
+            [req.user.userId]
         );
 
         res.json({
@@ -599,14 +1102,17 @@ router.get('/drive/stats', authenticateToken, async (req, res) => {
             data: {
                 storage: {
                     used: usage,
-                    quota: quota,
-                    percentage: Math.round((usage / quota) * 100),
-                    available: quota - usage
+                    quota: quota.quotaBytes,
+                    percentage: quota.quotaBytes > 0 ? Math.round((usage / quota.quotaBytes) * 100) : 100,
+                    available: Math.max(quota.quotaBytes - usage, 0),
+                    warningPercent: quota.warningPercent,
+                    source: quota.source
                 },
                 files: statsResult.rows[0],
                 folders: {
                     total: parseInt(folderCountResult.rows[0].total)
-                }
+                },
+                breakdown
             }
         });
 
@@ -619,6 +1125,117 @@ router.get('/drive/stats', authenticateToken, async (req, res) => {
     }
 });
 
+// =====================================================
+// QUOTA ADMINISTRATION ENDPOINTS
+// =====================================================
+
+/**
+ * GET /api/drive/admin/quotas
+ * Quota overrides of users, groups and folders with current usage
+ */
+router.get('/drive/admin/quotas', authenticateToken, requirePermission('drive.quotas'), async (req, res) => {
+    try {
+        const quotas = await driveQuotaService.listQuotas();
+
+        res.json({
+            success: true,
+            data: {
+                defaultQuota: driveQuotaService.defaultQuota,
+                defaultWarningPercent: driveQuotaService.defaultWarningPercent,
+                quotas
+            }
+        });
+
+    } catch (error) {
+        logger.error('List quotas failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/drive/admin/quotas/report
+ * Storage usage of all active users, fullest first
+ * Query: minPercent (only users at or above this fill level)
+ */
+router.get('/drive/admin/quotas/report', authenticateToken, requirePermission('drive.quotas'), async (req, res) => {
+    try {
+        const report = await driveQuotaService.getUsageReport({
+            minPercent: parseInt(req.query.minPercent) || 0
+        });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        logger.error('Quota report failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * PUT /api/drive/admin/quotas/:scope/:id
+ * Set the quota of a user, group or folder
+ * Body: quotaBytes, warningPercent? (NULL = DRIVE_QUOTA_WARNING_PERCENT)
+ */
+router.put('/drive/admin/quotas/:scope(users|groups|folders)/:id', authenticateToken, requirePermission('drive.quotas'), async (req, res) => {
+    try {
+        const targetId = parseInt(req.params.id);
+        const { before, after } = await driveQuotaService.setQuota(req.params.scope, targetId, req.body, req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_QUOTA_UPDATE,
+            req,
+            resourceType: 'drive_quota',
+            resourceId: after.id,
+            description: `Drive quota of ${req.params.scope} ${targetId} set to ${after.quota_bytes} bytes`,
+            changes: {
+                before: before ? { quota_bytes: before.quota_bytes, warning_percent: before.warning_percent } : null,
+                after: { quota_bytes: after.quota_bytes, warning_percent: after.warning_percent }
+            }
+        });
+
+        res.json({
+            success: true,
+            data: after
+        });
+
+    } catch (error) {
+        logger.error('Set quota failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/drive/admin/quotas/:scope/:id
+ * Remove a quota override (falls back to the group or default quota)
+ */
+router.delete('/drive/admin/quotas/:scope(users|groups|folders)/:id', authenticateToken, requirePermission('drive.quotas'), async (req, res) => {
+    try {
+        const targetId = parseInt(req.params.id);
+        const quota = await driveQuotaService.deleteQuota(req.params.scope, targetId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_QUOTA_DELETE,
+            req,
+            resourceType: 'drive_quota',
+            resourceId: quota.id,
+            description: `Drive quota of ${req.params.scope} ${targetId} removed`,
+            changes: { before: { quota_bytes: quota.quota_bytes, warning_percent: quota.warning_percent } }
+        });
+
+        res.json({
+            success: true,
+            message: 'Quota removed'
+        });
+
+    } catch (error) {
+        logger.error('Delete quota failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
 // =====================================================
 // FOLDER MANAGEMENT ENDPOINTS
 // =====================================================
@@ -632,53 +1249,24 @@ router.put('/drive/folders/:id', authenticateToken, async (req, res) => {
         const folderId = parseInt(req.params.id);
         const { name, description, parentId } = req.body;
 
-        const pool = require('./db');
-
-        // Check ownership
-        const folderResult = await pool.query(
-            'SELECT owner_id FROM drive_folders WHERE id = $1 AND deleted_at IS NULL',
-            [folderId]
-        );
-
-        if (folderResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: req.t('drive:errors.folderNotFound')
-            });
-        }
-
-        if (folderResult.rows[0].owner_id !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                error: req.t('errors:general.accessDenied')
-            });
-        }
-
-        // Update folder
-        const result = await pool.query(`
-            UPDATE drive_folders
-            SET name = COALESCE($1, name),
-                description = COALESCE($2, description),
-                parent_id = COALESCE($3, parent_id),
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $4
-            RETURNING *
-        `, [name, description, parentId !== undefined ? parentId : null, folderId]);
+        // A missing or null parentId keeps the folder where it is
+        const result = await driveService.updateFolder(folderId, {
+            name,
+            description,
+            parentId: parentId !== undefined && parentId !== null ? parseInt(parentId) : undefined
+        }, req.user.userId);
 
         res.json({
             success: true,
-            data: result.rows[0],
+            data: result,
             message: req.t('drive:folders.updated')
         });
 
-        logger.info('Folder updated', { folderId, userId: req.user.id });
+        logger.info('Folder updated', { folderId, userId: req.user.userId });
 
     } catch (error) {
         logger.error('Folder update failed', { error: error.message });
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendDriveError(res, req, error);
     }
 });
 
@@ -689,48 +1277,147 @@ router.put('/drive/folders/:id', authenticateToken, async (req, res) => {
 router.delete('/drive/folders/:id', authenticateToken, async (req, res) => {
     try {
         const folderId = parseInt(req.params.id);
+        const result = await driveService.deleteFolder(folderId, req.user.userId);
 
-        const pool = require('./db');
+        res.json({
+            success: true,
+            data: result,
+            message: req.t('drive:folders.deleted')
+        });
 
-        // Check ownership
-        const folderResult = await pool.query(
-            'SELECT owner_id FROM drive_folders WHERE id = $1 AND deleted_at IS NULL',
-            [folderId]
-        );
+        logger.info('Folder deleted', { folderId, userId: req.user.userId });
 
-        if (folderResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: req.t('drive:errors.folderNotFound')
-            });
-        }
+    } catch (error) {
+        logger.error('Folder delete failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
 
-        if (folderResult.rows[0].owner_id !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                error: req.t('errors:general.accessDenied')
-            });
-        }
+// =====================================================
+// TRASH ENDPOINTS
+// =====================================================
 
-        // Soft delete
-        await pool.query(
-            'UPDATE drive_folders SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1',
-            [folderId]
-        );
+/**
+ * GET /api/drive/trash
+ * Deleted files and folders of the user (deleted by them or owned by them)
+ */
+router.get('/drive/trash', authenticateToken, async (req, res) => {
+    try {
+        const trash = await driveService.listTrash(req.user.userId);
 
         res.json({
             success: true,
-            message: req.t('drive:folders.deleted')
+            data: trash
+        });
+
+    } catch (error) {
+        logger.error('List trash failed', { error: error.message });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * POST /api/drive/trash/:type/:id/restore
+ * Restore a file or folder (type: files|folders) to its original location.
+ * Body: onConflict? ('rename' (default) | 'fail')
+ */
+router.post('/drive/trash/:type(files|folders)/:id/restore', authenticateToken, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const isFolder = req.params.type === 'folders';
+        const options = { onConflict: req.body.onConflict === 'fail' ? 'fail' : 'rename' };
+
+        const result = isFolder
+            ? await driveService.restoreFolder(id, req.user.userId, options)
+            : await driveService.restoreFile(id, req.user.userId, options);
+        const item = isFolder ? result.folder : result.file;
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_RESTORE,
+            req,
+            resourceType: isFolder ? 'folder' : 'file',
+            resourceId: id,
+            description: `${isFolder ? 'Folder' : 'File'} ${item.name} restored from trash`,
+            changes: {
+                after: {
+                    name: item.name,
+                    [isFolder ? 'parent_id' : 'folder_id']: isFolder ? item.parent_id : item.folder_id,
+                    restored_to_original: result.restoredToOriginal
+                }
+            }
         });
 
-        logger.info('Folder deleted', { folderId, userId: req.user.id });
+        res.json({
+            success: true,
+            data: result,
+            message: req.t('drive:trash.restored')
+        });
 
     } catch (error) {
-        logger.error('Folder delete failed', { error: error.message });
-        res.status(500).json({
-            success: false,
-            error: error.message
+        logger.error('Restore failed', { error: error.message, id: req.params.id });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/drive/trash/:type/:id
+ * Permanently delete a trashed file or folder (type: files|folders)
+ */
+router.delete('/drive/trash/:type(files|folders)/:id', authenticateToken, async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const isFolder = req.params.type === 'folders';
+
+        const result = isFolder
+            ? await driveService.purgeFolder(id, req.user.userId)
+            : await driveService.purgeFile(id, req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_PURGE,
+            req,
+            resourceType: isFolder ? 'folder' : 'file',
+            resourceId: id,
+            description: `${isFolder ? 'Folder' : 'File'} ${id} permanently deleted`,
+            changes: { before: result }
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: req.t('drive:trash.purged')
         });
+
+    } catch (error) {
+        logger.error('Permanent delete failed', { error: error.message, id: req.params.id });
+        sendDriveError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/drive/trash
+ * Empty the user's trash
+ */
+router.delete('/drive/trash', authenticateToken, async (req, res) => {
+    try {
+        const result = await driveService.emptyTrash(req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.DRIVE_PURGE,
+            req,
+            resourceType: 'trash',
+            description: `Trash emptied (${result.files} files, ${result.folders} folders)`,
+            changes: { before: result }
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: req.t('drive:trash.purged')
+        });
+
+    } catch (error) {
+        logger.error('Empty trash failed', { error: error.message });
+        sendDriveError(res, req, error);
     }
 });
 
@@ -747,7 +1434,7 @@ router.get('/drive/files/:id/versions', authenticateToken, async (req, res) => {
         const fileId = parseInt(req.params.id);
 
         // Check access to file
-        const file = await driveService.getFile(fileId, req.user.id);
+        const file = await driveService.getFile(fileId, req.user.userId);
 
         const pool = require('./db');
 
@@ -790,10 +1477,10 @@ router.post('/drive/files/:id/restore-version', authenticateToken, async (req, r
             });
         }
 
-        // Check ownership
-        const file = await driveService.getFile(fileId, req.user.id);
+        // Restoring a version requires write access
+        await driveService.getFile(fileId, req.user.userId);
 
-        if (file.uploaded_by !== req.user.id) {
+        if (!(await driveService.checkFileAccess(fileId, req.user.userId, 'write'))) {
             return res.status(403).json({
                 success: false,
                 error: req.t('errors:general.accessDenied')
@@ -830,22 +1517,27 @@ router.post('/drive/files/:id/restore-version', authenticateToken, async (req, r
         `, [fileId]);
 
         // Restore version to main file
-        await pool.query(`
+        const restored = await pool.query(`
             UPDATE drive_files
             SET file_path = $1,
                 file_hash = $2,
                 file_size_bytes = $3,
+                preview_status = CASE WHEN preview_status IS NULL THEN NULL ELSE 'pending' END,
+                index_status = CASE WHEN index_status IS NULL THEN NULL ELSE 'pending' END,
                 version = version + 1,
                 updated_at = CURRENT_TIMESTAMP
             WHERE id = $4
+            RETURNING *
         `, [version.file_path, version.file_hash, version.file_size_bytes, fileId]);
 
+        driveService.notifyFileStored(restored.rows[0]);
+
         res.json({
             success: true,
             message: 'Version restored successfully'
         });
 
-        logger.info('Version restored', { fileId, versionId, userId: req.user.id });
+        logger.info('Version restored', { fileId, versionId, userId: req.user.userId });
 
     } catch (error) {
         logger.error('Version restore failed', { error: error.message });
@@ -875,7 +1567,7 @@ router.get('/users', authenticateToken, async (req, res) => {
               AND id != $1
             ORDER BY name, username
             LIMIT 100
-        `, [req.user.id]);
+        `, [req.user.userId]);
 
         res.json({
             success: true,
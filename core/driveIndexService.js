@@ -0,0 +1,396 @@
+// =====================================================
+// Drive Index Service - Volltextindex der Dateiinhalte
+// =====================================================
+//
+// Files with index_status 'pending' are processed in the background:
+// the text of plain text, Markdown, PDF (pdftotext from poppler-utils),
+// DOCX, XLSX and ODT files is extracted once per content hash and
+// stored in drive_file_contents. The drive search matches it with
+// weight D and returns highlighted snippets.
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const { pipeline } = require('stream/promises');
+const database = require('./database');
+const driveService = require('./driveService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DriveIndexService');
+
+// Configuration
+const MAX_CHARS = parseInt(process.env.DRIVE_INDEX_MAX_CHARS) || 200000;
+const MAX_FILE_SIZE = parseInt(process.env.DRIVE_INDEX_MAX_FILE_SIZE) || 52428800; // 50MB
+const PDFTOTEXT_PATH = process.env.DRIVE_PDFTOTEXT_PATH || 'pdftotext';
+const PDF_EXTRACT_TIMEOUT_MS = 60 * 1000;
+
+// Limit for a single unpacked XML part of an Office document (zip bombs)
+const MAX_XML_BYTES = 64 * 1024 * 1024;
+
+// Files stuck in 'processing' (crashed worker) are picked up again
+const PROCESSING_TIMEOUT_MINUTES = 15;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+class DriveIndexService {
+    constructor() {
+        this.maxChars = MAX_CHARS;
+        this.maxFileSize = MAX_FILE_SIZE;
+    }
+
+    // =====================================================
+    // PROCESSING
+    // =====================================================
+
+    /**
+     * Claim the next pending file (safe with several app instances)
+     * @private
+     */
+    async _claimNext() {
+        const result = await database.query(`
+            UPDATE drive_files
+            SET index_status = 'processing',
+                index_attempted_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM drive_files
+                WHERE deleted_at IS NULL
+                  AND (
+                      index_status = 'pending'
+                      OR (index_status = 'processing'
+                          AND index_attempted_at < CURRENT_TIMESTAMP - INTERVAL '${PROCESSING_TIMEOUT_MINUTES} minutes')
+                  )
+                ORDER BY id
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING id, name, file_path, file_hash, mime_type, file_size_bytes
+        `);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Index pending files until the queue is empty
+     * @returns {Promise<number>} Number of processed files
+     */
+    async processPending() {
+        let processed = 0;
+        let file;
+
+        while ((file = await this._claimNext())) {
+            await this.processFile(file);
+            processed++;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Extract and store the text of one file
+     */
+    async processFile(file) {
+        const kind = driveService.indexKind(file.name, file.mime_type);
+        let status = 'indexed';
+
+        try {
+            const existing = await database.query(
+                'SELECT 1 FROM drive_file_contents WHERE file_hash = $1',
+                [file.file_hash]
+            );
+
+            if (existing.rows.length > 0) {
+                // Same content was indexed before (copy, identical upload, restored version)
+            } else if (!kind || parseInt(file.file_size_bytes) > this.maxFileSize) {
+                status = 'unsupported';
+            } else {
+                const text = this._normalizeText(await this._extractFromBlob(file, kind));
+                const truncated = text.length > this.maxChars;
+                const content = truncated ? text.substring(0, this.maxChars) : text;
+
+                await database.query(`
+                    INSERT INTO drive_file_contents (file_hash, content, content_vector, truncated)
+                    VALUES ($1, $2, setweight(to_tsvector('german', $2), 'D'), $3)
+                    ON CONFLICT (file_hash) DO NOTHING
+                `, [file.file_hash, content, truncated]);
+            }
+
+        } catch (error) {
+            if (error.code === 'ENOENT' && error.path === PDFTOTEXT_PATH) {
+                logger.warn('pdftotext not found, PDF indexing is disabled', { fileId: file.id });
+                status = 'unsupported';
+            } else {
+                logger.error('Content indexing failed', { fileId: file.id, error: error.message });
+                status = 'failed';
+            }
+        }
+
+        // Content may have changed meanwhile; then the file is pending again
+        await database.query(`
+            UPDATE drive_files
+            SET index_status = $3
+            WHERE id = $1 AND file_hash = $2 AND index_status = 'processing'
+        `, [file.id, file.file_hash, status]);
+
+        logger.info('Content indexed', { fileId: file.id, kind, status });
+
+        return status;
+    }
+
+    /**
+     * Copy the blob to a temporary file and extract its text
+     * @private
+     */
+    async _extractFromBlob(file, kind) {
+        const sourcePath = driveService.tempFilePath();
+
+        try {
+            await pipeline(await driveService.getBlobStream(file.file_path), fsSync.createWriteStream(sourcePath));
+
+            return await this.extractText(sourcePath, kind);
+        } finally {
+            await fs.unlink(sourcePath).catch(() => {});
+        }
+    }
+
+    // =====================================================
+    // TEXT EXTRACTION
+    // =====================================================
+
+    /**
+     * Plain text of a file
+     * @param {string} kind - 'text', 'pdf', 'docx', 'xlsx' or 'odt'
+     */
+    async extractText(filePath, kind) {
+        switch (kind) {
+            case 'text':
+                return this._decodeText(await fs.readFile(filePath));
+            case 'pdf':
+                return this._extractPdf(filePath);
+            case 'docx':
+                return this._extractDocx(this._readZip(await fs.readFile(filePath)));
+            case 'xlsx':
+                return this._extractXlsx(this._readZip(await fs.readFile(filePath)));
+            case 'odt':
+                return this._extractOdt(this._readZip(await fs.readFile(filePath)));
+            default:
+                throw new Error(`Unsupported index type: ${kind}`);
+        }
+    }
+
+    /**
+     * UTF-8 with Latin-1 fallback for older text files
+     * @private
+     */
+    _decodeText(buffer) {
+        const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+        return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+    }
+
+    /**
+     * @private
+     */
+    _extractPdf(filePath) {
+        return new Promise((resolve, reject) => {
+            execFile(PDFTOTEXT_PATH, ['-enc', 'UTF-8', '-q', filePath, '-'], {
+                timeout: PDF_EXTRACT_TIMEOUT_MS,
+                maxBuffer: this.maxChars * 4
+            }, (error, stdout) => {
+                // Very long documents: the beginning is enough for the index
+                if (error && error.code !== 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+                    reject(error);
+                } else {
+                    resolve(stdout.replace(/\f/g, '\n'));
+                }
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _extractDocx(zip) {
+        const xml = this._zipEntry(zip, 'word/document.xml');
+
+        return this._xmlToText(xml
+            .replace(/<w:(?:tab|br|cr)\b[^>]*\/>/g, match => (match.startsWith('<w:tab') ? '\t' : '\n'))
+            .replace(/<\/w:p>/g, '\n')
+            // Field instructions (e.g. HYPERLINK "...") are no document text
+            .replace(/<w:instrText\b[^>]*>[\s\S]*?<\/w:instrText>/g, ''));
+    }
+
+    /**
+     * Shared strings plus the values of all worksheets
+     * @private
+     */
+    _extractXlsx(zip) {
+        const parts = [];
+
+        if (zip.entries.has('xl/sharedStrings.xml')) {
+            parts.push(this._xmlToText(this._zipEntry(zip, 'xl/sharedStrings.xml')
+                // Phonetic hints would duplicate the text
+                .replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')
+                .replace(/<\/si>/g, '\n')));
+        }
+
+        const sheets = [...zip.entries.keys()]
+            .filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+            .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+        for (const sheet of sheets) {
+            const rows = this._zipEntry(zip, sheet).split(/<\/row>/);
+            const lines = [];
+
+            for (const row of rows) {
+                const values = [];
+                // Shared strings (t="s") are covered above; formulas are skipped
+                const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+                let cell;
+
+                while ((cell = cellPattern.exec(row))) {
+                    const [, attributes, body = ''] = cell;
+                    if (/\bt="s"/.test(attributes)) continue;
+
+                    const value = body.match(/<v>([\s\S]*?)<\/v>/) || body.match(/<is>([\s\S]*?)<\/is>/);
+                    if (value) {
+                        values.push(this._xmlToText(value[1]));
+                    }
+                }
+
+                if (values.length > 0) {
+                    lines.push(values.join('\t'));
+                }
+            }
+
+            parts.push(lines.join('\n'));
+        }
+
+        return parts.join('\n');
+    }
+
+    /**
+     * @private
+     */
+    _extractOdt(zip) {
+        const xml = this._zipEntry(zip, 'content.xml');
+
+        return this._xmlToText(xml
+            .replace(/<text:tab\b[^>]*\/>/g, '\t')
+            .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+            .replace(/<text:s\b[^>]*\/>/g, ' ')
+            .replace(/<\/text:(?:p|h)>/g, '\n'));
+    }
+
+    /**
+     * Remove all tags and decode entities
+     * @private
+     */
+    _xmlToText(xml) {
+        return xml
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+                if (entity[0] === '#') {
+                    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+                }
+                return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+            });
+    }
+
+    /**
+     * Clean up whitespace; PostgreSQL text must not contain NUL
+     * @private
+     */
+    _normalizeText(text) {
+        return text
+            .replace(/\0/g, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // =====================================================
+    // ZIP (Office documents)
+    // =====================================================
+
+    /**
+     * Entries of a ZIP archive from its central directory
+     * @private
+     * @returns {Object} { buffer, entries: Map name → { method, compressedSize, size, offset } }
+     */
+    _readZip(buffer) {
+        // End of central directory: at the end, followed by up to 64KB comment
+        const searchStart = Math.max(0, buffer.length - 22 - 0xFFFF);
+        let eocd = -1;
+        for (let i = buffer.length - 22; i >= searchStart; i--) {
+            if (buffer.readUInt32LE(i) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+
+        if (eocd === -1) {
+            throw new Error('Invalid document: not a ZIP archive');
+        }
+
+        const count = buffer.readUInt16LE(eocd + 10);
+        let offset = buffer.readUInt32LE(eocd + 16);
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+                throw new Error('Invalid document: corrupt ZIP directory');
+            }
+
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+
+            entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+                method: buffer.readUInt16LE(offset + 10),
+                compressedSize: buffer.readUInt32LE(offset + 20),
+                size: buffer.readUInt32LE(offset + 24),
+                offset: buffer.readUInt32LE(offset + 42)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return { buffer, entries };
+    }
+
+    /**
+     * Unpacked content of a ZIP entry as UTF-8
+     * @private
+     */
+    _zipEntry({ buffer, entries }, name) {
+        const entry = entries.get(name);
+        if (!entry) {
+            throw new Error(`Invalid document: ${name} missing`);
+        }
+
+        if (entry.offset + 30 > buffer.length || buffer.readUInt32LE(entry.offset) !== 0x04034b50) {
+            throw new Error('Invalid document: corrupt ZIP entry');
+        }
+
+        const start = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        if (entry.size > MAX_XML_BYTES) {
+            throw new Error(`Invalid document: ${name} too large`);
+        }
+
+        if (entry.method === 0) {
+            return data.toString('utf8');
+        }
+        if (entry.method === 8) {
+            return zlib.inflateRawSync(data, { maxOutputLength: MAX_XML_BYTES }).toString('utf8');
+        }
+
+        throw new Error(`Invalid document: unsupported compression ${entry.method}`);
+    }
+}
+
+module.exports = new DriveIndexService();
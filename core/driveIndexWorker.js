@@ -0,0 +1,84 @@
+// =====================================================
+// Drive Index Worker - Volltextindex der Dateiinhalte
+// =====================================================
+// Purpose: Extract the text of new drive content for the
+// search. Runs right after an upload or a new version
+// (DRIVE_FILE_STORED) and periodically for files that were
+// queued by other instances or before a restart
+// =====================================================
+
+const driveIndexService = require('./driveIndexService');
+const eventBus = require('./eventBus');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DriveIndexWorker');
+
+const CHECK_INTERVAL = parseInt(process.env.DRIVE_INDEX_CHECK_SECONDS || 60) * 1000;
+
+let checkTimer = null;
+let running = false;
+let rerun = false;
+
+/**
+ * Index all pending files
+ */
+async function processPending() {
+    if (running) {
+        // Uploads during a run are picked up right afterwards
+        rerun = true;
+        return;
+    }
+
+    running = true;
+
+    try {
+        do {
+            rerun = false;
+            const processed = await driveIndexService.processPending();
+
+            if (processed > 0) {
+                logger.info(`Indexed content of ${processed} file(s)`);
+            }
+        } while (rerun);
+    } catch (error) {
+        logger.error('Error in processPending', { error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+function onFileStored() {
+    processPending();
+}
+
+/**
+ * Start the drive index worker
+ */
+function startWorker() {
+    logger.info(`Starting drive index worker (max ${driveIndexService.maxChars} characters per file, check interval: ${CHECK_INTERVAL / 1000} seconds)`);
+
+    eventBus.on('DRIVE_FILE_STORED', onFileStored);
+
+    checkTimer = setInterval(() => {
+        processPending();
+    }, CHECK_INTERVAL);
+
+    processPending();
+}
+
+/**
+ * Stop the worker
+ */
+function stopWorker() {
+    logger.info('Stopping drive index worker...');
+
+    eventBus.off('DRIVE_FILE_STORED', onFileStored);
+    clearInterval(checkTimer);
+    checkTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    processPending
+};
@@ -0,0 +1,334 @@
+// =====================================================
+// Drive Preview Service - Thumbnails, Previews, Metadata
+// =====================================================
+//
+// Files with preview_status 'pending' are processed in the background:
+// image dimensions and EXIF data go to drive_files.metadata, thumbnails
+// (DRIVE_THUMBNAIL_SIZES) and a large preview are stored as WebP in the
+// drive storage backend. PDFs are rendered from their first page
+// (pdftoppm from poppler-utils).
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { pipeline } = require('stream/promises');
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+const database = require('./database');
+const driveService = require('./driveService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DrivePreviewService');
+
+// Configuration
+const THUMBNAIL_SIZES = (process.env.DRIVE_THUMBNAIL_SIZES || '128,256,512')
+    .split(',')
+    .map(size => parseInt(size))
+    .filter(size => size > 0)
+    .sort((a, b) => a - b);
+const PREVIEW_SIZE = parseInt(process.env.DRIVE_PREVIEW_SIZE) || 1600;
+const PDFTOPPM_PATH = process.env.DRIVE_PDFTOPPM_PATH || 'pdftoppm';
+const PDF_RENDER_TIMEOUT_MS = 60 * 1000;
+
+// Files stuck in 'processing' (crashed worker) are picked up again
+const PROCESSING_TIMEOUT_MINUTES = 15;
+
+// Metadata keys written by the worker (replaced on every run)
+const METADATA_KEYS = ['width', 'height', 'format', 'pages', 'exif'];
+
+class DrivePreviewService {
+    constructor() {
+        this.thumbnailSizes = THUMBNAIL_SIZES;
+        this.previewSize = PREVIEW_SIZE;
+    }
+
+    /**
+     * Thumbnail variant for a requested size: the smallest one that is at
+     * least as large, otherwise the largest
+     */
+    thumbnailVariant(size) {
+        const requested = parseInt(size) || 256;
+        const match = this.thumbnailSizes.find(thumbnailSize => thumbnailSize >= requested);
+
+        return `thumb-${match || this.thumbnailSizes[this.thumbnailSizes.length - 1]}`;
+    }
+
+    /**
+     * Thumbnail and preview URLs of a file (null until generated)
+     */
+    previewUrls(file) {
+        if (file.preview_status !== 'ready') {
+            return { thumbnailUrl: null, previewUrl: null };
+        }
+
+        return {
+            thumbnailUrl: `/api/drive/files/${file.id}/thumbnail`,
+            previewUrl: `/api/drive/files/${file.id}/preview`
+        };
+    }
+
+    /**
+     * Stream of a thumbnail or the preview of a file
+     * @param {string} variant - 'preview' or a thumbnail variant
+     * @returns {Promise<Object>} { stream, preview }
+     */
+    async getPreview(fileId, userId, variant) {
+        const file = await driveService.getFile(fileId, userId);
+
+        const result = await database.query(
+            'SELECT * FROM drive_file_previews WHERE file_hash = $1 AND variant = $2',
+            [file.file_hash, variant]
+        );
+
+        if (file.preview_status !== 'ready' || result.rows.length === 0) {
+            throw new Error('Preview not available');
+        }
+
+        const preview = result.rows[0];
+
+        return {
+            stream: await driveService.getBlobStream(preview.storage_path),
+            preview
+        };
+    }
+
+    // =====================================================
+    // PROCESSING
+    // =====================================================
+
+    /**
+     * Claim the next pending file (safe with several app instances)
+     * @private
+     */
+    async _claimNext() {
+        const result = await database.query(`
+            UPDATE drive_files
+            SET preview_status = 'processing',
+                preview_attempted_at = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM drive_files
+                WHERE deleted_at IS NULL
+                  AND (
+                      preview_status = 'pending'
+                      OR (preview_status = 'processing'
+                          AND preview_attempted_at < CURRENT_TIMESTAMP - INTERVAL '${PROCESSING_TIMEOUT_MINUTES} minutes')
+                  )
+                ORDER BY id
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING id, name, file_path, file_hash, mime_type
+        `);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Process pending files until the queue is empty
+     * @returns {Promise<number>} Number of processed files
+     */
+    async processPending() {
+        let processed = 0;
+        let file;
+
+        while ((file = await this._claimNext())) {
+            await this.processFile(file);
+            processed++;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Extract metadata and generate the previews of one file
+     */
+    async processFile(file) {
+        const sourcePath = driveService.tempFilePath();
+        const renderedPath = `${sourcePath}.png`;
+        let status = 'ready';
+        let metadata = {};
+
+        try {
+            await pipeline(await driveService.getBlobStream(file.file_path), fsSync.createWriteStream(sourcePath));
+
+            let imagePath = sourcePath;
+            if (await this._isPdf(sourcePath)) {
+                await this._renderPdfPage(sourcePath, renderedPath);
+                imagePath = renderedPath;
+            } else {
+                metadata = await this._imageMetadata(sourcePath);
+            }
+
+            await this._generatePreviews(file.file_hash, imagePath);
+
+        } catch (error) {
+            if (error.code === 'ENOENT' && error.path === PDFTOPPM_PATH) {
+                logger.warn('pdftoppm not found, PDF previews are disabled', { fileId: file.id });
+                status = 'unsupported';
+            } else {
+                logger.error('Preview generation failed', { fileId: file.id, error: error.message });
+                status = 'failed';
+            }
+        } finally {
+            await fs.unlink(sourcePath).catch(() => {});
+            await fs.unlink(renderedPath).catch(() => {});
+        }
+
+        // Content may have changed meanwhile; then the file is pending again
+        await database.query(`
+            UPDATE drive_files
+            SET preview_status = $3,
+                metadata = (COALESCE(metadata, '{}'::jsonb) - $4::text[]) || $5::jsonb
+            WHERE id = $1 AND file_hash = $2 AND preview_status = 'processing'
+        `, [file.id, file.file_hash, status, METADATA_KEYS, JSON.stringify(metadata)]);
+
+        logger.info('Preview processed', { fileId: file.id, status });
+
+        return status;
+    }
+
+    /**
+     * @private
+     */
+    async _isPdf(filePath) {
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const { buffer, bytesRead } = await handle.read(Buffer.alloc(5), 0, 5, 0);
+            return buffer.toString('latin1', 0, bytesRead) === '%PDF-';
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Render the first PDF page as PNG
+     * @private
+     */
+    _renderPdfPage(pdfPath, pngPath) {
+        return new Promise((resolve, reject) => {
+            execFile(PDFTOPPM_PATH, [
+                '-png', '-f', '1', '-l', '1', '-singlefile',
+                '-scale-to', String(this.previewSize),
+                pdfPath, pngPath.replace(/\.png$/, '')
+            ], { timeout: PDF_RENDER_TIMEOUT_MS }, error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    /**
+     * Dimensions (after EXIF rotation), format and EXIF data of an image
+     * @private
+     */
+    async _imageMetadata(filePath) {
+        const info = await sharp(filePath).metadata();
+        const rotated = info.orientation >= 5;
+
+        const metadata = {
+            width: rotated ? info.height : info.width,
+            height: rotated ? info.width : info.height,
+            format: info.format
+        };
+
+        if (info.pages > 1) {
+            metadata.pages = info.pages;
+        }
+
+        if (info.exif) {
+            try {
+                const exif = this._formatExif(exifReader(info.exif));
+                if (Object.keys(exif).length > 0) {
+                    metadata.exif = exif;
+                }
+            } catch (error) {
+                logger.debug('Invalid EXIF data ignored', { error: error.message });
+            }
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Commonly used EXIF fields
+     * @private
+     */
+    _formatExif({ Image = {}, Photo = {}, GPSInfo = {} }) {
+        const toNumber = value => (typeof value === 'number' && Number.isFinite(value) ? value : undefined);
+        const toDate = value => (value instanceof Date && !isNaN(value) ? value.toISOString() : undefined);
+        const toText = value => (typeof value === 'string' && value.trim() ? value.replace(/\0/g, '').trim() : undefined);
+
+        const exif = {
+            make: toText(Image.Make),
+            model: toText(Image.Model),
+            software: toText(Image.Software),
+            lens: toText(Photo.LensModel),
+            takenAt: toDate(Photo.DateTimeOriginal) || toDate(Image.DateTime),
+            orientation: toNumber(Image.Orientation),
+            exposureTime: toNumber(Photo.ExposureTime),
+            fNumber: toNumber(Photo.FNumber),
+            iso: toNumber(Array.isArray(Photo.ISOSpeedRatings) ? Photo.ISOSpeedRatings[0] : Photo.ISOSpeedRatings),
+            focalLength: toNumber(Photo.FocalLength)
+        };
+
+        const coordinate = (value, ref, negative) => {
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+                return undefined;
+            }
+            const decimal = value[0] + value[1] / 60 + value[2] / 3600;
+            return Math.round((ref === negative ? -decimal : decimal) * 1e6) / 1e6;
+        };
+
+        const latitude = coordinate(GPSInfo.GPSLatitude, GPSInfo.GPSLatitudeRef, 'S');
+        const longitude = coordinate(GPSInfo.GPSLongitude, GPSInfo.GPSLongitudeRef, 'W');
+        if (latitude !== undefined && longitude !== undefined) {
+            exif.gps = { latitude, longitude, altitude: toNumber(GPSInfo.GPSAltitude) };
+        }
+
+        return JSON.parse(JSON.stringify(exif));
+    }
+
+    /**
+     * Generate the missing thumbnails and the preview of a content hash
+     * @private
+     */
+    async _generatePreviews(fileHash, imagePath) {
+        const existing = await database.query(
+            'SELECT variant FROM drive_file_previews WHERE file_hash = $1',
+            [fileHash]
+        );
+        const existingVariants = new Set(existing.rows.map(row => row.variant));
+
+        const variants = [
+            ...this.thumbnailSizes.map(size => ({ variant: `thumb-${size}`, size })),
+            { variant: 'preview', size: this.previewSize }
+        ].filter(({ variant }) => !existingVariants.has(variant));
+
+        for (const { variant, size } of variants) {
+            const { data, info } = await sharp(imagePath)
+                .rotate()
+                .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+
+            const contentHash = crypto.createHash('sha256').update(data).digest('hex');
+            const storagePath = `drive/previews/${fileHash.substring(0, 2)}/${fileHash}/${variant}.webp`;
+
+            const tempPath = driveService.tempFilePath();
+            await fs.writeFile(tempPath, data);
+            try {
+                await driveService.storage.put(storagePath, tempPath, contentHash);
+            } finally {
+                await fs.unlink(tempPath).catch(() => {});
+            }
+
+            await database.query(`
+                INSERT INTO drive_file_previews (
+                    file_hash, variant, storage_path, content_hash,
+                    mime_type, width, height, size_bytes
+                ) VALUES ($1, $2, $3, $4, 'image/webp', $5, $6, $7)
+                ON CONFLICT (file_hash, variant) DO NOTHING
+            `, [fileHash, variant, storagePath, contentHash, info.width, info.height, data.length]);
+        }
+    }
+}
+
+module.exports = new DrivePreviewService();
@@ -0,0 +1,84 @@
+// =====================================================
+// Drive Preview Worker - Vorschaubilder und Metadaten
+// =====================================================
+// Purpose: Generate thumbnails, previews and metadata for
+// new drive content. Runs right after an upload
+// (DRIVE_FILE_STORED) and periodically for files that were
+// queued by other instances or before a restart
+// =====================================================
+
+const drivePreviewService = require('./drivePreviewService');
+const eventBus = require('./eventBus');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DrivePreviewWorker');
+
+const CHECK_INTERVAL = parseInt(process.env.DRIVE_PREVIEW_CHECK_SECONDS || 60) * 1000;
+
+let checkTimer = null;
+let running = false;
+let rerun = false;
+
+/**
+ * Process all pending files
+ */
+async function processPending() {
+    if (running) {
+        // Uploads during a run are picked up right afterwards
+        rerun = true;
+        return;
+    }
+
+    running = true;
+
+    try {
+        do {
+            rerun = false;
+            const processed = await drivePreviewService.processPending();
+
+            if (processed > 0) {
+                logger.info(`Processed previews of ${processed} file(s)`);
+            }
+        } while (rerun);
+    } catch (error) {
+        logger.error('Error in processPending', { error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+function onFileStored() {
+    processPending();
+}
+
+/**
+ * Start the drive preview worker
+ */
+function startWorker() {
+    logger.info(`Starting drive preview worker (thumbnails: ${drivePreviewService.thumbnailSizes.join(', ')} px, check interval: ${CHECK_INTERVAL / 1000} seconds)`);
+
+    eventBus.on('DRIVE_FILE_STORED', onFileStored);
+
+    checkTimer = setInterval(() => {
+        processPending();
+    }, CHECK_INTERVAL);
+
+    processPending();
+}
+
+/**
+ * Stop the worker
+ */
+function stopWorker() {
+    logger.info('Stopping drive preview worker...');
+
+    eventBus.off('DRIVE_FILE_STORED', onFileStored);
+    clearInterval(checkTimer);
+    checkTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    processPending
+};
@@ -0,0 +1,407 @@
+// =====================================================
+// Drive Quota Service - Speicherkontingente
+// =====================================================
+// Quotas per user (own override > largest group quota >
+// DRIVE_USER_QUOTA) and per folder (e.g. project folders,
+// counting all uploads in the folder tree). Users are
+// notified once when a quota passes its warning threshold.
+// =====================================================
+
+const database = require('./database');
+const notificationService = require('./notificationService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DriveQuotaService');
+
+const DEFAULT_QUOTA_BYTES = parseInt(process.env.DRIVE_USER_QUOTA) || 5 * 1024 * 1024 * 1024; // 5GB
+const DEFAULT_WARNING_PERCENT = parseInt(process.env.DRIVE_QUOTA_WARNING_PERCENT) || 80;
+
+// API scope -> drive_quotas column and target table
+const QUOTA_SCOPES = {
+    users: { column: 'user_id', table: 'users', notFound: 'User not found' },
+    groups: { column: 'group_id', table: 'groups', notFound: 'Group not found' },
+    folders: { column: 'folder_id', table: 'drive_folders', notFound: 'Folder not found' }
+};
+
+// Categories of the storage breakdown (keys of drive:filter.*)
+const TYPE_CATEGORY_SQL = `
+    CASE
+        WHEN mime_type LIKE 'image/%' THEN 'images'
+        WHEN mime_type LIKE 'video/%' THEN 'videos'
+        WHEN mime_type LIKE 'audio/%' THEN 'audio'
+        WHEN mime_type IN ('application/zip', 'application/x-zip-compressed', 'application/gzip',
+                           'application/x-tar', 'application/x-7z-compressed', 'application/vnd.rar',
+                           'application/x-rar-compressed') THEN 'archives'
+        WHEN mime_type LIKE 'text/%' OR mime_type = 'application/pdf'
+             OR mime_type LIKE 'application/msword%' OR mime_type LIKE 'application/vnd.ms-%'
+             OR mime_type LIKE 'application/vnd.openxmlformats-officedocument.%'
+             OR mime_type LIKE 'application/vnd.oasis.opendocument.%' THEN 'documents'
+        ELSE 'other'
+    END`;
+
+class DriveQuotaService {
+    constructor() {
+        this.defaultQuota = DEFAULT_QUOTA_BYTES;
+        this.defaultWarningPercent = DEFAULT_WARNING_PERCENT;
+    }
+
+    /**
+     * Effective quota of a user
+     * @returns {Promise<Object>} { quotaBytes, warningPercent, source: 'user'|'group'|'default', groupId }
+     */
+    async getUserQuota(userId) {
+        const result = await database.query(
+            'SELECT * FROM drive_user_quota_override($1)',
+            [userId]
+        );
+
+        const override = result.rows[0];
+
+        if (!override) {
+            return {
+                quotaBytes: this.defaultQuota,
+                warningPercent: this.defaultWarningPercent,
+                source: 'default',
+                groupId: null
+            };
+        }
+
+        return {
+            quotaBytes: parseInt(override.quota_bytes),
+            warningPercent: override.warning_percent || this.defaultWarningPercent,
+            source: override.source,
+            groupId: override.group_id
+        };
+    }
+
+    /**
+     * Get user storage usage (current versions of non-deleted files uploaded by the user)
+     */
+    async getUserUsage(userId) {
+        const result = await database.query(
+            'SELECT get_user_storage_usage($1) as usage',
+            [userId]
+        );
+
+        return parseInt(result.rows[0].usage) || 0;
+    }
+
+    /**
+     * Quotas of a folder and all folders above it, with their current usage
+     */
+    async getFolderQuotas(folderId) {
+        const result = await database.query(`
+            SELECT q.folder_id, q.quota_bytes, q.warning_percent,
+                   f.name AS folder_name, f.owner_id,
+                   get_drive_folder_usage(q.folder_id) AS used_bytes
+            FROM drive_folder_ancestors($1) a
+            JOIN drive_quotas q ON q.folder_id = a.folder_id
+            JOIN drive_folders f ON f.id = q.folder_id
+        `, [folderId]);
+
+        return result.rows.map(row => ({
+            folderId: row.folder_id,
+            folderName: row.folder_name,
+            ownerId: row.owner_id,
+            quotaBytes: parseInt(row.quota_bytes),
+            usedBytes: parseInt(row.used_bytes),
+            warningPercent: row.warning_percent || this.defaultWarningPercent
+        }));
+    }
+
+    /**
+     * Throw if storing additional bytes would exceed the user quota or a folder quota
+     */
+    async checkUpload(userId, folderId, sizeBytes) {
+        const [quota, usage] = await Promise.all([
+            this.getUserQuota(userId),
+            this.getUserUsage(userId)
+        ]);
+
+        if (usage + sizeBytes > quota.quotaBytes) {
+            throw new Error('Storage quota exceeded');
+        }
+
+        if (folderId) {
+            const folderQuotas = await this.getFolderQuotas(folderId);
+
+            if (folderQuotas.some(q => q.usedBytes + sizeBytes > q.quotaBytes)) {
+                throw new Error('Folder quota exceeded');
+            }
+        }
+    }
+
+    /**
+     * Throw if moving content into another folder would exceed a folder quota.
+     * Quotas that already contain the source folder are not affected by the move.
+     */
+    async checkMove(sourceFolderId, targetFolderId, sizeBytes) {
+        if (!targetFolderId) {
+            return;
+        }
+
+        const sourceQuotaIds = sourceFolderId
+            ? (await this.getFolderQuotas(sourceFolderId)).map(q => q.folderId)
+            : [];
+        const targetQuotas = await this.getFolderQuotas(targetFolderId);
+
+        if (targetQuotas.some(q => !sourceQuotaIds.includes(q.folderId) && q.usedBytes + sizeBytes > q.quotaBytes)) {
+            throw new Error('Folder quota exceeded');
+        }
+    }
+
+    /**
+     * Notify about quotas that passed their warning threshold (after an upload).
+     * Errors are logged only - the upload itself already succeeded.
+     */
+    async checkSoftLimits(userId, folderId) {
+        try {
+            const [quota, usage] = await Promise.all([
+                this.getUserQuota(userId),
+                this.getUserUsage(userId)
+            ]);
+
+            await this._checkThreshold('user', userId, usage, quota.quotaBytes, quota.warningPercent, [userId], {
+                title: 'Speicherplatz fast voll',
+                message: `Du nutzt ${this._percent(usage, quota.quotaBytes)}% deines Drive-Speicherplatzes`
+            });
+
+            if (folderId) {
+                for (const folderQuota of await this.getFolderQuotas(folderId)) {
+                    await this._checkThreshold(
+                        'folder',
+                        folderQuota.folderId,
+                        folderQuota.usedBytes,
+                        folderQuota.quotaBytes,
+                        folderQuota.warningPercent,
+                        [folderQuota.ownerId, userId],
+                        {
+                            title: 'Ordner-Speicherplatz fast voll',
+                            message: `Der Ordner ${folderQuota.folderName} nutzt ${this._percent(folderQuota.usedBytes, folderQuota.quotaBytes)}% seines Kontingents`
+                        }
+                    );
+                }
+            }
+        } catch (error) {
+            logger.error('Quota warning check failed', { userId, folderId, error: error.message });
+        }
+    }
+
+    /**
+     * Warn once per quota; the warning is re-armed when usage drops below the threshold
+     * @private
+     */
+    async _checkThreshold(scope, targetId, usedBytes, quotaBytes, warningPercent, recipientIds, notification) {
+        if (usedBytes < quotaBytes * warningPercent / 100) {
+            await database.query(
+                'DELETE FROM drive_quota_warnings WHERE quota_scope = $1 AND target_id = $2',
+                [scope, targetId]
+            );
+            return;
+        }
+
+        const inserted = await database.query(`
+            INSERT INTO drive_quota_warnings (quota_scope, target_id)
+            VALUES ($1, $2)
+            ON CONFLICT DO NOTHING
+            RETURNING target_id
+        `, [scope, targetId]);
+
+        if (inserted.rows.length === 0) {
+            return;
+        }
+
+        await notificationService.createNotifications(recipientIds, {
+            notification_type: 'drive_quota_warning',
+            source_type: scope === 'folder' ? 'drive_folder' : 'drive_quota',
+            source_id: targetId,
+            title: notification.title,
+            message: notification.message,
+            link: '/drive'
+        });
+
+        logger.info('Quota warning sent', { scope, targetId, usedBytes, quotaBytes });
+    }
+
+    _percent(usedBytes, quotaBytes) {
+        return quotaBytes > 0 ? Math.round((usedBytes / quotaBytes) * 100) : 100;
+    }
+
+    // =====================================================
+    // ADMINISTRATION
+    // =====================================================
+
+    /**
+     * All quota overrides with their target and current usage
+     */
+    async listQuotas() {
+        const result = await database.query(`
+            SELECT q.*,
+                   CASE WHEN q.user_id IS NOT NULL THEN 'users'
+                        WHEN q.group_id IS NOT NULL THEN 'groups'
+                        ELSE 'folders' END AS scope,
+                   COALESCE(u.name, u.username, g.name, f.name) AS target_name,
+                   f.path AS folder_path,
+                   p.name AS project_name,
+                   CASE WHEN q.user_id IS NOT NULL THEN get_user_storage_usage(q.user_id)
+                        WHEN q.folder_id IS NOT NULL THEN get_drive_folder_usage(q.folder_id) END AS used_bytes,
+                   (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = q.group_id)::int AS member_count
+            FROM drive_quotas q
+            LEFT JOIN users u ON u.id = q.user_id
+            LEFT JOIN groups g ON g.id = q.group_id
+            LEFT JOIN drive_folders f ON f.id = q.folder_id
+            LEFT JOIN projects p ON p.drive_folder_id = q.folder_id
+            ORDER BY scope, target_name
+        `);
+
+        return result.rows;
+    }
+
+    /**
+     * Create or replace the quota of a user, group or folder
+     * @param {string} scope - users | groups | folders
+     * @returns {Promise<Object>} { before, after }
+     */
+    async setQuota(scope, targetId, { quotaBytes, warningPercent = null }, updatedBy) {
+        const scopeConfig = QUOTA_SCOPES[scope];
+
+        if (!scopeConfig) {
+            throw new Error('Invalid quota scope');
+        }
+
+        const bytes = Number(quotaBytes);
+        if (!Number.isSafeInteger(bytes) || bytes < 0) {
+            throw new Error('Invalid quota size');
+        }
+
+        const percent = warningPercent === null || warningPercent === '' ? null : Number(warningPercent);
+        if (percent !== null && !(Number.isInteger(percent) && percent >= 1 && percent <= 100)) {
+            throw new Error('Invalid warning percent');
+        }
+
+        const { column, table } = scopeConfig;
+
+        const target = await database.query(`SELECT id FROM ${table} WHERE id = $1`, [targetId]);
+        if (target.rows.length === 0) {
+            throw new Error(scopeConfig.notFound);
+        }
+
+        const before = await database.query(`SELECT * FROM drive_quotas WHERE ${column} = $1`, [targetId]);
+
+        const result = await database.query(`
+            INSERT INTO drive_quotas (${column}, quota_bytes, warning_percent, updated_by)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (${column}) WHERE ${column} IS NOT NULL DO UPDATE SET
+                quota_bytes = EXCLUDED.quota_bytes,
+                warning_percent = EXCLUDED.warning_percent,
+                updated_by = EXCLUDED.updated_by
+            RETURNING *
+        `, [targetId, bytes, percent, updatedBy]);
+
+        logger.info('Quota set', { scope, targetId, quotaBytes: bytes, updatedBy });
+
+        return { before: before.rows[0] || null, after: result.rows[0] };
+    }
+
+    /**
+     * Remove a quota override (the target falls back to the group or default quota)
+     */
+    async deleteQuota(scope, targetId) {
+        const scopeConfig = QUOTA_SCOPES[scope];
+
+        if (!scopeConfig) {
+            throw new Error('Invalid quota scope');
+        }
+
+        const result = await database.query(
+            `DELETE FROM drive_quotas WHERE ${scopeConfig.column} = $1 RETURNING *`,
+            [targetId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Quota not found');
+        }
+
+        logger.info('Quota removed', { scope, targetId });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Usage report of all active users, fullest first
+     * @param {Object} options - { minPercent } only users at or above this fill level
+     */
+    async getUsageReport({ minPercent = 0 } = {}) {
+        const result = await database.query(`
+            SELECT u.id, u.username, u.name, u.email,
+                   get_user_storage_usage(u.id) AS used_bytes,
+                   o.quota_bytes, o.warning_percent, o.source, o.group_id
+            FROM users u
+            LEFT JOIN LATERAL drive_user_quota_override(u.id) o ON true
+            WHERE u.is_active = true
+        `);
+
+        return result.rows
+            .map(row => {
+                const usedBytes = parseInt(row.used_bytes) || 0;
+                const quotaBytes = row.quota_bytes !== null ? parseInt(row.quota_bytes) : this.defaultQuota;
+
+                return {
+                    userId: row.id,
+                    username: row.username,
+                    name: row.name,
+                    email: row.email,
+                    usedBytes,
+                    quotaBytes,
+                    percentage: this._percent(usedBytes, quotaBytes),
+                    warningPercent: row.warning_percent || this.defaultWarningPercent,
+                    source: row.source || 'default',
+                    groupId: row.group_id
+                };
+            })
+            .filter(row => row.percentage >= minPercent)
+            .sort((a, b) => b.percentage - a.percentage || b.usedBytes - a.usedBytes);
+    }
+
+    // =====================================================
+    // BREAKDOWN
+    // =====================================================
+
+    /**
+     * Storage of a user broken down by file type and by folder
+     */
+    async getUsageBreakdown(userId, { folderLimit = 10 } = {}) {
+        const byType = await database.query(`
+            SELECT ${TYPE_CATEGORY_SQL} AS type,
+                   COUNT(*)::int AS files,
+                   COALESCE(SUM(file_size_bytes), 0) AS bytes
+            FROM drive_files
+            WHERE uploaded_by = $1
+              AND deleted_at IS NULL
+              AND is_current_version = true
+            GROUP BY 1
+            ORDER BY bytes DESC
+        `, [userId]);
+
+        const byFolder = await database.query(`
+            SELECT df.folder_id, f.name AS folder_name, f.path AS folder_path,
+                   COUNT(*)::int AS files,
+                   COALESCE(SUM(df.file_size_bytes), 0) AS bytes
+            FROM drive_files df
+            LEFT JOIN drive_folders f ON f.id = df.folder_id
+            WHERE df.uploaded_by = $1
+              AND df.deleted_at IS NULL
+              AND df.is_current_version = true
+            GROUP BY df.folder_id, f.name, f.path
+            ORDER BY bytes DESC
+            LIMIT $2
+        `, [userId, folderLimit]);
+
+        return {
+            byType: byType.rows.map(row => ({ ...row, bytes: parseInt(row.bytes) })),
+            byFolder: byFolder.rows.map(row => ({ ...row, bytes: parseInt(row.bytes) }))
+        };
+    }
+}
+
+module.exports = new DriveQuotaService();
@@ -7,6 +7,11 @@ const fsSync = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const pool = require('./db');
+const notificationService = require('./notificationService');
+const groupService = require('./groupService');
+const driveQuotaService = require('./driveQuotaService');
+const eventBus = require('./eventBus');
+const { createStorage } = require('./driveStorage');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('DriveService');
@@ -14,13 +19,35 @@ const logger = createModuleLogger('DriveService');
 // Configuration
 const UPLOAD_BASE_DIR = process.env.DRIVE_UPLOAD_DIR || path.join(__dirname, '..', 'uploads', 'drive');
 const MAX_FILE_SIZE = parseInt(process.env.DRIVE_MAX_FILE_SIZE) || 100 * 1024 * 1024; // 100MB
-const DEFAULT_QUOTA_BYTES = parseInt(process.env.DRIVE_USER_QUOTA) || 5 * 1024 * 1024 * 1024; // 5GB
+const TRASH_RETENTION_DAYS = parseInt(process.env.DRIVE_TRASH_RETENTION_DAYS) || 30;
+const SIGNED_URL_SECONDS = parseInt(process.env.DRIVE_SIGNED_URL_SECONDS) || 300;
+
+const SHARE_PERMISSIONS = ['read', 'write', 'admin'];
+
+// File types that cannot be uploaded (web upload and WebDAV)
+const BLOCKED_EXTENSIONS = ['.exe', '.bat', '.cmd', '.sh', '.ps1'];
+
+// File types the preview worker renders (thumbnails, preview, metadata)
+const PREVIEW_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif', 'application/pdf'];
+const PREVIEW_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.tif', '.tiff', '.avif', '.pdf'];
+
+// File types whose text content is indexed for full-text search
+const INDEX_TYPES = {
+    text: { extensions: ['.txt', '.md', '.markdown'], mimeTypes: ['text/plain', 'text/markdown'] },
+    pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+    docx: { extensions: ['.docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+    xlsx: { extensions: ['.xlsx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+    odt: { extensions: ['.odt'], mimeTypes: ['application/vnd.oasis.opendocument.text'] }
+};
 
 class DriveService {
     constructor() {
         this.uploadDir = UPLOAD_BASE_DIR;
         this.maxFileSize = MAX_FILE_SIZE;
-        this.defaultQuota = DEFAULT_QUOTA_BYTES;
+        this.trashRetentionDays = TRASH_RETENTION_DAYS;
+
+        // Blob storage backend (DRIVE_STORAGE_BACKEND); temporary files stay in uploadDir
+        this.storage = createStorage();
 
         // Ensure upload directory exists
         this._ensureUploadDir();
@@ -55,7 +82,7 @@ class DriveService {
     }
 
     /**
-     * Generate storage path for file
+     * Generate storage path (storage key) for file
      * @private
      */
     _generateStoragePath(fileHash, extension) {
@@ -63,95 +90,153 @@ class DriveService {
         const year = now.getFullYear();
         const month = String(now.getMonth() + 1).padStart(2, '0');
 
-        const fileName = `${fileHash}${extension}`;
-        const relativePath = path.join('drive', String(year), month, fileName);
-        const absolutePath = path.join(this.uploadDir, '..', relativePath);
+        return ['drive', String(year), month, `${fileHash}${extension}`].join('/');
+    }
 
-        return {
-            relativePath,
-            absolutePath
-        };
+    /**
+     * Store file content (reuses the stored blob of identical content)
+     * @private
+     * @returns {Promise<Object>} { storagePath, fileHash }
+     */
+    async _storeBlob(client, fileBuffer, fileName) {
+        // Calculate file hash
+        const tempPath = this.tempFilePath();
+        await fs.writeFile(tempPath, fileBuffer);
+
+        const fileHash = await this._calculateFileHash(tempPath);
+
+        return this._storeTempFile(client, tempPath, fileHash, fileName);
     }
 
     /**
-     * Upload file to drive
+     * Path for a temporary file in the upload directory
      */
-    async uploadFile(fileBuffer, fileName, options = {}) {
-        const client = await pool.connect();
+    tempFilePath() {
+        return path.join(this.uploadDir, `temp_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`);
+    }
+
+    /**
+     * Move a temporary file into permanent storage, or drop it when a blob
+     * with the same hash already exists (deduplication)
+     * @private
+     * @returns {Promise<Object>} { storagePath, fileHash }
+     */
+    async _storeTempFile(client, tempPath, fileHash, fileName) {
+        const existingFile = await client.query(
+            'SELECT id, file_path FROM drive_files WHERE file_hash = $1 AND is_current_version = true LIMIT 1',
+            [fileHash]
+        );
+
+        if (existingFile.rows.length > 0) {
+            // File already exists, reuse storage
+            logger.info('File hash exists, reusing storage', { fileHash, fileName });
+            await fs.unlink(tempPath);
+
+            return { storagePath: existingFile.rows[0].file_path, fileHash };
+        }
+
+        // New file, move to permanent storage
+        const relativePath = this._generateStoragePath(fileHash, path.extname(fileName));
+
         try {
-            const {
-                userId,
-                folderId = null,
-                description = null,
-                tags = [],
-                visibility = 'private',
-                mimeType = 'application/octet-stream'
-            } = options;
+            await this.storage.put(relativePath, tempPath, fileHash);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+        logger.info('File stored', { fileName, storagePath: relativePath, storage: this.storage.name });
 
-            // Validate file size
-            if (fileBuffer.length > this.maxFileSize) {
-                throw new Error(`File size exceeds maximum allowed size of ${this.maxFileSize} bytes`);
-            }
+        return { storagePath: relativePath, fileHash };
+    }
 
-            // Check user quota
-            const usage = await this.getUserStorageUsage(userId);
-            if (usage + fileBuffer.length > this.defaultQuota) {
-                throw new Error('Storage quota exceeded');
-            }
+    /**
+     * File slug
+     * @private
+     */
+    _fileSlug(name) {
+        return name.toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 200);
+    }
 
-            // Calculate file hash
-            const tempPath = path.join(this.uploadDir, `temp_${Date.now()}_${fileName}`);
-            await fs.writeFile(tempPath, fileBuffer);
+    /**
+     * Check size, write access and quotas before an upload
+     */
+    async checkUpload(userId, folderId, sizeBytes) {
+        if (sizeBytes > this.maxFileSize) {
+            throw new Error(`File size exceeds maximum allowed size of ${this.maxFileSize} bytes`);
+        }
 
-            const fileHash = await this._calculateFileHash(tempPath);
-            const fileExtension = path.extname(fileName);
+        // Uploading into a folder requires write access (own or shared folder)
+        if (folderId && !(await this.checkFolderAccess(folderId, userId, 'write'))) {
+            throw new Error('Access denied');
+        }
 
-            await client.query('BEGIN');
+        // Check user quota and quotas of the target folder tree
+        await driveQuotaService.checkUpload(userId, folderId, sizeBytes);
+    }
 
-            // Check if file with same hash already exists (deduplication)
-            const existingFile = await client.query(
-                'SELECT id, file_path FROM drive_files WHERE file_hash = $1 AND is_current_version = true LIMIT 1',
-                [fileHash]
-            );
+    /**
+     * Upload file to drive
+     */
+    async uploadFile(fileBuffer, fileName, options = {}) {
+        await this.checkUpload(options.userId, options.folderId || null, fileBuffer.length);
 
-            let storagePath;
-            let absolutePath;
+        return this._createFile(fileName, fileBuffer.length, options, client =>
+            this._storeBlob(client, fileBuffer, fileName)
+        );
+    }
 
-            if (existingFile.rows.length > 0) {
-                // File already exists, reuse storage
-                logger.info('File hash exists, reusing storage', { fileHash, fileName });
-                storagePath = existingFile.rows[0].file_path;
-                absolutePath = path.join(this.uploadDir, '..', storagePath);
+    /**
+     * Upload a file that was already written to disk (chunked uploads).
+     * The temporary file is moved into storage or removed.
+     */
+    async uploadFileFromPath(tempPath, fileName, options = {}) {
+        const { fileHash, sizeBytes } = options;
 
-                // Delete temp file
-                await fs.unlink(tempPath);
-            } else {
-                // New file, move to permanent storage
-                const paths = this._generateStoragePath(fileHash, fileExtension);
-                storagePath = paths.relativePath;
-                absolutePath = paths.absolutePath;
+        try {
+            await this.checkUpload(options.userId, options.folderId || null, sizeBytes);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
 
-                // Ensure directory exists
-                await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+        return this._createFile(fileName, sizeBytes, options, client =>
+            this._storeTempFile(client, tempPath, fileHash, fileName)
+        );
+    }
 
-                // Move file to permanent location
-                await fs.rename(tempPath, absolutePath);
-                logger.info('File stored', { fileName, storagePath });
-            }
+    /**
+     * Store the content (via storeContent) and insert the file record
+     * @private
+     */
+    async _createFile(fileName, sizeBytes, options, storeContent) {
+        const {
+            userId,
+            folderId = null,
+            description = null,
+            tags = [],
+            visibility = 'private',
+            mimeType = 'application/octet-stream'
+        } = options;
+
+        const client = await pool.connect();
+        let file;
+        try {
+            await client.query('BEGIN');
 
-            // Generate slug
-            const slug = fileName.toLowerCase()
-                .replace(/[^a-z0-9]+/g, '-')
-                .replace(/^-+|-+$/g, '')
-                .substring(0, 200);
+            const { storagePath, fileHash } = await storeContent(client);
+            const fileExtension = path.extname(fileName);
+            const slug = this._fileSlug(fileName);
 
             // Insert file metadata
             const result = await client.query(`
                 INSERT INTO drive_files (
                     name, slug, description, file_path, file_hash,
                     mime_type, file_size_bytes, file_extension,
-                    folder_id, uploaded_by, visibility, tags
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                    folder_id, uploaded_by, visibility, tags, preview_status, index_status
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
                 RETURNING *
             `, [
                 fileName,
@@ -160,35 +245,21 @@ class DriveService {
                 storagePath,
                 fileHash,
                 mimeType,
-                fileBuffer.length,
+                sizeBytes,
                 fileExtension,
                 folderId,
                 userId,
                 visibility,
-                tags
+                tags,
+                this._previewStatus(fileName, mimeType),
+                this._indexStatus(fileName, mimeType)
             ]);
 
             // Update folder stats if file is in a folder
-            if (folderId) {
-                await client.query(`
-                    UPDATE drive_folders
-                    SET file_count = file_count + 1,
-                        total_size_bytes = total_size_bytes + $1,
-                        updated_at = CURRENT_TIMESTAMP
-                    WHERE id = $2
-                `, [fileBuffer.length, folderId]);
-            }
+            await this._updateFolderStats(client, folderId, 1, sizeBytes);
 
             await client.query('COMMIT');
-
-            logger.info('File uploaded', {
-                fileId: result.rows[0].id,
-                fileName,
-                size: fileBuffer.length,
-                userId
-            });
-
-            return result.rows[0];
+            file = result.rows[0];
 
         } catch (error) {
             await client.query('ROLLBACK');
@@ -197,6 +268,19 @@ class DriveService {
         } finally {
             client.release();
         }
+
+        logger.info('File uploaded', {
+            fileId: file.id,
+            fileName,
+            size: sizeBytes,
+            userId
+        });
+
+        // After the transaction: the quota warning must not fail a committed upload
+        this.notifyFileStored(file);
+        await driveQuotaService.checkSoftLimits(userId, folderId);
+
+        return file;
     }
 
     /**
@@ -235,31 +319,125 @@ class DriveService {
      */
     async getFileStream(fileId, userId) {
         const file = await this.getFile(fileId, userId);
-        const filePath = path.join(this.uploadDir, '..', file.file_path);
+        const stream = await this.getBlobStream(file.file_path);
+
+        await this._countDownload(fileId);
+
+        return {
+            stream,
+            file
+        };
+    }
 
-        // Check if file exists
+    /**
+     * Open a stored blob by its storage key (file_path)
+     */
+    async getBlobStream(storagePath) {
         try {
-            await fs.access(filePath);
+            return await this.storage.getStream(storagePath);
         } catch (error) {
-            throw new Error('File not found on disk');
+            if (error.message === 'Blob not found') {
+                throw new Error('File not found on disk');
+            }
+            throw error;
         }
+    }
+
+    /**
+     * Time-limited download URL that does not need the session token
+     * (presigned URL for S3, URL signed by the app for local storage)
+     * @param {string} baseUrl - Public base URL of the API (local storage)
+     */
+    async getDownloadUrl(fileId, userId, baseUrl) {
+        const file = await this.getFile(fileId, userId);
+
+        const url = await this.storage.getSignedUrl(file.file_path, {
+            baseUrl,
+            fileName: file.name,
+            mimeType: file.mime_type,
+            expiresIn: SIGNED_URL_SECONDS
+        });
+
+        await this._countDownload(fileId);
 
-        // Update download stats
+        return {
+            url,
+            expiresAt: new Date(Date.now() + SIGNED_URL_SECONDS * 1000)
+        };
+    }
+
+    /**
+     * Update download stats
+     * @private
+     */
+    async _countDownload(fileId) {
         await pool.query(`
             UPDATE drive_files
             SET download_count = download_count + 1,
                 last_accessed_at = CURRENT_TIMESTAMP
             WHERE id = $1
         `, [fileId]);
+    }
 
-        return {
-            stream: fsSync.createReadStream(filePath),
-            file
-        };
+    /**
+     * Initial preview status for new content ('pending' or null without preview)
+     * @private
+     */
+    _previewStatus(fileName, mimeType) {
+        const previewable = PREVIEW_MIME_TYPES.includes(mimeType) ||
+            PREVIEW_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+        return previewable ? 'pending' : null;
+    }
+
+    /**
+     * Extractor for full-text indexing ('text', 'pdf', 'docx', 'xlsx', 'odt') or null
+     */
+    indexKind(fileName, mimeType) {
+        const extension = path.extname(fileName).toLowerCase();
+
+        const byExtension = Object.keys(INDEX_TYPES).find(kind => INDEX_TYPES[kind].extensions.includes(extension));
+        const byMimeType = Object.keys(INDEX_TYPES).find(kind => INDEX_TYPES[kind].mimeTypes.includes(mimeType));
+
+        return byExtension || byMimeType || null;
+    }
+
+    /**
+     * Initial index status for new content ('pending' or null if not indexable)
+     * @private
+     */
+    _indexStatus(fileName, mimeType) {
+        return this.indexKind(fileName, mimeType) ? 'pending' : null;
+    }
+
+    /**
+     * Announce new file content; the preview and index workers pick up pending files
+     */
+    notifyFileStored(file) {
+        if (file.preview_status === 'pending' || file.index_status === 'pending') {
+            eventBus.emit('DRIVE_FILE_STORED', { fileId: file.id });
+        }
+    }
+
+    /**
+     * Whether a file name may be uploaded (blocks dangerous file types)
+     */
+    isAllowedFileName(fileName) {
+        return !BLOCKED_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+    }
+
+    /**
+     * Folder slug (unique per owner and parent among active folders)
+     * @private
+     */
+    _folderSlug(name) {
+        return name.toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
     }
 
     /**
-     * Delete file (soft delete)
+     * Delete file (moves it to the trash)
      */
     async deleteFile(fileId, userId) {
         const client = await pool.connect();
@@ -278,14 +456,14 @@ class DriveService {
 
             const file = fileResult.rows[0];
 
-            if (file.uploaded_by !== userId) {
+            if (file.uploaded_by !== userId && !(await this.checkFileAccess(fileId, userId, 'admin'))) {
                 throw new Error('Access denied');
             }
 
             // Soft delete
             await client.query(
-                'UPDATE drive_files SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1',
-                [fileId]
+                'UPDATE drive_files SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2 WHERE id = $1',
+                [fileId, userId]
             );
 
             // Update folder stats
@@ -313,15 +491,82 @@ class DriveService {
         }
     }
 
+    /**
+     * Delete folder with all subfolders and files (moves the tree to the trash)
+     */
+    async deleteFolder(folderId, userId) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const folderResult = await client.query(
+                'SELECT * FROM drive_folders WHERE id = $1 AND deleted_at IS NULL',
+                [folderId]
+            );
+
+            if (folderResult.rows.length === 0) {
+                throw new Error('Folder not found');
+            }
+
+            if (!(await this.checkFolderAccess(folderId, userId, 'admin'))) {
+                throw new Error('Access denied');
+            }
+
+            // Active subtree; already trashed parts keep their own trash entry
+            const treeResult = await client.query(`
+                WITH RECURSIVE tree AS (
+                    SELECT id FROM drive_folders WHERE id = $1
+                    UNION ALL
+                    SELECT f.id FROM drive_folders f
+                    JOIN tree ON f.parent_id = tree.id
+                    WHERE f.deleted_at IS NULL
+                )
+                SELECT id FROM tree
+            `, [folderId]);
+            const folderIds = treeResult.rows.map(row => row.id);
+
+            await client.query(`
+                UPDATE drive_folders
+                SET deleted_at = CURRENT_TIMESTAMP,
+                    deleted_by = $2,
+                    trashed_with_folder_id = CASE WHEN id = $1 THEN NULL ELSE $1 END
+                WHERE id = ANY($3)
+            `, [folderId, userId, folderIds]);
+
+            const filesResult = await client.query(`
+                UPDATE drive_files
+                SET deleted_at = CURRENT_TIMESTAMP,
+                    deleted_by = $2,
+                    trashed_with_folder_id = $1
+                WHERE folder_id = ANY($3) AND deleted_at IS NULL
+            `, [folderId, userId, folderIds]);
+
+            await client.query('COMMIT');
+
+            logger.info('Folder deleted', {
+                folderId,
+                userId,
+                folders: folderIds.length,
+                files: filesResult.rowCount
+            });
+
+            return { folders: folderIds.length, files: filesResult.rowCount };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
     /**
      * Create folder
      */
     async createFolder(name, options = {}) {
         const { userId, parentId = null, description = null, visibility = 'private' } = options;
 
-        const slug = name.toLowerCase()
-            .replace(/[^a-z0-9]+/g, '-')
-            .replace(/^-+|-+$/g, '');
+        const slug = this._folderSlug(name);
 
         const client = await pool.connect();
         try {
@@ -333,7 +578,7 @@ class DriveService {
 
             if (parentId) {
                 const parentResult = await client.query(
-                    'SELECT depth, path FROM drive_folders WHERE id = $1',
+                    'SELECT depth, path FROM drive_folders WHERE id = $1 AND deleted_at IS NULL',
                     [parentId]
                 );
 
@@ -341,6 +586,10 @@ class DriveService {
                     throw new Error('Parent folder not found');
                 }
 
+                if (!(await this.checkFolderAccess(parentId, userId, 'write'))) {
+                    throw new Error('Access denied');
+                }
+
                 depth = parentResult.rows[0].depth + 1;
                 parentPath = parentResult.rows[0].path;
             }
@@ -370,106 +619,610 @@ class DriveService {
     }
 
     /**
-     * List files in folder
+     * Replace the content of a file (e.g. WebDAV PUT on an existing file).
+     * The previous content is kept as a version; identical content is ignored.
      */
-    async listFiles(options = {}) {
-        const {
-            folderId = null,
-            userId,
-            limit = 50,
-            offset = 0,
-            sortBy = 'created_at',
-            sortOrder = 'DESC',
-            search = null
-        } = options;
-
-        let query = `
-            SELECT
-                f.*,
-                u.name as uploaded_by_name,
-                folder.name as folder_name
-            FROM drive_files f
-            LEFT JOIN users u ON f.uploaded_by = u.id
-            LEFT JOIN drive_folders folder ON f.folder_id = folder.id
-            WHERE f.deleted_at IS NULL
-        `;
-
-        const params = [];
-        let paramIndex = 1;
+    async replaceFileContent(fileId, fileBuffer, options = {}) {
+        const { userId, mimeType = null, changeDescription = null } = options;
 
-        // Folder filter
-        if (folderId === null) {
-            query += ` AND f.folder_id IS NULL`;
-        } else {
-            query += ` AND f.folder_id = $${paramIndex}`;
-            params.push(folderId);
-            paramIndex++;
+        if (fileBuffer.length > this.maxFileSize) {
+            throw new Error(`File size exceeds maximum allowed size of ${this.maxFileSize} bytes`);
         }
 
-        // Access filter: own files OR public files OR shared files
-        query += ` AND (
-            f.uploaded_by = $${paramIndex} OR
-            f.visibility = 'public' OR
-            EXISTS (
-                SELECT 1 FROM drive_shares s
-                WHERE s.file_id = f.id
-                  AND (s.shared_with_user_id = $${paramIndex} OR s.public_token IS NOT NULL)
-                  AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
-            )
-        )`;
-        params.push(userId);
-        paramIndex++;
+        const client = await pool.connect();
+        try {
+            const fileResult = await client.query(
+                'SELECT * FROM drive_files WHERE id = $1 AND deleted_at IS NULL',
+                [fileId]
+            );
 
-        // Search filter
-        if (search) {
-            query += ` AND (
-                f.name ILIKE $${paramIndex} OR
-                f.search_vector @@ plainto_tsquery('german', $${paramIndex})
-            )`;
-            params.push(`%${search}%`);
-            paramIndex++;
-        }
+            if (fileResult.rows.length === 0) {
+                throw new Error('File not found');
+            }
 
-        // Sorting
-        const allowedSortFields = ['name', 'file_size_bytes', 'created_at', 'updated_at', 'download_count'];
-        const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
-        const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-        query += ` ORDER BY f.${sortField} ${sortDir}`;
+            const file = fileResult.rows[0];
 
-        // Pagination
-        query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-        params.push(limit, offset);
+            if (!(await this.checkFileAccess(fileId, userId, 'write'))) {
+                throw new Error('Access denied');
+            }
 
-        const result = await pool.query(query, params);
+            // The file keeps counting against the quota of its uploader
+            const growth = fileBuffer.length - parseInt(file.file_size_bytes);
+            if (growth > 0) {
+                await driveQuotaService.checkUpload(file.uploaded_by, file.folder_id, growth);
+            }
 
-        // Get total count
-        let countQuery = `
-            SELECT COUNT(*) as total
-            FROM drive_files f
-            WHERE f.deleted_at IS NULL
-        `;
-        const countParams = [];
-        let countParamIndex = 1;
+            await client.query('BEGIN');
 
-        if (folderId === null) {
-            countQuery += ` AND f.folder_id IS NULL`;
-        } else {
-            countQuery += ` AND f.folder_id = $${countParamIndex}`;
-            countParams.push(folderId);
-            countParamIndex++;
-        }
-
-        countQuery += ` AND (
-            f.uploaded_by = $${countParamIndex} OR
-            f.visibility = 'public' OR
-            EXISTS (
-                SELECT 1 FROM drive_shares s
-                WHERE s.file_id = f.id
-                  AND (s.shared_with_user_id = $${countParamIndex} OR s.public_token IS NOT NULL)
-                  AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
-            )
-        )`;
-        countParams.push(userId);
+            const { storagePath, fileHash } = await this._storeBlob(client, fileBuffer, file.name);
+
+            if (fileHash === file.file_hash) {
+                await client.query('ROLLBACK');
+                return file;
+            }
+
+            await client.query(`
+                INSERT INTO drive_file_versions (
+                    file_id, version, file_path, file_hash, file_size_bytes,
+                    change_description, uploaded_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (file_id, version) DO NOTHING
+            `, [fileId, file.version, file.file_path, file.file_hash, file.file_size_bytes, changeDescription, file.uploaded_by]);
+
+            const result = await client.query(`
+                UPDATE drive_files
+                SET file_path = $2,
+                    file_hash = $3,
+                    file_size_bytes = $4,
+                    mime_type = COALESCE($5, mime_type),
+                    preview_status = $6,
+                    index_status = $7,
+                    version = version + 1,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [
+                fileId, storagePath, fileHash, fileBuffer.length, mimeType,
+                this._previewStatus(file.name, mimeType || file.mime_type),
+                this._indexStatus(file.name, mimeType || file.mime_type)
+            ]);
+
+            await this._updateFolderStats(client, file.folder_id, 0, growth);
+
+            await client.query('COMMIT');
+
+            logger.info('File content replaced', { fileId, version: result.rows[0].version, userId });
+
+            this.notifyFileStored(result.rows[0]);
+            await driveQuotaService.checkSoftLimits(file.uploaded_by, file.folder_id);
+
+            return result.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // =====================================================
+    // MOVE / COPY
+    // =====================================================
+
+    /**
+     * Target of a move or copy: write access on the folder, or the root of
+     * the item's owner (the root only lists own items)
+     * @private
+     */
+    async _checkTargetFolder(targetFolderId, userId, ownerId) {
+        const allowed = targetFolderId === null
+            ? ownerId === userId
+            : await this.checkFolderAccess(targetFolderId, userId, 'write');
+
+        if (!allowed) {
+            throw new Error('Access denied');
+        }
+    }
+
+    /**
+     * Adjust the file count and size of a folder
+     * @private
+     */
+    async _updateFolderStats(client, folderId, fileDelta, sizeDelta) {
+        if (!folderId || (fileDelta === 0 && sizeDelta === 0)) {
+            return;
+        }
+
+        await client.query(`
+            UPDATE drive_folders
+            SET file_count = file_count + $1,
+                total_size_bytes = total_size_bytes + $2,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+        `, [fileDelta, sizeDelta, folderId]);
+    }
+
+    /**
+     * Recalculate depth and path of a folder and everything below it
+     * @private
+     */
+    async _updateFolderPaths(client, folderId) {
+        await client.query(`
+            WITH RECURSIVE tree AS (
+                SELECT f.id,
+                       COALESCE(p.depth + 1, 0) AS depth,
+                       (COALESCE(p.path, '') || '/' || f.name)::VARCHAR AS path
+                FROM drive_folders f
+                LEFT JOIN drive_folders p ON p.id = f.parent_id
+                WHERE f.id = $1
+                UNION ALL
+                SELECT f.id, tree.depth + 1, (tree.path || '/' || f.name)::VARCHAR
+                FROM drive_folders f
+                JOIN tree ON f.parent_id = tree.id
+            )
+            UPDATE drive_folders d
+            SET depth = tree.depth, path = tree.path
+            FROM tree
+            WHERE d.id = tree.id
+        `, [folderId]);
+    }
+
+    /**
+     * Rename a file and/or move it to another folder (folderId null = root).
+     * Renaming requires write access; moving requires admin access on the
+     * file and write access on the target folder.
+     */
+    async moveFile(fileId, changes, userId) {
+        const permission = await this.getFilePermission(fileId, userId);
+
+        if (!permission) {
+            throw new Error('File not found');
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const fileResult = await client.query(
+                'SELECT * FROM drive_files WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+                [fileId]
+            );
+
+            if (fileResult.rows.length === 0) {
+                throw new Error('File not found');
+            }
+
+            const file = fileResult.rows[0];
+            const folderId = changes.folderId !== undefined ? changes.folderId : file.folder_id;
+            const name = changes.name || file.name;
+            const isMove = folderId !== file.folder_id;
+            const size = parseInt(file.file_size_bytes);
+
+            if (isMove) {
+                if (permission !== 'admin') {
+                    throw new Error('Access denied');
+                }
+
+                await this._checkTargetFolder(folderId, userId, file.uploaded_by);
+                await driveQuotaService.checkMove(file.folder_id, folderId, size);
+            } else if (permission === 'read') {
+                throw new Error('Access denied');
+            }
+
+            await this._availableName(client, 'file', { ...file, name }, folderId, 'fail');
+
+            const result = await client.query(`
+                UPDATE drive_files
+                SET folder_id = $2,
+                    name = $3,
+                    slug = $4,
+                    file_extension = $5,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [fileId, folderId, name, this._fileSlug(name), path.extname(name)]);
+
+            if (isMove) {
+                await this._updateFolderStats(client, file.folder_id, -1, -size);
+                await this._updateFolderStats(client, folderId, 1, size);
+            }
+
+            await client.query('COMMIT');
+
+            logger.info('File moved', { fileId, folderId, name, userId });
+
+            return result.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Copy a file (folderId null = own root). The copy belongs to the user
+     * and shares the stored content with the original.
+     */
+    async copyFile(fileId, { folderId, name } = {}, userId) {
+        const file = await this.getFile(fileId, userId);
+        const targetFolderId = folderId !== undefined ? folderId : file.folder_id;
+        const size = parseInt(file.file_size_bytes);
+
+        await this._checkTargetFolder(targetFolderId, userId, userId);
+        await driveQuotaService.checkUpload(userId, targetFolderId, size);
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const copyName = await this._availableName(
+                client, 'file', { id: null, name: name || file.name, uploaded_by: userId }, targetFolderId, 'fail'
+            );
+
+            const result = await client.query(`
+                INSERT INTO drive_files (
+                    name, slug, description, file_path, file_hash,
+                    mime_type, file_size_bytes, file_extension,
+                    folder_id, uploaded_by, visibility, tags, metadata, preview_status, index_status
+                )
+                SELECT $2, $3, description, file_path, file_hash,
+                       mime_type, file_size_bytes, $4,
+                       $5, $6, 'private', tags, metadata,
+                       CASE preview_status WHEN 'processing' THEN 'pending' ELSE preview_status END,
+                       CASE index_status WHEN 'processing' THEN 'pending' ELSE index_status END
+                FROM drive_files
+                WHERE id = $1
+                RETURNING *
+            `, [fileId, copyName, this._fileSlug(copyName), path.extname(copyName), targetFolderId, userId]);
+
+            await this._updateFolderStats(client, targetFolderId, 1, size);
+
+            await client.query('COMMIT');
+
+            logger.info('File copied', { fileId, copyId: result.rows[0].id, folderId: targetFolderId, userId });
+
+            await driveQuotaService.checkSoftLimits(userId, targetFolderId);
+
+            return result.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Update a folder: name, description and/or parent (parentId null = root,
+     * undefined = keep). Renaming requires write access; moving requires admin
+     * access on the folder and write access on the target folder.
+     */
+    async updateFolder(folderId, changes, userId) {
+        const permission = await this.getFolderPermission(folderId, userId);
+
+        if (!permission) {
+            throw new Error('Folder not found');
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const folderResult = await client.query(
+                'SELECT * FROM drive_folders WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+                [folderId]
+            );
+
+            if (folderResult.rows.length === 0) {
+                throw new Error('Folder not found');
+            }
+
+            const folder = folderResult.rows[0];
+            const parentId = changes.parentId !== undefined ? changes.parentId : folder.parent_id;
+            const name = changes.name || folder.name;
+            const isMove = parentId !== folder.parent_id;
+
+            if (isMove) {
+                if (permission !== 'admin') {
+                    throw new Error('Access denied');
+                }
+
+                await this._checkTargetFolder(parentId, userId, folder.owner_id);
+
+                if (parentId) {
+                    const cycleResult = await client.query(
+                        'SELECT 1 FROM drive_folder_ancestors($1) WHERE folder_id = $2',
+                        [parentId, folderId]
+                    );
+
+                    if (cycleResult.rows.length > 0) {
+                        throw new Error('Folder cannot be moved into itself');
+                    }
+                }
+
+                const usageResult = await client.query('SELECT get_drive_folder_usage($1) AS usage', [folderId]);
+                await driveQuotaService.checkMove(folder.parent_id, parentId, parseInt(usageResult.rows[0].usage));
+            } else if (permission === 'read') {
+                throw new Error('Access denied');
+            }
+
+            if (isMove || name !== folder.name) {
+                await this._availableName(client, 'folder', { ...folder, name }, parentId, 'fail');
+            }
+
+            await client.query(`
+                UPDATE drive_folders
+                SET name = $2,
+                    slug = $3,
+                    description = COALESCE($4, description),
+                    parent_id = $5,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [folderId, name, this._folderSlug(name), changes.description, parentId]);
+
+            await this._updateFolderPaths(client, folderId);
+
+            const result = await client.query('SELECT * FROM drive_folders WHERE id = $1', [folderId]);
+
+            await client.query('COMMIT');
+
+            logger.info('Folder updated', { folderId, parentId, name, userId });
+
+            return result.rows[0];
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Copy a folder with its subfolders and files (recursive = false copies
+     * only the folder itself). The copies belong to the user.
+     */
+    async copyFolder(folderId, { parentId, name } = {}, userId, { recursive = true } = {}) {
+        const folder = await this.getFolder(folderId, userId);
+        const targetParentId = parentId !== undefined ? parentId : folder.parent_id;
+
+        await this._checkTargetFolder(targetParentId, userId, userId);
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const treeResult = await client.query(`
+                WITH RECURSIVE tree AS (
+                    SELECT id, parent_id, name, description, 0 AS level
+                    FROM drive_folders
+                    WHERE id = $1
+                    UNION ALL
+                    SELECT f.id, f.parent_id, f.name, f.description, tree.level + 1
+                    FROM drive_folders f
+                    JOIN tree ON f.parent_id = tree.id
+                    WHERE f.deleted_at IS NULL AND $2
+                )
+                SELECT * FROM tree ORDER BY level
+            `, [folderId, recursive]);
+
+            const sourceIds = treeResult.rows.map(row => row.id);
+            const filesResult = recursive
+                ? await client.query(`
+                    SELECT * FROM drive_files
+                    WHERE folder_id = ANY($1) AND deleted_at IS NULL AND is_current_version = true
+                `, [sourceIds])
+                : { rows: [] };
+
+            const totalSize = filesResult.rows.reduce((sum, file) => sum + parseInt(file.file_size_bytes), 0);
+            await driveQuotaService.checkUpload(userId, targetParentId, totalSize);
+
+            const rootName = await this._availableName(
+                client, 'folder', { id: null, name: name || folder.name, owner_id: userId }, targetParentId, 'fail'
+            );
+
+            // Old folder ID -> copy; siblings of different owners may share a slug
+            const idMap = new Map();
+            const usedSlugs = new Set();
+
+            for (const source of treeResult.rows) {
+                const isRoot = source.id === folderId;
+                const copyParentId = isRoot ? targetParentId : idMap.get(source.parent_id);
+                let copyName = isRoot ? rootName : source.name;
+
+                for (let n = 1; !isRoot && usedSlugs.has(`${copyParentId}/${this._folderSlug(copyName)}`); n++) {
+                    copyName = `${source.name} (${n})`;
+                }
+                usedSlugs.add(`${copyParentId}/${this._folderSlug(copyName)}`);
+
+                const inserted = await client.query(`
+                    INSERT INTO drive_folders (name, slug, description, parent_id, owner_id, visibility)
+                    VALUES ($1, $2, $3, $4, $5, 'private')
+                    RETURNING id
+                `, [copyName, this._folderSlug(copyName), source.description, copyParentId, userId]);
+
+                idMap.set(source.id, inserted.rows[0].id);
+            }
+
+            const copyId = idMap.get(folderId);
+            await this._updateFolderPaths(client, copyId);
+
+            for (const file of filesResult.rows) {
+                await client.query(`
+                    INSERT INTO drive_files (
+                        name, slug, description, file_path, file_hash,
+                        mime_type, file_size_bytes, file_extension,
+                        folder_id, uploaded_by, visibility, tags, metadata, preview_status, index_status
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'private', $11, $12, $13, $14)
+                `, [
+                    file.name, file.slug, file.description, file.file_path, file.file_hash,
+                    file.mime_type, file.file_size_bytes, file.file_extension,
+                    idMap.get(file.folder_id), userId, file.tags, file.metadata,
+                    file.preview_status === 'processing' ? 'pending' : file.preview_status,
+                    file.index_status === 'processing' ? 'pending' : file.index_status
+                ]);
+            }
+
+            // Folder stats of the copies
+            await client.query(`
+                UPDATE drive_folders d
+                SET file_count = s.files, total_size_bytes = s.bytes
+                FROM (
+                    SELECT folder_id, COUNT(*) AS files, SUM(file_size_bytes) AS bytes
+                    FROM drive_files
+                    WHERE folder_id = ANY($1) AND deleted_at IS NULL
+                    GROUP BY folder_id
+                ) s
+                WHERE d.id = s.folder_id
+            `, [[...idMap.values()]]);
+
+            const result = await client.query('SELECT * FROM drive_folders WHERE id = $1', [copyId]);
+
+            await client.query('COMMIT');
+
+            logger.info('Folder copied', {
+                folderId,
+                copyId,
+                folders: idMap.size,
+                files: filesResult.rows.length,
+                userId
+            });
+
+            return { folder: result.rows[0], folders: idMap.size, files: filesResult.rows.length };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * List files in folder
+     */
+    async listFiles(options = {}) {
+        const {
+            folderId = null,
+            userId,
+            limit = 50,
+            offset = 0,
+            sortBy = 'created_at',
+            sortOrder = 'DESC',
+            search = null,
+            scope = 'drive'
+        } = options;
+
+        // A search covers every accessible file unless it is limited to the folder
+        const filterFolder = !search || scope === 'folder';
+
+        const params = [];
+        let paramIndex = 1;
+
+        // Search: name, description and tags (search_vector) plus the extracted
+        // content (weight D); matches in the content come with a highlighted snippet
+        let searchColumns = '';
+        let searchJoin = '';
+        if (search) {
+            searchColumns = `,
+                ts_rank(f.search_vector || COALESCE(c.content_vector, ''::tsvector), q) as rank,
+                CASE WHEN c.content_vector @@ q
+                    THEN ts_headline('german', c.content, q, 'MaxWords=35, MinWords=15, MaxFragments=2, StartSel=**, StopSel=**')
+                END as snippet`;
+            searchJoin = `
+            LEFT JOIN drive_file_contents c ON c.file_hash = f.file_hash
+            CROSS JOIN plainto_tsquery('german', $${paramIndex}) q`;
+            params.push(search);
+            paramIndex++;
+        }
+
+        let query = `
+            SELECT
+                f.*,
+                u.name as uploaded_by_name,
+                folder.name as folder_name${searchColumns}
+            FROM drive_files f
+            LEFT JOIN users u ON f.uploaded_by = u.id
+            LEFT JOIN drive_folders folder ON f.folder_id = folder.id${searchJoin}
+            WHERE f.deleted_at IS NULL
+        `;
+
+        // Folder filter
+        if (filterFolder) {
+            if (folderId === null) {
+                query += ` AND f.folder_id IS NULL`;
+            } else {
+                query += ` AND f.folder_id = $${paramIndex}`;
+                params.push(folderId);
+                paramIndex++;
+            }
+        }
+
+        // Access filter: own, public, shared directly or inherited from a shared folder
+        query += ` AND user_has_drive_file_access($${paramIndex}, f.id, 'read')`;
+        params.push(userId);
+        paramIndex++;
+
+        // Search filter
+        if (search) {
+            query += ` AND (
+                f.name ILIKE $${paramIndex} OR
+                f.search_vector @@ q OR
+                c.content_vector @@ q
+            )`;
+            params.push(`%${search}%`);
+            paramIndex++;
+        }
+
+        // Sorting ('relevance' only with a search)
+        const allowedSortFields = ['name', 'file_size_bytes', 'created_at', 'updated_at', 'download_count'];
+        const sortDir = sortOrder.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+        if (search && sortBy === 'relevance') {
+            query += ` ORDER BY rank DESC, f.updated_at DESC`;
+        } else {
+            const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'created_at';
+            query += ` ORDER BY f.${sortField} ${sortDir}`;
+        }
+
+        // Pagination
+        query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+        params.push(limit, offset);
+
+        const result = await pool.query(query, params);
+
+        // Get total count
+        let countQuery = `
+            SELECT COUNT(*) as total
+            FROM drive_files f${search ? `
+            LEFT JOIN drive_file_contents c ON c.file_hash = f.file_hash
+            CROSS JOIN plainto_tsquery('german', $1) q` : ''}
+            WHERE f.deleted_at IS NULL
+        `;
+        const countParams = search ? [search] : [];
+        let countParamIndex = countParams.length + 1;
+
+        if (filterFolder) {
+            if (folderId === null) {
+                countQuery += ` AND f.folder_id IS NULL`;
+            } else {
+                countQuery += ` AND f.folder_id = $${countParamIndex}`;
+                countParams.push(folderId);
+                countParamIndex++;
+            }
+        }
+
+        countQuery += ` AND user_has_drive_file_access($${countParamIndex}, f.id, 'read')`;
+        countParams.push(userId);
+        countParamIndex++;
+
+        if (search) {
+            countQuery += ` AND (f.name ILIKE $${countParamIndex} OR f.search_vector @@ q OR c.content_vector @@ q)`;
+            countParams.push(`%${search}%`);
+        }
 
         const countResult = await pool.query(countQuery, countParams);
 
@@ -505,91 +1258,338 @@ class DriveService {
             paramIndex++;
         }
 
-        // Access filter
-        query += ` AND (
-            f.owner_id = $${paramIndex} OR
-            f.visibility = 'public' OR
-            EXISTS (
-                SELECT 1 FROM drive_shares s
-                WHERE s.folder_id = f.id
-                  AND (s.shared_with_user_id = $${paramIndex} OR s.public_token IS NOT NULL)
-                  AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
-            )
-        )`;
+        // Access filter (shares on parent folders are inherited)
+        query += ` AND user_has_drive_folder_access($${paramIndex}, f.id, 'read')`;
         params.push(userId);
         paramIndex++;
 
         query += ` ORDER BY f.name ASC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
         params.push(limit, offset);
 
-        const result = await pool.query(query, params);
+        const result = await pool.query(query, params);
+
+        return result.rows;
+    }
+
+    /**
+     * Check if user has access to file
+     */
+    async checkFileAccess(fileId, userId, permission = 'read') {
+        const result = await pool.query(
+            'SELECT user_has_drive_file_access($1, $2, $3) as has_access',
+            [userId, fileId, permission]
+        );
+
+        return result.rows[0].has_access;
+    }
+
+    /**
+     * Effective permission on a file (admin, write, read or null)
+     */
+    async getFilePermission(fileId, userId) {
+        const result = await pool.query(
+            'SELECT user_drive_file_permission($1, $2) as permission',
+            [userId, fileId]
+        );
+
+        return result.rows[0].permission;
+    }
+
+    /**
+     * Check if user has access to folder (including shares on parent folders)
+     */
+    async checkFolderAccess(folderId, userId, permission = 'read') {
+        const result = await pool.query(
+            'SELECT user_has_drive_folder_access($1, $2, $3) as has_access',
+            [userId, folderId, permission]
+        );
+
+        return result.rows[0].has_access;
+    }
+
+    /**
+     * Effective permission on a folder (admin, write, read or null)
+     */
+    async getFolderPermission(folderId, userId) {
+        const result = await pool.query(
+            'SELECT user_drive_folder_permission($1, $2) as permission',
+            [userId, folderId]
+        );
+
+        return result.rows[0].permission;
+    }
+
+    /**
+     * Get folder with the user's effective permission
+     */
+    async getFolder(folderId, userId) {
+        const result = await pool.query(`
+            SELECT f.*, u.name as owner_name
+            FROM drive_folders f
+            LEFT JOIN users u ON f.owner_id = u.id
+            WHERE f.id = $1 AND f.deleted_at IS NULL
+        `, [folderId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Folder not found');
+        }
+
+        const permission = await this.getFolderPermission(folderId, userId);
+        if (!permission) {
+            throw new Error('Access denied');
+        }
+
+        return { ...result.rows[0], permission };
+    }
+
+    /**
+     * Get user storage usage
+     */
+    async getUserStorageUsage(userId) {
+        return driveQuotaService.getUserUsage(userId);
+    }
+
+    /**
+     * Share file with a user or with all members of a group
+     */
+    async shareFile(fileId, options = {}) {
+        const fileResult = await pool.query(
+            'SELECT id, name FROM drive_files WHERE id = $1 AND deleted_at IS NULL',
+            [fileId]
+        );
+
+        if (fileResult.rows.length === 0) {
+            throw new Error('File not found');
+        }
+
+        if (!(await this.checkFileAccess(fileId, options.sharedBy, 'admin'))) {
+            throw new Error('Access denied');
+        }
+
+        return this._createShare({ fileId, name: fileResult.rows[0].name }, options);
+    }
+
+    /**
+     * Share folder with a user or group; the permission applies to all
+     * subfolders and files in it
+     */
+    async shareFolder(folderId, options = {}) {
+        const folderResult = await pool.query(
+            'SELECT id, name FROM drive_folders WHERE id = $1 AND deleted_at IS NULL',
+            [folderId]
+        );
+
+        if (folderResult.rows.length === 0) {
+            throw new Error('Folder not found');
+        }
+
+        if (!(await this.checkFolderAccess(folderId, options.sharedBy, 'admin'))) {
+            throw new Error('Access denied');
+        }
+
+        return this._createShare({ folderId, name: folderResult.rows[0].name }, options);
+    }
+
+    /**
+     * Insert a user/group share for a file or folder and notify the recipients
+     * @private
+     */
+    async _createShare(target, options) {
+        const {
+            sharedBy,
+            sharedWithUserId = null,
+            sharedWithGroupId = null,
+            permission = 'read',
+            expiresAt = null
+        } = options;
+        const { fileId = null, folderId = null, name } = target;
+
+        if (!sharedWithUserId === !sharedWithGroupId) {
+            throw new Error('Either sharedWithUserId or sharedWithGroupId is required');
+        }
+
+        if (!SHARE_PERMISSIONS.includes(permission)) {
+            throw new Error('Invalid permission');
+        }
+
+        if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+            throw new Error('Invalid expiry date');
+        }
+
+        let recipientIds = sharedWithUserId ? [sharedWithUserId] : [];
+        if (sharedWithGroupId) {
+            const group = await groupService.getGroup(sharedWithGroupId);
+            if (!group.is_active) {
+                throw new Error('Group is not active');
+            }
+            recipientIds = (await groupService.getGroupMemberIds([group.id])).filter(id => id !== sharedBy);
+        }
+
+        const result = await pool.query(`
+            INSERT INTO drive_shares (
+                file_id, folder_id, shared_with_user_id, shared_with_group_id, permission, shared_by, expires_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [fileId, folderId, sharedWithUserId, sharedWithGroupId, permission, sharedBy, expiresAt]);
+
+        logger.info(fileId ? 'File shared' : 'Folder shared', {
+            fileId, folderId, sharedWithUserId, sharedWithGroupId, permission
+        });
+
+        if (recipientIds.length > 0) {
+            await notificationService.createNotifications(recipientIds, {
+                notification_type: 'file_shared',
+                source_type: fileId ? 'drive_file' : 'drive_folder',
+                source_id: fileId || folderId,
+                actor_id: sharedBy,
+                title: fileId ? 'Datei geteilt' : 'Ordner geteilt',
+                message: `${name} wurde mit dir geteilt`,
+                link: '/drive?view=shared'
+            });
+        }
 
-        return result.rows;
+        return result.rows[0];
     }
 
     /**
-     * Check if user has access to file
+     * Active shares of a file or folder (admins of the item only)
      */
-    async checkFileAccess(fileId, userId, permission = 'read') {
-        const result = await pool.query(
-            'SELECT user_has_drive_file_access($1, $2, $3) as has_access',
-            [userId, fileId, permission]
-        );
+    async listShares({ fileId = null, folderId = null }, userId) {
+        const hasAccess = fileId
+            ? await this.checkFileAccess(fileId, userId, 'admin')
+            : await this.checkFolderAccess(folderId, userId, 'admin');
 
-        return result.rows[0].has_access;
-    }
+        if (!hasAccess) {
+            throw new Error('Access denied');
+        }
 
-    /**
-     * Get user storage usage
-     */
-    async getUserStorageUsage(userId) {
-        const result = await pool.query(
-            'SELECT get_user_storage_usage($1) as usage',
-            [userId]
-        );
+        const result = await pool.query(`
+            SELECT
+                s.id, s.file_id, s.folder_id, s.permission, s.shared_at, s.expires_at,
+                s.shared_with_user_id, s.shared_with_group_id,
+                s.public_token IS NOT NULL as is_public_link,
+                s.access_count, s.last_accessed_at,
+                u.name as shared_with_user_name,
+                u.username as shared_with_username,
+                g.name as shared_with_group_name,
+                sb.name as shared_by_name
+            FROM drive_shares s
+            LEFT JOIN users u ON s.shared_with_user_id = u.id
+            LEFT JOIN groups g ON s.shared_with_group_id = g.id
+            LEFT JOIN users sb ON s.shared_by = sb.id
+            WHERE ${fileId ? 's.file_id' : 's.folder_id'} = $1
+              AND s.revoked_at IS NULL
+              AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
+            ORDER BY s.shared_at DESC
+        `, [fileId || folderId]);
 
-        return parseInt(result.rows[0].usage) || 0;
+        return result.rows;
     }
 
     /**
-     * Share file with user
+     * Revoke a share (its creator or anyone with admin permission on the item)
      */
-    async shareFile(fileId, options = {}) {
-        const { sharedBy, sharedWithUserId = null, permission = 'read', expiresAt = null } = options;
-
-        // Check if sharedBy is owner
-        const fileResult = await pool.query(
-            'SELECT uploaded_by FROM drive_files WHERE id = $1',
-            [fileId]
+    async revokeShare(shareId, userId) {
+        const shareResult = await pool.query(
+            'SELECT * FROM drive_shares WHERE id = $1 AND revoked_at IS NULL',
+            [shareId]
         );
 
-        if (fileResult.rows.length === 0) {
-            throw new Error('File not found');
+        if (shareResult.rows.length === 0) {
+            throw new Error('Share not found');
         }
 
-        if (fileResult.rows[0].uploaded_by !== sharedBy) {
-            throw new Error('Only file owner can share');
+        const share = shareResult.rows[0];
+
+        if (share.shared_by !== userId) {
+            const isAdmin = share.file_id
+                ? await this.checkFileAccess(share.file_id, userId, 'admin')
+                : await this.checkFolderAccess(share.folder_id, userId, 'admin');
+
+            if (!isAdmin) {
+                throw new Error('Access denied');
+            }
         }
 
         const result = await pool.query(`
-            INSERT INTO drive_shares (
-                file_id, shared_with_user_id, permission, shared_by, expires_at
-            ) VALUES ($1, $2, $3, $4, $5)
+            UPDATE drive_shares
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+            WHERE id = $1
             RETURNING *
-        `, [fileId, sharedWithUserId, permission, sharedBy, expiresAt]);
+        `, [shareId, userId]);
 
-        logger.info('File shared', { fileId, sharedWithUserId, permission });
+        logger.info('Share revoked', { shareId, fileId: share.file_id, folderId: share.folder_id, userId });
 
         return result.rows[0];
     }
 
+    /**
+     * "Shared with me": files and folders shared directly with the user or
+     * one of their groups. Contents of shared folders are reached by browsing
+     * into the folder.
+     */
+    async getSharedWithMe(userId) {
+        const activeShares = `
+            SELECT s.*
+            FROM drive_shares s
+            WHERE s.revoked_at IS NULL
+              AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
+              AND (
+                  s.shared_with_user_id = $1 OR
+                  s.shared_with_group_id IN (
+                      SELECT gm.group_id FROM group_members gm
+                      JOIN groups g ON g.id = gm.group_id AND g.is_active = true
+                      WHERE gm.user_id = $1
+                  )
+              )
+        `;
+
+        const foldersResult = await pool.query(`
+            SELECT DISTINCT ON (f.id)
+                f.*,
+                u.name as owner_name,
+                s.id as share_id,
+                s.shared_at,
+                s.expires_at,
+                sb.name as shared_by_name,
+                user_drive_folder_permission($1, f.id) as permission
+            FROM (${activeShares}) s
+            JOIN drive_folders f ON f.id = s.folder_id AND f.deleted_at IS NULL
+            LEFT JOIN users u ON f.owner_id = u.id
+            LEFT JOIN users sb ON s.shared_by = sb.id
+            WHERE f.owner_id <> $1
+            ORDER BY f.id, drive_permission_rank(s.permission) DESC, s.shared_at DESC
+        `, [userId]);
+
+        const filesResult = await pool.query(`
+            SELECT DISTINCT ON (f.id)
+                f.*,
+                u.name as uploaded_by_name,
+                s.id as share_id,
+                s.shared_at,
+                s.expires_at,
+                sb.name as shared_by_name,
+                user_drive_file_permission($1, f.id) as permission
+            FROM (${activeShares}) s
+            JOIN drive_files f ON f.id = s.file_id AND f.deleted_at IS NULL
+            LEFT JOIN users u ON f.uploaded_by = u.id
+            LEFT JOIN users sb ON s.shared_by = sb.id
+            WHERE f.uploaded_by <> $1
+            ORDER BY f.id, drive_permission_rank(s.permission) DESC, s.shared_at DESC
+        `, [userId]);
+
+        return {
+            folders: foldersResult.rows.sort((a, b) => a.name.localeCompare(b.name)),
+            files: filesResult.rows.sort((a, b) => new Date(b.shared_at) - new Date(a.shared_at))
+        };
+    }
+
     /**
      * Create public share link
      */
     async createPublicLink(fileId, userId, expiresAt = null) {
-        // Check ownership
         const fileResult = await pool.query(
-            'SELECT uploaded_by FROM drive_files WHERE id = $1',
+            'SELECT uploaded_by, name FROM drive_files WHERE id = $1 AND deleted_at IS NULL',
             [fileId]
         );
 
@@ -597,8 +1597,8 @@ class DriveService {
             throw new Error('File not found');
         }
 
-        if (fileResult.rows[0].uploaded_by !== userId) {
-            throw new Error('Only file owner can create public links');
+        if (!(await this.checkFileAccess(fileId, userId, 'admin'))) {
+            throw new Error('Access denied');
         }
 
         // Generate token
@@ -617,6 +1617,489 @@ class DriveService {
             expiresAt
         };
     }
+
+    // =====================================================
+    // TRASH
+    // =====================================================
+
+    /**
+     * Trash of a user: items they deleted or own, without the contents of
+     * trashed folders (those are restored and purged with their folder)
+     */
+    async listTrash(userId) {
+        const foldersResult = await pool.query(`
+            SELECT
+                f.*,
+                u.name as deleted_by_name,
+                parent.name as original_parent_name,
+                f.deleted_at + ($2 || ' days')::INTERVAL as purge_at,
+                (SELECT COUNT(*) FROM drive_files df WHERE df.trashed_with_folder_id = f.id) as trashed_file_count,
+                (SELECT COUNT(*) FROM drive_folders sub WHERE sub.trashed_with_folder_id = f.id) as trashed_folder_count
+            FROM drive_folders f
+            LEFT JOIN users u ON f.deleted_by = u.id
+            LEFT JOIN drive_folders parent ON f.parent_id = parent.id
+            WHERE f.deleted_at IS NOT NULL
+              AND f.trashed_with_folder_id IS NULL
+              AND (f.deleted_by = $1 OR f.owner_id = $1)
+            ORDER BY f.deleted_at DESC
+        `, [userId, this.trashRetentionDays]);
+
+        const filesResult = await pool.query(`
+            SELECT
+                f.*,
+                u.name as deleted_by_name,
+                folder.name as original_folder_name,
+                f.deleted_at + ($2 || ' days')::INTERVAL as purge_at
+            FROM drive_files f
+            LEFT JOIN users u ON f.deleted_by = u.id
+            LEFT JOIN drive_folders folder ON f.folder_id = folder.id
+            WHERE f.deleted_at IS NOT NULL
+              AND f.trashed_with_folder_id IS NULL
+              AND (f.deleted_by = $1 OR f.uploaded_by = $1)
+            ORDER BY f.deleted_at DESC
+        `, [userId, this.trashRetentionDays]);
+
+        return {
+            folders: foldersResult.rows,
+            files: filesResult.rows,
+            retentionDays: this.trashRetentionDays
+        };
+    }
+
+    /**
+     * Load a top-level trash entry the user may restore or purge
+     * @private
+     */
+    async _getTrashedItem(client, type, id, userId) {
+        const table = type === 'folder' ? 'drive_folders' : 'drive_files';
+        const ownerColumn = type === 'folder' ? 'owner_id' : 'uploaded_by';
+
+        const result = await client.query(
+            `SELECT * FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL`,
+            [id]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error(type === 'folder' ? 'Folder not found' : 'File not found');
+        }
+
+        const item = result.rows[0];
+
+        if (item.trashed_with_folder_id) {
+            throw new Error('Item was deleted with its folder');
+        }
+
+        // userId null = retention job
+        if (userId !== null && item.deleted_by !== userId && item[ownerColumn] !== userId) {
+            throw new Error('Access denied');
+        }
+
+        return item;
+    }
+
+    /**
+     * Original location if it still exists and the user may write there,
+     * otherwise the root
+     * @private
+     */
+    async _restoreTarget(client, folderId, userId) {
+        if (!folderId) {
+            return null;
+        }
+
+        const result = await client.query(
+            'SELECT id FROM drive_folders WHERE id = $1 AND deleted_at IS NULL',
+            [folderId]
+        );
+
+        if (result.rows.length === 0 || !(await this.checkFolderAccess(folderId, userId, 'write'))) {
+            return null;
+        }
+
+        return folderId;
+    }
+
+    /**
+     * Free name in the target location: "Report.pdf" becomes "Report (1).pdf".
+     * The item itself is ignored (renames); new items pass id null.
+     * @private
+     */
+    async _availableName(client, type, item, targetFolderId, onConflict) {
+        const isFolder = type === 'folder';
+        const ownerId = isFolder ? item.owner_id : item.uploaded_by;
+        const extension = isFolder ? '' : path.extname(item.name);
+        const base = extension ? item.name.slice(0, -extension.length) : item.name;
+
+        const query = isFolder
+            ? `SELECT 1 FROM drive_folders
+               WHERE deleted_at IS NULL
+                 AND parent_id IS NOT DISTINCT FROM $1
+                 AND (parent_id IS NOT NULL OR owner_id = $2)
+                 AND id IS DISTINCT FROM $4
+                 AND (LOWER(name) = LOWER($3) OR (owner_id = $2 AND slug = $5))
+               LIMIT 1`
+            : `SELECT 1 FROM drive_files
+               WHERE deleted_at IS NULL
+                 AND folder_id IS NOT DISTINCT FROM $1
+                 AND (folder_id IS NOT NULL OR uploaded_by = $2)
+                 AND id IS DISTINCT FROM $4
+                 AND LOWER(name) = LOWER($3)
+               LIMIT 1`;
+
+        for (let attempt = 0; attempt <= 100; attempt++) {
+            const name = attempt === 0 ? item.name : `${base} (${attempt})${extension}`;
+            const params = [targetFolderId, ownerId, name, item.id];
+            if (isFolder) {
+                params.push(this._folderSlug(name));
+            }
+
+            const taken = await client.query(query, params);
+
+            if (taken.rows.length === 0) {
+                return name;
+            }
+
+            if (onConflict === 'fail') {
+                throw new Error('Name already exists');
+            }
+        }
+
+        throw new Error('Name already exists');
+    }
+
+    /**
+     * Restore a file to its original folder (or the root if that is gone).
+     * onConflict: 'rename' (default) or 'fail'
+     */
+    async restoreFile(fileId, userId, { onConflict = 'rename' } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const file = await this._getTrashedItem(client, 'file', fileId, userId);
+            const targetFolderId = await this._restoreTarget(client, file.folder_id, userId);
+            const name = await this._availableName(client, 'file', file, targetFolderId, onConflict);
+
+            const result = await client.query(`
+                UPDATE drive_files
+                SET deleted_at = NULL,
+                    deleted_by = NULL,
+                    folder_id = $2,
+                    name = $3,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [fileId, targetFolderId, name]);
+
+            if (targetFolderId) {
+                await client.query(`
+                    UPDATE drive_folders
+                    SET file_count = file_count + 1,
+                        total_size_bytes = total_size_bytes + $1,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $2
+                `, [file.file_size_bytes, targetFolderId]);
+            }
+
+            await client.query('COMMIT');
+
+            logger.info('File restored', { fileId, userId, folderId: targetFolderId, renamed: name !== file.name });
+
+            return {
+                file: result.rows[0],
+                restoredToOriginal: targetFolderId === file.folder_id,
+                renamed: name !== file.name
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Restore a folder together with everything deleted with it
+     */
+    async restoreFolder(folderId, userId, { onConflict = 'rename' } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const folder = await this._getTrashedItem(client, 'folder', folderId, userId);
+            const parentId = await this._restoreTarget(client, folder.parent_id, userId);
+            const name = await this._availableName(client, 'folder', folder, parentId, onConflict);
+
+            let depth = 0;
+            let folderPath = `/${name}`;
+            if (parentId) {
+                const parentResult = await client.query(
+                    'SELECT depth, path FROM drive_folders WHERE id = $1',
+                    [parentId]
+                );
+                depth = parentResult.rows[0].depth + 1;
+                folderPath = `${parentResult.rows[0].path}/${name}`;
+            }
+
+            const result = await client.query(`
+                UPDATE drive_folders
+                SET deleted_at = NULL,
+                    deleted_by = NULL,
+                    parent_id = $2,
+                    name = $3,
+                    slug = $4,
+                    depth = $5,
+                    path = $6,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `, [folderId, parentId, name, this._folderSlug(name), depth, folderPath]);
+
+            const subfolders = await client.query(`
+                UPDATE drive_folders
+                SET deleted_at = NULL, deleted_by = NULL, trashed_with_folder_id = NULL
+                WHERE trashed_with_folder_id = $1
+            `, [folderId]);
+
+            const files = await client.query(`
+                UPDATE drive_files
+                SET deleted_at = NULL, deleted_by = NULL, trashed_with_folder_id = NULL
+                WHERE trashed_with_folder_id = $1
+            `, [folderId]);
+
+            await client.query('COMMIT');
+
+            logger.info('Folder restored', {
+                folderId,
+                userId,
+                parentId,
+                folders: subfolders.rowCount + 1,
+                files: files.rowCount
+            });
+
+            return {
+                folder: result.rows[0],
+                restoredToOriginal: parentId === folder.parent_id,
+                renamed: name !== folder.name
+            };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Permanently delete a trashed file
+     */
+    async purgeFile(fileId, userId) {
+        return this._purgeTrashEntry('file', fileId, userId);
+    }
+
+    /**
+     * Permanently delete a trashed folder with its whole subtree
+     */
+    async purgeFolder(folderId, userId) {
+        return this._purgeTrashEntry('folder', folderId, userId);
+    }
+
+    /**
+     * Delete a trash entry (file, or folder incl. everything below it) and
+     * afterwards the blobs nothing references anymore
+     * @private
+     */
+    async _purgeTrashEntry(type, id, userId) {
+        const client = await pool.connect();
+        let tree;
+        let blobs;
+        try {
+            await client.query('BEGIN');
+
+            const item = await this._getTrashedItem(client, type, id, userId);
+            tree = type === 'folder'
+                ? await this._subtree(client, item.id)
+                : { fileIds: [item.id], folderIds: [] };
+            blobs = await this._deleteRows(client, tree.fileIds, type === 'folder' ? [item.id] : []);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await this._collectBlobs(blobs);
+
+        logger.info(type === 'folder' ? 'Folder permanently deleted' : 'File permanently deleted', {
+            id,
+            userId,
+            files: tree.fileIds.length,
+            folders: tree.folderIds.length
+        });
+
+        return { files: tree.fileIds.length, folders: tree.folderIds.length };
+    }
+
+    /**
+     * Permanently delete everything in the user's trash
+     */
+    async emptyTrash(userId) {
+        const trash = await this.listTrash(userId);
+        const totals = { files: 0, folders: 0 };
+
+        for (const folder of trash.folders) {
+            const result = await this.purgeFolder(folder.id, userId);
+            totals.files += result.files;
+            totals.folders += result.folders;
+        }
+
+        for (const file of trash.files) {
+            try {
+                await this.purgeFile(file.id, userId);
+                totals.files++;
+            } catch (error) {
+                // Already purged together with one of the folders above
+                if (error.message !== 'File not found') {
+                    throw error;
+                }
+            }
+        }
+
+        return totals;
+    }
+
+    /**
+     * Retention job: permanently delete trash entries older than the retention period
+     */
+    async purgeExpiredTrash(retentionDays = this.trashRetentionDays) {
+        const folders = await pool.query(`
+            SELECT id FROM drive_folders
+            WHERE deleted_at IS NOT NULL
+              AND trashed_with_folder_id IS NULL
+              AND deleted_at < CURRENT_TIMESTAMP - ($1 || ' days')::INTERVAL
+        `, [retentionDays]);
+
+        const files = await pool.query(`
+            SELECT id FROM drive_files
+            WHERE deleted_at IS NOT NULL
+              AND trashed_with_folder_id IS NULL
+              AND deleted_at < CURRENT_TIMESTAMP - ($1 || ' days')::INTERVAL
+        `, [retentionDays]);
+
+        const totals = { files: 0, folders: 0 };
+        const entries = [
+            ...folders.rows.map(row => ['folder', row.id]),
+            ...files.rows.map(row => ['file', row.id])
+        ];
+
+        for (const [type, id] of entries) {
+            try {
+                const result = await this._purgeTrashEntry(type, id, null);
+                totals.files += result.files;
+                totals.folders += result.folders;
+            } catch (error) {
+                // Files may already be gone with a purged folder
+                if (error.message !== 'File not found') {
+                    logger.error('Purging trash entry failed', { type, id, error: error.message });
+                }
+            }
+        }
+
+        if (totals.files > 0 || totals.folders > 0) {
+            logger.info('Expired trash purged', { ...totals, retentionDays });
+        }
+
+        return totals;
+    }
+
+    /**
+     * All folders below (and including) a folder and the files in them,
+     * regardless of their trash state
+     * @private
+     */
+    async _subtree(client, folderId) {
+        const result = await client.query(`
+            WITH RECURSIVE tree AS (
+                SELECT id FROM drive_folders WHERE id = $1
+                UNION ALL
+                SELECT f.id FROM drive_folders f JOIN tree ON f.parent_id = tree.id
+            )
+            SELECT
+                (SELECT array_agg(id) FROM tree) as folder_ids,
+                (SELECT array_agg(df.id) FROM drive_files df WHERE df.folder_id IN (SELECT id FROM tree)) as file_ids
+        `, [folderId]);
+
+        return {
+            folderIds: result.rows[0].folder_ids || [],
+            fileIds: result.rows[0].file_ids || []
+        };
+    }
+
+    /**
+     * Delete file and folder rows; returns the blobs (incl. versions) they used
+     * @private
+     */
+    async _deleteRows(client, fileIds, folderIds) {
+        const blobsResult = await client.query(`
+            SELECT file_path, file_hash FROM drive_files WHERE id = ANY($1)
+            UNION
+            SELECT file_path, file_hash FROM drive_file_versions WHERE file_id = ANY($1)
+        `, [fileIds]);
+
+        await client.query('DELETE FROM drive_files WHERE id = ANY($1)', [fileIds]);
+
+        if (folderIds.length > 0) {
+            // Subfolders follow via ON DELETE CASCADE
+            await client.query('DELETE FROM drive_folders WHERE id = ANY($1)', [folderIds]);
+        }
+
+        return blobsResult.rows;
+    }
+
+    /**
+     * Remove blobs from storage that no file or version references anymore.
+     * Identical uploads share one blob (deduplication by hash), so a blob is
+     * only removed once its last row is gone.
+     * @private
+     */
+    async _collectBlobs(blobs) {
+        for (const blob of blobs) {
+            const references = await pool.query(`
+                SELECT
+                    EXISTS (SELECT 1 FROM drive_files WHERE file_hash = $1 OR file_path = $2) OR
+                    EXISTS (SELECT 1 FROM drive_file_versions WHERE file_hash = $1 OR file_path = $2)
+                    as in_use
+            `, [blob.file_hash, blob.file_path]);
+
+            if (references.rows[0].in_use) {
+                continue;
+            }
+
+            try {
+                await this.storage.delete(blob.file_path);
+                logger.info('Blob removed', { fileHash: blob.file_hash });
+            } catch (error) {
+                logger.error('Failed to remove blob', { filePath: blob.file_path, error: error.message });
+            }
+
+            // Extracted text, thumbnails and previews of the content
+            await pool.query('DELETE FROM drive_file_contents WHERE file_hash = $1', [blob.file_hash]);
+
+            const previews = await pool.query(
+                'DELETE FROM drive_file_previews WHERE file_hash = $1 RETURNING storage_path',
+                [blob.file_hash]
+            );
+            for (const preview of previews.rows) {
+                await this.storage.delete(preview.storage_path).catch(error =>
+                    logger.error('Failed to remove preview', { filePath: preview.storage_path, error: error.message })
+                );
+            }
+        }
+    }
 }
 
 module.exports = new DriveService();
@@ -0,0 +1,441 @@
+// =====================================================
+// Drive Storage - Storage Backends for Drive Blobs
+// =====================================================
+//
+// A blob is addressed by its storage key, which is the `file_path` stored in
+// drive_files / drive_file_versions (e.g. "drive/2026/10/<sha256>.pdf").
+// Every backend uses the same keys, so blobs can be moved between backends
+// without touching the database.
+//
+// Backend interface:
+//   put(key, filePath, contentHash)  moves a local file into storage
+//   getStream(key)                   readable stream, throws 'Blob not found'
+//   exists(key)
+//   delete(key)                      ignores missing blobs
+//   getSignedUrl(key, options)       time-limited download URL
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+
+const STORAGE_BACKENDS = ['local', 's3'];
+
+const S3_TIMEOUT_MS = parseInt(process.env.DRIVE_S3_TIMEOUT_MS) || 60000;
+
+const EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * Storage keys always use forward slashes
+ */
+function normalizeKey(key) {
+    return String(key).replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+function contentDisposition(fileName) {
+    return `attachment; filename="${encodeURIComponent(fileName)}"`;
+}
+
+// =====================================================
+// LOCAL FILESYSTEM
+// =====================================================
+
+class LocalStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.rootDir - Directory the keys are relative to
+     */
+    constructor({ rootDir }) {
+        this.name = 'local';
+        this.rootDir = rootDir;
+    }
+
+    _path(key) {
+        const filePath = path.resolve(this.rootDir, normalizeKey(key));
+
+        // Keys come from the database, but never leave the storage root
+        if (!filePath.startsWith(path.resolve(this.rootDir) + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+
+        return filePath;
+    }
+
+    async put(key, filePath) {
+        const target = this._path(key);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+
+        try {
+            await fs.rename(filePath, target);
+        } catch (error) {
+            // Temporary file on another filesystem (e.g. migration via /tmp)
+            if (error.code !== 'EXDEV') {
+                throw error;
+            }
+            await fs.copyFile(filePath, target);
+            await fs.unlink(filePath);
+        }
+    }
+
+    async getStream(key) {
+        const filePath = this._path(key);
+
+        try {
+            await fs.access(filePath);
+        } catch (error) {
+            throw new Error('Blob not found');
+        }
+
+        return fsSync.createReadStream(filePath);
+    }
+
+    async exists(key) {
+        try {
+            await fs.access(this._path(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this._path(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    _signingKey() {
+        if (process.env.DRIVE_SIGNING_KEY) {
+            return process.env.DRIVE_SIGNING_KEY;
+        }
+        // Fallback: derived from JWT_SECRET, so URLs stay valid across restarts and instances
+        return crypto.createHash('sha256').update(`drive-signed-url:${process.env.JWT_SECRET}`).digest('hex');
+    }
+
+    _signature(payload) {
+        return crypto.createHmac('sha256', this._signingKey()).update(payload).digest('base64url');
+    }
+
+    /**
+     * Signed URL served by the app itself (GET /api/drive/blobs/:token)
+     */
+    async getSignedUrl(key, { baseUrl = '', fileName, mimeType, expiresIn = 300 } = {}) {
+        const payload = Buffer.from(JSON.stringify({
+            k: normalizeKey(key),
+            n: fileName,
+            t: mimeType,
+            e: Math.floor(Date.now() / 1000) + expiresIn
+        })).toString('base64url');
+
+        return `${baseUrl}/api/drive/blobs/${payload}.${this._signature(payload)}`;
+    }
+
+    /**
+     * Verify a token from getSignedUrl
+     * @returns {Object|null} { key, fileName, mimeType }
+     */
+    verifySignedToken(token) {
+        const [payload, signature] = String(token).split('.');
+        if (!payload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this._signature(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (!data.k || !(data.e > Date.now() / 1000)) {
+            return null;
+        }
+
+        return { key: data.k, fileName: data.n, mimeType: data.t };
+    }
+}
+
+// =====================================================
+// S3-COMPATIBLE OBJECT STORAGE (AWS S3, MinIO, Ceph RGW)
+// =====================================================
+
+function uriEncode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+class S3Storage {
+    /**
+     * @param {Object} options
+     * @param {string} options.bucket
+     * @param {string} options.accessKeyId
+     * @param {string} options.secretAccessKey
+     * @param {string} [options.region]
+     * @param {string} [options.endpoint] - e.g. http://minio:9000; defaults to AWS
+     * @param {boolean} [options.forcePathStyle] - http://host/bucket/key instead of http://bucket.host/key
+     * @param {string} [options.prefix] - Prefix for all object keys
+     */
+    constructor({ bucket, accessKeyId, secretAccessKey, region = 'us-east-1', endpoint, forcePathStyle = true, prefix = '' }) {
+        if (!bucket || !accessKeyId || !secretAccessKey) {
+            throw new Error('S3 storage requires bucket, access key and secret key');
+        }
+
+        this.name = 's3';
+        this.bucket = bucket;
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.region = region;
+        this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+        this.forcePathStyle = forcePathStyle;
+        this.prefix = prefix ? normalizeKey(prefix).replace(/\/*$/, '/') : '';
+    }
+
+    _objectUrl(key) {
+        const objectPath = (this.prefix + normalizeKey(key)).split('/').map(uriEncode).join('/');
+        const url = new URL(this.endpoint.href);
+        const basePath = url.pathname.replace(/\/+$/, '');
+
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${uriEncode(this.bucket)}/${objectPath}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${objectPath}`;
+        }
+
+        return url;
+    }
+
+    _canonicalQuery(params) {
+        return Object.keys(params).sort()
+            .map(name => `${uriEncode(name)}=${uriEncode(params[name])}`)
+            .join('&');
+    }
+
+    /**
+     * AWS Signature Version 4
+     * @private
+     * @returns {string} Hex signature
+     */
+    _signature(method, url, query, headers, payloadHash, amzDate) {
+        const date = amzDate.substring(0, 8);
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+        const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+        const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            this._canonicalQuery(query),
+            headerNames.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+            headerNames.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        let signingKey = hmac(`AWS4${this.secretAccessKey}`, date);
+        for (const part of [this.region, 's3', 'aws4_request']) {
+            signingKey = hmac(signingKey, part);
+        }
+
+        return hmac(signingKey, stringToSign).toString('hex');
+    }
+
+    _amzDate(now = new Date()) {
+        return now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    }
+
+    /**
+     * Signed request against the object; resolves with the response
+     * @private
+     */
+    _request(method, key, { headers = {}, body = null, payloadHash = EMPTY_HASH } = {}) {
+        const url = this._objectUrl(key);
+        const amzDate = this._amzDate();
+
+        const signedHeaders = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const headerNames = Object.keys(signedHeaders).sort().join(';');
+        const signature = this._signature(method, url, {}, signedHeaders, payloadHash, amzDate);
+
+        signedHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${amzDate.substring(0, 8)}/${this.region}/s3/aws4_request, ` +
+            `SignedHeaders=${headerNames}, Signature=${signature}`;
+
+        const transport = url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, { method, headers: signedHeaders, timeout: S3_TIMEOUT_MS }, resolve);
+            req.on('error', reject);
+            req.on('timeout', () => req.destroy(new Error('S3 request timed out')));
+
+            if (body) {
+                pipeline(body, req, error => error && reject(error));
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    /**
+     * Read the error response and throw
+     * @private
+     */
+    async _fail(method, response) {
+        let text = '';
+        for await (const chunk of response) {
+            text += chunk;
+        }
+        const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1] || response.statusMessage;
+
+        throw new Error(`S3 ${method} failed: ${response.statusCode} ${code}`);
+    }
+
+    /**
+     * Upload a local file; the file is removed afterwards like with a local move.
+     * contentHash (SHA-256 hex) lets S3 verify the payload.
+     */
+    async put(key, filePath, contentHash = null) {
+        const { size } = await fs.stat(filePath);
+
+        const response = await this._request('PUT', key, {
+            headers: { 'content-length': size },
+            body: fsSync.createReadStream(filePath),
+            payloadHash: contentHash || UNSIGNED_PAYLOAD
+        });
+
+        if (response.statusCode !== 200) {
+            await this._fail('PUT', response);
+        }
+        response.resume();
+
+        await fs.unlink(filePath);
+    }
+
+    async getStream(key) {
+        const response = await this._request('GET', key);
+
+        if (response.statusCode === 404) {
+            response.resume();
+            throw new Error('Blob not found');
+        }
+        if (response.statusCode !== 200) {
+            await this._fail('GET', response);
+        }
+
+        return response;
+    }
+
+    async exists(key) {
+        const response = await this._request('HEAD', key);
+        response.resume();
+
+        if (response.statusCode === 404) {
+            return false;
+        }
+        if (response.statusCode !== 200) {
+            throw new Error(`S3 HEAD failed: ${response.statusCode} ${response.statusMessage}`);
+        }
+
+        return true;
+    }
+
+    async delete(key) {
+        const response = await this._request('DELETE', key);
+
+        // S3 answers 204 for missing objects as well
+        if (response.statusCode !== 204 && response.statusCode !== 200 && response.statusCode !== 404) {
+            await this._fail('DELETE', response);
+        }
+        response.resume();
+    }
+
+    /**
+     * Presigned GET URL (query string authentication)
+     */
+    async getSignedUrl(key, { fileName, mimeType, expiresIn = 300 } = {}) {
+        const url = this._objectUrl(key);
+        const amzDate = this._amzDate();
+
+        const query = {
+            'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+            'X-Amz-Credential': `${this.accessKeyId}/${amzDate.substring(0, 8)}/${this.region}/s3/aws4_request`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': String(Math.min(expiresIn, 604800)),
+            'X-Amz-SignedHeaders': 'host'
+        };
+        if (fileName) {
+            query['response-content-disposition'] = contentDisposition(fileName);
+        }
+        if (mimeType) {
+            query['response-content-type'] = mimeType;
+        }
+
+        query['X-Amz-Signature'] = this._signature('GET', url, query, { host: url.host }, UNSIGNED_PAYLOAD, amzDate);
+
+        return `${url.origin}${url.pathname}?${this._canonicalQuery(query)}`;
+    }
+}
+
+// =====================================================
+// FACTORY
+// =====================================================
+
+/**
+ * Create a storage backend from the environment
+ * @param {string} [backend] - 'local' or 's3' (default: DRIVE_STORAGE_BACKEND)
+ * @param {Object} [options] - { rootDir } for local storage
+ */
+function createStorage(backend = process.env.DRIVE_STORAGE_BACKEND || 'local', options = {}) {
+    switch (backend) {
+        case 'local':
+            return new LocalStorage({
+                // Keys start with "drive/", so the root is the parent of the upload directory
+                rootDir: options.rootDir || path.join(process.env.DRIVE_UPLOAD_DIR || path.join(__dirname, '..', 'uploads', 'drive'), '..')
+            });
+        case 's3':
+            return new S3Storage({
+                bucket: process.env.DRIVE_S3_BUCKET,
+                accessKeyId: process.env.DRIVE_S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.DRIVE_S3_SECRET_ACCESS_KEY,
+                region: process.env.DRIVE_S3_REGION || 'us-east-1',
+                endpoint: process.env.DRIVE_S3_ENDPOINT,
+                forcePathStyle: process.env.DRIVE_S3_FORCE_PATH_STYLE !== 'false',
+                prefix: process.env.DRIVE_S3_PREFIX || ''
+            });
+        default:
+            throw new Error(`Unknown drive storage backend: ${backend}`);
+    }
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    LocalStorage,
+    S3Storage,
+    createStorage
+};
@@ -0,0 +1,73 @@
+// =====================================================
+// Drive Trash Worker - Papierkorb-Bereinigung
+// =====================================================
+// Purpose: Permanently delete trashed drive items older
+// than DRIVE_TRASH_RETENTION_DAYS (and their blobs once
+// no other file references them); remove expired chunked
+// upload sessions
+// =====================================================
+
+const driveService = require('./driveService');
+const driveUploadService = require('./driveUploadService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DriveTrashWorker');
+
+const CHECK_INTERVAL = parseInt(process.env.DRIVE_TRASH_CHECK_HOURS || 24) * 60 * 60 * 1000;
+
+let checkTimer = null;
+let running = false;
+
+/**
+ * Purge expired trash entries and upload sessions
+ */
+async function purgeExpiredTrash() {
+    if (running) {
+        return;
+    }
+
+    running = true;
+
+    try {
+        await driveService.purgeExpiredTrash();
+    } catch (error) {
+        logger.error('Error in purgeExpiredTrash', { error: error.message });
+    }
+
+    try {
+        await driveUploadService.purgeExpiredSessions();
+    } catch (error) {
+        logger.error('Error in purgeExpiredSessions', { error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the drive trash worker
+ */
+function startWorker() {
+    logger.info(`Starting drive trash worker (retention: ${driveService.trashRetentionDays} days, check interval: ${CHECK_INTERVAL / 1000 / 60 / 60} hours)`);
+
+    checkTimer = setInterval(() => {
+        purgeExpiredTrash();
+    }, CHECK_INTERVAL);
+
+    purgeExpiredTrash();
+}
+
+/**
+ * Stop the worker
+ */
+function stopWorker() {
+    logger.info('Stopping drive trash worker...');
+
+    clearInterval(checkTimer);
+    checkTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    purgeExpiredTrash
+};
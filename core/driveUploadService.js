@@ -0,0 +1,408 @@
+// =====================================================
+// Drive Upload Service - Fortsetzbare Uploads
+// =====================================================
+// Large files are uploaded in chunks: the client opens an
+// upload session, sends the chunks (each with its SHA-256)
+// in any order and completes the session. After a lost
+// connection only the missing chunks are sent again. On
+// completion the chunks are joined while hashing, then the
+// file goes through the normal drive storage (quota checks,
+// deduplication).
+// =====================================================
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const database = require('./database');
+const driveService = require('./driveService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('DriveUploadService');
+
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.DRIVE_UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024; // 8MB
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const SESSION_HOURS = parseInt(process.env.DRIVE_UPLOAD_SESSION_HOURS) || 24;
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+class DriveUploadService {
+    constructor() {
+        this.sessionDir = path.join(driveService.uploadDir, 'upload-sessions');
+        this.defaultChunkSize = DEFAULT_CHUNK_SIZE;
+        this.sessionHours = SESSION_HOURS;
+    }
+
+    /**
+     * Directory holding the chunks of a session
+     * @private
+     */
+    _chunkDir(sessionId) {
+        return path.join(this.sessionDir, sessionId);
+    }
+
+    /**
+     * Expected size of a chunk (the last one may be shorter)
+     * @private
+     */
+    _expectedChunkSize(session, index) {
+        const size = parseInt(session.file_size_bytes);
+        return index === session.total_chunks - 1
+            ? size - index * session.chunk_size
+            : session.chunk_size;
+    }
+
+    /**
+     * Session of the user (without received chunks)
+     * @private
+     */
+    async _getSession(sessionId, userId) {
+        // The ID is also part of the chunk directory path
+        if (!UUID_PATTERN.test(String(sessionId))) {
+            throw new Error('Upload session not found');
+        }
+
+        const result = await database.query(`
+            SELECT * FROM drive_upload_sessions
+            WHERE id = $1 AND user_id = $2 AND expires_at > CURRENT_TIMESTAMP
+        `, [sessionId, userId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Upload session not found');
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Session with its progress (for resuming)
+     * @private
+     */
+    async _formatSession(session) {
+        const chunksResult = await database.query(`
+            SELECT chunk_index, size_bytes
+            FROM drive_upload_chunks
+            WHERE session_id = $1
+            ORDER BY chunk_index
+        `, [session.id]);
+
+        const receivedChunks = chunksResult.rows.map(row => row.chunk_index);
+        const receivedBytes = chunksResult.rows.reduce((sum, row) => sum + row.size_bytes, 0);
+        const received = new Set(receivedChunks);
+        const missingChunks = [];
+
+        for (let i = 0; i < session.total_chunks; i++) {
+            if (!received.has(i)) {
+                missingChunks.push(i);
+            }
+        }
+
+        return {
+            id: session.id,
+            fileName: session.file_name,
+            folderId: session.folder_id,
+            size: parseInt(session.file_size_bytes),
+            chunkSize: session.chunk_size,
+            totalChunks: session.total_chunks,
+            receivedChunks,
+            missingChunks,
+            receivedBytes,
+            status: session.status,
+            fileId: session.file_id,
+            expiresAt: session.expires_at
+        };
+    }
+
+    /**
+     * Open an upload session. Size, write access and quotas are checked
+     * up front and again on completion.
+     */
+    async createSession(options, userId) {
+        const {
+            fileName,
+            size,
+            folderId = null,
+            mimeType = 'application/octet-stream',
+            description = null,
+            tags = [],
+            visibility = 'private',
+            chunkSize = this.defaultChunkSize,
+            checksum = null
+        } = options;
+
+        const name = String(fileName || '').trim();
+        if (!name) {
+            throw new Error('File name is required');
+        }
+
+        if (!driveService.isAllowedFileName(name)) {
+            throw new Error('File type not allowed');
+        }
+
+        if (!Number.isSafeInteger(size) || size < 0) {
+            throw new Error('Invalid file size');
+        }
+
+        if (size > driveService.maxFileSize) {
+            throw new Error('File too large');
+        }
+
+        if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+            throw new Error('Invalid chunk size');
+        }
+
+        if (checksum && !SHA256_PATTERN.test(String(checksum).toLowerCase())) {
+            throw new Error('Invalid checksum');
+        }
+
+        await driveService.checkUpload(userId, folderId, size);
+
+        const sessionId = crypto.randomUUID();
+        const totalChunks = Math.max(Math.ceil(size / chunkSize), 1);
+
+        await fs.mkdir(this._chunkDir(sessionId), { recursive: true });
+
+        const result = await database.query(`
+            INSERT INTO drive_upload_sessions (
+                id, user_id, folder_id, file_name, mime_type, description, tags, visibility,
+                file_size_bytes, chunk_size, total_chunks, file_hash, expires_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                      CURRENT_TIMESTAMP + make_interval(hours => $13))
+            RETURNING *
+        `, [
+            sessionId, userId, folderId, name, mimeType, description, tags, visibility,
+            size, chunkSize, totalChunks, checksum ? checksum.toLowerCase() : null, this.sessionHours
+        ]);
+
+        logger.info('Upload session created', { sessionId, fileName: name, size, totalChunks, userId });
+
+        return this._formatSession(result.rows[0]);
+    }
+
+    /**
+     * Upload progress of a session
+     */
+    async getSession(sessionId, userId) {
+        return this._formatSession(await this._getSession(sessionId, userId));
+    }
+
+    /**
+     * Store one chunk from a stream. The chunk must have its exact expected
+     * size and match the SHA-256 checksum sent by the client; sending a chunk
+     * again replaces it.
+     */
+    async storeChunk(sessionId, index, stream, checksum, userId) {
+        const session = await this._getSession(sessionId, userId);
+
+        if (session.status !== 'active') {
+            throw new Error('Upload already completed');
+        }
+
+        if (!Number.isInteger(index) || index < 0 || index >= session.total_chunks) {
+            throw new Error('Invalid chunk index');
+        }
+
+        if (!checksum) {
+            throw new Error('Chunk checksum is required');
+        }
+
+        const expectedSize = this._expectedChunkSize(session, index);
+        const chunkPath = path.join(this._chunkDir(sessionId), String(index));
+        const partPath = `${chunkPath}.${crypto.randomBytes(4).toString('hex')}.part`;
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+
+        const counter = new Transform({
+            transform(data, encoding, callback) {
+                size += data.length;
+                if (size > expectedSize) {
+                    return callback(new Error('Invalid chunk size'));
+                }
+                hash.update(data);
+                callback(null, data);
+            }
+        });
+
+        try {
+            await fs.mkdir(this._chunkDir(sessionId), { recursive: true });
+            await pipeline(stream, counter, fsSync.createWriteStream(partPath));
+
+            if (size !== expectedSize) {
+                throw new Error('Invalid chunk size');
+            }
+
+            const digest = hash.digest('hex');
+            if (digest !== String(checksum).toLowerCase()) {
+                throw new Error('Chunk checksum mismatch');
+            }
+
+            await fs.rename(partPath, chunkPath);
+
+            await database.query(`
+                INSERT INTO drive_upload_chunks (session_id, chunk_index, size_bytes, checksum)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (session_id, chunk_index) DO UPDATE
+                SET size_bytes = EXCLUDED.size_bytes,
+                    checksum = EXCLUDED.checksum,
+                    received_at = CURRENT_TIMESTAMP
+            `, [sessionId, index, size, digest]);
+
+            const sessionResult = await database.query(`
+                UPDATE drive_upload_sessions
+                SET updated_at = CURRENT_TIMESTAMP,
+                    expires_at = CURRENT_TIMESTAMP + make_interval(hours => $2)
+                WHERE id = $1
+                RETURNING *
+            `, [sessionId, this.sessionHours]);
+
+            return this._formatSession(sessionResult.rows[0]);
+
+        } catch (error) {
+            await fs.unlink(partPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Join the chunks into one file and add it to the drive. Completing an
+     * already completed session returns its file (retries after a lost response).
+     */
+    async completeSession(sessionId, userId, { checksum = null } = {}) {
+        const session = await this._getSession(sessionId, userId);
+
+        if (session.status === 'completed' && session.file_id) {
+            return driveService.getFile(session.file_id, userId);
+        }
+
+        const progress = await this._formatSession(session);
+        if (progress.missingChunks.length > 0) {
+            throw new Error('Upload incomplete');
+        }
+
+        // Only one completion at a time
+        const claimed = await database.query(`
+            UPDATE drive_upload_sessions
+            SET status = 'completing', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'active'
+            RETURNING id
+        `, [sessionId]);
+
+        if (claimed.rows.length === 0) {
+            throw new Error('Upload already completed');
+        }
+
+        const tempPath = driveService.tempFilePath();
+
+        try {
+            const fileHash = await this._joinChunks(session, tempPath);
+            const expectedHash = (checksum || session.file_hash || '').toLowerCase();
+
+            if (expectedHash && expectedHash !== fileHash) {
+                throw new Error('File checksum mismatch');
+            }
+
+            const file = await driveService.uploadFileFromPath(tempPath, session.file_name, {
+                userId,
+                folderId: session.folder_id,
+                description: session.description,
+                tags: session.tags,
+                visibility: session.visibility,
+                mimeType: session.mime_type,
+                fileHash,
+                sizeBytes: parseInt(session.file_size_bytes)
+            });
+
+            await database.query(`
+                UPDATE drive_upload_sessions
+                SET status = 'completed', file_id = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [sessionId, file.id]);
+
+            await database.query('DELETE FROM drive_upload_chunks WHERE session_id = $1', [sessionId]);
+            await fs.rm(this._chunkDir(sessionId), { recursive: true, force: true });
+
+            logger.info('Upload session completed', { sessionId, fileId: file.id, userId });
+
+            return file;
+
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            await database.query(
+                "UPDATE drive_upload_sessions SET status = 'active' WHERE id = $1 AND status = 'completing'",
+                [sessionId]
+            );
+            throw error;
+        }
+    }
+
+    /**
+     * Concatenate the chunks into one file, hashing on the way
+     * @private
+     * @returns {Promise<string>} SHA-256 of the whole file
+     */
+    async _joinChunks(session, targetPath) {
+        const hash = crypto.createHash('sha256');
+        const output = fsSync.createWriteStream(targetPath);
+        const failed = once(output, 'error').then(([error]) => { throw error; });
+        failed.catch(() => {});
+
+        for (let i = 0; i < session.total_chunks; i++) {
+            for await (const data of fsSync.createReadStream(path.join(this._chunkDir(session.id), String(i)))) {
+                hash.update(data);
+                if (!output.write(data)) {
+                    await Promise.race([once(output, 'drain'), failed]);
+                }
+            }
+        }
+
+        await Promise.race([new Promise(resolve => output.end(resolve)), failed]);
+
+        return hash.digest('hex');
+    }
+
+    /**
+     * Cancel an upload session and delete its chunks
+     */
+    async abortSession(sessionId, userId) {
+        const session = await this._getSession(sessionId, userId);
+
+        await this._removeSession(session.id);
+
+        logger.info('Upload session aborted', { sessionId, userId });
+    }
+
+    /**
+     * @private
+     */
+    async _removeSession(sessionId) {
+        await database.query('DELETE FROM drive_upload_sessions WHERE id = $1', [sessionId]);
+        await fs.rm(this._chunkDir(sessionId), { recursive: true, force: true });
+    }
+
+    /**
+     * Remove expired sessions and their chunks (called by the drive trash worker)
+     */
+    async purgeExpiredSessions() {
+        const result = await database.query(
+            'SELECT id FROM drive_upload_sessions WHERE expires_at <= CURRENT_TIMESTAMP'
+        );
+
+        for (const row of result.rows) {
+            await this._removeSession(row.id);
+        }
+
+        if (result.rows.length > 0) {
+            logger.info('Expired upload sessions removed', { sessions: result.rows.length });
+        }
+
+        return result.rows.length;
+    }
+}
+
+module.exports = new DriveUploadService();
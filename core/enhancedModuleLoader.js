@@ -8,8 +8,10 @@ const fs = require('fs');
 const path = require('path');
 const { createModuleLogger } = require('./logger');
 const database = require('./database');
+const notificationService = require('./notificationService');
 const middleware = require('./middleware');
 const permissions = require('./permissions');
+const roleService = require('./roleService');
 const { createModuleI18n } = require('./i18n');
 const moduleRegistry = require('./enhancedModuleRegistry');
 
@@ -21,6 +23,33 @@ class EnhancedModuleLoader {
         this.eventBus = eventBus;
         this.loadedModules = new Map();
         this.moduleInstances = new Map();
+        this.hookHandlers = new Map(); // moduleName -> Map(handlerName -> function)
+
+        moduleRegistry.setHookHandlerResolver((moduleName, handlerName) =>
+            this.resolveHookHandler(moduleName, handlerName));
+    }
+
+    /**
+     * Resolve a hook handler of a loaded module
+     * Functions passed to ctx.registry.registerHook take precedence over
+     * exports of the module instance (dot paths like "hooks.onPostSave" allowed)
+     */
+    resolveHookHandler(moduleName, handlerName) {
+        const registered = this.hookHandlers.get(moduleName)?.get(handlerName);
+        if (registered) {
+            return registered;
+        }
+
+        const instance = this.moduleInstances.get(moduleName);
+        if (!instance) {
+            return null;
+        }
+
+        const keys = handlerName.split('.');
+        const owner = keys.slice(0, -1).reduce((target, key) => (target ? target[key] : undefined), instance);
+        const handler = owner ? owner[keys[keys.length - 1]] : undefined;
+
+        return typeof handler === 'function' ? handler.bind(owner) : null;
     }
 
     /**
@@ -165,7 +194,8 @@ class EnhancedModuleLoader {
             services: {
                 database,
                 logger: createModuleLogger(moduleData.name),
-                registry: moduleRegistry
+                registry: moduleRegistry,
+                notifications: notificationService
             },
 
             // Middleware-Funktionen
@@ -183,8 +213,13 @@ class EnhancedModuleLoader {
                 requirePermission: permissions.requirePermission,
                 requireAllPermissions: permissions.requireAllPermissions,
                 hasPermission: permissions.hasPermission,
+                userHasPermission: permissions.userHasPermission,
                 ROLES: permissions.ROLES,
-                PERMISSIONS: permissions.PERMISSIONS
+                PERMISSIONS: permissions.PERMISSIONS,
+
+                // [{ key, name, description, category, roles }] oder { key: name }
+                registerPermissions: (definitions) =>
+                    roleService.registerPermissions(moduleData.name, definitions)
             },
 
             // Internationalization
@@ -196,12 +231,31 @@ class EnhancedModuleLoader {
                 setSetting: (key, value, type) => moduleRegistry.setModuleSetting(moduleData.id, key, value, type),
                 getSettings: () => moduleRegistry.getAllModuleSettings(moduleData.id),
 
-                registerHook: (hookName, handler, priority) =>
-                    moduleRegistry.registerHook(moduleData.id, hookName, handler, priority),
+                // handler: name of an exported function or a named function
+                registerHook: (hookName, handler, priority) => {
+                    let handlerName = handler;
+
+                    if (typeof handler === 'function') {
+                        if (!handler.name) {
+                            throw new Error('Hook handler functions must be named');
+                        }
+                        handlerName = handler.name;
+
+                        if (!self.hookHandlers.has(moduleData.name)) {
+                            self.hookHandlers.set(moduleData.name, new Map());
+                        }
+                        self.hookHandlers.get(moduleData.name).set(handlerName, handler);
+                    }
+
+                    return moduleRegistry.registerHook(moduleData.id, hookName, handlerName, priority);
+                },
 
                 triggerHook: (hookName, data) =>
                     moduleRegistry.triggerHook(hookName, data),
 
+                applyFilterHook: (hookName, value, context) =>
+                    moduleRegistry.applyFilterHook(hookName, value, context),
+
                 registerRoute: (routeData) =>
                     moduleRegistry.registerRoute(moduleData.id, routeData),
 
@@ -334,6 +388,7 @@ class EnhancedModuleLoader {
             if (this.loadedModules.has(moduleName)) {
                 this.loadedModules.delete(moduleName);
                 this.moduleInstances.delete(moduleName);
+                this.hookHandlers.delete(moduleName);
             }
 
             // Clear require cache
@@ -221,6 +221,20 @@ async function getAllModuleSettings(moduleId) {
 // MODULE HOOKS
 // ==============================================
 
+// Maximum runtime of a single hook handler
+const HOOK_TIMEOUT_MS = parseInt(process.env.MODULE_HOOK_TIMEOUT_MS) || 5000;
+
+// Resolves (moduleName, handlerName) to the handler function of the loaded
+// module instance; set by the module loader
+let hookHandlerResolver = null;
+
+/**
+ * Set the resolver used to find hook handlers in loaded modules
+ */
+function setHookHandlerResolver(resolver) {
+    hookHandlerResolver = resolver;
+}
+
 /**
  * Register module hook
  */
@@ -249,7 +263,7 @@ async function getHooksForEvent(hookName) {
          WHERE h.hook_name = $1
          AND h.enabled = true
          AND m.enabled = true
-         ORDER BY h.priority ASC`,
+         ORDER BY h.priority ASC, h.id ASC`,
         [hookName]
     );
 
@@ -257,24 +271,68 @@ async function getHooksForEvent(hookName) {
 }
 
 /**
- * Trigger hook (call all registered handlers)
+ * Run a hook handler with timeout
+ */
+async function executeHookHandler(hook, args) {
+    const handler = hookHandlerResolver
+        ? hookHandlerResolver(hook.module_name, hook.handler_function)
+        : null;
+
+    if (typeof handler !== 'function') {
+        throw new Error(`Handler ${hook.handler_function} not found in module ${hook.module_name}`);
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(new Error(`Handler timed out after ${HOOK_TIMEOUT_MS}ms`)),
+            HOOK_TIMEOUT_MS
+        );
+    });
+
+    try {
+        return await Promise.race([
+            Promise.resolve().then(() => handler(...args)),
+            timeout
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Load the handlers of a hook without letting registry errors reach the caller
+ */
+async function loadHooksSafely(hookName) {
+    try {
+        return await getHooksForEvent(hookName);
+    } catch (error) {
+        logger.error('Failed to load hooks', { hookName, error: error.message });
+        return [];
+    }
+}
+
+/**
+ * Trigger action hook (call all registered handlers in priority order)
+ *
+ * Handlers receive (data, { hook, module }). A failing or slow handler is
+ * reported in the results and does not stop the others. Never throws.
  */
 async function triggerHook(hookName, data = {}) {
-    const hooks = await getHooksForEvent(hookName);
+    const hooks = await loadHooksSafely(hookName);
 
     logger.debug('Triggering hook', { hookName, handlerCount: hooks.length });
 
     const results = [];
     for (const hook of hooks) {
         try {
-            // Here we would actually call the handler function
-            // This requires loading the module's handler
             logger.debug('Executing hook handler', {
                 module: hook.module_name,
                 handler: hook.handler_function
             });
 
-            // Placeholder for actual handler execution
+            await executeHookHandler(hook, [data, { hook: hookName, module: hook.module_name }]);
+
             results.push({
                 module: hook.module_name,
                 handler: hook.handler_function,
@@ -282,6 +340,7 @@ async function triggerHook(hookName, data = {}) {
             });
         } catch (error) {
             logger.error('Hook handler failed', {
+                hookName,
                 module: hook.module_name,
                 handler: hook.handler_function,
                 error: error.message
@@ -299,6 +358,43 @@ async function triggerHook(hookName, data = {}) {
     return results;
 }
 
+/**
+ * Apply filter hook (pass value through all handlers in priority order)
+ *
+ * Handlers receive (value, context) and return the transformed value;
+ * returning undefined keeps the value unchanged. Results of a different type,
+ * errors and timeouts are logged and skipped. Never throws.
+ */
+async function applyFilterHook(hookName, value, context = {}) {
+    const hooks = await loadHooksSafely(hookName);
+
+    let filtered = value;
+    for (const hook of hooks) {
+        try {
+            const result = await executeHookHandler(hook, [filtered, { ...context, hook: hookName, module: hook.module_name }]);
+
+            if (result === undefined) {
+                continue;
+            }
+
+            if (typeof result !== typeof filtered || Array.isArray(result) !== Array.isArray(filtered) || (filtered !== null && result === null)) {
+                throw new Error('Filter handler returned a value of a different type');
+            }
+
+            filtered = result;
+        } catch (error) {
+            logger.error('Filter hook handler failed', {
+                hookName,
+                module: hook.module_name,
+                handler: hook.handler_function,
+                error: error.message
+            });
+        }
+    }
+
+    return filtered;
+}
+
 /**
  * Disable hook
  */
@@ -493,6 +589,8 @@ module.exports = {
     registerHook,
     getHooksForEvent,
     triggerHook,
+    applyFilterHook,
+    setHookHandlerResolver,
     disableHook,
     enableHook,
 
@@ -7,13 +7,31 @@
 const express = require('express');
 const router = express.Router();
 const eventsService = require('./eventsService');
+const icalService = require('./icalService');
+const calendarSubscriptionService = require('./calendarSubscriptionService');
 const { authenticateToken, requirePermission, optionalAuth } = require('./middleware');
+const { userHasPermission } = require('./permissions');
 const i18n = require('./i18n');
 
 // ==============================================
 // EVENT CRUD OPERATIONS
 // ==============================================
 
+/**
+ * Merges the read-only events of the user's calendar subscriptions into a range query
+ */
+async function withSubscriptionEvents(events, userId, startDate, endDate) {
+    if (!startDate && !endDate) {
+        return events;
+    }
+
+    const external = await calendarSubscriptionService.getOverlayEvents(userId, startDate, endDate);
+
+    return external.length === 0
+        ? events
+        : [...events, ...external].sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+}
+
 /**
  * GET /api/events
  * List events with filters
@@ -30,6 +48,7 @@ router.get('/events', authenticateToken, async (req, res) => {
             status,
             my_events, // Boolean: only events where user is participant
             include_recurring = 'true',
+            include_subscriptions = 'true', // Overlay external iCal subscriptions
             limit = 100,
             offset = 0
         } = req.query;
@@ -48,7 +67,14 @@ router.get('/events', authenticateToken, async (req, res) => {
             offset: parseInt(offset)
         };
 
-        const events = await eventsService.listEvents(filters);
+        let events = await eventsService.listEvents(filters);
+
+        // External events have no organizer, location or category to filter by
+        // and are only added to the first page
+        const hasEventFilters = organizer_id || location_id || category || visibility || status;
+        if (include_subscriptions === 'true' && !hasEventFilters && !parseInt(offset)) {
+            events = await withSubscriptionEvents(events, req.user.userId, start_date, end_date);
+        }
 
         res.json({
             success: true,
@@ -122,6 +148,18 @@ router.get('/events/statistics', authenticateToken, requirePermission('events.vi
     }
 });
 
+/**
+ * Private events are visible to the organizer and the participants only
+ */
+async function canViewEvent(event, user) {
+    if (event.visibility !== 'private' || event.organizer_id === user.userId) {
+        return true;
+    }
+
+    const participants = await eventsService.getEventParticipants(event.id);
+    return participants.some(p => p.user_id === user.userId);
+}
+
 /**
  * GET /api/events/:id
  * Get event details
@@ -139,18 +177,11 @@ router.get('/events/:id', authenticateToken, async (req, res) => {
         }
 
         // Check access rights (visibility)
-        if (event.visibility === 'private' &&
-            event.organizer_id !== req.user.id) {
-            // Check if user is participant
-            const participants = await eventsService.getEventParticipants(parseInt(id));
-            const isParticipant = participants.some(p => p.user_id === req.user.id);
-
-            if (!isParticipant) {
-                return res.status(403).json({
-                    success: false,
-                    message: i18n.t('errors.forbidden', { lng: req.language })
-                });
-            }
+        if (!(await canViewEvent(event, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
         }
 
         // Get participants
@@ -185,9 +216,11 @@ router.post('/events', authenticateToken, requirePermission('events.create'), as
         });
     } catch (error) {
         console.error('Error creating event:', error);
-        res.status(400).json({
+        // 409: requested room is already booked
+        res.status(error.conflicts ? 409 : 400).json({
             success: false,
-            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+            message: error.message || i18n.t('errors.serverError', { lng: req.language }),
+            conflicts: error.conflicts
         });
     }
 });
@@ -231,9 +264,11 @@ router.put('/events/:id', authenticateToken, requirePermission('events.edit'), a
         });
     } catch (error) {
         console.error('Error updating event:', error);
-        res.status(400).json({
+        // 409: requested room is already booked
+        res.status(error.conflicts ? 409 : 400).json({
             success: false,
-            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+            message: error.message || i18n.t('errors.serverError', { lng: req.language }),
+            conflicts: error.conflicts
         });
     }
 });
@@ -367,6 +402,157 @@ router.post('/events/:id/check-conflicts', authenticateToken, async (req, res) =
     }
 });
 
+// ==============================================
+// RECURRENCE
+// ==============================================
+
+/**
+ * Organizer or holder of events.manage_all
+ */
+async function canManageEvent(event, user) {
+    return event.organizer_id === user.userId || userHasPermission(user, 'events.manage_all');
+}
+
+/**
+ * GET /api/events/:id/occurrences
+ * List occurrences of a recurring event within a date range
+ */
+router.get('/events/:id/occurrences', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { start_date, end_date } = req.query;
+
+        const event = await eventsService.findEventById(parseInt(id));
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        if (!(await canViewEvent(event, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        const occurrences = await eventsService.getEventOccurrences(event.id, start_date, end_date);
+
+        res.json({
+            success: true,
+            data: occurrences
+        });
+    } catch (error) {
+        console.error('Error getting occurrences:', error);
+        res.status(error.message === 'Event not found' ? 404 : 500).json({
+            success: false,
+            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * PUT /api/events/:id/occurrences
+ * Update a single occurrence, this and following, or all occurrences
+ * Body: { occurrence_start, scope: 'this' | 'following' | 'all', ...changes }
+ */
+router.put('/events/:id/occurrences', authenticateToken, requirePermission('events.edit'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { occurrence_start, scope = 'this', ...changes } = req.body;
+
+        if (!occurrence_start) {
+            return res.status(400).json({
+                success: false,
+                message: 'occurrence_start is required'
+            });
+        }
+
+        const event = await eventsService.findEventById(parseInt(id));
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        if (!(await canManageEvent(event, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        const updatedEvent = await eventsService.updateOccurrence(
+            parseInt(id),
+            occurrence_start,
+            changes,
+            scope,
+            req.user.userId
+        );
+
+        res.json({
+            success: true,
+            data: updatedEvent,
+            message: 'Occurrence updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating occurrence:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/events/:id/occurrences
+ * Delete a single occurrence, this and following, or the whole series
+ * Query: occurrence_start, scope ('this' | 'following' | 'all')
+ */
+router.delete('/events/:id/occurrences', authenticateToken, requirePermission('events.delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { occurrence_start, scope = 'this' } = { ...req.query, ...req.body };
+
+        if (!occurrence_start) {
+            return res.status(400).json({
+                success: false,
+                message: 'occurrence_start is required'
+            });
+        }
+
+        const event = await eventsService.findEventById(parseInt(id));
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        if (!(await canManageEvent(event, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        await eventsService.deleteOccurrence(parseInt(id), occurrence_start, scope, req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Occurrence deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting occurrence:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
 // ==============================================
 // PARTICIPANT MANAGEMENT
 // ==============================================
@@ -398,9 +584,17 @@ router.get('/events/:id/participants', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Participants are managed by whoever may manage the event
+ */
+async function canManageParticipants(event, user) {
+    return canManageEvent(event, user);
+}
+
 /**
  * POST /api/events/:id/participants
  * Add participant to event
+ * Body: user_id (or guest_email/guest_name), or group_id to invite all members of a group
  */
 router.post('/events/:id/participants', authenticateToken, requirePermission('events.edit'), async (req, res) => {
     try {
@@ -415,18 +609,31 @@ router.post('/events/:id/participants', authenticateToken, requirePermission('ev
             });
         }
 
-        const hasManageAll = req.user.permissions?.includes('events.manage_all');
-        if (event.organizer_id !== req.user.id && !hasManageAll) {
+        if (!(await canManageParticipants(event, req.user))) {
             return res.status(403).json({
                 success: false,
                 message: i18n.t('errors.forbidden', { lng: req.language })
             });
         }
 
+        if (req.body.group_id) {
+            const invitation = await eventsService.inviteGroup(
+                parseInt(id),
+                parseInt(req.body.group_id),
+                req.user.userId
+            );
+
+            return res.status(201).json({
+                success: true,
+                data: invitation,
+                message: 'Group invited successfully'
+            });
+        }
+
         const participant = await eventsService.addEventParticipant(
             parseInt(id),
             req.body,
-            req.user.id
+            req.user.userId
         );
 
         res.status(201).json({
@@ -436,7 +643,7 @@ router.post('/events/:id/participants', authenticateToken, requirePermission('ev
         });
     } catch (error) {
         console.error('Error adding participant:', error);
-        res.status(400).json({
+        res.status(error.message === 'Group not found' ? 404 : 400).json({
             success: false,
             message: error.message || i18n.t('errors.serverError', { lng: req.language })
         });
@@ -524,6 +731,69 @@ router.delete('/events/:id/participants/:userId', authenticateToken, async (req,
     }
 });
 
+/**
+ * GET /api/events/:id/groups
+ * Groups invited to the event
+ */
+router.get('/events/:id/groups', authenticateToken, async (req, res) => {
+    try {
+        const groups = await eventsService.getEventGroupInvitations(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: groups
+        });
+    } catch (error) {
+        console.error('Error getting group invitations:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/events/:id/groups/:groupId
+ * Withdraw a group invitation (members who have not responded are removed)
+ */
+router.delete('/events/:id/groups/:groupId', authenticateToken, async (req, res) => {
+    try {
+        const event = await eventsService.findEventById(parseInt(req.params.id));
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        if (!(await canManageParticipants(event, req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        await eventsService.removeGroupInvitation(event.id, parseInt(req.params.groupId));
+
+        res.json({
+            success: true,
+            message: 'Group invitation removed'
+        });
+    } catch (error) {
+        if (error.message === 'Group invitation not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error removing group invitation:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
 // ==============================================
 // USER EVENTS
 // ==============================================
@@ -539,11 +809,12 @@ router.get('/user/events', authenticateToken, async (req, res) => {
             end_date,
             status_filter,
             include_organized = 'true',
+            include_subscriptions = 'true',
             limit = 100,
             offset = 0
         } = req.query;
 
-        const events = await eventsService.getUserEvents(req.user.id, {
+        let events = await eventsService.getUserEvents(req.user.userId, {
             start_date,
             end_date,
             status_filter,
@@ -552,6 +823,10 @@ router.get('/user/events', authenticateToken, async (req, res) => {
             offset: parseInt(offset)
         });
 
+        if (include_subscriptions === 'true' && !status_filter && !parseInt(offset)) {
+            events = await withSubscriptionEvents(events, req.user.userId, start_date, end_date);
+        }
+
         res.json({
             success: true,
             data: events,
@@ -570,6 +845,299 @@ router.get('/user/events', authenticateToken, async (req, res) => {
     }
 });
 
+// ==============================================
+// CALENDAR SUBSCRIPTIONS
+// ==============================================
+
+/**
+ * GET /api/calendar/subscriptions
+ * List the current user's external calendar subscriptions
+ */
+router.get('/calendar/subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const subscriptions = await calendarSubscriptionService.listSubscriptions(req.user.userId);
+
+        res.json({
+            success: true,
+            data: subscriptions
+        });
+    } catch (error) {
+        console.error('Error listing calendar subscriptions:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * POST /api/calendar/subscriptions
+ * Subscribe to an external iCal feed (webcal:// URLs are accepted)
+ * Body: { name, ical_url, color?, sync_interval_minutes?, sync_enabled?, is_visible?, display_order? }
+ */
+router.post('/calendar/subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await calendarSubscriptionService.createSubscription(req.user.userId, req.body);
+
+        // Initial import right away; failures are stored on the subscription (last_error)
+        let sync = null;
+        try {
+            sync = await calendarSubscriptionService.syncSubscription(subscription);
+        } catch (error) {
+            sync = { status: 'error', error: error.message };
+        }
+
+        res.status(201).json({
+            success: true,
+            data: await calendarSubscriptionService.getSubscription(subscription.id, req.user.userId),
+            sync,
+            message: 'Subscription created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating calendar subscription:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * PUT /api/calendar/subscriptions/:id
+ * Update a subscription (name, URL, color, interval, visibility)
+ */
+router.put('/calendar/subscriptions/:id', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await calendarSubscriptionService.updateSubscription(
+            parseInt(req.params.id),
+            req.user.userId,
+            req.body
+        );
+
+        res.json({
+            success: true,
+            data: subscription,
+            message: 'Subscription updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating calendar subscription:', error);
+        res.status(error.message === 'Subscription not found' ? 404 : 400).json({
+            success: false,
+            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/calendar/subscriptions/:id
+ * Remove a subscription and its imported events
+ */
+router.delete('/calendar/subscriptions/:id', authenticateToken, async (req, res) => {
+    try {
+        await calendarSubscriptionService.deleteSubscription(parseInt(req.params.id), req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Subscription deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting calendar subscription:', error);
+        res.status(error.message === 'Subscription not found' ? 404 : 500).json({
+            success: false,
+            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * POST /api/calendar/subscriptions/:id/sync
+ * Refresh a subscription immediately
+ */
+router.post('/calendar/subscriptions/:id/sync', authenticateToken, async (req, res) => {
+    try {
+        const subscription = await calendarSubscriptionService.getSubscription(parseInt(req.params.id), req.user.userId);
+        if (!subscription) {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        // Force a full download
+        const result = await calendarSubscriptionService.syncSubscription({
+            ...subscription,
+            etag: null,
+            last_modified_header: null
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error syncing calendar subscription:', error);
+        res.status(502).json({
+            success: false,
+            message: error.message || i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+// ==============================================
+// ICALENDAR FEEDS
+// ==============================================
+
+/**
+ * Sends an iCalendar document
+ */
+function sendCalendar(res, calendar, filename) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${filename}"`,
+        'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
+}
+
+/**
+ * GET /api/user/events/feed
+ * Get the personal subscription URL (creates the secret token on first call)
+ */
+router.get('/user/events/feed', authenticateToken, async (req, res) => {
+    try {
+        const feedToken = await icalService.getOrCreateFeedToken(req.user.userId);
+
+        res.json({
+            success: true,
+            data: {
+                url: icalService.getFeedUrl(feedToken.token),
+                created_at: feedToken.created_at,
+                last_accessed_at: feedToken.last_accessed_at,
+                access_count: feedToken.access_count
+            }
+        });
+    } catch (error) {
+        console.error('Error getting calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * POST /api/user/events/feed/regenerate
+ * Replace the secret token (invalidates the old subscription URL)
+ */
+router.post('/user/events/feed/regenerate', authenticateToken, async (req, res) => {
+    try {
+        const feedToken = await icalService.regenerateFeedToken(req.user.userId);
+
+        res.json({
+            success: true,
+            data: {
+                url: icalService.getFeedUrl(feedToken.token),
+                created_at: feedToken.created_at
+            },
+            message: 'Calendar feed URL regenerated'
+        });
+    } catch (error) {
+        console.error('Error regenerating calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/user/events/feed
+ * Revoke the personal subscription URL
+ */
+router.delete('/user/events/feed', authenticateToken, async (req, res) => {
+    try {
+        await icalService.revokeFeedToken(req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Calendar feed revoked'
+        });
+    } catch (error) {
+        console.error('Error revoking calendar feed:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * GET /api/events/feed/:token.ics
+ * Personal iCalendar feed (authenticated by secret token, for calendar clients)
+ */
+router.get('/events/feed/:token.ics', async (req, res) => {
+    try {
+        if (!await icalService.isExportEnabled()) {
+            return res.status(404).send('Not found');
+        }
+
+        const user = await icalService.findUserByFeedToken(req.params.token);
+        if (!user) {
+            return res.status(404).send('Not found');
+        }
+
+        const calendar = await icalService.buildUserFeed(user);
+        sendCalendar(res, calendar, 'openintrahub.ics');
+    } catch (error) {
+        console.error('Error building user calendar feed:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+/**
+ * GET /api/events/feeds/locations/:locationId.ics
+ * Public iCalendar feed of a location (public events only)
+ */
+router.get('/events/feeds/locations/:locationId.ics', async (req, res) => {
+    try {
+        if (!await icalService.isExportEnabled()) {
+            return res.status(404).send('Not found');
+        }
+
+        const calendar = await icalService.buildLocationFeed(parseInt(req.params.locationId));
+        if (!calendar) {
+            return res.status(404).send('Not found');
+        }
+
+        sendCalendar(res, calendar, `location-${req.params.locationId}.ics`);
+    } catch (error) {
+        console.error('Error building location calendar feed:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
+/**
+ * GET /api/events/feeds/categories/:slug.ics
+ * Public iCalendar feed of an event category (public events only)
+ */
+router.get('/events/feeds/categories/:slug.ics', async (req, res) => {
+    try {
+        if (!await icalService.isExportEnabled()) {
+            return res.status(404).send('Not found');
+        }
+
+        const calendar = await icalService.buildCategoryFeed(req.params.slug);
+        if (!calendar) {
+            return res.status(404).send('Not found');
+        }
+
+        sendCalendar(res, calendar, `category-${req.params.slug}.ics`);
+    } catch (error) {
+        console.error('Error building category calendar feed:', error);
+        res.status(500).send('Internal server error');
+    }
+});
+
 // ==============================================
 // REMINDERS
 // ==============================================
@@ -577,11 +1145,12 @@ router.get('/user/events', authenticateToken, async (req, res) => {
 /**
  * POST /api/events/:id/reminders
  * Create reminder for event
+ * Body: { minutes_before, method?: 'notification' | 'email' }
  */
 router.post('/events/:id/reminders', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { minutes_before } = req.body;
+        const { minutes_before, method = 'notification' } = req.body;
 
         if (!minutes_before || minutes_before <= 0) {
             return res.status(400).json({
@@ -590,10 +1159,18 @@ router.post('/events/:id/reminders', authenticateToken, async (req, res) => {
             });
         }
 
+        if (!['notification', 'email'].includes(method)) {
+            return res.status(400).json({
+                success: false,
+                message: 'method must be notification or email'
+            });
+        }
+
         const reminder = await eventsService.createEventReminder(
             parseInt(id),
             req.user.id,
-            parseInt(minutes_before)
+            parseInt(minutes_before),
+            method
         );
 
         res.status(201).json({
@@ -5,10 +5,30 @@
  */
 
 const database = require('./database');
+const recurrence = require('./recurrence');
+const resourceBookingService = require('./resourceBookingService');
+const notificationService = require('./notificationService');
+const moduleRegistry = require('./enhancedModuleRegistry');
+const groupService = require('./groupService');
+const eventBus = require('./eventBus');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('EventsService');
 
+// Default window for expanding recurring events when only one range bound is given
+const DEFAULT_EXPANSION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that may be changed on an event (and on detached occurrences)
+const EDITABLE_FIELDS = [
+    'title', 'description', 'start_time', 'end_time', 'all_day',
+    'timezone', 'location_id', 'location_details', 'is_online',
+    'meeting_url', 'category', 'visibility', 'requires_approval',
+    'max_participants', 'allow_guests', 'status', 'color', 'tags'
+];
+
+const RECURRING_MASTER_CONDITION = '(e.is_recurring = true AND e.recurrence_rule IS NOT NULL)';
+
 // ==============================================
 // EVENT CRUD OPERATIONS
 // ==============================================
@@ -17,6 +37,9 @@ const logger = createModuleLogger('EventsService');
  * Creates a new event
  */
 async function createEvent(eventData, userId) {
+    // Modules may adjust the event before it is stored
+    eventData = await moduleRegistry.applyFilterHook('event.before_save', eventData, { userId, eventId: null });
+
     const {
         title,
         description,
@@ -37,7 +60,9 @@ async function createEvent(eventData, userId) {
         allow_guests = false,
         status = 'confirmed',
         color,
-        tags = []
+        tags = [],
+        resource_id, // Raum/Ressource, die zusammen mit dem Event gebucht wird
+        attendee_count
     } = eventData;
 
     try {
@@ -51,25 +76,63 @@ async function createEvent(eventData, userId) {
             throw new Error('End time must be after start time');
         }
 
-        const result = await database.query(
-            `INSERT INTO events (
-                title, description, start_time, end_time, all_day, timezone,
-                is_recurring, recurrence_rule, location_id, location_details,
-                is_online, meeting_url, organizer_id, category, visibility,
-                requires_approval, max_participants, allow_guests, status,
-                color, tags, created_by, updated_by
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $22)
-            RETURNING *`,
-            [
-                title, description, start_time, end_time, all_day, timezone,
-                is_recurring, recurrence_rule, location_id, location_details,
-                is_online, meeting_url, userId, category, visibility,
-                requires_approval, max_participants, allow_guests, status,
-                color, JSON.stringify(tags), userId
-            ]
-        );
+        // Validate and normalize recurrence rule (accepts JSON or RRULE strings)
+        if (is_recurring && !recurrence_rule) {
+            throw new Error('recurrence_rule is required for recurring events');
+        }
+        const normalizedRule = is_recurring ? recurrence.toRuleObject(recurrence_rule) : null;
+
+        // Event and room booking are created atomically
+        const client = await database.pool.connect();
+        let event;
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(
+                `INSERT INTO events (
+                    title, description, start_time, end_time, all_day, timezone,
+                    is_recurring, recurrence_rule, recurrence_end, location_id, location_details,
+                    is_online, meeting_url, organizer_id, category, visibility,
+                    requires_approval, max_participants, allow_guests, status,
+                    color, tags, created_by, updated_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $23)
+                RETURNING *`,
+                [
+                    title, description, start_time, end_time, all_day, timezone,
+                    is_recurring, normalizedRule,
+                    seriesEnd({ is_recurring, recurrence_rule: normalizedRule, start_time, end_time, timezone }),
+                    location_id, location_details,
+                    is_online, meeting_url, userId, category, visibility,
+                    requires_approval, max_participants, allow_guests, status,
+                    color, JSON.stringify(tags), userId
+                ]
+            );
 
-        const event = result.rows[0];
+            event = result.rows[0];
+
+            if (resource_id) {
+                const booking = await resourceBookingService.createBooking({
+                    resource_id,
+                    start_time,
+                    end_time,
+                    title,
+                    attendee_count,
+                    recurrence_rule: normalizedRule,
+                    timezone,
+                    event_id: event.id
+                }, userId, { client });
+
+                event.resource_bookings = booking.bookings;
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
         // Auto-add organizer as participant
         await addEventParticipant(event.id, {
@@ -81,6 +144,9 @@ async function createEvent(eventData, userId) {
 
         logger.info('Event created', { eventId: event.id, title: event.title, organizer: userId });
 
+        // Module hooks run in the background and never fail the request
+        moduleRegistry.triggerHook('event.created', { event, userId });
+
         return event;
 
     } catch (error) {
@@ -131,6 +197,7 @@ async function listEvents(filters = {}) {
         status,
         user_id, // Events where user is participant
         include_recurring = true,
+        expand_recurring = true, // false: return series masters (e.g. for iCal export)
         limit = 100,
         offset = 0
     } = filters;
@@ -151,16 +218,6 @@ async function listEvents(filters = {}) {
         const params = [];
         let paramIndex = 1;
 
-        if (start_date) {
-            query += ` AND e.end_time >= $${paramIndex++}`;
-            params.push(start_date);
-        }
-
-        if (end_date) {
-            query += ` AND e.start_time <= $${paramIndex++}`;
-            params.push(end_date);
-        }
-
         if (organizer_id) {
             query += ` AND e.organizer_id = $${paramIndex++}`;
             params.push(organizer_id);
@@ -195,12 +252,7 @@ async function listEvents(filters = {}) {
             query += ` AND e.is_recurring = false`;
         }
 
-        query += ` ORDER BY e.start_time ASC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
-        params.push(limit, offset);
-
-        const result = await database.query(query, params);
-
-        return result.rows;
+        return await queryEventRange(query, params, { start_date, end_date, expand_recurring, limit, offset });
 
     } catch (error) {
         logger.error('Error listing events', { error: error.message, filters });
@@ -210,61 +262,115 @@ async function listEvents(filters = {}) {
 
 /**
  * Update event
+ * @param {Object} options - { client }: run inside the caller's transaction;
+ *                           the caller triggers event.updated after COMMIT
  */
-async function updateEvent(eventId, updates, userId) {
+async function updateEvent(eventId, updates, userId, options = {}) {
+    const { client = null } = options;
+
     try {
-        const allowedFields = [
-            'title', 'description', 'start_time', 'end_time', 'all_day',
-            'timezone', 'location_id', 'location_details', 'is_online',
-            'meeting_url', 'category', 'visibility', 'requires_approval',
-            'max_participants', 'allow_guests', 'status', 'color', 'tags'
-        ];
-
-        const fields = [];
-        const values = [];
-        let paramIndex = 1;
+        // Modules may adjust the changes before they are stored
+        updates = await moduleRegistry.applyFilterHook('event.before_save', updates, { userId, eventId });
+
+        let event;
 
-        for (const [key, value] of Object.entries(updates)) {
-            if (allowedFields.includes(key)) {
-                fields.push(`${key} = $${paramIndex++}`);
-                values.push(key === 'tags' ? JSON.stringify(value) : value);
+        if (client) {
+            event = await saveEventUpdate(client, eventId, updates, userId);
+        } else {
+            // Event and room booking are updated atomically
+            const ownClient = await database.pool.connect();
+            try {
+                await ownClient.query('BEGIN');
+                event = await saveEventUpdate(ownClient, eventId, updates, userId);
+                await ownClient.query('COMMIT');
+            } catch (error) {
+                await ownClient.query('ROLLBACK');
+                throw error;
+            } finally {
+                ownClient.release();
             }
         }
 
-        if (fields.length === 0) {
-            throw new Error('No valid update fields provided');
-        }
+        logger.info('Event updated', { eventId, updates: Object.keys(updates), userId });
 
-        values.push(userId, eventId);
+        if (!client) {
+            moduleRegistry.triggerHook('event.updated', { event, changes: Object.keys(updates), userId });
+        }
 
-        const query = `
-            UPDATE events
-            SET ${fields.join(', ')}, updated_by = $${paramIndex++}, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $${paramIndex}
-            RETURNING *
-        `;
+        return event;
 
-        const result = await database.query(query, values);
+    } catch (error) {
+        logger.error('Error updating event', { eventId, error: error.message, userId });
+        throw error;
+    }
+}
 
-        if (result.rows.length === 0) {
-            throw new Error('Event not found');
+/**
+ * Stores the changes of updateEvent and moves the room booking to the
+ * stored times (same transaction, so a conflict leaves the event unchanged)
+ * @private
+ */
+async function saveEventUpdate(client, eventId, updates, userId) {
+    const allowedFields = [
+        ...EDITABLE_FIELDS,
+        'is_recurring', 'recurrence_rule', 'recurrence_exception_dates'
+    ];
+
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+        if (allowedFields.includes(key)) {
+            fields.push(`${key} = $${paramIndex++}`);
+            if (key === 'recurrence_rule') {
+                values.push(value ? recurrence.toRuleObject(value) : null);
+            } else {
+                values.push(['tags', 'recurrence_exception_dates'].includes(key) ? JSON.stringify(value) : value);
+            }
         }
+    }
 
-        const event = result.rows[0];
+    if (fields.length === 0) {
+        throw new Error('No valid update fields provided');
+    }
 
-        // If time changed, update reminders
-        if (updates.start_time) {
-            await updateEventReminders(eventId);
-        }
+    values.push(userId, eventId);
 
-        logger.info('Event updated', { eventId, updates: Object.keys(updates), userId });
+    const query = `
+        UPDATE events
+        SET ${fields.join(', ')}, updated_by = $${paramIndex++}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${paramIndex}
+        RETURNING *
+    `;
 
-        return event;
+    const result = await client.query(query, values);
 
-    } catch (error) {
-        logger.error('Error updating event', { eventId, error: error.message, userId });
-        throw error;
+    if (result.rows.length === 0) {
+        throw new Error('Event not found');
     }
+
+    let event = result.rows[0];
+
+    // Series end follows rule and time changes
+    if (['is_recurring', 'recurrence_rule', 'start_time', 'end_time', 'timezone'].some(key => key in updates)) {
+        const endResult = await client.query(
+            'UPDATE events SET recurrence_end = $1 WHERE id = $2 RETURNING *',
+            [seriesEnd(event), eventId]
+        );
+        event = endResult.rows[0];
+    }
+
+    if ((updates.start_time || updates.end_time) && !event.is_recurring) {
+        await resourceBookingService.moveEventBooking(eventId, event.start_time, event.end_time, { client });
+    }
+
+    // If time changed, update reminders
+    if (updates.start_time) {
+        await updateEventReminders(eventId, client);
+    }
+
+    return event;
 }
 
 /**
@@ -293,7 +399,28 @@ async function cancelEvent(eventId, userId, reason = null) {
             );
         }
 
-        // Notify participants (to be implemented with notification system)
+        await resourceBookingService.releaseEventBookings([eventId]);
+
+        // Notify participants
+        const participants = await database.query(
+            `SELECT user_id FROM event_participants
+             WHERE event_id = $1 AND user_id IS NOT NULL AND status != 'declined'`,
+            [eventId]
+        );
+
+        await notificationService.createNotifications(
+            participants.rows.map(row => row.user_id),
+            {
+                notification_type: 'event_cancelled',
+                source_type: 'event',
+                source_id: eventId,
+                actor_id: userId,
+                title: 'Termin abgesagt',
+                message: `${result.rows[0].title} wurde abgesagt` + (reason ? `: ${reason}` : ''),
+                link: `/events/${eventId}`
+            }
+        );
+
         logger.info('Event cancelled', { eventId, userId, reason });
 
         return result.rows[0];
@@ -305,15 +432,24 @@ async function cancelEvent(eventId, userId, reason = null) {
 }
 
 /**
- * Delete event (soft delete)
+ * Delete event (soft delete, including detached occurrences of a series)
  */
 async function deleteEvent(eventId, userId) {
     try {
-        await database.query(
-            'UPDATE events SET is_active = false, updated_by = $1 WHERE id = $2',
+        const result = await database.query(
+            `WITH RECURSIVE series AS (
+                SELECT id FROM events WHERE id = $2
+                UNION
+                SELECT e.id FROM events e JOIN series s ON e.recurrence_parent_id = s.id
+            )
+            UPDATE events SET is_active = false, updated_by = $1
+            WHERE id IN (SELECT id FROM series)
+            RETURNING id`,
             [userId, eventId]
         );
 
+        await resourceBookingService.releaseEventBookings(result.rows.map(row => row.id));
+
         logger.info('Event deleted', { eventId, userId });
 
     } catch (error) {
@@ -322,6 +458,515 @@ async function deleteEvent(eventId, userId) {
     }
 }
 
+// ==============================================
+// RECURRENCE
+// ==============================================
+
+const OCCURRENCE_SCOPES = ['this', 'following', 'all'];
+
+/**
+ * End of the last occurrence of a series row (null = unbounded or no series)
+ */
+function seriesEnd(event) {
+    if (!event.is_recurring || !event.recurrence_rule) {
+        return null;
+    }
+
+    try {
+        return recurrence.getSeriesEnd(event);
+    } catch (error) {
+        // Invalid rules are returned as series master and must stay visible
+        return null;
+    }
+}
+
+/**
+ * Determines the expansion window of a range query (null = no expansion)
+ */
+function resolveExpansionRange(startDate, endDate) {
+    if (!startDate && !endDate) {
+        return null;
+    }
+
+    const start = startDate
+        ? new Date(startDate)
+        : new Date(new Date(endDate).getTime() - DEFAULT_EXPANSION_DAYS * DAY_MS);
+    const end = endDate
+        ? new Date(endDate)
+        : new Date(start.getTime() + DEFAULT_EXPANSION_DAYS * DAY_MS);
+
+    return { start, end };
+}
+
+/**
+ * Builds an occurrence row from a series master
+ */
+function buildOccurrence(master, occurrence) {
+    return {
+        ...master,
+        start_time: occurrence.start,
+        end_time: occurrence.end,
+        series_id: master.id,
+        occurrence_start: occurrence.start.toISOString(),
+        is_occurrence: true
+    };
+}
+
+/**
+ * Replaces recurring masters by their occurrences within the range
+ */
+function expandEventRows(rows, rangeStart, rangeEnd, options = {}) {
+    const { limitPerSeries = Infinity } = options;
+    const expanded = [];
+
+    for (const row of rows) {
+        if (!row.is_recurring || !row.recurrence_rule) {
+            expanded.push(row);
+            continue;
+        }
+
+        try {
+            const occurrences = recurrence.expandRecurrence(row, rangeStart, rangeEnd, { limit: limitPerSeries });
+            expanded.push(...occurrences.map(occurrence => buildOccurrence(row, occurrence)));
+        } catch (error) {
+            logger.warn('Invalid recurrence rule, returning series master', { eventId: row.id, error: error.message });
+            expanded.push(row);
+        }
+    }
+
+    return expanded.sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+}
+
+/**
+ * Runs an event query restricted to a date range
+ *
+ * With expansion, single events and recurring masters are loaded separately:
+ * only series whose last occurrence reaches the range are loaded, and
+ * limit/offset apply to the expanded, sorted result.
+ * @private
+ */
+async function queryEventRange(query, params, options) {
+    const { start_date, end_date, expand_recurring } = options;
+    const limit = parseInt(options.limit);
+    const offset = parseInt(options.offset) || 0;
+    const range = expand_recurring && resolveExpansionRange(start_date, end_date);
+
+    if (!range) {
+        const rangeParams = [...params];
+        let rangeQuery = query;
+
+        // Masters are returned unexpanded (e.g. for iCal export) while their series reaches the range
+        if (start_date) {
+            rangeParams.push(start_date);
+            rangeQuery += ` AND (e.end_time >= $${rangeParams.length}
+                OR (${RECURRING_MASTER_CONDITION} AND (e.recurrence_end IS NULL OR e.recurrence_end >= $${rangeParams.length})))`;
+        }
+        if (end_date) {
+            rangeParams.push(end_date);
+            rangeQuery += ` AND e.start_time <= $${rangeParams.length}`;
+        }
+
+        rangeParams.push(limit, offset);
+        const result = await database.query(
+            `${rangeQuery} ORDER BY e.start_time ASC LIMIT $${rangeParams.length - 1} OFFSET $${rangeParams.length}`,
+            rangeParams
+        );
+        return result.rows;
+    }
+
+    const singleParams = [...params];
+    let singleQuery = `${query} AND NOT ${RECURRING_MASTER_CONDITION}`;
+    if (start_date) {
+        singleParams.push(start_date);
+        singleQuery += ` AND e.end_time >= $${singleParams.length}`;
+    }
+    if (end_date) {
+        singleParams.push(end_date);
+        singleQuery += ` AND e.start_time <= $${singleParams.length}`;
+    }
+    singleParams.push(offset + limit);
+
+    const singleResult = await database.query(
+        `${singleQuery} ORDER BY e.start_time ASC LIMIT $${singleParams.length}`,
+        singleParams
+    );
+
+    const mastersResult = await database.query(
+        `${query} AND ${RECURRING_MASTER_CONDITION}
+           AND e.start_time <= $${params.length + 1}
+           AND (e.recurrence_end IS NULL OR e.recurrence_end >= $${params.length + 2})`,
+        [...params, range.end, range.start]
+    );
+
+    return expandEventRows([...singleResult.rows, ...mastersResult.rows], range.start, range.end, {
+        limitPerSeries: offset + limit
+    }).slice(offset, offset + limit);
+}
+
+/**
+ * Loads a series master and validates the occurrence start
+ * @private
+ */
+async function findOccurrence(eventId, occurrenceStart) {
+    const master = await findEventById(eventId);
+    if (!master) {
+        throw new Error('Event not found');
+    }
+
+    if (!master.is_recurring || !master.recurrence_rule) {
+        throw new Error('Event is not a recurring series');
+    }
+
+    const start = new Date(occurrenceStart);
+    if (!recurrence.isOccurrence(master, start)) {
+        throw new Error('Occurrence not found in series');
+    }
+
+    const duration = new Date(master.end_time).getTime() - new Date(master.start_time).getTime();
+
+    return { master, start, end: new Date(start.getTime() + duration) };
+}
+
+function parseExceptionDates(value) {
+    if (!value) {
+        return [];
+    }
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Shifts ISO exception timestamps (date-only entries stay untouched)
+ * @private
+ */
+function shiftExceptionDates(dates, shiftMs) {
+    if (!shiftMs) {
+        return dates;
+    }
+    return dates.map(entry => (/^\d{4}-\d{2}-\d{2}$/.test(entry)
+        ? entry
+        : new Date(new Date(entry).getTime() + shiftMs).toISOString()));
+}
+
+/**
+ * Inserts a copy of a series master with overrides (detached occurrence or split series)
+ * @private
+ */
+async function insertSeriesEvent(client, master, overrides, userId) {
+    const data = { ...master, ...overrides };
+
+    const result = await client.query(
+        `INSERT INTO events (
+            title, description, start_time, end_time, all_day, timezone,
+            is_recurring, recurrence_rule, recurrence_end, recurrence_parent_id,
+            recurrence_exception_dates, recurrence_original_start,
+            location_id, location_details, is_online, meeting_url,
+            organizer_id, category, visibility, requires_approval,
+            max_participants, allow_guests, status, color, tags,
+            attachments, image_drive_id, created_by, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $28)
+        RETURNING *`,
+        [
+            data.title, data.description, data.start_time, data.end_time, data.all_day, data.timezone,
+            data.is_recurring, data.recurrence_rule, seriesEnd(data), data.recurrence_parent_id,
+            JSON.stringify(data.recurrence_exception_dates || []), data.recurrence_original_start,
+            data.location_id, data.location_details, data.is_online, data.meeting_url,
+            data.organizer_id, data.category, data.visibility, data.requires_approval,
+            data.max_participants, data.allow_guests, data.status, data.color, JSON.stringify(data.tags || []),
+            JSON.stringify(data.attachments || []), data.image_drive_id, userId
+        ]
+    );
+
+    // Participants of the series also attend the detached event
+    await client.query(
+        `INSERT INTO event_participants (
+            event_id, user_id, guest_email, guest_name, status,
+            is_required, is_organizer, comment, added_by
+        )
+        SELECT $1, user_id, guest_email, guest_name, status,
+               is_required, is_organizer, comment, added_by
+        FROM event_participants
+        WHERE event_id = $2
+        ON CONFLICT (event_id, user_id) DO NOTHING`,
+        [result.rows[0].id, master.id]
+    );
+
+    return result.rows[0];
+}
+
+/**
+ * Get occurrences of a recurring event (expanded series plus detached exceptions)
+ */
+async function getEventOccurrences(eventId, startDate, endDate) {
+    try {
+        const master = await findEventById(eventId);
+        if (!master) {
+            throw new Error('Event not found');
+        }
+
+        const range = resolveExpansionRange(startDate || master.start_time, endDate);
+        const occurrences = expandEventRows([master], range.start, range.end);
+
+        const detached = await database.query(
+            `SELECT e.*, l.name as location_name
+             FROM events e
+             LEFT JOIN locations l ON l.id = e.location_id
+             WHERE e.recurrence_parent_id = $1
+               AND e.is_active = true
+               AND e.is_recurring = false
+               AND e.end_time >= $2
+               AND e.start_time <= $3`,
+            [eventId, range.start, range.end]
+        );
+
+        return [...occurrences, ...detached.rows]
+            .sort((a, b) => new Date(a.start_time) - new Date(b.start_time));
+
+    } catch (error) {
+        logger.error('Error getting event occurrences', { eventId, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Update an occurrence of a recurring event
+ *
+ * Scopes:
+ *   this      - detach the occurrence into an exception row under recurrence_parent_id
+ *   following - end the series before the occurrence and start a new series from it
+ *   all       - update the whole series (time changes are applied as offset)
+ */
+async function updateOccurrence(eventId, occurrenceStart, updates, scope, userId) {
+    if (!OCCURRENCE_SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope. Must be one of: ${OCCURRENCE_SCOPES.join(', ')}`);
+    }
+
+    const { master, start: occStart, end: occEnd } = await findOccurrence(eventId, occurrenceStart);
+
+    const newStart = updates.start_time ? new Date(updates.start_time) : occStart;
+    const newEnd = updates.end_time
+        ? new Date(updates.end_time)
+        : new Date(newStart.getTime() + (occEnd.getTime() - occStart.getTime()));
+
+    if (newEnd <= newStart) {
+        throw new Error('End time must be after start time');
+    }
+
+    const changes = {};
+    for (const key of EDITABLE_FIELDS) {
+        if (updates[key] !== undefined && key !== 'start_time' && key !== 'end_time') {
+            changes[key] = updates[key];
+        }
+    }
+
+    const shiftStart = newStart.getTime() - occStart.getTime();
+    const shiftEnd = newEnd.getTime() - occEnd.getTime();
+    const isFirstOccurrence = occStart.getTime() === new Date(master.start_time).getTime();
+
+    if (scope === 'all' || (scope === 'following' && isFirstOccurrence)) {
+        if (shiftStart || shiftEnd) {
+            changes.start_time = new Date(new Date(master.start_time).getTime() + shiftStart);
+            changes.end_time = new Date(new Date(master.end_time).getTime() + shiftEnd);
+            changes.recurrence_exception_dates = shiftExceptionDates(
+                parseExceptionDates(master.recurrence_exception_dates),
+                shiftStart
+            );
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return master;
+        }
+
+        // Series and its detached occurrences are shifted together
+        const client = await database.pool.connect();
+        let event;
+        try {
+            await client.query('BEGIN');
+
+            if (shiftStart) {
+                await client.query(
+                    `UPDATE events
+                     SET recurrence_original_start = recurrence_original_start + ($1 || ' milliseconds')::interval
+                     WHERE recurrence_parent_id = $2 AND recurrence_original_start IS NOT NULL`,
+                    [shiftStart, master.id]
+                );
+            }
+
+            event = await updateEvent(master.id, changes, userId, { client });
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error('Error updating event occurrence', { eventId, scope, error: error.message, userId });
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        moduleRegistry.triggerHook('event.updated', { event, changes: Object.keys(changes), userId });
+
+        return event;
+    }
+
+    const client = await database.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        let result;
+
+        if (scope === 'this') {
+            await client.query(
+                `UPDATE events
+                 SET recurrence_exception_dates = COALESCE(recurrence_exception_dates, '[]'::jsonb) || $1::jsonb,
+                     updated_by = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $3`,
+                [JSON.stringify([occStart.toISOString()]), userId, master.id]
+            );
+
+            result = await insertSeriesEvent(client, master, {
+                ...changes,
+                start_time: newStart,
+                end_time: newEnd,
+                is_recurring: false,
+                recurrence_rule: null,
+                recurrence_parent_id: master.id,
+                recurrence_exception_dates: [],
+                recurrence_original_start: occStart
+            }, userId);
+        } else {
+            const originalRule = recurrence.toRuleObject(master.recurrence_rule);
+
+            // Old series ends right before the split occurrence
+            const truncatedRule = { ...originalRule, until: new Date(occStart.getTime() - 1000).toISOString() };
+            delete truncatedRule.count;
+
+            const followingRule = { ...originalRule };
+            if (originalRule.count) {
+                followingRule.count = originalRule.count - recurrence.countOccurrencesBefore(master, occStart);
+            }
+
+            const exceptionDates = parseExceptionDates(master.recurrence_exception_dates);
+            const isBefore = entry => /^\d{4}-\d{2}-\d{2}$/.test(entry) || new Date(entry) < occStart;
+            const isAfter = entry => /^\d{4}-\d{2}-\d{2}$/.test(entry) || new Date(entry) >= occStart;
+
+            await client.query(
+                `UPDATE events
+                 SET recurrence_rule = $1, recurrence_end = $2, recurrence_exception_dates = $3,
+                     updated_by = $4, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $5`,
+                [
+                    truncatedRule, seriesEnd({ ...master, recurrence_rule: truncatedRule }),
+                    JSON.stringify(exceptionDates.filter(isBefore)), userId, master.id
+                ]
+            );
+
+            result = await insertSeriesEvent(client, master, {
+                ...changes,
+                start_time: newStart,
+                end_time: newEnd,
+                is_recurring: true,
+                recurrence_rule: followingRule,
+                recurrence_parent_id: master.id,
+                recurrence_exception_dates: shiftExceptionDates(exceptionDates.filter(isAfter), shiftStart),
+                recurrence_original_start: occStart
+            }, userId);
+
+            // Detached occurrences after the split belong to the new series
+            await client.query(
+                `UPDATE events
+                 SET recurrence_parent_id = $1,
+                     recurrence_original_start = recurrence_original_start + ($2 || ' milliseconds')::interval
+                 WHERE recurrence_parent_id = $3
+                   AND recurrence_original_start >= $4
+                   AND id != $1`,
+                [result.id, shiftStart, master.id, occStart]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        logger.info('Event occurrence updated', {
+            eventId: master.id,
+            occurrenceStart: occStart.toISOString(),
+            scope,
+            newEventId: result.id,
+            userId
+        });
+
+        return result;
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Error updating event occurrence', { eventId, scope, error: error.message, userId });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Delete an occurrence of a recurring event (scopes: this, following, all)
+ */
+async function deleteOccurrence(eventId, occurrenceStart, scope, userId) {
+    if (!OCCURRENCE_SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope. Must be one of: ${OCCURRENCE_SCOPES.join(', ')}`);
+    }
+
+    const { master, start: occStart } = await findOccurrence(eventId, occurrenceStart);
+    const isFirstOccurrence = occStart.getTime() === new Date(master.start_time).getTime();
+
+    if (scope === 'all' || (scope === 'following' && isFirstOccurrence)) {
+        return deleteEvent(master.id, userId);
+    }
+
+    try {
+        if (scope === 'this') {
+            await database.query(
+                `UPDATE events
+                 SET recurrence_exception_dates = COALESCE(recurrence_exception_dates, '[]'::jsonb) || $1::jsonb,
+                     updated_by = $2, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $3`,
+                [JSON.stringify([occStart.toISOString()]), userId, master.id]
+            );
+        } else {
+            const truncatedRule = {
+                ...recurrence.toRuleObject(master.recurrence_rule),
+                until: new Date(occStart.getTime() - 1000).toISOString()
+            };
+            delete truncatedRule.count;
+
+            await database.query(
+                `UPDATE events SET recurrence_rule = $1, recurrence_end = $2, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $4`,
+                [truncatedRule, seriesEnd({ ...master, recurrence_rule: truncatedRule }), userId, master.id]
+            );
+
+            // Detached occurrences and split series after the occurrence are removed as well
+            await database.query(
+                `WITH RECURSIVE series AS (
+                    SELECT id FROM events
+                    WHERE recurrence_parent_id = $2 AND recurrence_original_start >= $3
+                    UNION
+                    SELECT e.id FROM events e JOIN series s ON e.recurrence_parent_id = s.id
+                )
+                UPDATE events SET is_active = false, updated_by = $1
+                WHERE id IN (SELECT id FROM series)`,
+                [userId, master.id, occStart]
+            );
+        }
+
+        logger.info('Event occurrence deleted', {
+            eventId: master.id,
+            occurrenceStart: occStart.toISOString(),
+            scope,
+            userId
+        });
+
+    } catch (error) {
+        logger.error('Error deleting event occurrence', { eventId, scope, error: error.message, userId });
+        throw error;
+    }
+}
+
 // ==============================================
 // PARTICIPANT MANAGEMENT
 // ==============================================
@@ -383,6 +1028,19 @@ async function addEventParticipant(eventId, participantData, addedBy) {
 
         const participant = result.rows[0];
 
+        if (user_id && status === 'invited') {
+            await notificationService.createNotification({
+                user_id,
+                notification_type: 'event_invitation',
+                source_type: 'event',
+                source_id: eventId,
+                actor_id: addedBy,
+                title: 'Einladung',
+                message: `Du wurdest zu ${event.title} eingeladen`,
+                link: `/events/${eventId}`
+            });
+        }
+
         logger.info('Participant added to event', {
             eventId,
             participantId: participant.id,
@@ -454,6 +1112,159 @@ async function removeEventParticipant(eventId, userId) {
     }
 }
 
+// ==============================================
+// GROUP INVITATIONS
+// ==============================================
+
+/**
+ * Invite users as participants on behalf of a group.
+ * Existing participants keep their response; returns the newly invited user IDs.
+ */
+async function inviteGroupMembers(event, groupId, userIds, invitedBy) {
+    if (userIds.length === 0) {
+        return [];
+    }
+
+    const result = await database.query(
+        `INSERT INTO event_participants (event_id, user_id, status, added_by, invited_via_group_id)
+         SELECT $1, UNNEST($2::int[]), 'invited', $3, $4
+         ON CONFLICT (event_id, user_id) DO NOTHING
+         RETURNING user_id`,
+        [event.id, userIds, invitedBy, groupId]
+    );
+
+    const invited = result.rows.map(row => row.user_id);
+
+    if (invited.length > 0) {
+        await notificationService.createNotifications(invited, {
+            notification_type: 'event_invitation',
+            source_type: 'event',
+            source_id: event.id,
+            actor_id: invitedBy,
+            title: 'Einladung',
+            message: `Du wurdest zu ${event.title} eingeladen`,
+            link: `/events/${event.id}`
+        });
+    }
+
+    return invited;
+}
+
+/**
+ * Invite all members of a group; members joining later are invited automatically
+ */
+async function inviteGroup(eventId, groupId, invitedBy) {
+    try {
+        const event = await findEventById(eventId);
+        if (!event) {
+            throw new Error('Event not found');
+        }
+
+        const group = await groupService.getGroup(groupId);
+
+        await database.query(
+            `INSERT INTO event_group_invitations (event_id, group_id, invited_by)
+             VALUES ($1, $2, $3)
+             ON CONFLICT (event_id, group_id) DO NOTHING`,
+            [eventId, groupId, invitedBy]
+        );
+
+        const memberIds = await groupService.getGroupMemberIds([groupId]);
+        const invited = await inviteGroupMembers(event, groupId, memberIds, invitedBy);
+
+        logger.info('Group invited to event', { eventId, groupId, invited: invited.length, invitedBy });
+
+        return { group_id: group.id, group_name: group.name, invited_user_ids: invited };
+    } catch (error) {
+        logger.error('Error inviting group', { eventId, groupId, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Withdraw a group invitation; members who have not responded yet are removed
+ */
+async function removeGroupInvitation(eventId, groupId) {
+    try {
+        const result = await database.query(
+            'DELETE FROM event_group_invitations WHERE event_id = $1 AND group_id = $2 RETURNING group_id',
+            [eventId, groupId]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Group invitation not found');
+        }
+
+        await database.query(
+            `DELETE FROM event_participants
+             WHERE event_id = $1 AND invited_via_group_id = $2 AND status = 'invited' AND is_organizer = false`,
+            [eventId, groupId]
+        );
+
+        logger.info('Group invitation removed', { eventId, groupId });
+    } catch (error) {
+        logger.error('Error removing group invitation', { eventId, groupId, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Groups invited to an event
+ */
+async function getEventGroupInvitations(eventId) {
+    const result = await database.query(
+        `SELECT g.id AS group_id, g.name AS group_name, g.source, egi.invited_by, egi.created_at
+         FROM event_group_invitations egi
+         JOIN groups g ON g.id = egi.group_id
+         WHERE egi.event_id = $1
+         ORDER BY g.name`,
+        [eventId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Apply group membership changes to upcoming events the group is invited to:
+ * new members get an invitation, removed members lose it unless they already responded
+ */
+async function syncGroupEventInvitations({ groupId, added, removed, actorId }) {
+    const result = await database.query(
+        `SELECT e.*, egi.invited_by
+         FROM event_group_invitations egi
+         JOIN events e ON e.id = egi.event_id
+         WHERE egi.group_id = $1
+           AND e.status <> 'cancelled'
+           AND (e.end_time >= CURRENT_TIMESTAMP OR e.recurrence_rule IS NOT NULL)`,
+        [groupId]
+    );
+
+    for (const event of result.rows) {
+        await inviteGroupMembers(event, groupId, added, actorId || event.invited_by);
+
+        if (removed.length > 0) {
+            await database.query(
+                `DELETE FROM event_participants
+                 WHERE event_id = $1 AND user_id = ANY($2::int[])
+                   AND invited_via_group_id = $3 AND status = 'invited' AND is_organizer = false`,
+                [event.id, removed, groupId]
+            );
+        }
+    }
+
+    if (result.rows.length > 0) {
+        logger.info('Group event invitations synced', { groupId, events: result.rows.length });
+    }
+}
+
+eventBus.on('GROUP_MEMBERS_CHANGED', async (change) => {
+    try {
+        await syncGroupEventInvitations(change);
+    } catch (error) {
+        logger.error('Error syncing group event invitations', { groupId: change.groupId, error: error.message });
+    }
+});
+
 /**
  * Get event participants
  */
@@ -497,6 +1308,7 @@ async function getUserEvents(userId, filters = {}) {
         end_date,
         status_filter, // accepted, declined, invited
         include_organized = true,
+        expand_recurring = true, // false: return series masters (e.g. for iCal export)
         limit = 100,
         offset = 0
     } = filters;
@@ -520,27 +1332,12 @@ async function getUserEvents(userId, filters = {}) {
         const params = [userId];
         let paramIndex = 2;
 
-        if (start_date) {
-            query += ` AND e.end_time >= $${paramIndex++}`;
-            params.push(start_date);
-        }
-
-        if (end_date) {
-            query += ` AND e.start_time <= $${paramIndex++}`;
-            params.push(end_date);
-        }
-
         if (status_filter) {
             query += ` AND ep.status = $${paramIndex++}`;
             params.push(status_filter);
         }
 
-        query += ` ORDER BY e.start_time ASC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
-        params.push(limit, offset);
-
-        const result = await database.query(query, params);
-
-        return result.rows;
+        return await queryEventRange(query, params, { start_date, end_date, expand_recurring, limit, offset });
 
     } catch (error) {
         logger.error('Error getting user events', { userId, error: error.message });
@@ -554,8 +1351,9 @@ async function getUserEvents(userId, filters = {}) {
 
 /**
  * Create reminder for user
+ * method: 'notification' (in-app + socket) or 'email' (additionally by mail)
  */
-async function createEventReminder(eventId, userId, minutesBefore) {
+async function createEventReminder(eventId, userId, minutesBefore, method = 'notification') {
     try {
         // Get event start time
         const event = await findEventById(eventId);
@@ -567,12 +1365,15 @@ async function createEventReminder(eventId, userId, minutesBefore) {
         remindAt.setMinutes(remindAt.getMinutes() - minutesBefore);
 
         const result = await database.query(
-            `INSERT INTO event_reminders (event_id, user_id, remind_at, minutes_before)
-             VALUES ($1, $2, $3, $4)
+            `INSERT INTO event_reminders (event_id, user_id, remind_at, minutes_before, method)
+             VALUES ($1, $2, $3, $4, $5)
              ON CONFLICT (event_id, user_id, minutes_before) DO UPDATE SET
-                remind_at = EXCLUDED.remind_at
+                remind_at = EXCLUDED.remind_at,
+                method = EXCLUDED.method,
+                sent = false,
+                sent_at = NULL
              RETURNING *`,
-            [eventId, userId, remindAt, minutesBefore]
+            [eventId, userId, remindAt, minutesBefore, method]
         );
 
         logger.debug('Event reminder created', { eventId, userId, minutesBefore });
@@ -594,15 +1395,29 @@ async function getPendingReminders(limit = 100) {
             `SELECT er.*,
                     e.title as event_title,
                     e.start_time as event_start,
+                    e.end_time as event_end,
+                    e.all_day as event_all_day,
+                    e.timezone as event_timezone,
+                    e.location_details,
+                    e.is_recurring,
+                    e.recurrence_rule,
+                    e.recurrence_exception_dates,
+                    l.name as location_name,
                     u.email as user_email,
-                    u.name as user_name
+                    u.name as user_name,
+                    u.language as user_language,
+                    us.status as user_status
              FROM event_reminders er
              JOIN events e ON e.id = er.event_id
              JOIN users u ON u.id = er.user_id
+             LEFT JOIN locations l ON l.id = e.location_id
+             LEFT JOIN user_status us ON us.user_id = er.user_id
+             LEFT JOIN event_participants ep ON ep.event_id = er.event_id AND ep.user_id = er.user_id
              WHERE er.sent = false
                AND er.remind_at <= CURRENT_TIMESTAMP
                AND e.is_active = true
                AND e.status = 'confirmed'
+               AND ep.status IS DISTINCT FROM 'declined'
              ORDER BY er.remind_at ASC
              LIMIT $1`,
             [limit]
@@ -634,17 +1449,78 @@ async function markReminderSent(reminderId) {
     }
 }
 
+/**
+ * Start of the occurrence a reminder belongs to
+ */
+function getReminderOccurrenceStart(reminder) {
+    return new Date(new Date(reminder.remind_at).getTime() + reminder.minutes_before * 60 * 1000);
+}
+
+/**
+ * Reminder time for the next occurrence of a series (null for single events)
+ * @private
+ */
+function getNextReminderTime(reminder) {
+    if (!reminder.is_recurring || !reminder.recurrence_rule) {
+        return null;
+    }
+
+    const after = new Date(Math.max(getReminderOccurrenceStart(reminder).getTime(), Date.now()) + 1);
+
+    try {
+        const [next] = recurrence.expandRecurrence({
+            start_time: reminder.event_start,
+            end_time: reminder.event_end,
+            timezone: reminder.event_timezone,
+            recurrence_rule: reminder.recurrence_rule,
+            recurrence_exception_dates: reminder.recurrence_exception_dates
+        }, after, new Date(after.getTime() + 2 * 366 * DAY_MS), { limit: 3 })
+            .filter(occurrence => occurrence.start >= after);
+
+        return next ? new Date(next.start.getTime() - reminder.minutes_before * 60 * 1000) : null;
+    } catch (error) {
+        logger.warn('Cannot compute next series reminder', { reminderId: reminder.id, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Claims a due reminder exactly once: marks it as sent or, for a series,
+ * moves it to the next occurrence. Returns false if it was already handled.
+ *
+ * @param {Object} reminder - Row from getPendingReminders()
+ * @param {Object} client - Database client (for use inside a transaction)
+ */
+async function claimReminder(reminder, client = database) {
+    const nextRemindAt = getNextReminderTime(reminder);
+
+    const result = await client.query(
+        `UPDATE event_reminders
+         SET sent = $3::timestamptz IS NULL,
+             sent_at = CURRENT_TIMESTAMP,
+             remind_at = COALESCE($3::timestamptz, remind_at)
+         WHERE id = $1
+           AND sent = false
+           AND date_trunc('milliseconds', remind_at) = $2::timestamptz
+         RETURNING id`,
+        [reminder.id, reminder.remind_at, nextRemindAt]
+    );
+
+    return result.rows.length > 0;
+}
+
 /**
  * Update all reminders for an event (when event time changes)
  */
-async function updateEventReminders(eventId) {
+async function updateEventReminders(eventId, client = database) {
     try {
-        const event = await findEventById(eventId);
+        const result = await client.query('SELECT start_time FROM events WHERE id = $1', [eventId]);
+        const event = result.rows[0];
         if (!event) {
             throw new Error('Event not found');
         }
 
-        await database.query(
+        await client.query(
             `UPDATE event_reminders
              SET remind_at = $1 - (minutes_before || ' minutes')::interval,
                  sent = false,
@@ -757,7 +1633,6 @@ async function getUpcomingEvents(userId = null, limit = 10) {
             LEFT JOIN locations l ON l.id = e.location_id
             WHERE e.is_active = true
               AND e.status = 'confirmed'
-              AND e.start_time >= CURRENT_TIMESTAMP
         `;
 
         const params = [];
@@ -778,12 +1653,28 @@ async function getUpcomingEvents(userId = null, limit = 10) {
             query += ` AND e.visibility = 'public'`;
         }
 
-        query += ` ORDER BY e.start_time ASC LIMIT $${params.length + 1}`;
-        params.push(limit);
+        // Single events and recurring masters are loaded separately, so that
+        // long-running series never push near single events out of the limit
+        const singleResult = await database.query(
+            `${query} AND e.start_time >= CURRENT_TIMESTAMP AND NOT ${RECURRING_MASTER_CONDITION}
+             ORDER BY e.start_time ASC LIMIT $${params.length + 1}`,
+            [...params, limit]
+        );
 
-        const result = await database.query(query, params);
+        const mastersResult = await database.query(
+            `${query} AND ${RECURRING_MASTER_CONDITION}
+               AND (e.recurrence_end IS NULL OR e.recurrence_end >= CURRENT_TIMESTAMP)`,
+            params
+        );
 
-        return result.rows;
+        const now = new Date();
+        const horizon = new Date(now.getTime() + DEFAULT_EXPANSION_DAYS * DAY_MS);
+        const occurrences = expandEventRows(mastersResult.rows, now, horizon, { limitPerSeries: limit + 1 })
+            .filter(occurrence => new Date(occurrence.start_time) >= now);
+
+        return [...singleResult.rows, ...occurrences]
+            .sort((a, b) => new Date(a.start_time) - new Date(b.start_time))
+            .slice(0, limit);
 
     } catch (error) {
         logger.error('Error getting upcoming events', { error: error.message });
@@ -839,6 +1730,13 @@ module.exports = {
     cancelEvent,
     deleteEvent,
 
+    // Recurrence
+    resolveExpansionRange,
+    expandEventRows,
+    getEventOccurrences,
+    updateOccurrence,
+    deleteOccurrence,
+
     // Participants
     addEventParticipant,
     updateParticipantStatus,
@@ -846,9 +1744,17 @@ module.exports = {
     getEventParticipants,
     getUserEvents,
 
+    // Group Invitations
+    inviteGroup,
+    removeGroupInvitation,
+    getEventGroupInvitations,
+    syncGroupEventInvitations,
+
     // Reminders
     createEventReminder,
     getPendingReminders,
+    getReminderOccurrenceStart,
+    claimReminder,
     markReminderSent,
     updateEventReminders,
 
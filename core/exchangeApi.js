@@ -5,7 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const exchangeService = require('./exchangeService');
-const { authenticateToken, requireRole } = require('./auth');
+const { authenticateToken, requireRole } = require('./middleware');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('ExchangeAPI');
@@ -82,7 +82,7 @@ router.post('/exchange/connect', authenticateToken, async (req, res) => {
         }
 
         // Save connection
-        const result = await exchangeService.saveConnection(req.user.id, {
+        const result = await exchangeService.saveConnection(req.user.userId, {
             server_url,
             username,
             password,
@@ -94,7 +94,7 @@ router.post('/exchange/connect', authenticateToken, async (req, res) => {
         });
 
         logger.info('Exchange connection saved', {
-            userId: req.user.id,
+            userId: req.user.userId,
             connectionId: result.connectionId
         });
 
@@ -118,7 +118,7 @@ router.post('/exchange/connect', authenticateToken, async (req, res) => {
  */
 router.get('/exchange/connection', authenticateToken, async (req, res) => {
     try {
-        const connection = await exchangeService.getConnection(req.user.id);
+        const connection = await exchangeService.getConnection(req.user.userId);
 
         if (!connection) {
             return res.json({
@@ -151,9 +151,9 @@ router.get('/exchange/connection', authenticateToken, async (req, res) => {
  */
 router.delete('/exchange/connection', authenticateToken, async (req, res) => {
     try {
-        await exchangeService.deleteConnection(req.user.id);
+        await exchangeService.deleteConnection(req.user.userId);
 
-        logger.info('Exchange connection deleted', { userId: req.user.id });
+        logger.info('Exchange connection deleted', { userId: req.user.userId });
 
         res.json({
             success: true,
@@ -174,7 +174,7 @@ router.delete('/exchange/connection', authenticateToken, async (req, res) => {
  */
 router.get('/exchange/calendars', authenticateToken, async (req, res) => {
     try {
-        const result = await exchangeService.discoverCalendars(req.user.id);
+        const result = await exchangeService.discoverCalendars(req.user.userId);
 
         res.json({
             success: true,
@@ -205,10 +205,10 @@ router.put('/exchange/calendars/:id/sync', authenticateToken, async (req, res) =
             });
         }
 
-        await exchangeService.toggleCalendarSync(req.user.id, parseInt(id), enabled);
+        await exchangeService.toggleCalendarSync(req.user.userId, parseInt(id), enabled);
 
         logger.info('Calendar sync toggled', {
-            userId: req.user.id,
+            userId: req.user.userId,
             calendarId: id,
             enabled
         });
@@ -238,13 +238,13 @@ router.post('/exchange/sync', authenticateToken, async (req, res) => {
 
         if (direction === 'from_exchange') {
             // Sync from Exchange to OpenIntraHub
-            result = await exchangeService.syncFromExchange(req.user.id);
+            result = await exchangeService.syncFromExchange(req.user.userId);
         } else if (direction === 'to_exchange') {
             // Sync from OpenIntraHub to Exchange
-            result = await exchangeService.syncToExchange(req.user.id);
+            result = await exchangeService.syncToExchange(req.user.userId);
         } else if (direction === 'bidirectional' || !direction) {
             // Bidirectional sync
-            result = await exchangeService.syncBidirectional(req.user.id);
+            result = await exchangeService.syncBidirectional(req.user.userId);
         } else {
             return res.status(400).json({
                 success: false,
@@ -253,7 +253,7 @@ router.post('/exchange/sync', authenticateToken, async (req, res) => {
         }
 
         logger.info('Manual sync triggered', {
-            userId: req.user.id,
+            userId: req.user.userId,
             direction
         });
 
@@ -291,7 +291,7 @@ router.get('/exchange/sync-status', authenticateToken, async (req, res) => {
                 last_error_at
             FROM exchange_connections
             WHERE user_id = $1
-        `, [req.user.id]);
+        `, [req.user.userId]);
 
         if (connectionResult.rows.length === 0) {
             return res.json({
@@ -325,7 +325,7 @@ router.get('/exchange/sync-status', authenticateToken, async (req, res) => {
             WHERE ec.user_id = $1
             ORDER BY sync_started_at DESC
             LIMIT 10
-        `, [req.user.id]);
+        `, [req.user.userId]);
 
         res.json({
             success: true,
@@ -373,7 +373,7 @@ router.get('/exchange/conflicts', authenticateToken, async (req, res) => {
             LEFT JOIN events e ON esc.event_id = e.id
             WHERE ec.user_id = $1 AND esc.resolved = false
             ORDER BY esc.conflict_detected_at DESC
-        `, [req.user.id]);
+        `, [req.user.userId]);
 
         res.json({
             success: true,
@@ -389,50 +389,107 @@ router.get('/exchange/conflicts', authenticateToken, async (req, res) => {
 });
 
 /**
- * POST /api/exchange/conflicts/:id/resolve
- * Resolve a sync conflict
+ * Map conflict resolution errors to HTTP status codes
  */
-router.post('/exchange/conflicts/:id/resolve', authenticateToken, async (req, res) => {
+function conflictErrorStatus(error) {
+    if (error.message === 'Conflict not found') {
+        return 404;
+    }
+    if (error.message.startsWith('Invalid') || error.message === 'Conflict already resolved' || error.message.startsWith('Merge requires')) {
+        return 400;
+    }
+    return 500;
+}
+
+/**
+ * GET /api/exchange/conflicts/:id/preview
+ * Field-by-field diff of both versions and the merge result
+ * Query: one parameter per field to take from a side, e.g. ?location_details=exchange
+ */
+router.get('/exchange/conflicts/:id/preview', authenticateToken, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { resolution_strategy } = req.body;
+        const preview = await exchangeService.getConflictPreview(req.user.userId, parseInt(req.params.id), { ...req.query });
 
-        const validStrategies = ['keep_openintrahub', 'keep_exchange', 'merge', 'skip'];
+        res.json({
+            success: true,
+            preview
+        });
+    } catch (error) {
+        logger.error('Failed to preview conflict', { error: error.message });
+        res.status(conflictErrorStatus(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
 
-        if (!validStrategies.includes(resolution_strategy)) {
+/**
+ * POST /api/exchange/conflicts/resolve
+ * Resolve several conflicts with the same strategy
+ * Body: { resolution_strategy, conflict_ids?: [..] (default: all open), fields?: { field: 'openintrahub' | 'exchange' } }
+ */
+router.post('/exchange/conflicts/resolve', authenticateToken, async (req, res) => {
+    try {
+        const { resolution_strategy, conflict_ids, fields } = req.body;
+
+        if (conflict_ids !== undefined && (!Array.isArray(conflict_ids) || conflict_ids.length === 0)) {
             return res.status(400).json({
                 success: false,
-                message: `Invalid resolution strategy. Must be one of: ${validStrategies.join(', ')}`
+                message: 'conflict_ids must be a non-empty array'
             });
         }
 
-        const pool = require('./db');
+        const result = await exchangeService.resolveConflicts(
+            req.user.userId,
+            conflict_ids ? conflict_ids.map(id => parseInt(id)) : null,
+            resolution_strategy,
+            { fields }
+        );
+
+        logger.info('Conflicts resolved in bulk', {
+            userId: req.user.userId,
+            strategy: resolution_strategy,
+            resolved: result.resolved,
+            failed: result.failed
+        });
 
-        // Mark conflict as resolved
-        await pool.query(`
-            UPDATE exchange_sync_conflicts SET
-                resolved = true,
-                resolved_at = CURRENT_TIMESTAMP,
-                resolution_strategy = $1,
-                resolved_by = $2
-            WHERE id = $3
-        `, [resolution_strategy, req.user.id, id]);
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Failed to resolve conflicts', { error: error.message });
+        res.status(conflictErrorStatus(error)).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
 
-        // TODO: Apply the resolution strategy to the actual event
+/**
+ * POST /api/exchange/conflicts/:id/resolve
+ * Resolve a sync conflict
+ * Body: { resolution_strategy, fields?: { field: 'openintrahub' | 'exchange' } (merge only) }
+ */
+router.post('/exchange/conflicts/:id/resolve', authenticateToken, async (req, res) => {
+    try {
+        const { resolution_strategy, fields } = req.body;
 
-        logger.info('Conflict resolved', {
-            userId: req.user.id,
-            conflictId: id,
-            strategy: resolution_strategy
-        });
+        const result = await exchangeService.resolveConflict(
+            req.user.userId,
+            parseInt(req.params.id),
+            resolution_strategy,
+            { fields }
+        );
 
         res.json({
             success: true,
-            message: 'Conflict resolved'
+            message: 'Conflict resolved',
+            ...result
         });
     } catch (error) {
         logger.error('Failed to resolve conflict', { error: error.message });
-        res.status(500).json({
+        res.status(conflictErrorStatus(error)).json({
             success: false,
             message: error.message
         });
@@ -445,7 +502,7 @@ router.post('/exchange/conflicts/:id/resolve', authenticateToken, async (req, re
  */
 router.get('/exchange/oof', authenticateToken, async (req, res) => {
     try {
-        const result = await exchangeService.getOutOfOfficeSettings(req.user.id);
+        const result = await exchangeService.getOutOfOfficeSettings(req.user.userId);
 
         res.json({
             success: true,
@@ -489,7 +546,7 @@ router.post('/exchange/oof', authenticateToken, async (req, res) => {
             });
         }
 
-        const result = await exchangeService.setOutOfOfficeSettings(req.user.id, {
+        const result = await exchangeService.setOutOfOfficeSettings(req.user.userId, {
             state,
             externalAudience,
             startTime,
@@ -499,7 +556,7 @@ router.post('/exchange/oof', authenticateToken, async (req, res) => {
         });
 
         logger.info('OOF settings updated', {
-            userId: req.user.id,
+            userId: req.user.userId,
             state
         });
 
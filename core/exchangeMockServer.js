@@ -0,0 +1,322 @@
+// =====================================================
+// Exchange Mock Server - In-Memory EWS for Offline Testing
+// =====================================================
+// Purpose: Simulates the EWS operations used by exchangeService (folders,
+// calendar items, OOF) so sync and conflict resolution can be exercised
+// without an Exchange server. Used for connections whose server_url starts
+// with mock:// when EXCHANGE_MOCK_ENABLED=true.
+// =====================================================
+
+const crypto = require('crypto');
+
+const CALENDAR_FOLDER_ID = 'mock-calendar';
+
+// username -> { folders, items, oof }
+const mailboxes = new Map();
+
+function newChangeKey() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+function getMailbox(username) {
+    const key = String(username || '').toLowerCase();
+
+    if (!mailboxes.has(key)) {
+        mailboxes.set(key, {
+            folders: [{ id: CALENDAR_FOLDER_ID, name: 'Calendar' }],
+            items: new Map(),
+            oof: {
+                OofState: 'Disabled',
+                ExternalAudience: 'None',
+                InternalReply: { Message: '' },
+                ExternalReply: { Message: '' }
+            }
+        });
+    }
+
+    return mailboxes.get(key);
+}
+
+function ewsError(code, message) {
+    const error = new Error(`${code}: ${message}`);
+    error.code = code;
+    return error;
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function resolveFolderId(folderIds) {
+    const distinguished = folderIds?.DistinguishedFolderId?.attributes?.Id;
+    if (distinguished === 'calendar') return CALENDAR_FOLDER_ID;
+    return folderIds?.FolderId?.attributes?.Id || distinguished;
+}
+
+function itemIdOf(item) {
+    return { attributes: { Id: item.id, ChangeKey: item.changeKey } };
+}
+
+function serializeItem(item) {
+    return {
+        ItemId: itemIdOf(item),
+        Subject: item.subject,
+        Body: { attributes: { BodyType: 'Text' }, _: item.body },
+        Start: item.start,
+        End: item.end,
+        Location: item.location,
+        IsAllDayEvent: item.isAllDay ? 'true' : 'false'
+    };
+}
+
+function findItem(mailbox, id) {
+    const item = mailbox.items.get(id);
+    if (!item) {
+        throw ewsError('ErrorItemNotFound', 'The specified object was not found in the store.');
+    }
+    return item;
+}
+
+/**
+ * Apply CalendarItem properties (as sent by CreateItem / SetItemField)
+ */
+function applyCalendarItem(item, calendarItem) {
+    if (calendarItem.Subject !== undefined) item.subject = calendarItem.Subject;
+    if (calendarItem.Body !== undefined) item.body = calendarItem.Body?._ || '';
+    if (calendarItem.Start !== undefined) item.start = new Date(calendarItem.Start).toISOString();
+    if (calendarItem.End !== undefined) item.end = new Date(calendarItem.End).toISOString();
+    if (calendarItem.Location !== undefined) item.location = calendarItem.Location || '';
+    if (calendarItem.IsAllDayEvent !== undefined) {
+        item.isAllDay = calendarItem.IsAllDayEvent === true || calendarItem.IsAllDayEvent === 'true';
+    }
+}
+
+// =====================================================
+// EWS OPERATIONS
+// =====================================================
+
+const operations = {
+    GetFolder() {
+        return {
+            ResponseMessages: {
+                GetFolderResponseMessage: [{ Folders: { Folder: [{ FolderClass: 'IPF.Note' }] } }]
+            }
+        };
+    },
+
+    FindFolder(mailbox) {
+        return {
+            ResponseMessages: {
+                FindFolderResponseMessage: [{
+                    RootFolder: {
+                        Folders: {
+                            CalendarFolder: mailbox.folders.map(folder => ({
+                                FolderId: { attributes: { Id: folder.id } },
+                                DisplayName: folder.name
+                            }))
+                        }
+                    }
+                }]
+            }
+        };
+    },
+
+    FindItem(mailbox, args) {
+        const folderId = resolveFolderId(args.ParentFolderIds);
+        const view = args.CalendarView?.attributes;
+        const viewStart = view?.StartDate ? new Date(view.StartDate) : null;
+        const viewEnd = view?.EndDate ? new Date(view.EndDate) : null;
+
+        const items = [...mailbox.items.values()].filter(item =>
+            item.folderId === folderId &&
+            (!viewStart || new Date(item.end) >= viewStart) &&
+            (!viewEnd || new Date(item.start) <= viewEnd)
+        );
+
+        return {
+            ResponseMessages: {
+                FindItemResponseMessage: [{
+                    RootFolder: {
+                        Items: { CalendarItem: items.map(item => ({ ItemId: itemIdOf(item) })) }
+                    }
+                }]
+            }
+        };
+    },
+
+    GetItem(mailbox, args) {
+        const items = toArray(args.ItemIds?.ItemId).map(id => findItem(mailbox, id.attributes.Id));
+
+        return {
+            ResponseMessages: {
+                GetItemResponseMessage: [{ Items: { CalendarItem: items.map(serializeItem) } }]
+            }
+        };
+    },
+
+    CreateItem(mailbox, args) {
+        const created = toArray(args.Items?.CalendarItem).map((calendarItem) => {
+            const item = {
+                id: `mock-item-${crypto.randomBytes(6).toString('hex')}`,
+                changeKey: newChangeKey(),
+                folderId: resolveFolderId(args.SavedItemFolderId) || CALENDAR_FOLDER_ID,
+                subject: '',
+                body: '',
+                start: null,
+                end: null,
+                location: '',
+                isAllDay: false
+            };
+            applyCalendarItem(item, calendarItem);
+            mailbox.items.set(item.id, item);
+            return item;
+        });
+
+        return {
+            ResponseMessages: {
+                CreateItemResponseMessage: [{
+                    Items: { CalendarItem: created.map(item => ({ ItemId: itemIdOf(item) })) }
+                }]
+            }
+        };
+    },
+
+    UpdateItem(mailbox, args) {
+        const conflictResolution = args.attributes?.ConflictResolution || 'AutoResolve';
+
+        const updated = toArray(args.ItemChanges?.ItemChange).map((change) => {
+            const item = findItem(mailbox, change.ItemId.attributes.Id);
+
+            // Same optimistic locking as Exchange: a stale ChangeKey only
+            // wins when the client explicitly asks to overwrite
+            if (change.ItemId.attributes.ChangeKey !== item.changeKey && conflictResolution !== 'AlwaysOverwrite') {
+                throw ewsError('ErrorIrresolvableConflict', 'The send or update operation could not be performed because the change key passed in the request does not match the current change key for the item.');
+            }
+
+            toArray(change.Updates?.SetItemField).forEach(update => applyCalendarItem(item, update.CalendarItem || {}));
+            item.changeKey = newChangeKey();
+            return item;
+        });
+
+        return {
+            ResponseMessages: {
+                UpdateItemResponseMessage: [{
+                    Items: { CalendarItem: updated.map(item => ({ ItemId: itemIdOf(item) })) }
+                }]
+            }
+        };
+    },
+
+    DeleteItem(mailbox, args) {
+        toArray(args.ItemIds?.ItemId).forEach((id) => {
+            findItem(mailbox, id.attributes.Id);
+            mailbox.items.delete(id.attributes.Id);
+        });
+
+        return {
+            ResponseMessages: { DeleteItemResponseMessage: [{ attributes: { ResponseClass: 'Success' } }] }
+        };
+    },
+
+    GetUserOofSettings(mailbox) {
+        return { OofSettings: mailbox.oof };
+    },
+
+    SetUserOofSettings(mailbox, args) {
+        mailbox.oof = { ...args.UserOofSettings };
+        return { ResponseMessage: { attributes: { ResponseClass: 'Success' } } };
+    }
+};
+
+/**
+ * Create a client with the same run() interface as node-ews
+ */
+function createClient(config) {
+    return {
+        async run(ewsFunction, ewsArgs) {
+            const operation = operations[ewsFunction];
+
+            if (!operation) {
+                throw ewsError('ErrorInvalidOperation', `Mock server does not implement ${ewsFunction}`);
+            }
+
+            return operation(getMailbox(config.username), ewsArgs || {});
+        }
+    };
+}
+
+// =====================================================
+// TEST HELPERS
+// =====================================================
+
+/**
+ * Add a calendar item as if created in Outlook
+ */
+function seedCalendarItem(username, data) {
+    const mailbox = getMailbox(username);
+    const item = {
+        id: data.id || `mock-item-${crypto.randomBytes(6).toString('hex')}`,
+        changeKey: newChangeKey(),
+        folderId: data.folderId || CALENDAR_FOLDER_ID,
+        subject: data.subject || '',
+        body: data.body || '',
+        start: new Date(data.start).toISOString(),
+        end: new Date(data.end).toISOString(),
+        location: data.location || '',
+        isAllDay: !!data.isAllDay
+    };
+
+    mailbox.items.set(item.id, item);
+    return serializeItem(item);
+}
+
+/**
+ * Change a calendar item as if edited in Outlook (issues a new ChangeKey)
+ */
+function modifyCalendarItem(username, itemId, changes) {
+    const item = findItem(getMailbox(username), itemId);
+
+    ['subject', 'body', 'location', 'isAllDay'].forEach((key) => {
+        if (changes[key] !== undefined) item[key] = changes[key];
+    });
+    if (changes.start !== undefined) item.start = new Date(changes.start).toISOString();
+    if (changes.end !== undefined) item.end = new Date(changes.end).toISOString();
+
+    item.changeKey = newChangeKey();
+    return serializeItem(item);
+}
+
+/**
+ * Get a calendar item (null if it does not exist)
+ */
+function getCalendarItem(username, itemId) {
+    const item = getMailbox(username).items.get(itemId);
+    return item ? serializeItem(item) : null;
+}
+
+/**
+ * Remove a calendar item as if deleted in Outlook
+ */
+function removeCalendarItem(username, itemId) {
+    return getMailbox(username).items.delete(itemId);
+}
+
+/**
+ * Clear all mailboxes
+ */
+function reset() {
+    mailboxes.clear();
+}
+
+module.exports = {
+    CALENDAR_FOLDER_ID,
+    createClient,
+
+    // Test helpers
+    seedCalendarItem,
+    modifyCalendarItem,
+    getCalendarItem,
+    removeCalendarItem,
+    reset
+};
@@ -8,6 +8,7 @@
 const crypto = require('crypto');
 const EWS = require('node-ews');
 const pool = require('./db');
+const exchangeMockServer = require('./exchangeMockServer');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('Exchange');
@@ -66,6 +67,11 @@ function decryptPassword(encryptedData, ivHex, authTagHex) {
  * Create EWS client instance
  */
 function createEWSClient(config) {
+    // Offline development and testing against the in-memory mock server
+    if (process.env.EXCHANGE_MOCK_ENABLED === 'true' && String(config.server_url).startsWith('mock://')) {
+        return exchangeMockServer.createClient(config);
+    }
+
     const ewsConfig = {
         username: config.username,
         password: config.password,
@@ -96,6 +102,111 @@ function extractHostFromUrl(url) {
     }
 }
 
+// =====================================================
+// EVENT FIELD MAPPING
+// =====================================================
+
+// Event fields kept in sync with Exchange (and compared in conflicts)
+const SYNC_FIELDS = ['title', 'description', 'start_time', 'end_time', 'location_details', 'all_day'];
+
+/**
+ * Map an EWS CalendarItem to OpenIntraHub event fields
+ */
+function calendarItemToEventFields(item) {
+    return {
+        title: item.Subject || 'Untitled Event',
+        description: item.Body?._ || '',
+        start_time: item.Start,
+        end_time: item.End,
+        location_details: item.Location || null,
+        all_day: item.IsAllDayEvent === 'true' || item.IsAllDayEvent === true
+    };
+}
+
+/**
+ * Map OpenIntraHub event fields to an EWS CalendarItem
+ */
+function eventToCalendarItem(event) {
+    return {
+        Subject: event.title,
+        Body: {
+            attributes: {
+                BodyType: 'Text'
+            },
+            _: event.description || ''
+        },
+        Start: event.start_time,
+        End: event.end_time,
+        Location: event.location_details || '',
+        IsAllDayEvent: event.all_day || false
+    };
+}
+
+/**
+ * Create an event in the given Exchange calendar, returns the new ItemId
+ */
+async function createExchangeItem(ews, event, calendarId) {
+    const folderId = calendarId
+        ? { FolderId: { attributes: { Id: calendarId } } }
+        : { DistinguishedFolderId: { attributes: { Id: 'calendar' } } };
+
+    const result = await ews.run('CreateItem', {
+        SavedItemFolderId: folderId,
+        Items: {
+            CalendarItem: {
+                ...eventToCalendarItem(event),
+                ReminderIsSet: false
+            }
+        }
+    });
+
+    return result.ResponseMessages?.CreateItemResponseMessage?.[0]?.Items?.CalendarItem?.[0]?.ItemId || null;
+}
+
+/**
+ * Update an Exchange event, returns the new ItemId (with new ChangeKey)
+ *
+ * conflictResolution 'AlwaysOverwrite' replaces the item even if it was
+ * changed in Exchange after changeKey was read.
+ */
+async function updateExchangeItem(ews, event, changeKey, conflictResolution) {
+    const calendarItem = eventToCalendarItem(event);
+    const fieldUris = {
+        Subject: 'item:Subject',
+        Body: 'item:Body',
+        Start: 'calendar:Start',
+        End: 'calendar:End',
+        Location: 'calendar:Location',
+        IsAllDayEvent: 'calendar:IsAllDayEvent'
+    };
+
+    const updateArgs = {
+        ItemChanges: {
+            ItemChange: {
+                ItemId: {
+                    attributes: {
+                        Id: event.exchange_event_id,
+                        ChangeKey: changeKey
+                    }
+                },
+                Updates: {
+                    SetItemField: Object.entries(fieldUris).map(([property, fieldUri]) => ({
+                        FieldURI: { attributes: { FieldURI: fieldUri } },
+                        CalendarItem: { [property]: calendarItem[property] }
+                    }))
+                }
+            }
+        }
+    };
+
+    if (conflictResolution) {
+        updateArgs.attributes = { ConflictResolution: conflictResolution };
+    }
+
+    const result = await ews.run('UpdateItem', updateArgs);
+    return result.ResponseMessages?.UpdateItemResponseMessage?.[0]?.Items?.CalendarItem?.[0]?.ItemId || null;
+}
+
 /**
  * Test Exchange connection
  */
@@ -386,7 +497,8 @@ async function syncFromExchange(userId) {
             fetched: 0,
             created: 0,
             updated: 0,
-            deleted: 0
+            deleted: 0,
+            conflicts: 0
         };
 
         for (const calendar of calendarsResult.rows) {
@@ -461,18 +573,14 @@ async function syncFromExchange(userId) {
                     if (!eventData) continue;
 
                     // Check if event already exists in OpenIntraHub
-                    const existingResult = await client.query(
-                        'SELECT id, title, description, start_date, end_date, location FROM events WHERE exchange_event_id = $1',
-                        [item.ItemId.attributes.Id]
-                    );
+                    const existingResult = await client.query(`
+                        SELECT id, title, description, start_time, end_time, location_details, all_day,
+                               exchange_change_key, updated_at, last_synced_at
+                        FROM events WHERE exchange_event_id = $1
+                    `, [item.ItemId.attributes.Id]);
 
                     const eventPayload = {
-                        title: eventData.Subject || 'Untitled Event',
-                        description: eventData.Body?._ || '',
-                        start_date: eventData.Start,
-                        end_date: eventData.End,
-                        location: eventData.Location || null,
-                        all_day: eventData.IsAllDayEvent === 'true',
+                        ...calendarItemToEventFields(eventData),
                         exchange_event_id: item.ItemId.attributes.Id,
                         exchange_calendar_id: calendar.exchange_calendar_id,
                         exchange_change_key: item.ItemId.attributes.ChangeKey,
@@ -484,16 +592,16 @@ async function syncFromExchange(userId) {
                         // Create new event
                         await client.query(`
                             INSERT INTO events (
-                                title, description, start_date, end_date, location, all_day,
-                                created_by, exchange_event_id, exchange_calendar_id,
+                                title, description, start_time, end_time, location_details, all_day,
+                                organizer_id, created_by, exchange_event_id, exchange_calendar_id,
                                 exchange_change_key, last_synced_at, sync_source
-                            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $7, $8, $9, $10, $11, $12)
                         `, [
                             eventPayload.title,
                             eventPayload.description,
-                            eventPayload.start_date,
-                            eventPayload.end_date,
-                            eventPayload.location,
+                            eventPayload.start_time,
+                            eventPayload.end_time,
+                            eventPayload.location_details,
                             eventPayload.all_day,
                             userId,
                             eventPayload.exchange_event_id,
@@ -505,14 +613,29 @@ async function syncFromExchange(userId) {
 
                         stats.created++;
                     } else {
+                        const existing = existingResult.rows[0];
+
+                        // Unchanged in Exchange since the last sync
+                        if (existing.exchange_change_key === eventPayload.exchange_change_key) {
+                            continue;
+                        }
+
+                        // Changed on both sides: let the user decide
+                        const modifiedLocally = !existing.last_synced_at || existing.updated_at > existing.last_synced_at;
+                        if (modifiedLocally && connection.conflict_strategy === 'prompt_user') {
+                            await recordConflict(client, connection.id, existing, eventPayload);
+                            stats.conflicts++;
+                            continue;
+                        }
+
                         // Update existing event
                         await client.query(`
                             UPDATE events SET
                                 title = $1,
                                 description = $2,
-                                start_date = $3,
-                                end_date = $4,
-                                location = $5,
+                                start_time = $3,
+                                end_time = $4,
+                                location_details = $5,
                                 all_day = $6,
                                 exchange_change_key = $7,
                                 last_synced_at = $8
@@ -520,9 +643,9 @@ async function syncFromExchange(userId) {
                         `, [
                             eventPayload.title,
                             eventPayload.description,
-                            eventPayload.start_date,
-                            eventPayload.end_date,
-                            eventPayload.location,
+                            eventPayload.start_time,
+                            eventPayload.end_time,
+                            eventPayload.location_details,
                             eventPayload.all_day,
                             eventPayload.exchange_change_key,
                             eventPayload.last_synced_at,
@@ -552,8 +675,8 @@ async function syncFromExchange(userId) {
             INSERT INTO exchange_sync_log (
                 connection_id, sync_started_at, sync_finished_at, sync_duration_ms,
                 sync_direction, events_fetched_from_exchange, events_created_in_openintrahub,
-                events_updated_in_openintrahub, sync_status
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                events_updated_in_openintrahub, conflicts_detected, sync_status
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         `, [
             connection.id,
             syncStarted,
@@ -563,6 +686,7 @@ async function syncFromExchange(userId) {
             stats.fetched,
             stats.created,
             stats.updated,
+            stats.conflicts,
             'success'
         ]);
 
@@ -626,6 +750,7 @@ async function syncToExchange(userId) {
         // Find events that need to be pushed to Exchange
         // 1. Events created in OpenIntraHub without exchange_event_id
         // 2. Events modified since last_synced_at
+        // Events with an open conflict wait for the user's resolution
         const eventsToPush = await client.query(`
             SELECT * FROM events
             WHERE created_by = $1
@@ -633,6 +758,10 @@ async function syncToExchange(userId) {
                 (exchange_event_id IS NULL AND sync_source = 'openintrahub')
                 OR (last_synced_at IS NULL OR updated_at > last_synced_at)
             )
+            AND NOT EXISTS (
+                SELECT 1 FROM exchange_sync_conflicts esc
+                WHERE esc.event_id = events.id AND esc.resolved = false
+            )
             ORDER BY created_at ASC
         `, [userId]);
 
@@ -640,36 +769,9 @@ async function syncToExchange(userId) {
             try {
                 if (!event.exchange_event_id) {
                     // Create new event in Exchange
-                    const createArgs = {
-                        SavedItemFolderId: {
-                            DistinguishedFolderId: {
-                                attributes: {
-                                    Id: 'calendar'
-                                }
-                            }
-                        },
-                        Items: {
-                            CalendarItem: {
-                                Subject: event.title,
-                                Body: {
-                                    attributes: {
-                                        BodyType: 'Text'
-                                    },
-                                    _: event.description || ''
-                                },
-                                Start: event.start_date,
-                                End: event.end_date,
-                                Location: event.location || '',
-                                IsAllDayEvent: event.all_day || false,
-                                ReminderIsSet: false
-                            }
-                        }
-                    };
+                    const createdItemId = await createExchangeItem(ews, event);
 
-                    const result = await ews.run('CreateItem', createArgs);
-                    const createdItem = result.ResponseMessages?.CreateItemResponseMessage?.[0]?.Items?.CalendarItem?.[0];
-
-                    if (createdItem?.ItemId) {
+                    if (createdItemId) {
                         // Update OpenIntraHub event with Exchange IDs
                         await client.query(`
                             UPDATE events SET
@@ -678,8 +780,8 @@ async function syncToExchange(userId) {
                                 last_synced_at = CURRENT_TIMESTAMP
                             WHERE id = $3
                         `, [
-                            createdItem.ItemId.attributes.Id,
-                            createdItem.ItemId.attributes.ChangeKey,
+                            createdItemId.attributes.Id,
+                            createdItemId.attributes.ChangeKey,
                             event.id
                         ]);
 
@@ -687,63 +789,16 @@ async function syncToExchange(userId) {
                     }
                 } else {
                     // Update existing event in Exchange
-                    const updateArgs = {
-                        ItemChanges: {
-                            ItemChange: {
-                                ItemId: {
-                                    attributes: {
-                                        Id: event.exchange_event_id,
-                                        ChangeKey: event.exchange_change_key
-                                    }
-                                },
-                                Updates: {
-                                    SetItemField: [
-                                        {
-                                            FieldURI: { attributes: { FieldURI: 'item:Subject' } },
-                                            CalendarItem: { Subject: event.title }
-                                        },
-                                        {
-                                            FieldURI: { attributes: { FieldURI: 'item:Body' } },
-                                            CalendarItem: {
-                                                Body: {
-                                                    attributes: { BodyType: 'Text' },
-                                                    _: event.description || ''
-                                                }
-                                            }
-                                        },
-                                        {
-                                            FieldURI: { attributes: { FieldURI: 'calendar:Start' } },
-                                            CalendarItem: { Start: event.start_date }
-                                        },
-                                        {
-                                            FieldURI: { attributes: { FieldURI: 'calendar:End' } },
-                                            CalendarItem: { End: event.end_date }
-                                        },
-                                        {
-                                            FieldURI: { attributes: { FieldURI: 'calendar:Location' } },
-                                            CalendarItem: { Location: event.location || '' }
-                                        },
-                                        {
-                                            FieldURI: { attributes: { FieldURI: 'calendar:IsAllDayEvent' } },
-                                            CalendarItem: { IsAllDayEvent: event.all_day || false }
-                                        }
-                                    ]
-                                }
-                            }
-                        }
-                    };
-
-                    const result = await ews.run('UpdateItem', updateArgs);
-                    const updatedItem = result.ResponseMessages?.UpdateItemResponseMessage?.[0]?.Items?.CalendarItem?.[0];
+                    const updatedItemId = await updateExchangeItem(ews, event, event.exchange_change_key);
 
-                    if (updatedItem?.ItemId) {
+                    if (updatedItemId) {
                         // Update change key
                         await client.query(`
                             UPDATE events SET
                                 exchange_change_key = $1,
                                 last_synced_at = CURRENT_TIMESTAMP
                             WHERE id = $2
-                        `, [updatedItem.ItemId.attributes.ChangeKey, event.id]);
+                        `, [updatedItemId.attributes.ChangeKey, event.id]);
 
                         stats.updated++;
                     }
@@ -932,6 +987,425 @@ async function syncBidirectional(userId) {
     }
 }
 
+// =====================================================
+// CONFLICT RESOLUTION
+// =====================================================
+
+const RESOLUTION_STRATEGIES = ['keep_openintrahub', 'keep_exchange', 'merge', 'skip'];
+const MERGE_SOURCES = ['openintrahub', 'exchange'];
+
+/**
+ * Normalize a sync field so both sides compare equal when unchanged
+ */
+function normalizeSyncField(field, value) {
+    if (field === 'all_day') {
+        return value === true || value === 'true';
+    }
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (field === 'start_time' || field === 'end_time') {
+        return new Date(value).toISOString();
+    }
+    return String(value);
+}
+
+/**
+ * Pick the normalized sync fields from an event or Exchange payload
+ */
+function pickSyncFields(source) {
+    const fields = {};
+    SYNC_FIELDS.forEach((field) => {
+        fields[field] = normalizeSyncField(field, source[field]);
+    });
+    return fields;
+}
+
+/**
+ * Store a conflict for an event changed in both OpenIntraHub and Exchange.
+ * A still open conflict for the same event is refreshed instead of duplicated.
+ */
+async function recordConflict(client, connectionId, localEvent, exchangePayload) {
+    const openintrahubData = pickSyncFields(localEvent);
+    const exchangeData = {
+        ...pickSyncFields(exchangePayload),
+        exchange_change_key: exchangePayload.exchange_change_key
+    };
+
+    const updated = await client.query(`
+        UPDATE exchange_sync_conflicts SET
+            openintrahub_data = $1,
+            exchange_data = $2,
+            conflict_detected_at = CURRENT_TIMESTAMP
+        WHERE event_id = $3 AND resolved = false
+        RETURNING id
+    `, [JSON.stringify(openintrahubData), JSON.stringify(exchangeData), localEvent.id]);
+
+    if (updated.rows.length === 0) {
+        await client.query(`
+            INSERT INTO exchange_sync_conflicts (
+                connection_id, event_id, exchange_event_id, conflict_type,
+                openintrahub_data, exchange_data
+            ) VALUES ($1, $2, $3, 'update_conflict', $4, $5)
+        `, [
+            connectionId,
+            localEvent.id,
+            exchangePayload.exchange_event_id,
+            JSON.stringify(openintrahubData),
+            JSON.stringify(exchangeData)
+        ]);
+    }
+
+    logger.info('Sync conflict detected', { connectionId, eventId: localEvent.id });
+}
+
+/**
+ * Validate a field-level merge selection ({ field: 'openintrahub' | 'exchange' })
+ */
+function validateMergeSelection(selection) {
+    Object.entries(selection || {}).forEach(([field, source]) => {
+        if (!SYNC_FIELDS.includes(field)) {
+            throw new Error(`Invalid merge field: ${field}. Must be one of: ${SYNC_FIELDS.join(', ')}`);
+        }
+        if (!MERGE_SOURCES.includes(source)) {
+            throw new Error(`Invalid merge source for ${field}. Must be one of: ${MERGE_SOURCES.join(', ')}`);
+        }
+    });
+}
+
+/**
+ * Compare both versions field by field and build the merged event.
+ * Fields without a selection keep the OpenIntraHub value.
+ */
+function buildConflictDiff(localEvent, exchangeData, selection = {}) {
+    const fields = SYNC_FIELDS.map((field) => {
+        const openintrahub = localEvent ? normalizeSyncField(field, localEvent[field]) : null;
+        const exchange = exchangeData ? normalizeSyncField(field, exchangeData[field]) : null;
+        const differs = openintrahub !== exchange;
+
+        return {
+            field,
+            openintrahub,
+            exchange,
+            differs,
+            source: differs ? (selection[field] || 'openintrahub') : null
+        };
+    });
+
+    const merged = {};
+    fields.forEach((entry) => {
+        merged[entry.field] = entry.source === 'exchange' ? entry.exchange : entry.openintrahub;
+    });
+
+    return { fields, merged };
+}
+
+/**
+ * Get a conflict belonging to the user's connection
+ */
+async function getConflictForUser(db, userId, conflictId, forUpdate = false) {
+    const result = await db.query(`
+        SELECT esc.*
+        FROM exchange_sync_conflicts esc
+        JOIN exchange_connections ec ON esc.connection_id = ec.id
+        WHERE esc.id = $1 AND ec.user_id = $2
+        ${forUpdate ? 'FOR UPDATE OF esc' : ''}
+    `, [conflictId, userId]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Conflict not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Get the current OpenIntraHub event of a conflict (null if deleted)
+ */
+async function getConflictEvent(db, conflict, forUpdate = false) {
+    if (!conflict.event_id) {
+        return null;
+    }
+
+    const result = await db.query(
+        `SELECT * FROM events WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+        [conflict.event_id]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * Overwrite the sync fields of an OpenIntraHub event
+ */
+async function updateEventFields(client, eventId, fields) {
+    await client.query(`
+        UPDATE events SET
+            title = $1,
+            description = $2,
+            start_time = $3,
+            end_time = $4,
+            location_details = $5,
+            all_day = $6
+        WHERE id = $7
+    `, [
+        fields.title,
+        fields.description,
+        fields.start_time,
+        fields.end_time,
+        fields.location_details,
+        fields.all_day,
+        eventId
+    ]);
+}
+
+/**
+ * Store the Exchange ItemId after both sides are in sync again
+ */
+async function markEventSynced(client, eventId, itemId) {
+    if (!itemId) {
+        throw new Error('Exchange did not confirm the change');
+    }
+
+    await client.query(`
+        UPDATE events SET
+            exchange_event_id = $1,
+            exchange_change_key = $2,
+            last_synced_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+    `, [itemId.attributes.Id, itemId.attributes.ChangeKey, eventId]);
+}
+
+/**
+ * keep_exchange: overwrite the OpenIntraHub event with the Exchange version
+ */
+async function applyExchangeVersion(client, conflict, localEvent) {
+    const exchangeData = conflict.exchange_data;
+
+    if (!localEvent) {
+        // Re-imported from Exchange by the next sync
+        return;
+    }
+
+    if (!exchangeData) {
+        // Deleted in Exchange
+        await client.query('DELETE FROM events WHERE id = $1', [localEvent.id]);
+        return;
+    }
+
+    await updateEventFields(client, localEvent.id, exchangeData);
+    await markEventSynced(client, localEvent.id, {
+        attributes: {
+            Id: conflict.exchange_event_id,
+            ChangeKey: exchangeData.exchange_change_key
+        }
+    });
+}
+
+/**
+ * keep_openintrahub: push the OpenIntraHub version to Exchange
+ */
+async function applyOpenIntraHubVersion(client, ews, conflict, localEvent) {
+    if (!localEvent) {
+        // Deleted in OpenIntraHub
+        if (conflict.exchange_event_id && conflict.exchange_data) {
+            await ews.run('DeleteItem', {
+                attributes: {
+                    DeleteType: 'MoveToDeletedItems',
+                    SendMeetingCancellations: 'SendToNone'
+                },
+                ItemIds: {
+                    ItemId: {
+                        attributes: {
+                            Id: conflict.exchange_event_id
+                        }
+                    }
+                }
+            });
+        }
+        return;
+    }
+
+    const itemId = conflict.exchange_data
+        ? await updateExchangeItem(ews, localEvent, conflict.exchange_data.exchange_change_key, 'AlwaysOverwrite')
+        : await createExchangeItem(ews, localEvent, localEvent.exchange_calendar_id);
+
+    await markEventSynced(client, localEvent.id, itemId);
+}
+
+/**
+ * merge: write the field-level merge to both sides
+ */
+async function applyMergedVersion(client, ews, conflict, localEvent, selection) {
+    if (!localEvent || !conflict.exchange_data) {
+        throw new Error('Merge requires the event to exist in OpenIntraHub and Exchange');
+    }
+
+    const { merged } = buildConflictDiff(localEvent, conflict.exchange_data, selection);
+
+    if (new Date(merged.end_time) < new Date(merged.start_time)) {
+        throw new Error('Invalid merge: the merged event ends before it starts');
+    }
+
+    await updateEventFields(client, localEvent.id, merged);
+
+    const itemId = await updateExchangeItem(
+        ews,
+        { ...localEvent, ...merged },
+        conflict.exchange_data.exchange_change_key,
+        'AlwaysOverwrite'
+    );
+
+    await markEventSynced(client, localEvent.id, itemId);
+}
+
+/**
+ * Preview a conflict: field-by-field diff and the result of a merge
+ */
+async function getConflictPreview(userId, conflictId, selection = {}) {
+    validateMergeSelection(selection);
+
+    const conflict = await getConflictForUser(pool, userId, conflictId);
+    const localEvent = await getConflictEvent(pool, conflict);
+    const diff = buildConflictDiff(localEvent, conflict.exchange_data, selection);
+
+    return {
+        conflict_id: conflict.id,
+        event_id: conflict.event_id,
+        conflict_type: conflict.conflict_type,
+        conflict_detected_at: conflict.conflict_detected_at,
+        resolved: conflict.resolved,
+        fields: diff.fields,
+        merged: localEvent && conflict.exchange_data ? diff.merged : null
+    };
+}
+
+/**
+ * Resolve a conflict with the given strategy
+ *
+ * - keep_openintrahub: push the OpenIntraHub event to Exchange
+ * - keep_exchange: overwrite the OpenIntraHub event with the Exchange version
+ * - merge: per-field selection (options.fields), written to both sides
+ * - skip: keep both versions as they are and stop reporting the conflict
+ */
+async function resolveConflict(userId, conflictId, strategy, options = {}) {
+    if (!RESOLUTION_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid resolution strategy. Must be one of: ${RESOLUTION_STRATEGIES.join(', ')}`);
+    }
+
+    const selection = options.fields || {};
+    validateMergeSelection(selection);
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const conflict = await getConflictForUser(client, userId, conflictId, true);
+
+        if (conflict.resolved) {
+            throw new Error('Conflict already resolved');
+        }
+
+        const localEvent = await getConflictEvent(client, conflict, true);
+
+        let ews = null;
+        if (strategy === 'keep_openintrahub' || strategy === 'merge') {
+            const connection = await getConnection(userId);
+
+            if (!connection) {
+                throw new Error('No Exchange connection found for user');
+            }
+
+            ews = createEWSClient(connection);
+        }
+
+        if (strategy === 'keep_exchange') {
+            await applyExchangeVersion(client, conflict, localEvent);
+        } else if (strategy === 'keep_openintrahub') {
+            await applyOpenIntraHubVersion(client, ews, conflict, localEvent);
+        } else if (strategy === 'merge') {
+            await applyMergedVersion(client, ews, conflict, localEvent, selection);
+        } else if (localEvent && conflict.exchange_data) {
+            // skip: accept the current Exchange state as synced without touching either side
+            await client.query(`
+                UPDATE events SET
+                    exchange_change_key = $1,
+                    last_synced_at = CURRENT_TIMESTAMP
+                WHERE id = $2
+            `, [conflict.exchange_data.exchange_change_key, localEvent.id]);
+        }
+
+        await client.query(`
+            UPDATE exchange_sync_conflicts SET
+                resolved = true,
+                resolved_at = CURRENT_TIMESTAMP,
+                resolution_strategy = $1,
+                resolved_by = $2
+            WHERE id = $3
+        `, [strategy, userId, conflict.id]);
+
+        await client.query('COMMIT');
+
+        logger.info('Conflict resolved', { userId, conflictId: conflict.id, strategy });
+
+        return {
+            conflict_id: conflict.id,
+            event_id: conflict.event_id,
+            resolution_strategy: strategy
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        logger.error('Failed to resolve conflict', { error: error.message, userId, conflictId });
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Resolve several conflicts with the same strategy (all open ones if no ids given).
+ * Each conflict is resolved on its own, so one failure does not undo the others.
+ */
+async function resolveConflicts(userId, conflictIds, strategy, options = {}) {
+    if (!RESOLUTION_STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid resolution strategy. Must be one of: ${RESOLUTION_STRATEGIES.join(', ')}`);
+    }
+
+    validateMergeSelection(options.fields);
+
+    let ids = conflictIds;
+
+    if (!ids) {
+        const openResult = await pool.query(`
+            SELECT esc.id
+            FROM exchange_sync_conflicts esc
+            JOIN exchange_connections ec ON esc.connection_id = ec.id
+            WHERE ec.user_id = $1 AND esc.resolved = false
+            ORDER BY esc.conflict_detected_at ASC
+        `, [userId]);
+
+        ids = openResult.rows.map(row => row.id);
+    }
+
+    const results = [];
+
+    for (const conflictId of ids) {
+        try {
+            await resolveConflict(userId, conflictId, strategy, options);
+            results.push({ conflict_id: conflictId, success: true });
+        } catch (error) {
+            results.push({ conflict_id: conflictId, success: false, message: error.message });
+        }
+    }
+
+    return {
+        resolved: results.filter(r => r.success).length,
+        failed: results.filter(r => !r.success).length,
+        results
+    };
+}
+
 /**
  * Delete Exchange connection
  */
@@ -962,6 +1436,10 @@ module.exports = {
     syncFromExchange,
     syncToExchange,
     syncBidirectional,
+    RESOLUTION_STRATEGIES,
+    getConflictPreview,
+    resolveConflict,
+    resolveConflicts,
     getOutOfOfficeSettings,
     setOutOfOfficeSettings,
     deleteConnection
@@ -0,0 +1,278 @@
+/**
+ * Group API
+ * Gruppen und Teams (manuell und aus LDAP) und ihre Mitglieder
+ */
+
+const express = require('express');
+const router = express.Router();
+const groupService = require('./groupService');
+const auditService = require('./auditService');
+const { authenticateToken } = require('./middleware');
+const { requirePermission, userHasPermission } = require('./permissions');
+const i18n = require('./i18n');
+
+function sendGroupError(res, req, error, context) {
+    const statusMap = {
+        'Group not found': 404,
+        'Member not found': 404,
+        'User not found': 404,
+        'Group already exists': 409,
+        'LDAP groups cannot be deleted': 403,
+        'Members of LDAP groups are managed by the directory': 403
+    };
+
+    const status = statusMap[error.message] || (/^Invalid/.test(error.message) ? 400 : null);
+
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        message: i18n.t('errors.serverError', { lng: req.language })
+    });
+}
+
+/**
+ * Group admins (groups.manage) or managers of the group may change its members
+ */
+async function canManageMembers(req, groupId) {
+    return await userHasPermission(req.user, 'groups.manage') ||
+        groupService.isGroupManager(groupId, req.user.userId);
+}
+
+// ==============================================
+// GROUPS
+// ==============================================
+
+/**
+ * GET /api/groups
+ * Active groups (e.g. for share and invitation pickers)
+ * Query: search, source (manual|ldap), mine=true (own groups), include_inactive=true (groups.manage only)
+ */
+router.get('/groups', authenticateToken, async (req, res) => {
+    try {
+        const includeInactive = req.query.include_inactive === 'true' &&
+            await userHasPermission(req.user, 'groups.manage');
+
+        const groups = await groupService.listGroups({
+            search: req.query.search,
+            source: req.query.source,
+            memberId: req.query.mine === 'true' ? req.user.userId : null,
+            includeInactive
+        });
+
+        res.json({
+            success: true,
+            data: groups
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'listing groups');
+    }
+});
+
+/**
+ * GET /api/groups/:id
+ */
+router.get('/groups/:id', authenticateToken, async (req, res) => {
+    try {
+        const group = await groupService.getGroup(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: group
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'loading group');
+    }
+});
+
+/**
+ * POST /api/groups
+ * Body: name, slug?, description?, members? (user IDs), managers? (user IDs)
+ */
+router.post('/groups', authenticateToken, requirePermission('groups.manage'), async (req, res) => {
+    try {
+        const group = await groupService.createGroup(req.body, req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.GROUP_CREATE,
+            req,
+            resourceType: 'group',
+            resourceId: group.id,
+            description: `Group ${group.name} created`,
+            changes: { after: { name: group.name, slug: group.slug, member_count: group.member_count } }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: group
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'creating group');
+    }
+});
+
+/**
+ * PUT /api/groups/:id
+ * Body: name? (manual groups only), description?, is_active?
+ */
+router.put('/groups/:id', authenticateToken, requirePermission('groups.manage'), async (req, res) => {
+    try {
+        const { before, after } = await groupService.updateGroup(parseInt(req.params.id), req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.GROUP_UPDATE,
+            req,
+            resourceType: 'group',
+            resourceId: after.id,
+            description: `Group ${after.name} updated`,
+            changes: {
+                before: { name: before.name, description: before.description, is_active: before.is_active },
+                after: { name: after.name, description: after.description, is_active: after.is_active }
+            }
+        });
+
+        res.json({
+            success: true,
+            data: after
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'updating group');
+    }
+});
+
+/**
+ * DELETE /api/groups/:id
+ * Manual groups only; drive shares and event invitations of the group are removed
+ */
+router.delete('/groups/:id', authenticateToken, requirePermission('groups.manage'), async (req, res) => {
+    try {
+        const group = await groupService.deleteGroup(parseInt(req.params.id), req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.GROUP_DELETE,
+            req,
+            resourceType: 'group',
+            resourceId: group.id,
+            description: `Group ${group.name} deleted`,
+            changes: { before: { name: group.name, slug: group.slug, member_count: group.member_count } }
+        });
+
+        res.json({
+            success: true,
+            message: 'Group deleted'
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'deleting group');
+    }
+});
+
+// ==============================================
+// MEMBERS
+// ==============================================
+
+/**
+ * GET /api/groups/:id/members
+ */
+router.get('/groups/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const members = await groupService.getGroupMembers(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: members
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'listing group members');
+    }
+});
+
+/**
+ * POST /api/groups/:id/members
+ * Body: user_ids, membership_role? (member|manager; also changes the role of existing members)
+ */
+router.post('/groups/:id/members', authenticateToken, async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.id);
+
+        if (!Array.isArray(req.body.user_ids)) {
+            return res.status(400).json({
+                success: false,
+                message: 'user_ids must be an array'
+            });
+        }
+
+        if (!(await canManageMembers(req, groupId))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        const added = await groupService.addMembers(groupId, req.body.user_ids, {
+            membershipRole: req.body.membership_role,
+            addedBy: req.user.userId
+        });
+
+        await auditService.log({
+            action: auditService.ACTIONS.GROUP_MEMBERS_ADD,
+            req,
+            resourceType: 'group',
+            resourceId: groupId,
+            description: `${added.length} member(s) added to group ${groupId}`,
+            changes: { after: { user_ids: req.body.user_ids, membership_role: req.body.membership_role || 'member' } }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                added_user_ids: added,
+                members: await groupService.getGroupMembers(groupId)
+            }
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'adding group members');
+    }
+});
+
+/**
+ * DELETE /api/groups/:id/members/:userId
+ */
+router.delete('/groups/:id/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        const groupId = parseInt(req.params.id);
+        const userId = parseInt(req.params.userId);
+
+        if (!(await canManageMembers(req, groupId))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        await groupService.removeMember(groupId, userId, req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.GROUP_MEMBER_REMOVE,
+            req,
+            resourceType: 'group',
+            resourceId: groupId,
+            description: `User ${userId} removed from group ${groupId}`,
+            changes: { before: { user_id: userId } }
+        });
+
+        res.json({
+            success: true,
+            message: 'Member removed'
+        });
+    } catch (error) {
+        sendGroupError(res, req, error, 'removing group member');
+    }
+});
+
+module.exports = router;
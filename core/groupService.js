@@ -0,0 +1,485 @@
+/**
+ * Group Service
+ * Gruppen und Teams: manuelle Gruppen, aus LDAP (memberOf) synchronisierte
+ * Gruppen und Mitgliedschaften. Änderungen an Mitgliedschaften werden als
+ * GROUP_MEMBERS_CHANGED auf dem Event-Bus und als Modul-Hook verteilt, damit
+ * Chat, Events usw. ihre Teilnehmer nachziehen können.
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+const eventBus = require('./eventBus');
+const moduleRegistry = require('./enhancedModuleRegistry');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('GroupService');
+
+const MEMBERSHIP_ROLES = ['member', 'manager'];
+
+const GROUP_SELECT = `
+    SELECT g.id, g.name, g.slug, g.description, g.source, g.ldap_dn, g.is_active,
+           g.created_by, g.created_at, g.updated_at,
+           (SELECT COUNT(*) FROM group_members gm WHERE gm.group_id = g.id)::int AS member_count
+    FROM groups g`;
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/ä/g, 'ae')
+        .replace(/ö/g, 'oe')
+        .replace(/ü/g, 'ue')
+        .replace(/ß/g, 'ss')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 200);
+}
+
+/**
+ * Display name of an LDAP group: the CN of its DN (falls back to the DN)
+ */
+function ldapGroupName(dn) {
+    const match = /^cn=([^,]+)/i.exec(dn);
+    return match ? match[1] : dn;
+}
+
+// Same slug as the backfill in migration 028 (stable per DN)
+function ldapGroupSlug(dn) {
+    return 'ldap-' + crypto.createHash('md5').update(dn).digest('hex');
+}
+
+function normalizeIds(ids) {
+    return [...new Set((ids || []).map(id => parseInt(id)).filter(id => Number.isInteger(id) && id > 0))];
+}
+
+async function withTransaction(work) {
+    const client = await database.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Tell chat, events and modules about membership changes.
+ * Listeners run in the background and never fail the caller.
+ */
+function emitMembersChanged(groupId, added, removed, actorId = null) {
+    if (added.length === 0 && removed.length === 0) {
+        return;
+    }
+
+    const change = { groupId, added, removed, actorId };
+
+    eventBus.emit('GROUP_MEMBERS_CHANGED', change);
+    moduleRegistry.triggerHook('group.members_changed', change);
+
+    logger.info('Group members changed', { groupId, added: added.length, removed: removed.length });
+}
+
+// ==============================================
+// GROUPS
+// ==============================================
+
+/**
+ * List groups
+ * Filters: search, source (manual|ldap), memberId (only groups of this user), includeInactive
+ */
+async function listGroups(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (!filters.includeInactive) {
+        conditions.push('g.is_active = true');
+    }
+
+    if (filters.source) {
+        params.push(filters.source);
+        conditions.push(`g.source = $${params.length}`);
+    }
+
+    if (filters.search) {
+        params.push(`%${filters.search}%`);
+        conditions.push(`(g.name ILIKE $${params.length} OR g.description ILIKE $${params.length})`);
+    }
+
+    if (filters.memberId) {
+        params.push(filters.memberId);
+        conditions.push(`EXISTS (SELECT 1 FROM group_members gm WHERE gm.group_id = g.id AND gm.user_id = $${params.length})`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await database.query(`${GROUP_SELECT} ${where} ORDER BY g.name`, params);
+    return result.rows;
+}
+
+async function getGroup(groupId) {
+    const result = await database.query(`${GROUP_SELECT} WHERE g.id = $1`, [groupId]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Group not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Create a manual group
+ * data: name, slug?, description?, members? (user IDs), managers? (user IDs)
+ */
+async function createGroup(data, createdBy) {
+    const name = String(data.name || '').trim();
+    if (!name) {
+        throw new Error('Invalid group name');
+    }
+
+    const slug = slugify(data.slug || name);
+    if (!slug) {
+        throw new Error('Invalid group slug');
+    }
+
+    const managers = normalizeIds(data.managers);
+    const members = normalizeIds(data.members).filter(id => !managers.includes(id));
+
+    let group;
+    try {
+        group = await withTransaction(async (client) => {
+            const result = await client.query(
+                `INSERT INTO groups (name, slug, description, source, created_by)
+                 VALUES ($1, $2, $3, 'manual', $4)
+                 RETURNING id`,
+                [name, slug, data.description || null, createdBy]
+            );
+            const groupId = result.rows[0].id;
+
+            for (const [userIds, role] of [[members, 'member'], [managers, 'manager']]) {
+                if (userIds.length > 0) {
+                    await client.query(
+                        `INSERT INTO group_members (group_id, user_id, membership_role, added_by)
+                         SELECT $1, u.id, $2, $3 FROM users u WHERE u.id = ANY($4::int[])`,
+                        [groupId, role, createdBy, userIds]
+                    );
+                }
+            }
+
+            return { id: groupId };
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new Error('Group already exists');
+        }
+        throw error;
+    }
+
+    const memberIds = await getGroupMemberIds([group.id]);
+    emitMembersChanged(group.id, memberIds, [], createdBy);
+
+    logger.info('Group created', { groupId: group.id, slug, createdBy });
+
+    return getGroup(group.id);
+}
+
+/**
+ * Update a group
+ * LDAP groups keep their name (it follows the directory); description and is_active can change
+ */
+async function updateGroup(groupId, data) {
+    const before = await getGroup(groupId);
+
+    const fields = [];
+    const params = [];
+
+    if (data.name !== undefined && before.source === 'manual') {
+        const name = String(data.name).trim();
+        if (!name) {
+            throw new Error('Invalid group name');
+        }
+        params.push(name);
+        fields.push(`name = $${params.length}`);
+    }
+
+    if (data.description !== undefined) {
+        params.push(data.description || null);
+        fields.push(`description = $${params.length}`);
+    }
+
+    if (data.is_active !== undefined) {
+        params.push(Boolean(data.is_active));
+        fields.push(`is_active = $${params.length}`);
+    }
+
+    if (fields.length > 0) {
+        params.push(groupId);
+        await database.query(`UPDATE groups SET ${fields.join(', ')} WHERE id = $${params.length}`, params);
+    }
+
+    const after = await getGroup(groupId);
+
+    // (De)activating a group grants or revokes everything given to it
+    if (before.is_active !== after.is_active) {
+        const memberIds = await getGroupMemberIds([groupId], { includeInactive: true });
+        if (after.is_active) {
+            emitMembersChanged(groupId, memberIds, []);
+        } else {
+            emitMembersChanged(groupId, [], memberIds);
+        }
+    }
+
+    return { before, after };
+}
+
+/**
+ * Delete a manual group (LDAP groups are recreated by the next sync, deactivate them instead)
+ */
+async function deleteGroup(groupId, deletedBy = null) {
+    const group = await getGroup(groupId);
+
+    if (group.source === 'ldap') {
+        throw new Error('LDAP groups cannot be deleted');
+    }
+
+    // Shares and event invitations go with the group; linked chats keep their participants
+    await withTransaction(async (client) => {
+        await client.query(
+            'UPDATE projects SET team_group_ids = array_remove(team_group_ids, $1) WHERE $1 = ANY(team_group_ids)',
+            [groupId]
+        );
+        await client.query(
+            'UPDATE pages SET allowed_group_ids = array_remove(allowed_group_ids, $1) WHERE $1 = ANY(allowed_group_ids)',
+            [groupId]
+        );
+        await client.query('DELETE FROM groups WHERE id = $1', [groupId]);
+    });
+
+    moduleRegistry.triggerHook('group.deleted', { group, userId: deletedBy });
+
+    logger.info('Group deleted', { groupId, deletedBy });
+
+    return group;
+}
+
+// ==============================================
+// MEMBERS
+// ==============================================
+
+async function getGroupMembers(groupId) {
+    await getGroup(groupId);
+
+    const result = await database.query(
+        `SELECT u.id, u.username, u.name, u.email, u.avatar_url,
+                gm.membership_role, gm.source, gm.added_at
+         FROM group_members gm
+         JOIN users u ON u.id = gm.user_id
+         WHERE gm.group_id = $1
+         ORDER BY gm.membership_role DESC, u.name NULLS LAST, u.username`,
+        [groupId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Distinct user IDs of all members of the given (active) groups
+ */
+async function getGroupMemberIds(groupIds, options = {}) {
+    const ids = normalizeIds(groupIds);
+    if (ids.length === 0) {
+        return [];
+    }
+
+    const result = await database.query(
+        `SELECT DISTINCT gm.user_id
+         FROM group_members gm
+         JOIN groups g ON g.id = gm.group_id
+         WHERE gm.group_id = ANY($1::int[])
+           ${options.includeInactive ? '' : 'AND g.is_active = true'}`,
+        [ids]
+    );
+
+    return result.rows.map(row => row.user_id);
+}
+
+/**
+ * IDs of the active groups a user belongs to
+ */
+async function getUserGroupIds(userId) {
+    const result = await database.query(
+        `SELECT gm.group_id
+         FROM group_members gm
+         JOIN groups g ON g.id = gm.group_id AND g.is_active = true
+         WHERE gm.user_id = $1`,
+        [userId]
+    );
+
+    return result.rows.map(row => row.group_id);
+}
+
+async function isGroupManager(groupId, userId) {
+    const result = await database.query(
+        `SELECT 1 FROM group_members
+         WHERE group_id = $1 AND user_id = $2 AND membership_role = 'manager'`,
+        [groupId, userId]
+    );
+
+    return result.rows.length > 0;
+}
+
+function assertManualMembership(group) {
+    if (group.source === 'ldap') {
+        throw new Error('Members of LDAP groups are managed by the directory');
+    }
+}
+
+/**
+ * Add members to a manual group (or change the membership role of existing members)
+ * Returns the IDs of users that were not members before
+ */
+async function addMembers(groupId, userIds, options = {}) {
+    const group = await getGroup(groupId);
+    assertManualMembership(group);
+
+    const membershipRole = options.membershipRole || 'member';
+    if (!MEMBERSHIP_ROLES.includes(membershipRole)) {
+        throw new Error(`Invalid membership role: ${membershipRole}`);
+    }
+
+    const ids = normalizeIds(userIds);
+    if (ids.length === 0) {
+        throw new Error('Invalid user IDs');
+    }
+
+    const existing = await database.query('SELECT id FROM users WHERE id = ANY($1::int[])', [ids]);
+    if (existing.rows.length !== ids.length) {
+        throw new Error('User not found');
+    }
+
+    // xmax = 0 only for freshly inserted rows
+    const result = await database.query(
+        `INSERT INTO group_members (group_id, user_id, membership_role, added_by)
+         SELECT $1, UNNEST($2::int[]), $3, $4
+         ON CONFLICT (group_id, user_id) DO UPDATE SET membership_role = EXCLUDED.membership_role
+         RETURNING user_id, (xmax = 0) AS inserted`,
+        [groupId, ids, membershipRole, options.addedBy || null]
+    );
+
+    const added = result.rows.filter(row => row.inserted).map(row => row.user_id);
+
+    if (group.is_active) {
+        emitMembersChanged(groupId, added, [], options.addedBy);
+    }
+
+    return added;
+}
+
+async function removeMember(groupId, userId, removedBy = null) {
+    const group = await getGroup(groupId);
+    assertManualMembership(group);
+
+    const result = await database.query(
+        'DELETE FROM group_members WHERE group_id = $1 AND user_id = $2 RETURNING user_id',
+        [groupId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Member not found');
+    }
+
+    if (group.is_active) {
+        emitMembersChanged(groupId, [], [userId], removedBy);
+    }
+}
+
+// ==============================================
+// LDAP SYNC
+// ==============================================
+
+/**
+ * Mirror the LDAP group memberships (memberOf DNs) of one user.
+ * Missing groups are created; memberships added manually are left alone.
+ */
+async function syncLdapMemberships(userId, groupDns) {
+    const dns = [...new Set((Array.isArray(groupDns) ? groupDns : []).filter(Boolean).map(String))];
+
+    const { added, removed } = await withTransaction(async (client) => {
+        const groupIds = [];
+
+        for (const dn of dns) {
+            const result = await client.query(
+                `INSERT INTO groups (name, slug, source, ldap_dn)
+                 VALUES ($1, $2, 'ldap', $3)
+                 ON CONFLICT (ldap_dn) DO UPDATE SET name = EXCLUDED.name
+                 RETURNING id`,
+                [ldapGroupName(dn), ldapGroupSlug(dn), dn]
+            );
+            groupIds.push(result.rows[0].id);
+        }
+
+        const removedResult = await client.query(
+            `DELETE FROM group_members
+             WHERE user_id = $1 AND source = 'ldap' AND NOT (group_id = ANY($2::int[]))
+             RETURNING group_id`,
+            [userId, groupIds]
+        );
+
+        const addedResult = await client.query(
+            `INSERT INTO group_members (group_id, user_id, source)
+             SELECT UNNEST($2::int[]), $1, 'ldap'
+             ON CONFLICT (group_id, user_id) DO NOTHING
+             RETURNING group_id`,
+            [userId, groupIds]
+        );
+
+        return {
+            added: addedResult.rows.map(row => row.group_id),
+            removed: removedResult.rows.map(row => row.group_id)
+        };
+    });
+
+    for (const groupId of added) {
+        emitMembersChanged(groupId, [userId], []);
+    }
+    for (const groupId of removed) {
+        emitMembersChanged(groupId, [], [userId]);
+    }
+
+    if (added.length > 0 || removed.length > 0) {
+        logger.info('LDAP group memberships synced', { userId, added: added.length, removed: removed.length });
+    }
+
+    return { added, removed };
+}
+
+module.exports = {
+    // Groups
+    listGroups,
+    getGroup,
+    createGroup,
+    updateGroup,
+    deleteGroup,
+
+    // Members
+    getGroupMembers,
+    getGroupMemberIds,
+    getUserGroupIds,
+    isGroupManager,
+    addMembers,
+    removeMember,
+
+    // LDAP
+    syncLdapMemberships,
+
+    MEMBERSHIP_ROLES
+};
@@ -41,7 +41,7 @@ i18next
         supportedLngs: SUPPORTED_LANGUAGES,
         preload: SUPPORTED_LANGUAGES,
         defaultNS: 'common',
-        ns: ['common', 'auth', 'errors', 'validation'],
+        ns: ['common', 'auth', 'errors', 'validation', 'drive'],
 
         // Spracherkennung
         detection: {
@@ -157,8 +157,20 @@ function validateLanguage(lang) {
     return SUPPORTED_LANGUAGES.includes(normalized) ? normalized : null;
 }
 
+/**
+ * Übersetzt einen Key (Sprache über options.lng, z.B. req.language)
+ *
+ * @param {string} key - Übersetzungs-Key
+ * @param {Object} options - Übersetzungs-Optionen
+ * @returns {string} Übersetzte Nachricht
+ */
+function t(key, options = {}) {
+    return i18next.t(key, options);
+}
+
 module.exports = {
     i18next,
+    t,
     middleware: middleware.handle(i18next),
     i18nRequestMiddleware,
     createModuleI18n,
@@ -0,0 +1,1002 @@
+/**
+ * iCalendar Service
+ * Export von Events als iCalendar-Feeds (RFC 5545) für Thunderbird, Outlook & Smartphones
+ * sowie Parser für den Import externer Kalender-Abonnements
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+const eventsService = require('./eventsService');
+const recurrence = require('./recurrence');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('ICalService');
+
+const PRODID = '-//OpenIntraHub//Events//DE';
+
+// Feeds contain past events of this many days plus all future events and series
+const FEED_PAST_DAYS = parseInt(process.env.ICAL_FEED_PAST_DAYS) || 90;
+const FEED_MAX_EVENTS = 2000;
+
+const PARTSTAT_MAP = {
+    invited: 'NEEDS-ACTION',
+    accepted: 'ACCEPTED',
+    declined: 'DECLINED',
+    tentative: 'TENTATIVE',
+    maybe: 'TENTATIVE'
+};
+
+const STATUS_MAP = {
+    confirmed: 'CONFIRMED',
+    cancelled: 'CANCELLED',
+    tentative: 'TENTATIVE'
+};
+
+const CLASS_MAP = {
+    public: 'PUBLIC',
+    internal: 'CONFIDENTIAL',
+    private: 'PRIVATE'
+};
+
+const vtimezoneCache = new Map();
+
+// ==============================================
+// SERIALIZATION HELPERS
+// ==============================================
+
+/**
+ * Escapes a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Escapes a parameter value (quoted if it contains separators)
+ */
+function escapeParam(value) {
+    const clean = String(value).replace(/"/g, '\'');
+    return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Folds a content line at 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) {
+        return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+            limit = 74; // Continuation lines start with a space
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatUtc(date) {
+    return recurrence.formatICalDateTime(new Date(date));
+}
+
+function formatLocal(parts) {
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+}
+
+function formatDate(parts) {
+    return `${parts.year}${pad(parts.month)}${pad(parts.day)}`;
+}
+
+function formatOffset(offsetMs) {
+    const sign = offsetMs < 0 ? '-' : '+';
+    const minutes = Math.abs(offsetMs) / 60000;
+    return `${sign}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+function formatAlarmTrigger(minutesBefore) {
+    if (minutesBefore % 1440 === 0) {
+        return `-P${minutesBefore / 1440}D`;
+    }
+    if (minutesBefore % 60 === 0) {
+        return `-PT${minutesBefore / 60}H`;
+    }
+    return `-PT${minutesBefore}M`;
+}
+
+function getFeedHost() {
+    try {
+        return new URL(process.env.FRONTEND_URL || 'http://openintrahub.local').hostname;
+    } catch (error) {
+        return 'openintrahub.local';
+    }
+}
+
+function getEventUid(eventId) {
+    return `event-${eventId}@${getFeedHost()}`;
+}
+
+// ==============================================
+// VTIMEZONE
+// ==============================================
+
+/**
+ * Finds the exact instant of an offset change between two timestamps
+ * @private
+ */
+function findTransition(from, to, timeZone) {
+    const startOffset = recurrence.getTimezoneOffset(from, timeZone);
+    let low = from;
+    let high = to;
+
+    while (high - low > 1000) {
+        const mid = low + Math.floor((high - low) / 2);
+        if (recurrence.getTimezoneOffset(mid, timeZone) === startOffset) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return high - (high % 60000);
+}
+
+/**
+ * Builds a VTIMEZONE component for an IANA timezone by probing its
+ * transitions in the current year (yearly RRULE like "last Sunday in March")
+ */
+function buildVTimezone(timeZone) {
+    if (vtimezoneCache.has(timeZone)) {
+        return vtimezoneCache.get(timeZone);
+    }
+
+    const year = new Date().getUTCFullYear();
+    const dayMs = 24 * 60 * 60 * 1000;
+    const transitions = [];
+
+    let previous = Date.UTC(year, 0, 1);
+    let previousOffset = recurrence.getTimezoneOffset(previous, timeZone);
+
+    for (let t = previous + dayMs; t <= Date.UTC(year + 1, 0, 1); t += dayMs) {
+        const offset = recurrence.getTimezoneOffset(t, timeZone);
+        if (offset !== previousOffset) {
+            transitions.push({
+                at: findTransition(previous, t, timeZone),
+                from: previousOffset,
+                to: offset
+            });
+            previousOffset = offset;
+        }
+        previous = t;
+    }
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+    if (transitions.length === 0) {
+        const offset = formatOffset(previousOffset);
+        lines.push(
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            `TZOFFSETFROM:${offset}`,
+            `TZOFFSETTO:${offset}`,
+            'END:STANDARD'
+        );
+    } else {
+        for (const transition of transitions) {
+            // Onset in local time before the transition
+            const local = new Date(transition.at + transition.from);
+            const month = local.getUTCMonth() + 1;
+            const day = local.getUTCDate();
+            const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), month, 0)).getUTCDate();
+            const ordinal = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+            const weekday = recurrence.WEEKDAYS[local.getUTCDay()];
+            const type = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+
+            // DTSTART must match the RRULE, so use the same weekday rule in 1970
+            const firstOfMonth = new Date(Date.UTC(1970, month - 1, 1)).getUTCDay();
+            const firstMatch = 1 + ((local.getUTCDay() - firstOfMonth + 7) % 7);
+            const lastOfMonth = new Date(Date.UTC(1970, month, 0)).getUTCDate();
+            const onsetDay = ordinal > 0
+                ? firstMatch + (ordinal - 1) * 7
+                : firstMatch + Math.floor((lastOfMonth - firstMatch) / 7) * 7;
+
+            lines.push(
+                `BEGIN:${type}`,
+                `DTSTART:1970${pad(month)}${pad(onsetDay)}T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`,
+                `RRULE:FREQ=YEARLY;BYMONTH=${month};BYDAY=${ordinal}${weekday}`,
+                `TZOFFSETFROM:${formatOffset(transition.from)}`,
+                `TZOFFSETTO:${formatOffset(transition.to)}`,
+                `END:${type}`
+            );
+        }
+    }
+
+    lines.push('END:VTIMEZONE');
+    vtimezoneCache.set(timeZone, lines);
+
+    return lines;
+}
+
+// ==============================================
+// CALENDAR BUILDING
+// ==============================================
+
+/**
+ * Detached (changed) occurrence of a series
+ * @private
+ */
+function isDetachedOccurrence(event) {
+    return Boolean(event.recurrence_parent_id && !event.is_recurring && event.recurrence_original_start);
+}
+
+/**
+ * Serializes a single event into VEVENT lines
+ *
+ * @param {Object} event - Event row (series master, single event or detached exception)
+ * @param {Object} options - { participants: [], reminders: [],
+ *                             overriddenStarts: original starts of detached occurrences in the same calendar }
+ */
+function buildVEvent(event, options = {}) {
+    const { participants = [], reminders = [], overriddenStarts = [] } = options;
+    const timeZone = recurrence.resolveTimezone(event.timezone);
+    const lines = ['BEGIN:VEVENT'];
+
+    // Detached occurrences share the UID of their series
+    const isDetached = isDetachedOccurrence(event);
+    lines.push(`UID:${getEventUid(isDetached ? event.recurrence_parent_id : event.id)}`);
+    lines.push(`DTSTAMP:${formatUtc(event.updated_at || new Date())}`);
+
+    if (event.created_at) {
+        lines.push(`CREATED:${formatUtc(event.created_at)}`);
+    }
+    if (event.updated_at) {
+        lines.push(`LAST-MODIFIED:${formatUtc(event.updated_at)}`);
+    }
+
+    const start = new Date(event.start_time);
+    const end = new Date(event.end_time);
+
+    if (event.all_day) {
+        const startParts = recurrence.getZonedParts(start, timeZone);
+        const lastDay = recurrence.getZonedParts(new Date(end.getTime() - 1000), timeZone);
+        const endParts = new Date(Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day + 1));
+
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(startParts)}`);
+        lines.push(`DTEND;VALUE=DATE:${endParts.toISOString().slice(0, 10).replace(/-/g, '')}`);
+    } else {
+        lines.push(`DTSTART;TZID=${timeZone}:${formatLocal(recurrence.getZonedParts(start, timeZone))}`);
+        lines.push(`DTEND;TZID=${timeZone}:${formatLocal(recurrence.getZonedParts(end, timeZone))}`);
+    }
+
+    if (isDetached) {
+        const original = recurrence.getZonedParts(new Date(event.recurrence_original_start), timeZone);
+        lines.push(event.all_day
+            ? `RECURRENCE-ID;VALUE=DATE:${formatDate(original)}`
+            : `RECURRENCE-ID;TZID=${timeZone}:${formatLocal(original)}`);
+    }
+
+    if (event.is_recurring && event.recurrence_rule) {
+        try {
+            lines.push(`RRULE:${recurrence.toRRuleString(event.recurrence_rule)}`);
+
+            const startParts = recurrence.getZonedParts(start, timeZone);
+            let exceptions = event.recurrence_exception_dates || [];
+            if (typeof exceptions === 'string') {
+                exceptions = JSON.parse(exceptions);
+            }
+
+            const formatInstant = parts => (event.all_day ? formatDate(parts) : formatLocal(parts));
+
+            // Occurrences exported as their own VEVENT (RECURRENCE-ID) are no EXDATE,
+            // clients would drop the override otherwise (RFC 5545)
+            const overridden = new Set(overriddenStarts.map(date =>
+                formatInstant(recurrence.getZonedParts(new Date(date), timeZone))));
+
+            for (const entry of exceptions) {
+                // Date-only exceptions are bound to the series time of day
+                const instant = /^\d{4}-\d{2}-\d{2}$/.test(entry)
+                    ? recurrence.zonedTimeToUtc({
+                        year: parseInt(entry.slice(0, 4), 10),
+                        month: parseInt(entry.slice(5, 7), 10),
+                        day: parseInt(entry.slice(8, 10), 10),
+                        hour: startParts.hour,
+                        minute: startParts.minute,
+                        second: startParts.second
+                    }, timeZone)
+                    : new Date(entry);
+                const value = formatInstant(recurrence.getZonedParts(instant, timeZone));
+                if (overridden.has(value)) {
+                    continue;
+                }
+
+                lines.push(event.all_day
+                    ? `EXDATE;VALUE=DATE:${value}`
+                    : `EXDATE;TZID=${timeZone}:${value}`);
+            }
+        } catch (error) {
+            logger.warn('Skipping invalid recurrence rule in export', { eventId: event.id, error: error.message });
+        }
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+
+    const location = [event.location_name, event.location_details].filter(Boolean).join(', ');
+    if (location) {
+        lines.push(`LOCATION:${escapeText(location)}`);
+    }
+
+    if (event.meeting_url) {
+        lines.push(`URL:${event.meeting_url}`);
+    }
+
+    if (event.category) {
+        lines.push(`CATEGORIES:${escapeText(event.category)}`);
+    }
+
+    lines.push(`STATUS:${STATUS_MAP[event.status] || 'CONFIRMED'}`);
+    lines.push(`CLASS:${CLASS_MAP[event.visibility] || 'PRIVATE'}`);
+
+    if (event.organizer_email) {
+        const cn = event.organizer_name ? `;CN=${escapeParam(event.organizer_name)}` : '';
+        lines.push(`ORGANIZER${cn}:mailto:${event.organizer_email}`);
+    }
+
+    for (const participant of participants) {
+        const email = participant.user_email || participant.guest_email;
+        if (!email || participant.is_organizer) {
+            continue;
+        }
+
+        const name = participant.user_name || participant.guest_name;
+        const params = [
+            name ? `CN=${escapeParam(name)}` : null,
+            `ROLE=${participant.is_required ? 'REQ-PARTICIPANT' : 'OPT-PARTICIPANT'}`,
+            `PARTSTAT=${PARTSTAT_MAP[participant.status] || 'NEEDS-ACTION'}`
+        ].filter(Boolean);
+
+        lines.push(`ATTENDEE;${params.join(';')}:mailto:${email}`);
+    }
+
+    for (const reminder of reminders) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(event.title)}`,
+            `TRIGGER:${formatAlarmTrigger(reminder.minutes_before)}`,
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+/**
+ * Builds a complete VCALENDAR document
+ *
+ * @param {Array} events - Event rows (not expanded)
+ * @param {Object} options - { name, description, participantsByEvent: Map, remindersByEvent: Map }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(events, options = {}) {
+    const {
+        name = 'OpenIntraHub',
+        description = null,
+        participantsByEvent = new Map(),
+        remindersByEvent = new Map()
+    } = options;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H'
+    ];
+
+    if (description) {
+        lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+    }
+
+    const timeZones = new Set(
+        events.filter(event => !event.all_day).map(event => recurrence.resolveTimezone(event.timezone))
+    );
+    for (const timeZone of timeZones) {
+        lines.push(...buildVTimezone(timeZone));
+    }
+
+    // Detached occurrences in this calendar, by series
+    const overridesBySeries = groupByEvent(events
+        .filter(isDetachedOccurrence)
+        .map(event => ({ event_id: event.recurrence_parent_id, start: event.recurrence_original_start })));
+
+    for (const event of events) {
+        lines.push(...buildVEvent(event, {
+            participants: participantsByEvent.get(event.id) || [],
+            reminders: remindersByEvent.get(event.id) || [],
+            overriddenStarts: (overridesBySeries.get(event.id) || []).map(override => override.start)
+        }));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ==============================================
+// PARSING (Import externer Feeds)
+// ==============================================
+
+// Outlook/Exchange verwenden Windows-Zeitzonennamen statt IANA
+const WINDOWS_TIMEZONES = {
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'GMT Standard Time': 'Europe/London',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'UTC': 'UTC'
+};
+
+const PARSED_STATUS_MAP = {
+    CONFIRMED: 'confirmed',
+    CANCELLED: 'cancelled',
+    TENTATIVE: 'tentative'
+};
+
+/**
+ * Reverses escapeText
+ */
+function unescapeText(value) {
+    return String(value).replace(/\\([\\;,nN])/g, (match, char) => (
+        char === 'n' || char === 'N' ? '\n' : char
+    ));
+}
+
+/**
+ * Unfolds content lines (RFC 5545 3.1)
+ */
+function unfoldLines(text) {
+    return String(text)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+}
+
+/**
+ * Splits "NAME;PARAM=value:VALUE" into its parts (quoted parameters may contain ":")
+ */
+function parseContentLine(line) {
+    let inQuotes = false;
+    let separator = -1;
+
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[i] === ':' && !inQuotes) {
+            separator = i;
+            break;
+        }
+    }
+
+    if (separator === -1) {
+        return null;
+    }
+
+    const [name, ...rawParams] = line.slice(0, separator).match(/(?:[^;"]+|"[^"]*")+/g) || [''];
+    const params = {};
+
+    for (const rawParam of rawParams) {
+        const index = rawParam.indexOf('=');
+        if (index > 0) {
+            params[rawParam.slice(0, index).toUpperCase()] = rawParam.slice(index + 1).replace(/^"|"$/g, '');
+        }
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+/**
+ * Maps a TZID (IANA, Windows or Mozilla style) to an IANA timezone
+ */
+function resolveTzid(tzid, fallback) {
+    if (!tzid) {
+        return fallback;
+    }
+
+    if (WINDOWS_TIMEZONES[tzid]) {
+        return WINDOWS_TIMEZONES[tzid];
+    }
+
+    // "/mozilla.org/20050126_1/Europe/Berlin" -> "Europe/Berlin"
+    const match = /([A-Za-z_]+\/[A-Za-z_+-]+)$/.exec(tzid);
+    const candidate = match ? match[1] : tzid;
+
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+        return candidate;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Parses a DATE / DATE-TIME property into { date, allDay, timezone }
+ */
+function parseDateProperty(property, defaultTimezone) {
+    const value = property.value.trim();
+    const timezone = resolveTzid(property.params.TZID, defaultTimezone);
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+
+    if (!match) {
+        return { date: recurrence.parseICalDate(value), allDay: false, timezone };
+    }
+
+    const [, year, month, day, hour, minute, second, utc] = match;
+    const allDay = property.params.VALUE === 'DATE' || hour === undefined;
+
+    if (utc) {
+        return { date: recurrence.parseICalDate(value), allDay: false, timezone };
+    }
+
+    const date = recurrence.zonedTimeToUtc({
+        year: +year,
+        month: +month,
+        day: +day,
+        hour: allDay ? 0 : +hour,
+        minute: allDay ? 0 : +minute,
+        second: allDay ? 0 : +second
+    }, timezone);
+
+    return { date, allDay, timezone };
+}
+
+/**
+ * Parses a DURATION value (e.g. "PT1H30M", "P1D", "-PT15M") into milliseconds
+ */
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const ms = ((((+weeks * 7 + +days) * 24 + +hours) * 60 + +minutes) * 60 + +seconds) * 1000;
+
+    return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Converts the collected properties of a VEVENT into an event object
+ */
+function buildParsedEvent(properties, defaultTimezone) {
+    const first = name => (properties[name] ? properties[name][0] : null);
+
+    const dtstart = first('DTSTART');
+    if (!dtstart) {
+        return null;
+    }
+
+    const start = parseDateProperty(dtstart, defaultTimezone);
+    let end;
+
+    if (first('DTEND')) {
+        end = parseDateProperty(first('DTEND'), defaultTimezone).date;
+    } else if (first('DURATION') && parseDuration(first('DURATION').value) !== null) {
+        end = new Date(start.date.getTime() + parseDuration(first('DURATION').value));
+    } else {
+        // RFC 5545: ganztägig ohne Ende = ein Tag, sonst Zeitpunkt
+        end = new Date(start.date.getTime() + (start.allDay ? 24 * 60 * 60 * 1000 : 0));
+    }
+
+    // DTEND ist bei ganztägigen Events exklusiv, intern endet der Tag um 23:59:59
+    if (start.allDay && end > start.date) {
+        end = new Date(end.getTime() - 1000);
+    }
+
+    let recurrenceRule = null;
+    if (first('RRULE')) {
+        try {
+            recurrenceRule = recurrence.toRuleObject(first('RRULE').value);
+        } catch (error) {
+            logger.warn('Ignoring unsupported RRULE', { rule: first('RRULE').value, error: error.message });
+        }
+    }
+
+    const exceptionDates = [];
+    for (const exdate of properties.EXDATE || []) {
+        for (const value of exdate.value.split(',')) {
+            const parsed = parseDateProperty({ params: exdate.params, value }, start.timezone);
+            exceptionDates.push(parsed.allDay
+                ? value.trim().replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3')
+                : parsed.date.toISOString());
+        }
+    }
+
+    const status = first('STATUS') ? PARSED_STATUS_MAP[first('STATUS').value.trim().toUpperCase()] : null;
+
+    return {
+        uid: first('UID') ? first('UID').value.trim() : null,
+        title: first('SUMMARY') ? unescapeText(first('SUMMARY').value) : '',
+        description: first('DESCRIPTION') ? unescapeText(first('DESCRIPTION').value) : null,
+        location: first('LOCATION') ? unescapeText(first('LOCATION').value) : null,
+        url: first('URL') ? first('URL').value.trim() : null,
+        status: status || 'confirmed',
+        start_time: start.date,
+        end_time: end < start.date ? start.date : end,
+        all_day: start.allDay,
+        timezone: start.timezone,
+        recurrence_rule: recurrenceRule,
+        recurrence_exception_dates: exceptionDates,
+        recurrence_id: first('RECURRENCE-ID')
+            ? parseDateProperty(first('RECURRENCE-ID'), start.timezone).date
+            : null
+    };
+}
+
+/**
+ * Parses an iCalendar document into its VEVENTs
+ *
+ * @param {string} text - iCalendar data
+ * @returns {{name: string|null, timezone: string, events: Array<Object>}}
+ */
+function parseCalendar(text) {
+    const lines = unfoldLines(text);
+
+    if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+        throw new Error('Invalid iCalendar data: missing BEGIN:VCALENDAR');
+    }
+
+    let name = null;
+    let defaultTimezone = recurrence.DEFAULT_TIMEZONE;
+    const rawEvents = [];
+    const stack = [];
+    let current = null;
+
+    for (const line of lines) {
+        const property = parseContentLine(line);
+        if (!property) {
+            continue;
+        }
+
+        if (property.name === 'BEGIN') {
+            const component = property.value.trim().toUpperCase();
+            stack.push(component);
+            if (component === 'VEVENT') {
+                current = {};
+            }
+            continue;
+        }
+
+        if (property.name === 'END') {
+            const component = stack.pop();
+            if (component === 'VEVENT' && current) {
+                rawEvents.push(current);
+                current = null;
+            }
+            continue;
+        }
+
+        const component = stack[stack.length - 1];
+
+        if (component === 'VCALENDAR') {
+            if (property.name === 'X-WR-CALNAME') {
+                name = unescapeText(property.value);
+            } else if (property.name === 'X-WR-TIMEZONE') {
+                defaultTimezone = resolveTzid(property.value.trim(), defaultTimezone);
+            }
+        } else if (component === 'VEVENT' && current) {
+            // Eigenschaften von VALARM & Co. landen nicht im Event
+            (current[property.name] = current[property.name] || []).push(property);
+        }
+    }
+
+    const events = [];
+    for (const properties of rawEvents) {
+        try {
+            const event = buildParsedEvent(properties, defaultTimezone);
+            if (event) {
+                events.push(event);
+            }
+        } catch (error) {
+            logger.warn('Skipping invalid VEVENT', { error: error.message });
+        }
+    }
+
+    return { name, timezone: defaultTimezone, events };
+}
+
+// ==============================================
+// FEED TOKENS
+// ==============================================
+
+/**
+ * Get (or create) the secret feed token of a user
+ */
+async function getOrCreateFeedToken(userId) {
+    const existing = await database.query(
+        'SELECT * FROM calendar_feed_tokens WHERE user_id = $1',
+        [userId]
+    );
+
+    if (existing.rows.length > 0) {
+        return existing.rows[0];
+    }
+
+    return regenerateFeedToken(userId);
+}
+
+/**
+ * Replace the feed token of a user (old subscription URLs stop working)
+ */
+async function regenerateFeedToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const result = await database.query(
+        `INSERT INTO calendar_feed_tokens (user_id, token)
+         VALUES ($1, $2)
+         ON CONFLICT (user_id) DO UPDATE SET
+            token = EXCLUDED.token,
+            created_at = CURRENT_TIMESTAMP,
+            last_accessed_at = NULL,
+            access_count = 0
+         RETURNING *`,
+        [userId, token]
+    );
+
+    logger.info('Calendar feed token generated', { userId });
+
+    return result.rows[0];
+}
+
+/**
+ * Revoke the feed token of a user
+ */
+async function revokeFeedToken(userId) {
+    await database.query('DELETE FROM calendar_feed_tokens WHERE user_id = $1', [userId]);
+    logger.info('Calendar feed token revoked', { userId });
+}
+
+/**
+ * Resolve a feed token to its user (updates access statistics)
+ */
+async function findUserByFeedToken(token) {
+    if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+        return null;
+    }
+
+    const result = await database.query(
+        `UPDATE calendar_feed_tokens t
+         SET last_accessed_at = CURRENT_TIMESTAMP, access_count = t.access_count + 1
+         FROM users u
+         WHERE t.token = $1 AND u.id = t.user_id AND u.is_active = true
+         RETURNING u.id, u.username, u.name`,
+        [token]
+    );
+
+    return result.rows[0] || null;
+}
+
+function getFeedUrl(token) {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    return `${baseUrl.replace(/\/$/, '')}/api/events/feed/${token}.ics`;
+}
+
+// ==============================================
+// FEEDS
+// ==============================================
+
+function feedStartDate() {
+    return new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function uniqueById(events) {
+    const byId = new Map();
+    for (const event of events) {
+        if (!byId.has(event.id)) {
+            byId.set(event.id, event);
+        }
+    }
+    return [...byId.values()];
+}
+
+/**
+ * Loads organizer mail addresses for events (list queries only return names)
+ * @private
+ */
+async function loadOrganizerEmails(events) {
+    const organizerIds = [...new Set(events.map(event => event.organizer_id).filter(Boolean))];
+    if (organizerIds.length === 0) {
+        return events;
+    }
+
+    const result = await database.query(
+        'SELECT id, email FROM users WHERE id = ANY($1::int[])',
+        [organizerIds]
+    );
+    const emails = new Map(result.rows.map(row => [row.id, row.email]));
+
+    return events.map(event => ({ ...event, organizer_email: event.organizer_email || emails.get(event.organizer_id) }));
+}
+
+/**
+ * Groups rows by event_id
+ * @private
+ */
+function groupByEvent(rows) {
+    const grouped = new Map();
+    for (const row of rows) {
+        if (!grouped.has(row.event_id)) {
+            grouped.set(row.event_id, []);
+        }
+        grouped.get(row.event_id).push(row);
+    }
+    return grouped;
+}
+
+/**
+ * Personal feed: all events of a user incl. attendees and own reminders
+ */
+async function buildUserFeed(user) {
+    const events = uniqueById(await eventsService.getUserEvents(user.id, {
+        start_date: feedStartDate(),
+        expand_recurring: false,
+        limit: FEED_MAX_EVENTS
+    }));
+
+    const eventIds = events.map(event => event.id);
+
+    const participants = await database.query(
+        `SELECT ep.*, u.name as user_name, u.email as user_email
+         FROM event_participants ep
+         LEFT JOIN users u ON u.id = ep.user_id
+         WHERE ep.event_id = ANY($1::int[])`,
+        [eventIds]
+    );
+
+    const reminders = await database.query(
+        `SELECT event_id, minutes_before
+         FROM event_reminders
+         WHERE user_id = $1 AND event_id = ANY($2::int[])
+         ORDER BY minutes_before DESC`,
+        [user.id, eventIds]
+    );
+
+    logger.debug('User calendar feed built', { userId: user.id, events: events.length });
+
+    return buildCalendar(await loadOrganizerEmails(events), {
+        name: `OpenIntraHub - ${user.name || user.username}`,
+        participantsByEvent: groupByEvent(participants.rows),
+        remindersByEvent: groupByEvent(reminders.rows)
+    });
+}
+
+/**
+ * Public feed of a location (public events only, no attendee data)
+ */
+async function buildLocationFeed(locationId) {
+    const locationResult = await database.query(
+        'SELECT id, name FROM locations WHERE id = $1 AND is_active = true',
+        [locationId]
+    );
+
+    if (locationResult.rows.length === 0) {
+        return null;
+    }
+
+    const events = uniqueById(await eventsService.listEvents({
+        location_id: locationId,
+        visibility: 'public',
+        start_date: feedStartDate(),
+        expand_recurring: false,
+        limit: FEED_MAX_EVENTS
+    }));
+
+    return buildCalendar(await loadOrganizerEmails(events), {
+        name: `OpenIntraHub - ${locationResult.rows[0].name}`
+    });
+}
+
+/**
+ * Public feed of an event category (public events only, no attendee data)
+ */
+async function buildCategoryFeed(slug) {
+    const categoryResult = await database.query(
+        'SELECT slug, name, description FROM event_categories WHERE slug = $1 AND is_active = true',
+        [slug]
+    );
+
+    if (categoryResult.rows.length === 0) {
+        return null;
+    }
+
+    const category = categoryResult.rows[0];
+
+    const events = uniqueById(await eventsService.listEvents({
+        category: category.slug,
+        visibility: 'public',
+        start_date: feedStartDate(),
+        expand_recurring: false,
+        limit: FEED_MAX_EVENTS
+    }));
+
+    return buildCalendar(await loadOrganizerEmails(events), {
+        name: `OpenIntraHub - ${category.name}`,
+        description: category.description
+    });
+}
+
+/**
+ * Checks the Events module setting "ical_export_enabled" (default: enabled)
+ */
+async function isExportEnabled() {
+    const result = await database.query(
+        `SELECT ms.setting_value
+         FROM module_settings ms
+         JOIN module_registry mr ON mr.id = ms.module_id
+         WHERE mr.name = 'Events' AND ms.setting_key = 'ical_export_enabled'`
+    );
+
+    return result.rows.length === 0 || result.rows[0].setting_value !== false;
+}
+
+module.exports = {
+    // Serialization
+    buildCalendar,
+    buildVEvent,
+    buildVTimezone,
+    escapeText,
+    foldLine,
+
+    // Parsing
+    parseCalendar,
+    unescapeText,
+
+    // Feed tokens
+    getOrCreateFeedToken,
+    regenerateFeedToken,
+    revokeFeedToken,
+    findUserByFeedToken,
+    getFeedUrl,
+
+    // Feeds
+    buildUserFeed,
+    buildLocationFeed,
+    buildCategoryFeed,
+    isExportEnabled
+};
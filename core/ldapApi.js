@@ -8,6 +8,7 @@ const ldapService = require('./ldapService');
 const ldapSyncWorker = require('./ldapSyncWorker');
 const pool = require('./db');
 const { authenticateToken, requireAdmin } = require('./middleware');
+const auditService = require('./auditService');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('LDAPApi');
@@ -290,6 +291,15 @@ router.post('/ldap/group-mappings', authenticateToken, requireAdmin, async (req,
             appRole: app_role
         });
 
+        await auditService.log({
+            action: auditService.ACTIONS.LDAP_GROUP_MAPPING_CREATE,
+            req,
+            resourceType: 'ldap_group_mapping',
+            resourceId: result.rows[0].id,
+            description: `LDAP group ${ldap_group_name} mapped to role ${app_role}`,
+            changes: { after: result.rows[0] }
+        });
+
         res.json({
             success: true,
             data: result.rows[0]
@@ -312,6 +322,8 @@ router.put('/ldap/group-mappings/:id', authenticateToken, requireAdmin, async (r
         const { id } = req.params;
         const { ldap_group_name, app_role, priority, is_active } = req.body;
 
+        const previous = await pool.query('SELECT * FROM ldap_group_mappings WHERE id = $1', [id]);
+
         const result = await pool.query(`
             UPDATE ldap_group_mappings
             SET ldap_group_name = COALESCE($1, ldap_group_name),
@@ -332,6 +344,15 @@ router.put('/ldap/group-mappings/:id', authenticateToken, requireAdmin, async (r
 
         logger.info('LDAP group mapping updated', { id });
 
+        await auditService.log({
+            action: auditService.ACTIONS.LDAP_GROUP_MAPPING_UPDATE,
+            req,
+            resourceType: 'ldap_group_mapping',
+            resourceId: id,
+            description: `LDAP group mapping ${result.rows[0].ldap_group_name} updated`,
+            changes: { before: previous.rows[0], after: result.rows[0] }
+        });
+
         res.json({
             success: true,
             data: result.rows[0]
@@ -354,7 +375,7 @@ router.delete('/ldap/group-mappings/:id', authenticateToken, requireAdmin, async
         const { id } = req.params;
 
         const result = await pool.query(
-            'DELETE FROM ldap_group_mappings WHERE id = $1 RETURNING ldap_group_name',
+            'DELETE FROM ldap_group_mappings WHERE id = $1 RETURNING *',
             [id]
         );
 
@@ -367,6 +388,15 @@ router.delete('/ldap/group-mappings/:id', authenticateToken, requireAdmin, async
 
         logger.info('LDAP group mapping deleted', { id, name: result.rows[0].ldap_group_name });
 
+        await auditService.log({
+            action: auditService.ACTIONS.LDAP_GROUP_MAPPING_DELETE,
+            req,
+            resourceType: 'ldap_group_mapping',
+            resourceId: id,
+            description: `LDAP group mapping ${result.rows[0].ldap_group_name} deleted`,
+            changes: { before: result.rows[0] }
+        });
+
         res.json({
             success: true,
             message: 'Group mapping deleted'
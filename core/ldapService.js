@@ -4,6 +4,7 @@
 
 const ldap = require('ldapjs');
 const pool = require('./db');
+const groupService = require('./groupService');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('LDAP');
@@ -279,6 +280,16 @@ class LDAPService {
 
             await client.query('COMMIT');
 
+            // Group memberships must not block the login
+            try {
+                await groupService.syncLdapMemberships(result.rows[0].id, ldapUser.groups);
+            } catch (error) {
+                logger.warn('Failed to sync LDAP group memberships', {
+                    error: error.message,
+                    username: ldapUser.username
+                });
+            }
+
             return result.rows[0];
         } catch (error) {
             await client.query('ROLLBACK');
@@ -5,6 +5,7 @@
 const cron = require('node-cron');
 const pool = require('./db');
 const ldapService = require('./ldapService');
+const groupService = require('./groupService');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('LDAPSync');
@@ -200,7 +201,7 @@ class LDAPSyncWorker {
         const exists = checkResult.rows.length > 0;
 
         // Upsert user
-        await client.query(`
+        const upsertResult = await client.query(`
             INSERT INTO users (
                 username,
                 name,
@@ -228,6 +229,7 @@ class LDAPSyncWorker {
                 ldap_last_sync_at = CURRENT_TIMESTAMP,
                 is_active = true,
                 updated_at = CURRENT_TIMESTAMP
+            RETURNING id
         `, [
             username,
             ldapUser.name,
@@ -241,6 +243,9 @@ class LDAPSyncWorker {
             ldapService.config.url
         ]);
 
+        // Mirror memberOf into groups (chat, events etc. follow via GROUP_MEMBERS_CHANGED)
+        await groupService.syncLdapMemberships(upsertResult.rows[0].id, ldapUser.groups);
+
         return {
             created: !exists,
             updated: exists
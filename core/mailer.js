@@ -0,0 +1,61 @@
+/**
+ * Mailer
+ * Versand von System-Mails (Erinnerungen, Benachrichtigungen) über SMTP
+ */
+
+const nodemailer = require('nodemailer');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('Mailer');
+
+let transporter = null;
+
+/**
+ * SMTP is configured when SMTP_HOST is set
+ */
+function isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+}
+
+function getTransporter() {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        });
+    }
+
+    return transporter;
+}
+
+/**
+ * Sends a system mail
+ *
+ * @param {Object} mail - { to, subject, text, html }
+ */
+async function sendSystemMail(mail) {
+    if (!isConfigured()) {
+        throw new Error('SMTP is not configured');
+    }
+
+    const info = await getTransporter().sendMail({
+        from: process.env.SMTP_FROM || 'noreply@openintrahub.local',
+        to: mail.to,
+        subject: mail.subject,
+        text: mail.text,
+        html: mail.html
+    });
+
+    logger.debug('System mail sent', { to: mail.to, subject: mail.subject, messageId: info.messageId });
+
+    return info;
+}
+
+module.exports = {
+    isConfigured,
+    sendSystemMail
+};
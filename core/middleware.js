@@ -1,13 +1,30 @@
 const { verifyToken } = require('./auth');
+const sessionService = require('./sessionService');
+const { getUserPermissions, requirePermission, requireAllPermissions } = require('./permissions');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('Middleware');
 
+/**
+ * Prüft die serverseitige Session eines Tokens (widerrufen, abgelaufen, User deaktiviert).
+ * Tokens ohne Session gibt es im Betrieb ohne DB; mit DB (Tokens von vor der Einführung
+ * der Sessions, Mock-Login) nur während der Umstellung mit SESSION_ALLOW_LEGACY_TOKENS=true.
+ */
+const hasValidSession = async (decoded) => {
+    if (!decoded.sid) {
+        return !sessionService.isEnabled() || process.env.SESSION_ALLOW_LEGACY_TOKENS === 'true';
+    }
+
+    return sessionService.isSessionActive(decoded.sid);
+};
+
 /**
  * Middleware: JWT-Token validieren
  * Fügt User-Daten zu req.user hinzu
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
+    let decoded;
+
     try {
         // Token aus Authorization-Header extrahieren
         const authHeader = req.headers['authorization'];
@@ -18,39 +35,53 @@ const authenticateToken = (req, res, next) => {
         }
 
         // Token validieren
-        const decoded = verifyToken(token);
-
-        // User-Daten an Request anhängen
-        req.user = {
-            userId: decoded.userId,
-            username: decoded.username,
-            role: decoded.role
-        };
-
-        logger.debug('Authentifiziert', { username: req.user.username, role: req.user.role });
-        next();
+        decoded = verifyToken(token);
     } catch (error) {
         logger.warn('Token-Validierung fehlgeschlagen', { error: error.message });
-        return res.status(403).json({ error: 'Ungültiger oder abgelaufener Token' });
+        return res.status(403).json({ error: 'Ungültiger oder abgelaufener Token', code: 'TOKEN_INVALID' });
     }
+
+    try {
+        if (!(await hasValidSession(decoded))) {
+            logger.warn('Token einer beendeten Session', { username: decoded.username, sessionId: decoded.sid });
+            return res.status(403).json({ error: 'Sitzung wurde beendet', code: 'SESSION_REVOKED' });
+        }
+    } catch (error) {
+        logger.error('Session-Prüfung fehlgeschlagen', { error: error.message });
+        return res.status(500).json({ error: 'Interner Serverfehler' });
+    }
+
+    // User-Daten an Request anhängen
+    req.user = {
+        userId: decoded.userId,
+        username: decoded.username,
+        role: decoded.role,
+        sessionId: decoded.sid || null
+    };
+
+    logger.debug('Authentifiziert', { username: req.user.username, role: req.user.role });
+    next();
 };
 
 /**
  * Middleware: Optionale Authentifizierung
  * Fügt User-Daten hinzu falls Token vorhanden, erlaubt aber auch anonyme Requests
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
     try {
         const authHeader = req.headers['authorization'];
         const token = authHeader && authHeader.split(' ')[1];
 
         if (token) {
             const decoded = verifyToken(token);
-            req.user = {
-                userId: decoded.userId,
-                username: decoded.username,
-                role: decoded.role
-            };
+            req.user = await hasValidSession(decoded)
+                ? {
+                    userId: decoded.userId,
+                    username: decoded.username,
+                    role: decoded.role,
+                    sessionId: decoded.sid || null
+                }
+                : null;
         } else {
             req.user = null;
         }
@@ -65,15 +96,18 @@ const optionalAuth = (req, res, next) => {
 
 /**
  * Middleware-Factory: Rolle erforderlich
- * Prüft ob User eine bestimmte Rolle hat
+ * Prüft ob User eine bestimmte Rolle hat (primäre oder zusätzliche Rolle)
  */
 const requireRole = (...allowedRoles) => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({ error: 'Authentifizierung erforderlich' });
         }
 
-        if (!allowedRoles.includes(req.user.role)) {
+        // Rollen aus der Datenbank, nicht aus dem Token: entzogene Rollen gelten sofort
+        const { roles } = await getUserPermissions(req.user);
+
+        if (!roles.some(role => allowedRoles.includes(role))) {
             logger.warn('Zugriff verweigert - Rolle', {
                 username: req.user.username,
                 userRole: req.user.role,
@@ -153,11 +187,14 @@ const rateLimit = (maxRequests = 100, windowMs = 60000) => {
 };
 
 module.exports = {
+    hasValidSession,
     authenticateToken,
     optionalAuth,
     requireRole,
     requireAdmin,
     requireModerator,
+    requirePermission,
+    requireAllPermissions,
     requestLogger,
     rateLimit
 };
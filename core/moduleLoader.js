@@ -2,8 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const { createModuleLogger } = require('./logger');
 const database = require('./database');
+const notificationService = require('./notificationService');
 const middleware = require('./middleware');
 const permissions = require('./permissions');
+const roleService = require('./roleService');
 const { createModuleI18n } = require('./i18n');
 
 const logger = createModuleLogger('ModuleLoader');
@@ -49,7 +51,8 @@ class ModuleLoader {
                         // Core Services
                         services: {
                             database,
-                            logger: createModuleLogger(manifest.name)
+                            logger: createModuleLogger(manifest.name),
+                            notifications: notificationService
                         },
 
                         // Middleware-Funktionen
@@ -67,8 +70,13 @@ class ModuleLoader {
                             requirePermission: permissions.requirePermission,
                             requireAllPermissions: permissions.requireAllPermissions,
                             hasPermission: permissions.hasPermission,
+                            userHasPermission: permissions.userHasPermission,
                             ROLES: permissions.ROLES,
-                            PERMISSIONS: permissions.PERMISSIONS
+                            PERMISSIONS: permissions.PERMISSIONS,
+
+                            // [{ key, name, description, category, roles }] oder { key: name }
+                            registerPermissions: (definitions) =>
+                                roleService.registerPermissions(manifest.name, definitions)
                         },
 
                         // Internationalization (i18n)
@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const moduleRegistry = require('./enhancedModuleRegistry');
 const { authenticateToken, requirePermission } = require('./middleware');
+const auditService = require('./auditService');
 const i18n = require('./i18n');
 
 // ==============================================
@@ -107,6 +108,14 @@ router.post('/admin/modules/:id/enable', authenticateToken, requirePermission('a
         const { id } = req.params;
         const module = await moduleRegistry.enableModule(parseInt(id));
 
+        await auditService.log({
+            action: auditService.ACTIONS.MODULE_ENABLE,
+            req,
+            resourceType: 'module',
+            resourceId: id,
+            description: `Module ${module.name} enabled`
+        });
+
         res.json({
             success: true,
             data: module,
@@ -137,6 +146,14 @@ router.post('/admin/modules/:id/disable', authenticateToken, requirePermission('
         const { id } = req.params;
         const module = await moduleRegistry.disableModule(parseInt(id));
 
+        await auditService.log({
+            action: auditService.ACTIONS.MODULE_DISABLE,
+            req,
+            resourceType: 'module',
+            resourceId: id,
+            description: `Module ${module.name} disabled`
+        });
+
         res.json({
             success: true,
             data: module,
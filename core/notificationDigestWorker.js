@@ -0,0 +1,64 @@
+// =====================================================
+// Notification Digest Worker - Email Delivery
+// =====================================================
+// Purpose: Send daily/weekly digests of unread notifications
+// and emails that were held back during quiet hours
+// =====================================================
+
+const notificationService = require('./notificationService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('NotificationDigestWorker');
+
+// Digests are sent at a full local hour, so check several times per hour
+const CHECK_INTERVAL = parseInt(process.env.NOTIFICATION_DIGEST_CHECK_MINUTES || 15) * 60 * 1000;
+
+let checkTimer = null;
+let running = false;
+
+/**
+ * Send deferred emails and due digests
+ */
+async function processEmails() {
+    if (running) {
+        return;
+    }
+
+    running = true;
+
+    try {
+        await notificationService.sendDeferredEmails();
+        await notificationService.sendDueDigests();
+    } catch (error) {
+        logger.error('Error in processEmails', { error: error.message });
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the digest worker
+ */
+function startWorker() {
+    logger.info(`Starting notification digest worker (check interval: ${CHECK_INTERVAL / 1000 / 60} minutes)`);
+
+    checkTimer = setInterval(() => {
+        processEmails();
+    }, CHECK_INTERVAL);
+}
+
+/**
+ * Stop the worker
+ */
+function stopWorker() {
+    logger.info('Stopping notification digest worker...');
+
+    clearInterval(checkTimer);
+    checkTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    processEmails
+};
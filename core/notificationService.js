@@ -0,0 +1,729 @@
+/**
+ * Notification Service
+ * Zentrale Stelle für Benachrichtigungen: speichert `notifications` und
+ * pusht neue Benachrichtigungen, Ungelesen-Zähler und Lesestatus in Echtzeit
+ * über den Socket.io-Namespace /notifications (alle Tabs eines Users).
+ * Berücksichtigt die Benutzereinstellungen (Kanal pro Typ, Ruhezeiten, Digest).
+ */
+
+const database = require('./database');
+const mailer = require('./mailer');
+const recurrence = require('./recurrence');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('NotificationService');
+
+// Types users can configure (all other types are always delivered in-app)
+const CONFIGURABLE_TYPES = {
+    mention: 'Erwähnungen',
+    comment: 'Kommentare',
+    reaction: 'Reaktionen',
+    event_invitation: 'Termin-Einladungen',
+    task_assigned: 'Zugewiesene Aufgaben',
+    file_shared: 'Geteilte Dateien'
+};
+
+const CHANNELS = ['in_app', 'email', 'none'];
+const DIGEST_FREQUENCIES = ['none', 'daily', 'weekly'];
+
+const DEFAULT_SETTINGS = {
+    quiet_hours_enabled: false,
+    quiet_hours_start: '22:00',
+    quiet_hours_end: '07:00',
+    timezone: recurrence.DEFAULT_TIMEZONE,
+    digest_frequency: 'none',
+    digest_hour: 8,
+    digest_weekday: 1
+};
+
+// Minimum gap between two digests (the send hour is matched separately)
+const DIGEST_MIN_GAP = {
+    daily: 20 * 60 * 60 * 1000,
+    weekly: 6 * 24 * 60 * 60 * 1000
+};
+
+let namespace = null;
+
+/**
+ * Personal room of a user in the /notifications namespace
+ * @private
+ */
+function userRoom(userId) {
+    return `user:${userId}`;
+}
+
+// ==============================================
+// REAL-TIME DELIVERY
+// ==============================================
+
+/**
+ * Pushes the current unread count to all connections of a user
+ * @private
+ */
+async function pushUnreadCount(userId) {
+    if (!namespace) {
+        return;
+    }
+
+    try {
+        const count = await getUnreadCount(userId);
+        namespace.to(userRoom(userId)).emit('notification:unread-count', { count });
+    } catch (error) {
+        logger.warn('Failed to push unread count', { userId, error: error.message });
+    }
+}
+
+/**
+ * Pushes already stored notifications to their recipients
+ *
+ * Call this after COMMIT when notifications were created with an external
+ * transaction client; createNotification() without a client publishes itself.
+ * During quiet hours nothing is pushed or emailed; the notification stays unread
+ * (emails are sent after the quiet hours by the digest worker).
+ *
+ * @param {Object|Array<Object>} notifications - notification rows
+ */
+async function publish(notifications) {
+    const list = (Array.isArray(notifications) ? notifications : [notifications]).filter(Boolean);
+    const userIds = new Set();
+
+    for (const notification of list) {
+        try {
+            const delivery = await getDeliverySettings(notification.user_id, notification.notification_type);
+
+            if (isInQuietHours(delivery)) {
+                continue;
+            }
+
+            if (namespace) {
+                namespace.to(userRoom(notification.user_id)).emit('notification:new', notification);
+                userIds.add(notification.user_id);
+            }
+
+            if (delivery.channel === 'email') {
+                await emailNotifications(delivery, [notification]);
+            }
+        } catch (error) {
+            logger.warn('Failed to deliver notification', { notificationId: notification.id, error: error.message });
+        }
+    }
+
+    for (const userId of userIds) {
+        await pushUnreadCount(userId);
+    }
+}
+
+/**
+ * Setup the /notifications namespace
+ * Called from app.js after creating the HTTP server
+ */
+function setupSocketIO(io, authenticateSocketToken) {
+    namespace = io.of('/notifications');
+
+    namespace.use(async (socket, next) => {
+        try {
+            socket.user = await authenticateSocketToken(socket);
+            next();
+        } catch (error) {
+            next(new Error('Authentication error'));
+        }
+    });
+
+    namespace.on('connection', async (socket) => {
+        const userId = socket.user.id;
+
+        socket.join(userRoom(userId));
+
+        // Initial state for this tab
+        try {
+            socket.emit('notification:unread-count', { count: await getUnreadCount(userId) });
+        } catch (error) {
+            logger.warn('Failed to send initial unread count', { userId, error: error.message });
+        }
+
+        socket.on('notification:read', async (data) => {
+            try {
+                await markAsRead(parseInt(data.notification_id), userId);
+            } catch (error) {
+                socket.emit('notification:error', { error: error.message });
+            }
+        });
+
+        socket.on('notification:read-all', async () => {
+            try {
+                await markAllAsRead(userId);
+            } catch (error) {
+                socket.emit('notification:error', { error: error.message });
+            }
+        });
+    });
+
+    logger.info('Notification namespace initialized');
+}
+
+// ==============================================
+// CREATE
+// ==============================================
+
+/**
+ * Create a notification
+ *
+ * @param {Object} data - { user_id, notification_type, source_type?, source_id?, actor_id?, title?, message?, link? }
+ * @param {Object} options - { client } to insert inside an existing transaction (then call publish() after COMMIT)
+ * @returns {Promise<Object|null>} The notification (null if the actor would notify themselves)
+ */
+async function createNotification(data, options = {}) {
+    const {
+        user_id,
+        notification_type,
+        source_type = null,
+        source_id = null,
+        actor_id = null,
+        title = null,
+        message = null,
+        link = null
+    } = data;
+
+    if (!user_id || !notification_type) {
+        throw new Error('user_id and notification_type are required');
+    }
+
+    // Keine Benachrichtigung über eigene Aktionen
+    if (actor_id && actor_id === user_id) {
+        return null;
+    }
+
+    // Vom Benutzer abbestellt
+    if (CONFIGURABLE_TYPES[notification_type]) {
+        const delivery = await getDeliverySettings(user_id, notification_type);
+        if (delivery.channel === 'none') {
+            return null;
+        }
+    }
+
+    const client = options.client || database;
+
+    const result = await client.query(
+        `INSERT INTO notifications (user_id, notification_type, source_type, source_id, actor_id, title, message, link)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [user_id, notification_type, source_type, source_id, actor_id, title, message, link]
+    );
+
+    const notification = result.rows[0];
+
+    logger.debug('Notification created', { notificationId: notification.id, userId: user_id, type: notification_type });
+
+    if (!options.client) {
+        await publish(notification);
+    }
+
+    return notification;
+}
+
+/**
+ * Create the same notification for several users (e.g. all participants)
+ *
+ * @param {Array<number>} userIds
+ * @param {Object} data - see createNotification (without user_id)
+ * @param {Object} options - { client }
+ * @returns {Promise<Array<Object>>}
+ */
+async function createNotifications(userIds, data, options = {}) {
+    const notifications = [];
+
+    for (const userId of new Set(userIds)) {
+        const notification = await createNotification({ ...data, user_id: userId }, { client: options.client || database });
+        if (notification) {
+            notifications.push(notification);
+        }
+    }
+
+    if (!options.client) {
+        await publish(notifications);
+    }
+
+    return notifications;
+}
+
+// ==============================================
+// READ STATE
+// ==============================================
+
+/**
+ * Get notifications for user
+ */
+async function getUserNotifications(userId, filters = {}) {
+    const {
+        unread_only = false,
+        limit = 20,
+        offset = 0
+    } = filters;
+
+    const result = await database.query(
+        `SELECT n.*,
+                actor.name as actor_name,
+                actor.avatar_url as actor_avatar
+         FROM notifications n
+         LEFT JOIN users actor ON actor.id = n.actor_id
+         WHERE n.user_id = $1
+           ${unread_only ? 'AND n.is_read = false' : ''}
+         ORDER BY n.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [userId, limit, offset]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Get unread notification count
+ */
+async function getUnreadCount(userId) {
+    const result = await database.query(
+        'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND is_read = false',
+        [userId]
+    );
+
+    return parseInt(result.rows[0].count);
+}
+
+/**
+ * Mark notification as read (synced to all open tabs of the user)
+ */
+async function markAsRead(notificationId, userId) {
+    const result = await database.query(
+        `UPDATE notifications
+         SET is_read = true, read_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND user_id = $2 AND is_read = false
+         RETURNING id`,
+        [notificationId, userId]
+    );
+
+    logger.debug('Notification marked as read', { notificationId, userId });
+
+    if (result.rows.length > 0 && namespace) {
+        namespace.to(userRoom(userId)).emit('notification:read', { notification_ids: [notificationId] });
+        await pushUnreadCount(userId);
+    }
+}
+
+/**
+ * Mark all notifications as read (synced to all open tabs of the user)
+ */
+async function markAllAsRead(userId) {
+    const result = await database.query(
+        `UPDATE notifications
+         SET is_read = true, read_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND is_read = false`,
+        [userId]
+    );
+
+    logger.info('All notifications marked as read', { userId });
+
+    if (result.rowCount > 0 && namespace) {
+        namespace.to(userRoom(userId)).emit('notification:read', { all: true });
+        await pushUnreadCount(userId);
+    }
+}
+
+// ==============================================
+// PREFERENCES
+// ==============================================
+
+/**
+ * Channel, quiet hours and email address of a user for one notification type
+ * @private
+ */
+async function getDeliverySettings(userId, notificationType) {
+    const result = await database.query(
+        `SELECT u.id as user_id, u.email, u.name,
+                np.channel,
+                ns.quiet_hours_enabled, ns.quiet_hours_start, ns.quiet_hours_end, ns.timezone
+         FROM users u
+         LEFT JOIN notification_preferences np ON np.user_id = u.id AND np.notification_type = $2
+         LEFT JOIN notification_settings ns ON ns.user_id = u.id
+         WHERE u.id = $1`,
+        [userId, notificationType]
+    );
+
+    const row = result.rows[0] || { user_id: userId };
+
+    return {
+        ...row,
+        channel: row.channel || 'in_app'
+    };
+}
+
+/**
+ * Minutes since local midnight of a "HH:MM[:SS]" value
+ * @private
+ */
+function minutesOfDay(time) {
+    const [hour, minute] = String(time).split(':').map(Number);
+    return hour * 60 + (minute || 0);
+}
+
+/**
+ * Whether the user is currently in their quiet hours (ranges may span midnight)
+ * @private
+ */
+function isInQuietHours(settings, now = new Date()) {
+    if (!settings.quiet_hours_enabled) {
+        return false;
+    }
+
+    const parts = recurrence.getZonedParts(now, settings.timezone || DEFAULT_SETTINGS.timezone);
+    const current = parts.hour * 60 + parts.minute;
+    const start = minutesOfDay(settings.quiet_hours_start || DEFAULT_SETTINGS.quiet_hours_start);
+    const end = minutesOfDay(settings.quiet_hours_end || DEFAULT_SETTINGS.quiet_hours_end);
+
+    if (start === end) {
+        return false;
+    }
+
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+}
+
+/**
+ * Notification settings of a user (channels per type, quiet hours, digest)
+ */
+async function getSettings(userId) {
+    const [settingsResult, preferencesResult] = await Promise.all([
+        database.query(
+            `SELECT quiet_hours_enabled, to_char(quiet_hours_start, 'HH24:MI') as quiet_hours_start,
+                    to_char(quiet_hours_end, 'HH24:MI') as quiet_hours_end, timezone,
+                    digest_frequency, digest_hour, digest_weekday, last_digest_sent_at
+             FROM notification_settings WHERE user_id = $1`,
+            [userId]
+        ),
+        database.query(
+            'SELECT notification_type, channel FROM notification_preferences WHERE user_id = $1',
+            [userId]
+        )
+    ]);
+
+    const channels = {};
+    preferencesResult.rows.forEach(row => {
+        channels[row.notification_type] = row.channel;
+    });
+
+    return {
+        ...DEFAULT_SETTINGS,
+        ...(settingsResult.rows[0] || {}),
+        preferences: Object.entries(CONFIGURABLE_TYPES).map(([type, label]) => ({
+            notification_type: type,
+            label,
+            channel: channels[type] || 'in_app'
+        })),
+        email_available: mailer.isConfigured()
+    };
+}
+
+/**
+ * Update notification settings
+ *
+ * @param {number} userId
+ * @param {Object} updates - { preferences: { [type]: channel }, quiet_hours_enabled, quiet_hours_start,
+ *                             quiet_hours_end, timezone, digest_frequency, digest_hour, digest_weekday }
+ */
+async function updateSettings(userId, updates) {
+    const { preferences = {} } = updates;
+
+    for (const [type, channel] of Object.entries(preferences)) {
+        if (!CONFIGURABLE_TYPES[type]) {
+            throw new Error(`Unknown notification type: ${type}`);
+        }
+        if (!CHANNELS.includes(channel)) {
+            throw new Error(`channel must be one of: ${CHANNELS.join(', ')}`);
+        }
+    }
+
+    const settings = { ...DEFAULT_SETTINGS };
+    const current = await getSettings(userId);
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+        settings[key] = updates[key] !== undefined ? updates[key] : current[key];
+    }
+
+    if (!DIGEST_FREQUENCIES.includes(settings.digest_frequency)) {
+        throw new Error(`digest_frequency must be one of: ${DIGEST_FREQUENCIES.join(', ')}`);
+    }
+    for (const key of ['quiet_hours_start', 'quiet_hours_end']) {
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(settings[key])) {
+            throw new Error(`${key} must be formatted as HH:MM`);
+        }
+    }
+    if (!(settings.digest_hour >= 0 && settings.digest_hour <= 23) || !(settings.digest_weekday >= 0 && settings.digest_weekday <= 6)) {
+        throw new Error('digest_hour must be 0-23 and digest_weekday 0-6');
+    }
+    settings.timezone = recurrence.resolveTimezone(settings.timezone);
+
+    const client = await database.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        await client.query(
+            `INSERT INTO notification_settings (
+                user_id, quiet_hours_enabled, quiet_hours_start, quiet_hours_end, timezone,
+                digest_frequency, digest_hour, digest_weekday
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (user_id) DO UPDATE SET
+                quiet_hours_enabled = EXCLUDED.quiet_hours_enabled,
+                quiet_hours_start = EXCLUDED.quiet_hours_start,
+                quiet_hours_end = EXCLUDED.quiet_hours_end,
+                timezone = EXCLUDED.timezone,
+                digest_frequency = EXCLUDED.digest_frequency,
+                digest_hour = EXCLUDED.digest_hour,
+                digest_weekday = EXCLUDED.digest_weekday`,
+            [
+                userId,
+                Boolean(settings.quiet_hours_enabled),
+                settings.quiet_hours_start,
+                settings.quiet_hours_end,
+                settings.timezone,
+                settings.digest_frequency,
+                parseInt(settings.digest_hour),
+                parseInt(settings.digest_weekday)
+            ]
+        );
+
+        for (const [type, channel] of Object.entries(preferences)) {
+            await client.query(
+                `INSERT INTO notification_preferences (user_id, notification_type, channel)
+                 VALUES ($1, $2, $3)
+                 ON CONFLICT (user_id, notification_type)
+                 DO UPDATE SET channel = EXCLUDED.channel, updated_at = CURRENT_TIMESTAMP`,
+                [userId, type, channel]
+            );
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    logger.info('Notification settings updated', { userId });
+
+    return getSettings(userId);
+}
+
+// ==============================================
+// EMAIL & DIGEST
+// ==============================================
+
+/**
+ * Absolute link into the frontend
+ * @private
+ */
+function frontendUrl(link) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}${link || '/'}`;
+}
+
+/**
+ * Emails notifications to a user (one mail, several notifications become a list)
+ *
+ * The notifications are claimed via emailed_at first, so the worker and the
+ * real-time path never send the same notification twice.
+ *
+ * @private
+ * @returns {Promise<number>} Number of emailed notifications
+ */
+async function emailNotifications(recipient, notifications, subject = null) {
+    if (!mailer.isConfigured() || !recipient.email || notifications.length === 0) {
+        return 0;
+    }
+
+    const claimed = await database.query(
+        `UPDATE notifications SET emailed_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($1::int[]) AND emailed_at IS NULL
+         RETURNING *`,
+        [notifications.map(notification => notification.id)]
+    );
+
+    const rows = claimed.rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    if (rows.length === 0) {
+        return 0;
+    }
+
+    const text = rows.length === 1
+        ? `${rows[0].message || rows[0].title}\n\n${frontendUrl(rows[0].link)}`
+        : rows.map(row => `- ${row.title ? `${row.title}: ` : ''}${row.message || ''}\n  ${frontendUrl(row.link)}`).join('\n\n');
+
+    try {
+        await mailer.sendSystemMail({
+            to: recipient.email,
+            subject: subject || rows[0].title || 'Neue Benachrichtigung',
+            text
+        });
+    } catch (error) {
+        // Release the claim so the next worker run retries
+        await database.query(
+            'UPDATE notifications SET emailed_at = NULL WHERE id = ANY($1::int[])',
+            [rows.map(row => row.id)]
+        );
+        throw error;
+    }
+
+    return rows.length;
+}
+
+/**
+ * Sends email notifications that were held back during quiet hours
+ *
+ * @returns {Promise<number>} Number of emailed notifications
+ */
+async function sendDeferredEmails() {
+    if (!mailer.isConfigured()) {
+        return 0;
+    }
+
+    const result = await database.query(
+        `SELECT n.*
+         FROM notifications n
+         JOIN notification_preferences np
+              ON np.user_id = n.user_id AND np.notification_type = n.notification_type AND np.channel = 'email'
+         WHERE n.emailed_at IS NULL
+           AND n.is_read = false
+           AND n.created_at > CURRENT_TIMESTAMP - INTERVAL '1 day'
+         ORDER BY n.user_id, n.created_at`
+    );
+
+    const byUser = new Map();
+    result.rows.forEach(row => {
+        if (!byUser.has(row.user_id)) {
+            byUser.set(row.user_id, []);
+        }
+        byUser.get(row.user_id).push(row);
+    });
+
+    let sent = 0;
+
+    for (const [userId, notifications] of byUser) {
+        try {
+            const delivery = await getDeliverySettings(userId, null);
+            if (isInQuietHours(delivery)) {
+                continue;
+            }
+
+            sent += await emailNotifications(
+                delivery,
+                notifications,
+                notifications.length > 1 ? `${notifications.length} neue Benachrichtigungen` : null
+            );
+        } catch (error) {
+            logger.warn('Failed to send deferred notification emails', { userId, error: error.message });
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * Whether a user's digest is due (local send hour and weekday, minimum gap)
+ * @private
+ */
+function isDigestDue(settings, now) {
+    const parts = recurrence.getZonedParts(now, settings.timezone || DEFAULT_SETTINGS.timezone);
+    const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+
+    if (parts.hour !== settings.digest_hour) {
+        return false;
+    }
+    if (settings.digest_frequency === 'weekly' && weekday !== settings.digest_weekday) {
+        return false;
+    }
+
+    return !settings.last_digest_sent_at
+        || now - new Date(settings.last_digest_sent_at) >= DIGEST_MIN_GAP[settings.digest_frequency];
+}
+
+/**
+ * Sends daily/weekly digests of unread notifications that were not emailed yet
+ *
+ * @returns {Promise<number>} Number of sent digest emails
+ */
+async function sendDueDigests(now = new Date()) {
+    if (!mailer.isConfigured()) {
+        return 0;
+    }
+
+    const result = await database.query(
+        `SELECT ns.*, u.email, u.name
+         FROM notification_settings ns
+         JOIN users u ON u.id = ns.user_id
+         WHERE ns.digest_frequency != 'none' AND u.is_active = true`
+    );
+
+    let sent = 0;
+
+    for (const settings of result.rows.filter(row => isDigestDue(row, now))) {
+        try {
+            const period = settings.digest_frequency === 'weekly' ? '7 days' : '1 day';
+
+            const unread = await database.query(
+                `SELECT * FROM notifications
+                 WHERE user_id = $1
+                   AND is_read = false
+                   AND emailed_at IS NULL
+                   AND created_at > COALESCE($2::timestamp, CURRENT_TIMESTAMP - $3::interval)
+                 ORDER BY created_at ASC
+                 LIMIT 100`,
+                [settings.user_id, settings.last_digest_sent_at, period]
+            );
+
+            if (unread.rows.length > 0) {
+                const label = settings.digest_frequency === 'weekly' ? 'Wöchentliche' : 'Tägliche';
+                await emailNotifications(
+                    settings,
+                    unread.rows,
+                    `${label} Zusammenfassung: ${unread.rows.length} ungelesene Benachrichtigungen`
+                );
+                sent++;
+            }
+
+            await database.query(
+                'UPDATE notification_settings SET last_digest_sent_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+                [settings.user_id]
+            );
+        } catch (error) {
+            logger.warn('Failed to send notification digest', { userId: settings.user_id, error: error.message });
+        }
+    }
+
+    if (sent > 0) {
+        logger.info(`Sent ${sent} notification digests`);
+    }
+
+    return sent;
+}
+
+module.exports = {
+    // Real-time
+    setupSocketIO,
+    publish,
+
+    // Create
+    createNotification,
+    createNotifications,
+
+    // Read state
+    getUserNotifications,
+    getUnreadCount,
+    markAsRead,
+    markAllAsRead,
+
+    // Preferences
+    CONFIGURABLE_TYPES,
+    getSettings,
+    updateSettings,
+
+    // Email & digest
+    sendDeferredEmails,
+    sendDueDigests
+};
@@ -0,0 +1,414 @@
+/**
+ * OIDC API
+ * Single Sign-On Login über OpenID Connect und Provider-Verwaltung
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const router = express.Router();
+const oidcService = require('./oidcService');
+const auditService = require('./auditService');
+const auth = require('./auth');
+const { authenticateToken } = require('./middleware');
+const { requirePermission } = require('./permissions');
+const { createModuleLogger } = require('./logger');
+const i18n = require('./i18n');
+
+const logger = createModuleLogger('OIDCApi');
+
+// state, nonce and PKCE verifier between login redirect and callback
+const AUTH_COOKIE = 'oidc_auth';
+const AUTH_COOKIE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Login errors passed to the frontend (#error=...)
+const LOGIN_ERRORS = {
+    'User is not provisioned': 'not_provisioned',
+    'User is deactivated': 'deactivated',
+    'Username oder Email bereits vergeben': 'account_exists',
+    'Username or email claim missing': 'missing_claims'
+};
+
+function getRedirectUri(req, provider) {
+    const base = process.env.OIDC_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/+$/, '')}/api/auth/oidc/${provider.slug}/callback`;
+}
+
+/**
+ * Back to the frontend login page; the result travels in the URL fragment,
+ * which is not sent to servers or written to access logs
+ */
+function redirectToFrontend(res, params) {
+    const base = process.env.FRONTEND_URL && process.env.FRONTEND_URL !== '*' ? process.env.FRONTEND_URL : '';
+    res.redirect(`${base.replace(/\/+$/, '')}/login#${new URLSearchParams(params).toString()}`);
+}
+
+function sendOidcError(res, req, error, context) {
+    const statusMap = {
+        'Provider not found': 404,
+        'Role mapping not found': 404,
+        'Provider slug already exists': 409,
+        'Role mapping already exists': 409
+    };
+
+    const status = statusMap[error.message] ||
+        (/required|Invalid slug|must be an http/.test(error.message) ? 400 : null);
+
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        message: i18n.t('errors.serverError', { lng: req.language })
+    });
+}
+
+// ==============================================
+// LOGIN
+// ==============================================
+
+/**
+ * GET /api/auth/oidc/providers
+ * Active providers for the login page (public)
+ */
+router.get('/auth/oidc/providers', async (req, res) => {
+    try {
+        const providers = await oidcService.listProviders({ activeOnly: true });
+
+        res.json({
+            success: true,
+            data: providers.map(provider => ({ slug: provider.slug, name: provider.name }))
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'listing OIDC providers');
+    }
+});
+
+/**
+ * GET /api/auth/oidc/:slug/login
+ * Redirect to the provider (authorization code flow with PKCE)
+ */
+router.get('/auth/oidc/:slug/login', async (req, res) => {
+    try {
+        const provider = await oidcService.getActiveProviderBySlug(req.params.slug);
+        const redirectUri = getRedirectUri(req, provider);
+        const request = await oidcService.createAuthorizationRequest(provider, redirectUri);
+
+        const cookie = jwt.sign(
+            {
+                provider: provider.slug,
+                state: request.state,
+                nonce: request.nonce,
+                codeVerifier: request.codeVerifier
+            },
+            process.env.JWT_SECRET,
+            { expiresIn: AUTH_COOKIE_MAX_AGE_MS / 1000 }
+        );
+
+        res.cookie(AUTH_COOKIE, cookie, {
+            httpOnly: true,
+            secure: process.env.NODE_ENV === 'production',
+            // The callback is a top-level navigation from the provider
+            sameSite: 'lax',
+            maxAge: AUTH_COOKIE_MAX_AGE_MS,
+            path: '/api/auth/oidc'
+        });
+
+        res.redirect(request.url);
+    } catch (error) {
+        logger.error('OIDC login redirect failed', { provider: req.params.slug, error: error.message });
+        redirectToFrontend(res, { error: error.message === 'Provider not found' ? 'unknown_provider' : 'oidc_failed' });
+    }
+});
+
+/**
+ * GET /api/auth/oidc/:slug/callback
+ * Authorization response: validate, provision and sign in
+ */
+router.get('/auth/oidc/:slug/callback', async (req, res) => {
+    res.clearCookie(AUTH_COOKIE, { path: '/api/auth/oidc' });
+
+    try {
+        if (req.query.error) {
+            logger.warn('OIDC provider returned an error', { provider: req.params.slug, error: req.query.error });
+            return redirectToFrontend(res, { error: req.query.error === 'access_denied' ? 'access_denied' : 'oidc_failed' });
+        }
+
+        let pending;
+        try {
+            pending = jwt.verify(String(req.cookies[AUTH_COOKIE] || ''), process.env.JWT_SECRET);
+        } catch (error) {
+            return redirectToFrontend(res, { error: 'login_expired' });
+        }
+
+        if (pending.provider !== req.params.slug || !req.query.state || pending.state !== req.query.state || !req.query.code) {
+            logger.warn('OIDC callback with invalid state', { provider: req.params.slug });
+            return redirectToFrontend(res, { error: 'login_expired' });
+        }
+
+        const provider = await oidcService.getActiveProviderBySlug(req.params.slug);
+        const oidcUser = await oidcService.completeAuthorization(provider, {
+            code: String(req.query.code),
+            codeVerifier: pending.codeVerifier,
+            nonce: pending.nonce,
+            redirectUri: getRedirectUri(req, provider)
+        });
+
+        const user = { ...oidcUser, authMethod: 'oidc' };
+
+        const twoFactorStep = await auth.getTwoFactorStep(user);
+        if (twoFactorStep) {
+            return redirectToFrontend(res, twoFactorStep);
+        }
+
+        const result = await auth.buildLoginResult(user, req);
+
+        redirectToFrontend(res, {
+            token: result.token,
+            ...(result.refreshToken ? { refreshToken: result.refreshToken } : {})
+        });
+    } catch (error) {
+        logger.error('OIDC callback failed', { provider: req.params.slug, error: error.message });
+
+        auditService.log({
+            action: auditService.ACTIONS.LOGIN_FAILED,
+            req,
+            resourceType: 'oidc_provider',
+            resourceId: req.params.slug,
+            status: 'failure',
+            errorMessage: error.message,
+            requestPath: `/api/auth/oidc/${req.params.slug}/callback`
+        });
+
+        redirectToFrontend(res, { error: LOGIN_ERRORS[error.message] || 'oidc_failed' });
+    }
+});
+
+// ==============================================
+// ADMIN: PROVIDERS
+// ==============================================
+
+/**
+ * GET /api/admin/oidc/providers
+ * All providers (client secrets are never returned)
+ */
+router.get('/admin/oidc/providers', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const providers = await oidcService.listProviders();
+
+        res.json({
+            success: true,
+            data: providers
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'listing OIDC providers');
+    }
+});
+
+/**
+ * POST /api/admin/oidc/providers
+ * Body: slug, name, issuer_url, client_id, client_secret?, scopes?, username_claim?,
+ *       role_claim?, default_role?, auto_provision?, link_existing_users?, is_active?
+ */
+router.post('/admin/oidc/providers', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const provider = await oidcService.createProvider(req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.OIDC_PROVIDER_CREATE,
+            req,
+            resourceType: 'oidc_provider',
+            resourceId: provider.id,
+            description: `OIDC provider ${provider.name} (${provider.issuer_url}) created`,
+            changes: { after: provider }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: provider
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'creating OIDC provider');
+    }
+});
+
+/**
+ * PUT /api/admin/oidc/providers/:id
+ * client_secret: new secret, empty string removes it, omitted keeps it
+ */
+router.put('/admin/oidc/providers/:id', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const providerId = parseInt(req.params.id);
+        const previous = await oidcService.getProvider(providerId);
+        const provider = await oidcService.updateProvider(providerId, req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.OIDC_PROVIDER_UPDATE,
+            req,
+            resourceType: 'oidc_provider',
+            resourceId: providerId,
+            description: `OIDC provider ${provider.name} updated${req.body.client_secret !== undefined ? ' (client secret changed)' : ''}`,
+            changes: { before: previous, after: provider }
+        });
+
+        res.json({
+            success: true,
+            data: provider
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'updating OIDC provider');
+    }
+});
+
+/**
+ * DELETE /api/admin/oidc/providers/:id
+ * Deletes the provider with its role mappings and linked identities (users remain)
+ */
+router.delete('/admin/oidc/providers/:id', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const provider = await oidcService.deleteProvider(parseInt(req.params.id));
+
+        await auditService.log({
+            action: auditService.ACTIONS.OIDC_PROVIDER_DELETE,
+            req,
+            resourceType: 'oidc_provider',
+            resourceId: provider.id,
+            description: `OIDC provider ${provider.name} deleted`,
+            changes: { before: provider }
+        });
+
+        res.json({
+            success: true,
+            message: 'Provider deleted'
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'deleting OIDC provider');
+    }
+});
+
+/**
+ * POST /api/admin/oidc/providers/:id/test
+ * Run discovery and load the signing keys
+ */
+router.post('/admin/oidc/providers/:id/test', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const result = await oidcService.testProvider(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        if (error.message === 'Provider not found') {
+            return sendOidcError(res, req, error, 'testing OIDC provider');
+        }
+
+        res.status(502).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ==============================================
+// ADMIN: ROLE MAPPINGS
+// ==============================================
+
+/**
+ * GET /api/admin/oidc/providers/:id/role-mappings
+ */
+router.get('/admin/oidc/providers/:id/role-mappings', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const mappings = await oidcService.listRoleMappings(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: mappings
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'listing OIDC role mappings');
+    }
+});
+
+/**
+ * POST /api/admin/oidc/providers/:id/role-mappings
+ * Body: claim_value, app_role, priority?
+ */
+router.post('/admin/oidc/providers/:id/role-mappings', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const mapping = await oidcService.createRoleMapping(parseInt(req.params.id), req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.OIDC_ROLE_MAPPING_CREATE,
+            req,
+            resourceType: 'oidc_role_mapping',
+            resourceId: mapping.id,
+            description: `OIDC claim value ${mapping.claim_value} mapped to role ${mapping.app_role}`,
+            changes: { after: mapping }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: mapping
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'creating OIDC role mapping');
+    }
+});
+
+/**
+ * PUT /api/admin/oidc/role-mappings/:id
+ * Body: claim_value?, app_role?, priority?, is_active?
+ */
+router.put('/admin/oidc/role-mappings/:id', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const { before, after } = await oidcService.updateRoleMapping(parseInt(req.params.id), req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.OIDC_ROLE_MAPPING_UPDATE,
+            req,
+            resourceType: 'oidc_role_mapping',
+            resourceId: after.id,
+            description: `OIDC role mapping ${after.claim_value} updated`,
+            changes: { before, after }
+        });
+
+        res.json({
+            success: true,
+            data: after
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'updating OIDC role mapping');
+    }
+});
+
+/**
+ * DELETE /api/admin/oidc/role-mappings/:id
+ */
+router.delete('/admin/oidc/role-mappings/:id', authenticateToken, requirePermission('admin.settings'), async (req, res) => {
+    try {
+        const mapping = await oidcService.deleteRoleMapping(parseInt(req.params.id));
+
+        await auditService.log({
+            action: auditService.ACTIONS.OIDC_ROLE_MAPPING_DELETE,
+            req,
+            resourceType: 'oidc_role_mapping',
+            resourceId: mapping.id,
+            description: `OIDC role mapping ${mapping.claim_value} deleted`,
+            changes: { before: mapping }
+        });
+
+        res.json({
+            success: true,
+            message: 'Role mapping deleted'
+        });
+    } catch (error) {
+        sendOidcError(res, req, error, 'deleting OIDC role mapping');
+    }
+});
+
+module.exports = router;
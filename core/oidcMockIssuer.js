@@ -0,0 +1,207 @@
+// =====================================================
+// OIDC Mock Issuer - Local OpenID Provider for Testing
+// =====================================================
+// Purpose: Minimal OpenID Provider (discovery, authorize, token, userinfo,
+// JWKS) so the OIDC login can be exercised without Keycloak. Mounted at
+// /api/oidc-mock when OIDC_MOCK_ENABLED=true; configure a provider with
+// issuer_url = OIDC_MOCK_ISSUER_URL (default http://localhost:<PORT>/api/oidc-mock).
+// Any client_id/secret is accepted; PKCE and redirect_uri are enforced.
+// =====================================================
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const router = express.Router();
+
+const ISSUER = (process.env.OIDC_MOCK_ISSUER_URL || `http://localhost:${process.env.PORT || 3000}/api/oidc-mock`)
+    .replace(/\/+$/, '');
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 300;
+
+// Signing key, generated per process
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// code -> { clientId, redirectUri, codeChallenge, nonce, claims, expiresAt }
+const codes = new Map();
+// access token -> claims
+const accessTokens = new Map();
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function buildClaims(username, groups) {
+    const name = String(username).trim();
+
+    return {
+        sub: `mock-${name.toLowerCase()}`,
+        preferred_username: name,
+        name: name.charAt(0).toUpperCase() + name.slice(1),
+        email: `${name.toLowerCase()}@oidc-mock.local`,
+        email_verified: true,
+        groups: String(groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    };
+}
+
+function issueCode(params, claims) {
+    const code = crypto.randomBytes(24).toString('base64url');
+
+    codes.set(code, {
+        clientId: params.client_id,
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        claims,
+        expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const url = new URL(params.redirect_uri);
+    url.searchParams.set('code', code);
+    if (params.state) {
+        url.searchParams.set('state', params.state);
+    }
+
+    return url.toString();
+}
+
+function validateAuthorizeParams(params) {
+    if (params.response_type !== 'code') return 'unsupported_response_type';
+    if (!params.client_id || !params.redirect_uri) return 'invalid_request';
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'invalid_request';
+    return null;
+}
+
+function tokenError(res, error, description) {
+    res.status(400).json({ error, error_description: description });
+}
+
+router.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        scopes_supported: ['openid', 'profile', 'email'],
+        claims_supported: ['sub', 'preferred_username', 'name', 'email', 'email_verified', 'groups']
+    });
+});
+
+router.get('/jwks', (req, res) => {
+    res.json({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+    });
+});
+
+/**
+ * Login form; ?login_hint=<username> signs in immediately (scripted tests)
+ */
+router.get('/authorize', (req, res) => {
+    const error = validateAuthorizeParams(req.query);
+    if (error) {
+        return res.status(400).send(`Mock OIDC: ${error}`);
+    }
+
+    if (req.query.login_hint) {
+        return res.redirect(issueCode(req.query, buildClaims(req.query.login_hint, req.query.mock_groups)));
+    }
+
+    const hidden = ['response_type', 'client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+        .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('\n');
+
+    res.send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Mock OIDC Login</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+<h2>Mock OIDC Login</h2>
+<p>Client: ${escapeHtml(req.query.client_id)}</p>
+<form method="post" action="${escapeHtml(`${ISSUER}/authorize`)}">
+${hidden}
+<p><label>Username<br><input name="username" required autofocus></label></p>
+<p><label>Groups (comma separated)<br><input name="groups"></label></p>
+<button type="submit">Sign in</button>
+</form>
+</body></html>`);
+});
+
+router.post('/authorize', express.urlencoded({ extended: false }), (req, res) => {
+    const error = validateAuthorizeParams(req.body);
+    if (error || !req.body.username) {
+        return res.status(400).send(`Mock OIDC: ${error || 'username required'}`);
+    }
+
+    res.redirect(issueCode(req.body, buildClaims(req.body.username, req.body.groups)));
+});
+
+router.post('/token', express.urlencoded({ extended: false }), (req, res) => {
+    const params = req.body || {};
+    let clientId = params.client_id;
+
+    // client_secret_basic
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Basic ')) {
+        const [basicId] = Buffer.from(authHeader.substring(6), 'base64').toString().split(':');
+        clientId = decodeURIComponent(basicId);
+    }
+
+    if (params.grant_type !== 'authorization_code') {
+        return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const entry = codes.get(params.code);
+    codes.delete(params.code);
+
+    if (!entry || entry.expiresAt < Date.now()) {
+        return tokenError(res, 'invalid_grant', 'Unknown or expired code');
+    }
+    if (entry.clientId !== clientId || entry.redirectUri !== params.redirect_uri) {
+        return tokenError(res, 'invalid_grant', 'client_id or redirect_uri mismatch');
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(params.code_verifier || '')).digest('base64url');
+    if (challenge !== entry.codeChallenge) {
+        return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const idToken = jwt.sign(
+        { ...entry.claims, nonce: entry.nonce },
+        privateKey,
+        { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: TOKEN_TTL_SECONDS }
+    );
+
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, { claims: entry.claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+    res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: TOKEN_TTL_SECONDS,
+        id_token: idToken
+    });
+});
+
+router.get('/userinfo', (req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const entry = accessTokens.get(token);
+
+    if (!entry || entry.expiresAt < Date.now()) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+
+    res.json(entry.claims);
+});
+
+module.exports = router;
+module.exports.ISSUER = ISSUER;
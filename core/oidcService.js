@@ -0,0 +1,630 @@
+/**
+ * OIDC Service
+ * OpenID Connect Relying Party (Authorization Code + PKCE) mit Discovery,
+ * JIT-Provisionierung und Claim-zu-Rolle Mappings
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const database = require('./database');
+const userService = require('./userService');
+const roleService = require('./roleService');
+const { createSecretBox } = require('./secretBox');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('OIDCService');
+
+const secretBox = createSecretBox('OIDC_ENCRYPTION_KEY', 'oidc-client-secret');
+
+// Discovery documents and JWKS are cached per issuer
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const SLUG_PATTERN = /^[a-z0-9-]{2,50}$/;
+
+const PROVIDER_FIELDS = [
+    'slug', 'name', 'issuer_url', 'client_id', 'scopes', 'username_claim',
+    'role_claim', 'default_role', 'auto_provision', 'link_existing_users', 'is_active'
+];
+
+// issuer -> { config, jwks, expiresAt }
+const discoveryCache = new Map();
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+function base64url(buffer) {
+    return buffer.toString('base64url');
+}
+
+function normalizeIssuer(issuer) {
+    return String(issuer || '').replace(/\/+$/, '');
+}
+
+/**
+ * Claim by path (e.g. "realm_access.roles" or "resource_access.intranet.roles")
+ */
+function getClaim(claims, path) {
+    return String(path || '').split('.').reduce(
+        (value, key) => (value !== undefined && value !== null ? value[key] : undefined),
+        claims
+    );
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    const text = await response.text();
+
+    let body;
+    try {
+        body = text ? JSON.parse(text) : {};
+    } catch (error) {
+        throw new Error(`Invalid JSON response from ${url}`);
+    }
+
+    if (!response.ok) {
+        const detail = body.error_description || body.error || response.statusText;
+        throw new Error(`OIDC request failed (${response.status}): ${detail}`);
+    }
+
+    return body;
+}
+
+function serializeProvider(row) {
+    if (!row) return null;
+
+    const { client_secret, ...provider } = row;
+    return { ...provider, has_client_secret: !!client_secret };
+}
+
+// ==============================================
+// DISCOVERY & KEYS
+// ==============================================
+
+/**
+ * OpenID Provider metadata (<issuer>/.well-known/openid-configuration)
+ */
+async function discover(provider, options = {}) {
+    const issuer = normalizeIssuer(provider.issuer_url);
+    const cached = discoveryCache.get(issuer);
+
+    if (cached && !options.refresh && cached.expiresAt > Date.now()) {
+        return cached.config;
+    }
+
+    const config = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+
+    if (normalizeIssuer(config.issuer) !== issuer) {
+        throw new Error(`Issuer mismatch: discovery returned ${config.issuer}`);
+    }
+    if (!config.authorization_endpoint || !config.token_endpoint || !config.jwks_uri) {
+        throw new Error('Discovery document is missing required endpoints');
+    }
+
+    discoveryCache.set(issuer, { config, jwks: null, expiresAt: Date.now() + DISCOVERY_CACHE_MS });
+
+    return config;
+}
+
+/**
+ * Public key for an ID token; the JWKS is refetched once for unknown key ids (key rotation)
+ */
+async function getSigningKey(provider, kid) {
+    const config = await discover(provider);
+    const entry = discoveryCache.get(normalizeIssuer(provider.issuer_url));
+
+    const findKey = (jwks) => (jwks.keys || []).find(key =>
+        (key.use === undefined || key.use === 'sig') && (!kid || key.kid === kid)
+    );
+
+    let jwk = entry.jwks ? findKey(entry.jwks) : null;
+
+    if (!jwk) {
+        entry.jwks = await fetchJson(config.jwks_uri);
+        jwk = findKey(entry.jwks);
+    }
+
+    if (!jwk) {
+        throw new Error('No matching signing key in JWKS');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// ==============================================
+// PROVIDERS
+// ==============================================
+
+async function listProviders(options = {}) {
+    const result = await database.query(
+        `SELECT * FROM oidc_providers
+         ${options.activeOnly ? 'WHERE is_active = true' : ''}
+         ORDER BY name ASC`
+    );
+
+    return result.rows.map(serializeProvider);
+}
+
+/**
+ * Provider row including the encrypted client secret (internal use)
+ */
+async function getProviderRow(where, value) {
+    const result = await database.query(`SELECT * FROM oidc_providers WHERE ${where} = $1`, [value]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Provider not found');
+    }
+
+    return result.rows[0];
+}
+
+async function getProvider(providerId) {
+    return serializeProvider(await getProviderRow('id', providerId));
+}
+
+async function getActiveProviderBySlug(slug) {
+    const provider = await getProviderRow('slug', String(slug));
+
+    if (!provider.is_active) {
+        throw new Error('Provider not found');
+    }
+
+    return provider;
+}
+
+function validateProvider(data, partial = false) {
+    if (!partial || data.slug !== undefined) {
+        if (!SLUG_PATTERN.test(String(data.slug || ''))) {
+            throw new Error('Invalid slug (lowercase letters, digits and dashes)');
+        }
+    }
+
+    ['name', 'issuer_url', 'client_id'].forEach((field) => {
+        if ((!partial || data[field] !== undefined) && !data[field]) {
+            throw new Error(`${field} is required`);
+        }
+    });
+
+    if (data.issuer_url !== undefined && !/^https?:\/\//.test(data.issuer_url)) {
+        throw new Error('issuer_url must be an http(s) URL');
+    }
+}
+
+async function createProvider(data) {
+    validateProvider(data);
+
+    const fields = PROVIDER_FIELDS.filter(field => data[field] !== undefined);
+    const values = fields.map(field => field === 'issuer_url' ? normalizeIssuer(data[field]) : data[field]);
+
+    if (data.client_secret) {
+        fields.push('client_secret');
+        values.push(secretBox.encrypt(data.client_secret));
+    }
+
+    try {
+        const result = await database.query(
+            `INSERT INTO oidc_providers (${fields.join(', ')})
+             VALUES (${fields.map((field, index) => `$${index + 1}`).join(', ')})
+             RETURNING *`,
+            values
+        );
+
+        logger.info('OIDC provider created', { slug: data.slug });
+
+        return serializeProvider(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new Error('Provider slug already exists');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Update a provider. client_secret: new secret, '' removes it, undefined keeps it.
+ */
+async function updateProvider(providerId, data) {
+    validateProvider(data, true);
+
+    const updates = [];
+    const values = [];
+
+    PROVIDER_FIELDS.forEach((field) => {
+        if (data[field] !== undefined) {
+            values.push(field === 'issuer_url' ? normalizeIssuer(data[field]) : data[field]);
+            updates.push(`${field} = $${values.length}`);
+        }
+    });
+
+    if (data.client_secret !== undefined) {
+        values.push(data.client_secret ? secretBox.encrypt(data.client_secret) : null);
+        updates.push(`client_secret = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+        return getProvider(providerId);
+    }
+
+    values.push(providerId);
+
+    try {
+        const result = await database.query(
+            `UPDATE oidc_providers SET ${updates.join(', ')}
+             WHERE id = $${values.length}
+             RETURNING *`,
+            values
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Provider not found');
+        }
+
+        // Issuer may have changed
+        discoveryCache.clear();
+
+        return serializeProvider(result.rows[0]);
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new Error('Provider slug already exists');
+        }
+        throw error;
+    }
+}
+
+async function deleteProvider(providerId) {
+    const result = await database.query(
+        'DELETE FROM oidc_providers WHERE id = $1 RETURNING *',
+        [providerId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Provider not found');
+    }
+
+    logger.info('OIDC provider deleted', { providerId, slug: result.rows[0].slug });
+
+    return serializeProvider(result.rows[0]);
+}
+
+/**
+ * Check discovery and JWKS of a provider (admin "test connection")
+ */
+async function testProvider(providerId) {
+    const provider = await getProviderRow('id', providerId);
+    const config = await discover(provider, { refresh: true });
+    const jwks = await fetchJson(config.jwks_uri);
+
+    return {
+        issuer: config.issuer,
+        authorization_endpoint: config.authorization_endpoint,
+        token_endpoint: config.token_endpoint,
+        userinfo_endpoint: config.userinfo_endpoint || null,
+        code_challenge_methods_supported: config.code_challenge_methods_supported || [],
+        signing_keys: (jwks.keys || []).length
+    };
+}
+
+// ==============================================
+// ROLE MAPPINGS
+// ==============================================
+
+async function listRoleMappings(providerId) {
+    const result = await database.query(
+        `SELECT * FROM oidc_role_mappings
+         WHERE provider_id = $1
+         ORDER BY priority DESC, claim_value ASC`,
+        [providerId]
+    );
+
+    return result.rows;
+}
+
+async function createRoleMapping(providerId, data) {
+    if (!data.claim_value || !data.app_role) {
+        throw new Error('claim_value and app_role are required');
+    }
+
+    await getProviderRow('id', providerId);
+
+    try {
+        const result = await database.query(
+            `INSERT INTO oidc_role_mappings (provider_id, claim_value, app_role, priority)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [providerId, data.claim_value, data.app_role, data.priority || 0]
+        );
+
+        return result.rows[0];
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new Error('Role mapping already exists');
+        }
+        throw error;
+    }
+}
+
+/**
+ * @returns {Promise<{ before: Object, after: Object }>}
+ */
+async function updateRoleMapping(mappingId, data) {
+    const previous = await database.query('SELECT * FROM oidc_role_mappings WHERE id = $1', [mappingId]);
+
+    if (previous.rows.length === 0) {
+        throw new Error('Role mapping not found');
+    }
+
+    const result = await database.query(
+        `UPDATE oidc_role_mappings
+         SET claim_value = COALESCE($1, claim_value),
+             app_role = COALESCE($2, app_role),
+             priority = COALESCE($3, priority),
+             is_active = COALESCE($4, is_active)
+         WHERE id = $5
+         RETURNING *`,
+        [data.claim_value, data.app_role, data.priority, data.is_active, mappingId]
+    );
+
+    return { before: previous.rows[0], after: result.rows[0] };
+}
+
+async function deleteRoleMapping(mappingId) {
+    const result = await database.query(
+        'DELETE FROM oidc_role_mappings WHERE id = $1 RETURNING *',
+        [mappingId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Role mapping not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Role from the provider's role claim (highest priority mapping wins)
+ */
+async function resolveRole(provider, claims) {
+    const values = toArray(getClaim(claims, provider.role_claim));
+
+    if (values.length === 0) {
+        return provider.default_role;
+    }
+
+    const result = await database.query(
+        `SELECT app_role FROM oidc_role_mappings
+         WHERE provider_id = $1 AND is_active = true AND claim_value = ANY($2)
+         ORDER BY priority DESC
+         LIMIT 1`,
+        [provider.id, values]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].app_role : provider.default_role;
+}
+
+// ==============================================
+// LOGIN FLOW
+// ==============================================
+
+/**
+ * Authorization request with state, nonce and PKCE (S256)
+ *
+ * @returns {Promise<{ url: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+async function createAuthorizationRequest(provider, redirectUri) {
+    const config = await discover(provider);
+
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(config.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.client_id,
+        redirect_uri: redirectUri,
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+}
+
+async function exchangeCode(provider, config, { code, codeVerifier, redirectUri }) {
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        client_id: provider.client_id
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    if (provider.client_secret) {
+        const secret = secretBox.decrypt(provider.client_secret);
+        const methods = config.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+
+        if (methods.includes('client_secret_basic')) {
+            const credentials = `${encodeURIComponent(provider.client_id)}:${encodeURIComponent(secret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            params.set('client_secret', secret);
+        }
+    }
+
+    return fetchJson(config.token_endpoint, { method: 'POST', headers, body: params.toString() });
+}
+
+async function verifyIdToken(provider, config, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new Error('Invalid ID token');
+    }
+
+    const key = await getSigningKey(provider, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: config.issuer,
+        audience: provider.client_id
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce mismatch');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.client_id) {
+        throw new Error('ID token azp mismatch');
+    }
+
+    return claims;
+}
+
+/**
+ * Handle the authorization response: code exchange, ID token validation,
+ * userinfo and provisioning
+ *
+ * @returns {Promise<Object>} User ({ id, username, name, email, role })
+ */
+async function completeAuthorization(provider, { code, codeVerifier, nonce, redirectUri }) {
+    const config = await discover(provider);
+    const tokens = await exchangeCode(provider, config, { code, codeVerifier, redirectUri });
+
+    if (!tokens.id_token) {
+        throw new Error('Token response contains no ID token');
+    }
+
+    let claims = await verifyIdToken(provider, config, tokens.id_token, nonce);
+
+    if (config.userinfo_endpoint && tokens.access_token) {
+        try {
+            const userinfo = await fetchJson(config.userinfo_endpoint, {
+                headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+            });
+
+            // Userinfo must describe the same subject
+            if (userinfo.sub === claims.sub) {
+                claims = { ...userinfo, ...claims };
+            }
+        } catch (error) {
+            logger.warn('OIDC userinfo request failed, using ID token claims', { provider: provider.slug, error: error.message });
+        }
+    }
+
+    return provisionUser(provider, claims);
+}
+
+// ==============================================
+// PROVISIONING
+// ==============================================
+
+/**
+ * Find or create the user of an OIDC identity. The role of users created
+ * through OIDC follows the role mappings on every login (like LDAP users);
+ * linked local/LDAP accounts keep their role.
+ */
+async function provisionUser(provider, claims) {
+    if (!claims.sub) {
+        throw new Error('ID token has no subject');
+    }
+
+    const role = await resolveRole(provider, claims);
+    const identityResult = await database.query(
+        'SELECT user_id FROM oidc_identities WHERE provider_id = $1 AND subject = $2',
+        [provider.id, String(claims.sub)]
+    );
+
+    let user;
+
+    if (identityResult.rows.length > 0) {
+        user = await userService.findUserById(identityResult.rows[0].user_id);
+
+        if (user && user.auth_method === 'oauth' && user.role !== role) {
+            await database.query('UPDATE users SET role = $2 WHERE id = $1', [user.id, role]);
+            roleService.invalidateUserCache(user.id);
+            logger.info('OIDC user role updated', { userId: user.id, from: user.role, to: role });
+            user.role = role;
+        }
+    } else {
+        if (provider.link_existing_users && claims.email && claims.email_verified === true) {
+            user = await userService.findUserByEmail(claims.email);
+        }
+
+        if (!user) {
+            if (!provider.auto_provision) {
+                throw new Error('User is not provisioned');
+            }
+
+            const username = getClaim(claims, provider.username_claim) || claims.preferred_username || claims.email;
+            if (!username || !claims.email) {
+                throw new Error('Username or email claim missing');
+            }
+
+            user = await userService.createUser({
+                username: String(username).substring(0, 100),
+                email: claims.email,
+                name: claims.name || username,
+                role,
+                authMethod: 'oauth'
+            });
+
+            logger.info('OIDC user provisioned', { userId: user.id, provider: provider.slug, role });
+        }
+
+        await database.query(
+            `INSERT INTO oidc_identities (provider_id, user_id, subject, email)
+             VALUES ($1, $2, $3, $4)`,
+            [provider.id, user.id, String(claims.sub), claims.email || null]
+        );
+    }
+
+    if (!user || user.is_active === false) {
+        throw new Error('User is deactivated');
+    }
+
+    await database.query(
+        `UPDATE oidc_identities SET last_login_at = CURRENT_TIMESTAMP, email = $3, claims = $4
+         WHERE provider_id = $1 AND subject = $2`,
+        [provider.id, String(claims.sub), claims.email || null, JSON.stringify(claims)]
+    );
+
+    return {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        email: user.email,
+        role: user.role
+    };
+}
+
+module.exports = {
+    // Providers
+    listProviders,
+    getProvider,
+    getActiveProviderBySlug,
+    createProvider,
+    updateProvider,
+    deleteProvider,
+    testProvider,
+
+    // Role mappings
+    listRoleMappings,
+    createRoleMapping,
+    updateRoleMapping,
+    deleteRoleMapping,
+    resolveRole,
+
+    // Login flow
+    createAuthorizationRequest,
+    completeAuthorization,
+    provisionUser
+};
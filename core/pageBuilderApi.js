@@ -12,7 +12,7 @@ const router = express.Router();
 
 const pageService = require('./pageService');
 const moduleRegistryService = require('./moduleRegistryService');
-const { authenticateToken, requireAdmin, requirePermission } = require('./middleware');
+const { authenticateToken, optionalAuth, requireAdmin, requirePermission } = require('./middleware');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('PageBuilderAPI');
@@ -34,7 +34,8 @@ router.get('/pages', authenticateToken, async (req, res) => {
             is_public: is_public === 'true' ? true : is_public === 'false' ? false : undefined,
             search,
             limit: parseInt(limit) || 50,
-            offset: parseInt(offset) || 0
+            offset: parseInt(offset) || 0,
+            viewer: await pageService.getPageViewer(req.user)
         };
 
         const result = await pageService.listPages(filters);
@@ -77,6 +78,13 @@ router.get('/pages/:id', authenticateToken, async (req, res) => {
             });
         }
 
+        if (!pageService.canViewPage(page, await pageService.getPageViewer(req.user))) {
+            return res.status(403).json({
+                success: false,
+                message: req.t('errors:general.forbidden')
+            });
+        }
+
         res.json({
             success: true,
             data: page
@@ -94,7 +102,7 @@ router.get('/pages/:id', authenticateToken, async (req, res) => {
  * GET /api/pages/slug/:slug
  * Page nach Slug
  */
-router.get('/pages/slug/:slug', async (req, res) => {
+router.get('/pages/slug/:slug', optionalAuth, async (req, res) => {
     try {
         const { slug } = req.params;
 
@@ -115,6 +123,14 @@ router.get('/pages/slug/:slug', async (req, res) => {
             });
         }
 
+        // Prüfe Rollen, Gruppen und Berechtigung
+        if (!pageService.canViewPage(page, await pageService.getPageViewer(req.user))) {
+            return res.status(req.user ? 403 : 401).json({
+                success: false,
+                message: req.user ? req.t('errors:general.forbidden') : req.t('auth:token.required')
+            });
+        }
+
         res.json({
             success: true,
             data: page
@@ -8,10 +8,75 @@
  */
 
 const database = require('./database');
+const groupService = require('./groupService');
+const { getUserPermissions } = require('./permissions');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('PageService');
 
+// Wer Seiten bearbeiten darf, sieht auch eingeschränkte Seiten
+const PAGE_EDIT_PERMISSION = 'content.edit';
+
+function normalizeGroupIds(groupIds) {
+    if (!Array.isArray(groupIds)) {
+        return null;
+    }
+    return [...new Set(groupIds.map(id => parseInt(id)).filter(id => Number.isInteger(id)))];
+}
+
+// ==============================================
+// ZUGRIFF
+// ==============================================
+
+/**
+ * Ermittelt Rollen, Berechtigungen und Gruppen eines Benutzers für die Zugriffsprüfung
+ */
+async function getPageViewer(user) {
+    if (!user) {
+        return null;
+    }
+
+    const [{ roles, permissions }, groupIds] = await Promise.all([
+        getUserPermissions(user),
+        groupService.getUserGroupIds(user.userId)
+    ]);
+
+    return { roles, permissions, groupIds };
+}
+
+/**
+ * Prüft required_permission, allowed_roles und allowed_group_ids einer Page.
+ * Sind Rollen und Gruppen gesetzt, genügt eine Übereinstimmung.
+ */
+function canViewPage(page, viewer) {
+    const allowedRoles = page.allowed_roles || [];
+    const allowedGroupIds = page.allowed_group_ids || [];
+    const restricted = page.required_permission || allowedRoles.length > 0 || allowedGroupIds.length > 0;
+
+    if (!restricted) {
+        return true;
+    }
+
+    if (!viewer) {
+        return false;
+    }
+
+    if (viewer.permissions.has(PAGE_EDIT_PERMISSION)) {
+        return true;
+    }
+
+    if (page.required_permission && !viewer.permissions.has(page.required_permission)) {
+        return false;
+    }
+
+    if (allowedRoles.length === 0 && allowedGroupIds.length === 0) {
+        return true;
+    }
+
+    return viewer.roles.some(role => allowedRoles.includes(role)) ||
+        viewer.groupIds.some(groupId => allowedGroupIds.includes(groupId));
+}
+
 /**
  * Erstellt eine neue Page
  */
@@ -25,16 +90,23 @@ async function createPage(pageData, userId) {
         is_public = true,
         page_config = {},
         meta_title,
-        meta_description
+        meta_description,
+        required_permission = null,
+        allowed_roles = null,
+        allowed_group_ids = null
     } = pageData;
 
     try {
         const result = await database.query(
             `INSERT INTO pages
-            (title, slug, template, layout_type, status, is_public, page_config, meta_title, meta_description, created_by, updated_by)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10)
+            (title, slug, template, layout_type, status, is_public, page_config, meta_title, meta_description,
+             required_permission, allowed_roles, allowed_group_ids, created_by, updated_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $13)
             RETURNING *`,
-            [title, slug, template, layout_type, status, is_public, JSON.stringify(page_config), meta_title, meta_description, userId]
+            [
+                title, slug, template, layout_type, status, is_public, JSON.stringify(page_config), meta_title, meta_description,
+                required_permission || null, allowed_roles, normalizeGroupIds(allowed_group_ids), userId
+            ]
         );
 
         logger.info('Page created', { pageId: result.rows[0].id, title, userId });
@@ -122,9 +194,10 @@ async function findPageBySlug(slug, includeDetails = true) {
 
 /**
  * Listet alle Pages
+ * filters.viewer (siehe getPageViewer) blendet Pages aus, die der Benutzer nicht sehen darf
  */
 async function listPages(filters = {}) {
-    const { status, is_public, limit = 50, offset = 0, search } = filters;
+    const { status, is_public, limit = 50, offset = 0, search, viewer } = filters;
 
     try {
         let query = 'SELECT * FROM pages WHERE 1=1';
@@ -149,6 +222,18 @@ async function listPages(filters = {}) {
             paramIndex++;
         }
 
+        // Gleiche Regeln wie canViewPage
+        if (viewer && !viewer.permissions.has(PAGE_EDIT_PERMISSION)) {
+            query += ` AND (required_permission IS NULL OR required_permission = ANY($${paramIndex}::text[]))
+                AND (
+                    (COALESCE(cardinality(allowed_roles), 0) = 0 AND COALESCE(cardinality(allowed_group_ids), 0) = 0)
+                    OR allowed_roles && $${paramIndex + 1}::text[]
+                    OR allowed_group_ids && $${paramIndex + 2}::int[]
+                )`;
+            params.push(Array.from(viewer.permissions), viewer.roles, viewer.groupIds);
+            paramIndex += 3;
+        }
+
         query += ` ORDER BY updated_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
         params.push(limit, offset);
 
@@ -186,7 +271,10 @@ async function updatePage(pageId, pageData, userId) {
         custom_js,
         meta_title,
         meta_description,
-        meta_keywords
+        meta_keywords,
+        required_permission,
+        allowed_roles,
+        allowed_group_ids
     } = pageData;
 
     try {
@@ -270,6 +358,24 @@ async function updatePage(pageId, pageData, userId) {
             paramIndex++;
         }
 
+        if (required_permission !== undefined) {
+            updates.push(`required_permission = $${paramIndex}`);
+            params.push(required_permission || null);
+            paramIndex++;
+        }
+
+        if (allowed_roles !== undefined) {
+            updates.push(`allowed_roles = $${paramIndex}`);
+            params.push(allowed_roles);
+            paramIndex++;
+        }
+
+        if (allowed_group_ids !== undefined) {
+            updates.push(`allowed_group_ids = $${paramIndex}`);
+            params.push(normalizeGroupIds(allowed_group_ids));
+            paramIndex++;
+        }
+
         updates.push(`updated_by = $${paramIndex}`);
         params.push(userId);
         paramIndex++;
@@ -616,5 +722,7 @@ module.exports = {
     addModuleToSection,
     updatePageModule,
     deletePageModule,
-    getHomepage
+    getHomepage,
+    getPageViewer,
+    canViewPage
 };
@@ -1,8 +1,12 @@
 /**
  * RBAC (Role-Based Access Control) System
- * Definiert Rollen, Permissions und Zugriffskontrolle
+ * Zugriffskontrolle über Rollen und Permissions aus der Datenbank (roleService).
+ * Die Konstanten unten sind die Standard-Rollen; sie gelten ohne Datenbank
+ * und entsprechen den Seeds aus Migration 027.
  */
 
+const database = require('./database');
+const roleService = require('./roleService');
 const { createModuleLogger } = require('./logger');
 const logger = createModuleLogger('Permissions');
 
@@ -17,6 +21,7 @@ const PERMISSIONS = {
     // Content Management
     'content.read': 'Inhalte anzeigen',
     'content.create': 'Inhalte erstellen',
+    'content.edit': 'Seiten bearbeiten',
     'content.update': 'Inhalte bearbeiten',
     'content.delete': 'Inhalte löschen',
     'content.publish': 'Inhalte veröffentlichen',
@@ -29,16 +34,40 @@ const PERMISSIONS = {
     'admin.settings': 'System-Einstellungen verwalten',
     'admin.modules': 'Module verwalten',
     'admin.logs': 'System-Logs anzeigen',
+    'admin.users': 'Benutzer verwalten',
+    'admin.locations': 'Standorte verwalten',
+    'admin.roles': 'Rollen und Berechtigungen verwalten',
+    'groups.manage': 'Gruppen verwalten',
 
     // Files
     'files.read': 'Dateien anzeigen',
     'files.upload': 'Dateien hochladen',
     'files.delete': 'Dateien löschen',
+    'drive.quotas': 'Drive-Speicherkontingente verwalten',
+
+    // Resource Bookings
+    'bookings.approve': 'Ressourcen-Buchungen genehmigen',
 
     // Wiki
     'wiki.read': 'Wiki lesen',
     'wiki.edit': 'Wiki bearbeiten',
-    'wiki.admin': 'Wiki administrieren'
+    'wiki.admin': 'Wiki administrieren',
+
+    // Events
+    'events.view': 'Events anzeigen',
+    'events.create': 'Events erstellen',
+    'events.edit': 'Events bearbeiten',
+    'events.delete': 'Events löschen',
+    'events.manage_all': 'Alle Events verwalten',
+    'events.approve': 'Teilnahme-Anfragen genehmigen',
+    'events.export': 'Events exportieren',
+
+    // Chat
+    'chat.view': 'Chat anzeigen',
+    'chat.send': 'Nachrichten senden',
+    'chat.create_group': 'Gruppen-Chats erstellen',
+    'chat.delete_own_messages': 'Eigene Nachrichten löschen',
+    'chat.delete_any_messages': 'Alle Nachrichten löschen'
 };
 
 // Rollen-Definitionen mit ihren Permissions
@@ -55,47 +84,47 @@ const ROLES = {
         description: 'Kann Inhalte moderieren und verwalten',
         permissions: [
             'users.read',
-            'content.read',
-            'content.update',
             'content.delete',
-            'content.publish',
             'moderation.read',
             'moderation.action',
-            'files.read',
+            'bookings.approve',
             'files.delete',
-            'wiki.read',
-            'wiki.edit'
+            'events.manage_all',
+            'events.approve',
+            'chat.delete_any_messages'
         ],
-        inherits: []
+        inherits: ['editor']
     },
 
     editor: {
         name: 'Redakteur',
         description: 'Kann Inhalte erstellen und bearbeiten',
         permissions: [
-            'content.read',
-            'content.create',
+            'content.edit',
             'content.update',
             'content.publish',
-            'files.read',
-            'files.upload',
-            'wiki.read',
             'wiki.edit'
         ],
-        inherits: []
+        inherits: ['user']
     },
 
     user: {
         name: 'Benutzer',
         description: 'Standard-Benutzer mit Basis-Rechten',
         permissions: [
-            'content.read',
             'content.create',
             'files.read',
             'files.upload',
-            'wiki.read'
+            'events.view',
+            'events.create',
+            'events.edit',
+            'events.export',
+            'chat.view',
+            'chat.send',
+            'chat.create_group',
+            'chat.delete_own_messages'
         ],
-        inherits: []
+        inherits: ['guest']
     },
 
     guest: {
@@ -110,20 +139,21 @@ const ROLES = {
 };
 
 /**
- * Gibt alle Permissions für eine Rolle zurück (inkl. geerbte)
+ * Gibt alle Permissions für eine Standard-Rolle zurück (inkl. geerbte)
  */
-const getRolePermissions = (roleName) => {
+const getRolePermissions = (roleName, visited = new Set()) => {
     const role = ROLES[roleName];
-    if (!role) {
+    if (!role || visited.has(roleName)) {
         return [];
     }
+    visited.add(roleName);
 
     let permissions = [...role.permissions];
 
     // Geerbte Permissions hinzufügen
     if (role.inherits && role.inherits.length > 0) {
         for (const inheritedRole of role.inherits) {
-            const inheritedPerms = getRolePermissions(inheritedRole);
+            const inheritedPerms = getRolePermissions(inheritedRole, visited);
             permissions = [...new Set([...permissions, ...inheritedPerms])];
         }
     }
@@ -131,11 +161,19 @@ const getRolePermissions = (roleName) => {
     return permissions;
 };
 
+/**
+ * Permissions einer Rolle: aus dem Cache des roleService, solange
+ * dieser geladen ist, sonst die Standard-Rollen
+ */
+const resolveRolePermissions = (roleName) => {
+    return roleService.getCachedRolePermissions(roleName) || getRolePermissions(roleName);
+};
+
 /**
  * Prüft ob eine Rolle eine bestimmte Permission hat
  */
 const hasPermission = (roleName, permission) => {
-    const permissions = getRolePermissions(roleName);
+    const permissions = resolveRolePermissions(roleName);
     return permissions.includes(permission);
 };
 
@@ -143,7 +181,7 @@ const hasPermission = (roleName, permission) => {
  * Prüft ob eine Rolle eine der angegebenen Permissions hat
  */
 const hasAnyPermission = (roleName, permissionList) => {
-    const permissions = getRolePermissions(roleName);
+    const permissions = resolveRolePermissions(roleName);
     return permissionList.some(p => permissions.includes(p));
 };
 
@@ -151,24 +189,58 @@ const hasAnyPermission = (roleName, permissionList) => {
  * Prüft ob eine Rolle alle angegebenen Permissions hat
  */
 const hasAllPermissions = (roleName, permissionList) => {
-    const permissions = getRolePermissions(roleName);
+    const permissions = resolveRolePermissions(roleName);
     return permissionList.every(p => permissions.includes(p));
 };
 
+// Fallback auf Standard-Rollen nur einmal melden
+let fallbackWarned = false;
+
+/**
+ * Effektive Rollen und Permissions eines Users (req.user): alle Rollen
+ * inkl. Vererbung aus der Datenbank, ohne Datenbank die Standard-Rolle
+ *
+ * @returns {Promise<{ roles: string[], permissions: Set<string> }>}
+ */
+const getUserPermissions = async (user) => {
+    if (database.pool) {
+        try {
+            return await roleService.getUserPermissions(user);
+        } catch (error) {
+            if (!fallbackWarned) {
+                logger.warn('Rollen aus der Datenbank nicht verfügbar, verwende Standard-Rollen', { error: error.message });
+                fallbackWarned = true;
+            }
+        }
+    }
+
+    return {
+        roles: [user.role],
+        permissions: new Set(getRolePermissions(user.role))
+    };
+};
+
+/**
+ * Prüft ob ein User (req.user) eine der angegebenen Permissions hat
+ */
+const userHasPermission = async (user, ...permissionList) => {
+    const { permissions } = await getUserPermissions(user);
+    return permissionList.some(p => permissions.has(p));
+};
+
 /**
  * Middleware: Permission erforderlich
- * Prüft ob der User eine bestimmte Permission hat
+ * Prüft ob der User (über eine seiner Rollen) eine der Permissions hat
  */
 const requirePermission = (...requiredPermissions) => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({ error: 'Authentifizierung erforderlich' });
         }
 
         const userRole = req.user.role;
-        const hasRequiredPermission = requiredPermissions.some(perm =>
-            hasPermission(userRole, perm)
-        );
+        const { permissions } = await getUserPermissions(req.user);
+        const hasRequiredPermission = requiredPermissions.some(perm => permissions.has(perm));
 
         if (!hasRequiredPermission) {
             logger.warn('Zugriff verweigert - Permission', {
@@ -191,13 +263,14 @@ const requirePermission = (...requiredPermissions) => {
  * Middleware: Mehrere Permissions erforderlich (UND)
  */
 const requireAllPermissions = (...requiredPermissions) => {
-    return (req, res, next) => {
+    return async (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({ error: 'Authentifizierung erforderlich' });
         }
 
         const userRole = req.user.role;
-        const hasAll = hasAllPermissions(userRole, requiredPermissions);
+        const { permissions } = await getUserPermissions(req.user);
+        const hasAll = requiredPermissions.every(perm => permissions.has(perm));
 
         if (!hasAll) {
             logger.warn('Zugriff verweigert - Mehrere Permissions', {
@@ -247,6 +320,8 @@ module.exports = {
     hasPermission,
     hasAnyPermission,
     hasAllPermissions,
+    getUserPermissions,
+    userHasPermission,
     requirePermission,
     requireAllPermissions,
     isOwner
@@ -3,6 +3,7 @@
 // =====================================================
 
 const driveService = require('./driveService');
+const drivePreviewService = require('./drivePreviewService');
 const pool = require('./db');
 const { createModuleLogger } = require('./logger');
 
@@ -85,9 +86,12 @@ async function getPostFeaturedImage(postId, userId) {
         return {
             id: file.id,
             url: `/api/drive/files/${file.id}/download`,
+            ...drivePreviewService.previewUrls(file),
             name: file.name,
             mimeType: file.mime_type,
             size: file.file_size_bytes,
+            width: file.metadata?.width,
+            height: file.metadata?.height,
             isDriveFile: true
         };
 
@@ -6,6 +6,8 @@
 
 const database = require('./database');
 const i18n = require('./i18n');
+const notificationService = require('./notificationService');
+const moduleRegistry = require('./enhancedModuleRegistry');
 
 // ==============================================
 // POST CATEGORIES
@@ -282,6 +284,9 @@ async function deleteTag(tagId) {
  * Create a new post
  */
 async function createPost(postData, userId) {
+    // Modules may adjust the post before it is stored
+    postData = await moduleRegistry.applyFilterHook('post.before_save', postData, { userId, postId: null });
+
     const {
         title,
         slug,
@@ -343,7 +348,12 @@ async function createPost(postData, userId) {
         revision_note: 'Initial version'
     }, userId);
 
-    return await findPostById(post.id);
+    const createdPost = await findPostById(post.id);
+
+    // Module hooks run in the background and never fail the request
+    moduleRegistry.triggerHook('post.created', { post: createdPost, userId });
+
+    return createdPost;
 }
 
 /**
@@ -557,6 +567,9 @@ async function listPosts(options = {}) {
  * Update post
  */
 async function updatePost(postId, updates, userId) {
+    // Modules may adjust the changes before they are stored
+    updates = await moduleRegistry.applyFilterHook('post.before_save', updates, { userId, postId });
+
     const allowedFields = [
         'title', 'slug', 'excerpt', 'content', 'featured_image', 'featured_image_alt',
         'featured_image_caption', 'category_id', 'status', 'published_at', 'scheduled_at',
@@ -611,7 +624,11 @@ async function updatePost(postId, updates, userId) {
         }, userId);
     }
 
-    return await findPostById(postId);
+    const updatedPost = await findPostById(postId);
+
+    moduleRegistry.triggerHook('post.updated', { post: updatedPost, changes: Object.keys(updates), userId });
+
+    return updatedPost;
 }
 
 /**
@@ -752,7 +769,24 @@ async function createComment(commentData, userId = null) {
          author_website, author_ip, content, status]
     );
 
-    return result.rows[0];
+    const comment = result.rows[0];
+
+    // Notify the post author
+    const post = await database.query('SELECT author_id, title FROM posts WHERE id = $1', [post_id]);
+    if (post.rows[0]?.author_id) {
+        await notificationService.createNotification({
+            user_id: post.rows[0].author_id,
+            notification_type: 'comment',
+            source_type: 'post',
+            source_id: post_id,
+            actor_id: userId,
+            title: 'Neuer Kommentar',
+            message: `${author_name || 'Jemand'} hat ${post.rows[0].title} kommentiert`,
+            link: `/posts/${post_id}`
+        });
+    }
+
+    return comment;
 }
 
 /**
@@ -5,11 +5,29 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('./db');
+const notificationService = require('./notificationService');
+const groupService = require('./groupService');
 const { authenticateToken } = require('./middleware');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('ProjectAPI');
 
+// Notify the assignee of a task
+async function notifyAssignee(task, actorId) {
+    if (!task.assignee_id) return;
+
+    await notificationService.createNotification({
+        user_id: task.assignee_id,
+        notification_type: 'task_assigned',
+        source_type: 'task',
+        source_id: task.id,
+        actor_id: actorId,
+        title: 'Aufgabe zugewiesen',
+        message: `Dir wurde die Aufgabe ${task.title} zugewiesen`,
+        link: `/projects/${task.project_id}`
+    });
+}
+
 // =====================================================
 // PROJECTS ENDPOINTS
 // =====================================================
@@ -22,9 +40,9 @@ router.get('/projects', authenticateToken, async (req, res) => {
                    (SELECT COUNT(*) FROM tasks WHERE project_id = p.id) as task_count
             FROM projects p
             LEFT JOIN users u ON p.owner_id = u.id
-            WHERE p.owner_id = $1 OR $1 = ANY(p.team_members)
+            WHERE p.owner_id = $1 OR $1 = ANY(p.team_members) OR p.team_group_ids && $2::int[]
             ORDER BY p.created_at DESC
-        `, [req.user.id]);
+        `, [req.user.userId, await groupService.getUserGroupIds(req.user.userId)]);
 
         res.json({ success: true, data: result.rows });
     } catch (error) {
@@ -36,15 +54,15 @@ router.get('/projects', authenticateToken, async (req, res) => {
 // POST /api/projects - Create project
 router.post('/projects', authenticateToken, async (req, res) => {
     try {
-        const { name, description, key, start_date, end_date, color } = req.body;
+        const { name, description, key, start_date, end_date, color, team_group_ids = [] } = req.body;
 
         const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
 
         const result = await pool.query(`
-            INSERT INTO projects (name, slug, description, key, owner_id, color, start_date, end_date, team_members)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ARRAY[$5])
+            INSERT INTO projects (name, slug, description, key, owner_id, color, start_date, end_date, team_members, team_group_ids)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, ARRAY[$5::int], $9::int[])
             RETURNING *
-        `, [name, slug, description, key, req.user.id, color || '#3B82F6', start_date, end_date]);
+        `, [name, slug, description, key, req.user.userId, color || '#3B82F6', start_date, end_date, team_group_ids.map(id => parseInt(id))]);
 
         // Create default board with columns
         const boardResult = await pool.query(`
@@ -95,6 +113,88 @@ router.get('/projects/:id', authenticateToken, async (req, res) => {
     }
 });
 
+// GET /api/projects/:id/team - Team members (direct and via groups)
+router.get('/projects/:id/team', authenticateToken, async (req, res) => {
+    try {
+        const projectResult = await pool.query(
+            'SELECT team_members, team_group_ids FROM projects WHERE id = $1',
+            [req.params.id]
+        );
+
+        if (projectResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const { team_members, team_group_ids } = projectResult.rows[0];
+        const groupMemberIds = await groupService.getGroupMemberIds(team_group_ids);
+
+        const [membersResult, groupsResult] = await Promise.all([
+            pool.query(`
+                SELECT id, username, name, email, avatar_url, id = ANY($1::int[]) AS is_direct_member
+                FROM users
+                WHERE id = ANY($1::int[]) OR id = ANY($2::int[])
+                ORDER BY name
+            `, [team_members, groupMemberIds]),
+            pool.query('SELECT id, name, source FROM groups WHERE id = ANY($1::int[]) ORDER BY name', [team_group_ids])
+        ]);
+
+        res.json({ success: true, data: { members: membersResult.rows, groups: groupsResult.rows } });
+    } catch (error) {
+        logger.error('Get project team failed', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// PUT /api/projects/:id/team - Set team members and team groups (owner only)
+router.put('/projects/:id/team', authenticateToken, async (req, res) => {
+    try {
+        const { team_members, team_group_ids } = req.body;
+
+        const projectResult = await pool.query('SELECT * FROM projects WHERE id = $1', [req.params.id]);
+        if (projectResult.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Project not found' });
+        }
+
+        const project = projectResult.rows[0];
+        if (project.owner_id !== req.user.userId) {
+            return res.status(403).json({ success: false, error: 'Only the project owner can change the team' });
+        }
+
+        const members = Array.isArray(team_members) ? team_members.map(id => parseInt(id)) : project.team_members;
+        const groups = Array.isArray(team_group_ids) ? team_group_ids.map(id => parseInt(id)) : project.team_group_ids;
+
+        // The owner always stays in the team
+        if (!members.includes(project.owner_id)) {
+            members.push(project.owner_id);
+        }
+
+        const result = await pool.query(`
+            UPDATE projects SET team_members = $1::int[], team_group_ids = $2::int[]
+            WHERE id = $3
+            RETURNING *
+        `, [members, groups, project.id]);
+
+        // Notify users who joined the team directly
+        const addedMembers = members.filter(id => !project.team_members.includes(id));
+        if (addedMembers.length > 0) {
+            await notificationService.createNotifications(addedMembers, {
+                notification_type: 'project_member_added',
+                source_type: 'project',
+                source_id: project.id,
+                actor_id: req.user.userId,
+                title: 'Projekt-Team',
+                message: `Du wurdest zum Projekt ${project.name} hinzugefügt`,
+                link: `/projects/${project.id}`
+            });
+        }
+
+        res.json({ success: true, data: result.rows[0] });
+    } catch (error) {
+        logger.error('Update project team failed', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // =====================================================
 // BOARDS & COLUMNS
 // =====================================================
@@ -155,6 +255,8 @@ router.post('/tasks', authenticateToken, async (req, res) => {
             RETURNING *
         `, [project_id, title, description, task_type || 'task', priority || 'medium', assignee_id, req.user.id, column_id, due_date]);
 
+        await notifyAssignee(result.rows[0], req.user.userId);
+
         res.json({ success: true, data: result.rows[0] });
     } catch (error) {
         logger.error('Create task failed', { error: error.message });
@@ -167,6 +269,8 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
     try {
         const { title, description, status, priority, assignee_id, column_id, due_date, position } = req.body;
 
+        const previous = await pool.query('SELECT assignee_id FROM tasks WHERE id = $1', [req.params.id]);
+
         const result = await pool.query(`
             UPDATE tasks SET
                 title = COALESCE($1, title),
@@ -182,6 +286,10 @@ router.put('/tasks/:id', authenticateToken, async (req, res) => {
             RETURNING *
         `, [title, description, status, priority, assignee_id, column_id, due_date, position, req.params.id]);
 
+        if (result.rows[0] && result.rows[0].assignee_id !== previous.rows[0]?.assignee_id) {
+            await notifyAssignee(result.rows[0], req.user.userId);
+        }
+
         res.json({ success: true, data: result.rows[0] });
     } catch (error) {
         logger.error('Update task failed', { error: error.message });
@@ -248,6 +356,23 @@ router.post('/tasks/:id/comments', authenticateToken, async (req, res) => {
             RETURNING *
         `, [req.params.id, req.user.id, content]);
 
+        // Notify assignee and reporter
+        const task = await pool.query('SELECT id, title, project_id, assignee_id, reporter_id FROM tasks WHERE id = $1', [req.params.id]);
+        if (task.rows[0]) {
+            await notificationService.createNotifications(
+                [task.rows[0].assignee_id, task.rows[0].reporter_id].filter(Boolean),
+                {
+                    notification_type: 'task_comment',
+                    source_type: 'task',
+                    source_id: task.rows[0].id,
+                    actor_id: req.user.userId,
+                    title: 'Neuer Kommentar',
+                    message: `${req.user.username} hat ${task.rows[0].title} kommentiert`,
+                    link: `/projects/${task.rows[0].project_id}`
+                }
+            );
+        }
+
         res.json({ success: true, data: result.rows[0] });
     } catch (error) {
         logger.error('Add comment failed', { error: error.message });
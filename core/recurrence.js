@@ -0,0 +1,615 @@
+/**
+ * Recurrence Engine
+ * RRULE-Expansion für wiederkehrende Events (zeitzonenbewusst)
+ *
+ * Unterstützt: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY,
+ * BYMONTHDAY, BYMONTH, COUNT, UNTIL, WKST
+ *
+ * Regeln werden in events.recurrence_rule als JSONB gespeichert:
+ *   {"freq": "WEEKLY", "interval": 1, "byday": ["MO", "WE"], "until": "2025-12-31T23:00:00Z"}
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DEFAULT_TIMEZONE = 'Europe/Berlin';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Schutz gegen Endlosschleifen bei fehlerhaften Regeln (Perioden, nicht Vorkommen)
+const MAX_PERIODS = 50000;
+
+const formatterCache = new Map();
+
+// ==============================================
+// TIMEZONE HELPERS
+// ==============================================
+
+/**
+ * Returns a valid IANA timezone (falls back to Europe/Berlin)
+ */
+function resolveTimezone(timeZone) {
+    if (!timeZone) {
+        return DEFAULT_TIMEZONE;
+    }
+
+    try {
+        getFormatter(timeZone);
+        return timeZone;
+    } catch (error) {
+        return DEFAULT_TIMEZONE;
+    }
+}
+
+function getFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * Wall-clock parts of a UTC instant in the given timezone
+ */
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour === 24 ? 0 : parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Offset of the timezone at a UTC instant in milliseconds (e.g. +3600000 for CET)
+ */
+function getTimezoneOffset(timestamp, timeZone) {
+    const p = getZonedParts(new Date(timestamp), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (timestamp - (timestamp % 1000));
+}
+
+/**
+ * Converts a wall-clock time in a timezone to a UTC Date (DST-aware)
+ */
+function zonedTimeToUtc(local, timeZone) {
+    const guess = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+    const offset = getTimezoneOffset(guess, timeZone);
+    let result = guess - offset;
+
+    // Across a DST transition the offset at the result differs from the guess
+    const correctedOffset = getTimezoneOffset(result, timeZone);
+    if (correctedOffset !== offset) {
+        result = guess - correctedOffset;
+    }
+
+    return new Date(result);
+}
+
+// ==============================================
+// CIVIL DATE HELPERS
+// ==============================================
+
+function civilDate(year, month, day) {
+    const d = new Date(Date.UTC(year, month - 1, day));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function addDays(date, days) {
+    return civilDate(date.year, date.month, date.day + days);
+}
+
+function weekdayOf(date) {
+    return new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function dateKey(date) {
+    return date.year * 10000 + date.month * 100 + date.day;
+}
+
+function formatDateKey(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+// ==============================================
+// RULE PARSING
+// ==============================================
+
+/**
+ * Parses an iCalendar date/date-time value (20250101 or 20250101T090000Z)
+ */
+function parseICalDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+    if (!match) {
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) {
+            throw new Error(`Invalid date value: ${value}`);
+        }
+        return parsed;
+    }
+
+    const [, y, mo, d, h = '00', mi = '00', s = '00'] = match;
+    return new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+}
+
+function formatICalDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parses an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE") into the JSONB shape
+ */
+function parseRRuleString(rruleString) {
+    const rule = {};
+    const body = String(rruleString).trim().replace(/^RRULE:/i, '');
+
+    for (const part of body.split(';')) {
+        const [rawKey, rawValue] = part.split('=');
+        if (!rawKey || rawValue === undefined) {
+            continue;
+        }
+
+        const key = rawKey.trim().toLowerCase();
+        const value = rawValue.trim();
+
+        switch (key) {
+            case 'freq':
+            case 'wkst':
+                rule[key] = value.toUpperCase();
+                break;
+            case 'interval':
+            case 'count':
+                rule[key] = parseInt(value, 10);
+                break;
+            case 'byday':
+                rule.byday = value.toUpperCase().split(',');
+                break;
+            case 'bymonthday':
+            case 'bymonth':
+                rule[key] = value.split(',').map(v => parseInt(v, 10));
+                break;
+            case 'until':
+                rule.until = parseICalDate(value).toISOString();
+                break;
+            default:
+                // Nicht unterstützte Teile (BYSETPOS, BYHOUR, ...) werden ignoriert
+                break;
+        }
+    }
+
+    return rule;
+}
+
+/**
+ * Serializes a rule (JSONB shape) into an RRULE string
+ */
+function toRRuleString(rule) {
+    const normalized = normalizeRule(rule);
+    const parts = [`FREQ=${normalized.freq}`];
+
+    if (normalized.interval !== 1) {
+        parts.push(`INTERVAL=${normalized.interval}`);
+    }
+    if (normalized.count) {
+        parts.push(`COUNT=${normalized.count}`);
+    }
+    if (normalized.until) {
+        parts.push(`UNTIL=${formatICalDateTime(normalized.until)}`);
+    }
+    if (normalized.byday.length > 0) {
+        parts.push(`BYDAY=${normalized.byday.map(d => `${d.ordinal || ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+    }
+    if (normalized.bymonthday.length > 0) {
+        parts.push(`BYMONTHDAY=${normalized.bymonthday.join(',')}`);
+    }
+    if (normalized.bymonth.length > 0) {
+        parts.push(`BYMONTH=${normalized.bymonth.join(',')}`);
+    }
+    if (normalized.wkst !== 1) {
+        parts.push(`WKST=${WEEKDAYS[normalized.wkst]}`);
+    }
+
+    return parts.join(';');
+}
+
+function toArray(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return Array.isArray(value) ? value : String(value).split(',');
+}
+
+/**
+ * Validates a rule (object, JSON string or RRULE string) and returns the
+ * internal representation used by the expansion
+ */
+function normalizeRule(rule) {
+    if (!rule) {
+        throw new Error('Recurrence rule is required');
+    }
+
+    let source = rule;
+    if (typeof source === 'string') {
+        const trimmed = source.trim();
+        source = trimmed.startsWith('{') ? JSON.parse(trimmed) : parseRRuleString(trimmed);
+    }
+
+    const raw = {};
+    for (const [key, value] of Object.entries(source)) {
+        raw[key.toLowerCase()] = value;
+    }
+
+    const freq = String(raw.freq || '').toUpperCase();
+    if (!FREQUENCIES.includes(freq)) {
+        throw new Error(`Invalid recurrence frequency. Must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    const interval = raw.interval ? parseInt(raw.interval, 10) : 1;
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw new Error('Recurrence interval must be a positive integer');
+    }
+
+    const count = raw.count ? parseInt(raw.count, 10) : null;
+    if (count !== null && (!Number.isInteger(count) || count < 1)) {
+        throw new Error('Recurrence count must be a positive integer');
+    }
+
+    const until = raw.until ? parseICalDate(raw.until) : null;
+
+    const byday = toArray(raw.byday).map(entry => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(String(entry).trim().toUpperCase());
+        if (!match) {
+            throw new Error(`Invalid BYDAY value: ${entry}`);
+        }
+        return {
+            ordinal: match[1] ? parseInt(match[1], 10) : null,
+            weekday: WEEKDAYS.indexOf(match[2])
+        };
+    });
+
+    const bymonthday = toArray(raw.bymonthday).map(v => parseInt(v, 10));
+    if (bymonthday.some(v => !v || v < -31 || v > 31)) {
+        throw new Error('BYMONTHDAY values must be between -31 and 31 (not 0)');
+    }
+
+    const bymonth = toArray(raw.bymonth).map(v => parseInt(v, 10));
+    if (bymonth.some(v => !v || v < 1 || v > 12)) {
+        throw new Error('BYMONTH values must be between 1 and 12');
+    }
+
+    const wkst = raw.wkst ? WEEKDAYS.indexOf(String(raw.wkst).toUpperCase()) : 1;
+
+    return { freq, interval, count, until, byday, bymonthday, bymonth, wkst: wkst >= 0 ? wkst : 1 };
+}
+
+/**
+ * Canonical JSONB representation for storage (accepts RRULE strings too)
+ */
+function toRuleObject(rule) {
+    const normalized = normalizeRule(rule);
+    const result = { freq: normalized.freq, interval: normalized.interval };
+
+    if (normalized.byday.length > 0) {
+        result.byday = normalized.byday.map(d => `${d.ordinal || ''}${WEEKDAYS[d.weekday]}`);
+    }
+    if (normalized.bymonthday.length > 0) {
+        result.bymonthday = normalized.bymonthday;
+    }
+    if (normalized.bymonth.length > 0) {
+        result.bymonth = normalized.bymonth;
+    }
+    if (normalized.count) {
+        result.count = normalized.count;
+    }
+    if (normalized.until) {
+        result.until = normalized.until.toISOString();
+    }
+    if (normalized.wkst !== 1) {
+        result.wkst = WEEKDAYS[normalized.wkst];
+    }
+
+    return result;
+}
+
+// ==============================================
+// CANDIDATE GENERATION
+// ==============================================
+
+/**
+ * Days of a month selected by BYMONTHDAY / BYDAY (or the DTSTART day)
+ */
+function selectMonthDays(year, month, rule, startDate) {
+    const lastDay = daysInMonth(year, month);
+    let days = [];
+
+    if (rule.bymonthday.length > 0) {
+        for (const d of rule.bymonthday) {
+            const day = d > 0 ? d : lastDay + d + 1;
+            if (day >= 1 && day <= lastDay) {
+                days.push(day);
+            }
+        }
+    }
+
+    if (rule.byday.length > 0) {
+        const weekdayDays = [];
+        for (const { ordinal, weekday } of rule.byday) {
+            const matching = [];
+            for (let day = 1; day <= lastDay; day++) {
+                if (weekdayOf({ year, month, day }) === weekday) {
+                    matching.push(day);
+                }
+            }
+
+            if (ordinal === null) {
+                weekdayDays.push(...matching);
+            } else {
+                const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                if (day) {
+                    weekdayDays.push(day);
+                }
+            }
+        }
+
+        // BYMONTHDAY und BYDAY zusammen wirken als Schnittmenge
+        days = rule.bymonthday.length > 0 ? days.filter(d => weekdayDays.includes(d)) : weekdayDays;
+    }
+
+    if (rule.bymonthday.length === 0 && rule.byday.length === 0 && startDate.day <= lastDay) {
+        days.push(startDate.day);
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b).map(day => ({ year, month, day }));
+}
+
+/**
+ * Candidate local dates of the n-th period of the rule
+ */
+function candidatesForPeriod(rule, startDate, n) {
+    const step = n * rule.interval;
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            const date = addDays(startDate, step);
+            if (rule.bymonth.length > 0 && !rule.bymonth.includes(date.month)) {
+                return [];
+            }
+            if (rule.byday.length > 0 && !rule.byday.some(d => d.weekday === weekdayOf(date))) {
+                return [];
+            }
+            return [date];
+        }
+
+        case 'WEEKLY': {
+            const weekStart = addDays(startDate, -((weekdayOf(startDate) - rule.wkst + 7) % 7) + step * 7);
+            const weekdays = rule.byday.length > 0
+                ? rule.byday.map(d => d.weekday)
+                : [weekdayOf(startDate)];
+
+            return [...new Set(weekdays)]
+                .map(weekday => addDays(weekStart, (weekday - rule.wkst + 7) % 7))
+                .filter(date => rule.bymonth.length === 0 || rule.bymonth.includes(date.month))
+                .sort((a, b) => dateKey(a) - dateKey(b));
+        }
+
+        case 'MONTHLY': {
+            const monthIndex = startDate.month - 1 + step;
+            const year = startDate.year + Math.floor(monthIndex / 12);
+            const month = (monthIndex % 12) + 1;
+            if (rule.bymonth.length > 0 && !rule.bymonth.includes(month)) {
+                return [];
+            }
+            return selectMonthDays(year, month, rule, startDate);
+        }
+
+        case 'YEARLY': {
+            const year = startDate.year + step;
+            const months = rule.bymonth.length > 0 ? [...rule.bymonth].sort((a, b) => a - b) : [startDate.month];
+            return months.flatMap(month => selectMonthDays(year, month, rule, startDate));
+        }
+
+        default:
+            return [];
+    }
+}
+
+// ==============================================
+// EXPANSION
+// ==============================================
+
+function buildExceptionMatcher(exceptionDates, timeZone) {
+    const instants = new Set();
+    const days = new Set();
+
+    let list = exceptionDates || [];
+    if (typeof list === 'string') {
+        list = JSON.parse(list);
+    }
+
+    for (const entry of list) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(entry)) {
+            days.add(entry);
+        } else {
+            const date = new Date(entry);
+            if (!isNaN(date.getTime())) {
+                instants.add(date.getTime());
+            }
+        }
+    }
+
+    return (start) => {
+        if (instants.has(start.getTime())) {
+            return true;
+        }
+        return days.size > 0 && days.has(formatDateKey(getZonedParts(start, timeZone)));
+    };
+}
+
+/**
+ * Expands a recurring event into occurrences overlapping [rangeStart, rangeEnd]
+ *
+ * @param {Object} event - Event row (start_time, end_time, timezone, recurrence_rule, recurrence_exception_dates)
+ * @param {Date|string} rangeStart
+ * @param {Date|string} rangeEnd
+ * @param {Object} options - { includeExceptions: false, limit: Infinity }
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+function expandRecurrence(event, rangeStart, rangeEnd, options = {}) {
+    const { includeExceptions = false, limit = Infinity } = options;
+
+    const rule = normalizeRule(event.recurrence_rule);
+    const timeZone = resolveTimezone(event.timezone);
+    const dtstart = new Date(event.start_time);
+    const duration = new Date(event.end_time).getTime() - dtstart.getTime();
+    const rangeStartMs = new Date(rangeStart).getTime();
+    const rangeEndMs = new Date(rangeEnd).getTime();
+
+    const local = getZonedParts(dtstart, timeZone);
+    const startDate = { year: local.year, month: local.month, day: local.day };
+    const timeOfDay = { hour: local.hour, minute: local.minute, second: local.second };
+
+    // Lokale Datumsgrenzen, um unnötige Zeitzonen-Umrechnungen zu vermeiden
+    const earliestKey = dateKey(getZonedParts(new Date(rangeStartMs - duration - DAY_MS), timeZone));
+    const untilKey = rule.until ? dateKey(getZonedParts(new Date(rule.until.getTime() + DAY_MS), timeZone)) : null;
+
+    const isException = includeExceptions
+        ? () => false
+        : buildExceptionMatcher(event.recurrence_exception_dates, timeZone);
+
+    const occurrences = [];
+    let generated = 0;
+
+    const emit = (start) => {
+        generated++;
+        const end = new Date(start.getTime() + duration);
+        if (start.getTime() <= rangeEndMs && end.getTime() >= rangeStartMs && !isException(start)) {
+            occurrences.push({ start, end });
+        }
+    };
+
+    // DTSTART ist immer das erste Vorkommen
+    emit(dtstart);
+
+    for (let n = 0; n < MAX_PERIODS; n++) {
+        for (const date of candidatesForPeriod(rule, startDate, n)) {
+            const key = dateKey(date);
+            if (key < dateKey(startDate)) {
+                continue;
+            }
+
+            if ((rule.count && generated >= rule.count) || occurrences.length >= limit) {
+                return occurrences;
+            }
+            if (untilKey !== null && key > untilKey) {
+                return occurrences;
+            }
+
+            // Vor dem Zeitraum: nur zählen (COUNT), nicht umrechnen
+            if (key < earliestKey) {
+                if (key !== dateKey(startDate)) {
+                    generated++;
+                }
+                continue;
+            }
+
+            const start = zonedTimeToUtc({ ...date, ...timeOfDay }, timeZone);
+            if (start.getTime() <= dtstart.getTime()) {
+                continue;
+            }
+            if (rule.until && start.getTime() > rule.until.getTime()) {
+                return occurrences;
+            }
+            if (start.getTime() > rangeEndMs) {
+                return occurrences;
+            }
+
+            emit(start);
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Checks whether the given start instant is an occurrence of the series
+ */
+function isOccurrence(event, occurrenceStart, options = {}) {
+    const start = new Date(occurrenceStart);
+    if (isNaN(start.getTime())) {
+        return false;
+    }
+
+    return expandRecurrence(event, start, start, options)
+        .some(occurrence => occurrence.start.getTime() === start.getTime());
+}
+
+/**
+ * Number of generated occurrences (ignoring exceptions) strictly before a date
+ */
+function countOccurrencesBefore(event, date) {
+    const before = new Date(new Date(date).getTime() - 1);
+    return expandRecurrence(event, event.start_time, before, { includeExceptions: true }).length;
+}
+
+/**
+ * End of the last occurrence of a series (null = unbounded)
+ * UNTIL gives an upper bound, COUNT is expanded to its last occurrence
+ */
+function getSeriesEnd(event) {
+    const rule = normalizeRule(event.recurrence_rule);
+    const duration = new Date(event.end_time).getTime() - new Date(event.start_time).getTime();
+
+    if (rule.count) {
+        const rangeEnd = rule.until ? rule.until : new Date(8.64e15);
+        const occurrences = expandRecurrence(event, event.start_time, rangeEnd, { includeExceptions: true });
+        return occurrences.length > 0 ? occurrences[occurrences.length - 1].end : new Date(event.end_time);
+    }
+
+    return rule.until ? new Date(rule.until.getTime() + duration) : null;
+}
+
+module.exports = {
+    WEEKDAYS,
+    FREQUENCIES,
+    DEFAULT_TIMEZONE,
+
+    // Rules
+    normalizeRule,
+    toRuleObject,
+    parseRRuleString,
+    toRRuleString,
+    parseICalDate,
+    formatICalDateTime,
+
+    // Expansion
+    expandRecurrence,
+    isOccurrence,
+    countOccurrencesBefore,
+    getSeriesEnd,
+
+    // Timezones
+    resolveTimezone,
+    getZonedParts,
+    getTimezoneOffset,
+    zonedTimeToUtc
+};
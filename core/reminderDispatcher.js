@@ -0,0 +1,227 @@
+// =====================================================
+// Reminder Dispatcher - Event Reminder Delivery
+// =====================================================
+// Purpose: Deliver due event reminders as notifications,
+// real-time socket events and (optionally) emails
+// =====================================================
+
+const database = require('./database');
+const eventsService = require('./eventsService');
+const mailer = require('./mailer');
+const mailService = require('./mailService');
+const notificationService = require('./notificationService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('ReminderDispatcher');
+
+// Poll interval in milliseconds (1 minute)
+const DISPATCH_INTERVAL = parseInt(process.env.REMINDER_DISPATCH_INTERVAL_SECONDS || 60) * 1000;
+const BATCH_SIZE = 100;
+
+// Users in these states are not pinged, except for short-notice reminders
+const QUIET_STATUSES = ['dnd'];
+const QUIET_BYPASS_MINUTES = 15;
+
+let dispatchTimer = null;
+let dispatching = false;
+
+/**
+ * Human readable lead time ("in 15 Minuten", "morgen")
+ */
+function formatLeadTime(minutes) {
+    if (minutes <= 0) {
+        return 'jetzt';
+    }
+    if (minutes < 60) {
+        return `in ${minutes} Minuten`;
+    }
+    if (minutes < 24 * 60) {
+        const hours = Math.round(minutes / 60);
+        return hours === 1 ? 'in einer Stunde' : `in ${hours} Stunden`;
+    }
+
+    const days = Math.round(minutes / (24 * 60));
+    return days === 1 ? 'morgen' : `in ${days} Tagen`;
+}
+
+/**
+ * Builds title and message of a reminder notification
+ */
+function buildReminderContent(reminder, occurrenceStart) {
+    const when = occurrenceStart.toLocaleString(reminder.user_language || 'de', {
+        timeZone: reminder.event_timezone || 'Europe/Berlin',
+        dateStyle: 'medium',
+        ...(reminder.event_all_day ? {} : { timeStyle: 'short' })
+    });
+    const location = reminder.location_name || reminder.location_details;
+
+    return {
+        title: `Erinnerung: ${reminder.event_title}`,
+        message: `${reminder.event_title} beginnt ${formatLeadTime(reminder.minutes_before)} (${when})`
+            + (location ? ` - ${location}` : ''),
+        link: `/events/${reminder.event_id}`
+    };
+}
+
+/**
+ * Sends the reminder by email (SMTP, otherwise the user's Exchange mailbox)
+ */
+async function sendReminderMail(reminder, content) {
+    if (!reminder.user_email) {
+        return false;
+    }
+
+    const url = `${process.env.FRONTEND_URL || 'http://localhost:3000'}${content.link}`;
+    const text = `${content.message}\n\n${url}`;
+
+    if (mailer.isConfigured()) {
+        await mailer.sendSystemMail({ to: reminder.user_email, subject: content.title, text });
+        return true;
+    }
+
+    if (process.env.EXCHANGE_ENABLED === 'true') {
+        await mailService.sendMail(reminder.user_id, {
+            to: [reminder.user_email],
+            subject: content.title,
+            body: text
+        });
+        return true;
+    }
+
+    logger.debug('No mail transport configured, skipping reminder email', { reminderId: reminder.id });
+    return false;
+}
+
+/**
+ * Delivers a single reminder
+ *
+ * The reminder is claimed and the notification row written in one transaction,
+ * so a reminder is never delivered twice (also across restarts or parallel instances).
+ *
+ * @returns {Promise<string>} delivered | silent | expired | skipped
+ */
+async function dispatchReminder(reminder) {
+    const occurrenceStart = eventsService.getReminderOccurrenceStart(reminder);
+    const content = buildReminderContent(reminder, occurrenceStart);
+
+    // Reminders for events that already started (e.g. after downtime) are dropped
+    const expired = occurrenceStart.getTime() <= Date.now();
+
+    const client = await database.pool.connect();
+    let notification = null;
+
+    try {
+        await client.query('BEGIN');
+
+        const claimed = await eventsService.claimReminder(reminder, client);
+        if (!claimed) {
+            await client.query('ROLLBACK');
+            return 'skipped';
+        }
+
+        if (!expired) {
+            notification = await notificationService.createNotification({
+                user_id: reminder.user_id,
+                notification_type: 'event_reminder',
+                source_type: 'event',
+                source_id: reminder.event_id,
+                ...content
+            }, { client });
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    if (!notification) {
+        return 'expired';
+    }
+
+    // Do not disturb: only the notification row, no push or email
+    if (QUIET_STATUSES.includes(reminder.user_status) && reminder.minutes_before > QUIET_BYPASS_MINUTES) {
+        return 'silent';
+    }
+
+    await notificationService.publish(notification);
+
+    if (reminder.method === 'email') {
+        try {
+            await sendReminderMail(reminder, content);
+        } catch (error) {
+            logger.warn('Failed to send reminder email', { reminderId: reminder.id, error: error.message });
+        }
+    }
+
+    return 'delivered';
+}
+
+/**
+ * Deliver all due reminders
+ */
+async function dispatchPendingReminders() {
+    if (dispatching) {
+        return;
+    }
+
+    dispatching = true;
+
+    try {
+        const reminders = await eventsService.getPendingReminders(BATCH_SIZE);
+
+        if (reminders.length === 0) {
+            return;
+        }
+
+        const stats = { delivered: 0, silent: 0, expired: 0, skipped: 0, failed: 0 };
+
+        for (const reminder of reminders) {
+            try {
+                stats[await dispatchReminder(reminder)]++;
+            } catch (error) {
+                stats.failed++;
+                logger.error('Failed to dispatch reminder', { reminderId: reminder.id, error: error.message });
+            }
+        }
+
+        logger.info(`Dispatched ${reminders.length} reminders`, stats);
+    } catch (error) {
+        logger.error('Error in dispatchPendingReminders', { error: error.message });
+    } finally {
+        dispatching = false;
+    }
+}
+
+/**
+ * Start the reminder dispatcher
+ */
+function startWorker() {
+    logger.info(`Starting reminder dispatcher (interval: ${DISPATCH_INTERVAL / 1000} seconds)`);
+
+    dispatchTimer = setInterval(() => {
+        dispatchPendingReminders();
+    }, DISPATCH_INTERVAL);
+
+    // Catch up on reminders that became due while the server was down
+    dispatchPendingReminders();
+}
+
+/**
+ * Stop the dispatcher
+ */
+function stopWorker() {
+    logger.info('Stopping reminder dispatcher...');
+
+    clearInterval(dispatchTimer);
+    dispatchTimer = null;
+}
+
+module.exports = {
+    startWorker,
+    stopWorker,
+    dispatchPendingReminders,
+    dispatchReminder
+};
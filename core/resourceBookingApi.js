@@ -0,0 +1,311 @@
+/**
+ * Resource Booking API
+ * REST-Endpunkte für Raum- und Ressourcenbuchungen
+ */
+
+const express = require('express');
+const router = express.Router();
+const resourceBookingService = require('./resourceBookingService');
+const { authenticateToken, requirePermission } = require('./middleware');
+const { userHasPermission } = require('./permissions');
+const i18n = require('./i18n');
+
+const NOT_FOUND_MESSAGES = ['Booking not found', 'Resource not found'];
+
+// Validation errors of resourceBookingService and recurrence; everything else
+// (e.g. database errors) is answered with a generic 500
+const VALIDATION_PATTERN = /^(Invalid|Resource is not bookable|Resource capacity|End time must|Booking must|Booking is not pending|Recurring bookings are limited|Recurrence|BYMONTHDAY|BYMONTH|resource_id, start_time and end_time|start_time and end_time)/;
+
+/**
+ * Sends a booking error (409 with the conflicting bookings for overlaps)
+ */
+function sendBookingError(res, req, error) {
+    let status = null;
+    if (error.conflicts) {
+        status = 409;
+    } else if (NOT_FOUND_MESSAGES.includes(error.message)) {
+        status = 404;
+    } else if (VALIDATION_PATTERN.test(error.message)) {
+        status = 400;
+    }
+
+    if (!status) {
+        return res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+
+    res.status(status).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+    });
+}
+
+// ==============================================
+// AVAILABILITY
+// ==============================================
+
+/**
+ * GET /api/resources/available
+ * Find free resources
+ * Query: start_time, end_time, location_id?, resource_type?, min_capacity?, equipment? (comma separated)
+ */
+router.get('/resources/available', authenticateToken, async (req, res) => {
+    try {
+        const { start_time, end_time, location_id, resource_type, min_capacity, equipment } = req.query;
+
+        const resources = await resourceBookingService.findAvailableResources({
+            start_time,
+            end_time,
+            location_id: location_id ? parseInt(location_id) : undefined,
+            resource_type,
+            min_capacity: min_capacity ? parseInt(min_capacity) : undefined,
+            equipment: equipment ? equipment.split(',').map(item => item.trim()).filter(Boolean) : []
+        });
+
+        res.json({
+            success: true,
+            data: resources
+        });
+    } catch (error) {
+        console.error('Error finding available resources:', error);
+        sendBookingError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/resources/:resourceId/bookings
+ * Occupied slots of a resource
+ */
+router.get('/resources/:resourceId/bookings', authenticateToken, async (req, res) => {
+    try {
+        const { start_date, end_date } = req.query;
+
+        const bookings = await resourceBookingService.getResourceSchedule(
+            parseInt(req.params.resourceId),
+            start_date,
+            end_date
+        );
+
+        res.json({
+            success: true,
+            data: bookings
+        });
+    } catch (error) {
+        console.error('Error getting resource schedule:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+// ==============================================
+// BOOKINGS
+// ==============================================
+
+/**
+ * POST /api/bookings
+ * Book a resource
+ * Body: { resource_id, start_time, end_time, title?, notes?, attendee_count?,
+ *         recurrence_rule?, timezone?, skip_conflicts? }
+ */
+router.post('/bookings', authenticateToken, async (req, res) => {
+    try {
+        const { event_id, ...bookingData } = req.body; // Event-Buchungen nur über POST /api/events
+
+        const result = await resourceBookingService.createBooking(bookingData, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            data: result.bookings[0],
+            occurrences: result.bookings.length,
+            skipped: result.skipped,
+            message: result.bookings[0].status === 'pending'
+                ? 'Booking created and awaiting approval'
+                : 'Booking created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating booking:', error);
+        sendBookingError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/user/bookings
+ * Current user's bookings
+ */
+router.get('/user/bookings', authenticateToken, async (req, res) => {
+    try {
+        const { status, start_date, end_date, limit = 100, offset = 0 } = req.query;
+
+        const bookings = await resourceBookingService.listBookings({
+            user_id: req.user.userId,
+            status: status ? status.split(',') : undefined,
+            start_date,
+            end_date,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+
+        res.json({
+            success: true,
+            data: bookings
+        });
+    } catch (error) {
+        console.error('Error getting user bookings:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * GET /api/bookings/pending
+ * Bookings awaiting approval
+ */
+router.get('/bookings/pending', authenticateToken, requirePermission('bookings.approve'), async (req, res) => {
+    try {
+        const { location_id, resource_id } = req.query;
+
+        const bookings = await resourceBookingService.getPendingApprovals({
+            location_id: location_id ? parseInt(location_id) : undefined,
+            resource_id: resource_id ? parseInt(resource_id) : undefined
+        });
+
+        res.json({
+            success: true,
+            data: bookings
+        });
+    } catch (error) {
+        console.error('Error getting pending bookings:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * GET /api/bookings/:id
+ * Get booking details
+ */
+router.get('/bookings/:id', authenticateToken, async (req, res) => {
+    try {
+        const booking = await resourceBookingService.getBooking(parseInt(req.params.id));
+
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        res.json({
+            success: true,
+            data: booking
+        });
+    } catch (error) {
+        console.error('Error getting booking:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/bookings/:id
+ * Cancel a booking
+ * Query: scope ('this' | 'series')
+ */
+router.delete('/bookings/:id', authenticateToken, async (req, res) => {
+    try {
+        const { scope = 'this' } = req.query;
+
+        const booking = await resourceBookingService.getBooking(parseInt(req.params.id));
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: i18n.t('errors.notFound', { lng: req.language })
+            });
+        }
+
+        // Owner or approver
+        if (booking.user_id !== req.user.userId && !(await userHasPermission(req.user, 'bookings.approve'))) {
+            return res.status(403).json({
+                success: false,
+                message: i18n.t('errors.forbidden', { lng: req.language })
+            });
+        }
+
+        const count = await resourceBookingService.cancelBooking(booking.id, req.user.userId, scope);
+
+        res.json({
+            success: true,
+            data: { cancelled: count },
+            message: 'Booking cancelled successfully'
+        });
+    } catch (error) {
+        console.error('Error cancelling booking:', error);
+        sendBookingError(res, req, error);
+    }
+});
+
+// ==============================================
+// APPROVAL WORKFLOW
+// ==============================================
+
+/**
+ * POST /api/bookings/:id/approve
+ * Approve a pending booking
+ * Body: { scope?: 'this' | 'series' }
+ */
+router.post('/bookings/:id/approve', authenticateToken, requirePermission('bookings.approve'), async (req, res) => {
+    try {
+        const { scope = 'this' } = req.body;
+
+        const bookings = await resourceBookingService.approveBooking(parseInt(req.params.id), req.user.userId, scope);
+
+        res.json({
+            success: true,
+            data: bookings,
+            message: 'Booking approved'
+        });
+    } catch (error) {
+        console.error('Error approving booking:', error);
+        sendBookingError(res, req, error);
+    }
+});
+
+/**
+ * POST /api/bookings/:id/reject
+ * Reject a pending booking
+ * Body: { reason?, scope?: 'this' | 'series' }
+ */
+router.post('/bookings/:id/reject', authenticateToken, requirePermission('bookings.approve'), async (req, res) => {
+    try {
+        const { reason, scope = 'this' } = req.body;
+
+        const bookings = await resourceBookingService.rejectBooking(
+            parseInt(req.params.id),
+            req.user.userId,
+            reason,
+            scope
+        );
+
+        res.json({
+            success: true,
+            data: bookings,
+            message: 'Booking rejected'
+        });
+    } catch (error) {
+        console.error('Error rejecting booking:', error);
+        sendBookingError(res, req, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,711 @@
+/**
+ * Resource Booking Service
+ * Buchung von Räumen und Ressourcen (location_resources): Verfügbarkeitssuche,
+ * Konflikterkennung inkl. Puffer, Genehmigungs-Workflow und Serienbuchungen
+ */
+
+const database = require('./database');
+const recurrence = require('./recurrence');
+const notificationService = require('./notificationService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('ResourceBookingService');
+
+// Bookings in these states occupy the resource
+const BLOCKING_STATUSES = ['pending', 'confirmed'];
+const BOOKING_SCOPES = ['this', 'series'];
+
+// Recurring bookings without UNTIL/COUNT are created for this many days
+const SERIES_HORIZON_DAYS = 365;
+const MAX_SERIES_BOOKINGS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+/**
+ * Runs fn inside a transaction (or inside the caller's transaction if a client is given)
+ * @private
+ */
+async function withTransaction(externalClient, fn) {
+    if (externalClient) {
+        return fn(externalClient);
+    }
+
+    const client = await database.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Error for overlapping bookings (carries the conflicting bookings)
+ * @private
+ */
+function conflictError(conflicts) {
+    const error = new Error('Resource is not available in the requested time range');
+    error.conflicts = conflicts;
+    return error;
+}
+
+/**
+ * Loads a resource and locks it, so concurrent bookings of the same resource are serialized
+ * @private
+ */
+async function lockResource(client, resourceId) {
+    const result = await client.query(
+        'SELECT * FROM location_resources WHERE id = $1 FOR UPDATE',
+        [resourceId]
+    );
+
+    const resource = result.rows[0];
+    if (!resource || !resource.is_active) {
+        throw new Error('Resource not found');
+    }
+    if (!resource.is_bookable) {
+        throw new Error('Resource is not bookable');
+    }
+
+    return resource;
+}
+
+/**
+ * Checks duration limits and capacity of a resource
+ * @private
+ */
+function validateBookingWindow(resource, start, end, attendeeCount) {
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        throw new Error('Invalid start_time or end_time');
+    }
+    if (end <= start) {
+        throw new Error('End time must be after start time');
+    }
+
+    const minutes = (end - start) / 60000;
+
+    if (resource.min_booking_duration && minutes < resource.min_booking_duration) {
+        throw new Error(`Booking must be at least ${resource.min_booking_duration} minutes`);
+    }
+    if (resource.max_booking_duration && minutes > resource.max_booking_duration) {
+        throw new Error(`Booking must not exceed ${resource.max_booking_duration} minutes`);
+    }
+    if (attendeeCount && resource.capacity && attendeeCount > resource.capacity) {
+        throw new Error(`Resource capacity (${resource.capacity}) exceeded`);
+    }
+}
+
+/**
+ * Time slots of a booking (one per occurrence for recurring bookings)
+ * @private
+ */
+function expandBookingTimes(start, end, recurrenceRule, timezone) {
+    if (!recurrenceRule) {
+        return [{ start, end }];
+    }
+
+    const rule = recurrence.normalizeRule(recurrenceRule);
+    if (rule.count && rule.count > MAX_SERIES_BOOKINGS) {
+        throw new Error(`Recurring bookings are limited to ${MAX_SERIES_BOOKINGS} occurrences`);
+    }
+
+    const horizon = rule.until || new Date(start.getTime() + SERIES_HORIZON_DAYS * DAY_MS);
+
+    return recurrence.expandRecurrence(
+        { start_time: start, end_time: end, timezone, recurrence_rule: recurrenceRule },
+        start,
+        horizon,
+        { limit: MAX_SERIES_BOOKINGS }
+    );
+}
+
+/**
+ * Existing bookings that overlap any of the slots (including the resource's buffer)
+ *
+ * @param {number} resourceId
+ * @param {Array<{start: Date, end: Date}>} slots
+ * @param {Object} options - { bufferMinutes, excludeBookingIds, excludeEventId, client }
+ * @returns {Promise<Array>} Conflicting bookings with slot_index
+ */
+async function findConflicts(resourceId, slots, options = {}) {
+    const {
+        bufferMinutes = 0,
+        excludeBookingIds = [],
+        excludeEventId = null,
+        client = database
+    } = options;
+
+    if (slots.length === 0) {
+        return [];
+    }
+
+    const result = await client.query(
+        `SELECT rb.id, rb.start_time, rb.end_time, rb.status, rb.title, rb.event_id,
+                u.name as booked_by_name, slot.idx - 1 as slot_index
+         FROM resource_bookings rb
+         JOIN unnest($2::timestamptz[], $3::timestamptz[]) WITH ORDINALITY AS slot(start_time, end_time, idx)
+           ON rb.start_time < slot.end_time + make_interval(mins => $4)
+          AND rb.end_time + make_interval(mins => $4) > slot.start_time
+         LEFT JOIN users u ON u.id = rb.user_id
+         WHERE rb.resource_id = $1
+           AND rb.status = ANY($5)
+           AND NOT (rb.id = ANY($6::int[]))
+           AND ($7::int IS NULL OR rb.event_id IS DISTINCT FROM $7)
+         ORDER BY rb.start_time ASC`,
+        [
+            resourceId,
+            slots.map(slot => slot.start),
+            slots.map(slot => slot.end),
+            bufferMinutes || 0,
+            BLOCKING_STATUSES,
+            excludeBookingIds,
+            excludeEventId
+        ]
+    );
+
+    return result.rows.map(row => ({ ...row, slot_index: parseInt(row.slot_index) }));
+}
+
+/**
+ * Notifies the booking owner (approval workflow)
+ * @private
+ */
+async function notifyBookingOwner(booking, type, title, message, actorId) {
+    await notificationService.createNotification({
+        user_id: booking.user_id,
+        notification_type: type,
+        source_type: 'resource_booking',
+        source_id: booking.id,
+        actor_id: actorId,
+        title,
+        message,
+        link: booking.event_id ? `/events/${booking.event_id}` : null
+    });
+}
+
+/**
+ * Bookings affected by a scope ('this' or the whole series)
+ * @private
+ */
+function scopeCondition(booking, scope) {
+    if (!BOOKING_SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope: ${scope}`);
+    }
+
+    const seriesId = booking.series_id || booking.id;
+
+    return scope === 'series'
+        ? { sql: '(id = $1 OR series_id = $1)', param: seriesId }
+        : { sql: 'id = $1', param: booking.id };
+}
+
+// ==============================================
+// BOOKINGS
+// ==============================================
+
+/**
+ * Books a resource (single or recurring)
+ *
+ * Resources with requires_approval are booked as 'pending'; pending bookings
+ * already block the slot until they are approved or rejected.
+ *
+ * @param {Object} bookingData - { resource_id, start_time, end_time, title, notes, attendee_count,
+ *                                 recurrence_rule, timezone, event_id, booking_period, skip_conflicts }
+ * @param {number} userId - Booking user
+ * @param {Object} options - { client } to book inside an existing transaction
+ * @returns {Promise<{bookings: Array, skipped: Array}>}
+ */
+async function createBooking(bookingData, userId, options = {}) {
+    const {
+        resource_id,
+        start_time,
+        end_time,
+        title,
+        notes,
+        attendee_count,
+        recurrence_rule,
+        timezone = recurrence.DEFAULT_TIMEZONE,
+        event_id = null,
+        booking_period = null, // Desk-Buchungen: full_day, morning, afternoon
+        skip_conflicts = false // Serien: belegte Termine überspringen statt abzulehnen
+    } = bookingData;
+
+    try {
+        if (!resource_id || !start_time || !end_time) {
+            throw new Error('resource_id, start_time and end_time are required');
+        }
+
+        const start = new Date(start_time);
+        const end = new Date(end_time);
+
+        const result = await withTransaction(options.client, async (client) => {
+            const resource = await lockResource(client, resource_id);
+            validateBookingWindow(resource, start, end, attendee_count);
+
+            const slots = expandBookingTimes(start, end, recurrence_rule, timezone);
+            const conflicts = await findConflicts(resource.id, slots, {
+                bufferMinutes: resource.booking_buffer,
+                client
+            });
+
+            if (conflicts.length > 0 && (!skip_conflicts || !recurrence_rule)) {
+                throw conflictError(conflicts);
+            }
+
+            const conflicting = new Set(conflicts.map(conflict => conflict.slot_index));
+            const freeSlots = slots.filter((slot, index) => !conflicting.has(index));
+            const skipped = slots.filter((slot, index) => conflicting.has(index));
+
+            if (freeSlots.length === 0) {
+                throw conflictError(conflicts);
+            }
+
+            const status = resource.requires_approval ? 'pending' : 'confirmed';
+            const ruleObject = recurrence_rule ? recurrence.toRuleObject(recurrence_rule) : null;
+            const bookings = [];
+
+            for (const slot of freeSlots) {
+                const inserted = await client.query(
+                    `INSERT INTO resource_bookings (
+                        resource_id, user_id, event_id, title, notes, attendee_count,
+                        start_time, end_time, series_id, recurrence_rule, status, booking_period, created_by
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $2)
+                    RETURNING *`,
+                    [
+                        resource.id, userId, event_id, title, notes, attendee_count,
+                        slot.start, slot.end,
+                        bookings.length > 0 ? bookings[0].id : null,
+                        bookings.length === 0 ? ruleObject : null,
+                        status,
+                        booking_period
+                    ]
+                );
+                bookings.push(inserted.rows[0]);
+            }
+
+            return { bookings, skipped, resource };
+        });
+
+        logger.info('Resource booked', {
+            resourceId: resource_id,
+            bookingId: result.bookings[0].id,
+            occurrences: result.bookings.length,
+            skipped: result.skipped.length,
+            status: result.bookings[0].status,
+            userId
+        });
+
+        return { bookings: result.bookings, skipped: result.skipped };
+
+    } catch (error) {
+        logger.error('Error creating booking', { resourceId: resource_id, error: error.message, userId });
+        throw error;
+    }
+}
+
+/**
+ * Get booking with resource and location
+ */
+async function getBooking(bookingId) {
+    const result = await database.query(
+        `SELECT rb.*,
+                lr.name as resource_name,
+                lr.resource_type,
+                lr.location_id,
+                l.name as location_name,
+                u.name as user_name
+         FROM resource_bookings rb
+         JOIN location_resources lr ON lr.id = rb.resource_id
+         JOIN locations l ON l.id = lr.location_id
+         LEFT JOIN users u ON u.id = rb.user_id
+         WHERE rb.id = $1`,
+        [bookingId]
+    );
+
+    return result.rows[0] || null;
+}
+
+/**
+ * List bookings
+ */
+async function listBookings(filters = {}) {
+    const {
+        resource_id,
+        location_id,
+        user_id,
+        event_id,
+        status, // single status or array
+        start_date,
+        end_date,
+        limit = 100,
+        offset = 0
+    } = filters;
+
+    let query = `
+        SELECT rb.*,
+               lr.name as resource_name,
+               lr.resource_type,
+               lr.location_id,
+               l.name as location_name,
+               u.name as user_name
+        FROM resource_bookings rb
+        JOIN location_resources lr ON lr.id = rb.resource_id
+        JOIN locations l ON l.id = lr.location_id
+        LEFT JOIN users u ON u.id = rb.user_id
+        WHERE 1=1
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (resource_id) {
+        query += ` AND rb.resource_id = $${paramIndex++}`;
+        params.push(resource_id);
+    }
+
+    if (location_id) {
+        query += ` AND lr.location_id = $${paramIndex++}`;
+        params.push(location_id);
+    }
+
+    if (user_id) {
+        query += ` AND rb.user_id = $${paramIndex++}`;
+        params.push(user_id);
+    }
+
+    if (event_id) {
+        query += ` AND rb.event_id = $${paramIndex++}`;
+        params.push(event_id);
+    }
+
+    if (status) {
+        query += ` AND rb.status = ANY($${paramIndex++})`;
+        params.push(Array.isArray(status) ? status : [status]);
+    }
+
+    if (start_date) {
+        query += ` AND rb.end_time >= $${paramIndex++}`;
+        params.push(start_date);
+    }
+
+    if (end_date) {
+        query += ` AND rb.start_time <= $${paramIndex++}`;
+        params.push(end_date);
+    }
+
+    query += ` ORDER BY rb.start_time ASC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+    params.push(limit, offset);
+
+    const result = await database.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Cancel a booking (scope 'series' cancels all upcoming bookings of the series)
+ */
+async function cancelBooking(bookingId, userId, scope = 'this') {
+    try {
+        const booking = await getBooking(bookingId);
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+
+        const condition = scopeCondition(booking, scope);
+        const result = await database.query(
+            `UPDATE resource_bookings
+             SET status = 'cancelled'
+             WHERE ${condition.sql}
+               AND status = ANY($2)
+               AND ($3::text = 'this' OR end_time > CURRENT_TIMESTAMP)
+             RETURNING id`,
+            [condition.param, BLOCKING_STATUSES, scope]
+        );
+
+        logger.info('Booking cancelled', { bookingId, scope, count: result.rows.length, userId });
+
+        return result.rows.length;
+
+    } catch (error) {
+        logger.error('Error cancelling booking', { bookingId, error: error.message, userId });
+        throw error;
+    }
+}
+
+// ==============================================
+// APPROVAL WORKFLOW
+// ==============================================
+
+/**
+ * Pending bookings of resources that require approval
+ */
+async function getPendingApprovals(filters = {}) {
+    return listBookings({
+        ...filters,
+        status: 'pending',
+        start_date: filters.start_date || new Date()
+    });
+}
+
+/**
+ * Approve a pending booking (or all pending bookings of its series)
+ */
+async function approveBooking(bookingId, approverId, scope = 'this') {
+    try {
+        const booking = await getBooking(bookingId);
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+        if (booking.status !== 'pending') {
+            throw new Error('Booking is not pending approval');
+        }
+
+        const condition = scopeCondition(booking, scope);
+        const result = await database.query(
+            `UPDATE resource_bookings
+             SET status = 'confirmed', approved_by = $2, approved_at = CURRENT_TIMESTAMP
+             WHERE ${condition.sql} AND status = 'pending'
+             RETURNING *`,
+            [condition.param, approverId]
+        );
+
+        await notifyBookingOwner(
+            booking,
+            'booking_approved',
+            'Buchung genehmigt',
+            `Deine Buchung von ${booking.resource_name} wurde genehmigt`,
+            approverId
+        );
+
+        logger.info('Booking approved', { bookingId, scope, count: result.rows.length, approverId });
+
+        return result.rows;
+
+    } catch (error) {
+        logger.error('Error approving booking', { bookingId, error: error.message, approverId });
+        throw error;
+    }
+}
+
+/**
+ * Reject a pending booking (releases the slot)
+ */
+async function rejectBooking(bookingId, approverId, reason = null, scope = 'this') {
+    try {
+        const booking = await getBooking(bookingId);
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+        if (booking.status !== 'pending') {
+            throw new Error('Booking is not pending approval');
+        }
+
+        const condition = scopeCondition(booking, scope);
+        const result = await database.query(
+            `UPDATE resource_bookings
+             SET status = 'rejected', approved_by = $2, approved_at = CURRENT_TIMESTAMP, rejection_reason = $3
+             WHERE ${condition.sql} AND status = 'pending'
+             RETURNING *`,
+            [condition.param, approverId, reason]
+        );
+
+        await notifyBookingOwner(
+            booking,
+            'booking_rejected',
+            'Buchung abgelehnt',
+            `Deine Buchung von ${booking.resource_name} wurde abgelehnt${reason ? `: ${reason}` : ''}`,
+            approverId
+        );
+
+        logger.info('Booking rejected', { bookingId, scope, count: result.rows.length, approverId });
+
+        return result.rows;
+
+    } catch (error) {
+        logger.error('Error rejecting booking', { bookingId, error: error.message, approverId });
+        throw error;
+    }
+}
+
+// ==============================================
+// AVAILABILITY
+// ==============================================
+
+/**
+ * Bookable resources that are free in the given time range
+ *
+ * @param {Object} criteria - { start_time, end_time, location_id, resource_type, min_capacity, equipment: [] }
+ */
+async function findAvailableResources(criteria = {}) {
+    const {
+        start_time,
+        end_time,
+        location_id,
+        resource_type,
+        min_capacity,
+        equipment = []
+    } = criteria;
+
+    if (!start_time || !end_time) {
+        throw new Error('start_time and end_time are required');
+    }
+
+    const start = new Date(start_time);
+    const end = new Date(end_time);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        throw new Error('Invalid time range');
+    }
+
+    const durationMinutes = (end - start) / 60000;
+
+    let query = `
+        SELECT lr.*, l.name as location_name
+        FROM location_resources lr
+        JOIN locations l ON l.id = lr.location_id
+        WHERE lr.is_active = true
+          AND lr.is_bookable = true
+          AND (lr.min_booking_duration IS NULL OR lr.min_booking_duration <= $3)
+          AND (lr.max_booking_duration IS NULL OR lr.max_booking_duration >= $3)
+          AND NOT EXISTS (
+              SELECT 1 FROM resource_bookings rb
+              WHERE rb.resource_id = lr.id
+                AND rb.status = ANY($4)
+                AND rb.start_time < $2::timestamptz + make_interval(mins => COALESCE(lr.booking_buffer, 0))
+                AND rb.end_time + make_interval(mins => COALESCE(lr.booking_buffer, 0)) > $1::timestamptz
+          )
+    `;
+    const params = [start, end, durationMinutes, BLOCKING_STATUSES];
+    let paramIndex = 5;
+
+    if (location_id) {
+        query += ` AND lr.location_id = $${paramIndex++}`;
+        params.push(location_id);
+    }
+
+    if (resource_type) {
+        query += ` AND lr.resource_type = $${paramIndex++}`;
+        params.push(resource_type);
+    }
+
+    if (min_capacity) {
+        query += ` AND lr.capacity >= $${paramIndex++}`;
+        params.push(min_capacity);
+    }
+
+    if (equipment.length > 0) {
+        query += ` AND lr.equipment @> $${paramIndex++}::jsonb`;
+        params.push(JSON.stringify(equipment));
+    }
+
+    // Kleinster passender Raum zuerst
+    query += ' ORDER BY lr.capacity ASC, lr.name ASC';
+
+    const result = await database.query(query, params);
+    return result.rows;
+}
+
+/**
+ * Occupied slots of a resource in a time range
+ */
+async function getResourceSchedule(resourceId, startDate, endDate) {
+    return listBookings({
+        resource_id: resourceId,
+        status: BLOCKING_STATUSES,
+        start_date: startDate,
+        end_date: endDate,
+        limit: 1000
+    });
+}
+
+// ==============================================
+// EVENT INTEGRATION
+// ==============================================
+
+/**
+ * Cancels the resource bookings of events (event cancelled or deleted)
+ */
+async function releaseEventBookings(eventIds, client = database) {
+    const result = await client.query(
+        `UPDATE resource_bookings
+         SET status = 'cancelled'
+         WHERE event_id = ANY($1::int[]) AND status = ANY($2)
+         RETURNING id`,
+        [eventIds, BLOCKING_STATUSES]
+    );
+
+    if (result.rows.length > 0) {
+        logger.info('Event bookings released', { eventIds, count: result.rows.length });
+    }
+
+    return result.rows.length;
+}
+
+/**
+ * Moves the booking of a single (non-recurring) event to its new time
+ * Throws if the resource is not available at the new time.
+ * @param {Object} options - { client }: run inside the caller's transaction
+ */
+async function moveEventBooking(eventId, startTime, endTime, options = {}) {
+    return withTransaction(options.client, async (client) => {
+        const existing = await client.query(
+            `SELECT * FROM resource_bookings
+             WHERE event_id = $1 AND series_id IS NULL AND recurrence_rule IS NULL AND status = ANY($2)`,
+            [eventId, BLOCKING_STATUSES]
+        );
+
+        for (const booking of existing.rows) {
+            const resource = await lockResource(client, booking.resource_id);
+            const start = new Date(startTime);
+            const end = new Date(endTime);
+
+            validateBookingWindow(resource, start, end, booking.attendee_count);
+
+            const conflicts = await findConflicts(resource.id, [{ start, end }], {
+                bufferMinutes: resource.booking_buffer,
+                excludeEventId: eventId,
+                client
+            });
+            if (conflicts.length > 0) {
+                throw conflictError(conflicts);
+            }
+
+            await client.query(
+                'UPDATE resource_bookings SET start_time = $1, end_time = $2 WHERE id = $3',
+                [start, end, booking.id]
+            );
+        }
+
+        return existing.rows.length;
+    });
+}
+
+module.exports = {
+    // Bookings
+    createBooking,
+    getBooking,
+    listBookings,
+    cancelBooking,
+
+    // Approval
+    getPendingApprovals,
+    approveBooking,
+    rejectBooking,
+
+    // Availability
+    findAvailableResources,
+    findConflicts,
+    getResourceSchedule,
+
+    // Event integration
+    releaseEventBookings,
+    moveEventBooking,
+
+    BLOCKING_STATUSES
+};
@@ -0,0 +1,338 @@
+/**
+ * Role API
+ * Rollen- und Berechtigungs-Editor, zusätzliche Rollen pro Benutzer
+ */
+
+const express = require('express');
+const router = express.Router();
+const roleService = require('./roleService');
+const auditService = require('./auditService');
+const { authenticateToken } = require('./middleware');
+const { requirePermission, getUserPermissions } = require('./permissions');
+const i18n = require('./i18n');
+
+function sendRoleError(res, req, error, context) {
+    const statusMap = {
+        'Role not found': 404,
+        'Permission not found': 404,
+        'User not found': 404,
+        'Role already exists': 409,
+        'Permission already exists': 409,
+        'Role is assigned to users': 409,
+        'Role is in use': 409,
+        'System roles cannot be deleted': 403,
+        'System and module permissions cannot be changed': 403,
+        'The admin role always has all permissions': 403
+    };
+
+    const status = statusMap[error.message] ||
+        (/^(Invalid|Unknown|Role inheritance cycle|A role cannot inherit)/.test(error.message) ? 400 : null);
+
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        message: i18n.t('errors.serverError', { lng: req.language })
+    });
+}
+
+// ==============================================
+// CURRENT USER
+// ==============================================
+
+/**
+ * GET /api/user/permissions
+ * Effective roles and permissions of the current user (e.g. to show admin links)
+ */
+router.get('/user/permissions', authenticateToken, async (req, res) => {
+    try {
+        const { roles, permissions } = await getUserPermissions(req.user);
+
+        res.json({
+            success: true,
+            data: {
+                roles,
+                permissions: Array.from(permissions).sort()
+            }
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'loading user permissions');
+    }
+});
+
+// ==============================================
+// ADMIN: ROLES
+// ==============================================
+
+/**
+ * GET /api/admin/roles
+ * All roles with direct, inherited (effective) permissions and user counts
+ */
+router.get('/admin/roles', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const roles = await roleService.listRoles();
+
+        res.json({
+            success: true,
+            data: roles
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'listing roles');
+    }
+});
+
+/**
+ * GET /api/admin/roles/:id
+ */
+router.get('/admin/roles/:id', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const role = await roleService.getRole(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'loading role');
+    }
+});
+
+/**
+ * POST /api/admin/roles
+ * Body: role_name, display_name?, description?, permissions? (keys), inherits? (role names)
+ */
+router.post('/admin/roles', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const role = await roleService.createRole(req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.ROLE_CREATE,
+            req,
+            resourceType: 'role',
+            resourceId: role.id,
+            description: `Role ${role.role_name} created`,
+            changes: { after: { permissions: role.permissions, inherits: role.inherits } }
+        });
+
+        res.status(201).json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'creating role');
+    }
+});
+
+/**
+ * PUT /api/admin/roles/:id
+ * Body: display_name?, description?, permissions?, inherits? (the role name cannot change)
+ */
+router.put('/admin/roles/:id', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const { before, after } = await roleService.updateRole(parseInt(req.params.id), req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.ROLE_UPDATE,
+            req,
+            resourceType: 'role',
+            resourceId: after.id,
+            description: `Role ${after.role_name} updated`,
+            changes: {
+                before: { display_name: before.display_name, permissions: before.permissions, inherits: before.inherits },
+                after: { display_name: after.display_name, permissions: after.permissions, inherits: after.inherits }
+            }
+        });
+
+        res.json({
+            success: true,
+            data: after
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'updating role');
+    }
+});
+
+/**
+ * DELETE /api/admin/roles/:id
+ * Custom roles only; fails while users have it as their primary role
+ */
+router.delete('/admin/roles/:id', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const role = await roleService.deleteRole(parseInt(req.params.id));
+
+        await auditService.log({
+            action: auditService.ACTIONS.ROLE_DELETE,
+            req,
+            resourceType: 'role',
+            resourceId: role.id,
+            description: `Role ${role.role_name} deleted`,
+            changes: { before: { permissions: role.permissions, inherits: role.inherits } }
+        });
+
+        res.json({
+            success: true,
+            message: 'Role deleted'
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'deleting role');
+    }
+});
+
+// ==============================================
+// ADMIN: PERMISSIONS
+// ==============================================
+
+/**
+ * GET /api/admin/permissions
+ * Core, module and custom permissions with the roles holding them directly
+ */
+router.get('/admin/permissions', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const permissions = await roleService.listPermissions();
+
+        res.json({
+            success: true,
+            data: permissions
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'listing permissions');
+    }
+});
+
+/**
+ * POST /api/admin/permissions
+ * Body: permission_key (e.g. reports.view), permission_name?, description?, category?
+ */
+router.post('/admin/permissions', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const permission = await roleService.createPermission(req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.PERMISSION_CREATE,
+            req,
+            resourceType: 'permission',
+            resourceId: permission.id,
+            description: `Permission ${permission.permission_key} created`
+        });
+
+        res.status(201).json({
+            success: true,
+            data: permission
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'creating permission');
+    }
+});
+
+/**
+ * PUT /api/admin/permissions/:id
+ * Custom permissions only; the key cannot change
+ */
+router.put('/admin/permissions/:id', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const { before, after } = await roleService.updatePermission(parseInt(req.params.id), req.body);
+
+        await auditService.log({
+            action: auditService.ACTIONS.PERMISSION_UPDATE,
+            req,
+            resourceType: 'permission',
+            resourceId: after.id,
+            description: `Permission ${after.permission_key} updated`,
+            changes: { before, after }
+        });
+
+        res.json({
+            success: true,
+            data: after
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'updating permission');
+    }
+});
+
+/**
+ * DELETE /api/admin/permissions/:id
+ * Custom permissions only (removes the grants as well)
+ */
+router.delete('/admin/permissions/:id', authenticateToken, requirePermission('admin.roles'), async (req, res) => {
+    try {
+        const permission = await roleService.deletePermission(parseInt(req.params.id));
+
+        await auditService.log({
+            action: auditService.ACTIONS.PERMISSION_DELETE,
+            req,
+            resourceType: 'permission',
+            resourceId: permission.id,
+            description: `Permission ${permission.permission_key} deleted`
+        });
+
+        res.json({
+            success: true,
+            message: 'Permission deleted'
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'deleting permission');
+    }
+});
+
+// ==============================================
+// ADMIN: USER ROLES
+// ==============================================
+
+/**
+ * GET /api/admin/users/:id/roles
+ * Primary role, additional roles and resulting permissions of a user
+ */
+router.get('/admin/users/:id/roles', authenticateToken, requirePermission('admin.users'), async (req, res) => {
+    try {
+        const assignments = await roleService.getUserRoleAssignments(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: assignments
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'loading user roles');
+    }
+});
+
+/**
+ * PUT /api/admin/users/:id/roles
+ * Body: roles (additional role names; the primary role is changed via PUT /api/admin/users/:id)
+ */
+router.put('/admin/users/:id/roles', authenticateToken, requirePermission('admin.users'), async (req, res) => {
+    try {
+        if (!Array.isArray(req.body.roles)) {
+            return res.status(400).json({
+                success: false,
+                message: 'roles must be an array'
+            });
+        }
+
+        const { before, after } = await roleService.setUserRoles(parseInt(req.params.id), req.body.roles, req.user.userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.ROLE_CHANGE,
+            req,
+            resourceType: 'user',
+            resourceId: after.user_id,
+            description: `Additional roles of ${after.username} set to ${after.roles.join(', ') || 'none'}`,
+            changes: { before: { roles: before.roles }, after: { roles: after.roles } }
+        });
+
+        res.json({
+            success: true,
+            data: after
+        });
+    } catch (error) {
+        sendRoleError(res, req, error, 'updating user roles');
+    }
+});
+
+module.exports = router;
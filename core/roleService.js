@@ -0,0 +1,707 @@
+/**
+ * Role Service
+ * Rollen und Berechtigungen aus der Datenbank: eigene Rollen, Vererbung,
+ * Modul-Berechtigungen, mehrere Rollen pro Benutzer und effektive
+ * Berechtigungen mit Cache
+ */
+
+const database = require('./database');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('RoleService');
+
+// The admin role always holds every permission (no lock-out via the editor)
+const SUPERUSER_ROLE = 'admin';
+
+const CACHE_TTL_MS = (parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS) || 60) * 1000;
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+const PERMISSION_KEY_PATTERN = /^[a-z][a-z0-9_]*(\.[a-z0-9_]+)+$/;
+
+// { roles: Map(name -> { permissions: Set, parents: [] }), allPermissions: [], effective: Map, expiresAt }
+let roleGraph = null;
+// userId -> { roles, expiresAt }
+const userRolesCache = new Map();
+
+// ==============================================
+// CACHE
+// ==============================================
+
+/**
+ * Drop all cached roles and permissions (after any role/permission change)
+ */
+function invalidateCache() {
+    roleGraph = null;
+    userRolesCache.clear();
+}
+
+/**
+ * Drop the cached roles of one user (after role assignment changes)
+ */
+function invalidateUserCache(userId) {
+    userRolesCache.delete(Number(userId));
+}
+
+async function loadRoleGraph() {
+    if (roleGraph && roleGraph.expiresAt > Date.now()) {
+        return roleGraph;
+    }
+
+    const [rolesResult, grantsResult, inheritanceResult, permissionsResult] = await Promise.all([
+        database.query('SELECT id, role_name FROM roles'),
+        database.query(
+            `SELECT r.role_name, p.permission_key
+             FROM role_permissions rp
+             JOIN roles r ON r.id = rp.role_id
+             JOIN permissions p ON p.id = rp.permission_id`
+        ),
+        database.query(
+            `SELECT r.role_name, parent.role_name AS parent_name
+             FROM role_inheritance ri
+             JOIN roles r ON r.id = ri.role_id
+             JOIN roles parent ON parent.id = ri.parent_role_id`
+        ),
+        database.query('SELECT permission_key FROM permissions ORDER BY permission_key')
+    ]);
+
+    const roles = new Map(rolesResult.rows.map(row => [row.role_name, { permissions: new Set(), parents: [] }]));
+
+    grantsResult.rows.forEach((row) => {
+        roles.get(row.role_name)?.permissions.add(row.permission_key);
+    });
+    inheritanceResult.rows.forEach((row) => {
+        roles.get(row.role_name)?.parents.push(row.parent_name);
+    });
+
+    roleGraph = {
+        roles,
+        allPermissions: permissionsResult.rows.map(row => row.permission_key),
+        effective: new Map(),
+        expiresAt: Date.now() + CACHE_TTL_MS
+    };
+
+    return roleGraph;
+}
+
+/**
+ * Adds the own and inherited permissions of a role to permissions.
+ * visited belongs to one top-level resolution and guards against cycles
+ * that predate the cycle check.
+ */
+function collectRolePermissions(graph, roleName, visited, permissions) {
+    const role = graph.roles.get(roleName);
+    if (!role || visited.has(roleName)) {
+        return;
+    }
+
+    visited.add(roleName);
+
+    if (roleName === SUPERUSER_ROLE) {
+        graph.allPermissions.forEach(permission => permissions.add(permission));
+        return;
+    }
+
+    role.permissions.forEach(permission => permissions.add(permission));
+    role.parents.forEach((parent) => {
+        collectRolePermissions(graph, parent, visited, permissions);
+    });
+}
+
+/**
+ * Own and inherited permissions of a role. Only the completely resolved
+ * set is cached, never the partial set of a role inside a cycle.
+ */
+function resolveRolePermissions(graph, roleName) {
+    if (graph.effective.has(roleName)) {
+        return graph.effective.get(roleName);
+    }
+
+    const permissions = new Set();
+    collectRolePermissions(graph, roleName, new Set(), permissions);
+    graph.effective.set(roleName, permissions);
+
+    return permissions;
+}
+
+/**
+ * Effective permissions of a role (including inherited ones)
+ */
+async function getRolePermissions(roleName) {
+    const graph = await loadRoleGraph();
+    return Array.from(resolveRolePermissions(graph, roleName)).sort();
+}
+
+/**
+ * Synchronous variant for callers that only know the role name.
+ * Returns null while the cache is cold; callers fall back to the defaults.
+ */
+function getCachedRolePermissions(roleName) {
+    if (!roleGraph || roleGraph.expiresAt <= Date.now()) {
+        return null;
+    }
+
+    return Array.from(resolveRolePermissions(roleGraph, roleName));
+}
+
+/**
+ * Primary role (users.role) plus additional roles (user_roles)
+ */
+async function getUserRoles(userId) {
+    const cached = userRolesCache.get(Number(userId));
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.roles;
+    }
+
+    const result = await database.query(
+        `SELECT u.role AS role_name, 0 AS sort
+         FROM users u
+         WHERE u.id = $1
+         UNION
+         SELECT r.role_name, 1 AS sort
+         FROM user_roles ur
+         JOIN roles r ON r.id = ur.role_id
+         WHERE ur.user_id = $1
+         ORDER BY sort, role_name`,
+        [userId]
+    );
+
+    const roles = [...new Set(result.rows.map(row => row.role_name))];
+    userRolesCache.set(Number(userId), { roles, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return roles;
+}
+
+/**
+ * Effective permissions of an authenticated user (req.user).
+ * Users without a database row (mock login) get the permissions of their token role.
+ *
+ * @returns {Promise<{ roles: string[], permissions: Set<string> }>}
+ */
+async function getUserPermissions(user) {
+    let roles = user.userId ? await getUserRoles(user.userId) : [];
+    if (roles.length === 0 && user.role) {
+        roles = [user.role];
+    }
+
+    const graph = await loadRoleGraph();
+    const permissions = new Set();
+
+    roles.forEach((roleName) => {
+        resolveRolePermissions(graph, roleName).forEach(permission => permissions.add(permission));
+    });
+
+    return { roles, permissions };
+}
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+async function findPermissionIds(client, keys) {
+    const unique = [...new Set(keys || [])];
+    if (unique.length === 0) {
+        return [];
+    }
+
+    const result = await client.query(
+        'SELECT id, permission_key FROM permissions WHERE permission_key = ANY($1)',
+        [unique]
+    );
+
+    const found = new Set(result.rows.map(row => row.permission_key));
+    const unknown = unique.find(key => !found.has(key));
+    if (unknown) {
+        throw new Error(`Unknown permission: ${unknown}`);
+    }
+
+    return result.rows.map(row => row.id);
+}
+
+async function findRoleIds(client, names) {
+    const unique = [...new Set(names || [])];
+    if (unique.length === 0) {
+        return [];
+    }
+
+    const result = await client.query(
+        'SELECT id, role_name FROM roles WHERE role_name = ANY($1)',
+        [unique]
+    );
+
+    const found = new Set(result.rows.map(row => row.role_name));
+    const unknown = unique.find(name => !found.has(name));
+    if (unknown) {
+        throw new Error(`Unknown role: ${unknown}`);
+    }
+
+    return result.rows.map(row => row.id);
+}
+
+async function replaceRolePermissions(client, roleId, keys) {
+    const permissionIds = await findPermissionIds(client, keys);
+
+    await client.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+    if (permissionIds.length > 0) {
+        await client.query(
+            `INSERT INTO role_permissions (role_id, permission_id)
+             SELECT $1, UNNEST($2::int[])`,
+            [roleId, permissionIds]
+        );
+    }
+}
+
+/**
+ * Replace the parents of a role; rejects parents that (transitively) inherit from it
+ */
+async function replaceRoleParents(client, roleId, parentNames) {
+    const parentIds = await findRoleIds(client, parentNames);
+
+    if (parentIds.includes(roleId)) {
+        throw new Error('A role cannot inherit from itself');
+    }
+
+    const edges = await client.query('SELECT role_id, parent_role_id FROM role_inheritance WHERE role_id <> $1', [roleId]);
+    const parentsOf = new Map();
+    edges.rows.forEach((edge) => {
+        if (!parentsOf.has(edge.role_id)) {
+            parentsOf.set(edge.role_id, []);
+        }
+        parentsOf.get(edge.role_id).push(edge.parent_role_id);
+    });
+
+    // Walk up from each new parent; reaching roleId would close a cycle
+    const stack = [...parentIds];
+    const seen = new Set();
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === roleId) {
+            throw new Error('Role inheritance cycle');
+        }
+        if (!seen.has(current)) {
+            seen.add(current);
+            stack.push(...(parentsOf.get(current) || []));
+        }
+    }
+
+    await client.query('DELETE FROM role_inheritance WHERE role_id = $1', [roleId]);
+    if (parentIds.length > 0) {
+        await client.query(
+            `INSERT INTO role_inheritance (role_id, parent_role_id)
+             SELECT $1, UNNEST($2::int[])`,
+            [roleId, parentIds]
+        );
+    }
+}
+
+async function withTransaction(work) {
+    const client = await database.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await work(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// ==============================================
+// ROLES
+// ==============================================
+
+const ROLE_SELECT = `
+    SELECT r.id, r.role_name, r.display_name, r.description, r.is_system, r.created_at, r.updated_at,
+           ARRAY(
+               SELECT p.permission_key FROM role_permissions rp
+               JOIN permissions p ON p.id = rp.permission_id
+               WHERE rp.role_id = r.id ORDER BY p.permission_key
+           ) AS permissions,
+           ARRAY(
+               SELECT parent.role_name FROM role_inheritance ri
+               JOIN roles parent ON parent.id = ri.parent_role_id
+               WHERE ri.role_id = r.id ORDER BY parent.role_name
+           ) AS inherits,
+           (SELECT COUNT(*) FROM users u WHERE u.role = r.role_name)::int AS primary_user_count,
+           (SELECT COUNT(*) FROM user_roles ur WHERE ur.role_id = r.id)::int AS additional_user_count
+    FROM roles r`;
+
+async function withEffectivePermissions(role) {
+    return {
+        ...role,
+        effective_permissions: await getRolePermissions(role.role_name)
+    };
+}
+
+async function listRoles() {
+    const result = await database.query(`${ROLE_SELECT} ORDER BY r.is_system DESC, r.role_name`);
+    return Promise.all(result.rows.map(withEffectivePermissions));
+}
+
+async function getRole(roleId) {
+    const result = await database.query(`${ROLE_SELECT} WHERE r.id = $1`, [roleId]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Role not found');
+    }
+
+    return withEffectivePermissions(result.rows[0]);
+}
+
+/**
+ * Create a custom role
+ * @param {Object} data - role_name, display_name, description, permissions (keys), inherits (role names)
+ */
+async function createRole(data) {
+    if (!data.role_name || !ROLE_NAME_PATTERN.test(data.role_name)) {
+        throw new Error('Invalid role name (a-z, 0-9, _ and -, 2-50 characters)');
+    }
+
+    const roleId = await withTransaction(async (client) => {
+        let result;
+        try {
+            result = await client.query(
+                `INSERT INTO roles (role_name, display_name, description, is_system)
+                 VALUES ($1, $2, $3, false)
+                 RETURNING id`,
+                [data.role_name, data.display_name || data.role_name, data.description || null]
+            );
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Role already exists');
+            }
+            throw error;
+        }
+
+        const id = result.rows[0].id;
+        await replaceRolePermissions(client, id, data.permissions);
+        await replaceRoleParents(client, id, data.inherits);
+
+        return id;
+    });
+
+    invalidateCache();
+    logger.info('Role created', { roleName: data.role_name });
+
+    return getRole(roleId);
+}
+
+/**
+ * Update display data, permissions and/or parents of a role.
+ * The role name is immutable (referenced by users, LDAP and OIDC mappings).
+ *
+ * @returns {Promise<{ before: Object, after: Object }>}
+ */
+async function updateRole(roleId, data) {
+    const before = await getRole(roleId);
+
+    if (before.role_name === SUPERUSER_ROLE && (data.permissions !== undefined || data.inherits !== undefined)) {
+        throw new Error('The admin role always has all permissions');
+    }
+
+    await withTransaction(async (client) => {
+        if (data.display_name !== undefined || data.description !== undefined) {
+            await client.query(
+                `UPDATE roles SET
+                    display_name = COALESCE($2, display_name),
+                    description = CASE WHEN $3::boolean THEN $4 ELSE description END
+                 WHERE id = $1`,
+                [roleId, data.display_name || null, data.description !== undefined, data.description || null]
+            );
+        }
+
+        if (data.permissions !== undefined) {
+            await replaceRolePermissions(client, roleId, data.permissions);
+        }
+
+        if (data.inherits !== undefined) {
+            await replaceRoleParents(client, roleId, data.inherits);
+        }
+    });
+
+    invalidateCache();
+
+    return { before, after: await getRole(roleId) };
+}
+
+async function deleteRole(roleId) {
+    const role = await getRole(roleId);
+
+    if (role.is_system) {
+        throw new Error('System roles cannot be deleted');
+    }
+    if (role.primary_user_count > 0) {
+        throw new Error('Role is assigned to users');
+    }
+
+    try {
+        await database.query('DELETE FROM roles WHERE id = $1', [roleId]);
+    } catch (error) {
+        // e.g. default role of an OIDC provider
+        if (error.code === '23503') {
+            throw new Error('Role is in use');
+        }
+        throw error;
+    }
+
+    invalidateCache();
+    logger.info('Role deleted', { roleName: role.role_name });
+
+    return role;
+}
+
+// ==============================================
+// PERMISSIONS
+// ==============================================
+
+async function listPermissions() {
+    const result = await database.query(
+        `SELECT p.id, p.permission_key, p.permission_name, p.description, p.category,
+                p.module_name, p.is_system, p.created_at,
+                ARRAY(
+                    SELECT r.role_name FROM role_permissions rp
+                    JOIN roles r ON r.id = rp.role_id
+                    WHERE rp.permission_id = p.id ORDER BY r.role_name
+                ) AS roles
+         FROM permissions p
+         ORDER BY p.category, p.permission_key`
+    );
+
+    return result.rows;
+}
+
+async function getPermission(permissionId) {
+    const result = await database.query('SELECT * FROM permissions WHERE id = $1', [permissionId]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Permission not found');
+    }
+
+    return result.rows[0];
+}
+
+function assertCustomPermission(permission) {
+    if (permission.is_system || permission.module_name) {
+        throw new Error('System and module permissions cannot be changed');
+    }
+}
+
+/**
+ * Create a custom permission (e.g. for checks in page builder pages or hooks)
+ */
+async function createPermission(data) {
+    if (!data.permission_key || !PERMISSION_KEY_PATTERN.test(data.permission_key)) {
+        throw new Error('Invalid permission key (e.g. reports.view)');
+    }
+
+    try {
+        const result = await database.query(
+            `INSERT INTO permissions (permission_key, permission_name, description, category)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [
+                data.permission_key,
+                data.permission_name || data.permission_key,
+                data.description || null,
+                data.category || data.permission_key.split('.')[0]
+            ]
+        );
+
+        invalidateCache();
+
+        return result.rows[0];
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new Error('Permission already exists');
+        }
+        throw error;
+    }
+}
+
+async function updatePermission(permissionId, data) {
+    const before = await getPermission(permissionId);
+    assertCustomPermission(before);
+
+    const result = await database.query(
+        `UPDATE permissions SET
+            permission_name = COALESCE($2, permission_name),
+            description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+            category = COALESCE($5, category)
+         WHERE id = $1
+         RETURNING *`,
+        [permissionId, data.permission_name || null, data.description !== undefined, data.description || null, data.category || null]
+    );
+
+    return { before, after: result.rows[0] };
+}
+
+async function deletePermission(permissionId) {
+    const permission = await getPermission(permissionId);
+    assertCustomPermission(permission);
+
+    await database.query('DELETE FROM permissions WHERE id = $1', [permissionId]);
+    invalidateCache();
+
+    return permission;
+}
+
+/**
+ * Register permissions of a module (module context: permissions.registerPermissions).
+ * New permissions are granted to the given roles once; later changes made in the
+ * role editor are kept. Keys owned by the core or another module are skipped.
+ *
+ * @param {string} moduleName
+ * @param {Array<Object>|Object} definitions - [{ key, name, description, category, roles }]
+ *        or { 'key': 'Name' }
+ * @returns {Promise<string[]>} Newly created permission keys
+ */
+async function registerPermissions(moduleName, definitions) {
+    const list = Array.isArray(definitions)
+        ? definitions
+        : Object.entries(definitions || {}).map(([key, name]) => ({ key, name }));
+
+    const created = [];
+
+    for (const definition of list) {
+        if (!definition.key || !PERMISSION_KEY_PATTERN.test(definition.key)) {
+            throw new Error(`Invalid permission key: ${definition.key}`);
+        }
+
+        const result = await database.query(
+            `INSERT INTO permissions (permission_key, permission_name, description, category, module_name)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (permission_key) DO UPDATE SET
+                permission_name = EXCLUDED.permission_name,
+                description = EXCLUDED.description,
+                category = EXCLUDED.category
+             WHERE permissions.module_name = EXCLUDED.module_name
+             RETURNING id, (xmax = 0) AS inserted`,
+            [
+                definition.key,
+                definition.name || definition.key,
+                definition.description || null,
+                definition.category || definition.key.split('.')[0],
+                moduleName
+            ]
+        );
+
+        if (result.rows.length === 0) {
+            logger.warn('Permission already registered by another owner', { module: moduleName, key: definition.key });
+            continue;
+        }
+
+        if (result.rows[0].inserted) {
+            created.push(definition.key);
+
+            if (Array.isArray(definition.roles) && definition.roles.length > 0) {
+                await database.query(
+                    `INSERT INTO role_permissions (role_id, permission_id)
+                     SELECT id, $1 FROM roles WHERE role_name = ANY($2)
+                     ON CONFLICT DO NOTHING`,
+                    [result.rows[0].id, definition.roles]
+                );
+            }
+        }
+    }
+
+    invalidateCache();
+
+    if (created.length > 0) {
+        logger.info('Module permissions registered', { module: moduleName, permissions: created });
+    }
+
+    return created;
+}
+
+// ==============================================
+// USER ROLES
+// ==============================================
+
+async function getUserRoleAssignments(userId) {
+    const userResult = await database.query('SELECT id, username, role FROM users WHERE id = $1', [userId]);
+
+    if (userResult.rows.length === 0) {
+        throw new Error('User not found');
+    }
+
+    const user = userResult.rows[0];
+    const rolesResult = await database.query(
+        `SELECT r.role_name
+         FROM user_roles ur
+         JOIN roles r ON r.id = ur.role_id
+         WHERE ur.user_id = $1
+         ORDER BY r.role_name`,
+        [userId]
+    );
+
+    invalidateUserCache(userId);
+    const { permissions } = await getUserPermissions({ userId, role: user.role });
+
+    return {
+        user_id: user.id,
+        username: user.username,
+        primary_role: user.role,
+        roles: rolesResult.rows.map(row => row.role_name),
+        effective_permissions: Array.from(permissions).sort()
+    };
+}
+
+/**
+ * Replace the additional roles of a user (the primary role is set via the user itself)
+ *
+ * @returns {Promise<{ before: Object, after: Object }>}
+ */
+async function setUserRoles(userId, roleNames, assignedBy) {
+    const before = await getUserRoleAssignments(userId);
+    const names = (roleNames || []).filter(name => name !== before.primary_role);
+
+    await withTransaction(async (client) => {
+        const roleIds = await findRoleIds(client, names);
+
+        await client.query('DELETE FROM user_roles WHERE user_id = $1', [userId]);
+        if (roleIds.length > 0) {
+            await client.query(
+                `INSERT INTO user_roles (user_id, role_id, assigned_by)
+                 SELECT $1, UNNEST($2::int[]), $3`,
+                [userId, roleIds, assignedBy || null]
+            );
+        }
+    });
+
+    invalidateUserCache(userId);
+
+    return { before, after: await getUserRoleAssignments(userId) };
+}
+
+module.exports = {
+    SUPERUSER_ROLE,
+
+    // Resolution
+    getRolePermissions,
+    getCachedRolePermissions,
+    getUserRoles,
+    getUserPermissions,
+    invalidateCache,
+    invalidateUserCache,
+
+    // Roles
+    listRoles,
+    getRole,
+    createRole,
+    updateRole,
+    deleteRole,
+
+    // Permissions
+    listPermissions,
+    getPermission,
+    createPermission,
+    updatePermission,
+    deletePermission,
+    registerPermissions,
+
+    // User roles
+    getUserRoleAssignments,
+    setUserRoles
+};
@@ -0,0 +1,47 @@
+/**
+ * Secret Box
+ * AES-256-GCM Verschlüsselung für in der Datenbank gespeicherte Secrets
+ * (TOTP-Secrets, OIDC Client-Secrets)
+ */
+
+const crypto = require('crypto');
+
+const ENCRYPTION_ALGORITHM = 'aes-256-gcm';
+
+/**
+ * @param {string} keyEnvVar - Env variable with a 64 hex char key
+ * @param {string} purpose - Key derivation label when the variable is not set
+ * @returns {{ encrypt: Function, decrypt: Function }}
+ */
+function createSecretBox(keyEnvVar, purpose) {
+    function getKey() {
+        if (process.env[keyEnvVar]) {
+            return Buffer.from(process.env[keyEnvVar].substring(0, 64), 'hex');
+        }
+        // Fallback: derived from JWT_SECRET, so secrets survive restarts
+        return crypto.createHash('sha256').update(`${purpose}:${process.env.JWT_SECRET}`).digest();
+    }
+
+    /**
+     * @returns {string} iv:authTag:ciphertext (hex)
+     */
+    function encrypt(text) {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, getKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
+        return `${iv.toString('hex')}:${cipher.getAuthTag().toString('hex')}:${encrypted.toString('hex')}`;
+    }
+
+    function decrypt(stored) {
+        const [ivHex, authTagHex, encryptedHex] = String(stored).split(':');
+        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, getKey(), Buffer.from(ivHex, 'hex'));
+        decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+
+        return Buffer.concat([decipher.update(Buffer.from(encryptedHex, 'hex')), decipher.final()]).toString('utf8');
+    }
+
+    return { encrypt, decrypt };
+}
+
+module.exports = { createSecretBox };
@@ -0,0 +1,103 @@
+/**
+ * Session API
+ * Eigene aktive Sitzungen anzeigen und einzelne Geräte abmelden
+ */
+
+const express = require('express');
+const router = express.Router();
+const sessionService = require('./sessionService');
+const auditService = require('./auditService');
+const { authenticateToken } = require('./middleware');
+const i18n = require('./i18n');
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions of the current user (current session marked with is_current)
+ */
+router.get('/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await sessionService.listUserSessions(req.user.userId, req.user.sessionId);
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Error listing sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one device
+ */
+router.delete('/auth/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const session = await sessionService.revokeSession(parseInt(req.params.id), {
+            userId: req.user.userId,
+            reason: 'revoked_by_user'
+        });
+
+        await auditService.log({
+            action: auditService.ACTIONS.SESSION_REVOKE,
+            req,
+            resourceType: 'session',
+            resourceId: session.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        if (error.message === 'Session not found') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('Error revoking session:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out all other devices (the current session stays active)
+ */
+router.delete('/auth/sessions', authenticateToken, async (req, res) => {
+    try {
+        const count = await sessionService.revokeUserSessions(req.user.userId, {
+            reason: 'revoked_by_user',
+            exceptSessionId: req.user.sessionId
+        });
+
+        await auditService.log({
+            action: auditService.ACTIONS.SESSION_REVOKE,
+            req,
+            resourceType: 'session',
+            description: `${count} other sessions revoked`
+        });
+
+        res.json({
+            success: true,
+            data: { revoked: count }
+        });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,404 @@
+/**
+ * Session Service
+ * Serverseitige Sessions (Tabelle sessions) mit rotierenden Refresh-Tokens,
+ * Widerruf einzelner Geräte und erzwungener Abmeldung
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const database = require('./database');
+const auditService = require('./auditService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('SessionService');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Ein gerade rotierter Token, der innerhalb dieses Fensters erneut kommt, gilt als
+// gleichzeitiger Refresh (z.B. zwei Browser-Tabs), nicht als Token-Diebstahl
+const REUSE_GRACE_SECONDS = 30;
+
+// last_activity_at wird höchstens einmal pro Minute und Session geschrieben
+const ACTIVITY_UPDATE_SECONDS = 60;
+
+// Abgelaufene Sessions werden höchstens einmal pro Stunde entfernt (beim Login)
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+let lastCleanup = 0;
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+function getClientIp(req) {
+    const ip = req && (req.ip || req.connection?.remoteAddress);
+    return ip && net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Kurze Gerätebezeichnung aus dem User-Agent (z.B. "Firefox on Windows")
+ */
+function describeUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+
+    const browsers = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ];
+    const systems = [
+        ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+        ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ];
+
+    const browser = (browsers.find(([, pattern]) => pattern.test(ua)) || ['Unknown'])[0];
+    const os = (systems.find(([, pattern]) => pattern.test(ua)) || ['Unknown'])[0];
+
+    return { browser, os };
+}
+
+function sessionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Sessions benötigen die Datenbank (ohne DB: nur zustandslose Tokens)
+ */
+function isEnabled() {
+    return !!database.pool;
+}
+
+// ==============================================
+// SESSION LIFECYCLE
+// ==============================================
+
+/**
+ * Session nach erfolgreichem Login anlegen
+ *
+ * @param {Object} user - { id, authMethod }
+ * @param {Object} req - Express-Request (IP, User-Agent)
+ * @returns {Promise<{ session: Object, refreshToken: string }>}
+ */
+async function createSession(user, req) {
+    const refreshToken = generateRefreshToken();
+    const userAgent = req && req.headers ? req.headers['user-agent'] || null : null;
+
+    const result = await database.query(
+        `INSERT INTO sessions (user_id, token_hash, ip_address, user_agent, device_info, expires_at)
+         VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' days')::INTERVAL)
+         RETURNING id, user_id, created_at, expires_at`,
+        [
+            user.id,
+            hashToken(refreshToken),
+            getClientIp(req),
+            userAgent,
+            JSON.stringify({ ...describeUserAgent(userAgent), auth_method: user.authMethod || null }),
+            REFRESH_TOKEN_DAYS
+        ]
+    );
+
+    if (Date.now() - lastCleanup > CLEANUP_INTERVAL_MS) {
+        lastCleanup = Date.now();
+        cleanupExpiredSessions();
+    }
+
+    return { session: result.rows[0], refreshToken };
+}
+
+/**
+ * Refresh-Token gegen einen neuen tauschen (Rotation). Der User wird neu
+ * gelesen, Rollenänderungen und Deaktivierung gelten ab dem nächsten Refresh.
+ *
+ * @returns {Promise<{ session: Object, user: Object, refreshToken: string }>}
+ */
+async function rotateRefreshToken(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw sessionError('Refresh token is required', 'REFRESH_TOKEN_INVALID');
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const client = await database.pool.connect();
+    let inTransaction = false;
+
+    try {
+        await client.query('BEGIN');
+        inTransaction = true;
+
+        const sessionResult = await client.query(
+            `SELECT s.*, u.username, u.name, u.email, u.role, u.is_active as user_active
+             FROM sessions s
+             JOIN users u ON u.id = s.user_id
+             WHERE s.token_hash = $1
+             FOR UPDATE OF s`,
+            [tokenHash]
+        );
+
+        if (sessionResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            inTransaction = false;
+            await handleUnknownRefreshToken(tokenHash, req);
+            throw sessionError('Invalid refresh token', 'REFRESH_TOKEN_INVALID');
+        }
+
+        const session = sessionResult.rows[0];
+
+        if (!session.is_active) {
+            throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+        }
+        if (new Date(session.expires_at) <= new Date()) {
+            throw sessionError('Session expired', 'SESSION_EXPIRED');
+        }
+        if (session.user_active === false) {
+            await client.query(
+                `UPDATE sessions SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'user_deactivated'
+                 WHERE id = $1`,
+                [session.id]
+            );
+            await client.query('COMMIT');
+            inTransaction = false;
+            throw sessionError('User is deactivated', 'SESSION_REVOKED');
+        }
+
+        const newRefreshToken = generateRefreshToken();
+        const userAgent = req && req.headers ? req.headers['user-agent'] || session.user_agent : session.user_agent;
+
+        await client.query(
+            `UPDATE sessions SET
+                previous_token_hash = token_hash,
+                token_hash = $1,
+                refreshed_at = CURRENT_TIMESTAMP,
+                last_activity_at = CURRENT_TIMESTAMP,
+                expires_at = CURRENT_TIMESTAMP + ($2 || ' days')::INTERVAL,
+                ip_address = COALESCE($3, ip_address),
+                user_agent = $4
+             WHERE id = $5`,
+            [hashToken(newRefreshToken), REFRESH_TOKEN_DAYS, getClientIp(req), userAgent, session.id]
+        );
+
+        await client.query('COMMIT');
+        inTransaction = false;
+
+        return {
+            session: { id: session.id, user_id: session.user_id },
+            user: {
+                id: session.user_id,
+                username: session.username,
+                name: session.name,
+                email: session.email,
+                role: session.role
+            },
+            refreshToken: newRefreshToken
+        };
+    } catch (error) {
+        if (inTransaction) {
+            await client.query('ROLLBACK');
+        }
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Refresh-Token, der nicht mehr aktuell ist: Ist es der vorherige Token einer
+ * Session, wird er erneut verwendet. Außerhalb des Toleranzfensters wird die
+ * ganze Session widerrufen, da entweder der berechtigte Client oder ein
+ * Angreifer eine gestohlene Kopie besitzt.
+ */
+async function handleUnknownRefreshToken(tokenHash, req) {
+    const result = await database.query(
+        `SELECT id, user_id, is_active,
+                refreshed_at > CURRENT_TIMESTAMP - ($2 || ' seconds')::INTERVAL as within_grace
+         FROM sessions
+         WHERE previous_token_hash = $1`,
+        [tokenHash, REUSE_GRACE_SECONDS]
+    );
+
+    if (result.rows.length === 0) {
+        return;
+    }
+
+    const session = result.rows[0];
+
+    if (session.within_grace) {
+        throw sessionError('Refresh token was already used', 'REFRESH_TOKEN_ROTATED');
+    }
+
+    if (session.is_active) {
+        await revokeSession(session.id, { reason: 'refresh_token_reuse' });
+
+        logger.warn('Refresh token reuse detected, session revoked', { sessionId: session.id, userId: session.user_id });
+
+        await auditService.log({
+            action: auditService.ACTIONS.REFRESH_TOKEN_REUSE,
+            req,
+            userId: session.user_id,
+            resourceType: 'session',
+            resourceId: session.id,
+            status: 'failure',
+            description: 'Reused refresh token, session revoked'
+        });
+    }
+
+    throw sessionError('Session has been revoked', 'SESSION_REVOKED');
+}
+
+/**
+ * Prüft, ob eine Session (aus dem Access-Token) noch gültig ist.
+ * Verwendet von authenticateToken und der Socket.io-Authentifizierung.
+ */
+async function isSessionActive(sessionId) {
+    const result = await database.query(
+        `SELECT s.is_active, s.expires_at, s.last_activity_at, u.is_active as user_active
+         FROM sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.id = $1`,
+        [sessionId]
+    );
+
+    if (result.rows.length === 0) {
+        return false;
+    }
+
+    const session = result.rows[0];
+    const active = session.is_active &&
+        session.user_active !== false &&
+        new Date(session.expires_at) > new Date();
+
+    if (active && Date.now() - new Date(session.last_activity_at).getTime() > ACTIVITY_UPDATE_SECONDS * 1000) {
+        database.query('UPDATE sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = $1', [sessionId])
+            .catch(error => logger.warn('Could not update session activity', { sessionId, error: error.message }));
+    }
+
+    return active;
+}
+
+/**
+ * Session zu einem Refresh-Token finden (für Logout ohne gültigen Access-Token)
+ */
+async function findSessionByRefreshToken(refreshToken) {
+    const result = await database.query(
+        'SELECT id, user_id FROM sessions WHERE token_hash = $1 AND is_active = true',
+        [hashToken(refreshToken)]
+    );
+
+    return result.rows[0] || null;
+}
+
+// ==============================================
+// REVOCATION
+// ==============================================
+
+/**
+ * Session widerrufen
+ *
+ * @param {number} sessionId
+ * @param {Object} options - { userId? (nur Sessions dieses Users), reason? }
+ * @returns {Promise<Object>} Die widerrufene Session
+ */
+async function revokeSession(sessionId, options = {}) {
+    const params = [sessionId, options.reason || 'logout'];
+    let ownerFilter = '';
+
+    if (options.userId) {
+        params.push(options.userId);
+        ownerFilter = 'AND user_id = $3';
+    }
+
+    const result = await database.query(
+        `UPDATE sessions SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+         WHERE id = $1 AND is_active = true ${ownerFilter}
+         RETURNING id, user_id, revoked_at, revoked_reason`,
+        params
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Session not found');
+    }
+
+    logger.info('Session revoked', { sessionId, reason: params[1] });
+
+    return result.rows[0];
+}
+
+/**
+ * Alle Sessions eines Users widerrufen
+ *
+ * @param {number} userId
+ * @param {Object} options - { reason?, exceptSessionId? }
+ * @returns {Promise<number>} Anzahl widerrufener Sessions
+ */
+async function revokeUserSessions(userId, options = {}) {
+    const result = await database.query(
+        `UPDATE sessions SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+         WHERE user_id = $1 AND is_active = true AND id <> COALESCE($3, 0)`,
+        [userId, options.reason || 'logout_all', options.exceptSessionId || null]
+    );
+
+    logger.info('User sessions revoked', { userId, count: result.rowCount, reason: options.reason });
+
+    return result.rowCount;
+}
+
+// ==============================================
+// LISTING & CLEANUP
+// ==============================================
+
+/**
+ * Aktive Sessions eines Users (neueste Aktivität zuerst)
+ *
+ * @param {number} userId
+ * @param {number} [currentSessionId] - wird mit is_current markiert
+ */
+async function listUserSessions(userId, currentSessionId = null) {
+    const result = await database.query(
+        `SELECT id, ip_address, user_agent, device_info, created_at, last_activity_at, expires_at
+         FROM sessions
+         WHERE user_id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
+         ORDER BY last_activity_at DESC`,
+        [userId]
+    );
+
+    return result.rows.map(session => ({
+        ...session,
+        is_current: session.id === currentSessionId
+    }));
+}
+
+/**
+ * Abgelaufene und lange widerrufene Sessions löschen (cleanup_expired_sessions() aus Migration 002)
+ */
+async function cleanupExpiredSessions() {
+    try {
+        await database.query('SELECT cleanup_expired_sessions()');
+    } catch (error) {
+        logger.warn('Session cleanup failed', { error: error.message });
+    }
+}
+
+module.exports = {
+    REFRESH_TOKEN_DAYS,
+    isEnabled,
+
+    // Session-Lebenszyklus
+    createSession,
+    rotateRefreshToken,
+    isSessionActive,
+    findSessionByRefreshToken,
+
+    // Widerruf
+    revokeSession,
+    revokeUserSessions,
+
+    // Auflistung & Bereinigung
+    listUserSessions,
+    cleanupExpiredSessions
+};
@@ -7,6 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const socialService = require('./socialService');
+const notificationService = require('./notificationService');
 const { authenticateToken } = require('./middleware');
 const i18n = require('./i18n');
 
@@ -316,7 +317,7 @@ router.get('/notifications', authenticateToken, async (req, res) => {
             offset: parseInt(offset)
         };
 
-        const notifications = await socialService.getUserNotifications(
+        const notifications = await notificationService.getUserNotifications(
             req.user.id,
             filters
         );
@@ -345,7 +346,7 @@ router.get('/notifications', authenticateToken, async (req, res) => {
  */
 router.get('/notifications/unread-count', authenticateToken, async (req, res) => {
     try {
-        const count = await socialService.getUnreadNotificationCount(req.user.id);
+        const count = await notificationService.getUnreadCount(req.user.userId);
 
         res.json({
             success: true,
@@ -368,7 +369,7 @@ router.put('/notifications/:id/read', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
 
-        await socialService.markNotificationRead(parseInt(id), req.user.id);
+        await notificationService.markAsRead(parseInt(id), req.user.userId);
 
         res.json({
             success: true,
@@ -389,7 +390,7 @@ router.put('/notifications/:id/read', authenticateToken, async (req, res) => {
  */
 router.put('/notifications/read-all', authenticateToken, async (req, res) => {
     try {
-        await socialService.markAllNotificationsRead(req.user.id);
+        await notificationService.markAllAsRead(req.user.userId);
 
         res.json({
             success: true,
@@ -404,6 +405,51 @@ router.put('/notifications/read-all', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/notifications/settings
+ * Notification preferences (channel per type, quiet hours, digest)
+ */
+router.get('/notifications/settings', authenticateToken, async (req, res) => {
+    try {
+        const settings = await notificationService.getSettings(req.user.userId);
+
+        res.json({
+            success: true,
+            data: settings
+        });
+    } catch (error) {
+        console.error('Error getting notification settings:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error getting notification settings'
+        });
+    }
+});
+
+/**
+ * PUT /api/notifications/settings
+ * Update notification preferences
+ * Body: { preferences?: { mention: 'in_app' | 'email' | 'none', ... }, quiet_hours_enabled?,
+ *         quiet_hours_start?, quiet_hours_end?, timezone?, digest_frequency?, digest_hour?, digest_weekday? }
+ */
+router.put('/notifications/settings', authenticateToken, async (req, res) => {
+    try {
+        const settings = await notificationService.updateSettings(req.user.userId, req.body);
+
+        res.json({
+            success: true,
+            data: settings,
+            message: 'Notification settings updated'
+        });
+    } catch (error) {
+        console.error('Error updating notification settings:', error);
+        res.status(400).json({
+            success: false,
+            message: error.message || 'Error updating notification settings'
+        });
+    }
+});
+
 // ==============================================
 // MENTIONS
 // ==============================================
@@ -1,10 +1,12 @@
 /**
  * Social Service
- * Reactions, Activity Feed, Notifications, Mentions
+ * Reactions, Activity Feed, Mentions
+ * (Benachrichtigungen: notificationService)
  * Author: Jan Günther <jg@linxpress.de>
  */
 
 const database = require('./database');
+const notificationService = require('./notificationService');
 const { createModuleLogger } = require('./logger');
 
 const logger = createModuleLogger('SocialService');
@@ -38,12 +40,35 @@ async function addPostReaction(postId, userId, reactionType) {
              VALUES ($1, $2, $3)
              ON CONFLICT (post_id, user_id)
              DO UPDATE SET reaction_type = EXCLUDED.reaction_type, created_at = CURRENT_TIMESTAMP
-             RETURNING *`,
+             RETURNING *, (xmax = 0) as is_new`,
             [postId, userId, reactionType]
         );
 
         logger.debug('Post reaction added', { postId, userId, reactionType });
 
+        // Notify the post author (only for new reactions, not for changes)
+        if (result.rows[0].is_new) {
+            const post = await database.query(
+                `SELECT p.author_id, p.title, u.name as actor_name
+                 FROM posts p, users u
+                 WHERE p.id = $1 AND u.id = $2`,
+                [postId, userId]
+            );
+
+            if (post.rows[0]?.author_id) {
+                await notificationService.createNotification({
+                    user_id: post.rows[0].author_id,
+                    notification_type: 'reaction',
+                    source_type: 'post',
+                    source_id: postId,
+                    actor_id: userId,
+                    title: 'Neue Reaktion',
+                    message: `${post.rows[0].actor_name} hat auf ${post.rows[0].title} reagiert`,
+                    link: `/posts/${postId}`
+                });
+            }
+        }
+
         return result.rows[0];
     } catch (error) {
         logger.error('Error adding post reaction', { postId, userId, error: error.message });
@@ -336,108 +361,6 @@ async function createActivity(activityData) {
     }
 }
 
-// ==============================================
-// NOTIFICATIONS
-// ==============================================
-
-/**
- * Get notifications for user
- */
-async function getUserNotifications(userId, filters = {}) {
-    const {
-        unread_only = false,
-        limit = 20,
-        offset = 0
-    } = filters;
-
-    try {
-        let query = `
-            SELECT n.*,
-                   actor.name as actor_name,
-                   actor.avatar_url as actor_avatar
-            FROM notifications n
-            LEFT JOIN users actor ON actor.id = n.actor_id
-            WHERE n.user_id = $1
-        `;
-
-        const params = [userId];
-        let paramIndex = 2;
-
-        if (unread_only) {
-            query += ` AND n.is_read = false`;
-        }
-
-        query += `
-            ORDER BY n.created_at DESC
-            LIMIT $${paramIndex++} OFFSET $${paramIndex++}
-        `;
-
-        params.push(limit, offset);
-
-        const result = await database.query(query, params);
-
-        return result.rows;
-    } catch (error) {
-        logger.error('Error getting notifications', { userId, error: error.message });
-        throw error;
-    }
-}
-
-/**
- * Mark notification as read
- */
-async function markNotificationRead(notificationId, userId) {
-    try {
-        await database.query(
-            `UPDATE notifications
-             SET is_read = true, read_at = CURRENT_TIMESTAMP
-             WHERE id = $1 AND user_id = $2`,
-            [notificationId, userId]
-        );
-
-        logger.debug('Notification marked as read', { notificationId, userId });
-    } catch (error) {
-        logger.error('Error marking notification as read', { notificationId, error: error.message });
-        throw error;
-    }
-}
-
-/**
- * Mark all notifications as read
- */
-async function markAllNotificationsRead(userId) {
-    try {
-        await database.query(
-            `UPDATE notifications
-             SET is_read = true, read_at = CURRENT_TIMESTAMP
-             WHERE user_id = $1 AND is_read = false`,
-            [userId]
-        );
-
-        logger.info('All notifications marked as read', { userId });
-    } catch (error) {
-        logger.error('Error marking all notifications as read', { userId, error: error.message });
-        throw error;
-    }
-}
-
-/**
- * Get unread notification count
- */
-async function getUnreadNotificationCount(userId) {
-    try {
-        const result = await database.query(
-            'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND is_read = false',
-            [userId]
-        );
-
-        return parseInt(result.rows[0].count);
-    } catch (error) {
-        logger.error('Error getting unread count', { userId, error: error.message });
-        throw error;
-    }
-}
-
 // ==============================================
 // MENTIONS
 // ==============================================
@@ -467,18 +390,16 @@ async function createMention(mentionData) {
             const mentioner = await database.query('SELECT name FROM users WHERE id = $1', [mentioned_by_user_id]);
             const mentionerName = mentioner.rows[0]?.name || 'Jemand';
 
-            await database.query(
-                `INSERT INTO notifications (user_id, notification_type, source_type, source_id, actor_id, title, message, link)
-                 VALUES ($1, 'mention', $2, $3, $4, 'Erwähnung', $5, $6)`,
-                [
-                    mentioned_user_id,
-                    mentionable_type,
-                    mentionable_id,
-                    mentioned_by_user_id,
-                    `${mentionerName} hat dich erwähnt`,
-                    `/${mentionable_type}s/${mentionable_id}`
-                ]
-            );
+            await notificationService.createNotification({
+                user_id: mentioned_user_id,
+                notification_type: 'mention',
+                source_type: mentionable_type,
+                source_id: mentionable_id,
+                actor_id: mentioned_by_user_id,
+                title: 'Erwähnung',
+                message: `${mentionerName} hat dich erwähnt`,
+                link: `/${mentionable_type}s/${mentionable_id}`
+            });
         }
 
         return result.rows[0];
@@ -582,12 +503,6 @@ module.exports = {
     getActivityFeed,
     createActivity,
 
-    // Notifications
-    getUserNotifications,
-    markNotificationRead,
-    markAllNotificationsRead,
-    getUnreadNotificationCount,
-
     // Mentions
     createMention,
     parseMentions,
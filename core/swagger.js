@@ -54,8 +54,8 @@ const options = {
                         },
                         role: {
                             type: 'string',
-                            enum: ['admin', 'moderator', 'editor', 'user', 'guest'],
-                            description: 'User Role'
+                            example: 'user',
+                            description: 'Primary role (admin, moderator, editor, user, guest or a custom role)'
                         }
                     }
                 },
@@ -0,0 +1,191 @@
+/**
+ * Two-Factor API
+ * Einrichtung, Deaktivierung und Wiederherstellungscodes der TOTP-Anmeldung
+ */
+
+const express = require('express');
+const router = express.Router();
+const twoFactorService = require('./twoFactorService');
+const auditService = require('./auditService');
+const auth = require('./auth');
+const { authenticateToken } = require('./middleware');
+const i18n = require('./i18n');
+
+/**
+ * Signed in user, or (during a login with enforced 2FA) a setup challenge
+ */
+function authenticateSetup(req, res, next) {
+    if (!req.body || !req.body.challengeToken) {
+        return authenticateToken(req, res, next);
+    }
+
+    try {
+        req.twoFactorChallenge = twoFactorService.verifyChallenge(req.body.challengeToken, 'setup');
+        req.user = { userId: req.twoFactorChallenge.userId };
+        next();
+    } catch (error) {
+        auth.twoFactorErrorResponse(res, error);
+    }
+}
+
+function sendTwoFactorError(res, req, error, context) {
+    const statusMap = {
+        'Two-factor authentication is already enabled': 409,
+        'Two-factor authentication is not enabled': 400,
+        'No enrollment in progress': 400,
+        'Invalid code': 400,
+        'Two-factor authentication is required for this role': 403,
+        'User not found': 404
+    };
+
+    const status = statusMap[error.message];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`Error ${context}:`, error);
+    res.status(500).json({
+        success: false,
+        message: i18n.t('errors.serverError', { lng: req.language })
+    });
+}
+
+/**
+ * GET /api/auth/2fa/status
+ * 2FA state of the current user
+ */
+router.get('/auth/2fa/status', authenticateToken, async (req, res) => {
+    try {
+        const status = await twoFactorService.getStatus(req.user.userId);
+
+        res.json({
+            success: true,
+            data: status
+        });
+    } catch (error) {
+        sendTwoFactorError(res, req, error, 'loading 2FA status');
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: secret and otpauth:// URI for the QR code
+ * Body: challengeToken? (login with enforced 2FA)
+ */
+router.post('/auth/2fa/setup', authenticateSetup, async (req, res) => {
+    try {
+        const enrollment = await twoFactorService.beginEnrollment(req.user.userId);
+
+        res.json({
+            success: true,
+            data: enrollment
+        });
+    } catch (error) {
+        sendTwoFactorError(res, req, error, 'starting 2FA setup');
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm enrollment with a code from the authenticator app
+ * Body: code, challengeToken? (completes the login and returns tokens)
+ */
+router.post('/auth/2fa/enable', authenticateSetup, async (req, res) => {
+    try {
+        if (!req.body.code) {
+            return res.status(400).json({
+                success: false,
+                message: 'code is required'
+            });
+        }
+
+        let recoveryCodes;
+        try {
+            recoveryCodes = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+        } catch (error) {
+            if (error.message === 'Invalid code' && req.twoFactorChallenge) {
+                twoFactorService.recordChallengeFailure(req.twoFactorChallenge);
+            }
+            throw error;
+        }
+
+        await auditService.log({
+            action: auditService.ACTIONS.TWO_FACTOR_ENABLE,
+            req,
+            userId: req.user.userId,
+            resourceType: 'user',
+            resourceId: req.user.userId
+        });
+
+        if (req.twoFactorChallenge) {
+            const user = await auth.loadChallengeUser(req.twoFactorChallenge);
+            return await auth.completeLogin(user, req, res, { twoFactorMethod: 'totp', recoveryCodes });
+        }
+
+        res.json({
+            success: true,
+            data: { recoveryCodes },
+            message: 'Two-factor authentication enabled'
+        });
+    } catch (error) {
+        if (req.twoFactorChallenge && auth.twoFactorErrorResponse(res, error)) {
+            return;
+        }
+        sendTwoFactorError(res, req, error, 'enabling 2FA');
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Disable 2FA (not possible for roles with enforced 2FA)
+ * Body: code (TOTP or recovery code)
+ */
+router.post('/auth/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        await twoFactorService.disable(req.user.userId, req.body.code);
+
+        await auditService.log({
+            action: auditService.ACTIONS.TWO_FACTOR_DISABLE,
+            req,
+            resourceType: 'user',
+            resourceId: req.user.userId
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        sendTwoFactorError(res, req, error, 'disabling 2FA');
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Generate new recovery codes (old ones become invalid)
+ * Body: code (TOTP or recovery code)
+ */
+router.post('/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.userId, req.body.code);
+
+        await auditService.log({
+            action: auditService.ACTIONS.TWO_FACTOR_RECOVERY_CODES_REGENERATE,
+            req,
+            resourceType: 'user',
+            resourceId: req.user.userId
+        });
+
+        res.json({
+            success: true,
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendTwoFactorError(res, req, error, 'regenerating recovery codes');
+    }
+});
+
+module.exports = router;
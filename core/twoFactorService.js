@@ -0,0 +1,510 @@
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) mit Einrichtung, Wiederherstellungscodes und
+ * Challenge-Tokens für den zweiten Login-Schritt
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const database = require('./database');
+const { getUserPermissions } = require('./permissions');
+const { createSecretBox } = require('./secretBox');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('TwoFactorService');
+
+const secretBox = createSecretBox('TWO_FACTOR_ENCRYPTION_KEY', 'two-factor');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'OpenIntraHub';
+
+// Roles that must use 2FA (comma separated, e.g. "admin,moderator")
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+// RFC 6238 defaults, supported by all common authenticator apps
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+// Accept one time step before/after the current one (clock drift)
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const CHALLENGE_EXPIRES_IN = '5m';
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Failed attempts per challenge (jti -> { count, expiresAt })
+const challengeAttempts = new Map();
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * HOTP value (RFC 4226) for a time step
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Time step matching the code within the drift window, or null
+ */
+function findMatchingStep(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const step = currentStep(now);
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+        const expected = Buffer.from(generateCode(secret, step + drift));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return step + drift;
+        }
+    }
+
+    return null;
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function generateRecoveryCode() {
+    const raw = base32Encode(crypto.randomBytes(7)).substring(0, 10);
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+}
+
+function buildOtpauthUrl(secret, username) {
+    const label = encodeURIComponent(`${ISSUER}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+async function getUserRow(userId) {
+    const result = await database.query(
+        `SELECT id, username, role, two_factor_secret, two_factor_pending_secret,
+                two_factor_enabled, two_factor_enabled_at, two_factor_last_step
+         FROM users WHERE id = $1`,
+        [userId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('User not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Verify a TOTP code and consume its time step (a code is valid only once)
+ */
+async function consumeTotp(user, secret, code) {
+    const step = findMatchingStep(secret, code);
+    if (step === null) {
+        return false;
+    }
+
+    const result = await database.query(
+        `UPDATE users SET two_factor_last_step = $2
+         WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+         RETURNING id`,
+        [user.id, step]
+    );
+
+    return result.rows.length > 0;
+}
+
+async function consumeRecoveryCode(userId, code) {
+    const result = await database.query(
+        `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         RETURNING id`,
+        [userId, hashRecoveryCode(code)]
+    );
+
+    return result.rows.length > 0;
+}
+
+async function replaceRecoveryCodes(client, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    for (const code of codes) {
+        await client.query(
+            'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+            [userId, hashRecoveryCode(code)]
+        );
+    }
+
+    return codes;
+}
+
+// ==============================================
+// POLICY & STATUS
+// ==============================================
+
+function isRequiredForRole(role) {
+    return REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Whether any role of the user enforces 2FA: the primary role plus the
+ * additional roles from the role system, so the policy cannot be bypassed
+ * by granting admin as a second role
+ */
+async function isRequiredForUser(user) {
+    const { roles } = await getUserPermissions({ userId: user.id, role: user.role });
+    return roles.some(isRequiredForRole);
+}
+
+/**
+ * 2FA state of a user for the login flow
+ *
+ * @returns {Promise<{ enabled: boolean, required: boolean }>}
+ */
+async function getLoginRequirement(userId) {
+    const user = await getUserRow(userId);
+
+    return {
+        enabled: user.two_factor_enabled,
+        required: await isRequiredForUser(user)
+    };
+}
+
+async function getStatus(userId) {
+    const user = await getUserRow(userId);
+
+    const codesResult = await database.query(
+        'SELECT COUNT(*)::int as remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+    );
+
+    return {
+        enabled: user.two_factor_enabled,
+        enabled_at: user.two_factor_enabled_at,
+        required: await isRequiredForUser(user),
+        recovery_codes_remaining: codesResult.rows[0].remaining
+    };
+}
+
+// ==============================================
+// ENROLLMENT
+// ==============================================
+
+/**
+ * Start enrollment: new pending secret and provisioning URI (for the QR code)
+ *
+ * @returns {Promise<{ secret: string, otpauth_url: string }>}
+ */
+async function beginEnrollment(userId) {
+    const user = await getUserRow(userId);
+
+    if (user.two_factor_enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+
+    await database.query(
+        'UPDATE users SET two_factor_pending_secret = $2 WHERE id = $1',
+        [userId, secretBox.encrypt(secret)]
+    );
+
+    return {
+        secret,
+        otpauth_url: buildOtpauthUrl(secret, user.username)
+    };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ *
+ * @returns {Promise<string[]>} Recovery codes (shown once)
+ */
+async function confirmEnrollment(userId, code) {
+    const user = await getUserRow(userId);
+
+    if (user.two_factor_enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+    }
+    if (!user.two_factor_pending_secret) {
+        throw new Error('No enrollment in progress');
+    }
+
+    const secret = secretBox.decrypt(user.two_factor_pending_secret);
+    const step = findMatchingStep(secret, code);
+    if (step === null) {
+        throw new Error('Invalid code');
+    }
+
+    const client = await database.pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        await client.query(
+            `UPDATE users SET
+                two_factor_secret = two_factor_pending_secret,
+                two_factor_pending_secret = NULL,
+                two_factor_enabled = true,
+                two_factor_enabled_at = CURRENT_TIMESTAMP,
+                two_factor_last_step = $2
+             WHERE id = $1`,
+            [userId, step]
+        );
+        const codes = await replaceRecoveryCodes(client, userId);
+
+        await client.query('COMMIT');
+
+        logger.info('Two-factor authentication enabled', { userId });
+
+        return codes;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// ==============================================
+// VERIFICATION
+// ==============================================
+
+/**
+ * Verify a TOTP or recovery code of a user with 2FA enabled
+ *
+ * @returns {Promise<string>} Method used: totp or recovery_code
+ */
+async function verifyCode(userId, code) {
+    const user = await getUserRow(userId);
+
+    if (!user.two_factor_enabled || !user.two_factor_secret) {
+        throw new Error('Two-factor authentication is not enabled');
+    }
+
+    const value = String(code || '').trim();
+
+    if (new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(value.replace(/\s/g, ''))) {
+        if (await consumeTotp(user, secretBox.decrypt(user.two_factor_secret), value)) {
+            return 'totp';
+        }
+    } else if (value && await consumeRecoveryCode(userId, value)) {
+        logger.info('Recovery code used', { userId });
+        return 'recovery_code';
+    }
+
+    throw new Error('Invalid code');
+}
+
+/**
+ * Disable 2FA (requires a current code; not allowed for enforced roles)
+ */
+async function disable(userId, code) {
+    const user = await getUserRow(userId);
+
+    if (await isRequiredForUser(user)) {
+        throw new Error('Two-factor authentication is required for this role');
+    }
+
+    await verifyCode(userId, code);
+    await reset(userId);
+}
+
+/**
+ * New set of recovery codes (invalidates the old ones)
+ */
+async function regenerateRecoveryCodes(userId, code) {
+    await verifyCode(userId, code);
+
+    const client = await database.pool.connect();
+    try {
+        await client.query('BEGIN');
+        const codes = await replaceRecoveryCodes(client, userId);
+        await client.query('COMMIT');
+        return codes;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Remove 2FA of a user (admin reset, or after disable)
+ */
+async function reset(userId) {
+    const result = await database.query(
+        `UPDATE users SET
+            two_factor_secret = NULL,
+            two_factor_pending_secret = NULL,
+            two_factor_enabled = false,
+            two_factor_enabled_at = NULL,
+            two_factor_last_step = NULL
+         WHERE id = $1
+         RETURNING id`,
+        [userId]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('User not found');
+    }
+
+    await database.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+    logger.info('Two-factor authentication removed', { userId });
+}
+
+// ==============================================
+// LOGIN CHALLENGES
+// ==============================================
+
+/**
+ * Short-lived token between password check and second factor
+ *
+ * @param {Object} user - { id, authMethod }
+ * @param {string} purpose - verify (code required) or setup (enrollment required)
+ */
+function createChallenge(user, purpose) {
+    return jwt.sign(
+        { userId: user.id, authMethod: user.authMethod, purpose, type: '2fa_challenge' },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+}
+
+/**
+ * @returns {Object} Decoded challenge ({ userId, authMethod, purpose, jti })
+ */
+function verifyChallenge(token, purpose) {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    } catch (error) {
+        throw new Error('Invalid or expired challenge');
+    }
+
+    if (decoded.type !== '2fa_challenge' || decoded.purpose !== purpose) {
+        throw new Error('Invalid or expired challenge');
+    }
+
+    const attempts = challengeAttempts.get(decoded.jti);
+    if (attempts && attempts.count >= CHALLENGE_MAX_ATTEMPTS) {
+        throw new Error('Too many attempts');
+    }
+
+    return decoded;
+}
+
+/**
+ * Count a failed code for a challenge
+ */
+function recordChallengeFailure(challenge) {
+    const now = Date.now();
+
+    for (const [jti, entry] of challengeAttempts) {
+        if (entry.expiresAt < now) {
+            challengeAttempts.delete(jti);
+        }
+    }
+
+    const entry = challengeAttempts.get(challenge.jti) || { count: 0, expiresAt: challenge.exp * 1000 };
+    entry.count += 1;
+    challengeAttempts.set(challenge.jti, entry);
+}
+
+module.exports = {
+    REQUIRED_ROLES,
+
+    // Policy & Status
+    isRequiredForRole,
+    getLoginRequirement,
+    getStatus,
+
+    // Enrollment
+    beginEnrollment,
+    confirmEnrollment,
+
+    // Verification
+    verifyCode,
+    disable,
+    regenerateRecoveryCodes,
+    reset,
+
+    // Login challenges
+    createChallenge,
+    verifyChallenge,
+    recordChallengeFailure,
+
+    // TOTP primitives
+    generateCode,
+    base32Encode,
+    base32Decode
+};
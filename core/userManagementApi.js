@@ -8,6 +8,10 @@ const express = require('express');
 const router = express.Router();
 const userService = require('./userService');
 const locationService = require('./locationService');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const twoFactorService = require('./twoFactorService');
+const roleService = require('./roleService');
 const { authenticateToken, requirePermission } = require('./middleware');
 const i18n = require('./i18n');
 
@@ -142,6 +146,15 @@ router.post('/admin/users', authenticateToken, requirePermission('admin.users'),
         const locations = await locationService.getUserLocations(user.id);
         user.locations = locations;
 
+        await auditService.log({
+            action: auditService.ACTIONS.USER_CREATE,
+            req,
+            resourceType: 'user',
+            resourceId: user.id,
+            description: `User ${user.username} created with role ${user.role}`,
+            changes: { after: { username: user.username, email: user.email, role: user.role } }
+        });
+
         res.status(201).json({
             success: true,
             data: user
@@ -164,9 +177,30 @@ router.put('/admin/users/:id', authenticateToken, requirePermission('admin.users
         const { id } = req.params;
         const { locations: locationIds, ...updates } = req.body;
 
+        // Previous role for the audit trail
+        const previous = updates.role !== undefined ? await userService.findUserById(parseInt(id)) : null;
+
         // Update user basic data
         const user = await userService.updateUser(parseInt(id), updates);
 
+        // Deactivated users are signed out everywhere
+        if (updates.is_active === false) {
+            await sessionService.revokeUserSessions(user.id, { reason: 'user_deactivated' });
+        }
+
+        if (previous && previous.role !== user.role) {
+            roleService.invalidateUserCache(user.id);
+
+            await auditService.log({
+                action: auditService.ACTIONS.ROLE_CHANGE,
+                req,
+                resourceType: 'user',
+                resourceId: user.id,
+                description: `Role of ${user.username} changed from ${previous.role} to ${user.role}`,
+                changes: { before: { role: previous.role }, after: { role: user.role } }
+            });
+        }
+
         // Update locations if provided
         if (locationIds !== undefined && Array.isArray(locationIds)) {
             // Get current locations
@@ -217,8 +251,18 @@ router.put('/admin/users/:id', authenticateToken, requirePermission('admin.users
 router.delete('/admin/users/:id', authenticateToken, requirePermission('admin.users'), async (req, res) => {
     try {
         const { id } = req.params;
+        const user = await userService.findUserById(parseInt(id));
         await userService.deleteUser(parseInt(id));
 
+        await auditService.log({
+            action: auditService.ACTIONS.USER_DELETE,
+            req,
+            resourceType: 'user',
+            resourceId: id,
+            description: user ? `User ${user.username} deleted` : `User ${id} deleted`,
+            changes: user ? { before: { username: user.username, email: user.email, role: user.role } } : null
+        });
+
         res.json({
             success: true,
             message: 'User deleted successfully'
@@ -232,4 +276,96 @@ router.delete('/admin/users/:id', authenticateToken, requirePermission('admin.us
     }
 });
 
+// ==============================================
+// SESSIONS
+// ==============================================
+
+/**
+ * GET /api/admin/users/:id/sessions
+ * Active sessions of a user
+ */
+router.get('/admin/users/:id/sessions', authenticateToken, requirePermission('admin.users'), async (req, res) => {
+    try {
+        const sessions = await sessionService.listUserSessions(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Error listing user sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/logout
+ * Force logout: revoke all sessions of a user
+ */
+router.post('/admin/users/:id/logout', authenticateToken, requirePermission('admin.users'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        const count = await sessionService.revokeUserSessions(userId, { reason: 'forced_by_admin' });
+
+        await auditService.log({
+            action: auditService.ACTIONS.FORCE_LOGOUT,
+            req,
+            resourceType: 'user',
+            resourceId: userId,
+            description: `${count} sessions revoked`
+        });
+
+        res.json({
+            success: true,
+            data: { revoked: count },
+            message: 'User logged out'
+        });
+    } catch (error) {
+        console.error('Error forcing logout:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/2fa/reset
+ * Remove 2FA of a user (e.g. lost device); enforced roles must enroll again on next login
+ */
+router.post('/admin/users/:id/2fa/reset', authenticateToken, requirePermission('admin.users'), async (req, res) => {
+    try {
+        const userId = parseInt(req.params.id);
+        await twoFactorService.reset(userId);
+
+        await auditService.log({
+            action: auditService.ACTIONS.TWO_FACTOR_RESET,
+            req,
+            resourceType: 'user',
+            resourceId: userId
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset'
+        });
+    } catch (error) {
+        if (error.message === 'User not found') {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.error('Error resetting 2FA:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
 module.exports = router;
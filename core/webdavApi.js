@@ -0,0 +1,758 @@
+// =====================================================
+// WebDAV API - Drive als Netzlaufwerk (/dav/drive/)
+// =====================================================
+// Class 1 and 2 WebDAV (RFC 4918) for Windows Explorer,
+// macOS Finder, Nautilus and other clients. Clients sign
+// in with HTTP Basic auth and an app password; account
+// and LDAP passwords are never accepted here.
+// =====================================================
+
+const express = require('express');
+const router = express.Router();
+const driveService = require('./driveService');
+const webdavService = require('./webdavService');
+const appPasswordService = require('./appPasswordService');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('WebdavAPI');
+
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, MKCOL, COPY, MOVE, PROPFIND, PROPPATCH, LOCK, UNLOCK';
+const MAX_XML_BODY = 1024 * 1024; // 1MB
+
+const DAV_PROPERTIES = [
+    'displayname', 'resourcetype', 'getcontentlength', 'getcontenttype', 'getlastmodified',
+    'creationdate', 'getetag', 'supportedlock', 'lockdiscovery', 'quota-used-bytes', 'quota-available-bytes'
+];
+
+const ERROR_STATUS = {
+    'Invalid path': 400,
+    'Access denied': 403,
+    'Folder cannot be moved into itself': 403,
+    'File not found': 404,
+    'File not found on disk': 404,
+    'Folder not found': 404,
+    'Name already exists': 409,
+    'Lock not found': 409,
+    'Resource is locked': 423,
+    'Storage quota exceeded': 507,
+    'Folder quota exceeded': 507
+};
+
+class WebdavError extends Error {
+    constructor(status, message = '') {
+        super(message);
+        this.status = status;
+    }
+}
+
+// =====================================================
+// HELPERS
+// =====================================================
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read the request body into a buffer (413 above the limit)
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                req.destroy();
+                reject(new WebdavError(413));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Namespace prefixes declared in an XML document ('' = default namespace)
+ */
+function parseNamespaces(xml) {
+    const namespaces = { '': 'DAV:' };
+    const regex = /xmlns(?::([\w.-]+))?\s*=\s*["']([^"']*)["']/g;
+    let match;
+
+    while ((match = regex.exec(xml)) !== null) {
+        namespaces[match[1] || ''] = match[2];
+    }
+
+    return namespaces;
+}
+
+/**
+ * Properties named inside the <prop> elements of a PROPFIND/PROPPATCH body
+ * @returns {Array<{namespace: string, name: string}>}
+ */
+function parsePropNames(xml) {
+    const namespaces = parseNamespaces(xml);
+    const props = [];
+    const propRegex = /<((?:[\w.-]+:)?)prop\b[^>]*>([\s\S]*?)<\/\1prop>/g;
+    let propMatch;
+
+    while ((propMatch = propRegex.exec(xml)) !== null) {
+        const content = propMatch[2];
+        const elementRegex = /<(?:([\w.-]+):)?([\w.-]+)([^>]*?)(\/?)>/g;
+        let element;
+
+        while ((element = elementRegex.exec(content)) !== null) {
+            const inline = element[3].match(/xmlns\s*=\s*["']([^"']*)["']/);
+            props.push({
+                namespace: inline ? inline[1] : namespaces[element[1] || ''] || '',
+                name: element[2]
+            });
+
+            // Skip the value of the property (PROPPATCH)
+            if (!element[4]) {
+                const closeTag = `</${element[1] ? `${element[1]}:` : ''}${element[2]}>`;
+                const end = content.indexOf(closeTag, elementRegex.lastIndex);
+                if (end !== -1) {
+                    elementRegex.lastIndex = end + closeTag.length;
+                }
+            }
+        }
+    }
+
+    return props;
+}
+
+/**
+ * PROPFIND body: allprop (also for an empty body), propname or a list of properties
+ */
+function parsePropfind(body) {
+    const xml = body.toString('utf8');
+
+    if (!xml.trim() || /<([\w.-]+:)?allprop\b/.test(xml)) {
+        return { mode: 'allprop' };
+    }
+
+    if (/<([\w.-]+:)?propname\b/.test(xml)) {
+        return { mode: 'propname' };
+    }
+
+    return { mode: 'prop', props: parsePropNames(xml) };
+}
+
+/**
+ * LOCK body: scope and the text of the client's <owner> element
+ * (usually a user name or mailto: href)
+ */
+function parseLockinfo(body) {
+    const xml = body.toString('utf8');
+    const owner = xml.match(/<((?:[\w.-]+:)?)owner\b[^>]*>([\s\S]*?)<\/\1owner>/);
+
+    return {
+        scope: /<([\w.-]+:)?shared\b/.test(xml) ? 'shared' : 'exclusive',
+        owner: owner ? owner[2].replace(/<[^>]*>/g, '').trim() || null : null
+    };
+}
+
+/**
+ * Lock tokens submitted in the If header
+ */
+function submittedTokens(req) {
+    const header = req.headers['if'] || '';
+    return [...header.matchAll(/<((?:urn:uuid:|opaquelocktoken:)[^>]+)>/g)].map(match => match[1]);
+}
+
+/**
+ * Timeout header ("Second-3600" or "Infinite") in seconds, null = default
+ */
+function requestedTimeout(req) {
+    const match = (req.headers.timeout || '').match(/Second-(\d+)/i);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Resolve the request path (req.path is relative to /dav/drive)
+ */
+async function resolveRequest(req) {
+    return webdavService.resolve(webdavService.splitPath(req.path), req.user);
+}
+
+/**
+ * Resolve the Destination header of MOVE/COPY; other hosts or paths
+ * outside /dav/drive cannot be written (502)
+ */
+async function resolveDestination(req) {
+    const header = req.headers.destination;
+
+    if (!header) {
+        throw new WebdavError(400, 'Destination header is required');
+    }
+
+    const destination = new URL(header, `${req.protocol}://${req.get('host')}`);
+    const prefix = `${req.baseUrl}/`;
+
+    if (destination.host !== req.get('host') || !`${destination.pathname}/`.startsWith(prefix)) {
+        throw new WebdavError(502);
+    }
+
+    const segments = webdavService.splitPath(destination.pathname.slice(req.baseUrl.length));
+    if (segments.length === 0) {
+        throw new WebdavError(403);
+    }
+
+    // Keep the requested spelling (names resolve case-insensitively)
+    const resource = await webdavService.resolve(segments, req.user);
+    return resource && { ...resource, name: segments[segments.length - 1] };
+}
+
+/**
+ * Href of a resource: the parent's href plus the encoded name
+ */
+function hrefOf(req, resource) {
+    const names = [];
+    for (let current = resource; current && current.type !== 'root'; current = current.parent) {
+        names.unshift(encodeURIComponent(current.name));
+    }
+
+    const href = [req.baseUrl, ...names].join('/');
+    return resource.type === 'file' ? href : `${href}/`;
+}
+
+function isCollection(resource) {
+    return resource.type !== 'file';
+}
+
+function etagOf(resource) {
+    if (resource.type === 'file') {
+        return `"${resource.item.id}-${resource.item.version}-${resource.item.file_hash.substring(0, 16)}"`;
+    }
+
+    if (resource.type === 'folder') {
+        return `"d${resource.item.id}-${new Date(resource.item.updated_at).getTime()}"`;
+    }
+
+    return null;
+}
+
+function renderActiveLock(req, resource, lock) {
+    return `<D:activelock>`
+        + `<D:locktype><D:write/></D:locktype>`
+        + `<D:lockscope><D:${lock.scope}/></D:lockscope>`
+        + `<D:depth>${lock.depth === 'infinity' ? 'infinity' : '0'}</D:depth>`
+        + (lock.owner ? `<D:owner><D:href>${escapeXml(lock.owner)}</D:href></D:owner>` : '')
+        + `<D:timeout>Second-${Math.max(parseInt(lock.timeout) || 0, 0)}</D:timeout>`
+        + `<D:locktoken><D:href>${escapeXml(lock.token)}</D:href></D:locktoken>`
+        + `<D:lockroot><D:href>${escapeXml(hrefOf(req, resource))}</D:href></D:lockroot>`
+        + `</D:activelock>`;
+}
+
+/**
+ * Value of a DAV: property, undefined when the resource does not have it
+ */
+function renderProperty(req, name, resource, context) {
+    const item = resource.item;
+
+    switch (name) {
+        case 'displayname':
+            return escapeXml(resource.name);
+        case 'resourcetype':
+            return isCollection(resource) ? '<D:collection/>' : '';
+        case 'getcontentlength':
+            return resource.type === 'file' ? String(item.file_size_bytes) : undefined;
+        case 'getcontenttype':
+            return resource.type === 'file' ? escapeXml(item.mime_type || 'application/octet-stream') : undefined;
+        case 'getlastmodified':
+            return item ? new Date(item.updated_at || item.created_at).toUTCString() : undefined;
+        case 'creationdate':
+            return item ? new Date(item.created_at).toISOString() : undefined;
+        case 'getetag':
+            return etagOf(resource) || undefined;
+        case 'supportedlock':
+            return item
+                ? ['exclusive', 'shared'].map(scope =>
+                    `<D:lockentry><D:lockscope><D:${scope}/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry>`
+                ).join('')
+                : undefined;
+        case 'lockdiscovery':
+            return (context.locks.get(`${resource.type}:${item?.id}`) || [])
+                .map(lock => renderActiveLock(req, resource, lock))
+                .join('');
+        case 'quota-used-bytes':
+            return isCollection(resource) ? String(context.quota.used) : undefined;
+        case 'quota-available-bytes':
+            return isCollection(resource) ? String(context.quota.available) : undefined;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * <D:response> of one resource for a PROPFIND
+ */
+function renderResponse(req, resource, request, context) {
+    const found = [];
+    const missing = [];
+
+    if (request.mode === 'propname') {
+        found.push(...DAV_PROPERTIES.map(name => `<D:${name}/>`));
+    } else {
+        const props = request.mode === 'allprop'
+            ? DAV_PROPERTIES.map(name => ({ namespace: 'DAV:', name }))
+            : request.props;
+
+        for (const prop of props) {
+            const value = prop.namespace === 'DAV:' ? renderProperty(req, prop.name, resource, context) : undefined;
+
+            if (value !== undefined) {
+                found.push(`<D:${prop.name}>${value}</D:${prop.name}>`);
+            } else if (request.mode === 'prop') {
+                missing.push(prop.namespace === 'DAV:'
+                    ? `<D:${prop.name}/>`
+                    : `<x:${prop.name} xmlns:x="${escapeXml(prop.namespace)}"/>`);
+            }
+        }
+    }
+
+    return `<D:response><D:href>${escapeXml(hrefOf(req, resource))}</D:href>`
+        + `<D:propstat><D:prop>${found.join('')}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>`
+        + (missing.length > 0
+            ? `<D:propstat><D:prop>${missing.join('')}</D:prop><D:status>HTTP/1.1 404 Not Found</D:status></D:propstat>`
+            : '')
+        + `</D:response>`;
+}
+
+function sendXml(res, status, body) {
+    res.status(status)
+        .set('Content-Type', 'application/xml; charset=utf-8')
+        .send(`<?xml version="1.0" encoding="utf-8"?>\n${body}`);
+}
+
+function sendLockDiscovery(req, res, status, resource, lock) {
+    res.set('Lock-Token', `<${lock.token}>`);
+    sendXml(res, status, `<D:prop xmlns:D="DAV:"><D:lockdiscovery>${renderActiveLock(req, resource, lock)}</D:lockdiscovery></D:prop>`);
+}
+
+/**
+ * Resource must exist (404) and must not be the root or the shared collection (403)
+ */
+function requireItem(resource) {
+    if (!resource || !resource.type) {
+        throw new WebdavError(404);
+    }
+
+    if (!resource.item) {
+        throw new WebdavError(403);
+    }
+}
+
+// =====================================================
+// AUTHENTICATION
+// =====================================================
+
+/**
+ * HTTP Basic auth with username + app password
+ */
+async function authenticateAppPassword(req, res, next) {
+    try {
+        const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+
+        if (scheme && scheme.toLowerCase() === 'basic' && encoded) {
+            const credentials = Buffer.from(encoded, 'base64').toString('utf8');
+            const separator = credentials.indexOf(':');
+            const user = separator > 0
+                ? await appPasswordService.authenticate(credentials.slice(0, separator), credentials.slice(separator + 1), req)
+                : null;
+
+            if (user) {
+                req.user = {
+                    userId: user.id,
+                    username: user.username,
+                    role: user.role,
+                    language: user.language
+                };
+                return next();
+            }
+        }
+
+        res.set('WWW-Authenticate', 'Basic realm="OpenIntraHub Drive", charset="UTF-8"');
+        res.status(401).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// =====================================================
+// METHODS
+// =====================================================
+
+const handlers = {
+    async OPTIONS(req, res) {
+        res.set({
+            DAV: '1, 2',
+            'MS-Author-Via': 'DAV',
+            Allow: ALLOWED_METHODS
+        });
+        res.status(200).end();
+    },
+
+    async PROPFIND(req, res) {
+        const depth = req.headers.depth || '1';
+
+        if (depth === 'infinity') {
+            return sendXml(res, 403, '<D:error xmlns:D="DAV:"><D:propfind-finite-depth/></D:error>');
+        }
+
+        const request = parsePropfind(await readBody(req, MAX_XML_BODY));
+        const resource = await resolveRequest(req);
+
+        if (!resource || !resource.type) {
+            throw new WebdavError(404);
+        }
+
+        const children = depth !== '0' && isCollection(resource)
+            ? await webdavService.listChildren(resource, req.user)
+            : [];
+
+        const context = {
+            quota: await webdavService.getQuota(req.user.userId),
+            locks: await webdavService.getChildLocks(resource, children)
+        };
+
+        if (resource.item) {
+            context.locks.set(`${resource.type}:${resource.item.id}`, await webdavService.getLocks(resource));
+        }
+
+        const responses = [resource, ...children].map(r => renderResponse(req, r, request, context));
+        sendXml(res, 207, `<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`);
+    },
+
+    async PROPPATCH(req, res) {
+        // Dead properties are not stored; clients (e.g. Windows setting
+        // Win32 timestamps) only need the confirmation
+        const props = parsePropNames((await readBody(req, MAX_XML_BODY)).toString('utf8'));
+        const resource = await resolveRequest(req);
+
+        if (!resource || !resource.type) {
+            throw new WebdavError(404);
+        }
+
+        const names = props.map(prop => `<x:${prop.name} xmlns:x="${escapeXml(prop.namespace)}"/>`);
+        sendXml(res, 207, `<D:multistatus xmlns:D="DAV:"><D:response><D:href>${escapeXml(hrefOf(req, resource))}</D:href>`
+            + `<D:propstat><D:prop>${names.join('')}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>`
+            + `</D:response></D:multistatus>`);
+    },
+
+    async GET(req, res) {
+        const resource = await resolveRequest(req);
+
+        if (!resource || !resource.type) {
+            throw new WebdavError(404);
+        }
+
+        if (isCollection(resource)) {
+            throw new WebdavError(405);
+        }
+
+        const file = resource.item;
+        const etag = etagOf(resource);
+
+        res.set({
+            'Content-Type': file.mime_type || 'application/octet-stream',
+            'Content-Length': file.file_size_bytes,
+            ETag: etag,
+            'Last-Modified': new Date(file.updated_at).toUTCString()
+        });
+
+        if (req.headers['if-none-match'] === etag) {
+            return res.status(304).end();
+        }
+
+        if (req.method === 'HEAD') {
+            return res.status(200).end();
+        }
+
+        const { stream } = await driveService.getFileStream(file.id, req.user.userId);
+        stream.pipe(res);
+    },
+
+    async PUT(req, res) {
+        const resource = await resolveRequest(req);
+        const tokens = submittedTokens(req);
+
+        if (!resource) {
+            throw new WebdavError(409);
+        }
+
+        if (resource.type && isCollection(resource)) {
+            throw new WebdavError(405);
+        }
+
+        if (!driveService.isAllowedFileName(resource.name)) {
+            throw new WebdavError(403, 'File type not allowed');
+        }
+
+        await webdavService.checkLocks(resource.type ? resource : resource.parent, req.user.userId, tokens);
+
+        const content = await readBody(req, driveService.maxFileSize);
+        const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+        const mimeType = contentType || null;
+
+        if (resource.type === 'file') {
+            await driveService.replaceFileContent(resource.item.id, content, {
+                userId: req.user.userId,
+                mimeType,
+                changeDescription: 'WebDAV'
+            });
+            return res.status(204).end();
+        }
+
+        const file = await driveService.uploadFile(content, resource.name, {
+            userId: req.user.userId,
+            folderId: webdavService.targetFolderId(resource.parent),
+            mimeType: mimeType || 'application/octet-stream'
+        });
+
+        res.set('ETag', etagOf({ type: 'file', item: file }));
+        res.status(201).end();
+    },
+
+    async MKCOL(req, res) {
+        if ((await readBody(req, MAX_XML_BODY)).length > 0) {
+            throw new WebdavError(415);
+        }
+
+        const resource = await resolveRequest(req);
+
+        if (!resource) {
+            throw new WebdavError(409);
+        }
+
+        if (resource.type) {
+            throw new WebdavError(405);
+        }
+
+        await webdavService.checkLocks(resource.parent, req.user.userId, submittedTokens(req));
+
+        await driveService.createFolder(resource.name, {
+            userId: req.user.userId,
+            parentId: webdavService.targetFolderId(resource.parent)
+        });
+
+        res.status(201).end();
+    },
+
+    async DELETE(req, res) {
+        const resource = await resolveRequest(req);
+        requireItem(resource);
+
+        const tokens = submittedTokens(req);
+        await webdavService.checkLocks(resource, req.user.userId, tokens, { descendants: true });
+        await webdavService.checkLocks(resource.parent, req.user.userId, tokens);
+
+        if (resource.type === 'file') {
+            await driveService.deleteFile(resource.item.id, req.user.userId);
+        } else {
+            await driveService.deleteFolder(resource.item.id, req.user.userId);
+        }
+
+        await webdavService.releaseLocks(resource);
+
+        res.status(204).end();
+    },
+
+    async MOVE(req, res) {
+        await transfer(req, res, 'move');
+    },
+
+    async COPY(req, res) {
+        await transfer(req, res, 'copy');
+    },
+
+    async LOCK(req, res) {
+        const body = await readBody(req, MAX_XML_BODY);
+        let resource = await resolveRequest(req);
+        const tokens = submittedTokens(req);
+
+        if (!resource) {
+            throw new WebdavError(409);
+        }
+
+        // Refresh: empty body with the lock token in the If header
+        if (body.length === 0) {
+            requireItem(resource);
+
+            const lock = await webdavService.refreshLock(resource, tokens[0], req.user.userId, requestedTimeout(req));
+            return sendLockDiscovery(req, res, 200, resource, lock);
+        }
+
+        let status = 200;
+
+        // Locking an unmapped URL creates an empty file (RFC 4918, 7.3)
+        if (!resource.type) {
+            if (!driveService.isAllowedFileName(resource.name)) {
+                throw new WebdavError(403, 'File type not allowed');
+            }
+
+            await webdavService.checkLocks(resource.parent, req.user.userId, tokens);
+
+            const file = await driveService.uploadFile(Buffer.alloc(0), resource.name, {
+                userId: req.user.userId,
+                folderId: webdavService.targetFolderId(resource.parent)
+            });
+
+            resource = { ...resource, type: 'file', item: file };
+            status = 201;
+        }
+
+        requireItem(resource);
+
+        const { scope, owner } = parseLockinfo(body);
+        const lock = await webdavService.createLock(resource, req.user.userId, {
+            scope,
+            owner,
+            depth: req.headers.depth === '0' ? '0' : 'infinity',
+            timeout: requestedTimeout(req)
+        });
+
+        sendLockDiscovery(req, res, status, resource, lock);
+    },
+
+    async UNLOCK(req, res) {
+        const match = (req.headers['lock-token'] || '').match(/<([^>]+)>/);
+
+        if (!match) {
+            throw new WebdavError(400, 'Lock-Token header is required');
+        }
+
+        const resource = await resolveRequest(req);
+        requireItem(resource);
+
+        await webdavService.removeLock(resource, match[1], req.user.userId);
+
+        res.status(204).end();
+    }
+};
+
+handlers.HEAD = handlers.GET;
+
+/**
+ * MOVE and COPY. Overwrite: F fails with 412 when the destination exists,
+ * otherwise the existing destination is moved to the trash first.
+ */
+async function transfer(req, res, operation) {
+    const source = await resolveRequest(req);
+    requireItem(source);
+
+    const destination = await resolveDestination(req);
+    const tokens = submittedTokens(req);
+    const userId = req.user.userId;
+
+    if (!destination) {
+        throw new WebdavError(409);
+    }
+
+    // A case-only rename resolves to the source itself
+    const sameItem = destination.type === source.type && destination.item?.id === source.item.id;
+
+    if (sameItem && destination.name === source.name) {
+        throw new WebdavError(403);
+    }
+
+    const exists = Boolean(destination.type) && !sameItem;
+
+    if (exists) {
+        if ((req.headers.overwrite || 'T').toUpperCase() === 'F') {
+            throw new WebdavError(412);
+        }
+
+        requireItem(destination);
+    }
+
+    if (operation === 'move') {
+        await webdavService.checkLocks(source, userId, tokens, { descendants: true });
+        await webdavService.checkLocks(source.parent, userId, tokens);
+    }
+    await webdavService.checkLocks(destination.parent, userId, tokens);
+
+    // Renaming inside "Shared with me" keeps the item in its folder
+    const stays = destination.parent.type === 'shared' && source.parent.type === 'shared';
+    const folderId = stays ? undefined : webdavService.targetFolderId(destination.parent);
+
+    if (exists) {
+        await webdavService.checkLocks(destination, userId, tokens, { descendants: true });
+
+        if (destination.type === 'file') {
+            await driveService.deleteFile(destination.item.id, userId);
+        } else {
+            await driveService.deleteFolder(destination.item.id, userId);
+        }
+    }
+
+    const name = destination.name;
+
+    if (operation === 'move' && source.type === 'file') {
+        await driveService.moveFile(source.item.id, { folderId, name }, userId);
+    } else if (operation === 'move') {
+        await driveService.updateFolder(source.item.id, { parentId: folderId, name }, userId);
+    } else if (source.type === 'file') {
+        await driveService.copyFile(source.item.id, { folderId, name }, userId);
+    } else {
+        await driveService.copyFolder(source.item.id, { parentId: folderId, name }, userId, {
+            recursive: req.headers.depth !== '0'
+        });
+    }
+
+    if (operation === 'move') {
+        await webdavService.releaseLocks(source);
+    }
+
+    res.status(exists ? 204 : 201).end();
+}
+
+// =====================================================
+// ROUTES
+// =====================================================
+
+router.use(async (req, res, next) => {
+    if (req.method === 'OPTIONS') {
+        return handlers.OPTIONS(req, res);
+    }
+    return authenticateAppPassword(req, res, next);
+});
+
+router.use(async (req, res) => {
+    const handler = handlers[req.method];
+
+    if (!handler) {
+        res.set('Allow', ALLOWED_METHODS);
+        return res.status(405).end();
+    }
+
+    try {
+        await handler(req, res);
+    } catch (error) {
+        const status = error instanceof WebdavError ? error.status : ERROR_STATUS[error.message];
+
+        if (!status) {
+            logger.error('WebDAV request failed', {
+                method: req.method,
+                path: req.path,
+                userId: req.user.userId,
+                error: error.message
+            });
+        }
+
+        if (!res.headersSent) {
+            res.status(status || 500).end(status ? error.message : undefined);
+        }
+    }
+});
+
+module.exports = router;
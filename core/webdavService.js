@@ -0,0 +1,441 @@
+// =====================================================
+// WebDAV Service - Drive als Netzlaufwerk
+// =====================================================
+// Maps WebDAV paths (/dav/drive/<folder>/<file>) onto drive
+// folders and files with the same view as the web UI: the
+// root lists the user's root items plus a virtual "Shared
+// with me" collection. Names are matched case-insensitively;
+// locks (LOCK/UNLOCK) are stored in drive_locks.
+// =====================================================
+
+const crypto = require('crypto');
+const database = require('./database');
+const driveService = require('./driveService');
+const driveQuotaService = require('./driveQuotaService');
+const { i18next, DEFAULT_LANGUAGE } = require('./i18n');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('WebdavService');
+
+const DEFAULT_LOCK_TIMEOUT = parseInt(process.env.WEBDAV_LOCK_TIMEOUT_SECONDS) || 3600;
+const MAX_LOCK_TIMEOUT = 24 * 3600;
+
+// Upper bound for collection listings (PROPFIND Depth: 1)
+const LIST_LIMIT = 10000;
+
+class WebdavService {
+    constructor() {
+        this.lockTimeout = DEFAULT_LOCK_TIMEOUT;
+    }
+
+    // =====================================================
+    // PATHS
+    // =====================================================
+
+    /**
+     * Split a request path into decoded segments
+     */
+    splitPath(requestPath) {
+        const segments = requestPath.split('/')
+            .filter(Boolean)
+            .map(segment => decodeURIComponent(segment));
+
+        if (segments.some(segment => segment === '.' || segment === '..')) {
+            throw new Error('Invalid path');
+        }
+
+        return segments;
+    }
+
+    /**
+     * Name of the virtual "Shared with me" collection in the user's language
+     */
+    sharedCollectionName(language) {
+        return i18next.t('drive:sharedWithMe', { lng: language || DEFAULT_LANGUAGE });
+    }
+
+    /**
+     * Resolve path segments to a resource:
+     *   { type: 'root' | 'shared' | 'folder' | 'file', item, parent, name }
+     * When only the last segment does not exist, the result has type null
+     * and the parent collection (target of PUT, MKCOL and LOCK). Returns
+     * null when the parent is missing as well.
+     */
+    async resolve(segments, user) {
+        let resource = { type: 'root', item: null, parent: null, name: '' };
+
+        for (let i = 0; i < segments.length; i++) {
+            const child = await this._findChild(resource, segments[i], user);
+
+            if (!child) {
+                return i === segments.length - 1
+                    ? { type: null, item: null, parent: resource, name: segments[i] }
+                    : null;
+            }
+
+            resource = child;
+        }
+
+        return resource;
+    }
+
+    /**
+     * Child of a collection by name. Folders win over files of the same
+     * name, own items over items of other users.
+     * @private
+     */
+    async _findChild(collection, name, user) {
+        if (collection.type === 'root' && name.toLowerCase() === this.sharedCollectionName(user.language).toLowerCase()) {
+            return { type: 'shared', item: null, parent: collection, name: this.sharedCollectionName(user.language) };
+        }
+
+        if (collection.type === 'shared') {
+            const shared = await driveService.getSharedWithMe(user.userId);
+            const matches = item => item.name.toLowerCase() === name.toLowerCase();
+            const folder = shared.folders.find(matches);
+            const file = !folder && shared.files.find(matches);
+
+            if (folder || file) {
+                return { type: folder ? 'folder' : 'file', item: folder || file, parent: collection, name: (folder || file).name };
+            }
+            return null;
+        }
+
+        if (collection.type !== 'root' && collection.type !== 'folder') {
+            return null;
+        }
+
+        const parentId = collection.type === 'folder' ? collection.item.id : null;
+
+        const folderResult = await database.query(`
+            SELECT f.*
+            FROM drive_folders f
+            WHERE f.deleted_at IS NULL
+              AND f.parent_id IS NOT DISTINCT FROM $1
+              AND LOWER(f.name) = LOWER($2)
+              AND user_has_drive_folder_access($3, f.id, 'read')
+            ORDER BY (f.owner_id = $3) DESC, f.created_at DESC
+            LIMIT 1
+        `, [parentId, name, user.userId]);
+
+        if (folderResult.rows.length > 0) {
+            const folder = folderResult.rows[0];
+            return { type: 'folder', item: folder, parent: collection, name: folder.name };
+        }
+
+        const fileResult = await database.query(`
+            SELECT f.*
+            FROM drive_files f
+            WHERE f.deleted_at IS NULL
+              AND f.folder_id IS NOT DISTINCT FROM $1
+              AND LOWER(f.name) = LOWER($2)
+              AND user_has_drive_file_access($3, f.id, 'read')
+            ORDER BY (f.uploaded_by = $3) DESC, f.created_at DESC
+            LIMIT 1
+        `, [parentId, name, user.userId]);
+
+        if (fileResult.rows.length > 0) {
+            const file = fileResult.rows[0];
+            return { type: 'file', item: file, parent: collection, name: file.name };
+        }
+
+        return null;
+    }
+
+    /**
+     * Members of a collection, in the same order _findChild resolves them
+     * (duplicate names are listed once)
+     */
+    async listChildren(collection, user) {
+        let folders;
+        let files;
+
+        if (collection.type === 'shared') {
+            ({ folders, files } = await driveService.getSharedWithMe(user.userId));
+        } else {
+            const parentId = collection.type === 'folder' ? collection.item.id : null;
+
+            folders = await driveService.listFolders({ parentId, userId: user.userId, limit: LIST_LIMIT });
+            ({ files } = await driveService.listFiles({ folderId: parentId, userId: user.userId, limit: LIST_LIMIT }));
+        }
+
+        const own = (a, b) => (b === user.userId) - (a === user.userId);
+
+        const children = [
+            ...folders
+                .sort((a, b) => own(a.owner_id, b.owner_id))
+                .map(folder => ({ type: 'folder', item: folder, parent: collection, name: folder.name })),
+            ...files
+                .sort((a, b) => own(a.uploaded_by, b.uploaded_by))
+                .map(file => ({ type: 'file', item: file, parent: collection, name: file.name }))
+        ];
+
+        if (collection.type === 'root') {
+            children.unshift({ type: 'shared', item: null, parent: collection, name: this.sharedCollectionName(user.language) });
+        }
+
+        const seen = new Set();
+        return children.filter(child => {
+            const key = child.name.toLowerCase();
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Folder ID that new members of a collection are created in
+     * (null = the user's root); the shared collection cannot take new items
+     */
+    targetFolderId(collection) {
+        if (collection.type === 'root') {
+            return null;
+        }
+
+        if (collection.type === 'folder') {
+            return collection.item.id;
+        }
+
+        throw new Error('Access denied');
+    }
+
+    /**
+     * Used and available bytes of the user (RFC 4331 quota properties)
+     */
+    async getQuota(userId) {
+        const [quota, used] = await Promise.all([
+            driveQuotaService.getUserQuota(userId),
+            driveQuotaService.getUserUsage(userId)
+        ]);
+
+        return {
+            used,
+            available: Math.max(quota.quotaBytes - used, 0)
+        };
+    }
+
+    // =====================================================
+    // LOCKS
+    // =====================================================
+    // Locks only block other users: a client that lost its lock
+    // token (crash, restart) can still write its own files.
+
+    /**
+     * Active locks that apply to a resource: locks on the resource itself and
+     * depth-infinity locks on folders above it
+     */
+    async getLocks(resource) {
+        if (resource.type === 'file') {
+            const result = await database.query(`
+                SELECT * FROM drive_locks
+                WHERE expires_at > CURRENT_TIMESTAMP
+                  AND (
+                      file_id = $1 OR
+                      (depth = 'infinity' AND folder_id IN (SELECT folder_id FROM drive_folder_ancestors($2)))
+                  )
+            `, [resource.item.id, resource.item.folder_id]);
+
+            return result.rows;
+        }
+
+        if (resource.type === 'folder') {
+            const result = await database.query(`
+                SELECT * FROM drive_locks
+                WHERE expires_at > CURRENT_TIMESTAMP
+                  AND folder_id IN (SELECT folder_id FROM drive_folder_ancestors($1))
+                  AND (folder_id = $1 OR depth = 'infinity')
+            `, [resource.item.id]);
+
+            return result.rows;
+        }
+
+        return [];
+    }
+
+    /**
+     * Locks of the members of a collection, keyed by "file:<id>" / "folder:<id>"
+     * (one query per listing instead of one per member)
+     */
+    async getChildLocks(collection, children) {
+        const fileIds = children.filter(child => child.type === 'file').map(child => child.item.id);
+        const folderIds = children.filter(child => child.type === 'folder').map(child => child.item.id);
+        const inherited = (await this.getLocks(collection)).filter(lock => lock.depth === 'infinity');
+
+        const result = await database.query(`
+            SELECT * FROM drive_locks
+            WHERE expires_at > CURRENT_TIMESTAMP
+              AND (file_id = ANY($1) OR folder_id = ANY($2))
+        `, [fileIds, folderIds]);
+
+        const locks = new Map();
+        for (const child of children) {
+            if (child.type === 'file' || child.type === 'folder') {
+                locks.set(`${child.type}:${child.item.id}`, [...inherited]);
+            }
+        }
+
+        for (const lock of result.rows) {
+            const key = lock.file_id ? `file:${lock.file_id}` : `folder:${lock.folder_id}`;
+            locks.get(key)?.push(lock);
+        }
+
+        return locks;
+    }
+
+    /**
+     * Active locks on files and folders below a folder
+     * @private
+     */
+    async _getDescendantLocks(folderId) {
+        const result = await database.query(`
+            WITH RECURSIVE tree AS (
+                SELECT id FROM drive_folders WHERE parent_id = $1 AND deleted_at IS NULL
+                UNION ALL
+                SELECT f.id FROM drive_folders f
+                JOIN tree ON f.parent_id = tree.id
+                WHERE f.deleted_at IS NULL
+            )
+            SELECT * FROM drive_locks
+            WHERE expires_at > CURRENT_TIMESTAMP
+              AND (
+                  folder_id IN (SELECT id FROM tree) OR
+                  file_id IN (
+                      SELECT id FROM drive_files
+                      WHERE deleted_at IS NULL
+                        AND (folder_id = $1 OR folder_id IN (SELECT id FROM tree))
+                  )
+              )
+        `, [folderId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Check that a resource may be changed. Throws 'Resource is locked' when
+     * another user holds a lock whose token was not submitted.
+     * options.descendants: also check locks below a folder (DELETE, MOVE)
+     */
+    async checkLocks(resource, userId, tokens = [], options = {}) {
+        const locks = await this.getLocks(resource);
+
+        if (options.descendants && resource.type === 'folder') {
+            locks.push(...(await this._getDescendantLocks(resource.item.id)));
+        }
+
+        const conflict = locks.find(lock => lock.user_id !== userId && !tokens.includes(lock.token));
+
+        if (conflict) {
+            throw new Error('Resource is locked');
+        }
+    }
+
+    /**
+     * Lock a file or folder
+     * @returns {Promise<Object>} drive_locks row
+     */
+    async createLock(resource, userId, { scope = 'exclusive', depth = 'infinity', owner = null, timeout } = {}) {
+        if (resource.type !== 'file' && resource.type !== 'folder') {
+            throw new Error('Access denied');
+        }
+
+        const lockDepth = resource.type === 'folder' ? depth : '0';
+        const locks = await this.getLocks(resource);
+
+        if (lockDepth === 'infinity' && resource.type === 'folder') {
+            locks.push(...(await this._getDescendantLocks(resource.item.id)));
+        }
+
+        // Exclusive locks conflict with every lock of another user, shared locks
+        // only with exclusive ones
+        const conflict = locks.find(lock =>
+            lock.user_id !== userId && (scope === 'exclusive' || lock.scope === 'exclusive')
+        );
+
+        if (conflict) {
+            throw new Error('Resource is locked');
+        }
+
+        await database.query('DELETE FROM drive_locks WHERE expires_at <= CURRENT_TIMESTAMP');
+
+        const result = await database.query(`
+            INSERT INTO drive_locks (token, file_id, folder_id, user_id, scope, depth, owner, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP + make_interval(secs => $8))
+            RETURNING *, EXTRACT(EPOCH FROM (expires_at - CURRENT_TIMESTAMP))::int AS timeout
+        `, [
+            `urn:uuid:${crypto.randomUUID()}`,
+            resource.type === 'file' ? resource.item.id : null,
+            resource.type === 'folder' ? resource.item.id : null,
+            userId,
+            scope,
+            lockDepth,
+            owner,
+            this._lockTimeout(timeout)
+        ]);
+
+        logger.info('Resource locked', { type: resource.type, id: resource.item.id, userId, scope, depth: lockDepth });
+
+        return result.rows[0];
+    }
+
+    /**
+     * Extend one of the user's locks on a resource
+     */
+    async refreshLock(resource, token, userId, timeout) {
+        const lock = (await this.getLocks(resource)).find(l => l.token === token);
+
+        if (!lock || lock.user_id !== userId) {
+            throw new Error('Lock not found');
+        }
+
+        const result = await database.query(`
+            UPDATE drive_locks
+            SET expires_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+            WHERE token = $1
+            RETURNING *, EXTRACT(EPOCH FROM (expires_at - CURRENT_TIMESTAMP))::int AS timeout
+        `, [token, this._lockTimeout(timeout)]);
+
+        return result.rows[0];
+    }
+
+    /**
+     * Remove one of the user's locks on a resource
+     */
+    async removeLock(resource, token, userId) {
+        const lock = (await this.getLocks(resource)).find(l => l.token === token);
+
+        if (!lock || lock.user_id !== userId) {
+            throw new Error('Lock not found');
+        }
+
+        await database.query('DELETE FROM drive_locks WHERE token = $1', [token]);
+
+        logger.info('Resource unlocked', { type: resource.type, id: resource.item.id, userId });
+    }
+
+    /**
+     * Drop the locks held directly on a file or folder (after DELETE or MOVE)
+     */
+    async releaseLocks(resource) {
+        if (resource.type === 'file') {
+            await database.query('DELETE FROM drive_locks WHERE file_id = $1', [resource.item.id]);
+        } else if (resource.type === 'folder') {
+            await database.query('DELETE FROM drive_locks WHERE folder_id = $1', [resource.item.id]);
+        }
+    }
+
+    /**
+     * Requested timeout in seconds, capped (null = default)
+     * @private
+     */
+    _lockTimeout(seconds) {
+        if (!seconds || seconds <= 0) {
+            return this.lockTimeout;
+        }
+
+        return Math.min(seconds, MAX_LOCK_TIMEOUT);
+    }
+}
+
+module.exports = new WebdavService();
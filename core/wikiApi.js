@@ -0,0 +1,514 @@
+/**
+ * Wiki API
+ * REST-Endpunkte für Bereiche, Seiten, Revisionen, Backlinks, Suche, Sperren und Anhänge
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const wikiService = require('./wikiService');
+const { authenticateToken } = require('./middleware');
+const { requirePermission, userHasPermission } = require('./permissions');
+const i18n = require('./i18n');
+
+// Attachments (memory storage, uploaded to the Drive)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 50 * 1024 * 1024 // 50MB
+    }
+});
+
+const NOT_FOUND_MESSAGES = ['Space not found', 'Page not found', 'Revision not found', 'Attachment not found', 'File not found'];
+
+const CONFLICT_MESSAGES = [
+    'Space key already exists',
+    'A page with this title already exists in this space',
+    'Page was changed in the meantime'
+];
+
+// Invalid input reported by wikiService (400); unknown errors are not passed on
+const VALIDATION_PATTERN = /^(Invalid|name is required|title is required|file is required|No valid fields|Space is archived)/;
+
+/**
+ * Sends a wiki error (404 unknown objects, 409 conflicts, 423 locked pages)
+ */
+function sendWikiError(res, req, error) {
+    let status = null;
+    if (error.message === 'Page is locked by another user') {
+        status = 423;
+    } else if (CONFLICT_MESSAGES.includes(error.message)) {
+        status = 409;
+    } else if (NOT_FOUND_MESSAGES.includes(error.message)) {
+        status = 404;
+    } else if (error.message === 'Access denied') {
+        status = 403;
+    } else if (VALIDATION_PATTERN.test(error.message)) {
+        status = 400;
+    }
+
+    if (!status) {
+        return res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+
+    res.status(status).json({
+        success: false,
+        message: error.message,
+        lock: error.lock
+    });
+}
+
+function isWikiAdmin(req) {
+    return userHasPermission(req.user, 'wiki.admin');
+}
+
+// ==============================================
+// SPACES
+// ==============================================
+
+/**
+ * GET /api/wiki/spaces
+ * All spaces with page counts
+ * Query: include_archived?
+ */
+router.get('/wiki/spaces', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const spaces = await wikiService.listSpaces({
+            include_archived: req.query.include_archived === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: spaces
+        });
+    } catch (error) {
+        console.error('Error listing wiki spaces:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+/**
+ * POST /api/wiki/spaces
+ * Create space (key, name, description?, icon?, color?)
+ */
+router.post('/wiki/spaces', authenticateToken, requirePermission('wiki.admin'), async (req, res) => {
+    try {
+        const space = await wikiService.createSpace(req.body, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            data: space,
+            message: 'Space created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating wiki space:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/wiki/spaces/:key
+ * Space with its page tree
+ */
+router.get('/wiki/spaces/:key', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const space = await wikiService.getSpace(req.params.key);
+        const pages = await wikiService.getPageTree(space.id);
+
+        res.json({
+            success: true,
+            data: { ...space, pages }
+        });
+    } catch (error) {
+        console.error('Error getting wiki space:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * PUT /api/wiki/spaces/:key
+ * Update space (name, description, icon, color, is_archived)
+ */
+router.put('/wiki/spaces/:key', authenticateToken, requirePermission('wiki.admin'), async (req, res) => {
+    try {
+        const space = await wikiService.updateSpace(req.params.key, req.body);
+
+        res.json({
+            success: true,
+            data: space,
+            message: 'Space updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating wiki space:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/wiki/spaces/:key
+ * Delete space including all pages
+ */
+router.delete('/wiki/spaces/:key', authenticateToken, requirePermission('wiki.admin'), async (req, res) => {
+    try {
+        await wikiService.deleteSpace(req.params.key, req.user.userId);
+
+        res.json({
+            success: true,
+            message: 'Space deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting wiki space:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+// ==============================================
+// PAGES
+// ==============================================
+
+/**
+ * POST /api/wiki/spaces/:key/pages
+ * Create page (title, content, parent_id?, position?, change_note?)
+ */
+router.post('/wiki/spaces/:key/pages', authenticateToken, requirePermission('wiki.edit'), async (req, res) => {
+    try {
+        const page = await wikiService.createPage(req.params.key, req.body, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            data: page,
+            message: 'Page created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating wiki page:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/wiki/spaces/:key/pages/:slug
+ * Page by slug (with breadcrumbs, links and lock)
+ */
+router.get('/wiki/spaces/:key/pages/:slug', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const page = await wikiService.getPageBySlug(req.params.key, req.params.slug);
+
+        res.json({
+            success: true,
+            data: page
+        });
+    } catch (error) {
+        console.error('Error getting wiki page:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/wiki/pages/:id
+ * Page by ID
+ */
+router.get('/wiki/pages/:id', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const page = await wikiService.getPageById(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: page
+        });
+    } catch (error) {
+        console.error('Error getting wiki page:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * PUT /api/wiki/pages/:id
+ * Update page (title, content, parent_id, position, change_note, base_revision?)
+ */
+router.put('/wiki/pages/:id', authenticateToken, requirePermission('wiki.edit'), async (req, res) => {
+    try {
+        const page = await wikiService.updatePage(parseInt(req.params.id), req.body, req.user.userId);
+
+        res.json({
+            success: true,
+            data: page,
+            message: 'Page updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating wiki page:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/wiki/pages/:id
+ * Delete page (creator or wiki admin); child pages move up one level
+ */
+router.delete('/wiki/pages/:id', authenticateToken, requirePermission('wiki.edit'), async (req, res) => {
+    try {
+        await wikiService.deletePage(parseInt(req.params.id), req.user.userId, { isAdmin: await isWikiAdmin(req) });
+
+        res.json({
+            success: true,
+            message: 'Page deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting wiki page:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+// ==============================================
+// REVISIONS
+// ==============================================
+
+/**
+ * GET /api/wiki/pages/:id/revisions
+ * Revision history
+ */
+router.get('/wiki/pages/:id/revisions', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const revisions = await wikiService.listRevisions(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: revisions
+        });
+    } catch (error) {
+        console.error('Error listing wiki revisions:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/wiki/pages/:id/diff
+ * Line diff between two revisions
+ * Query: from?, to? (default: current revision against its predecessor)
+ */
+router.get('/wiki/pages/:id/diff', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const diff = await wikiService.diffRevisions(
+            parseInt(req.params.id),
+            req.query.from ? parseInt(req.query.from) : null,
+            req.query.to ? parseInt(req.query.to) : null
+        );
+
+        res.json({
+            success: true,
+            data: diff
+        });
+    } catch (error) {
+        console.error('Error diffing wiki revisions:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/wiki/pages/:id/revisions/:revision
+ * Single revision with content
+ */
+router.get('/wiki/pages/:id/revisions/:revision', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const revision = await wikiService.getRevision(parseInt(req.params.id), parseInt(req.params.revision));
+
+        res.json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Error getting wiki revision:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * POST /api/wiki/pages/:id/revisions/:revision/restore
+ * Restore a revision as the new current version
+ */
+router.post('/wiki/pages/:id/revisions/:revision/restore', authenticateToken, requirePermission('wiki.edit'), async (req, res) => {
+    try {
+        const page = await wikiService.restoreRevision(parseInt(req.params.id), parseInt(req.params.revision), req.user.userId);
+
+        res.json({
+            success: true,
+            data: page,
+            message: 'Revision restored successfully'
+        });
+    } catch (error) {
+        console.error('Error restoring wiki revision:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+// ==============================================
+// BACKLINKS & SEARCH
+// ==============================================
+
+/**
+ * GET /api/wiki/pages/:id/backlinks
+ * Pages linking to this page
+ */
+router.get('/wiki/pages/:id/backlinks', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const backlinks = await wikiService.getBacklinks(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: backlinks
+        });
+    } catch (error) {
+        console.error('Error getting wiki backlinks:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/wiki/search
+ * Full-text search
+ * Query: q, space?, limit?
+ */
+router.get('/wiki/search', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const results = await wikiService.searchPages(req.query.q, {
+            space: req.query.space,
+            limit: req.query.limit
+        });
+
+        res.json({
+            success: true,
+            data: results
+        });
+    } catch (error) {
+        console.error('Error searching wiki:', error);
+        res.status(500).json({
+            success: false,
+            message: i18n.t('errors.serverError', { lng: req.language })
+        });
+    }
+});
+
+// ==============================================
+// LOCKS
+// ==============================================
+
+/**
+ * POST /api/wiki/pages/:id/lock
+ * Acquire or refresh the edit lock
+ */
+router.post('/wiki/pages/:id/lock', authenticateToken, requirePermission('wiki.edit'), async (req, res) => {
+    try {
+        const lock = await wikiService.lockPage(parseInt(req.params.id), req.user.userId);
+
+        res.json({
+            success: true,
+            data: lock
+        });
+    } catch (error) {
+        console.error('Error locking wiki page:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/wiki/pages/:id/lock
+ * Release the edit lock (wiki admins may remove locks of others with ?force=true)
+ */
+router.delete('/wiki/pages/:id/lock', authenticateToken, requirePermission('wiki.edit'), async (req, res) => {
+    try {
+        await wikiService.unlockPage(parseInt(req.params.id), req.user.userId, {
+            force: req.query.force === 'true' && await isWikiAdmin(req)
+        });
+
+        res.json({
+            success: true,
+            message: 'Page unlocked'
+        });
+    } catch (error) {
+        console.error('Error unlocking wiki page:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+// ==============================================
+// ATTACHMENTS
+// ==============================================
+
+/**
+ * GET /api/wiki/pages/:id/attachments
+ * Attachments of a page
+ */
+router.get('/wiki/pages/:id/attachments', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const attachments = await wikiService.listAttachments(parseInt(req.params.id));
+
+        res.json({
+            success: true,
+            data: attachments
+        });
+    } catch (error) {
+        console.error('Error listing wiki attachments:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * POST /api/wiki/pages/:id/attachments
+ * Upload attachment (multipart: file)
+ */
+router.post('/wiki/pages/:id/attachments', authenticateToken, requirePermission('wiki.edit'), upload.single('file'), async (req, res) => {
+    try {
+        const attachment = await wikiService.addAttachment(parseInt(req.params.id), req.file, req.user.userId);
+
+        res.status(201).json({
+            success: true,
+            data: attachment,
+            message: 'Attachment uploaded successfully'
+        });
+    } catch (error) {
+        console.error('Error uploading wiki attachment:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * GET /api/wiki/attachments/:id/download
+ * Download attachment
+ */
+router.get('/wiki/attachments/:id/download', authenticateToken, requirePermission('wiki.read'), async (req, res) => {
+    try {
+        const { stream, file } = await wikiService.getAttachmentStream(parseInt(req.params.id), req.user.userId);
+
+        res.setHeader('Content-Type', file.mime_type);
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(file.name)}"`);
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error downloading wiki attachment:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+/**
+ * DELETE /api/wiki/attachments/:id
+ * Remove attachment (uploader or wiki admin)
+ */
+router.delete('/wiki/attachments/:id', authenticateToken, requirePermission('wiki.edit'), async (req, res) => {
+    try {
+        await wikiService.deleteAttachment(parseInt(req.params.id), req.user.userId, { isAdmin: await isWikiAdmin(req) });
+
+        res.json({
+            success: true,
+            message: 'Attachment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting wiki attachment:', error);
+        sendWikiError(res, req, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,1056 @@
+/**
+ * Wiki Service
+ * Bereiche, hierarchische Markdown-Seiten, Revisionen mit Diffs,
+ * interne [[Links]] mit Backlinks, Volltextsuche, Anhänge und Seitensperren
+ */
+
+const database = require('./database');
+const driveService = require('./driveService');
+const moduleRegistry = require('./enhancedModuleRegistry');
+const { createModuleLogger } = require('./logger');
+
+const logger = createModuleLogger('WikiService');
+
+// Edit lock duration; the editor refreshes the lock while the page is open
+const LOCK_MINUTES = parseInt(process.env.WIKI_LOCK_MINUTES) || 15;
+
+// Upper bound for the line diff table (old lines x new lines)
+const MAX_DIFF_CELLS = 4000000;
+
+const SPACE_KEY_PATTERN = /^[A-Z0-9_-]{2,50}$/;
+
+// ==============================================
+// HELPERS
+// ==============================================
+
+/**
+ * Page slug from its title (unique per space, used by [[links]])
+ */
+function slugify(title) {
+    const slug = String(title || '')
+        .toLowerCase()
+        .replace(/ä/g, 'ae')
+        .replace(/ö/g, 'oe')
+        .replace(/ü/g, 'ue')
+        .replace(/ß/g, 'ss')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 200);
+
+    return slug || 'seite';
+}
+
+/**
+ * Error for a page locked by someone else (includes the lock holder)
+ */
+function lockedError(page) {
+    const error = new Error('Page is locked by another user');
+    error.lock = {
+        locked_by: page.locked_by,
+        locked_by_name: page.locked_by_name,
+        locked_at: page.locked_at,
+        lock_expires_at: page.lock_expires_at
+    };
+    return error;
+}
+
+function isLockedByOther(page, userId) {
+    return page.locked_by &&
+        page.locked_by !== userId &&
+        new Date(page.lock_expires_at) > new Date();
+}
+
+/**
+ * Extracts [[Title]], [[Title|Label]] and [[KEY:Title]] links from Markdown
+ * (code blocks and inline code are ignored)
+ *
+ * @returns {Array<{ space_key: string|null, target: string, label: string }>}
+ */
+function parseWikiLinks(content) {
+    const text = String(content || '')
+        .replace(/```[\s\S]*?```/g, '')
+        .replace(/`[^`\n]*`/g, '');
+
+    const links = [];
+    const pattern = /\[\[([^\[\]|\n]+)(?:\|([^\[\]\n]+))?\]\]/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const target = match[1].trim();
+        const separator = target.indexOf(':');
+        const prefix = separator > 0 ? target.substring(0, separator).trim() : null;
+
+        links.push({
+            space_key: prefix && SPACE_KEY_PATTERN.test(prefix.toUpperCase()) ? prefix.toUpperCase() : null,
+            target,
+            label: (match[2] || target).trim()
+        });
+    }
+
+    return links;
+}
+
+/**
+ * Replaces the stored links of a page with the links in its content
+ */
+async function syncPageLinks(client, page) {
+    await client.query('DELETE FROM wiki_page_links WHERE source_page_id = $1', [page.id]);
+
+    const links = parseWikiLinks(page.content);
+    if (links.length === 0) {
+        return;
+    }
+
+    const spacesResult = await client.query('SELECT id, key FROM wiki_spaces');
+    const spaceIds = new Map(spacesResult.rows.map(space => [space.key, space.id]));
+
+    const targets = new Map();
+    for (const link of links) {
+        // "KEY:Title" only points to another space if that space exists
+        let spaceId = page.space_id;
+        let title = link.target;
+        if (link.space_key && spaceIds.has(link.space_key)) {
+            spaceId = spaceIds.get(link.space_key);
+            title = link.target.substring(link.target.indexOf(':') + 1).trim();
+        }
+
+        const slug = slugify(title);
+        targets.set(`${spaceId}:${slug}`, { spaceId, slug, title });
+    }
+
+    for (const target of targets.values()) {
+        await client.query(
+            `INSERT INTO wiki_page_links (source_page_id, target_space_id, target_slug, target_title)
+             VALUES ($1, $2, $3, $4)`,
+            [page.id, target.spaceId, target.slug, target.title]
+        );
+    }
+}
+
+/**
+ * Line based diff (LCS), returns entries with old/new line numbers
+ */
+function diffLines(oldText, newText) {
+    const a = String(oldText || '').split('\n');
+    const b = String(newText || '').split('\n');
+
+    // Common prefix and suffix are unchanged
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const operations = [];
+
+    if (midA.length * midB.length > MAX_DIFF_CELLS) {
+        // Too large for a line-level comparison: whole block replaced
+        midA.forEach(() => operations.push('removed'));
+        midB.forEach(() => operations.push('added'));
+    } else {
+        const table = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                table[i][j] = midA[i] === midB[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < midA.length || j < midB.length) {
+            if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+                operations.push('equal');
+                i++;
+                j++;
+            } else if (j >= midB.length || (i < midA.length && table[i + 1][j] >= table[i][j + 1])) {
+                operations.push('removed');
+                i++;
+            } else {
+                operations.push('added');
+                j++;
+            }
+        }
+    }
+
+    const lines = [];
+    let oldLine = 0;
+    let newLine = 0;
+    const push = (type) => {
+        if (type === 'added') {
+            lines.push({ type, old_line: null, new_line: newLine + 1, text: b[newLine] });
+            newLine++;
+        } else if (type === 'removed') {
+            lines.push({ type, old_line: oldLine + 1, new_line: null, text: a[oldLine] });
+            oldLine++;
+        } else {
+            lines.push({ type, old_line: oldLine + 1, new_line: newLine + 1, text: a[oldLine] });
+            oldLine++;
+            newLine++;
+        }
+    };
+
+    for (let k = 0; k < start; k++) push('equal');
+    operations.forEach(push);
+    for (let k = endA; k < a.length; k++) push('equal');
+
+    return {
+        lines,
+        stats: {
+            added: lines.filter(line => line.type === 'added').length,
+            removed: lines.filter(line => line.type === 'removed').length
+        }
+    };
+}
+
+// ==============================================
+// SPACES
+// ==============================================
+
+/**
+ * Create a wiki space
+ */
+async function createSpace(spaceData, userId) {
+    const key = String(spaceData.key || '').trim().toUpperCase();
+
+    if (!SPACE_KEY_PATTERN.test(key)) {
+        throw new Error('Invalid space key (2-50 characters: A-Z, 0-9, _ and -)');
+    }
+    if (!spaceData.name) {
+        throw new Error('name is required');
+    }
+
+    try {
+        const result = await database.query(
+            `INSERT INTO wiki_spaces (key, name, description, icon, color, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [key, spaceData.name, spaceData.description || null, spaceData.icon || null, spaceData.color || '#3B82F6', userId]
+        );
+
+        logger.info('Wiki space created', { spaceId: result.rows[0].id, key, userId });
+
+        return result.rows[0];
+    } catch (error) {
+        if (error.code === '23505') {
+            throw new Error('Space key already exists');
+        }
+        throw error;
+    }
+}
+
+/**
+ * List spaces with page counts
+ */
+async function listSpaces(options = {}) {
+    const { include_archived = false } = options;
+
+    const result = await database.query(
+        `SELECT s.*,
+                (SELECT COUNT(*) FROM wiki_pages p WHERE p.space_id = s.id)::int as page_count
+         FROM wiki_spaces s
+         ${include_archived ? '' : 'WHERE s.is_archived = false'}
+         ORDER BY s.name ASC`
+    );
+
+    return result.rows;
+}
+
+/**
+ * Get space by key
+ */
+async function getSpace(key) {
+    const result = await database.query(
+        'SELECT * FROM wiki_spaces WHERE key = $1',
+        [String(key).toUpperCase()]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Space not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Update space
+ */
+async function updateSpace(key, updates) {
+    const allowedFields = ['name', 'description', 'icon', 'color', 'is_archived'];
+    const fields = [];
+    const params = [];
+
+    Object.keys(updates).forEach(field => {
+        if (allowedFields.includes(field)) {
+            params.push(updates[field]);
+            fields.push(`${field} = $${params.length}`);
+        }
+    });
+
+    if (fields.length === 0) {
+        throw new Error('No valid fields to update');
+    }
+
+    params.push(String(key).toUpperCase());
+    const result = await database.query(
+        `UPDATE wiki_spaces SET ${fields.join(', ')} WHERE key = $${params.length} RETURNING *`,
+        params
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Space not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Delete space with all pages
+ */
+async function deleteSpace(key, userId) {
+    const result = await database.query(
+        'DELETE FROM wiki_spaces WHERE key = $1 RETURNING id',
+        [String(key).toUpperCase()]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Space not found');
+    }
+
+    logger.info('Wiki space deleted', { key, userId });
+}
+
+/**
+ * Page tree of a space (nested by parent_id)
+ */
+async function getPageTree(spaceId) {
+    const result = await database.query(
+        `SELECT id, parent_id, title, slug, position, updated_at
+         FROM wiki_pages
+         WHERE space_id = $1
+         ORDER BY position ASC, title ASC`,
+        [spaceId]
+    );
+
+    const nodes = new Map(result.rows.map(page => [page.id, { ...page, children: [] }]));
+    const roots = [];
+
+    nodes.forEach(node => {
+        const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    });
+
+    return roots;
+}
+
+// ==============================================
+// PAGES
+// ==============================================
+
+const PAGE_SELECT = `
+    SELECT p.id, p.space_id, p.parent_id, p.title, p.slug, p.content, p.position,
+           p.current_revision, p.locked_by, p.locked_at, p.lock_expires_at,
+           p.created_by, p.updated_by, p.created_at, p.updated_at,
+           s.key as space_key, s.name as space_name, s.is_archived as space_archived,
+           creator.name as created_by_name,
+           editor.name as updated_by_name,
+           locker.name as locked_by_name
+    FROM wiki_pages p
+    JOIN wiki_spaces s ON s.id = p.space_id
+    LEFT JOIN users creator ON creator.id = p.created_by
+    LEFT JOIN users editor ON editor.id = p.updated_by
+    LEFT JOIN users locker ON locker.id = p.locked_by
+`;
+
+/**
+ * Adds breadcrumbs, outgoing links and the active lock to a page row
+ */
+async function withPageDetails(page) {
+    const breadcrumbsResult = await database.query(
+        `WITH RECURSIVE ancestors AS (
+             SELECT id, parent_id, title, slug, 0 as depth
+             FROM wiki_pages WHERE id = $1
+             UNION ALL
+             SELECT p.id, p.parent_id, p.title, p.slug, a.depth + 1
+             FROM wiki_pages p
+             JOIN ancestors a ON p.id = a.parent_id
+             WHERE a.depth < 50
+         )
+         SELECT id, title, slug FROM ancestors WHERE id <> $1 ORDER BY depth DESC`,
+        [page.id]
+    );
+
+    const linksResult = await database.query(
+        `SELECT l.target_title, l.target_slug, s.key as space_key, t.id as page_id
+         FROM wiki_page_links l
+         JOIN wiki_spaces s ON s.id = l.target_space_id
+         LEFT JOIN wiki_pages t ON t.space_id = l.target_space_id AND t.slug = l.target_slug
+         WHERE l.source_page_id = $1`,
+        [page.id]
+    );
+
+    const lockActive = page.locked_by && new Date(page.lock_expires_at) > new Date();
+    const { locked_by, locked_by_name, locked_at, lock_expires_at, ...rest } = page;
+
+    return {
+        ...rest,
+        lock: lockActive ? { locked_by, locked_by_name, locked_at, lock_expires_at } : null,
+        breadcrumbs: breadcrumbsResult.rows,
+        links: linksResult.rows.map(link => ({ ...link, exists: link.page_id !== null }))
+    };
+}
+
+/**
+ * Get page by ID
+ */
+async function getPageById(pageId) {
+    const result = await database.query(`${PAGE_SELECT} WHERE p.id = $1`, [pageId]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Page not found');
+    }
+
+    return withPageDetails(result.rows[0]);
+}
+
+/**
+ * Get page by space key and slug
+ */
+async function getPageBySlug(spaceKey, slug) {
+    const result = await database.query(
+        `${PAGE_SELECT} WHERE s.key = $1 AND p.slug = $2`,
+        [String(spaceKey).toUpperCase(), slug]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Page not found');
+    }
+
+    return withPageDetails(result.rows[0]);
+}
+
+/**
+ * Validates a new parent page (same space, no cycles)
+ */
+async function assertValidParent(client, spaceId, parentId, pageId = null) {
+    if (!parentId) {
+        return;
+    }
+
+    const parentResult = await client.query('SELECT space_id FROM wiki_pages WHERE id = $1', [parentId]);
+    if (parentResult.rows.length === 0 || parentResult.rows[0].space_id !== spaceId) {
+        throw new Error('Invalid parent page');
+    }
+
+    if (pageId) {
+        const cycleResult = await client.query(
+            `WITH RECURSIVE descendants AS (
+                 SELECT id FROM wiki_pages WHERE id = $1
+                 UNION ALL
+                 SELECT p.id FROM wiki_pages p JOIN descendants d ON p.parent_id = d.id
+             )
+             SELECT 1 FROM descendants WHERE id = $2`,
+            [pageId, parentId]
+        );
+
+        if (cycleResult.rows.length > 0) {
+            throw new Error('Invalid parent page');
+        }
+    }
+}
+
+/**
+ * Ensures no other page of the space has the slug
+ */
+async function assertSlugAvailable(client, spaceId, slug, pageId = null) {
+    const result = await client.query(
+        'SELECT id FROM wiki_pages WHERE space_id = $1 AND slug = $2 AND id <> COALESCE($3, 0)',
+        [spaceId, slug, pageId]
+    );
+
+    if (result.rows.length > 0) {
+        throw new Error('A page with this title already exists in this space');
+    }
+}
+
+/**
+ * Create page in a space
+ *
+ * @param {string} spaceKey
+ * @param {Object} pageData - { title, content, parent_id?, position?, change_note? }
+ * @param {number} userId
+ */
+async function createPage(spaceKey, pageData, userId) {
+    const title = String(pageData.title || '').trim();
+    if (!title) {
+        throw new Error('title is required');
+    }
+
+    const space = await getSpace(spaceKey);
+    if (space.is_archived) {
+        throw new Error('Space is archived');
+    }
+
+    const slug = slugify(title);
+    const content = pageData.content || '';
+    const client = await database.pool.connect();
+    let page;
+
+    try {
+        await client.query('BEGIN');
+
+        await assertSlugAvailable(client, space.id, slug);
+        await assertValidParent(client, space.id, pageData.parent_id || null);
+
+        const result = await client.query(
+            `INSERT INTO wiki_pages (space_id, parent_id, title, slug, content, position, created_by, updated_by)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+             RETURNING *`,
+            [space.id, pageData.parent_id || null, title, slug, content, pageData.position || 0, userId]
+        );
+        page = result.rows[0];
+
+        await client.query(
+            `INSERT INTO wiki_page_revisions (page_id, revision_number, title, content, change_note, created_by)
+             VALUES ($1, 1, $2, $3, $4, $5)`,
+            [page.id, title, content, pageData.change_note || null, userId]
+        );
+
+        await syncPageLinks(client, page);
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    logger.info('Wiki page created', { pageId: page.id, spaceKey: space.key, userId });
+
+    const created = await getPageById(page.id);
+
+    // Module hooks run in the background and never fail the request
+    moduleRegistry.triggerHook('wiki.page.saved', { page: created, userId, created: true });
+
+    return created;
+}
+
+/**
+ * Update page; a changed title or content creates a new revision.
+ * Saving releases the editor's own lock.
+ *
+ * @param {number} pageId
+ * @param {Object} updates - { title?, content?, parent_id?, position?, change_note?, base_revision? }
+ * @param {number} userId
+ */
+async function updatePage(pageId, updates, userId) {
+    const client = await database.pool.connect();
+    let contentChanged = false;
+
+    try {
+        await client.query('BEGIN');
+
+        const pageResult = await client.query(
+            `SELECT p.*, s.is_archived as space_archived, u.name as locked_by_name
+             FROM wiki_pages p
+             JOIN wiki_spaces s ON s.id = p.space_id
+             LEFT JOIN users u ON u.id = p.locked_by
+             WHERE p.id = $1
+             FOR UPDATE OF p`,
+            [pageId]
+        );
+
+        if (pageResult.rows.length === 0) {
+            throw new Error('Page not found');
+        }
+
+        const page = pageResult.rows[0];
+
+        if (page.space_archived) {
+            throw new Error('Space is archived');
+        }
+        if (isLockedByOther(page, userId)) {
+            throw lockedError(page);
+        }
+
+        // Optimistic check against edits saved since the editor was opened
+        if (updates.base_revision !== undefined && parseInt(updates.base_revision) !== page.current_revision) {
+            throw new Error('Page was changed in the meantime');
+        }
+
+        const title = updates.title !== undefined ? String(updates.title).trim() : page.title;
+        if (!title) {
+            throw new Error('title is required');
+        }
+
+        const content = updates.content !== undefined ? String(updates.content) : page.content;
+        const slug = slugify(title);
+        const parentId = updates.parent_id !== undefined ? (updates.parent_id || null) : page.parent_id;
+        const position = updates.position !== undefined ? parseInt(updates.position) || 0 : page.position;
+
+        if (slug !== page.slug) {
+            await assertSlugAvailable(client, page.space_id, slug, page.id);
+        }
+        if (parentId !== page.parent_id) {
+            await assertValidParent(client, page.space_id, parentId, page.id);
+        }
+
+        contentChanged = title !== page.title || content !== page.content;
+        const revision = contentChanged ? page.current_revision + 1 : page.current_revision;
+
+        const result = await client.query(
+            `UPDATE wiki_pages SET
+                title = $1,
+                slug = $2,
+                content = $3,
+                parent_id = $4,
+                position = $5,
+                current_revision = $6,
+                updated_by = $7,
+                locked_by = CASE WHEN locked_by = $7 THEN NULL ELSE locked_by END,
+                locked_at = CASE WHEN locked_by = $7 THEN NULL ELSE locked_at END,
+                lock_expires_at = CASE WHEN locked_by = $7 THEN NULL ELSE lock_expires_at END
+             WHERE id = $8
+             RETURNING *`,
+            [title, slug, content, parentId, position, revision, userId, page.id]
+        );
+
+        if (contentChanged) {
+            await client.query(
+                `INSERT INTO wiki_page_revisions (page_id, revision_number, title, content, change_note, created_by)
+                 VALUES ($1, $2, $3, $4, $5, $6)`,
+                [page.id, revision, title, content, updates.change_note || null, userId]
+            );
+
+            await syncPageLinks(client, result.rows[0]);
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    logger.info('Wiki page updated', { pageId, userId, newRevision: contentChanged });
+
+    const updated = await getPageById(pageId);
+
+    if (contentChanged) {
+        moduleRegistry.triggerHook('wiki.page.saved', { page: updated, userId, created: false });
+    }
+
+    return updated;
+}
+
+/**
+ * Delete page; child pages move up to the deleted page's parent
+ *
+ * @param {Object} options - { isAdmin } admins may delete pages of others
+ */
+async function deletePage(pageId, userId, options = {}) {
+    const client = await database.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const pageResult = await client.query(
+            `SELECT p.*, u.name as locked_by_name
+             FROM wiki_pages p
+             LEFT JOIN users u ON u.id = p.locked_by
+             WHERE p.id = $1
+             FOR UPDATE OF p`,
+            [pageId]
+        );
+
+        if (pageResult.rows.length === 0) {
+            throw new Error('Page not found');
+        }
+
+        const page = pageResult.rows[0];
+
+        if (!options.isAdmin && page.created_by !== userId) {
+            throw new Error('Access denied');
+        }
+        if (isLockedByOther(page, userId)) {
+            throw lockedError(page);
+        }
+
+        await client.query(
+            'UPDATE wiki_pages SET parent_id = $1 WHERE parent_id = $2',
+            [page.parent_id, page.id]
+        );
+        await client.query('DELETE FROM wiki_pages WHERE id = $1', [page.id]);
+
+        await client.query('COMMIT');
+
+        logger.info('Wiki page deleted', { pageId, userId });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// ==============================================
+// REVISIONS
+// ==============================================
+
+/**
+ * Revision history of a page (newest first, without content)
+ */
+async function listRevisions(pageId) {
+    const result = await database.query(
+        `SELECT r.id, r.revision_number, r.title, r.change_note, r.created_by, r.created_at,
+                LENGTH(r.content) as content_length,
+                u.name as created_by_name
+         FROM wiki_page_revisions r
+         LEFT JOIN users u ON u.id = r.created_by
+         WHERE r.page_id = $1
+         ORDER BY r.revision_number DESC`,
+        [pageId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * Get a single revision with content
+ */
+async function getRevision(pageId, revisionNumber) {
+    const result = await database.query(
+        `SELECT r.*, u.name as created_by_name
+         FROM wiki_page_revisions r
+         LEFT JOIN users u ON u.id = r.created_by
+         WHERE r.page_id = $1 AND r.revision_number = $2`,
+        [pageId, revisionNumber]
+    );
+
+    if (result.rows.length === 0) {
+        throw new Error('Revision not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Line diff between two revisions (default: current against its predecessor)
+ */
+async function diffRevisions(pageId, fromRevision, toRevision) {
+    const page = await database.query('SELECT current_revision FROM wiki_pages WHERE id = $1', [pageId]);
+    if (page.rows.length === 0) {
+        throw new Error('Page not found');
+    }
+
+    const to = toRevision || page.rows[0].current_revision;
+    const from = fromRevision || Math.max(1, to - 1);
+
+    const [oldRevision, newRevision] = await Promise.all([
+        getRevision(pageId, from),
+        getRevision(pageId, to)
+    ]);
+
+    return {
+        from: { revision_number: oldRevision.revision_number, created_at: oldRevision.created_at, created_by_name: oldRevision.created_by_name },
+        to: { revision_number: newRevision.revision_number, created_at: newRevision.created_at, created_by_name: newRevision.created_by_name },
+        title: oldRevision.title !== newRevision.title
+            ? { old: oldRevision.title, new: newRevision.title }
+            : null,
+        ...diffLines(oldRevision.content, newRevision.content)
+    };
+}
+
+/**
+ * Restore an old revision (stored as a new revision)
+ */
+async function restoreRevision(pageId, revisionNumber, userId) {
+    const revision = await getRevision(pageId, revisionNumber);
+
+    return updatePage(pageId, {
+        title: revision.title,
+        content: revision.content,
+        change_note: `Revision ${revision.revision_number} wiederhergestellt`
+    }, userId);
+}
+
+// ==============================================
+// LINKS & SEARCH
+// ==============================================
+
+/**
+ * Pages linking to the given page
+ */
+async function getBacklinks(pageId) {
+    const result = await database.query(
+        `SELECT src.id, src.title, src.slug, s.key as space_key, s.name as space_name
+         FROM wiki_pages target
+         JOIN wiki_page_links l ON l.target_space_id = target.space_id AND l.target_slug = target.slug
+         JOIN wiki_pages src ON src.id = l.source_page_id
+         JOIN wiki_spaces s ON s.id = src.space_id
+         WHERE target.id = $1 AND src.id <> target.id
+         ORDER BY s.name ASC, src.title ASC`,
+        [pageId]
+    );
+
+    return result.rows;
+}
+
+/**
+ * German full-text search over titles and content
+ */
+async function searchPages(query, options = {}) {
+    const { space, limit = 20 } = options;
+
+    if (!query || !String(query).trim()) {
+        return [];
+    }
+
+    const params = [query];
+    let spaceFilter = '';
+    if (space) {
+        params.push(String(space).toUpperCase());
+        spaceFilter = `AND s.key = $${params.length}`;
+    }
+    params.push(Math.min(parseInt(limit) || 20, 100));
+
+    const result = await database.query(
+        `SELECT p.id, p.title, p.slug, p.updated_at,
+                s.key as space_key, s.name as space_name,
+                ts_rank(p.search_vector, q) as rank,
+                ts_headline('german', p.content, q, 'MaxWords=35, MinWords=15, StartSel=**, StopSel=**') as snippet
+         FROM wiki_pages p
+         JOIN wiki_spaces s ON s.id = p.space_id,
+              plainto_tsquery('german', $1) q
+         WHERE p.search_vector @@ q
+         AND s.is_archived = false
+         ${spaceFilter}
+         ORDER BY rank DESC, p.updated_at DESC
+         LIMIT $${params.length}`,
+        params
+    );
+
+    return result.rows;
+}
+
+// ==============================================
+// PAGE LOCKS
+// ==============================================
+
+/**
+ * Acquire or refresh the edit lock of a page
+ */
+async function lockPage(pageId, userId) {
+    const result = await database.query(
+        `UPDATE wiki_pages SET
+            locked_at = CASE
+                WHEN locked_by = $2 AND lock_expires_at > CURRENT_TIMESTAMP THEN locked_at
+                ELSE CURRENT_TIMESTAMP
+            END,
+            locked_by = $2,
+            lock_expires_at = CURRENT_TIMESTAMP + ($3 || ' minutes')::INTERVAL
+         WHERE id = $1
+         AND (locked_by IS NULL OR locked_by = $2 OR lock_expires_at <= CURRENT_TIMESTAMP)
+         RETURNING locked_by, locked_at, lock_expires_at`,
+        [pageId, userId, LOCK_MINUTES]
+    );
+
+    if (result.rows.length > 0) {
+        return result.rows[0];
+    }
+
+    const pageResult = await database.query(
+        `SELECT p.locked_by, p.locked_at, p.lock_expires_at, u.name as locked_by_name
+         FROM wiki_pages p
+         LEFT JOIN users u ON u.id = p.locked_by
+         WHERE p.id = $1`,
+        [pageId]
+    );
+
+    if (pageResult.rows.length === 0) {
+        throw new Error('Page not found');
+    }
+
+    throw lockedError(pageResult.rows[0]);
+}
+
+/**
+ * Release the edit lock (others' locks only with force)
+ */
+async function unlockPage(pageId, userId, options = {}) {
+    const result = await database.query(
+        `UPDATE wiki_pages SET locked_by = NULL, locked_at = NULL, lock_expires_at = NULL
+         WHERE id = $1 AND (locked_by = $2 OR locked_by IS NULL OR $3)
+         RETURNING id`,
+        [pageId, userId, !!options.force]
+    );
+
+    if (result.rows.length === 0) {
+        await getPageById(pageId);
+        throw new Error('Page is locked by another user');
+    }
+
+    if (options.force) {
+        logger.info('Wiki page lock removed', { pageId, userId });
+    }
+}
+
+// ==============================================
+// ATTACHMENTS
+// ==============================================
+
+/**
+ * Upload an attachment to the Drive and attach it to the page
+ *
+ * @param {Object} file - { buffer, originalname, mimetype }
+ */
+async function addAttachment(pageId, file, userId) {
+    if (!file) {
+        throw new Error('file is required');
+    }
+
+    const page = await getPageById(pageId);
+
+    // Öffentlich, damit alle Wiki-Leser den Anhang öffnen können
+    const driveFile = await driveService.uploadFile(file.buffer, file.originalname, {
+        userId,
+        description: `Wiki: ${page.space_key} / ${page.title}`,
+        tags: ['wiki'],
+        visibility: 'public',
+        mimeType: file.mimetype
+    });
+
+    const result = await database.query(
+        `INSERT INTO wiki_attachments (page_id, drive_file_id, uploaded_by)
+         VALUES ($1, $2, $3)
+         RETURNING *`,
+        [pageId, driveFile.id, userId]
+    );
+
+    logger.info('Wiki attachment added', { pageId, driveFileId: driveFile.id, userId });
+
+    return {
+        ...result.rows[0],
+        name: driveFile.name,
+        mime_type: driveFile.mime_type,
+        file_size_bytes: driveFile.file_size_bytes
+    };
+}
+
+/**
+ * Attachments of a page
+ */
+async function listAttachments(pageId) {
+    const result = await database.query(
+        `SELECT a.id, a.page_id, a.drive_file_id, a.uploaded_by, a.created_at,
+                f.name, f.mime_type, f.file_size_bytes,
+                u.name as uploaded_by_name
+         FROM wiki_attachments a
+         JOIN drive_files f ON f.id = a.drive_file_id AND f.deleted_at IS NULL
+         LEFT JOIN users u ON u.id = a.uploaded_by
+         WHERE a.page_id = $1
+         ORDER BY a.created_at ASC`,
+        [pageId]
+    );
+
+    return result.rows;
+}
+
+async function getAttachment(attachmentId) {
+    const result = await database.query('SELECT * FROM wiki_attachments WHERE id = $1', [attachmentId]);
+
+    if (result.rows.length === 0) {
+        throw new Error('Attachment not found');
+    }
+
+    return result.rows[0];
+}
+
+/**
+ * Streams an attachment from the Drive
+ */
+async function getAttachmentStream(attachmentId, userId) {
+    const attachment = await getAttachment(attachmentId);
+    return driveService.getFileStream(attachment.drive_file_id, userId);
+}
+
+/**
+ * Remove an attachment (uploader or admin); the Drive file is moved to the uploader's trash
+ */
+async function deleteAttachment(attachmentId, userId, options = {}) {
+    const attachment = await getAttachment(attachmentId);
+
+    if (!options.isAdmin && attachment.uploaded_by !== userId) {
+        throw new Error('Access denied');
+    }
+
+    await database.query('DELETE FROM wiki_attachments WHERE id = $1', [attachmentId]);
+
+    try {
+        await driveService.deleteFile(attachment.drive_file_id, attachment.uploaded_by);
+    } catch (error) {
+        logger.warn('Could not delete wiki attachment from Drive', {
+            attachmentId,
+            driveFileId: attachment.drive_file_id,
+            error: error.message
+        });
+    }
+
+    logger.info('Wiki attachment removed', { attachmentId, userId });
+}
+
+module.exports = {
+    // Spaces
+    createSpace,
+    listSpaces,
+    getSpace,
+    updateSpace,
+    deleteSpace,
+    getPageTree,
+
+    // Pages
+    createPage,
+    getPageById,
+    getPageBySlug,
+    updatePage,
+    deletePage,
+
+    // Revisions
+    listRevisions,
+    getRevision,
+    diffRevisions,
+    restoreRevision,
+
+    // Links & Search
+    getBacklinks,
+    searchPages,
+    parseWikiLinks,
+    slugify,
+    diffLines,
+
+    // Locks
+    lockPage,
+    unlockPage,
+
+    // Attachments
+    addAttachment,
+    listAttachments,
+    getAttachmentStream,
+    deleteAttachment
+};
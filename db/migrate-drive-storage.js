@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+/**
+ * Drive Storage Migration
+ *
+ * Kopiert alle Drive-Dateien (inkl. Versionen und Vorschaubilder) von
+ * einem Speicher-Backend in ein anderes. Die Speicher-Keys (file_path)
+ * und Hashes (file_hash) bleiben unverändert, die Datenbank wird nicht
+ * angepasst.
+ *
+ * Verwendung:
+ *   node db/migrate-drive-storage.js --from local --to s3 [--dry-run] [--delete-source]
+ *   npm run drive:storage:migrate -- --from local --to s3
+ *
+ * Ablauf beim Umstieg:
+ *   1. Migration ausführen (kopiert, bereits vorhandene Dateien werden übersprungen)
+ *   2. DRIVE_STORAGE_BACKEND umstellen und die App neu starten
+ *   3. Migration erneut ausführen (Uploads seit Schritt 1), optional mit --delete-source
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const database = require('../core/database');
+const { createStorage, STORAGE_BACKENDS } = require('../core/driveStorage');
+const { createModuleLogger } = require('../core/logger');
+
+const logger = createModuleLogger('DriveStorageMigration');
+
+function parseArgs(argv) {
+    const args = { dryRun: false, deleteSource: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--from') args.from = argv[++i];
+        else if (argv[i] === '--to') args.to = argv[++i];
+        else if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--delete-source') args.deleteSource = true;
+    }
+
+    return args;
+}
+
+/**
+ * Copy one blob via a temporary file; the content must match file_hash
+ * @returns {Promise<boolean>} false if the content does not match
+ */
+async function copyBlob(source, target, key, fileHash, tempDir) {
+    const tempPath = path.join(tempDir, crypto.randomBytes(8).toString('hex'));
+    const hash = crypto.createHash('sha256');
+
+    try {
+        await pipeline(
+            await source.getStream(key),
+            new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    callback(null, chunk);
+                }
+            }),
+            fs.createWriteStream(tempPath)
+        );
+
+        if (hash.digest('hex') !== fileHash) {
+            return false;
+        }
+
+        await target.put(key, tempPath, fileHash);
+        return true;
+    } finally {
+        await fs.promises.unlink(tempPath).catch(() => {});
+    }
+}
+
+async function migrateDriveStorage(args) {
+    const stats = { copied: 0, existing: 0, missing: 0, failed: 0, deleted: 0 };
+    let tempDir = null;
+
+    try {
+        if (!STORAGE_BACKENDS.includes(args.from) || !STORAGE_BACKENDS.includes(args.to) || args.from === args.to) {
+            console.error(`\nVerwendung: node db/migrate-drive-storage.js --from <${STORAGE_BACKENDS.join('|')}> --to <${STORAGE_BACKENDS.join('|')}> [--dry-run] [--delete-source]\n`);
+            process.exit(1);
+        }
+
+        const source = createStorage(args.from);
+        const target = createStorage(args.to);
+
+        const connected = await database.connect();
+        if (!connected) {
+            throw new Error('Datenbankverbindung fehlgeschlagen');
+        }
+
+        // Identical uploads share one blob, so each storage key is migrated once
+        const result = await database.query(`
+            SELECT file_path, file_hash FROM drive_files
+            UNION
+            SELECT file_path, file_hash FROM drive_file_versions
+            UNION
+            SELECT storage_path, content_hash FROM drive_file_previews
+            ORDER BY file_path
+        `);
+        const blobs = new Map(result.rows.map(row => [row.file_path, row.file_hash]));
+
+        console.log(`\n🔄 Drive-Speicher: ${args.from} → ${args.to} (${blobs.size} Dateien)${args.dryRun ? ' [Testlauf]' : ''}\n`);
+        tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'drive-storage-'));
+
+        for (const [key, fileHash] of blobs) {
+            try {
+                if (await target.exists(key)) {
+                    stats.existing++;
+                } else if (!(await source.exists(key))) {
+                    console.log(`⚠️  Fehlt in ${args.from}: ${key}`);
+                    stats.missing++;
+                    continue;
+                } else if (args.dryRun) {
+                    stats.copied++;
+                    continue;
+                } else if (await copyBlob(source, target, key, fileHash, tempDir)) {
+                    console.log(`✅ Kopiert: ${key}`);
+                    stats.copied++;
+                } else {
+                    console.error(`❌ Hash stimmt nicht überein: ${key}`);
+                    stats.failed++;
+                    continue;
+                }
+
+                if (args.deleteSource && !args.dryRun) {
+                    await source.delete(key);
+                    stats.deleted++;
+                }
+            } catch (error) {
+                logger.error('Blob migration failed', { key, error: error.message });
+                console.error(`❌ Fehler bei ${key}: ${error.message}`);
+                stats.failed++;
+            }
+        }
+
+        console.log('\n┌─────────────────────────────────────────┐');
+        console.log('│  Speicher-Migration abgeschlossen       │');
+        console.log('├─────────────────────────────────────────┤');
+        console.log(`│  Kopiert:       ${stats.copied.toString().padEnd(23)} │`);
+        console.log(`│  Vorhanden:     ${stats.existing.toString().padEnd(23)} │`);
+        console.log(`│  Fehlend:       ${stats.missing.toString().padEnd(23)} │`);
+        console.log(`│  Fehler:        ${stats.failed.toString().padEnd(23)} │`);
+        console.log(`│  Gelöscht:      ${stats.deleted.toString().padEnd(23)} │`);
+        console.log('└─────────────────────────────────────────┘\n');
+
+        logger.info('Drive storage migration finished', { from: args.from, to: args.to, dryRun: args.dryRun, ...stats });
+
+        if (stats.failed > 0) {
+            process.exitCode = 1;
+        }
+
+    } catch (error) {
+        logger.error('Drive storage migration failed', { error: error.message, stack: error.stack });
+        console.error(`\n❌ Speicher-Migration fehlgeschlagen: ${error.message}\n`);
+        process.exitCode = 1;
+    } finally {
+        if (tempDir) {
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+        await database.close();
+    }
+
+    return stats;
+}
+
+// Script ausführen
+if (require.main === module) {
+    migrateDriveStorage(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = migrateDriveStorage;
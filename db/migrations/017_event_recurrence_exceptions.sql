@@ -0,0 +1,19 @@
+-- =====================================================
+-- Migration 017: Event Recurrence Exceptions
+-- Abgelöste Einzeltermine ("nur dieser Termin") und Serien-Splits
+-- =====================================================
+
+-- Ursprünglicher Beginn des Vorkommens, das eine Ausnahme ersetzt (iCal RECURRENCE-ID)
+ALTER TABLE events ADD COLUMN IF NOT EXISTS recurrence_original_start TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_events_recurrence_original_start
+    ON events(recurrence_parent_id, recurrence_original_start)
+    WHERE recurrence_parent_id IS NOT NULL;
+
+-- Serien-Master werden bei Zeitraum-Abfragen unabhängig vom Startdatum geladen
+CREATE INDEX IF NOT EXISTS idx_events_recurring_masters
+    ON events(start_time)
+    WHERE is_recurring = true AND is_active = true;
+
+COMMENT ON COLUMN events.recurrence_original_start IS 'Original start of the occurrence replaced by this detached exception (RECURRENCE-ID)';
+COMMENT ON COLUMN events.recurrence_exception_dates IS 'ISO timestamps (or YYYY-MM-DD local dates) of occurrences excluded from the series';
@@ -0,0 +1,21 @@
+-- =====================================================
+-- Migration 018: Calendar Feed Tokens
+-- Geheime Abo-URLs für persönliche iCalendar-Feeds
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Secret token used in /api/events/feed/:token.ics
+    token VARCHAR(64) NOT NULL UNIQUE,
+
+    -- Stats
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_accessed_at TIMESTAMP,
+    access_count INTEGER DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feed_tokens_token ON calendar_feed_tokens(token);
+
+COMMENT ON TABLE calendar_feed_tokens IS 'Secret tokens for personal iCalendar subscription feeds';
@@ -0,0 +1,53 @@
+-- =====================================================
+-- Migration 019: Calendar Subscription Sync
+-- Import externer iCal-Feeds (Feiertage, Partner-Kalender)
+-- =====================================================
+
+-- =====================================================
+-- 1. SYNC STATE
+-- =====================================================
+
+ALTER TABLE calendar_subscriptions ADD COLUMN IF NOT EXISTS etag VARCHAR(255);
+ALTER TABLE calendar_subscriptions ADD COLUMN IF NOT EXISTS last_modified_header VARCHAR(100);
+ALTER TABLE calendar_subscriptions ADD COLUMN IF NOT EXISTS last_sync_status VARCHAR(20); -- success, not_modified, error
+ALTER TABLE calendar_subscriptions ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE calendar_subscriptions ADD COLUMN IF NOT EXISTS event_count INTEGER DEFAULT 0;
+
+-- =====================================================
+-- 2. IMPORTED EVENTS (read-only)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS calendar_subscription_events (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES calendar_subscriptions(id) ON DELETE CASCADE,
+
+    -- iCal identity
+    uid VARCHAR(500) NOT NULL,
+    recurrence_id TIMESTAMP WITH TIME ZONE, -- Set for overridden occurrences (RECURRENCE-ID)
+
+    -- Content
+    title VARCHAR(500) NOT NULL,
+    description TEXT,
+    location VARCHAR(500),
+    url TEXT,
+    status VARCHAR(20) DEFAULT 'confirmed',
+
+    -- Timing
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    all_day BOOLEAN DEFAULT false,
+    timezone VARCHAR(50) DEFAULT 'Europe/Berlin',
+
+    -- Recurrence (same format as events.recurrence_rule)
+    recurrence_rule JSONB,
+    recurrence_exception_dates JSONB DEFAULT '[]',
+
+    synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_events_subscription ON calendar_subscription_events(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_subscription_events_time ON calendar_subscription_events(start_time, end_time);
+CREATE INDEX IF NOT EXISTS idx_subscription_events_recurring ON calendar_subscription_events(subscription_id)
+    WHERE recurrence_rule IS NOT NULL;
+
+COMMENT ON TABLE calendar_subscription_events IS 'Read-only events imported from external iCal subscriptions';
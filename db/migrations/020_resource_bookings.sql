@@ -0,0 +1,57 @@
+-- =====================================================
+-- Migration 020: Resource Bookings
+-- Buchungen für Räume, Parkplätze & Equipment (location_resources)
+-- inkl. Genehmigungs-Workflow und Serienbuchungen
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS resource_bookings (
+    id SERIAL PRIMARY KEY,
+    resource_id INTEGER NOT NULL REFERENCES location_resources(id) ON DELETE CASCADE,
+
+    -- Für wen / wofür
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    event_id INTEGER REFERENCES events(id) ON DELETE CASCADE, -- Raum eines Events
+    title VARCHAR(255),
+    notes TEXT,
+    attendee_count INTEGER,
+
+    -- Zeitraum
+    start_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_time TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    -- Serienbuchungen: alle Termine verweisen auf die erste Buchung der Serie
+    series_id INTEGER REFERENCES resource_bookings(id) ON DELETE CASCADE,
+    recurrence_rule JSONB, -- Nur an der ersten Buchung der Serie
+
+    -- Genehmigung
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed', -- pending, confirmed, rejected, cancelled
+    approved_by INTEGER REFERENCES users(id),
+    approved_at TIMESTAMP,
+    rejection_reason TEXT,
+
+    -- Metadata
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by INTEGER REFERENCES users(id),
+
+    CONSTRAINT valid_booking_time_range CHECK (end_time > start_time),
+    CONSTRAINT valid_booking_status CHECK (status IN ('pending', 'confirmed', 'rejected', 'cancelled'))
+);
+
+CREATE INDEX idx_resource_bookings_resource_time ON resource_bookings(resource_id, start_time, end_time)
+    WHERE status IN ('pending', 'confirmed');
+CREATE INDEX idx_resource_bookings_user ON resource_bookings(user_id);
+CREATE INDEX idx_resource_bookings_event ON resource_bookings(event_id) WHERE event_id IS NOT NULL;
+CREATE INDEX idx_resource_bookings_series ON resource_bookings(series_id) WHERE series_id IS NOT NULL;
+CREATE INDEX idx_resource_bookings_pending ON resource_bookings(status) WHERE status = 'pending';
+
+-- Ausstattungssuche (equipment @> '["projector"]')
+CREATE INDEX IF NOT EXISTS idx_location_resources_equipment ON location_resources USING GIN (equipment);
+
+CREATE TRIGGER update_resource_bookings_updated_at
+    BEFORE UPDATE ON resource_bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE resource_bookings IS 'Buchungen von Standort-Ressourcen (Räume, Parkplätze, Equipment)';
+COMMENT ON COLUMN resource_bookings.series_id IS 'First booking of a recurring booking series';
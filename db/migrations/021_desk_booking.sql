@@ -0,0 +1,71 @@
+-- =====================================================
+-- Migration 021: Desk Booking (Hot-Seating)
+-- Grundrisse pro Standort, Platz-Koordinaten, Tages-/Halbtagesbuchungen
+-- mit Check-in und automatischer Freigabe bei No-Show
+-- =====================================================
+
+-- =====================================================
+-- 1. FLOOR PLANS
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS location_floor_plans (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+
+    name VARCHAR(255) NOT NULL, -- z.B. "3. OG Nord"
+    floor VARCHAR(50),
+
+    -- Grundriss-Bild im Drive
+    drive_file_id INTEGER REFERENCES drive_files(id) ON DELETE SET NULL,
+
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_by INTEGER REFERENCES users(id)
+);
+
+CREATE INDEX idx_location_floor_plans_location ON location_floor_plans(location_id);
+
+CREATE TRIGGER update_location_floor_plans_updated_at
+    BEFORE UPDATE ON location_floor_plans
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE location_floor_plans IS 'Grundrisse eines Standorts (Bild im Drive)';
+
+-- =====================================================
+-- 2. DESK POSITIONS
+-- =====================================================
+
+-- Relative Koordinaten (0..1) auf dem Grundriss, unabhängig von der Bildgröße
+ALTER TABLE location_resources ADD COLUMN IF NOT EXISTS floor_plan_id INTEGER REFERENCES location_floor_plans(id) ON DELETE SET NULL;
+ALTER TABLE location_resources ADD COLUMN IF NOT EXISTS position_x DOUBLE PRECISION;
+ALTER TABLE location_resources ADD COLUMN IF NOT EXISTS position_y DOUBLE PRECISION;
+
+ALTER TABLE location_resources ADD CONSTRAINT valid_resource_position CHECK (
+    (position_x IS NULL OR position_x BETWEEN 0 AND 1) AND
+    (position_y IS NULL OR position_y BETWEEN 0 AND 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_location_resources_floor_plan ON location_resources(floor_plan_id)
+    WHERE floor_plan_id IS NOT NULL;
+
+-- =====================================================
+-- 3. DESK RESERVATIONS (resource_bookings)
+-- =====================================================
+
+ALTER TABLE resource_bookings ADD COLUMN IF NOT EXISTS booking_period VARCHAR(20); -- full_day, morning, afternoon
+ALTER TABLE resource_bookings ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP;
+ALTER TABLE resource_bookings ADD COLUMN IF NOT EXISTS released_at TIMESTAMP;
+
+-- 'released': automatisch freigegeben (kein Check-in)
+ALTER TABLE resource_bookings DROP CONSTRAINT IF EXISTS valid_booking_status;
+ALTER TABLE resource_bookings ADD CONSTRAINT valid_booking_status
+    CHECK (status IN ('pending', 'confirmed', 'rejected', 'cancelled', 'released'));
+
+CREATE INDEX IF NOT EXISTS idx_resource_bookings_checkin ON resource_bookings(start_time)
+    WHERE status = 'confirmed' AND checked_in_at IS NULL;
+
+COMMENT ON COLUMN resource_bookings.booking_period IS 'Desk reservations: full_day, morning or afternoon';
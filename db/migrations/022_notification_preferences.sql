@@ -0,0 +1,69 @@
+-- =====================================================
+-- Migration 022: Notification Preferences
+-- Kanäle pro Benachrichtigungstyp (In-App, E-Mail, keine),
+-- Ruhezeiten und tägliche/wöchentliche Digest-E-Mails
+-- =====================================================
+
+-- =====================================================
+-- 1. CHANNEL PER NOTIFICATION TYPE
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    notification_type VARCHAR(50) NOT NULL, -- mention, comment, reaction, event_invitation, task_assigned, file_shared
+    channel VARCHAR(20) NOT NULL DEFAULT 'in_app', -- in_app, email, none
+
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(user_id, notification_type),
+    CONSTRAINT valid_notification_channel CHECK (channel IN ('in_app', 'email', 'none'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_preferences_user ON notification_preferences(user_id);
+
+COMMENT ON TABLE notification_preferences IS 'Zustellkanal pro Benutzer und Benachrichtigungstyp (ohne Eintrag: in_app)';
+
+-- =====================================================
+-- 2. QUIET HOURS & DIGEST
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS notification_settings (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Ruhezeiten: keine Push-/E-Mail-Zustellung (z.B. 22:00 - 07:00)
+    quiet_hours_enabled BOOLEAN DEFAULT false,
+    quiet_hours_start TIME DEFAULT '22:00',
+    quiet_hours_end TIME DEFAULT '07:00',
+    timezone VARCHAR(50) DEFAULT 'Europe/Berlin',
+
+    -- Digest: ungelesene Benachrichtigungen gesammelt per E-Mail
+    digest_frequency VARCHAR(20) DEFAULT 'none', -- none, daily, weekly
+    digest_hour INTEGER DEFAULT 8, -- Lokale Stunde des Versands
+    digest_weekday INTEGER DEFAULT 1, -- 0 = Sonntag ... 6 = Samstag (nur weekly)
+    last_digest_sent_at TIMESTAMP,
+
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_digest_frequency CHECK (digest_frequency IN ('none', 'daily', 'weekly')),
+    CONSTRAINT valid_digest_hour CHECK (digest_hour BETWEEN 0 AND 23),
+    CONSTRAINT valid_digest_weekday CHECK (digest_weekday BETWEEN 0 AND 6)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_settings_digest ON notification_settings(digest_frequency)
+    WHERE digest_frequency != 'none';
+
+CREATE TRIGGER update_notification_settings_updated_at
+    BEFORE UPDATE ON notification_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE notification_settings IS 'Ruhezeiten und Digest-Einstellungen für Benachrichtigungen';
+
+-- =====================================================
+-- 3. EMAIL DELIVERY STATE
+-- =====================================================
+
+-- Bereits per E-Mail zugestellt (sofort oder per Digest)
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP;
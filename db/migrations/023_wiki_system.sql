@@ -0,0 +1,142 @@
+-- =====================================================
+-- Migration 023: Wiki System
+-- Bereiche, hierarchische Seiten (Markdown), Revisionen,
+-- interne [[Links]] mit Backlinks, Anhänge (Drive) und Seitensperren
+-- =====================================================
+
+-- =====================================================
+-- 1. WIKI SPACES (Bereiche)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS wiki_spaces (
+    id SERIAL PRIMARY KEY,
+
+    key VARCHAR(50) NOT NULL UNIQUE, -- z.B. "IT", "HR" (für [[IT:Seite]]-Links)
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    icon VARCHAR(50),
+    color VARCHAR(7) DEFAULT '#3B82F6',
+
+    is_archived BOOLEAN DEFAULT false,
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_wiki_spaces_updated_at
+    BEFORE UPDATE ON wiki_spaces
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- 2. WIKI PAGES
+-- =====================================================
+CREATE TABLE IF NOT EXISTS wiki_pages (
+    id SERIAL PRIMARY KEY,
+
+    space_id INTEGER NOT NULL REFERENCES wiki_spaces(id) ON DELETE CASCADE,
+    parent_id INTEGER REFERENCES wiki_pages(id) ON DELETE SET NULL,
+
+    title VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL DEFAULT '', -- Markdown
+    position INTEGER DEFAULT 0, -- Reihenfolge unter Geschwisterseiten
+
+    current_revision INTEGER NOT NULL DEFAULT 1,
+
+    -- Bearbeitungssperre
+    locked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    locked_at TIMESTAMP,
+    lock_expires_at TIMESTAMP,
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    -- Search
+    search_vector TSVECTOR,
+
+    UNIQUE(space_id, slug)
+);
+
+CREATE INDEX idx_wiki_pages_space ON wiki_pages(space_id);
+CREATE INDEX idx_wiki_pages_parent ON wiki_pages(parent_id);
+CREATE INDEX idx_wiki_pages_search ON wiki_pages USING gin(search_vector);
+
+-- Search vector trigger
+CREATE OR REPLACE FUNCTION wiki_pages_search_trigger() RETURNS trigger AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('german', COALESCE(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('german', COALESCE(NEW.content, '')), 'B');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tsvector_update_wiki_pages
+    BEFORE INSERT OR UPDATE OF title, content ON wiki_pages
+    FOR EACH ROW EXECUTE FUNCTION wiki_pages_search_trigger();
+
+CREATE TRIGGER update_wiki_pages_updated_at
+    BEFORE UPDATE OF title, content, parent_id, position ON wiki_pages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- 3. PAGE REVISIONS (vollständige Historie)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS wiki_page_revisions (
+    id SERIAL PRIMARY KEY,
+
+    page_id INTEGER NOT NULL REFERENCES wiki_pages(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL DEFAULT '',
+    change_note VARCHAR(500),
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(page_id, revision_number)
+);
+
+CREATE INDEX idx_wiki_page_revisions_page ON wiki_page_revisions(page_id, revision_number DESC);
+
+-- =====================================================
+-- 4. PAGE LINKS ([[Seite]] und [[BEREICH:Seite]])
+-- =====================================================
+-- Ziel über Bereich + Slug, damit Links auf noch nicht angelegte
+-- Seiten aufgelöst werden, sobald die Seite existiert
+CREATE TABLE IF NOT EXISTS wiki_page_links (
+    source_page_id INTEGER NOT NULL REFERENCES wiki_pages(id) ON DELETE CASCADE,
+    target_space_id INTEGER NOT NULL REFERENCES wiki_spaces(id) ON DELETE CASCADE,
+    target_slug VARCHAR(255) NOT NULL,
+    target_title VARCHAR(255) NOT NULL, -- Titel wie im Link geschrieben
+
+    PRIMARY KEY (source_page_id, target_space_id, target_slug)
+);
+
+CREATE INDEX idx_wiki_page_links_target ON wiki_page_links(target_space_id, target_slug);
+
+-- =====================================================
+-- 5. ATTACHMENTS (Dateien im Drive)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS wiki_attachments (
+    id SERIAL PRIMARY KEY,
+
+    page_id INTEGER NOT NULL REFERENCES wiki_pages(id) ON DELETE CASCADE,
+    drive_file_id INTEGER NOT NULL REFERENCES drive_files(id) ON DELETE CASCADE,
+
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(page_id, drive_file_id)
+);
+
+CREATE INDEX idx_wiki_attachments_page ON wiki_attachments(page_id);
+
+COMMENT ON TABLE wiki_spaces IS 'Wiki-Bereiche (z.B. pro Abteilung)';
+COMMENT ON TABLE wiki_pages IS 'Hierarchische Wiki-Seiten in Markdown';
+COMMENT ON TABLE wiki_page_revisions IS 'Vollständige Revisionshistorie der Wiki-Seiten';
+COMMENT ON TABLE wiki_page_links IS 'Interne [[Links]] zwischen Wiki-Seiten (Basis für Backlinks)';
+COMMENT ON TABLE wiki_attachments IS 'Anhänge von Wiki-Seiten, gespeichert im Drive';
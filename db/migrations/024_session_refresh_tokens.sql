@@ -0,0 +1,16 @@
+-- =====================================================
+-- Migration 024: Session Refresh Tokens
+-- Serverseitige Sessions mit rotierenden Refresh-Tokens
+-- (sessions.token_hash = Hash des aktuellen Refresh-Tokens)
+-- =====================================================
+
+-- Hash des zuletzt ersetzten Refresh-Tokens: wird ein bereits
+-- rotierter Token erneut verwendet, wird die Session beendet
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS previous_token_hash VARCHAR(255);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS refreshed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token_hash ON sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_active ON sessions(user_id, is_active);
+
+COMMENT ON COLUMN sessions.token_hash IS 'SHA-256 Hash des aktuellen Refresh-Tokens';
+COMMENT ON COLUMN sessions.previous_token_hash IS 'SHA-256 Hash des vorherigen Refresh-Tokens (Erkennung wiederverwendeter Tokens)';
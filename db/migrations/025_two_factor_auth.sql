@@ -0,0 +1,37 @@
+-- =====================================================
+-- Migration 025: Two-Factor Authentication (TOTP)
+-- Zeitbasierte Einmalpasswörter nach RFC 6238 und
+-- Wiederherstellungscodes für lokale und LDAP-Benutzer
+-- =====================================================
+
+-- TOTP-Secret (AES-256-GCM verschlüsselt, Format iv:authTag:ciphertext)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+-- Secret während der Einrichtung, wird erst nach erfolgreicher Code-Prüfung aktiv
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+-- Zuletzt akzeptierter Zeitschritt (verhindert die Wiederverwendung eines Codes)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+
+-- =====================================================
+-- WIEDERHERSTELLUNGSCODES
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- SHA-256 Hash des Codes (Klartext wird nur einmal angezeigt)
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(user_id, code_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id) WHERE used_at IS NULL;
+
+COMMENT ON COLUMN users.two_factor_secret IS 'Verschlüsseltes TOTP-Secret (RFC 6238)';
+COMMENT ON COLUMN users.two_factor_last_step IS 'Zeitschritt des zuletzt verwendeten TOTP-Codes';
+COMMENT ON TABLE user_recovery_codes IS 'Einmal verwendbare Wiederherstellungscodes für die Zwei-Faktor-Anmeldung';
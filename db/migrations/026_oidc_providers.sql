@@ -0,0 +1,89 @@
+-- =====================================================
+-- Migration 026: OpenID Connect Single Sign-On
+-- Mehrere OIDC-Provider (z.B. Keycloak), Claim-zu-Rolle
+-- Mappings und verknüpfte Identitäten
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS oidc_providers (
+    id SERIAL PRIMARY KEY,
+
+    -- Kurzname für URLs (/api/auth/oidc/:slug/login)
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(255) NOT NULL,
+
+    -- Issuer (Discovery über <issuer>/.well-known/openid-configuration)
+    issuer_url VARCHAR(500) NOT NULL,
+    client_id VARCHAR(255) NOT NULL,
+    -- AES-256-GCM verschlüsselt; NULL für Public Clients (nur PKCE)
+    client_secret TEXT,
+    scopes VARCHAR(500) NOT NULL DEFAULT 'openid profile email',
+
+    -- Claim-Zuordnung
+    username_claim VARCHAR(100) NOT NULL DEFAULT 'preferred_username',
+    -- Claim mit Gruppen/Rollen, Pfade mit Punkt (z.B. realm_access.roles)
+    role_claim VARCHAR(255) NOT NULL DEFAULT 'groups',
+    -- Fremdschlüssel auf roles(role_name) in Migration 027
+    default_role VARCHAR(50) NOT NULL DEFAULT 'user',
+
+    -- Benutzer beim ersten Login automatisch anlegen
+    auto_provision BOOLEAN NOT NULL DEFAULT true,
+    -- Bestehende Benutzer über die (verifizierte) E-Mail-Adresse verknüpfen
+    link_existing_users BOOLEAN NOT NULL DEFAULT false,
+
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER oidc_providers_updated_at
+    BEFORE UPDATE ON oidc_providers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- CLAIM-ZU-ROLLE MAPPINGS (analog zu ldap_group_mappings)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS oidc_role_mappings (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL REFERENCES oidc_providers(id) ON DELETE CASCADE,
+    claim_value VARCHAR(255) NOT NULL,
+    app_role VARCHAR(50) NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 0, -- Höchste Priorität gewinnt
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(provider_id, claim_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_oidc_role_mappings_provider ON oidc_role_mappings(provider_id) WHERE is_active = true;
+
+CREATE TRIGGER oidc_role_mappings_updated_at
+    BEFORE UPDATE ON oidc_role_mappings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- IDENTITÄTEN (Provider-Subject -> Benutzer)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS oidc_identities (
+    id SERIAL PRIMARY KEY,
+    provider_id INTEGER NOT NULL REFERENCES oidc_providers(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    subject VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    claims JSONB DEFAULT '{}',
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE(provider_id, subject)
+);
+
+CREATE INDEX IF NOT EXISTS idx_oidc_identities_user ON oidc_identities(user_id);
+
+COMMENT ON TABLE oidc_providers IS 'OpenID Connect Provider für Single Sign-On';
+COMMENT ON TABLE oidc_role_mappings IS 'Zuordnung von Claim-Werten (Gruppen/Rollen) zu Anwendungsrollen';
+COMMENT ON TABLE oidc_identities IS 'Verknüpfung von OIDC-Subjects mit Benutzern';
+COMMENT ON COLUMN oidc_providers.client_secret IS 'Verschlüsseltes Client-Secret (Format iv:authTag:ciphertext)';
@@ -0,0 +1,206 @@
+-- =====================================================
+-- Migration 027: Rollen und Berechtigungen in der Datenbank
+-- Eigene Rollen, Rollen-Vererbung, Modul-Berechtigungen
+-- und mehrere Rollen pro Benutzer
+-- =====================================================
+-- Die Tabellen roles, permissions und role_permissions werden
+-- bereits von früheren Migrationen (009, 011, 014) referenziert;
+-- bestehende Installationen werden deshalb nur ergänzt.
+
+-- =====================================================
+-- ROLLEN
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    role_name VARCHAR(50) NOT NULL UNIQUE
+);
+
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS display_name VARCHAR(255);
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS description TEXT;
+-- Systemrollen können nicht gelöscht werden
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS is_system BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE roles ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+DROP TRIGGER IF EXISTS roles_updated_at ON roles;
+CREATE TRIGGER roles_updated_at
+    BEFORE UPDATE ON roles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- BERECHTIGUNGEN
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS permissions (
+    id SERIAL PRIMARY KEY,
+    permission_key VARCHAR(100) NOT NULL UNIQUE,
+    permission_name VARCHAR(255) NOT NULL,
+    description TEXT,
+    category VARCHAR(50)
+);
+
+-- Modul, das die Berechtigung registriert hat (NULL = Core oder eigene)
+ALTER TABLE permissions ADD COLUMN IF NOT EXISTS module_name VARCHAR(100);
+-- Systemberechtigungen (Core) können nicht gelöscht werden
+ALTER TABLE permissions ADD COLUMN IF NOT EXISTS is_system BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE permissions ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_permissions_category ON permissions(category);
+CREATE INDEX IF NOT EXISTS idx_permissions_module ON permissions(module_name);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_role_permissions_unique ON role_permissions(role_id, permission_id);
+CREATE INDEX IF NOT EXISTS idx_role_permissions_permission ON role_permissions(permission_id);
+
+-- =====================================================
+-- VERERBUNG (Rolle erhält alle Berechtigungen der Elternrolle)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS role_inheritance (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    parent_role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+
+    PRIMARY KEY (role_id, parent_role_id),
+    CONSTRAINT chk_role_inheritance_self CHECK (role_id <> parent_role_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_inheritance_parent ON role_inheritance(parent_role_id);
+
+-- =====================================================
+-- ZUSÄTZLICHE ROLLEN PRO BENUTZER
+-- =====================================================
+-- users.role bleibt die primäre Rolle (LDAP/OIDC-Sync, JWT);
+-- effektive Rollen = primäre Rolle + user_roles
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    assigned_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (user_id, role_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role_id);
+
+-- =====================================================
+-- STANDARD-ROLLEN
+-- =====================================================
+
+INSERT INTO roles (role_name, display_name, description, is_system) VALUES
+    ('admin', 'Administrator', 'Voller Zugriff auf alle Funktionen', true),
+    ('moderator', 'Moderator', 'Kann Inhalte moderieren und verwalten', true),
+    ('editor', 'Redakteur', 'Kann Inhalte erstellen und bearbeiten', true),
+    ('user', 'Benutzer', 'Standard-Benutzer mit Basis-Rechten', true),
+    ('guest', 'Gast', 'Nur Lese-Zugriff', true)
+ON CONFLICT (role_name) DO UPDATE SET
+    display_name = COALESCE(roles.display_name, EXCLUDED.display_name),
+    description = COALESCE(roles.description, EXCLUDED.description),
+    is_system = true;
+
+-- guest <- user <- editor <- moderator; admin hat immer alle Berechtigungen
+INSERT INTO role_inheritance (role_id, parent_role_id)
+SELECT r.id, p.id
+FROM roles r, roles p
+WHERE (r.role_name, p.role_name) IN (('user', 'guest'), ('editor', 'user'), ('moderator', 'editor'))
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- CORE-BERECHTIGUNGEN
+-- =====================================================
+
+INSERT INTO permissions (permission_key, permission_name, category, is_system) VALUES
+    ('users.read', 'Benutzer anzeigen', 'users', true),
+    ('users.create', 'Benutzer erstellen', 'users', true),
+    ('users.update', 'Benutzer bearbeiten', 'users', true),
+    ('users.delete', 'Benutzer löschen', 'users', true),
+    ('content.read', 'Inhalte anzeigen', 'content', true),
+    ('content.create', 'Inhalte erstellen', 'content', true),
+    ('content.edit', 'Seiten bearbeiten', 'content', true),
+    ('content.update', 'Inhalte bearbeiten', 'content', true),
+    ('content.delete', 'Inhalte löschen', 'content', true),
+    ('content.publish', 'Inhalte veröffentlichen', 'content', true),
+    ('moderation.read', 'Moderations-Queue anzeigen', 'moderation', true),
+    ('moderation.action', 'Moderations-Aktionen durchführen', 'moderation', true),
+    ('admin.settings', 'System-Einstellungen verwalten', 'admin', true),
+    ('admin.modules', 'Module verwalten', 'admin', true),
+    ('admin.logs', 'System-Logs anzeigen', 'admin', true),
+    ('admin.users', 'Benutzer verwalten', 'admin', true),
+    ('admin.locations', 'Standorte verwalten', 'admin', true),
+    ('admin.roles', 'Rollen und Berechtigungen verwalten', 'admin', true),
+    ('files.read', 'Dateien anzeigen', 'files', true),
+    ('files.upload', 'Dateien hochladen', 'files', true),
+    ('files.delete', 'Dateien löschen', 'files', true),
+    ('bookings.approve', 'Ressourcen-Buchungen genehmigen', 'bookings', true),
+    ('wiki.read', 'Wiki lesen', 'wiki', true),
+    ('wiki.edit', 'Wiki bearbeiten', 'wiki', true),
+    ('wiki.admin', 'Wiki administrieren', 'wiki', true),
+    ('events.view', 'View Events', 'events', true),
+    ('events.create', 'Create Events', 'events', true),
+    ('events.edit', 'Edit Events', 'events', true),
+    ('events.delete', 'Delete Events', 'events', true),
+    ('events.manage_all', 'Manage All Events', 'events', true),
+    ('events.approve', 'Approve Event Requests', 'events', true),
+    ('events.export', 'Export Events', 'events', true),
+    ('chat.view', 'View Chat', 'chat', true),
+    ('chat.send', 'Send Messages', 'chat', true),
+    ('chat.create_group', 'Create Group Chats', 'chat', true),
+    ('chat.delete_own_messages', 'Delete Own Messages', 'chat', true),
+    ('chat.delete_any_messages', 'Delete Any Messages', 'chat', true)
+ON CONFLICT (permission_key) DO UPDATE SET
+    category = COALESCE(permissions.category, EXCLUDED.category),
+    is_system = true;
+
+-- Direkte Berechtigungen der Standard-Rollen (Geerbtes nicht wiederholt)
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p ON p.permission_key = ANY (CASE r.role_name
+    WHEN 'guest' THEN ARRAY['content.read', 'wiki.read']
+    WHEN 'user' THEN ARRAY[
+        'content.create', 'files.read', 'files.upload',
+        'events.view', 'events.create', 'events.edit', 'events.export',
+        'chat.view', 'chat.send', 'chat.create_group', 'chat.delete_own_messages']
+    WHEN 'editor' THEN ARRAY['content.edit', 'content.update', 'content.publish', 'wiki.edit']
+    WHEN 'moderator' THEN ARRAY[
+        'users.read', 'content.delete', 'moderation.read', 'moderation.action',
+        'bookings.approve', 'files.delete', 'events.manage_all', 'events.approve',
+        'chat.delete_any_messages']
+    WHEN 'admin' THEN ARRAY(SELECT permission_key FROM permissions)
+END)
+ON CONFLICT DO NOTHING;
+
+-- =====================================================
+-- BENUTZER: primäre Rolle muss existieren
+-- =====================================================
+
+-- Feste Liste ersetzt durch Fremdschlüssel (eigene Rollen erlaubt)
+ALTER TABLE users DROP CONSTRAINT IF EXISTS chk_role;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS fk_users_role;
+ALTER TABLE users ADD CONSTRAINT fk_users_role FOREIGN KEY (role)
+    REFERENCES roles(role_name);
+
+-- =====================================================
+-- OIDC: Rollen aus Migration 026 müssen existieren
+-- =====================================================
+
+ALTER TABLE oidc_providers DROP CONSTRAINT IF EXISTS fk_oidc_provider_default_role;
+ALTER TABLE oidc_providers ADD CONSTRAINT fk_oidc_provider_default_role FOREIGN KEY (default_role)
+    REFERENCES roles(role_name);
+
+ALTER TABLE oidc_role_mappings DROP CONSTRAINT IF EXISTS fk_oidc_mapping_role;
+ALTER TABLE oidc_role_mappings ADD CONSTRAINT fk_oidc_mapping_role FOREIGN KEY (app_role)
+    REFERENCES roles(role_name) ON DELETE CASCADE;
+
+COMMENT ON TABLE roles IS 'Rollen (System- und eigene Rollen)';
+COMMENT ON TABLE permissions IS 'Berechtigungen (Core, Module und eigene)';
+COMMENT ON TABLE role_permissions IS 'Direkt zugewiesene Berechtigungen einer Rolle';
+COMMENT ON TABLE role_inheritance IS 'Rollen-Vererbung: role_id erhält alle Berechtigungen von parent_role_id';
+COMMENT ON TABLE user_roles IS 'Zusätzliche Rollen eines Benutzers neben users.role';
+COMMENT ON COLUMN permissions.module_name IS 'Name des Moduls, das die Berechtigung registriert hat';
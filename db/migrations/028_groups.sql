@@ -0,0 +1,212 @@
+-- =====================================================
+-- Migration 028: Gruppen und Teams
+-- Manuelle und LDAP-synchronisierte Gruppen als Empfänger
+-- für Drive-Freigaben, Gruppen-Chats, Projekt-Teams,
+-- Event-Einladungen und Seiten-Zugriff
+-- =====================================================
+
+-- =====================================================
+-- GRUPPEN
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS groups (
+    id SERIAL PRIMARY KEY,
+
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL UNIQUE,
+    description TEXT,
+
+    -- manual = in OpenIntraHub gepflegt, ldap = Mitglieder aus memberOf
+    source VARCHAR(20) NOT NULL DEFAULT 'manual',
+    ldap_dn VARCHAR(500) UNIQUE,
+
+    is_active BOOLEAN NOT NULL DEFAULT true,
+
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT chk_group_source CHECK (source IN ('manual', 'ldap')),
+    CONSTRAINT chk_group_ldap_dn CHECK (source <> 'ldap' OR ldap_dn IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_groups_source ON groups(source);
+CREATE INDEX IF NOT EXISTS idx_groups_active ON groups(is_active) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS groups_updated_at ON groups;
+CREATE TRIGGER groups_updated_at
+    BEFORE UPDATE ON groups
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- MITGLIEDSCHAFTEN
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS group_members (
+    group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- manager dürfen die Mitglieder manueller Gruppen pflegen
+    membership_role VARCHAR(20) NOT NULL DEFAULT 'member',
+    -- ldap-Mitgliedschaften werden beim Sync ersetzt, manual bleiben erhalten
+    source VARCHAR(20) NOT NULL DEFAULT 'manual',
+
+    added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    added_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (group_id, user_id),
+    CONSTRAINT chk_group_membership_role CHECK (membership_role IN ('member', 'manager')),
+    CONSTRAINT chk_group_member_source CHECK (source IN ('manual', 'ldap'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+
+-- =====================================================
+-- DRIVE: Freigaben an Gruppen
+-- =====================================================
+-- shared_with_group (LDAP-DN als Text) wird durch eine echte
+-- Gruppen-Referenz ersetzt; die Spalte bleibt für Altdaten erhalten.
+
+ALTER TABLE drive_shares ADD COLUMN IF NOT EXISTS shared_with_group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE;
+CREATE INDEX IF NOT EXISTS idx_drive_shares_group_id ON drive_shares(shared_with_group_id);
+
+-- Bestehende DN-Freigaben auf (LDAP-)Gruppen abbilden
+INSERT INTO groups (name, slug, source, ldap_dn)
+SELECT DISTINCT
+    substring(s.shared_with_group from '^[Cc][Nn]=([^,]+)'),
+    'ldap-' || md5(s.shared_with_group),
+    'ldap',
+    s.shared_with_group
+FROM drive_shares s
+WHERE s.shared_with_group IS NOT NULL
+  AND s.shared_with_group ~ '^[Cc][Nn]='
+ON CONFLICT (ldap_dn) DO NOTHING;
+
+UPDATE drive_shares s
+SET shared_with_group_id = g.id
+FROM groups g
+WHERE s.shared_with_group IS NOT NULL
+  AND s.shared_with_group_id IS NULL
+  AND g.ldap_dn = s.shared_with_group;
+
+ALTER TABLE drive_shares DROP CONSTRAINT IF EXISTS check_share_recipient;
+ALTER TABLE drive_shares ADD CONSTRAINT check_share_recipient CHECK (
+    (CASE WHEN shared_with_user_id IS NOT NULL THEN 1 ELSE 0 END) +
+    (CASE WHEN shared_with_group_id IS NOT NULL OR shared_with_group IS NOT NULL THEN 1 ELSE 0 END) +
+    (CASE WHEN public_token IS NOT NULL THEN 1 ELSE 0 END) = 1
+);
+
+CREATE OR REPLACE FUNCTION user_has_drive_file_access(
+    p_user_id INTEGER,
+    p_file_id INTEGER,
+    p_permission VARCHAR DEFAULT 'read'
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_file_owner INTEGER;
+    v_file_visibility VARCHAR;
+    v_has_share BOOLEAN;
+BEGIN
+    -- Get file info
+    SELECT uploaded_by, visibility INTO v_file_owner, v_file_visibility
+    FROM drive_files
+    WHERE id = p_file_id AND deleted_at IS NULL;
+
+    -- Owner has full access
+    IF v_file_owner = p_user_id THEN
+        RETURN true;
+    END IF;
+
+    -- Public files readable by anyone
+    IF v_file_visibility = 'public' AND p_permission = 'read' THEN
+        RETURN true;
+    END IF;
+
+    -- Check explicit shares (user or group membership)
+    SELECT EXISTS(
+        SELECT 1 FROM drive_shares
+        WHERE file_id = p_file_id
+          AND (
+              shared_with_user_id = p_user_id OR
+              shared_with_group_id IN (
+                  SELECT gm.group_id
+                  FROM group_members gm
+                  JOIN groups g ON g.id = gm.group_id AND g.is_active = true
+                  WHERE gm.user_id = p_user_id
+              )
+          )
+          AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+          AND (
+              (p_permission = 'read' AND permission IN ('read', 'write', 'admin')) OR
+              (p_permission = 'write' AND permission IN ('write', 'admin')) OR
+              (p_permission = 'admin' AND permission = 'admin')
+          )
+    ) INTO v_has_share;
+
+    RETURN v_has_share;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =====================================================
+-- CHAT: Gruppen-Konversation an eine Gruppe koppeln
+-- =====================================================
+
+ALTER TABLE chat_conversations ADD COLUMN IF NOT EXISTS group_id INTEGER REFERENCES groups(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_conversations_group ON chat_conversations(group_id) WHERE group_id IS NOT NULL;
+
+-- Teilnehmer, die über die Gruppe hinzugefügt wurden
+ALTER TABLE chat_participants ADD COLUMN IF NOT EXISTS via_group BOOLEAN NOT NULL DEFAULT false;
+
+-- =====================================================
+-- PROJEKTE: Gruppen als Team
+-- =====================================================
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS team_group_ids INTEGER[] NOT NULL DEFAULT '{}';
+CREATE INDEX IF NOT EXISTS idx_projects_team_groups ON projects USING gin(team_group_ids);
+
+-- =====================================================
+-- EVENTS: Gruppen einladen
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS event_group_invitations (
+    event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    group_id INTEGER NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (event_id, group_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_group_invitations_group ON event_group_invitations(group_id);
+
+-- Gruppe, über die ein Teilnehmer eingeladen wurde (NULL = direkt)
+ALTER TABLE event_participants ADD COLUMN IF NOT EXISTS invited_via_group_id INTEGER REFERENCES groups(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- SEITEN: Zugriff für Gruppen
+-- =====================================================
+
+ALTER TABLE pages ADD COLUMN IF NOT EXISTS allowed_group_ids INTEGER[];
+
+-- =====================================================
+-- BERECHTIGUNG
+-- =====================================================
+
+INSERT INTO permissions (permission_key, permission_name, category, is_system) VALUES
+    ('groups.manage', 'Gruppen verwalten', 'admin', true)
+ON CONFLICT (permission_key) DO UPDATE SET is_system = true;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.role_name = 'admin' AND p.permission_key = 'groups.manage'
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE groups IS 'Gruppen/Teams (manuell oder aus LDAP synchronisiert)';
+COMMENT ON TABLE group_members IS 'Mitglieder einer Gruppe';
+COMMENT ON TABLE event_group_invitations IS 'Zu einem Event eingeladene Gruppen (neue Mitglieder werden nachträglich eingeladen)';
+COMMENT ON COLUMN drive_shares.shared_with_group_id IS 'Freigabe an alle Mitglieder einer Gruppe';
+COMMENT ON COLUMN chat_conversations.group_id IS 'Gruppen-Chat, dessen Teilnehmer der Gruppe folgen';
+COMMENT ON COLUMN projects.team_group_ids IS 'Gruppen, deren Mitglieder zum Projekt-Team gehören';
+COMMENT ON COLUMN pages.allowed_group_ids IS 'Gruppen mit Zugriff (zusätzlich zu allowed_roles)';
@@ -0,0 +1,193 @@
+-- =====================================================
+-- Migration 029: Drive - Ordnerfreigaben mit Vererbung
+-- Freigaben auf Ordner gelten für alle Unterordner und Dateien,
+-- Freigaben können widerrufen werden, abgelaufene Freigaben
+-- werden überall gleich behandelt
+-- =====================================================
+
+-- =====================================================
+-- WIDERRUF
+-- =====================================================
+
+ALTER TABLE drive_shares ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE drive_shares ADD COLUMN IF NOT EXISTS revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE drive_shares DROP CONSTRAINT IF EXISTS check_share_permission;
+ALTER TABLE drive_shares ADD CONSTRAINT check_share_permission CHECK (permission IN ('read', 'write', 'admin'));
+
+-- Aktive Freigaben je Empfänger
+CREATE INDEX IF NOT EXISTS idx_drive_shares_active_user ON drive_shares(shared_with_user_id)
+    WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_drive_shares_active_group ON drive_shares(shared_with_group_id)
+    WHERE revoked_at IS NULL;
+
+-- =====================================================
+-- HILFSFUNKTIONEN
+-- =====================================================
+
+-- read < write < admin
+CREATE OR REPLACE FUNCTION drive_permission_rank(p_permission VARCHAR)
+RETURNS INTEGER AS $$
+    SELECT CASE p_permission
+        WHEN 'read' THEN 1
+        WHEN 'write' THEN 2
+        WHEN 'admin' THEN 3
+        ELSE 0
+    END;
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Ordner und alle übergeordneten Ordner (bis zum ersten gelöschten)
+CREATE OR REPLACE FUNCTION drive_folder_ancestors(p_folder_id INTEGER)
+RETURNS TABLE (folder_id INTEGER, owner_id INTEGER) AS $$
+    WITH RECURSIVE chain AS (
+        SELECT id, parent_id, owner_id, 0 AS depth
+        FROM drive_folders
+        WHERE id = p_folder_id AND deleted_at IS NULL
+        UNION ALL
+        SELECT f.id, f.parent_id, f.owner_id, chain.depth + 1
+        FROM drive_folders f
+        JOIN chain ON f.id = chain.parent_id
+        WHERE f.deleted_at IS NULL AND chain.depth < 100
+    )
+    SELECT id, owner_id FROM chain;
+$$ LANGUAGE SQL STABLE;
+
+-- Höchste aktive Freigabe (Rang) eines Benutzers auf eine Datei und/oder Ordner-Kette
+CREATE OR REPLACE FUNCTION drive_user_share_rank(
+    p_user_id INTEGER,
+    p_file_id INTEGER,
+    p_folder_ids INTEGER[]
+)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(MAX(drive_permission_rank(s.permission)), 0)
+    FROM drive_shares s
+    WHERE (s.file_id = p_file_id OR s.folder_id = ANY(p_folder_ids))
+      AND s.revoked_at IS NULL
+      AND (s.expires_at IS NULL OR s.expires_at > CURRENT_TIMESTAMP)
+      AND (
+          s.shared_with_user_id = p_user_id OR
+          s.shared_with_group_id IN (
+              SELECT gm.group_id
+              FROM group_members gm
+              JOIN groups g ON g.id = gm.group_id AND g.is_active = true
+              WHERE gm.user_id = p_user_id
+          )
+      );
+$$ LANGUAGE SQL STABLE;
+
+-- =====================================================
+-- ZUGRIFFSPRÜFUNG ORDNER
+-- =====================================================
+
+-- Effektive Berechtigung auf einen Ordner: admin, write, read oder NULL
+CREATE OR REPLACE FUNCTION user_drive_folder_permission(
+    p_user_id INTEGER,
+    p_folder_id INTEGER
+)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_folder_ids INTEGER[];
+    v_is_owner BOOLEAN;
+    v_visibility VARCHAR;
+    v_rank INTEGER;
+BEGIN
+    SELECT array_agg(a.folder_id), bool_or(a.owner_id = p_user_id)
+    INTO v_folder_ids, v_is_owner
+    FROM drive_folder_ancestors(p_folder_id) a;
+
+    IF v_folder_ids IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    -- Besitzer des Ordners oder eines übergeordneten Ordners
+    IF v_is_owner THEN
+        RETURN 'admin';
+    END IF;
+
+    v_rank := drive_user_share_rank(p_user_id, NULL, v_folder_ids);
+
+    SELECT visibility INTO v_visibility FROM drive_folders WHERE id = p_folder_id;
+    IF v_visibility = 'public' AND v_rank < 1 THEN
+        v_rank := 1;
+    END IF;
+
+    RETURN CASE v_rank WHEN 3 THEN 'admin' WHEN 2 THEN 'write' WHEN 1 THEN 'read' ELSE NULL END;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION user_has_drive_folder_access(
+    p_user_id INTEGER,
+    p_folder_id INTEGER,
+    p_permission VARCHAR DEFAULT 'read'
+)
+RETURNS BOOLEAN AS $$
+    SELECT drive_permission_rank(user_drive_folder_permission(p_user_id, p_folder_id))
+        >= drive_permission_rank(p_permission);
+$$ LANGUAGE SQL STABLE;
+
+-- =====================================================
+-- ZUGRIFFSPRÜFUNG DATEIEN (inkl. geerbter Ordnerfreigaben)
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION user_drive_file_permission(
+    p_user_id INTEGER,
+    p_file_id INTEGER
+)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_file_owner INTEGER;
+    v_file_visibility VARCHAR;
+    v_folder_id INTEGER;
+    v_folder_ids INTEGER[];
+    v_is_folder_owner BOOLEAN;
+    v_rank INTEGER;
+BEGIN
+    SELECT uploaded_by, visibility, folder_id
+    INTO v_file_owner, v_file_visibility, v_folder_id
+    FROM drive_files
+    WHERE id = p_file_id AND deleted_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    -- Owner has full access
+    IF v_file_owner = p_user_id THEN
+        RETURN 'admin';
+    END IF;
+
+    IF v_folder_id IS NOT NULL THEN
+        SELECT array_agg(a.folder_id), bool_or(a.owner_id = p_user_id)
+        INTO v_folder_ids, v_is_folder_owner
+        FROM drive_folder_ancestors(v_folder_id) a;
+
+        -- Owner of a containing folder (e.g. files uploaded by others into a shared folder)
+        IF v_is_folder_owner THEN
+            RETURN 'admin';
+        END IF;
+    END IF;
+
+    v_rank := drive_user_share_rank(p_user_id, p_file_id, COALESCE(v_folder_ids, '{}'));
+
+    -- Public files readable by anyone
+    IF v_file_visibility = 'public' AND v_rank < 1 THEN
+        v_rank := 1;
+    END IF;
+
+    RETURN CASE v_rank WHEN 3 THEN 'admin' WHEN 2 THEN 'write' WHEN 1 THEN 'read' ELSE NULL END;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION user_has_drive_file_access(
+    p_user_id INTEGER,
+    p_file_id INTEGER,
+    p_permission VARCHAR DEFAULT 'read'
+)
+RETURNS BOOLEAN AS $$
+    SELECT drive_permission_rank(user_drive_file_permission(p_user_id, p_file_id))
+        >= drive_permission_rank(p_permission);
+$$ LANGUAGE SQL STABLE;
+
+COMMENT ON COLUMN drive_shares.revoked_at IS 'Widerrufene Freigaben bleiben zur Nachvollziehbarkeit erhalten';
+COMMENT ON FUNCTION user_drive_folder_permission(INTEGER, INTEGER) IS 'Effektive Berechtigung auf einen Ordner inkl. Freigaben übergeordneter Ordner';
+COMMENT ON FUNCTION user_drive_file_permission(INTEGER, INTEGER) IS 'Effektive Berechtigung auf eine Datei inkl. Freigaben der enthaltenden Ordner';
@@ -0,0 +1,30 @@
+-- =====================================================
+-- Migration 030: Drive - Papierkorb
+-- Gelöschte Dateien und Ordnerbäume bleiben bis zum
+-- Wiederherstellen oder endgültigen Löschen erhalten
+-- =====================================================
+
+-- Wer hat gelöscht (Papierkorb pro Benutzer)
+ALTER TABLE drive_files ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE drive_folders ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- Mit einem Ordner gelöschte Inhalte zeigen auf diesen Ordner;
+-- sie werden gemeinsam mit ihm wiederhergestellt oder gelöscht.
+-- NULL = einzeln gelöscht (eigener Eintrag im Papierkorb)
+ALTER TABLE drive_files ADD COLUMN IF NOT EXISTS trashed_with_folder_id INTEGER REFERENCES drive_folders(id) ON DELETE CASCADE;
+ALTER TABLE drive_folders ADD COLUMN IF NOT EXISTS trashed_with_folder_id INTEGER REFERENCES drive_folders(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_drive_files_trashed ON drive_files(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_drive_folders_trashed ON drive_folders(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_drive_files_trashed_with ON drive_files(trashed_with_folder_id) WHERE trashed_with_folder_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_drive_folders_trashed_with ON drive_folders(trashed_with_folder_id) WHERE trashed_with_folder_id IS NOT NULL;
+
+-- Ordnernamen nur unter aktiven Ordnern eindeutig, damit gelöschte
+-- Ordner einen neuen Ordner gleichen Namens nicht blockieren
+ALTER TABLE drive_folders DROP CONSTRAINT IF EXISTS unique_folder_path;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drive_folders_unique_active_path
+    ON drive_folders(owner_id, parent_id, slug)
+    WHERE deleted_at IS NULL;
+
+COMMENT ON COLUMN drive_files.trashed_with_folder_id IS 'Ordner, mit dem die Datei in den Papierkorb verschoben wurde';
+COMMENT ON COLUMN drive_folders.trashed_with_folder_id IS 'Oberster gelöschter Ordner, mit dem dieser Unterordner in den Papierkorb verschoben wurde';
@@ -0,0 +1,114 @@
+-- =====================================================
+-- Migration 031: Drive - Speicherkontingente
+-- Kontingente pro Benutzer, Gruppe und (Projekt-)Ordner,
+-- Warnschwelle für Benachrichtigungen vor dem Erreichen
+-- =====================================================
+
+-- =====================================================
+-- KONTINGENTE
+-- =====================================================
+-- Genau eines von user_id, group_id, folder_id ist gesetzt.
+-- Benutzer: eigenes Kontingent > größtes Gruppenkontingent > DRIVE_USER_QUOTA
+-- Ordner: begrenzt den Ordner samt Unterordnern (alle Uploader zusammen)
+
+CREATE TABLE IF NOT EXISTS drive_quotas (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    group_id INTEGER REFERENCES groups(id) ON DELETE CASCADE,
+    folder_id INTEGER REFERENCES drive_folders(id) ON DELETE CASCADE,
+
+    quota_bytes BIGINT NOT NULL,
+    -- Warnung ab diesem Füllstand in Prozent (NULL = DRIVE_QUOTA_WARNING_PERCENT)
+    warning_percent INTEGER,
+
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_drive_quota_target CHECK (num_nonnulls(user_id, group_id, folder_id) = 1),
+    CONSTRAINT check_drive_quota_bytes CHECK (quota_bytes >= 0),
+    CONSTRAINT check_drive_quota_warning CHECK (warning_percent IS NULL OR warning_percent BETWEEN 1 AND 100)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drive_quotas_user ON drive_quotas(user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drive_quotas_group ON drive_quotas(group_id) WHERE group_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drive_quotas_folder ON drive_quotas(folder_id) WHERE folder_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS drive_quotas_updated_at ON drive_quotas;
+CREATE TRIGGER drive_quotas_updated_at
+    BEFORE UPDATE ON drive_quotas
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- WARNUNGEN
+-- =====================================================
+-- Eine Warnung pro Kontingent, bis der Füllstand wieder
+-- unter die Warnschwelle fällt
+
+CREATE TABLE IF NOT EXISTS drive_quota_warnings (
+    quota_scope VARCHAR(10) NOT NULL,
+    target_id INTEGER NOT NULL,
+    warned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (quota_scope, target_id),
+    CONSTRAINT check_drive_quota_warning_scope CHECK (quota_scope IN ('user', 'folder'))
+);
+
+-- =====================================================
+-- HILFSFUNKTIONEN
+-- =====================================================
+
+-- Kontingent-Überschreibung eines Benutzers (keine Zeile = Standardkontingent)
+CREATE OR REPLACE FUNCTION drive_user_quota_override(p_user_id INTEGER)
+RETURNS TABLE (quota_bytes BIGINT, warning_percent INTEGER, source VARCHAR, group_id INTEGER) AS $$
+    SELECT o.quota_bytes, o.warning_percent, o.source, o.group_id
+    FROM (
+        SELECT q.quota_bytes, q.warning_percent, 'user'::VARCHAR AS source, NULL::INTEGER AS group_id, 1 AS priority
+        FROM drive_quotas q
+        WHERE q.user_id = p_user_id
+        UNION ALL
+        SELECT q.quota_bytes, q.warning_percent, 'group'::VARCHAR, q.group_id, 2
+        FROM drive_quotas q
+        JOIN groups g ON g.id = q.group_id AND g.is_active = true
+        JOIN group_members gm ON gm.group_id = q.group_id
+        WHERE gm.user_id = p_user_id
+    ) o
+    ORDER BY o.priority, o.quota_bytes DESC
+    LIMIT 1;
+$$ LANGUAGE SQL STABLE;
+
+-- Belegter Speicher eines Ordners inkl. aller Unterordner
+CREATE OR REPLACE FUNCTION get_drive_folder_usage(p_folder_id INTEGER)
+RETURNS BIGINT AS $$
+    WITH RECURSIVE tree AS (
+        SELECT id FROM drive_folders WHERE id = p_folder_id AND deleted_at IS NULL
+        UNION ALL
+        SELECT f.id FROM drive_folders f
+        JOIN tree ON f.parent_id = tree.id
+        WHERE f.deleted_at IS NULL
+    )
+    SELECT COALESCE(SUM(file_size_bytes), 0)
+    FROM drive_files
+    WHERE folder_id IN (SELECT id FROM tree)
+      AND deleted_at IS NULL
+      AND is_current_version = true;
+$$ LANGUAGE SQL STABLE;
+
+-- =====================================================
+-- BERECHTIGUNG
+-- =====================================================
+
+INSERT INTO permissions (permission_key, permission_name, category, is_system) VALUES
+    ('drive.quotas', 'Drive-Speicherkontingente verwalten', 'admin', true)
+ON CONFLICT (permission_key) DO UPDATE SET is_system = true;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.role_name = 'admin' AND p.permission_key = 'drive.quotas'
+ON CONFLICT DO NOTHING;
+
+COMMENT ON TABLE drive_quotas IS 'Speicherkontingente pro Benutzer, Gruppe oder Ordner (überschreiben DRIVE_USER_QUOTA)';
+COMMENT ON TABLE drive_quota_warnings IS 'Bereits verschickte Warnungen zum Füllstand eines Kontingents';
+COMMENT ON FUNCTION drive_user_quota_override(INTEGER) IS 'Eigenes Kontingent des Benutzers, sonst das größte seiner aktiven Gruppen';
@@ -0,0 +1,68 @@
+-- =====================================================
+-- Migration 032: WebDAV für Drive
+-- App-Passwörter (Gerätepasswörter statt Konto-/LDAP-Passwort)
+-- und WebDAV-Sperren (LOCK/UNLOCK)
+-- =====================================================
+
+-- =====================================================
+-- APP-PASSWÖRTER
+-- =====================================================
+-- Das Passwort wird nur beim Anlegen einmal angezeigt;
+-- gespeichert wird ausschließlich der SHA-256-Hash.
+
+CREATE TABLE IF NOT EXISTS app_passwords (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Bezeichnung des Geräts, z.B. "Laptop Windows Explorer"
+    name VARCHAR(100) NOT NULL,
+    password_hash VARCHAR(64) NOT NULL UNIQUE,
+    -- Erste Zeichen zum Wiedererkennen in der Liste
+    password_hint VARCHAR(10) NOT NULL,
+
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip INET
+);
+
+CREATE INDEX IF NOT EXISTS idx_app_passwords_user ON app_passwords(user_id);
+
+-- =====================================================
+-- WEBDAV-SPERREN
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS drive_locks (
+    token VARCHAR(100) PRIMARY KEY,
+
+    file_id INTEGER REFERENCES drive_files(id) ON DELETE CASCADE,
+    folder_id INTEGER REFERENCES drive_folders(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    scope VARCHAR(10) NOT NULL DEFAULT 'exclusive',
+    -- '0' oder 'infinity' (Ordner inkl. Inhalt)
+    depth VARCHAR(10) NOT NULL DEFAULT '0',
+    -- Inhalt von <D:owner> des Clients (z.B. Benutzername), wird bei lockdiscovery zurückgegeben
+    owner TEXT,
+
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+
+    CONSTRAINT check_drive_lock_target CHECK (num_nonnulls(file_id, folder_id) = 1),
+    CONSTRAINT check_drive_lock_scope CHECK (scope IN ('exclusive', 'shared')),
+    CONSTRAINT check_drive_lock_depth CHECK (depth IN ('0', 'infinity'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_drive_locks_file ON drive_locks(file_id) WHERE file_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_drive_locks_folder ON drive_locks(folder_id) WHERE folder_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_drive_locks_expires ON drive_locks(expires_at);
+
+-- =====================================================
+-- DATEIEN
+-- =====================================================
+-- Kopien (WebDAV COPY) und deduplizierte Uploads teilen sich
+-- Speicherdatei und Hash; der Hash ist daher nicht eindeutig
+
+ALTER TABLE drive_files DROP CONSTRAINT IF EXISTS unique_file_hash_version;
+
+COMMENT ON TABLE app_passwords IS 'Gerätepasswörter für WebDAV-Clients (Basic Auth), einzeln widerrufbar';
+COMMENT ON TABLE drive_locks IS 'WebDAV-Sperren auf Drive-Dateien und -Ordnern';
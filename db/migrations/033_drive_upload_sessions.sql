@@ -0,0 +1,54 @@
+-- =====================================================
+-- Migration 033: Drive - Fortsetzbare Uploads
+-- Große Dateien werden in Teilstücken (Chunks) hochgeladen;
+-- nach einem Verbindungsabbruch fehlen nur einzelne Chunks
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS drive_upload_sessions (
+    id UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    folder_id INTEGER REFERENCES drive_folders(id) ON DELETE CASCADE,
+
+    -- Metadaten der entstehenden Datei
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(255) NOT NULL DEFAULT 'application/octet-stream',
+    description TEXT,
+    tags TEXT[] NOT NULL DEFAULT '{}',
+    visibility VARCHAR(20) NOT NULL DEFAULT 'private',
+
+    file_size_bytes BIGINT NOT NULL,
+    chunk_size INTEGER NOT NULL,
+    total_chunks INTEGER NOT NULL,
+    -- Optionaler SHA-256 der ganzen Datei, beim Abschluss geprüft
+    file_hash VARCHAR(64),
+
+    -- active → completing → completed (file_id gesetzt)
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    file_id INTEGER REFERENCES drive_files(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- Wird mit jedem Chunk verlängert
+    expires_at TIMESTAMP NOT NULL,
+
+    CONSTRAINT check_drive_upload_status CHECK (status IN ('active', 'completing', 'completed')),
+    CONSTRAINT check_drive_upload_size CHECK (file_size_bytes >= 0 AND chunk_size > 0 AND total_chunks >= 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_drive_upload_sessions_user ON drive_upload_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_drive_upload_sessions_expires ON drive_upload_sessions(expires_at);
+
+-- Empfangene Chunks (Inhalt liegt im Upload-Verzeichnis)
+CREATE TABLE IF NOT EXISTS drive_upload_chunks (
+    session_id UUID NOT NULL REFERENCES drive_upload_sessions(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    -- SHA-256 des Chunks, vom Client mitgeschickt und serverseitig geprüft
+    checksum VARCHAR(64) NOT NULL,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (session_id, chunk_index)
+);
+
+COMMENT ON TABLE drive_upload_sessions IS 'Fortsetzbare Drive-Uploads in Teilstücken';
+COMMENT ON TABLE drive_upload_chunks IS 'Bereits empfangene Teilstücke einer Upload-Sitzung';
@@ -0,0 +1,47 @@
+-- =====================================================
+-- Migration 034: Drive - Vorschaubilder und Metadaten
+-- Thumbnails in mehreren Größen, Vorschau (auch erste PDF-Seite)
+-- sowie Bildmaße und EXIF-Daten in drive_files.metadata
+-- =====================================================
+
+-- Verarbeitungsstatus: pending → processing → ready | failed | unsupported
+-- (NULL = Dateityp ohne Vorschau)
+ALTER TABLE drive_files ADD COLUMN IF NOT EXISTS preview_status VARCHAR(20);
+ALTER TABLE drive_files ADD COLUMN IF NOT EXISTS preview_attempted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_drive_files_preview_queue
+    ON drive_files(id) WHERE preview_status IN ('pending', 'processing');
+
+-- Vorschaubilder gehören zum Inhalt (file_hash), nicht zur Datei:
+-- Kopien und identische Uploads teilen sie wie den Blob selbst
+CREATE TABLE IF NOT EXISTS drive_file_previews (
+    file_hash VARCHAR(64) NOT NULL,
+    -- thumb-128, thumb-256, thumb-512, preview
+    variant VARCHAR(20) NOT NULL,
+
+    -- Speicher-Key im Drive-Speicher-Backend
+    storage_path VARCHAR(1000) NOT NULL,
+    -- SHA-256 des Vorschaubilds (ETag, Speicher-Migration)
+    content_hash VARCHAR(64) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    size_bytes INTEGER NOT NULL,
+
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (file_hash, variant)
+);
+
+-- Vorhandene Bilder und PDFs nachträglich verarbeiten
+UPDATE drive_files
+SET preview_status = 'pending'
+WHERE deleted_at IS NULL
+  AND preview_status IS NULL
+  AND (
+      mime_type IN ('image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif', 'application/pdf')
+      OR lower(file_extension) IN ('.jpg', '.jpeg', '.png', '.webp', '.gif', '.tif', '.tiff', '.avif', '.pdf')
+  );
+
+COMMENT ON COLUMN drive_files.preview_status IS 'Status der Vorschau-Erzeugung (pending, processing, ready, failed, unsupported)';
+COMMENT ON TABLE drive_file_previews IS 'Thumbnails und Vorschaubilder je Dateiinhalt';
@@ -0,0 +1,49 @@
+-- =====================================================
+-- Migration 035: Drive - Volltextindex der Dateiinhalte
+-- Text aus TXT, Markdown, PDF, DOCX, XLSX und ODT wird im
+-- Hintergrund extrahiert und in der Drive-Suche berücksichtigt
+-- =====================================================
+
+-- Indexierungsstatus: pending → processing → indexed | failed | unsupported
+-- (NULL = Dateityp ohne Textinhalt)
+ALTER TABLE drive_files ADD COLUMN IF NOT EXISTS index_status VARCHAR(20);
+ALTER TABLE drive_files ADD COLUMN IF NOT EXISTS index_attempted_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_drive_files_index_queue
+    ON drive_files(id) WHERE index_status IN ('pending', 'processing');
+
+-- Extrahierter Text gehört zum Inhalt (file_hash), nicht zur Datei:
+-- Kopien und identische Uploads werden nur einmal indexiert
+CREATE TABLE IF NOT EXISTS drive_file_contents (
+    file_hash VARCHAR(64) PRIMARY KEY,
+
+    -- Extrahierter Text (für Snippets), ggf. gekürzt
+    content TEXT NOT NULL,
+    -- Gewichtung D: Treffer im Inhalt ranken nach Name (A),
+    -- Beschreibung (B) und Tags (C)
+    content_vector TSVECTOR NOT NULL,
+    truncated BOOLEAN NOT NULL DEFAULT false,
+
+    extracted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_drive_file_contents_search
+    ON drive_file_contents USING GIN(content_vector);
+
+-- Vorhandene Dokumente nachträglich indexieren
+UPDATE drive_files
+SET index_status = 'pending'
+WHERE deleted_at IS NULL
+  AND index_status IS NULL
+  AND (
+      mime_type IN (
+          'text/plain', 'text/markdown', 'application/pdf',
+          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          'application/vnd.oasis.opendocument.text'
+      )
+      OR lower(file_extension) IN ('.txt', '.md', '.markdown', '.pdf', '.docx', '.xlsx', '.odt')
+  );
+
+COMMENT ON COLUMN drive_files.index_status IS 'Status der Volltext-Indexierung (pending, processing, indexed, failed, unsupported)';
+COMMENT ON TABLE drive_file_contents IS 'Extrahierter Text je Dateiinhalt für die Volltextsuche';
@@ -0,0 +1,24 @@
+-- =====================================================
+-- Migration 036: Event Recurrence End
+-- Ende einer Serie (letztes Vorkommen), damit Zeitraum-Abfragen
+-- nur Serien laden, die den Zeitraum noch erreichen
+-- =====================================================
+
+-- NULL = unbegrenzte Serie (oder noch nicht berechnet, wird beim nächsten Speichern gesetzt)
+ALTER TABLE events ADD COLUMN IF NOT EXISTS recurrence_end TIMESTAMP WITH TIME ZONE;
+
+-- Bestehende Serien mit UNTIL (ISO-Format); Serien mit COUNT bleiben NULL
+-- und werden weiterhin geladen
+UPDATE events
+SET recurrence_end = (recurrence_rule->>'until')::timestamptz + (end_time - start_time)
+WHERE is_recurring = true
+  AND jsonb_typeof(recurrence_rule) = 'object'
+  AND recurrence_rule->>'until' ~ '^\d{4}-\d{2}-\d{2}T'
+  AND NOT recurrence_rule ? 'count';
+
+DROP INDEX IF EXISTS idx_events_recurring_masters;
+CREATE INDEX IF NOT EXISTS idx_events_recurring_masters
+    ON events(start_time, recurrence_end)
+    WHERE is_recurring = true AND is_active = true;
+
+COMMENT ON COLUMN events.recurrence_end IS 'Ende des letzten Vorkommens einer Serie (NULL = unbegrenzt)';
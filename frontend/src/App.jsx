@@ -14,13 +14,20 @@ import CategoryManager from './pages/Posts/CategoryManager';
 import TagManager from './pages/Posts/TagManager';
 import LocationsList from './pages/Locations/LocationsList';
 import LocationEditor from './pages/Locations/LocationEditor';
+import DeskBooking from './pages/Locations/DeskBooking';
 import EventsList from './pages/Events/EventsList';
 import EventEditor from './pages/Events/EventEditor';
 import EventDetails from './pages/Events/EventDetails';
 import LDAPAdmin from './pages/Admin/LDAPAdmin';
+import AuditLog from './pages/Admin/AuditLog';
+import OidcProviders from './pages/Admin/OidcProviders';
+import Roles from './pages/Admin/Roles';
+import Groups from './pages/Admin/Groups';
+import UserSettings from './pages/UserSettings/UserSettings';
 import Drive from './pages/Drive/DriveAdvanced';
 import ProjectList from './pages/Projects/ProjectList';
 import ProjectKanban from './pages/Projects/ProjectKanban';
+import Wiki from './pages/Wiki/Wiki';
 import './styles/index.css';
 
 function App() {
@@ -60,6 +67,11 @@ function App() {
           <Route path="projects" element={<ProjectList />} />
           <Route path="projects/:projectId" element={<ProjectKanban />} />
 
+          {/* Wiki Routes */}
+          <Route path="wiki" element={<Wiki />} />
+          <Route path="wiki/:spaceKey" element={<Wiki />} />
+          <Route path="wiki/:spaceKey/:slug" element={<Wiki />} />
+
           {/* Posts Routes */}
           <Route path="posts" element={<PostsList />} />
           <Route path="posts/new" element={<PostEditor />} />
@@ -77,17 +89,25 @@ function App() {
           <Route path="locations" element={<LocationsList />} />
           <Route path="locations/new" element={<LocationEditor />} />
           <Route path="locations/:id/edit" element={<LocationEditor />} />
+          <Route path="locations/:id/desks" element={<DeskBooking />} />
 
           {/* Page Builder Routes */}
           <Route path="pages" element={<PagesList />} />
           <Route path="pages/new" element={<PageBuilder />} />
           <Route path="pages/:id/edit" element={<PageBuilder />} />
 
+          {/* User Settings */}
+          <Route path="settings" element={<UserSettings />} />
+
           {/* Module Registry */}
           <Route path="modules" element={<ModuleRegistry />} />
 
           {/* Admin Routes */}
           <Route path="admin/ldap" element={<LDAPAdmin />} />
+          <Route path="admin/audit-log" element={<AuditLog />} />
+          <Route path="admin/oidc" element={<OidcProviders />} />
+          <Route path="admin/roles" element={<Roles />} />
+          <Route path="admin/groups" element={<Groups />} />
         </Route>
       </Routes>
     </Router>
@@ -14,9 +14,12 @@ import {
   Settings,
   LogOut,
   HardDrive,
-  FolderKanban
+  FolderKanban,
+  BookMarked
 } from 'lucide-react';
 import NotificationBell from './NotificationBell';
+import notificationSocket from '../services/notificationSocket';
+import { authApi } from '../services/api';
 
 function Layout() {
   const { t } = useTranslation();
@@ -31,6 +34,7 @@ function Layout() {
     { name: 'Chat', href: '/chat', icon: MessageSquare },
     { name: 'Drive', href: '/drive', icon: HardDrive },
     { name: 'Projects', href: '/projects', icon: FolderKanban },
+    { name: 'Wiki', href: '/wiki', icon: BookMarked },
     { name: 'Posts', href: '/posts', icon: BookOpen },
     { name: 'Events', href: '/events', icon: Calendar },
     { name: 'Locations', href: '/locations', icon: MapPin },
@@ -45,8 +49,15 @@ function Layout() {
     return location.pathname.startsWith(href);
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    notificationSocket.disconnect();
+    try {
+      await authApi.logout();
+    } catch (error) {
+      console.error('Error during logout:', error);
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     navigate('/login');
   };
@@ -137,6 +148,46 @@ function Layout() {
                           LDAP Admin
                         </Link>
                       )}
+                      {currentUser.role === 'admin' && (
+                        <Link
+                          to="/admin/audit-log"
+                          onClick={() => setShowUserMenu(false)}
+                          className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          <Settings className="w-4 h-4 mr-3" />
+                          Audit-Log
+                        </Link>
+                      )}
+                      {currentUser.role === 'admin' && (
+                        <Link
+                          to="/admin/oidc"
+                          onClick={() => setShowUserMenu(false)}
+                          className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          <Settings className="w-4 h-4 mr-3" />
+                          Single Sign-On
+                        </Link>
+                      )}
+                      {currentUser.role === 'admin' && (
+                        <Link
+                          to="/admin/roles"
+                          onClick={() => setShowUserMenu(false)}
+                          className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          <Settings className="w-4 h-4 mr-3" />
+                          Rollen & Berechtigungen
+                        </Link>
+                      )}
+                      {currentUser.role === 'admin' && (
+                        <Link
+                          to="/admin/groups"
+                          onClick={() => setShowUserMenu(false)}
+                          className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          <Settings className="w-4 h-4 mr-3" />
+                          Gruppen & Teams
+                        </Link>
+                      )}
                     </div>
                     <div className="border-t border-gray-200 py-2">
                       <button
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../services/api';
+import notificationSocket from '../services/notificationSocket';
 
 function NotificationBell() {
     const [notifications, setNotifications] = useState([]);
@@ -11,9 +12,42 @@ function NotificationBell() {
 
     useEffect(() => {
         loadUnreadCount();
-        const interval = setInterval(loadUnreadCount, 30000); // Poll every 30s
 
-        return () => clearInterval(interval);
+        const token = localStorage.getItem('token');
+        if (token) {
+            notificationSocket.connect(token);
+        }
+
+        // Real-time updates (also from other tabs)
+        const unsubscribeNew = notificationSocket.on('notification:new', (notification) => {
+            setNotifications(prev => [notification, ...prev.filter(n => n.id !== notification.id)].slice(0, 10));
+        });
+
+        const unsubscribeCount = notificationSocket.on('notification:unread-count', (data) => {
+            setUnreadCount(data.count);
+        });
+
+        const unsubscribeRead = notificationSocket.on('notification:read', (data) => {
+            setNotifications(prev =>
+                prev.map(n =>
+                    data.all || data.notification_ids.includes(n.id) ? { ...n, is_read: true } : n
+                )
+            );
+        });
+
+        // Fallback polling while the socket is not connected
+        const interval = setInterval(() => {
+            if (!notificationSocket.isConnected()) {
+                loadUnreadCount();
+            }
+        }, 30000);
+
+        return () => {
+            unsubscribeNew();
+            unsubscribeCount();
+            unsubscribeRead();
+            clearInterval(interval);
+        };
     }, []);
 
     useEffect(() => {
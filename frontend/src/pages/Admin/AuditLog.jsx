@@ -0,0 +1,247 @@
+// =====================================================
+// Audit Log - Admin- und Sicherheitsaktionen
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = { username: '', action: '', status: '', from: '', to: '' };
+
+function AuditLog() {
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [offset, setOffset] = useState(0);
+    const [actions, setActions] = useState([]);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [loading, setLoading] = useState(false);
+    const [expandedId, setExpandedId] = useState(null);
+
+    useEffect(() => {
+        api.get('/admin/audit-log/actions')
+            .then((response) => setActions(response.data.data))
+            .catch((error) => console.error('Error loading audit actions:', error));
+    }, []);
+
+    useEffect(() => {
+        loadEntries();
+    }, [offset]);
+
+    const buildParams = () => {
+        const params = {};
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params[key] = value;
+        });
+        if (params.to && params.to.length === 10) {
+            // Date-only filter includes the whole day
+            params.to = `${params.to}T23:59:59`;
+        }
+        return params;
+    };
+
+    const loadEntries = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/admin/audit-log', {
+                params: { ...buildParams(), limit: PAGE_SIZE, offset }
+            });
+            setEntries(response.data.data);
+            setTotal(response.data.pagination.total);
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const applyFilters = (e) => {
+        e.preventDefault();
+        if (offset === 0) {
+            loadEntries();
+        } else {
+            setOffset(0);
+        }
+    };
+
+    const exportCsv = async () => {
+        try {
+            const response = await api.get('/admin/audit-log/export', {
+                params: buildParams(),
+                responseType: 'blob'
+            });
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting audit log:', error);
+            alert('Export fehlgeschlagen');
+        }
+    };
+
+    const updateFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+    };
+
+    return (
+        <div className="max-w-7xl mx-auto p-6 space-y-4">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Audit-Log</h1>
+                    <p className="text-sm text-gray-600 mt-1">
+                        Anmeldungen, Rollenänderungen, Modul-, LDAP- und Freigabe-Aktionen
+                    </p>
+                </div>
+                <button
+                    onClick={exportCsv}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                    CSV exportieren
+                </button>
+            </div>
+
+            {/* Filters */}
+            <form onSubmit={applyFilters} className="bg-white rounded-lg shadow p-4 grid grid-cols-6 gap-3">
+                <input
+                    value={filters.username}
+                    onChange={(e) => updateFilter('username', e.target.value)}
+                    placeholder="Benutzer"
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <select
+                    value={filters.action}
+                    onChange={(e) => updateFilter('action', e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                    <option value="">Alle Aktionen</option>
+                    {actions.map((action) => (
+                        <option key={action} value={action}>{action}</option>
+                    ))}
+                </select>
+                <select
+                    value={filters.status}
+                    onChange={(e) => updateFilter('status', e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                    <option value="">Alle Status</option>
+                    <option value="success">Erfolgreich</option>
+                    <option value="failure">Fehlgeschlagen</option>
+                    <option value="error">Fehler</option>
+                </select>
+                <input
+                    type="date"
+                    value={filters.from}
+                    onChange={(e) => updateFilter('from', e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <input
+                    type="date"
+                    value={filters.to}
+                    onChange={(e) => updateFilter('to', e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <div className="flex gap-2">
+                    <button type="submit" className="flex-1 px-3 py-2 bg-gray-800 text-white rounded-lg text-sm hover:bg-gray-900">
+                        Filtern
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setFilters(EMPTY_FILTERS)}
+                        className="px-3 py-2 text-gray-700 hover:bg-gray-200 rounded-lg text-sm"
+                    >
+                        ✕
+                    </button>
+                </div>
+            </form>
+
+            {/* Entries */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="px-4 py-2">Zeitpunkt</th>
+                            <th className="px-4 py-2">Benutzer</th>
+                            <th className="px-4 py-2">Aktion</th>
+                            <th className="px-4 py-2">Objekt</th>
+                            <th className="px-4 py-2">Beschreibung</th>
+                            <th className="px-4 py-2">IP</th>
+                            <th className="px-4 py-2">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {loading && (
+                            <tr><td colSpan={7} className="px-4 py-6 text-center text-gray-600">Lädt...</td></tr>
+                        )}
+                        {!loading && entries.length === 0 && (
+                            <tr><td colSpan={7} className="px-4 py-6 text-center text-gray-600">Keine Einträge</td></tr>
+                        )}
+                        {!loading && entries.map((entry) => (
+                            <React.Fragment key={entry.id}>
+                                <tr
+                                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                                    className="hover:bg-gray-50 cursor-pointer"
+                                >
+                                    <td className="px-4 py-2 whitespace-nowrap">{new Date(entry.created_at).toLocaleString('de-DE')}</td>
+                                    <td className="px-4 py-2">{entry.username || '–'}</td>
+                                    <td className="px-4 py-2 font-mono text-xs">{entry.action}</td>
+                                    <td className="px-4 py-2">{entry.resource_type ? `${entry.resource_type}${entry.resource_id ? ` #${entry.resource_id}` : ''}` : '–'}</td>
+                                    <td className="px-4 py-2 text-gray-700">{entry.description || entry.error_message || ''}</td>
+                                    <td className="px-4 py-2 font-mono text-xs">{entry.ip_address || ''}</td>
+                                    <td className="px-4 py-2">
+                                        <span className={`px-2 py-0.5 rounded text-xs ${
+                                            entry.status === 'success' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                                        }`}>
+                                            {entry.status}
+                                        </span>
+                                    </td>
+                                </tr>
+                                {expandedId === entry.id && (
+                                    <tr className="bg-gray-50">
+                                        <td colSpan={7} className="px-4 py-3 text-xs text-gray-700 space-y-1">
+                                            <div>{entry.request_method} {entry.request_path}</div>
+                                            <div className="text-gray-500">{entry.user_agent}</div>
+                                            {entry.changes && (
+                                                <pre className="p-2 bg-white border border-gray-200 rounded overflow-x-auto">
+                                                    {JSON.stringify(entry.changes, null, 2)}
+                                                </pre>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+
+                {/* Pagination */}
+                <div className="px-4 py-3 bg-gray-50 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                    <span>
+                        {total === 0 ? 0 : offset + 1}–{Math.min(offset + PAGE_SIZE, total)} von {total}
+                    </span>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                            disabled={offset === 0}
+                            className="px-3 py-1 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                        >
+                            Zurück
+                        </button>
+                        <button
+                            onClick={() => setOffset(offset + PAGE_SIZE)}
+                            disabled={offset + PAGE_SIZE >= total}
+                            className="px-3 py-1 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                        >
+                            Weiter
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AuditLog;
@@ -0,0 +1,348 @@
+// =====================================================
+// Groups - Gruppen und Teams verwalten
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const EMPTY_GROUP = { name: '', description: '' };
+
+function Groups() {
+    const [groups, setGroups] = useState([]);
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedId, setSelectedId] = useState(null);
+    const [members, setMembers] = useState([]);
+    const [draft, setDraft] = useState(null);
+    const [newGroup, setNewGroup] = useState(null);
+    const [newMember, setNewMember] = useState({ user_id: '', membership_role: 'member' });
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    const showError = (error) => {
+        alert('Fehler: ' + (error.response?.data?.message || error.message));
+    };
+
+    const loadData = async () => {
+        try {
+            setLoading(true);
+            const [groupsResponse, usersResponse] = await Promise.all([
+                api.get('/groups', { params: { include_inactive: true } }),
+                api.get('/users')
+            ]);
+            setGroups(groupsResponse.data.data);
+            setUsers(usersResponse.data.users || []);
+        } catch (error) {
+            console.error('Error loading groups:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadMembers = async (groupId) => {
+        try {
+            const response = await api.get(`/groups/${groupId}/members`);
+            setMembers(response.data.data);
+        } catch (error) {
+            console.error('Error loading members:', error);
+        }
+    };
+
+    const selectGroup = (group) => {
+        setSelectedId(group.id);
+        setDraft({
+            name: group.name,
+            description: group.description || '',
+            is_active: group.is_active
+        });
+        loadMembers(group.id);
+    };
+
+    const selectedGroup = groups.find(group => group.id === selectedId);
+    const isLdap = selectedGroup && selectedGroup.source === 'ldap';
+
+    const saveGroup = async () => {
+        try {
+            await api.put(`/groups/${selectedId}`, draft);
+            await loadData();
+        } catch (error) {
+            console.error('Error saving group:', error);
+            showError(error);
+        }
+    };
+
+    const createGroup = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await api.post('/groups', newGroup);
+            setNewGroup(null);
+            await loadData();
+            selectGroup(response.data.data);
+        } catch (error) {
+            console.error('Error creating group:', error);
+            showError(error);
+        }
+    };
+
+    const deleteGroup = async (group) => {
+        if (!confirm(`Gruppe "${group.name}" löschen? Freigaben und Einladungen an die Gruppe werden entfernt.`)) return;
+
+        try {
+            await api.delete(`/groups/${group.id}`);
+            setSelectedId(null);
+            setDraft(null);
+            setMembers([]);
+            loadData();
+        } catch (error) {
+            console.error('Error deleting group:', error);
+            showError(error);
+        }
+    };
+
+    const addMember = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await api.post(`/groups/${selectedId}/members`, {
+                user_ids: [parseInt(newMember.user_id)],
+                membership_role: newMember.membership_role
+            });
+            setMembers(response.data.data.members);
+            setNewMember({ user_id: '', membership_role: 'member' });
+            loadData();
+        } catch (error) {
+            console.error('Error adding member:', error);
+            showError(error);
+        }
+    };
+
+    const setMemberRole = async (member, membershipRole) => {
+        try {
+            const response = await api.post(`/groups/${selectedId}/members`, {
+                user_ids: [member.id],
+                membership_role: membershipRole
+            });
+            setMembers(response.data.data.members);
+        } catch (error) {
+            console.error('Error changing member role:', error);
+            showError(error);
+        }
+    };
+
+    const removeMember = async (member) => {
+        try {
+            await api.delete(`/groups/${selectedId}/members/${member.id}`);
+            loadMembers(selectedId);
+            loadData();
+        } catch (error) {
+            console.error('Error removing member:', error);
+            showError(error);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-600">Lädt...</div>
+            </div>
+        );
+    }
+
+    const memberIds = new Set(members.map(member => member.id));
+
+    return (
+        <div className="max-w-7xl mx-auto p-6 space-y-4">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Gruppen & Teams</h1>
+                    <p className="text-sm text-gray-600 mt-1">
+                        Gruppen können Dateien, Chats, Projekte, Termine und Seiten erhalten; LDAP-Gruppen werden automatisch synchronisiert
+                    </p>
+                </div>
+                <button
+                    onClick={() => setNewGroup(EMPTY_GROUP)}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                    Gruppe hinzufügen
+                </button>
+            </div>
+
+            {newGroup && (
+                <form onSubmit={createGroup} className="bg-white rounded-lg shadow p-4 flex gap-2 items-end">
+                    <label className="text-sm text-gray-700">
+                        Name
+                        <input
+                            value={newGroup.name}
+                            onChange={(e) => setNewGroup({ ...newGroup, name: e.target.value })}
+                            placeholder="z.B. Vertrieb"
+                            required
+                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <label className="text-sm text-gray-700 flex-1">
+                        Beschreibung
+                        <input
+                            value={newGroup.description}
+                            onChange={(e) => setNewGroup({ ...newGroup, description: e.target.value })}
+                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                        Anlegen
+                    </button>
+                    <button type="button" onClick={() => setNewGroup(null)} className="px-4 py-2 text-gray-700 hover:bg-gray-200 rounded-lg">
+                        Abbrechen
+                    </button>
+                </form>
+            )}
+
+            <div className="grid grid-cols-3 gap-4">
+                {/* Groups */}
+                <div className="bg-white rounded-lg shadow overflow-hidden">
+                    {groups.length === 0 && <div className="p-4 text-sm text-gray-600">Noch keine Gruppen</div>}
+                    <ul className="divide-y divide-gray-100">
+                        {groups.map((group) => (
+                            <li
+                                key={group.id}
+                                onClick={() => selectGroup(group)}
+                                className={`px-4 py-3 cursor-pointer hover:bg-gray-50 ${selectedId === group.id ? 'bg-blue-50' : ''}`}
+                            >
+                                <div className="flex items-center justify-between">
+                                    <span className={`font-medium ${group.is_active ? '' : 'text-gray-400'}`}>{group.name}</span>
+                                    {group.source === 'ldap' && (
+                                        <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700">LDAP</span>
+                                    )}
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                    {group.member_count} Mitglieder
+                                    {!group.is_active && ' · inaktiv'}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+
+                {/* Group editor */}
+                <div className="col-span-2 bg-white rounded-lg shadow p-4 space-y-4">
+                    {!selectedGroup && <div className="text-sm text-gray-600">Gruppe auswählen</div>}
+
+                    {selectedGroup && draft && (
+                        <>
+                            <div className="grid grid-cols-2 gap-3">
+                                <label className="text-sm text-gray-700">
+                                    Name
+                                    <input
+                                        value={draft.name}
+                                        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                                        disabled={isLdap}
+                                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+                                    />
+                                </label>
+                                <label className="text-sm text-gray-700">
+                                    Beschreibung
+                                    <input
+                                        value={draft.description}
+                                        onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                    />
+                                </label>
+                            </div>
+
+                            {isLdap && (
+                                <p className="text-xs text-gray-500 font-mono break-all">{selectedGroup.ldap_dn}</p>
+                            )}
+
+                            <label className="flex items-center gap-2 text-sm text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.is_active}
+                                    onChange={(e) => setDraft({ ...draft, is_active: e.target.checked })}
+                                />
+                                Aktiv (inaktive Gruppen verlieren alle Freigaben und Zugriffe)
+                            </label>
+
+                            <div className="flex gap-2">
+                                <button onClick={saveGroup} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                                    Speichern
+                                </button>
+                                {!isLdap && (
+                                    <button onClick={() => deleteGroup(selectedGroup)} className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg">
+                                        Löschen
+                                    </button>
+                                )}
+                            </div>
+
+                            <div>
+                                <h3 className="text-sm font-semibold text-gray-900 mb-1">Mitglieder</h3>
+                                {isLdap && (
+                                    <p className="text-sm text-gray-600 mb-2">
+                                        Die Mitglieder dieser Gruppe kommen aus dem Verzeichnis (memberOf).
+                                    </p>
+                                )}
+                                <table className="w-full text-sm">
+                                    <tbody className="divide-y divide-gray-100">
+                                        {members.map((member) => (
+                                            <tr key={member.id}>
+                                                <td className="py-1">{member.name || member.username}</td>
+                                                <td className="py-1 text-xs text-gray-600">{member.email}</td>
+                                                <td className="py-1">
+                                                    {isLdap ? (
+                                                        <span className="text-xs text-gray-600">LDAP</span>
+                                                    ) : (
+                                                        <select
+                                                            value={member.membership_role}
+                                                            onChange={(e) => setMemberRole(member, e.target.value)}
+                                                            className="px-2 py-1 border border-gray-300 rounded text-xs"
+                                                        >
+                                                            <option value="member">Mitglied</option>
+                                                            <option value="manager">Verwalter</option>
+                                                        </select>
+                                                    )}
+                                                </td>
+                                                <td className="py-1 text-right">
+                                                    {!isLdap && (
+                                                        <button onClick={() => removeMember(member)} className="text-red-600 hover:underline">Entfernen</button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+
+                                {!isLdap && (
+                                    <form onSubmit={addMember} className="flex gap-2 mt-2">
+                                        <select
+                                            value={newMember.user_id}
+                                            onChange={(e) => setNewMember({ ...newMember, user_id: e.target.value })}
+                                            required
+                                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                        >
+                                            <option value="">Benutzer auswählen</option>
+                                            {users.filter(user => !memberIds.has(user.id)).map(user => (
+                                                <option key={user.id} value={user.id}>{user.name || user.username}</option>
+                                            ))}
+                                        </select>
+                                        <select
+                                            value={newMember.membership_role}
+                                            onChange={(e) => setNewMember({ ...newMember, membership_role: e.target.value })}
+                                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                        >
+                                            <option value="member">Mitglied</option>
+                                            <option value="manager">Verwalter</option>
+                                        </select>
+                                        <button type="submit" className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm hover:bg-gray-900">
+                                            Hinzufügen
+                                        </button>
+                                    </form>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default Groups;
@@ -0,0 +1,399 @@
+// =====================================================
+// OIDC Providers - Single Sign-On Verwaltung
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const EMPTY_PROVIDER = {
+    slug: '',
+    name: '',
+    issuer_url: '',
+    client_id: '',
+    client_secret: '',
+    scopes: 'openid profile email',
+    username_claim: 'preferred_username',
+    role_claim: 'groups',
+    default_role: 'user',
+    auto_provision: true,
+    link_existing_users: false,
+    is_active: true
+};
+
+const EMPTY_MAPPING = { claim_value: '', app_role: 'user', priority: 0 };
+
+const DEFAULT_ROLES = ['admin', 'moderator', 'editor', 'user', 'guest'];
+
+function OidcProviders() {
+    const [providers, setProviders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [mappings, setMappings] = useState([]);
+    const [newMapping, setNewMapping] = useState(EMPTY_MAPPING);
+    const [testResult, setTestResult] = useState(null);
+    const [roles, setRoles] = useState(DEFAULT_ROLES);
+
+    useEffect(() => {
+        loadProviders();
+        // Custom roles from the role editor
+        api.get('/admin/roles')
+            .then(response => setRoles(response.data.data.map(role => role.role_name)))
+            .catch(() => setRoles(DEFAULT_ROLES));
+    }, []);
+
+    useEffect(() => {
+        if (selectedId) loadMappings(selectedId);
+    }, [selectedId]);
+
+    const showError = (error) => {
+        alert('Fehler: ' + (error.response?.data?.message || error.message));
+    };
+
+    const loadProviders = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/admin/oidc/providers');
+            setProviders(response.data.data);
+        } catch (error) {
+            console.error('Error loading OIDC providers:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadMappings = async (providerId) => {
+        try {
+            const response = await api.get(`/admin/oidc/providers/${providerId}/role-mappings`);
+            setMappings(response.data.data);
+        } catch (error) {
+            console.error('Error loading role mappings:', error);
+        }
+    };
+
+    const openForm = (provider = null) => {
+        setEditingId(provider ? provider.id : null);
+        // Secret is never returned; empty field keeps the stored one
+        setForm(provider ? { ...EMPTY_PROVIDER, ...provider, client_secret: '' } : EMPTY_PROVIDER);
+        setTestResult(null);
+    };
+
+    const saveProvider = async (e) => {
+        e.preventDefault();
+
+        const data = { ...form };
+        delete data.id;
+        delete data.has_client_secret;
+        delete data.created_at;
+        delete data.updated_at;
+        if (editingId && !data.client_secret) {
+            delete data.client_secret;
+        }
+
+        try {
+            if (editingId) {
+                await api.put(`/admin/oidc/providers/${editingId}`, data);
+            } else {
+                await api.post('/admin/oidc/providers', data);
+            }
+            setForm(null);
+            loadProviders();
+        } catch (error) {
+            console.error('Error saving OIDC provider:', error);
+            showError(error);
+        }
+    };
+
+    const deleteProvider = async (provider) => {
+        if (!confirm(`Provider "${provider.name}" löschen? Verknüpfte Identitäten werden entfernt.`)) return;
+
+        try {
+            await api.delete(`/admin/oidc/providers/${provider.id}`);
+            if (selectedId === provider.id) setSelectedId(null);
+            loadProviders();
+        } catch (error) {
+            console.error('Error deleting OIDC provider:', error);
+            showError(error);
+        }
+    };
+
+    const testProvider = async (provider) => {
+        try {
+            setTestResult({ providerId: provider.id, loading: true });
+            const response = await api.post(`/admin/oidc/providers/${provider.id}/test`);
+            setTestResult({ providerId: provider.id, ok: true, data: response.data.data });
+        } catch (error) {
+            setTestResult({ providerId: provider.id, ok: false, message: error.response?.data?.message || error.message });
+        }
+    };
+
+    const addMapping = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post(`/admin/oidc/providers/${selectedId}/role-mappings`, {
+                ...newMapping,
+                priority: parseInt(newMapping.priority) || 0
+            });
+            setNewMapping(EMPTY_MAPPING);
+            loadMappings(selectedId);
+        } catch (error) {
+            console.error('Error creating role mapping:', error);
+            showError(error);
+        }
+    };
+
+    const toggleMapping = async (mapping) => {
+        try {
+            await api.put(`/admin/oidc/role-mappings/${mapping.id}`, { is_active: !mapping.is_active });
+            loadMappings(selectedId);
+        } catch (error) {
+            console.error('Error updating role mapping:', error);
+            showError(error);
+        }
+    };
+
+    const deleteMapping = async (mapping) => {
+        try {
+            await api.delete(`/admin/oidc/role-mappings/${mapping.id}`);
+            loadMappings(selectedId);
+        } catch (error) {
+            console.error('Error deleting role mapping:', error);
+            showError(error);
+        }
+    };
+
+    const updateForm = (key, value) => {
+        setForm(prev => ({ ...prev, [key]: value }));
+    };
+
+    const selectedProvider = providers.find(provider => provider.id === selectedId);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-600">Lädt...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-7xl mx-auto p-6 space-y-4">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Single Sign-On</h1>
+                    <p className="text-sm text-gray-600 mt-1">
+                        OpenID Connect Provider (z.B. Keycloak) und Zuordnung von Gruppen zu Rollen
+                    </p>
+                </div>
+                <button
+                    onClick={() => openForm()}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                    Provider hinzufügen
+                </button>
+            </div>
+
+            {/* Provider form */}
+            {form && (
+                <form onSubmit={saveProvider} className="bg-white rounded-lg shadow p-4 space-y-3">
+                    <div className="grid grid-cols-2 gap-3">
+                        {[
+                            ['slug', 'Kurzname (URL)'],
+                            ['name', 'Anzeigename'],
+                            ['issuer_url', 'Issuer URL'],
+                            ['client_id', 'Client ID'],
+                            ['scopes', 'Scopes'],
+                            ['username_claim', 'Claim für Benutzername'],
+                            ['role_claim', 'Claim für Gruppen/Rollen (z.B. realm_access.roles)']
+                        ].map(([key, label]) => (
+                            <label key={key} className="text-sm text-gray-700">
+                                {label}
+                                <input
+                                    value={form[key]}
+                                    onChange={(e) => updateForm(key, e.target.value)}
+                                    disabled={key === 'slug' && !!editingId}
+                                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                />
+                            </label>
+                        ))}
+                        <label className="text-sm text-gray-700">
+                            Client Secret
+                            <input
+                                type="password"
+                                value={form.client_secret}
+                                onChange={(e) => updateForm('client_secret', e.target.value)}
+                                placeholder={editingId && form.has_client_secret ? 'unverändert' : 'leer für Public Client'}
+                                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                            />
+                        </label>
+                        <label className="text-sm text-gray-700">
+                            Standardrolle
+                            <select
+                                value={form.default_role}
+                                onChange={(e) => updateForm('default_role', e.target.value)}
+                                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                            >
+                                {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    <div className="flex gap-6 text-sm text-gray-700">
+                        {[
+                            ['auto_provision', 'Benutzer automatisch anlegen'],
+                            ['link_existing_users', 'Bestehende Benutzer über E-Mail verknüpfen'],
+                            ['is_active', 'Aktiv']
+                        ].map(([key, label]) => (
+                            <label key={key} className="flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    checked={form[key]}
+                                    onChange={(e) => updateForm(key, e.target.checked)}
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                    {form.slug && (
+                        <div className="text-xs text-gray-500">
+                            Redirect-URI: <span className="font-mono">{`${window.location.origin}/api/auth/oidc/${form.slug}/callback`}</span>
+                        </div>
+                    )}
+                    <div className="flex gap-2">
+                        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                            Speichern
+                        </button>
+                        <button type="button" onClick={() => setForm(null)} className="px-4 py-2 text-gray-700 hover:bg-gray-200 rounded-lg">
+                            Abbrechen
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {/* Providers */}
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+                <table className="w-full text-sm">
+                    <thead className="bg-gray-50 text-left text-gray-600">
+                        <tr>
+                            <th className="px-4 py-2">Name</th>
+                            <th className="px-4 py-2">Issuer</th>
+                            <th className="px-4 py-2">Client ID</th>
+                            <th className="px-4 py-2">Status</th>
+                            <th className="px-4 py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {providers.length === 0 && (
+                            <tr><td colSpan={5} className="px-4 py-6 text-center text-gray-600">Keine Provider</td></tr>
+                        )}
+                        {providers.map((provider) => (
+                            <React.Fragment key={provider.id}>
+                                <tr className={selectedId === provider.id ? 'bg-blue-50' : ''}>
+                                    <td className="px-4 py-2">
+                                        <div className="font-medium">{provider.name}</div>
+                                        <div className="text-xs text-gray-500 font-mono">{provider.slug}</div>
+                                    </td>
+                                    <td className="px-4 py-2 font-mono text-xs">{provider.issuer_url}</td>
+                                    <td className="px-4 py-2 font-mono text-xs">{provider.client_id}</td>
+                                    <td className="px-4 py-2">
+                                        <span className={`px-2 py-0.5 rounded text-xs ${
+                                            provider.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                                        }`}>
+                                            {provider.is_active ? 'aktiv' : 'inaktiv'}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                                        <button onClick={() => setSelectedId(provider.id)} className="text-blue-600 hover:underline">Rollen</button>
+                                        <button onClick={() => testProvider(provider)} className="text-blue-600 hover:underline">Testen</button>
+                                        <button onClick={() => openForm(provider)} className="text-blue-600 hover:underline">Bearbeiten</button>
+                                        <button onClick={() => deleteProvider(provider)} className="text-red-600 hover:underline">Löschen</button>
+                                    </td>
+                                </tr>
+                                {testResult && testResult.providerId === provider.id && (
+                                    <tr className="bg-gray-50">
+                                        <td colSpan={5} className="px-4 py-3 text-xs">
+                                            {testResult.loading && 'Prüfe Discovery...'}
+                                            {testResult.ok === true && (
+                                                <span className="text-green-700">
+                                                    Discovery OK · {testResult.data.signing_keys} Signaturschlüssel ·
+                                                    PKCE: {testResult.data.code_challenge_methods_supported.join(', ') || 'nicht angegeben'}
+                                                </span>
+                                            )}
+                                            {testResult.ok === false && <span className="text-red-700">{testResult.message}</span>}
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {/* Role mappings */}
+            {selectedProvider && (
+                <div className="bg-white rounded-lg shadow p-4 space-y-3">
+                    <h2 className="text-lg font-semibold text-gray-900">
+                        Rollen-Zuordnung: {selectedProvider.name}
+                    </h2>
+                    <p className="text-sm text-gray-600">
+                        Werte aus dem Claim <span className="font-mono">{selectedProvider.role_claim}</span>; die
+                        höchste Priorität gewinnt, ohne Treffer gilt die Standardrolle ({selectedProvider.default_role}).
+                    </p>
+                    <table className="w-full text-sm">
+                        <thead className="text-left text-gray-600">
+                            <tr>
+                                <th className="py-1">Claim-Wert</th>
+                                <th className="py-1">Rolle</th>
+                                <th className="py-1">Priorität</th>
+                                <th className="py-1">Aktiv</th>
+                                <th className="py-1"></th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                            {mappings.map((mapping) => (
+                                <tr key={mapping.id}>
+                                    <td className="py-1 font-mono text-xs">{mapping.claim_value}</td>
+                                    <td className="py-1">{mapping.app_role}</td>
+                                    <td className="py-1">{mapping.priority}</td>
+                                    <td className="py-1">
+                                        <input type="checkbox" checked={mapping.is_active} onChange={() => toggleMapping(mapping)} />
+                                    </td>
+                                    <td className="py-1 text-right">
+                                        <button onClick={() => deleteMapping(mapping)} className="text-red-600 hover:underline">Löschen</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <form onSubmit={addMapping} className="flex gap-2">
+                        <input
+                            value={newMapping.claim_value}
+                            onChange={(e) => setNewMapping({ ...newMapping, claim_value: e.target.value })}
+                            placeholder="Claim-Wert (z.B. intranet-admins)"
+                            required
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <select
+                            value={newMapping.app_role}
+                            onChange={(e) => setNewMapping({ ...newMapping, app_role: e.target.value })}
+                            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        >
+                            {roles.map(role => <option key={role} value={role}>{role}</option>)}
+                        </select>
+                        <input
+                            type="number"
+                            value={newMapping.priority}
+                            onChange={(e) => setNewMapping({ ...newMapping, priority: e.target.value })}
+                            className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                        />
+                        <button type="submit" className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm hover:bg-gray-900">
+                            Hinzufügen
+                        </button>
+                    </form>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default OidcProviders;
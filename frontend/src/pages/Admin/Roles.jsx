@@ -0,0 +1,371 @@
+// =====================================================
+// Roles - Rollen- und Berechtigungs-Editor
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+const EMPTY_ROLE = { role_name: '', display_name: '', description: '' };
+const EMPTY_PERMISSION = { permission_key: '', permission_name: '', description: '' };
+
+function Roles() {
+    const [roles, setRoles] = useState([]);
+    const [permissions, setPermissions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedId, setSelectedId] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [newRole, setNewRole] = useState(null);
+    const [newPermission, setNewPermission] = useState(EMPTY_PERMISSION);
+
+    useEffect(() => {
+        loadData();
+    }, []);
+
+    const showError = (error) => {
+        alert('Fehler: ' + (error.response?.data?.message || error.message));
+    };
+
+    const loadData = async () => {
+        try {
+            setLoading(true);
+            const [rolesResponse, permissionsResponse] = await Promise.all([
+                api.get('/admin/roles'),
+                api.get('/admin/permissions')
+            ]);
+            setRoles(rolesResponse.data.data);
+            setPermissions(permissionsResponse.data.data);
+        } catch (error) {
+            console.error('Error loading roles:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectRole = (role) => {
+        setSelectedId(role.id);
+        setDraft({
+            display_name: role.display_name || '',
+            description: role.description || '',
+            permissions: role.permissions,
+            inherits: role.inherits
+        });
+    };
+
+    const selectedRole = roles.find(role => role.id === selectedId);
+    const isSuperuser = selectedRole && selectedRole.role_name === 'admin';
+
+    // Permissions coming from the parents currently ticked in the draft
+    const inheritedPermissions = new Set(
+        draft ? roles
+            .filter(role => draft.inherits.includes(role.role_name))
+            .flatMap(role => role.effective_permissions)
+            : []
+    );
+
+    const toggleInDraft = (key, value) => {
+        setDraft(prev => ({
+            ...prev,
+            [key]: prev[key].includes(value)
+                ? prev[key].filter(item => item !== value)
+                : [...prev[key], value]
+        }));
+    };
+
+    const saveRole = async () => {
+        const data = { display_name: draft.display_name, description: draft.description };
+        if (!isSuperuser) {
+            data.permissions = draft.permissions;
+            data.inherits = draft.inherits;
+        }
+
+        try {
+            await api.put(`/admin/roles/${selectedId}`, data);
+            await loadData();
+        } catch (error) {
+            console.error('Error saving role:', error);
+            showError(error);
+        }
+    };
+
+    const createRole = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await api.post('/admin/roles', { ...newRole, inherits: ['user'] });
+            setNewRole(null);
+            await loadData();
+            selectRole(response.data.data);
+        } catch (error) {
+            console.error('Error creating role:', error);
+            showError(error);
+        }
+    };
+
+    const deleteRole = async (role) => {
+        if (!confirm(`Rolle "${role.display_name || role.role_name}" löschen?`)) return;
+
+        try {
+            await api.delete(`/admin/roles/${role.id}`);
+            setSelectedId(null);
+            setDraft(null);
+            loadData();
+        } catch (error) {
+            console.error('Error deleting role:', error);
+            showError(error);
+        }
+    };
+
+    const createPermission = async (e) => {
+        e.preventDefault();
+        try {
+            await api.post('/admin/permissions', newPermission);
+            setNewPermission(EMPTY_PERMISSION);
+            loadData();
+        } catch (error) {
+            console.error('Error creating permission:', error);
+            showError(error);
+        }
+    };
+
+    const deletePermission = async (permission) => {
+        if (!confirm(`Berechtigung "${permission.permission_key}" löschen?`)) return;
+
+        try {
+            await api.delete(`/admin/permissions/${permission.id}`);
+            loadData();
+        } catch (error) {
+            console.error('Error deleting permission:', error);
+            showError(error);
+        }
+    };
+
+    const categories = permissions.reduce((groups, permission) => {
+        const category = permission.category || 'other';
+        (groups[category] = groups[category] || []).push(permission);
+        return groups;
+    }, {});
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-600">Lädt...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-7xl mx-auto p-6 space-y-4">
+            <div className="flex items-center justify-between">
+                <div>
+                    <h1 className="text-3xl font-bold text-gray-900">Rollen & Berechtigungen</h1>
+                    <p className="text-sm text-gray-600 mt-1">
+                        Eigene Rollen anlegen, Berechtigungen zuweisen und Rollen voneinander erben lassen
+                    </p>
+                </div>
+                <button
+                    onClick={() => setNewRole(EMPTY_ROLE)}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                >
+                    Rolle hinzufügen
+                </button>
+            </div>
+
+            {newRole && (
+                <form onSubmit={createRole} className="bg-white rounded-lg shadow p-4 flex gap-2 items-end">
+                    <label className="text-sm text-gray-700">
+                        Kurzname
+                        <input
+                            value={newRole.role_name}
+                            onChange={(e) => setNewRole({ ...newRole, role_name: e.target.value.toLowerCase() })}
+                            placeholder="z.B. hr"
+                            required
+                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <label className="text-sm text-gray-700 flex-1">
+                        Anzeigename
+                        <input
+                            value={newRole.display_name}
+                            onChange={(e) => setNewRole({ ...newRole, display_name: e.target.value })}
+                            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                    </label>
+                    <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                        Anlegen
+                    </button>
+                    <button type="button" onClick={() => setNewRole(null)} className="px-4 py-2 text-gray-700 hover:bg-gray-200 rounded-lg">
+                        Abbrechen
+                    </button>
+                </form>
+            )}
+
+            <div className="grid grid-cols-3 gap-4">
+                {/* Roles */}
+                <div className="bg-white rounded-lg shadow overflow-hidden">
+                    <ul className="divide-y divide-gray-100">
+                        {roles.map((role) => (
+                            <li
+                                key={role.id}
+                                onClick={() => selectRole(role)}
+                                className={`px-4 py-3 cursor-pointer hover:bg-gray-50 ${selectedId === role.id ? 'bg-blue-50' : ''}`}
+                            >
+                                <div className="flex items-center justify-between">
+                                    <span className="font-medium">{role.display_name || role.role_name}</span>
+                                    {role.is_system && (
+                                        <span className="px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-700">System</span>
+                                    )}
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                    <span className="font-mono">{role.role_name}</span>
+                                    {' · '}{role.primary_user_count + role.additional_user_count} Benutzer
+                                    {role.inherits.length > 0 && ` · erbt von ${role.inherits.join(', ')}`}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+
+                {/* Role editor */}
+                <div className="col-span-2 bg-white rounded-lg shadow p-4 space-y-4">
+                    {!selectedRole && <div className="text-sm text-gray-600">Rolle auswählen</div>}
+
+                    {selectedRole && draft && (
+                        <>
+                            <div className="grid grid-cols-2 gap-3">
+                                <label className="text-sm text-gray-700">
+                                    Anzeigename
+                                    <input
+                                        value={draft.display_name}
+                                        onChange={(e) => setDraft({ ...draft, display_name: e.target.value })}
+                                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                    />
+                                </label>
+                                <label className="text-sm text-gray-700">
+                                    Beschreibung
+                                    <input
+                                        value={draft.description}
+                                        onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                                        className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg"
+                                    />
+                                </label>
+                            </div>
+
+                            {isSuperuser ? (
+                                <p className="text-sm text-gray-600">Administratoren haben immer alle Berechtigungen.</p>
+                            ) : (
+                                <>
+                                    <div>
+                                        <h3 className="text-sm font-semibold text-gray-900 mb-1">Erbt von</h3>
+                                        <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+                                            {roles.filter(role => role.id !== selectedRole.id).map(role => (
+                                                <label key={role.id} className="flex items-center gap-2">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={draft.inherits.includes(role.role_name)}
+                                                        onChange={() => toggleInDraft('inherits', role.role_name)}
+                                                    />
+                                                    {role.display_name || role.role_name}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    <div className="space-y-3">
+                                        {Object.entries(categories).map(([category, list]) => (
+                                            <div key={category}>
+                                                <h3 className="text-sm font-semibold text-gray-900 mb-1 capitalize">{category}</h3>
+                                                <div className="grid grid-cols-2 gap-1 text-sm text-gray-700">
+                                                    {list.map((permission) => {
+                                                        const inherited = inheritedPermissions.has(permission.permission_key);
+                                                        return (
+                                                            <label key={permission.id} className="flex items-center gap-2">
+                                                                <input
+                                                                    type="checkbox"
+                                                                    checked={inherited || draft.permissions.includes(permission.permission_key)}
+                                                                    disabled={inherited}
+                                                                    onChange={() => toggleInDraft('permissions', permission.permission_key)}
+                                                                />
+                                                                <span title={permission.permission_key}>{permission.permission_name}</span>
+                                                                {inherited && <span className="text-xs text-gray-500">geerbt</span>}
+                                                            </label>
+                                                        );
+                                                    })}
+                                                </div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </>
+                            )}
+
+                            <div className="flex gap-2">
+                                <button onClick={saveRole} className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                                    Speichern
+                                </button>
+                                {!selectedRole.is_system && (
+                                    <button onClick={() => deleteRole(selectedRole)} className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg">
+                                        Löschen
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {/* Custom permissions */}
+            <div className="bg-white rounded-lg shadow p-4 space-y-3">
+                <h2 className="text-lg font-semibold text-gray-900">Berechtigungen</h2>
+                <p className="text-sm text-gray-600">
+                    Core- und Modul-Berechtigungen sind fest; eigene Berechtigungen können z.B. in Hooks geprüft werden.
+                </p>
+                <table className="w-full text-sm">
+                    <thead className="text-left text-gray-600">
+                        <tr>
+                            <th className="py-1">Schlüssel</th>
+                            <th className="py-1">Name</th>
+                            <th className="py-1">Herkunft</th>
+                            <th className="py-1">Rollen (direkt)</th>
+                            <th className="py-1"></th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {permissions.map((permission) => (
+                            <tr key={permission.id}>
+                                <td className="py-1 font-mono text-xs">{permission.permission_key}</td>
+                                <td className="py-1">{permission.permission_name}</td>
+                                <td className="py-1 text-xs text-gray-600">
+                                    {permission.module_name ? `Modul ${permission.module_name}` : permission.is_system ? 'Core' : 'Eigene'}
+                                </td>
+                                <td className="py-1 text-xs text-gray-600">{permission.roles.join(', ')}</td>
+                                <td className="py-1 text-right">
+                                    {!permission.is_system && !permission.module_name && (
+                                        <button onClick={() => deletePermission(permission)} className="text-red-600 hover:underline">Löschen</button>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <form onSubmit={createPermission} className="flex gap-2">
+                    <input
+                        value={newPermission.permission_key}
+                        onChange={(e) => setNewPermission({ ...newPermission, permission_key: e.target.value })}
+                        placeholder="Schlüssel (z.B. reports.view)"
+                        required
+                        className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono"
+                    />
+                    <input
+                        value={newPermission.permission_name}
+                        onChange={(e) => setNewPermission({ ...newPermission, permission_name: e.target.value })}
+                        placeholder="Name"
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <button type="submit" className="px-4 py-2 bg-gray-800 text-white rounded-lg text-sm hover:bg-gray-900">
+                        Hinzufügen
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+}
+
+export default Roles;
@@ -30,20 +30,92 @@ import {
   ImageIcon,
   FileTextIcon,
   VideoIcon,
-  MusicIcon
+  MusicIcon,
+  RotateCcwIcon
 } from 'lucide-react';
 import api from '../../services/api';
 
+// Files above this size use resumable chunked uploads
+const CHUNKED_UPLOAD_THRESHOLD = 8 * 1024 * 1024;
+
+const sha256Hex = async (blob) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+// Thumbnail or preview generated by the server; the API needs the auth
+// header, so the image is loaded as blob
+function DrivePreviewImage({ file, variant = 'thumbnail', size, className, fallback = null }) {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const ready = file.preview_status === 'ready';
+
+  useEffect(() => {
+    if (!ready) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+
+    api.get(`/drive/files/${file.id}/${variant}`, {
+      params: size ? { size } : undefined,
+      responseType: 'blob'
+    })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setSrc(objectUrl);
+      })
+      .catch(() => !cancelled && setFailed(true));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [file.id, file.file_hash, ready, variant, size]);
+
+  if (!ready || failed) return fallback;
+  if (!src) return <div className={`${className} bg-gray-100 animate-pulse`} />;
+
+  return <img src={src} alt={file.name} className={className} />;
+}
+
+// Search snippet from the file content; the server marks matches with **
+function DriveSearchSnippet({ snippet }) {
+  if (!snippet) return null;
+
+  return (
+    <p className="text-sm text-gray-600 mt-1 line-clamp-2">
+      {snippet.split('**').map((part, index) => (
+        index % 2 === 1
+          ? <mark key={index} className="bg-yellow-100 text-gray-900 rounded px-0.5">{part}</mark>
+          : <span key={index}>{part}</span>
+      ))}
+    </p>
+  );
+}
+
 function DriveAdvanced() {
   const { t } = useTranslation();
   const fileInputRef = useRef(null);
   const dropZoneRef = useRef(null);
 
+  // Root title of a view: 'drive' (own files), 'shared' (shared with me) or 'trash'
+  const viewTitle = (v) => (
+    v === 'shared' ? t('drive:sharedWithMe') : v === 'trash' ? t('drive:trash.title') : t('drive:myDrive')
+  );
+
   // State
+  const [view, setView] = useState(() => {
+    const requested = new URLSearchParams(window.location.search).get('view');
+    return ['shared', 'trash'].includes(requested) ? requested : 'drive';
+  });
   const [currentFolderId, setCurrentFolderId] = useState(null);
   const [folders, setFolders] = useState([]);
   const [files, setFiles] = useState([]);
-  const [breadcrumb, setBreadcrumb] = useState([{ id: null, name: t('drive:myDrive') }]);
+  const [trash, setTrash] = useState({ folders: [], files: [], retentionDays: 30 });
+  const [breadcrumb, setBreadcrumb] = useState([{ id: null, name: viewTitle(view) }]);
   const [loading, setLoading] = useState(false);
   const [viewMode, setViewMode] = useState('list');
   const [searchTerm, setSearchTerm] = useState('');
@@ -73,8 +145,14 @@ function DriveAdvanced() {
   const [selectedFolder, setSelectedFolder] = useState(null);
   const [previewFile, setPreviewFile] = useState(null);
   const [renameName, setRenameName] = useState('');
+  const [shareTarget, setShareTarget] = useState(null); // { item, isFolder }
   const [shareUsers, setShareUsers] = useState([]);
   const [allUsers, setAllUsers] = useState([]);
+  const [shareGroups, setShareGroups] = useState([]);
+  const [allGroups, setAllGroups] = useState([]);
+  const [sharePermission, setSharePermission] = useState('read');
+  const [shareExpiresAt, setShareExpiresAt] = useState('');
+  const [existingShares, setExistingShares] = useState([]);
   const [fileVersions, setFileVersions] = useState([]);
 
   // Stats state
@@ -84,11 +162,12 @@ function DriveAdvanced() {
   useEffect(() => {
     loadContent();
     loadStats();
-  }, [currentFolderId, sortBy, sortOrder, searchTerm]);
+  }, [view, currentFolderId, sortBy, sortOrder, searchTerm]);
 
-  // Load users for sharing
+  // Load users and groups for sharing
   useEffect(() => {
     loadUsers();
+    loadGroups();
   }, []);
 
   // Drag & Drop handlers
@@ -133,6 +212,20 @@ function DriveAdvanced() {
   const loadContent = async () => {
     setLoading(true);
     try {
+      if (view === 'trash') {
+        const trashRes = await api.get('/drive/trash');
+        setTrash(trashRes.data.data);
+        return;
+      }
+
+      // "Shared with me" root: items shared directly with the user or their groups
+      if (view === 'shared' && currentFolderId === null) {
+        const sharedRes = await api.get('/drive/shared');
+        setFolders(sharedRes.data.data.folders || []);
+        setFiles(sharedRes.data.data.files || []);
+        return;
+      }
+
       const foldersRes = await api.get('/drive/folders', {
         params: { parentId: currentFolderId }
       });
@@ -141,7 +234,7 @@ function DriveAdvanced() {
       const filesRes = await api.get('/drive/files', {
         params: {
           folderId: currentFolderId,
-          sortBy,
+          sortBy: searchTerm ? 'relevance' : sortBy,
           sortOrder,
           search: searchTerm || undefined
         }
@@ -172,11 +265,20 @@ function DriveAdvanced() {
     }
   };
 
+  const loadGroups = async () => {
+    try {
+      const res = await api.get('/groups');
+      setAllGroups(res.data.data || []);
+    } catch (error) {
+      console.error('Failed to load groups:', error);
+    }
+  };
+
   // Navigation
   const navigateToFolder = (folderId, folderName) => {
     setCurrentFolderId(folderId);
     if (folderId === null) {
-      setBreadcrumb([{ id: null, name: t('drive:myDrive') }]);
+      setBreadcrumb([{ id: null, name: viewTitle(view) }]);
     } else {
       setBreadcrumb([...breadcrumb, { id: folderId, name: folderName }]);
     }
@@ -184,6 +286,14 @@ function DriveAdvanced() {
     setSelectionMode(false);
   };
 
+  const switchView = (nextView) => {
+    setView(nextView);
+    setCurrentFolderId(null);
+    setBreadcrumb([{ id: null, name: viewTitle(nextView) }]);
+    setSelectedItems([]);
+    setSelectionMode(false);
+  };
+
   const navigateToBreadcrumb = (index) => {
     const item = breadcrumb[index];
     setCurrentFolderId(item.id);
@@ -217,13 +327,72 @@ function DriveAdvanced() {
     }, 2000);
   };
 
-  const uploadSingleFile = async (uploadItem) => {
-    const formData = new FormData();
-    formData.append('file', uploadItem.file);
-    if (currentFolderId) {
-      formData.append('folderId', currentFolderId);
+  // Resumable upload in chunks (large files); an unfinished session of the
+  // same file is continued, e.g. after a lost connection or a reload
+  const uploadChunked = async (file, onProgress) => {
+    const resumeKey = `driveUpload:${currentFolderId || 'root'}:${file.name}:${file.size}:${file.lastModified}`;
+    let session = null;
+
+    const savedSessionId = localStorage.getItem(resumeKey);
+    if (savedSessionId) {
+      try {
+        const response = await api.get(`/drive/uploads/${savedSessionId}`);
+        session = response.data.data;
+      } catch (error) {
+        localStorage.removeItem(resumeKey);
+      }
+    }
+
+    if (!session) {
+      const response = await api.post('/drive/uploads', {
+        fileName: file.name,
+        size: file.size,
+        folderId: currentFolderId,
+        mimeType: file.type || undefined
+      });
+      session = response.data.data;
+      localStorage.setItem(resumeKey, session.id);
+    }
+
+    let uploadedBytes = session.receivedBytes;
+    onProgress(Math.round((uploadedBytes * 100) / file.size));
+
+    for (const index of session.missingChunks) {
+      const chunk = file.slice(index * session.chunkSize, (index + 1) * session.chunkSize);
+      const checksum = await sha256Hex(chunk);
+
+      // Network and server errors are retried; the session stays resumable
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await api.put(`/drive/uploads/${session.id}/chunks/${index}`, chunk, {
+            headers: { 'Content-Type': 'application/octet-stream', 'X-Chunk-Checksum': checksum }
+          });
+          break;
+        } catch (error) {
+          if (attempt >= 3 || (error.response && error.response.status < 500)) {
+            throw error;
+          }
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+        }
+      }
+
+      uploadedBytes += chunk.size;
+      onProgress(Math.round((uploadedBytes * 100) / file.size));
     }
 
+    await api.post(`/drive/uploads/${session.id}/complete`);
+    localStorage.removeItem(resumeKey);
+  };
+
+  const uploadSingleFile = async (uploadItem) => {
+    const setProgress = (percentCompleted) => {
+      setUploadQueue(prev =>
+        prev.map(item =>
+          item.id === uploadItem.id ? { ...item, progress: percentCompleted } : item
+        )
+      );
+    };
+
     setUploadQueue(prev =>
       prev.map(item =>
         item.id === uploadItem.id ? { ...item, status: 'uploading' } : item
@@ -231,17 +400,23 @@ function DriveAdvanced() {
     );
 
     try {
-      await api.post('/drive/files/upload', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-          setUploadQueue(prev =>
-            prev.map(item =>
-              item.id === uploadItem.id ? { ...item, progress: percentCompleted } : item
-            )
-          );
+      // Chunk checksums need Web Crypto (HTTPS or localhost)
+      if (uploadItem.file.size > CHUNKED_UPLOAD_THRESHOLD && window.crypto?.subtle) {
+        await uploadChunked(uploadItem.file, setProgress);
+      } else {
+        const formData = new FormData();
+        formData.append('file', uploadItem.file);
+        if (currentFolderId) {
+          formData.append('folderId', currentFolderId);
         }
-      });
+
+        await api.post('/drive/files/upload', formData, {
+          headers: { 'Content-Type': 'multipart/form-data' },
+          onUploadProgress: (progressEvent) => {
+            setProgress(Math.round((progressEvent.loaded * 100) / progressEvent.total));
+          }
+        });
+      }
 
       setUploadQueue(prev =>
         prev.map(item =>
@@ -399,7 +574,15 @@ function DriveAdvanced() {
     const url = `/api/drive/files/${file.id}/download`;
 
     if (mimeType.startsWith('image/')) {
-      return <img src={url} alt={file.name} className="max-w-full max-h-[70vh] mx-auto" />;
+      const original = <img src={url} alt={file.name} className="max-w-full max-h-[70vh] mx-auto" />;
+      return (
+        <DrivePreviewImage
+          file={file}
+          variant="preview"
+          className="max-w-full max-h-[70vh] mx-auto"
+          fallback={original}
+        />
+      );
     } else if (mimeType === 'application/pdf') {
       return <iframe src={url} className="w-full h-[70vh]" title={file.name} />;
     } else if (mimeType.startsWith('video/')) {
@@ -410,41 +593,131 @@ function DriveAdvanced() {
     return <p className="text-gray-500">Preview not available</p>;
   };
 
+  // Trash
+  const restoreTrashItem = async (item, isFolder) => {
+    try {
+      const res = await api.post(`/drive/trash/${isFolder ? 'folders' : 'files'}/${item.id}/restore`);
+      const restored = isFolder ? res.data.data.folder : res.data.data.file;
+      if (!res.data.data.restoredToOriginal || res.data.data.renamed) {
+        alert(`${t('drive:trash.restored')}: ${restored.name}`);
+      }
+      loadContent();
+      loadStats();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      alert(error.response?.data?.error || error.message);
+    }
+  };
+
+  const purgeTrashItem = async (item, isFolder) => {
+    if (!confirm(t('drive:trash.deleteForeverConfirm'))) return;
+
+    try {
+      await api.delete(`/drive/trash/${isFolder ? 'folders' : 'files'}/${item.id}`);
+      loadContent();
+    } catch (error) {
+      console.error('Permanent delete failed:', error);
+      alert(error.response?.data?.error || error.message);
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!confirm(t('drive:trash.emptyConfirm'))) return;
+
+    try {
+      await api.delete('/drive/trash');
+      loadContent();
+    } catch (error) {
+      console.error('Empty trash failed:', error);
+      alert(error.response?.data?.error || error.message);
+    }
+  };
+
   // Advanced Sharing
-  const openShareModal = (file) => {
-    setSelectedFile(file);
+  const shareBasePath = (target) => (
+    target.isFolder ? `/drive/folders/${target.item.id}` : `/drive/files/${target.item.id}`
+  );
+
+  const loadShares = async (target) => {
+    try {
+      const res = await api.get(`${shareBasePath(target)}/shares`);
+      setExistingShares(res.data.data || []);
+    } catch (error) {
+      // Only admins of the item can see its shares
+      setExistingShares([]);
+    }
+  };
+
+  const openShareModal = (item, isFolder = false) => {
+    const target = { item, isFolder };
+    setShareTarget(target);
     setShareUsers([]);
+    setShareGroups([]);
+    setSharePermission('read');
+    setShareExpiresAt('');
+    setExistingShares([]);
     setShareModalOpen(true);
+    loadShares(target);
+  };
+
+  const closeShareModal = () => {
+    setShareModalOpen(false);
+    setShareTarget(null);
+    setShareUsers([]);
+    setShareGroups([]);
+    setExistingShares([]);
   };
 
   const shareWithUsers = async () => {
-    if (shareUsers.length === 0) {
-      alert('Please select at least one user');
+    if (shareUsers.length === 0 && shareGroups.length === 0) {
+      alert('Please select at least one user or group');
       return;
     }
 
+    const options = {
+      permission: sharePermission,
+      expiresAt: shareExpiresAt || undefined
+    };
+
     try {
       for (const userId of shareUsers) {
-        await api.post(`/drive/files/${selectedFile.id}/share`, {
+        await api.post(`${shareBasePath(shareTarget)}/share`, {
           sharedWithUserId: userId,
-          permission: 'read'
+          ...options
+        });
+      }
+      for (const groupId of shareGroups) {
+        await api.post(`${shareBasePath(shareTarget)}/share`, {
+          sharedWithGroupId: groupId,
+          ...options
         });
       }
       alert(t('drive:share.success'));
-      setShareModalOpen(false);
-      setSelectedFile(null);
-      setShareUsers([]);
+      closeShareModal();
     } catch (error) {
       console.error('Share failed:', error);
-      alert(t('drive:errors.shareFailed'));
+      alert(error.response?.data?.error || t('drive:errors.shareFailed'));
+    }
+  };
+
+  const revokeShare = async (share) => {
+    try {
+      await api.delete(`/drive/shares/${share.id}`);
+      setExistingShares(existingShares.filter(s => s.id !== share.id));
+    } catch (error) {
+      console.error('Revoke failed:', error);
+      alert(error.response?.data?.error || t('drive:errors.shareFailed'));
     }
   };
 
   const createPublicLink = async () => {
     try {
-      const res = await api.post(`/drive/files/${selectedFile.id}/public-link`);
+      const res = await api.post(`/drive/files/${shareTarget.item.id}/public-link`, {
+        expiresAt: shareExpiresAt || undefined
+      });
       navigator.clipboard.writeText(res.data.data.url);
       alert(t('drive:share.linkCopied'));
+      loadShares(shareTarget);
     } catch (error) {
       alert(t('drive:errors.shareFailed'));
     }
@@ -619,6 +892,35 @@ function DriveAdvanced() {
             <span>{stats.files.total_files} {t('drive:files.title')}</span>
             <span>{stats.folders.total} {t('drive:folders.title')}</span>
           </div>
+          {stats.storage.percentage >= stats.storage.warningPercent && (
+            <p className="mt-2 text-sm text-yellow-700">
+              {t('drive:stats.nearlyFull', { percent: stats.storage.percentage })}
+            </p>
+          )}
+          {stats.breakdown && stats.storage.used > 0 && (
+            <div className="grid grid-cols-2 gap-4 mt-3 pt-3 border-t border-gray-100 text-xs text-gray-600">
+              <div>
+                <p className="font-medium text-gray-700 mb-1">{t('drive:stats.byType')}</p>
+                {stats.breakdown.byType.map(entry => (
+                  <div key={entry.type} className="flex justify-between">
+                    <span>{t(`drive:filter.${entry.type}`)} ({entry.files})</span>
+                    <span>{formatFileSize(entry.bytes)}</span>
+                  </div>
+                ))}
+              </div>
+              <div>
+                <p className="font-medium text-gray-700 mb-1">{t('drive:stats.byFolder')}</p>
+                {stats.breakdown.byFolder.map(entry => (
+                  <div key={entry.folder_id ?? 'root'} className="flex justify-between">
+                    <span className="truncate mr-2" title={entry.folder_path || undefined}>
+                      {entry.folder_name || t('drive:myDrive')} ({entry.files})
+                    </span>
+                    <span>{formatFileSize(entry.bytes)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -730,6 +1032,31 @@ function DriveAdvanced() {
         </div>
       </div>
 
+      {/* My Drive / Shared with me */}
+      <div className="mb-4 flex items-center gap-2">
+        <button
+          onClick={() => switchView('drive')}
+          className={`flex items-center px-3 py-1.5 rounded-lg text-sm ${view === 'drive' ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+        >
+          <HomeIcon className="w-4 h-4 mr-2" />
+          {t('drive:myDrive')}
+        </button>
+        <button
+          onClick={() => switchView('shared')}
+          className={`flex items-center px-3 py-1.5 rounded-lg text-sm ${view === 'shared' ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+        >
+          <UsersIcon className="w-4 h-4 mr-2" />
+          {t('drive:sharedWithMe')}
+        </button>
+        <button
+          onClick={() => switchView('trash')}
+          className={`flex items-center px-3 py-1.5 rounded-lg text-sm ${view === 'trash' ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}
+        >
+          <TrashIcon className="w-4 h-4 mr-2" />
+          {t('drive:trash.title')}
+        </button>
+      </div>
+
       {/* Breadcrumb */}
       <div className="mb-4 flex items-center gap-2 text-sm">
         {breadcrumb.map((item, index) => (
@@ -741,7 +1068,9 @@ function DriveAdvanced() {
                 index === breadcrumb.length - 1 ? 'text-blue-600 font-medium' : 'text-gray-600'
               }`}
             >
-              {index === 0 && <HomeIcon className="w-4 h-4" />}
+              {index === 0 && view === 'drive' && <HomeIcon className="w-4 h-4" />}
+              {index === 0 && view === 'shared' && <UsersIcon className="w-4 h-4" />}
+              {index === 0 && view === 'trash' && <TrashIcon className="w-4 h-4" />}
               {item.name}
             </button>
           </React.Fragment>
@@ -754,6 +1083,67 @@ function DriveAdvanced() {
           <div className="inline-block animate-spin rounded-full h-8 w-8 border-4 border-gray-300 border-t-blue-600"></div>
           <p className="mt-2 text-gray-600">{t('common:general.loading')}</p>
         </div>
+      ) : view === 'trash' ? (
+        <div className="bg-white rounded-lg border border-gray-200">
+          <div className="flex items-center justify-between p-4 border-b border-gray-200">
+            <p className="text-sm text-gray-600">
+              {t('drive:trash.retention', { days: trash.retentionDays })}
+            </p>
+            <button
+              onClick={emptyTrash}
+              disabled={trash.folders.length === 0 && trash.files.length === 0}
+              className="flex items-center px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+            >
+              <TrashIcon className="w-4 h-4 mr-2" />
+              {t('drive:trash.empty')}
+            </button>
+          </div>
+          <div className="divide-y divide-gray-200">
+            {[
+              ...trash.folders.map(item => ({ item, isFolder: true })),
+              ...trash.files.map(item => ({ item, isFolder: false }))
+            ].map(({ item, isFolder }) => (
+              <div key={`${isFolder ? 'folder' : 'file'}-${item.id}`} className="flex items-center p-4 hover:bg-gray-50">
+                {isFolder ? (
+                  <FolderIcon className="w-10 h-10 text-gray-400 mr-4" />
+                ) : (
+                  <div className="text-3xl mr-4 opacity-60">{getFileIcon(item.mime_type)}</div>
+                )}
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-medium text-gray-900 truncate">{item.name}</h3>
+                  <p className="text-sm text-gray-500">
+                    {t('drive:trash.deletedAt')} {formatDate(item.deleted_at)}
+                    {item.deleted_by_name && ` · ${item.deleted_by_name}`}
+                    {' · '}{t('drive:trash.originalLocation')}: {(isFolder ? item.original_parent_name : item.original_folder_name) || t('drive:myDrive')}
+                    {isFolder && ` · ${item.trashed_file_count} ${t('drive:files.title')}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => restoreTrashItem(item, isFolder)}
+                    className="p-2 text-gray-600 hover:bg-gray-100 rounded"
+                    title={t('drive:trash.restore')}
+                  >
+                    <RotateCcwIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => purgeTrashItem(item, isFolder)}
+                    className="p-2 text-red-600 hover:bg-red-50 rounded"
+                    title={t('drive:trash.deleteForever')}
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+
+            {trash.folders.length === 0 && trash.files.length === 0 && (
+              <div className="text-center py-12 text-gray-500">
+                <p>{t('drive:trash.isEmpty')}</p>
+              </div>
+            )}
+          </div>
+        </div>
       ) : (
         <div className="bg-white rounded-lg border border-gray-200">
           {viewMode === 'list' ? (
@@ -785,6 +1175,7 @@ function DriveAdvanced() {
                       <h3 className="font-medium text-gray-900">{folder.name}</h3>
                       <p className="text-sm text-gray-500">
                         {folder.file_count} {t('drive:files.title')} · {formatFileSize(folder.total_size_bytes)}
+                        {folder.shared_by_name && ` · ${folder.shared_by_name} · ${t(`drive:share.permissions.${folder.permission}`)}`}
                       </p>
                     </div>
                   </div>
@@ -804,6 +1195,13 @@ function DriveAdvanced() {
                       >
                         <MoveIcon className="w-4 h-4" />
                       </button>
+                      <button
+                        onClick={() => openShareModal(folder, true)}
+                        className="p-2 text-gray-600 hover:bg-gray-100 rounded"
+                        title={t('drive:share.title')}
+                      >
+                        <ShareIcon className="w-4 h-4" />
+                      </button>
                       <button
                         onClick={() => deleteItem(folder, true)}
                         className="p-2 text-red-600 hover:bg-red-50 rounded"
@@ -831,7 +1229,12 @@ function DriveAdvanced() {
                       )}
                     </button>
                   )}
-                  <div className="text-3xl mr-4">{getFileIcon(file.mime_type)}</div>
+                  <DrivePreviewImage
+                    file={file}
+                    size={128}
+                    className="w-10 h-10 mr-4 object-cover rounded"
+                    fallback={<div className="text-3xl mr-4">{getFileIcon(file.mime_type)}</div>}
+                  />
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center gap-2">
                       <h3 className="font-medium text-gray-900 truncate">{file.name}</h3>
@@ -839,7 +1242,10 @@ function DriveAdvanced() {
                     </div>
                     <p className="text-sm text-gray-500">
                       {formatFileSize(file.file_size_bytes)} · {formatDate(file.created_at)}
+                      {file.shared_by_name && ` · ${file.shared_by_name} · ${t(`drive:share.permissions.${file.permission}`)}`}
+                      {searchTerm && ` · ${file.folder_name || t('drive:myDrive')}`}
                     </p>
+                    <DriveSearchSnippet snippet={file.snippet} />
                   </div>
                   {!selectionMode && (
                     <div className="flex items-center gap-2">
@@ -958,7 +1364,12 @@ function DriveAdvanced() {
                     className="cursor-pointer text-center"
                     onClick={() => !selectionMode && canPreview(file) && openPreview(file)}
                   >
-                    <div className="text-5xl mb-2">{getFileIcon(file.mime_type)}</div>
+                    <DrivePreviewImage
+                      file={file}
+                      size={256}
+                      className="w-32 h-32 mb-2 mx-auto object-cover rounded"
+                      fallback={<div className="text-5xl mb-2">{getFileIcon(file.mime_type)}</div>}
+                    />
                     <span className="text-sm font-medium text-gray-900 truncate w-full block">
                       {file.name}
                     </span>
@@ -1151,11 +1562,49 @@ function DriveAdvanced() {
       )}
 
       {/* Advanced Share Modal */}
-      {shareModalOpen && selectedFile && (
+      {shareModalOpen && shareTarget && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 max-w-md w-full">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
             <h2 className="text-xl font-bold mb-4">{t('drive:share.title')}</h2>
-            <p className="text-gray-600 mb-4">{selectedFile.name}</p>
+            <p className="text-gray-600 mb-4">
+              {shareTarget.item.name}
+              {shareTarget.isFolder && (
+                <span className="block text-xs text-gray-500">
+                  Applies to all subfolders and files
+                </span>
+              )}
+            </p>
+
+            {/* Existing shares */}
+            {existingShares.length > 0 && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('drive:share.with')}:
+                </label>
+                <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+                  {existingShares.map((share) => (
+                    <li key={share.id} className="flex items-center justify-between p-2 text-sm">
+                      <span>
+                        {share.is_public_link
+                          ? t('drive:share.publicLink')
+                          : share.shared_with_group_name || share.shared_with_user_name || share.shared_with_username}
+                        <span className="text-gray-500">
+                          {' · '}{t(`drive:share.permissions.${share.permission}`)}
+                          {share.expires_at && ` · ${t('drive:share.expiresAt')} ${formatDate(share.expires_at)}`}
+                        </span>
+                      </span>
+                      <button
+                        onClick={() => revokeShare(share)}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded"
+                        title="Revoke"
+                      >
+                        <XIcon className="w-4 h-4" />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
 
             {/* User Selection */}
             <div className="mb-4">
@@ -1183,26 +1632,77 @@ function DriveAdvanced() {
               </div>
             </div>
 
+            {/* Group Selection */}
+            {allGroups.length > 0 && (
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Share with groups:
+                </label>
+                <div className="max-h-32 overflow-y-auto border border-gray-200 rounded-lg p-2">
+                  {allGroups.map((group) => (
+                    <label key={group.id} className="flex items-center p-2 hover:bg-gray-50 rounded cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={shareGroups.includes(group.id)}
+                        onChange={(e) => {
+                          if (e.target.checked) {
+                            setShareGroups([...shareGroups, group.id]);
+                          } else {
+                            setShareGroups(shareGroups.filter(id => id !== group.id));
+                          }
+                        }}
+                        className="mr-2"
+                      />
+                      <span className="text-sm">{group.name} ({group.member_count})</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Permission and expiry */}
+            <div className="mb-4 grid grid-cols-2 gap-2">
+              <label className="text-sm font-medium text-gray-700">
+                {t('drive:share.permission')}
+                <select
+                  value={sharePermission}
+                  onChange={(e) => setSharePermission(e.target.value)}
+                  className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal"
+                >
+                  <option value="read">{t('drive:share.permissions.read')}</option>
+                  <option value="write">{t('drive:share.permissions.write')}</option>
+                  <option value="admin">{t('drive:share.permissions.admin')}</option>
+                </select>
+              </label>
+              <label className="text-sm font-medium text-gray-700">
+                {t('drive:share.expiresAt')}
+                <input
+                  type="date"
+                  value={shareExpiresAt}
+                  onChange={(e) => setShareExpiresAt(e.target.value)}
+                  className="mt-1 w-full px-2 py-1 border border-gray-300 rounded-lg font-normal"
+                />
+              </label>
+            </div>
+
             <div className="space-y-2">
               <button
                 onClick={shareWithUsers}
                 className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-                disabled={shareUsers.length === 0}
+                disabled={shareUsers.length === 0 && shareGroups.length === 0}
               >
-                Share with selected users
-              </button>
-              <button
-                onClick={createPublicLink}
-                className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
-              >
-                {t('drive:share.createLink')}
+                Share with selected users and groups
               </button>
+              {!shareTarget.isFolder && (
+                <button
+                  onClick={createPublicLink}
+                  className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
+                >
+                  {t('drive:share.createLink')}
+                </button>
+              )}
               <button
-                onClick={() => {
-                  setShareModalOpen(false);
-                  setSelectedFile(null);
-                  setShareUsers([]);
-                }}
+                onClick={closeShareModal}
                 className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
               >
                 {t('common:general.close')}
@@ -250,8 +250,8 @@ function EventsList() {
                     {events.map(event => (
                         <div
                             key={event.id}
-                            className="bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow cursor-pointer"
-                            onClick={() => navigate(`/events/${event.id}`)}
+                            className={`bg-white rounded-lg shadow-sm hover:shadow-md transition-shadow ${event.is_external ? '' : 'cursor-pointer'}`}
+                            onClick={() => !event.is_external && navigate(`/events/${event.id}`)}
                         >
                             <div className="p-6">
                                 <div className="flex items-start justify-between">
@@ -306,7 +306,11 @@ function EventsList() {
 
                                         {/* Footer */}
                                         <div className="flex items-center space-x-4 mt-3 ml-4 text-sm text-gray-500">
-                                            <span>Organisiert von {event.organizer_name}</span>
+                                            {event.is_external ? (
+                                                <span>Abonnierter Kalender: {event.subscription_name}</span>
+                                            ) : (
+                                                <span>Organisiert von {event.organizer_name}</span>
+                                            )}
                                             {event.accepted_count > 0 && (
                                                 <span className="flex items-center">
                                                     <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -318,21 +322,23 @@ function EventsList() {
                                         </div>
                                     </div>
 
-                                    {/* Actions */}
-                                    <div className="flex space-x-2 ml-4">
-                                        <button
-                                            onClick={(e) => {
-                                                e.stopPropagation();
-                                                navigate(`/events/${event.id}/edit`);
-                                            }}
-                                            className="text-blue-600 hover:text-blue-800 p-2"
-                                            title="Bearbeiten"
-                                        >
-                                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                                            </svg>
-                                        </button>
-                                    </div>
+                                    {/* Actions (externe Events sind schreibgeschützt) */}
+                                    {!event.is_external && (
+                                        <div className="flex space-x-2 ml-4">
+                                            <button
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    navigate(`/events/${event.id}/edit`);
+                                                }}
+                                                className="text-blue-600 hover:text-blue-800 p-2"
+                                                title="Bearbeiten"
+                                            >
+                                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                                </svg>
+                                            </button>
+                                        </div>
+                                    )}
                                 </div>
                             </div>
                         </div>
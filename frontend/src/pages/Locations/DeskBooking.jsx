@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+    ArrowLeft,
+    Calendar,
+    CheckCircle,
+    Monitor,
+    Users,
+    X
+} from 'lucide-react';
+import api from '../../services/api';
+
+const PERIODS = [
+    { value: 'full_day', label: 'Full day' },
+    { value: 'morning', label: 'Morning' },
+    { value: 'afternoon', label: 'Afternoon' }
+];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+function DeskBooking() {
+    const { id } = useParams();
+    const [floorPlans, setFloorPlans] = useState([]);
+    const [selectedPlanId, setSelectedPlanId] = useState(null);
+    const [plan, setPlan] = useState(null);
+    const [imageUrl, setImageUrl] = useState(null);
+    const [date, setDate] = useState(today());
+    const [period, setPeriod] = useState('full_day');
+    const [reservations, setReservations] = useState([]);
+    const [presence, setPresence] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        loadFloorPlans();
+        loadReservations();
+    }, [id]);
+
+    useEffect(() => {
+        if (selectedPlanId) {
+            loadPlan();
+        }
+        loadPresence();
+    }, [selectedPlanId, date]);
+
+    useEffect(() => {
+        if (!selectedPlanId) return undefined;
+
+        // Image is protected, so it is loaded through the API client as a blob
+        let objectUrl = null;
+        api.get(`/floor-plans/${selectedPlanId}/image`, { responseType: 'blob' })
+            .then((response) => {
+                objectUrl = URL.createObjectURL(response.data);
+                setImageUrl(objectUrl);
+            })
+            .catch((error) => console.error('Error loading floor plan image:', error));
+
+        return () => {
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [selectedPlanId]);
+
+    const loadFloorPlans = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get(`/locations/${id}/floor-plans`);
+            setFloorPlans(response.data.data);
+            if (response.data.data.length > 0) {
+                setSelectedPlanId(response.data.data[0].id);
+            }
+        } catch (error) {
+            console.error('Error loading floor plans:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const loadPlan = async () => {
+        try {
+            const response = await api.get(`/floor-plans/${selectedPlanId}`, { params: { date } });
+            setPlan(response.data.data);
+        } catch (error) {
+            console.error('Error loading floor plan:', error);
+        }
+    };
+
+    const loadReservations = async () => {
+        try {
+            const response = await api.get('/user/desk-reservations');
+            setReservations(response.data.data.filter(r => String(r.location_id) === String(id)));
+        } catch (error) {
+            console.error('Error loading reservations:', error);
+        }
+    };
+
+    const loadPresence = async () => {
+        try {
+            const response = await api.get(`/locations/${id}/presence`, { params: { date } });
+            setPresence(response.data.data);
+        } catch (error) {
+            console.error('Error loading presence:', error);
+        }
+    };
+
+    const refresh = () => {
+        loadPlan();
+        loadReservations();
+        loadPresence();
+    };
+
+    const handleReserve = async (desk) => {
+        if (!confirm(`Reserve ${desk.name} on ${date}?`)) return;
+
+        try {
+            await api.post(`/desks/${desk.id}/reservations`, { date, period });
+            refresh();
+        } catch (error) {
+            console.error('Error reserving desk:', error);
+            alert(error.response?.data?.message || 'Failed to reserve desk');
+        }
+    };
+
+    const handleCheckIn = async (reservationId) => {
+        try {
+            await api.post(`/desk-reservations/${reservationId}/check-in`);
+            refresh();
+        } catch (error) {
+            console.error('Error checking in:', error);
+            alert(error.response?.data?.message || 'Failed to check in');
+        }
+    };
+
+    const handleCancel = async (reservationId) => {
+        if (!confirm('Cancel this reservation?')) return;
+
+        try {
+            await api.delete(`/desk-reservations/${reservationId}`);
+            refresh();
+        } catch (error) {
+            console.error('Error cancelling reservation:', error);
+            alert(error.response?.data?.message || 'Failed to cancel reservation');
+        }
+    };
+
+    const getDeskClass = (desk) => {
+        if (!desk.is_bookable) return 'bg-gray-400';
+        if (desk.bookings.some(b => b.checked_in_at)) return 'bg-red-600';
+        if (desk.bookings.length > 0) return 'bg-orange-500';
+        return 'bg-green-600 hover:bg-green-700 cursor-pointer';
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-500">Loading floor plans...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-6">
+                <div>
+                    <Link to="/locations" className="text-sm text-gray-500 hover:text-gray-700 flex items-center mb-2">
+                        <ArrowLeft className="w-4 h-4 mr-1" />
+                        Locations
+                    </Link>
+                    <h1 className="text-3xl font-bold">Desk Booking</h1>
+                    <p className="text-gray-600 mt-1">{plan?.location_name || 'Reserve a desk for a day or half-day'}</p>
+                </div>
+            </div>
+
+            {/* Filters */}
+            <div className="card mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <select
+                        className="input"
+                        value={selectedPlanId || ''}
+                        onChange={(e) => setSelectedPlanId(parseInt(e.target.value))}
+                    >
+                        {floorPlans.map((fp) => (
+                            <option key={fp.id} value={fp.id}>
+                                {fp.name}{fp.floor ? ` (${fp.floor})` : ''}
+                            </option>
+                        ))}
+                    </select>
+                    <input
+                        type="date"
+                        className="input"
+                        value={date}
+                        min={today()}
+                        onChange={(e) => setDate(e.target.value)}
+                    />
+                    <select
+                        className="input"
+                        value={period}
+                        onChange={(e) => setPeriod(e.target.value)}
+                    >
+                        {PERIODS.map((p) => (
+                            <option key={p.value} value={p.value}>{p.label}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Floor Plan */}
+                <div className="card lg:col-span-2">
+                    {floorPlans.length === 0 ? (
+                        <div className="text-center py-12">
+                            <Monitor className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+                            <p className="text-gray-500">No floor plans for this location yet.</p>
+                        </div>
+                    ) : (
+                        <div className="relative">
+                            {imageUrl && <img src={imageUrl} alt={plan?.name} className="w-full rounded" />}
+                            {plan?.desks.filter(d => d.position_x !== null).map((desk) => (
+                                <button
+                                    key={desk.id}
+                                    type="button"
+                                    title={desk.bookings.length > 0
+                                        ? `${desk.name}: ${desk.bookings.map(b => b.user_name).join(', ')}`
+                                        : desk.name}
+                                    onClick={() => desk.is_bookable && handleReserve(desk)}
+                                    className={`absolute w-6 h-6 -ml-3 -mt-3 rounded-full text-white text-xs font-bold shadow ${getDeskClass(desk)}`}
+                                    style={{ left: `${desk.position_x * 100}%`, top: `${desk.position_y * 100}%` }}
+                                >
+                                    {desk.code || ''}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    <div className="flex gap-4 mt-4 text-xs text-gray-600">
+                        <span className="flex items-center"><span className="w-3 h-3 rounded-full bg-green-600 mr-1" />Free</span>
+                        <span className="flex items-center"><span className="w-3 h-3 rounded-full bg-orange-500 mr-1" />Reserved</span>
+                        <span className="flex items-center"><span className="w-3 h-3 rounded-full bg-red-600 mr-1" />Occupied</span>
+                    </div>
+                </div>
+
+                <div className="space-y-6">
+                    {/* My Reservations */}
+                    <div className="card">
+                        <h2 className="text-lg font-bold mb-4 flex items-center">
+                            <Calendar className="w-5 h-5 mr-2" />
+                            My Reservations
+                        </h2>
+                        {reservations.length === 0 && (
+                            <p className="text-sm text-gray-500">No upcoming reservations.</p>
+                        )}
+                        <div className="space-y-3">
+                            {reservations.map((reservation) => (
+                                <div key={reservation.id} className="flex items-center justify-between text-sm">
+                                    <div>
+                                        <div className="font-medium">{reservation.desk_name}</div>
+                                        <div className="text-gray-500">
+                                            {new Date(reservation.start_time).toLocaleDateString()} · {PERIODS.find(p => p.value === reservation.booking_period)?.label}
+                                        </div>
+                                    </div>
+                                    <div className="flex gap-2">
+                                        {reservation.checked_in_at ? (
+                                            <CheckCircle className="w-5 h-5 text-green-600" title="Checked in" />
+                                        ) : (
+                                            <button
+                                                onClick={() => handleCheckIn(reservation.id)}
+                                                className="btn btn-secondary btn-sm"
+                                            >
+                                                Check in
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={() => handleCancel(reservation.id)}
+                                            className="btn btn-danger btn-sm"
+                                            title="Cancel"
+                                        >
+                                            <X className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Presence */}
+                    <div className="card">
+                        <h2 className="text-lg font-bold mb-4 flex items-center">
+                            <Users className="w-5 h-5 mr-2" />
+                            In the office ({presence?.summary.in_office || 0})
+                        </h2>
+                        <div className="space-y-2">
+                            {presence?.users.filter(u => u.in_office).map((user) => (
+                                <div key={user.user_id} className="flex items-center justify-between text-sm">
+                                    <div>
+                                        <span className="font-medium">{user.name}</span>
+                                        {user.is_visitor && (
+                                            <span className="ml-2 px-2 py-0.5 text-xs bg-purple-100 text-purple-700 rounded">Visitor</span>
+                                        )}
+                                    </div>
+                                    <span className="text-gray-500">
+                                        {user.desks.map(d => d.desk_code || d.desk_name).join(', ')}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default DeskBooking;
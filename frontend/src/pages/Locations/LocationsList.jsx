@@ -9,7 +9,8 @@ import {
     Users,
     Building,
     Search,
-    Globe
+    Globe,
+    Monitor
 } from 'lucide-react';
 import api from '../../services/api';
 
@@ -238,6 +239,13 @@ function LocationsList() {
                                     View Details
                                 </Link>
                                 <div className="flex gap-2">
+                                    <Link
+                                        to={`/locations/${location.id}/desks`}
+                                        className="btn btn-secondary btn-sm"
+                                        title="Desk Booking"
+                                    >
+                                        <Monitor className="w-4 h-4" />
+                                    </Link>
                                     <Link
                                         to={`/locations/${location.id}/edit`}
                                         className="btn btn-secondary btn-sm"
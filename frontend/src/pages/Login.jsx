@@ -1,24 +1,126 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { authApi } from '../services/api';
+import api, { authApi, twoFactorApi } from '../services/api';
 import { LayoutDashboard } from 'lucide-react';
 
+// Fehlercodes aus dem SSO-Callback (#error=...)
+const SSO_ERRORS = {
+  access_denied: 'Anmeldung beim Identity Provider abgebrochen',
+  login_expired: 'Anmeldung abgelaufen, bitte erneut versuchen',
+  not_provisioned: 'Für dieses Konto ist kein Zugang eingerichtet',
+  deactivated: 'Dieses Konto ist deaktiviert',
+  account_exists: 'Benutzername oder E-Mail ist bereits einem anderen Konto zugeordnet',
+  missing_claims: 'Der Identity Provider liefert keinen Benutzernamen oder keine E-Mail-Adresse',
+  unknown_provider: 'Unbekannter Anmeldedienst'
+};
+
 function Login() {
   const navigate = useNavigate();
   const [credentials, setCredentials] = useState({ username: '', password: '' });
   const [error, setError] = useState('');
 
+  // Zweiter Schritt: 'verify' (Code eingeben), 'setup' (2FA-Pflicht, Einrichtung), 'recoveryCodes'
+  const [step, setStep] = useState('credentials');
+  const [challengeToken, setChallengeToken] = useState('');
+  const [code, setCode] = useState('');
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [ssoProviders, setSsoProviders] = useState([]);
+
+  useEffect(() => {
+    api.get('/auth/oidc/providers')
+      .then((response) => setSsoProviders(response.data.data))
+      .catch(() => setSsoProviders([]));
+
+    // Ergebnis eines SSO-Logins kommt im URL-Fragment zurück
+    if (window.location.hash.length > 1) {
+      const params = new URLSearchParams(window.location.hash.substring(1));
+      window.history.replaceState(null, '', window.location.pathname);
+      handleLoginResult(Object.fromEntries(params), true);
+    }
+  }, []);
+
+  const storeTokens = (data) => {
+    localStorage.setItem('token', data.token);
+    if (data.refreshToken) {
+      localStorage.setItem('refreshToken', data.refreshToken);
+    }
+  };
+
+  // Login-Antwort oder SSO-Fragment: Tokens, 2FA-Schritt oder Fehler
+  const handleLoginResult = async (data, fromSso = false) => {
+    if (data.error) {
+      setError(SSO_ERRORS[data.error] || 'Anmeldung fehlgeschlagen');
+      return;
+    }
+
+    // Fragment values are strings ("true")
+    if (data.twoFactorRequired && data.twoFactorRequired !== 'false') {
+      setChallengeToken(data.challengeToken);
+      setStep('verify');
+      return;
+    }
+
+    if (data.twoFactorSetupRequired && data.twoFactorSetupRequired !== 'false') {
+      setChallengeToken(data.challengeToken);
+      const setup = await twoFactorApi.setup(data.challengeToken);
+      setEnrollment(setup.data.data);
+      setStep('setup');
+      return;
+    }
+
+    if (data.token) {
+      storeTokens(data);
+      navigate('/pages');
+    } else if (fromSso) {
+      setError('Anmeldung fehlgeschlagen');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       const response = await authApi.login(credentials);
-      localStorage.setItem('token', response.data.token);
-      navigate('/pages');
+      setError('');
+      await handleLoginResult(response.data);
     } catch (err) {
       setError('Invalid credentials');
     }
   };
 
+  const handleTwoFactorError = (err) => {
+    const errorCode = err.response?.data?.code;
+    if (errorCode === 'TWO_FACTOR_CHALLENGE_INVALID' || errorCode === 'TWO_FACTOR_TOO_MANY_ATTEMPTS') {
+      setStep('credentials');
+      setCode('');
+    }
+    setError(err.response?.data?.error || err.response?.data?.message || 'Invalid code');
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await authApi.verifyTwoFactor(challengeToken, code);
+      storeTokens(response.data);
+      navigate('/pages');
+    } catch (err) {
+      handleTwoFactorError(err);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await twoFactorApi.enable(code, challengeToken);
+      storeTokens(response.data);
+      setError('');
+      setRecoveryCodes(response.data.recoveryCodes || []);
+      setStep('recoveryCodes');
+    } catch (err) {
+      handleTwoFactorError(err);
+    }
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-100">
       <div className="card max-w-md w-full">
@@ -28,39 +130,118 @@ function Login() {
           <p className="text-gray-600">Page Builder</p>
         </div>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          {error && (
-            <div className="p-3 bg-red-50 text-red-600 rounded-lg text-sm">
-              {error}
+        {error && (
+          <div className="p-3 mb-4 bg-red-50 text-red-600 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        {step === 'credentials' && (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">Username</label>
+              <input
+                type="text"
+                className="input"
+                value={credentials.username}
+                onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+                required
+              />
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-1">Password</label>
+              <input
+                type="password"
+                className="input"
+                value={credentials.password}
+                onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+                required
+              />
             </div>
-          )}
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Username</label>
+            <button type="submit" className="btn btn-primary w-full">
+              Login
+            </button>
+
+            {ssoProviders.length > 0 && (
+              <div className="pt-4 border-t border-gray-200 space-y-2">
+                {ssoProviders.map((provider) => (
+                  <a
+                    key={provider.slug}
+                    href={`/api/auth/oidc/${provider.slug}/login`}
+                    className="btn w-full block text-center border border-gray-300"
+                  >
+                    Anmelden mit {provider.name}
+                  </a>
+                ))}
+              </div>
+            )}
+          </form>
+        )}
+
+        {step === 'verify' && (
+          <form onSubmit={handleVerify} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Geben Sie den Code aus Ihrer Authenticator-App oder einen Wiederherstellungscode ein.
+            </p>
             <input
               type="text"
               className="input"
-              value={credentials.username}
-              onChange={(e) => setCredentials({ ...credentials, username: e.target.value })}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
+              autoFocus
               required
             />
-          </div>
+            <button type="submit" className="btn btn-primary w-full">
+              Bestätigen
+            </button>
+          </form>
+        )}
 
-          <div>
-            <label className="block text-sm font-medium mb-1">Password</label>
+        {step === 'setup' && enrollment && (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Für Ihre Rolle ist die Zwei-Faktor-Authentifizierung Pflicht. Fügen Sie das Konto in Ihrer
+              Authenticator-App hinzu und geben Sie den angezeigten Code ein.
+            </p>
+            <a href={enrollment.otpauth_url} className="block text-sm text-primary-600 break-all">
+              {enrollment.otpauth_url}
+            </a>
+            <div className="text-sm">
+              Schlüssel: <span className="font-mono">{enrollment.secret}</span>
+            </div>
             <input
-              type="password"
+              type="text"
               className="input"
-              value={credentials.password}
-              onChange={(e) => setCredentials({ ...credentials, password: e.target.value })}
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              autoComplete="one-time-code"
               required
             />
-          </div>
+            <button type="submit" className="btn btn-primary w-full">
+              Aktivieren
+            </button>
+          </form>
+        )}
 
-          <button type="submit" className="btn btn-primary w-full">
-            Login
-          </button>
-        </form>
+        {step === 'recoveryCodes' && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              Bewahren Sie diese Wiederherstellungscodes sicher auf. Jeder Code kann einmal anstelle
+              eines App-Codes verwendet werden und wird nur jetzt angezeigt.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+              {recoveryCodes.map((recoveryCode) => (
+                <div key={recoveryCode}>{recoveryCode}</div>
+              ))}
+            </div>
+            <button onClick={() => navigate('/pages')} className="btn btn-primary w-full">
+              Weiter
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,144 @@
+// =====================================================
+// App Password Settings - Gerätepasswörter für WebDAV
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+function AppPasswordSettings() {
+    const [appPasswords, setAppPasswords] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [name, setName] = useState('');
+    const [created, setCreated] = useState(null);
+
+    useEffect(() => {
+        loadAppPasswords();
+    }, []);
+
+    const loadAppPasswords = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/auth/app-passwords');
+            setAppPasswords(response.data.data);
+        } catch (error) {
+            console.error('Error loading app passwords:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const createAppPassword = async () => {
+        try {
+            const response = await api.post('/auth/app-passwords', { name });
+            setCreated(response.data.data);
+            setName('');
+            loadAppPasswords();
+        } catch (error) {
+            console.error('Error creating app password:', error);
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const revokeAppPassword = async (appPassword) => {
+        if (!confirm(`App-Passwort "${appPassword.name}" widerrufen? Geräte damit werden abgemeldet.`)) return;
+
+        try {
+            await api.delete(`/auth/app-passwords/${appPassword.id}`);
+            loadAppPasswords();
+        } catch (error) {
+            console.error('Error revoking app password:', error);
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-600">Lädt...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-4xl mx-auto p-6">
+            <div className="bg-white rounded-lg shadow">
+                {/* Header */}
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-2xl font-bold text-gray-900">App-Passwörter</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                        Eigene Passwörter für WebDAV-Clients (Windows Explorer, Finder, Nautilus), damit Ihr
+                        Kontopasswort nicht auf Geräten gespeichert wird
+                    </p>
+                </div>
+
+                <div className="px-6 py-4 border-b border-gray-200 space-y-4">
+                    <div className="flex items-center gap-3">
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="Gerät, z.B. Laptop Explorer"
+                            maxLength={100}
+                            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+                        />
+                        <button
+                            onClick={createAppPassword}
+                            disabled={!name.trim()}
+                            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                        >
+                            Erstellen
+                        </button>
+                    </div>
+
+                    {created && (
+                        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-1 text-sm">
+                            <p className="font-medium text-gray-900">
+                                Das Passwort wird nur jetzt angezeigt. Tragen Sie es im WebDAV-Client ein:
+                            </p>
+                            <div>Adresse: <span className="font-mono break-all">{created.webdavUrl}</span></div>
+                            <div>Benutzername: <span className="font-mono">{created.username}</span></div>
+                            <div>Passwort: <span className="font-mono">{created.password}</span></div>
+                            <button
+                                onClick={() => setCreated(null)}
+                                className="mt-2 text-sm text-blue-600 hover:underline"
+                            >
+                                Ausblenden
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                <div className="divide-y divide-gray-100">
+                    {appPasswords.length === 0 && (
+                        <div className="p-6 text-sm text-gray-600">Keine App-Passwörter</div>
+                    )}
+                    {appPasswords.map((appPassword) => (
+                        <div key={appPassword.id} className="px-6 py-4 flex items-center justify-between">
+                            <div>
+                                <div className="font-medium text-gray-900">
+                                    {appPassword.name}
+                                    <span className="ml-2 font-mono text-xs text-gray-500">
+                                        {appPassword.password_hint}-…
+                                    </span>
+                                </div>
+                                <div className="text-sm text-gray-600">
+                                    Erstellt {new Date(appPassword.created_at).toLocaleString('de-DE')} · {appPassword.last_used_at
+                                        ? `Zuletzt verwendet ${new Date(appPassword.last_used_at).toLocaleString('de-DE')}${appPassword.last_used_ip ? ` (${appPassword.last_used_ip})` : ''}`
+                                        : 'Noch nicht verwendet'}
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => revokeAppPassword(appPassword)}
+                                className="px-3 py-1 text-sm text-red-700 hover:bg-red-50 rounded-lg"
+                            >
+                                Widerrufen
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AppPasswordSettings;
@@ -0,0 +1,117 @@
+// =====================================================
+// Session Settings - Angemeldete Geräte
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+
+function SessionSettings() {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        loadSessions();
+    }, []);
+
+    const loadSessions = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/auth/sessions');
+            setSessions(response.data.data);
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const revokeSession = async (sessionId) => {
+        if (!confirm('Dieses Gerät abmelden?')) return;
+
+        try {
+            await api.delete(`/auth/sessions/${sessionId}`);
+            loadSessions();
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const revokeOtherSessions = async () => {
+        if (!confirm('Alle anderen Geräte abmelden?')) return;
+
+        try {
+            await api.delete('/auth/sessions');
+            loadSessions();
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-600">Lädt...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-4xl mx-auto p-6">
+            <div className="bg-white rounded-lg shadow">
+                {/* Header */}
+                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                    <div>
+                        <h2 className="text-2xl font-bold text-gray-900">Sitzungen</h2>
+                        <p className="text-sm text-gray-600 mt-1">
+                            Geräte, auf denen Sie aktuell angemeldet sind
+                        </p>
+                    </div>
+                    {sessions.some((session) => !session.is_current) && (
+                        <button
+                            onClick={revokeOtherSessions}
+                            className="px-4 py-2 text-sm text-red-700 border border-red-300 rounded-lg hover:bg-red-50 transition"
+                        >
+                            Alle anderen Geräte abmelden
+                        </button>
+                    )}
+                </div>
+
+                <div className="divide-y divide-gray-100">
+                    {sessions.length === 0 && (
+                        <div className="p-6 text-sm text-gray-600">Keine aktiven Sitzungen</div>
+                    )}
+                    {sessions.map((session) => (
+                        <div key={session.id} className="px-6 py-4 flex items-center justify-between">
+                            <div>
+                                <div className="font-medium text-gray-900">
+                                    {session.device_info?.browser || 'Unbekannt'} auf {session.device_info?.os || 'Unbekannt'}
+                                    {session.is_current && (
+                                        <span className="ml-2 px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">
+                                            Dieses Gerät
+                                        </span>
+                                    )}
+                                </div>
+                                <div className="text-sm text-gray-600">
+                                    {session.ip_address || 'IP unbekannt'} · Zuletzt aktiv{' '}
+                                    {new Date(session.last_activity_at).toLocaleString('de-DE')}
+                                </div>
+                            </div>
+                            {!session.is_current && (
+                                <button
+                                    onClick={() => revokeSession(session.id)}
+                                    className="px-3 py-1 text-sm text-red-700 hover:bg-red-50 rounded-lg"
+                                >
+                                    Abmelden
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default SessionSettings;
@@ -0,0 +1,208 @@
+// =====================================================
+// Two-Factor Settings - TOTP-Anmeldung
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import { twoFactorApi } from '../../services/api';
+
+function TwoFactorSettings() {
+    const [status, setStatus] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [enrollment, setEnrollment] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState([]);
+    const [code, setCode] = useState('');
+
+    useEffect(() => {
+        loadStatus();
+    }, []);
+
+    const loadStatus = async () => {
+        try {
+            setLoading(true);
+            const response = await twoFactorApi.getStatus();
+            setStatus(response.data.data);
+        } catch (error) {
+            console.error('Error loading 2FA status:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const showError = (error) => {
+        alert('Fehler: ' + (error.response?.data?.message || error.message));
+    };
+
+    const startSetup = async () => {
+        try {
+            const response = await twoFactorApi.setup();
+            setEnrollment(response.data.data);
+            setRecoveryCodes([]);
+            setCode('');
+        } catch (error) {
+            console.error('Error starting 2FA setup:', error);
+            showError(error);
+        }
+    };
+
+    const enable = async () => {
+        try {
+            const response = await twoFactorApi.enable(code);
+            setRecoveryCodes(response.data.data.recoveryCodes);
+            setEnrollment(null);
+            setCode('');
+            loadStatus();
+        } catch (error) {
+            console.error('Error enabling 2FA:', error);
+            showError(error);
+        }
+    };
+
+    const disable = async () => {
+        if (!confirm('Zwei-Faktor-Authentifizierung deaktivieren?')) return;
+
+        try {
+            await twoFactorApi.disable(code);
+            setRecoveryCodes([]);
+            setCode('');
+            loadStatus();
+        } catch (error) {
+            console.error('Error disabling 2FA:', error);
+            showError(error);
+        }
+    };
+
+    const regenerateRecoveryCodes = async () => {
+        try {
+            const response = await twoFactorApi.regenerateRecoveryCodes(code);
+            setRecoveryCodes(response.data.data.recoveryCodes);
+            setCode('');
+            loadStatus();
+        } catch (error) {
+            console.error('Error regenerating recovery codes:', error);
+            showError(error);
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-600">Lädt...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-4xl mx-auto p-6">
+            <div className="bg-white rounded-lg shadow">
+                {/* Header */}
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-2xl font-bold text-gray-900">Zwei-Faktor-Authentifizierung</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                        Zusätzlicher Code aus einer Authenticator-App bei der Anmeldung
+                    </p>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {status && (
+                        <div className={`p-4 rounded-lg border-2 ${
+                            status.enabled ? 'bg-green-50 border-green-300' : 'bg-gray-50 border-gray-300'
+                        }`}>
+                            <div className="font-medium text-gray-900">
+                                {status.enabled ? 'Aktiviert' : 'Nicht aktiviert'}
+                                {status.required && ' (für Ihre Rolle verpflichtend)'}
+                            </div>
+                            {status.enabled && (
+                                <div className="text-sm text-gray-600 mt-1">
+                                    Seit {new Date(status.enabled_at).toLocaleString('de-DE')} ·{' '}
+                                    {status.recovery_codes_remaining} Wiederherstellungscodes übrig
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Recovery codes (shown once) */}
+                    {recoveryCodes.length > 0 && (
+                        <div className="p-4 rounded-lg bg-yellow-50 border border-yellow-300 space-y-2">
+                            <div className="text-sm text-gray-800">
+                                Bewahren Sie diese Wiederherstellungscodes sicher auf. Sie werden nur jetzt angezeigt.
+                            </div>
+                            <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+                                {recoveryCodes.map((recoveryCode) => (
+                                    <div key={recoveryCode}>{recoveryCode}</div>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Setup */}
+                    {status && !status.enabled && !enrollment && (
+                        <button
+                            onClick={startSetup}
+                            className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+                        >
+                            Einrichten
+                        </button>
+                    )}
+
+                    {enrollment && (
+                        <div className="space-y-3">
+                            <p className="text-sm text-gray-700">
+                                Fügen Sie das Konto in Ihrer Authenticator-App hinzu (Link öffnen oder Schlüssel
+                                manuell eingeben) und bestätigen Sie mit dem angezeigten Code.
+                            </p>
+                            <a href={enrollment.otpauth_url} className="block text-sm text-blue-600 break-all">
+                                {enrollment.otpauth_url}
+                            </a>
+                            <div className="text-sm">
+                                Schlüssel: <span className="font-mono">{enrollment.secret}</span>
+                            </div>
+                        </div>
+                    )}
+
+                    {(enrollment || status?.enabled) && (
+                        <div className="flex items-center gap-3">
+                            <input
+                                type="text"
+                                value={code}
+                                onChange={(e) => setCode(e.target.value)}
+                                placeholder="Code"
+                                autoComplete="one-time-code"
+                                className="px-3 py-2 border border-gray-300 rounded-lg"
+                            />
+                            {enrollment ? (
+                                <button
+                                    onClick={enable}
+                                    disabled={!code}
+                                    className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                                >
+                                    Aktivieren
+                                </button>
+                            ) : (
+                                <>
+                                    <button
+                                        onClick={regenerateRecoveryCodes}
+                                        disabled={!code}
+                                        className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+                                    >
+                                        Neue Wiederherstellungscodes
+                                    </button>
+                                    {!status.required && (
+                                        <button
+                                            onClick={disable}
+                                            disabled={!code}
+                                            className="px-4 py-2 text-red-700 border border-red-300 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                                        >
+                                            Deaktivieren
+                                        </button>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,284 @@
+// =====================================================
+// User Settings - Benachrichtigungen & Abwesenheit
+// =====================================================
+
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import OOFSettings from './OOFSettings';
+import SessionSettings from './SessionSettings';
+import AppPasswordSettings from './AppPasswordSettings';
+import TwoFactorSettings from './TwoFactorSettings';
+
+const CHANNELS = [
+    { value: 'in_app', label: 'In-App' },
+    { value: 'email', label: 'E-Mail' },
+    { value: 'none', label: 'Aus' }
+];
+
+const WEEKDAYS = ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'];
+
+function NotificationSettings() {
+    const [settings, setSettings] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        loadSettings();
+    }, []);
+
+    const loadSettings = async () => {
+        try {
+            setLoading(true);
+            const response = await api.get('/notifications/settings');
+            setSettings(response.data.data);
+        } catch (error) {
+            console.error('Error loading notification settings:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const updateField = (key, value) => {
+        setSettings(prev => ({ ...prev, [key]: value }));
+    };
+
+    const updateChannel = (type, channel) => {
+        setSettings(prev => ({
+            ...prev,
+            preferences: prev.preferences.map(p =>
+                p.notification_type === type ? { ...p, channel } : p
+            )
+        }));
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+
+            const preferences = {};
+            settings.preferences.forEach(p => {
+                preferences[p.notification_type] = p.channel;
+            });
+
+            const response = await api.put('/notifications/settings', {
+                preferences,
+                quiet_hours_enabled: settings.quiet_hours_enabled,
+                quiet_hours_start: settings.quiet_hours_start,
+                quiet_hours_end: settings.quiet_hours_end,
+                timezone: settings.timezone,
+                digest_frequency: settings.digest_frequency,
+                digest_hour: parseInt(settings.digest_hour),
+                digest_weekday: parseInt(settings.digest_weekday)
+            });
+
+            setSettings(response.data.data);
+            alert('Benachrichtigungseinstellungen gespeichert');
+        } catch (error) {
+            console.error('Error saving notification settings:', error);
+            alert('Fehler beim Speichern: ' + (error.response?.data?.message || error.message));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    if (loading || !settings) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <div className="text-gray-600">Lädt...</div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-4xl mx-auto p-6">
+            <div className="bg-white rounded-lg shadow">
+                {/* Header */}
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-2xl font-bold text-gray-900">Benachrichtigungen</h2>
+                    <p className="text-sm text-gray-600 mt-1">
+                        Legen Sie fest, wie und wann Sie benachrichtigt werden
+                    </p>
+                </div>
+
+                <div className="p-6 space-y-6">
+                    {!settings.email_available && (
+                        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                            Der E-Mail-Versand ist auf diesem Server nicht konfiguriert. E-Mail-Benachrichtigungen
+                            und Zusammenfassungen werden erst nach Einrichtung von SMTP verschickt.
+                        </div>
+                    )}
+
+                    {/* Channels per type */}
+                    <div>
+                        <h3 className="font-semibold text-gray-900 mb-3">Kanäle</h3>
+                        <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                            {settings.preferences.map((preference) => (
+                                <div key={preference.notification_type} className="flex items-center justify-between px-4 py-3">
+                                    <span className="text-gray-700">{preference.label}</span>
+                                    <div className="flex gap-2">
+                                        {CHANNELS.map((channel) => (
+                                            <button
+                                                key={channel.value}
+                                                onClick={() => updateChannel(preference.notification_type, channel.value)}
+                                                className={`px-3 py-1 rounded-lg text-sm transition ${
+                                                    preference.channel === channel.value
+                                                        ? 'bg-blue-600 text-white'
+                                                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                                }`}
+                                            >
+                                                {channel.label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    {/* Quiet hours */}
+                    <div className="space-y-3">
+                        <label className="flex items-center cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={settings.quiet_hours_enabled}
+                                onChange={(e) => updateField('quiet_hours_enabled', e.target.checked)}
+                                className="w-5 h-5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+                            />
+                            <span className="ml-3 text-gray-900 font-medium">Ruhezeiten</span>
+                        </label>
+                        <p className="text-sm text-gray-600">
+                            In diesem Zeitraum werden keine Benachrichtigungen angezeigt oder per E-Mail verschickt.
+                        </p>
+
+                        {settings.quiet_hours_enabled && (
+                            <div className="ml-8 grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Von</label>
+                                    <input
+                                        type="time"
+                                        value={settings.quiet_hours_start}
+                                        onChange={(e) => updateField('quiet_hours_start', e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Bis</label>
+                                    <input
+                                        type="time"
+                                        value={settings.quiet_hours_end}
+                                        onChange={(e) => updateField('quiet_hours_end', e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    />
+                                </div>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Digest */}
+                    <div className="space-y-3">
+                        <h3 className="font-semibold text-gray-900">Zusammenfassung per E-Mail</h3>
+                        <p className="text-sm text-gray-600">
+                            Ungelesene Benachrichtigungen gesammelt in einer E-Mail.
+                        </p>
+                        <div className="grid grid-cols-3 gap-4">
+                            <select
+                                value={settings.digest_frequency}
+                                onChange={(e) => updateField('digest_frequency', e.target.value)}
+                                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                            >
+                                <option value="none">Keine</option>
+                                <option value="daily">Täglich</option>
+                                <option value="weekly">Wöchentlich</option>
+                            </select>
+
+                            {settings.digest_frequency === 'weekly' && (
+                                <select
+                                    value={settings.digest_weekday}
+                                    onChange={(e) => updateField('digest_weekday', e.target.value)}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                >
+                                    {WEEKDAYS.map((day, index) => (
+                                        <option key={index} value={index}>{day}</option>
+                                    ))}
+                                </select>
+                            )}
+
+                            {settings.digest_frequency !== 'none' && (
+                                <select
+                                    value={settings.digest_hour}
+                                    onChange={(e) => updateField('digest_hour', e.target.value)}
+                                    className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                >
+                                    {Array.from({ length: 24 }, (_, hour) => (
+                                        <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00 Uhr</option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
+                    </div>
+                </div>
+
+                {/* Actions */}
+                <div className="px-6 py-4 bg-gray-50 border-t border-gray-200 flex items-center justify-end space-x-3">
+                    <button
+                        onClick={loadSettings}
+                        disabled={saving}
+                        className="px-4 py-2 text-gray-700 hover:bg-gray-200 rounded-lg transition disabled:opacity-50"
+                    >
+                        Zurücksetzen
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+                    >
+                        {saving ? 'Speichert...' : 'Speichern'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function UserSettings() {
+    const [activeTab, setActiveTab] = useState('notifications');
+
+    const tabs = [
+        { id: 'notifications', label: 'Benachrichtigungen' },
+        { id: 'oof', label: 'Abwesenheit' },
+        { id: 'security', label: 'Sicherheit' },
+        { id: 'sessions', label: 'Sitzungen' },
+        { id: 'appPasswords', label: 'App-Passwörter' }
+    ];
+
+    return (
+        <div>
+            <div className="max-w-4xl mx-auto px-6 pt-6">
+                <h1 className="text-3xl font-bold text-gray-900 mb-4">Einstellungen</h1>
+                <div className="flex space-x-4 border-b border-gray-200">
+                    {tabs.map((tab) => (
+                        <button
+                            key={tab.id}
+                            onClick={() => setActiveTab(tab.id)}
+                            className={`pb-2 px-1 text-sm font-medium border-b-2 transition ${
+                                activeTab === tab.id
+                                    ? 'border-blue-600 text-blue-600'
+                                    : 'border-transparent text-gray-600 hover:text-gray-900'
+                            }`}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {activeTab === 'notifications' && <NotificationSettings />}
+            {activeTab === 'oof' && <OOFSettings />}
+            {activeTab === 'security' && <TwoFactorSettings />}
+            {activeTab === 'sessions' && <SessionSettings />}
+            {activeTab === 'appPasswords' && <AppPasswordSettings />}
+        </div>
+    );
+}
+
+export default UserSettings;
@@ -0,0 +1,677 @@
+// =====================================================
+// Wiki - Bereiche, Seiten, Revisionen & Anhänge
+// =====================================================
+
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+    BookMarked,
+    ChevronRight,
+    Edit,
+    FileText,
+    History,
+    Lock,
+    Paperclip,
+    Plus,
+    Search,
+    Trash2
+} from 'lucide-react';
+import api from '../../services/api';
+
+// Lock is refreshed while the editor is open (server default: 15 minutes)
+const LOCK_REFRESH_MS = 5 * 60 * 1000;
+
+const slugify = (title) => String(title || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'seite';
+
+// =====================================================
+// Markdown (Überschriften, Listen, Code, **fett**, *kursiv*, `code`, [[Links]])
+// =====================================================
+
+function renderInline(text, spaceKey, keyPrefix) {
+    const parts = [];
+    const pattern = /(\[\[[^\]]+\]\]|\*\*[^*]+\*\*|\*[^*]+\*|`[^`]+`|\[[^\]]+\]\(https?:\/\/[^)\s]+\))/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            parts.push(text.substring(lastIndex, match.index));
+        }
+
+        const token = match[0];
+        const key = `${keyPrefix}-${match.index}`;
+
+        if (token.startsWith('[[')) {
+            const [target, label] = token.slice(2, -2).split('|');
+            const separator = target.indexOf(':');
+            const targetSpace = separator > 0 ? target.substring(0, separator).trim().toUpperCase() : spaceKey;
+            const title = separator > 0 ? target.substring(separator + 1) : target;
+            parts.push(
+                <Link key={key} to={`/wiki/${targetSpace}/${slugify(title)}`} className="text-blue-600 hover:underline">
+                    {(label || target).trim()}
+                </Link>
+            );
+        } else if (token.startsWith('**')) {
+            parts.push(<strong key={key}>{token.slice(2, -2)}</strong>);
+        } else if (token.startsWith('`')) {
+            parts.push(<code key={key} className="px-1 bg-gray-100 rounded text-sm">{token.slice(1, -1)}</code>);
+        } else if (token.startsWith('[')) {
+            const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)]+)\)$/);
+            parts.push(<a key={key} href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{label}</a>);
+        } else {
+            parts.push(<em key={key}>{token.slice(1, -1)}</em>);
+        }
+
+        lastIndex = match.index + token.length;
+    }
+
+    if (lastIndex < text.length) {
+        parts.push(text.substring(lastIndex));
+    }
+
+    return parts;
+}
+
+function MarkdownView({ content, spaceKey }) {
+    const lines = String(content || '').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.startsWith('```')) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].startsWith('```')) {
+                code.push(lines[i]);
+                i++;
+            }
+            blocks.push(<pre key={i} className="p-3 bg-gray-100 rounded-lg overflow-x-auto text-sm"><code>{code.join('\n')}</code></pre>);
+            i++;
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,4})\s+(.*)$/);
+        if (heading) {
+            const sizes = ['text-2xl', 'text-xl', 'text-lg', 'text-base'];
+            const Tag = `h${heading[1].length + 1}`;
+            blocks.push(<Tag key={i} className={`${sizes[heading[1].length - 1]} font-bold text-gray-900 mt-4`}>{renderInline(heading[2], spaceKey, i)}</Tag>);
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*]|\d+\.)\s+/.test(line)) {
+            const ordered = /^\s*\d+\./.test(line);
+            const items = [];
+            while (i < lines.length && /^\s*([-*]|\d+\.)\s+/.test(lines[i])) {
+                items.push(<li key={i}>{renderInline(lines[i].replace(/^\s*([-*]|\d+\.)\s+/, ''), spaceKey, i)}</li>);
+                i++;
+            }
+            blocks.push(ordered
+                ? <ol key={`l${i}`} className="list-decimal ml-6 space-y-1">{items}</ol>
+                : <ul key={`l${i}`} className="list-disc ml-6 space-y-1">{items}</ul>);
+            continue;
+        }
+
+        if (line.trim() === '') {
+            i++;
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() !== '' && !/^(#{1,4}\s|```|\s*([-*]|\d+\.)\s)/.test(lines[i])) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+        blocks.push(<p key={`p${i}`} className="text-gray-800">{renderInline(paragraph.join(' '), spaceKey, i)}</p>);
+    }
+
+    return <div className="space-y-3">{blocks}</div>;
+}
+
+// =====================================================
+// Seitenbaum
+// =====================================================
+
+function PageTree({ pages, spaceKey, activeSlug, depth = 0 }) {
+    return (
+        <ul className={depth > 0 ? 'ml-3 border-l border-gray-200 pl-2' : ''}>
+            {pages.map((page) => (
+                <li key={page.id}>
+                    <Link
+                        to={`/wiki/${spaceKey}/${page.slug}`}
+                        className={`block px-2 py-1 rounded text-sm truncate ${
+                            page.slug === activeSlug ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-100'
+                        }`}
+                    >
+                        {page.title}
+                    </Link>
+                    {page.children.length > 0 && (
+                        <PageTree pages={page.children} spaceKey={spaceKey} activeSlug={activeSlug} depth={depth + 1} />
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+// =====================================================
+// Revisionen & Diff
+// =====================================================
+
+function RevisionHistory({ page, onRestore }) {
+    const [revisions, setRevisions] = useState([]);
+    const [diff, setDiff] = useState(null);
+
+    useEffect(() => {
+        api.get(`/wiki/pages/${page.id}/revisions`)
+            .then((response) => setRevisions(response.data.data))
+            .catch((error) => console.error('Error loading revisions:', error));
+    }, [page.id, page.current_revision]);
+
+    const showDiff = async (revision) => {
+        try {
+            const response = await api.get(`/wiki/pages/${page.id}/diff`, {
+                params: { from: Math.max(1, revision - 1), to: revision }
+            });
+            setDiff(response.data.data);
+        } catch (error) {
+            console.error('Error loading diff:', error);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {revisions.map((revision) => (
+                    <div key={revision.id} className="flex items-center justify-between px-4 py-2 text-sm">
+                        <div>
+                            <span className="font-medium text-gray-900">Revision {revision.revision_number}</span>
+                            <span className="text-gray-500 ml-2">
+                                {new Date(revision.created_at).toLocaleString('de-DE')} · {revision.created_by_name || 'Unbekannt'}
+                            </span>
+                            {revision.change_note && <div className="text-gray-600">{revision.change_note}</div>}
+                        </div>
+                        <div className="flex gap-2">
+                            {revision.revision_number > 1 && (
+                                <button onClick={() => showDiff(revision.revision_number)} className="text-blue-600 hover:underline">
+                                    Änderungen
+                                </button>
+                            )}
+                            {revision.revision_number !== page.current_revision && onRestore && (
+                                <button onClick={() => onRestore(revision.revision_number)} className="text-gray-600 hover:underline">
+                                    Wiederherstellen
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {diff && (
+                <div className="border border-gray-200 rounded-lg overflow-hidden">
+                    <div className="px-4 py-2 bg-gray-50 text-sm text-gray-700">
+                        Revision {diff.from.revision_number} → {diff.to.revision_number}
+                        <span className="ml-3 text-green-700">+{diff.stats.added}</span>
+                        <span className="ml-2 text-red-700">-{diff.stats.removed}</span>
+                        {diff.title && <span className="ml-3">Titel: „{diff.title.old}“ → „{diff.title.new}“</span>}
+                    </div>
+                    <pre className="text-sm overflow-x-auto">
+                        {diff.lines.map((line, index) => (
+                            <div
+                                key={index}
+                                className={line.type === 'added' ? 'bg-green-50 text-green-800' : line.type === 'removed' ? 'bg-red-50 text-red-800' : 'text-gray-600'}
+                            >
+                                {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                            </div>
+                        ))}
+                    </pre>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// =====================================================
+// Wiki
+// =====================================================
+
+function Wiki() {
+    const { spaceKey, slug } = useParams();
+    const navigate = useNavigate();
+    const [spaces, setSpaces] = useState([]);
+    const [space, setSpace] = useState(null);
+    const [page, setPage] = useState(null);
+    const [backlinks, setBacklinks] = useState([]);
+    const [attachments, setAttachments] = useState([]);
+    const [tab, setTab] = useState('content');
+    const [editing, setEditing] = useState(false);
+    const [draft, setDraft] = useState({ title: '', content: '', change_note: '' });
+    const [searchQuery, setSearchQuery] = useState('');
+    const [searchResults, setSearchResults] = useState(null);
+    const [notFound, setNotFound] = useState(false);
+    const lockTimer = useRef(null);
+
+    useEffect(() => {
+        loadSpaces();
+    }, []);
+
+    useEffect(() => {
+        if (spaceKey) loadSpace();
+    }, [spaceKey]);
+
+    useEffect(() => {
+        stopEditing(false);
+        setTab('content');
+        if (spaceKey && slug) loadPage();
+        else setPage(null);
+    }, [spaceKey, slug]);
+
+    useEffect(() => () => clearInterval(lockTimer.current), []);
+
+    const loadSpaces = async () => {
+        try {
+            const response = await api.get('/wiki/spaces');
+            setSpaces(response.data.data);
+        } catch (error) {
+            console.error('Error loading wiki spaces:', error);
+        }
+    };
+
+    const loadSpace = async () => {
+        try {
+            const response = await api.get(`/wiki/spaces/${spaceKey}`);
+            setSpace(response.data.data);
+        } catch (error) {
+            console.error('Error loading wiki space:', error);
+            setSpace(null);
+        }
+    };
+
+    const loadPage = async () => {
+        try {
+            setNotFound(false);
+            const response = await api.get(`/wiki/spaces/${spaceKey}/pages/${slug}`);
+            const loaded = response.data.data;
+            setPage(loaded);
+
+            const [backlinksResponse, attachmentsResponse] = await Promise.all([
+                api.get(`/wiki/pages/${loaded.id}/backlinks`),
+                api.get(`/wiki/pages/${loaded.id}/attachments`)
+            ]);
+            setBacklinks(backlinksResponse.data.data);
+            setAttachments(attachmentsResponse.data.data);
+        } catch (error) {
+            if (error.response?.status === 404) {
+                // Link auf eine noch nicht angelegte Seite
+                setPage(null);
+                setNotFound(true);
+            } else {
+                console.error('Error loading wiki page:', error);
+            }
+        }
+    };
+
+    const startEditing = async () => {
+        try {
+            await api.post(`/wiki/pages/${page.id}/lock`);
+            lockTimer.current = setInterval(() => {
+                api.post(`/wiki/pages/${page.id}/lock`).catch((error) => console.error('Error refreshing lock:', error));
+            }, LOCK_REFRESH_MS);
+
+            setDraft({ title: page.title, content: page.content, change_note: '' });
+            setEditing(true);
+        } catch (error) {
+            const lock = error.response?.data?.lock;
+            alert(lock
+                ? `Die Seite wird gerade von ${lock.locked_by_name || 'einem anderen Benutzer'} bearbeitet.`
+                : 'Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const stopEditing = (releaseLock = true) => {
+        clearInterval(lockTimer.current);
+        lockTimer.current = null;
+        if (releaseLock && page && editing) {
+            api.delete(`/wiki/pages/${page.id}/lock`).catch((error) => console.error('Error releasing lock:', error));
+        }
+        setEditing(false);
+    };
+
+    const savePage = async () => {
+        try {
+            const response = await api.put(`/wiki/pages/${page.id}`, {
+                ...draft,
+                base_revision: page.current_revision
+            });
+            stopEditing(false);
+            const saved = response.data.data;
+            loadSpace();
+            if (saved.slug !== slug) {
+                navigate(`/wiki/${spaceKey}/${saved.slug}`);
+            } else {
+                loadPage();
+            }
+        } catch (error) {
+            alert('Fehler beim Speichern: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const createPage = async (title, parentId = null) => {
+        const pageTitle = title || prompt('Titel der neuen Seite:');
+        if (!pageTitle) return;
+
+        try {
+            const response = await api.post(`/wiki/spaces/${spaceKey}/pages`, {
+                title: pageTitle,
+                content: `# ${pageTitle}\n`,
+                parent_id: parentId
+            });
+            loadSpace();
+            navigate(`/wiki/${spaceKey}/${response.data.data.slug}`);
+        } catch (error) {
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const deletePage = async () => {
+        if (!confirm(`Seite „${page.title}“ löschen? Unterseiten werden eine Ebene nach oben verschoben.`)) return;
+
+        try {
+            await api.delete(`/wiki/pages/${page.id}`);
+            loadSpace();
+            navigate(`/wiki/${spaceKey}`);
+        } catch (error) {
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const restoreRevision = async (revision) => {
+        if (!confirm(`Revision ${revision} wiederherstellen?`)) return;
+
+        try {
+            await api.post(`/wiki/pages/${page.id}/revisions/${revision}/restore`);
+            loadPage();
+        } catch (error) {
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const uploadAttachment = async (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            await api.post(`/wiki/pages/${page.id}/attachments`, formData, {
+                headers: { 'Content-Type': 'multipart/form-data' }
+            });
+            loadPage();
+        } catch (error) {
+            alert('Fehler beim Hochladen: ' + (error.response?.data?.message || error.message));
+        } finally {
+            event.target.value = '';
+        }
+    };
+
+    const downloadAttachment = async (attachment) => {
+        try {
+            const response = await api.get(`/wiki/attachments/${attachment.id}/download`, { responseType: 'blob' });
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.name;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error downloading attachment:', error);
+        }
+    };
+
+    const deleteAttachment = async (attachment) => {
+        if (!confirm(`Anhang „${attachment.name}“ entfernen?`)) return;
+
+        try {
+            await api.delete(`/wiki/attachments/${attachment.id}`);
+            loadPage();
+        } catch (error) {
+            alert('Fehler: ' + (error.response?.data?.message || error.message));
+        }
+    };
+
+    const search = async (event) => {
+        event.preventDefault();
+        if (!searchQuery.trim()) {
+            setSearchResults(null);
+            return;
+        }
+
+        try {
+            const response = await api.get('/wiki/search', { params: { q: searchQuery } });
+            setSearchResults(response.data.data);
+        } catch (error) {
+            console.error('Error searching wiki:', error);
+        }
+    };
+
+    return (
+        <div className="flex h-full">
+            {/* Sidebar */}
+            <aside className="w-72 border-r border-gray-200 bg-white p-4 space-y-4 overflow-y-auto">
+                <form onSubmit={search} className="relative">
+                    <Search className="w-4 h-4 absolute left-3 top-2.5 text-gray-400" />
+                    <input
+                        value={searchQuery}
+                        onChange={(e) => setSearchQuery(e.target.value)}
+                        placeholder="Wiki durchsuchen..."
+                        className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    />
+                </form>
+
+                <select
+                    value={spaceKey || ''}
+                    onChange={(e) => navigate(`/wiki/${e.target.value}`)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                    <option value="" disabled>Bereich wählen</option>
+                    {spaces.map((s) => (
+                        <option key={s.id} value={s.key}>{s.name} ({s.page_count})</option>
+                    ))}
+                </select>
+
+                {space && (
+                    <div>
+                        <div className="flex items-center justify-between mb-2">
+                            <span className="text-xs font-semibold uppercase text-gray-500">Seiten</span>
+                            <button onClick={() => createPage()} className="text-blue-600 hover:text-blue-800" title="Neue Seite">
+                                <Plus className="w-4 h-4" />
+                            </button>
+                        </div>
+                        <PageTree pages={space.pages} spaceKey={space.key} activeSlug={slug} />
+                    </div>
+                )}
+            </aside>
+
+            {/* Content */}
+            <main className="flex-1 p-6 overflow-y-auto">
+                {searchResults ? (
+                    <div className="max-w-4xl space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h1 className="text-2xl font-bold text-gray-900">Suchergebnisse</h1>
+                            <button onClick={() => setSearchResults(null)} className="text-sm text-gray-600 hover:underline">Schließen</button>
+                        </div>
+                        {searchResults.length === 0 && <p className="text-gray-600">Keine Treffer.</p>}
+                        {searchResults.map((result) => (
+                            <Link
+                                key={result.id}
+                                to={`/wiki/${result.space_key}/${result.slug}`}
+                                onClick={() => setSearchResults(null)}
+                                className="block p-4 bg-white rounded-lg shadow hover:shadow-md transition"
+                            >
+                                <div className="text-xs text-gray-500">{result.space_name}</div>
+                                <div className="font-semibold text-gray-900">{result.title}</div>
+                                <div className="text-sm text-gray-600 mt-1">{renderInline(result.snippet || '', result.space_key, result.id)}</div>
+                            </Link>
+                        ))}
+                    </div>
+                ) : notFound ? (
+                    <div className="max-w-4xl text-center py-16">
+                        <FileText className="w-12 h-12 mx-auto text-gray-300" />
+                        <p className="text-gray-600 mt-4">Diese Seite existiert noch nicht.</p>
+                        <button
+                            onClick={() => createPage(slug.replace(/-/g, ' '))}
+                            className="mt-4 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                        >
+                            Seite anlegen
+                        </button>
+                    </div>
+                ) : page ? (
+                    <div className="max-w-4xl space-y-4">
+                        {/* Breadcrumbs */}
+                        <div className="flex items-center text-sm text-gray-500">
+                            <Link to={`/wiki/${page.space_key}`} className="hover:underline">{page.space_name}</Link>
+                            {page.breadcrumbs.map((crumb) => (
+                                <span key={crumb.id} className="flex items-center">
+                                    <ChevronRight className="w-4 h-4 mx-1" />
+                                    <Link to={`/wiki/${page.space_key}/${crumb.slug}`} className="hover:underline">{crumb.title}</Link>
+                                </span>
+                            ))}
+                        </div>
+
+                        {page.lock && !editing && (
+                            <div className="flex items-center p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                                <Lock className="w-4 h-4 mr-2" />
+                                Wird bearbeitet von {page.lock.locked_by_name || 'einem anderen Benutzer'}
+                            </div>
+                        )}
+
+                        {editing ? (
+                            <div className="bg-white rounded-lg shadow p-6 space-y-3">
+                                <input
+                                    value={draft.title}
+                                    onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xl font-bold"
+                                />
+                                <textarea
+                                    value={draft.content}
+                                    onChange={(e) => setDraft({ ...draft, content: e.target.value })}
+                                    rows={20}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                                />
+                                <p className="text-xs text-gray-500">
+                                    Markdown. Interne Links: [[Seite]], [[Seite|Text]] oder [[BEREICH:Seite]]
+                                </p>
+                                <input
+                                    value={draft.change_note}
+                                    onChange={(e) => setDraft({ ...draft, change_note: e.target.value })}
+                                    placeholder="Änderungsnotiz (optional)"
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                                />
+                                <div className="flex justify-end gap-3">
+                                    <button onClick={() => stopEditing()} className="px-4 py-2 text-gray-700 hover:bg-gray-200 rounded-lg">
+                                        Abbrechen
+                                    </button>
+                                    <button onClick={savePage} className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                                        Speichern
+                                    </button>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="bg-white rounded-lg shadow">
+                                <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                                    <div>
+                                        <h1 className="text-3xl font-bold text-gray-900">{page.title}</h1>
+                                        <p className="text-sm text-gray-500 mt-1">
+                                            Revision {page.current_revision} · zuletzt geändert von {page.updated_by_name || 'Unbekannt'} am {new Date(page.updated_at).toLocaleString('de-DE')}
+                                        </p>
+                                    </div>
+                                    <div className="flex items-center gap-2">
+                                        <button onClick={() => setTab(tab === 'history' ? 'content' : 'history')} className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg" title="Versionen">
+                                            <History className="w-5 h-5" />
+                                        </button>
+                                        <button onClick={() => createPage(null, page.id)} className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg" title="Unterseite anlegen">
+                                            <Plus className="w-5 h-5" />
+                                        </button>
+                                        <button onClick={startEditing} className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg" title="Bearbeiten">
+                                            <Edit className="w-5 h-5" />
+                                        </button>
+                                        <button onClick={deletePage} className="p-2 text-red-600 hover:bg-red-50 rounded-lg" title="Löschen">
+                                            <Trash2 className="w-5 h-5" />
+                                        </button>
+                                    </div>
+                                </div>
+                                <div className="p-6">
+                                    {tab === 'history'
+                                        ? <RevisionHistory page={page} onRestore={restoreRevision} />
+                                        : <MarkdownView content={page.content} spaceKey={page.space_key} />}
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Attachments */}
+                        <div className="bg-white rounded-lg shadow p-4">
+                            <div className="flex items-center justify-between mb-2">
+                                <h3 className="font-semibold text-gray-900 flex items-center">
+                                    <Paperclip className="w-4 h-4 mr-2" /> Anhänge
+                                </h3>
+                                <label className="text-sm text-blue-600 hover:underline cursor-pointer">
+                                    Hochladen
+                                    <input type="file" className="hidden" onChange={uploadAttachment} />
+                                </label>
+                            </div>
+                            {attachments.length === 0 && <p className="text-sm text-gray-500">Keine Anhänge</p>}
+                            {attachments.map((attachment) => (
+                                <div key={attachment.id} className="flex items-center justify-between py-1 text-sm">
+                                    <button onClick={() => downloadAttachment(attachment)} className="text-blue-600 hover:underline">
+                                        {attachment.name}
+                                    </button>
+                                    <button onClick={() => deleteAttachment(attachment)} className="text-gray-400 hover:text-red-600">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+
+                        {/* Backlinks */}
+                        {backlinks.length > 0 && (
+                            <div className="bg-white rounded-lg shadow p-4">
+                                <h3 className="font-semibold text-gray-900 mb-2">Seiten, die hierher verlinken</h3>
+                                <ul className="space-y-1 text-sm">
+                                    {backlinks.map((backlink) => (
+                                        <li key={backlink.id}>
+                                            <Link to={`/wiki/${backlink.space_key}/${backlink.slug}`} className="text-blue-600 hover:underline">
+                                                {backlink.title}
+                                            </Link>
+                                            {backlink.space_key !== page.space_key && <span className="text-gray-500 ml-1">({backlink.space_name})</span>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+                    </div>
+                ) : (
+                    <div className="max-w-4xl text-center py-16">
+                        <BookMarked className="w-12 h-12 mx-auto text-gray-300" />
+                        <p className="text-gray-600 mt-4">
+                            {space ? space.description || 'Wählen Sie eine Seite aus dem Seitenbaum.' : 'Wählen Sie einen Bereich.'}
+                        </p>
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
+
+export default Wiki;
@@ -21,14 +21,68 @@ api.interceptors.request.use(
   }
 );
 
-// Response Interceptor: Error Handling
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.location.href = '/login';
+};
+
+// One refresh at a time; parallel 401 responses wait for the same refresh
+let refreshPromise = null;
+
+// Expired, invalid or revoked access tokens are answered with 403 and one of
+// these codes (403 without code = missing permission)
+const TOKEN_ERROR_CODES = ['TOKEN_INVALID', 'SESSION_REVOKED'];
+
+const isAuthError = (error) => {
+  const status = error.response?.status;
+  return status === 401 || (status === 403 && TOKEN_ERROR_CODES.includes(error.response.data?.code));
+};
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+
+  try {
+    const response = await axios.post('/api/auth/refresh', { refreshToken });
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+    return response.data.token;
+  } catch (error) {
+    // Another tab rotated the token in the meantime
+    const current = localStorage.getItem('refreshToken');
+    if (error.response?.data?.code === 'REFRESH_TOKEN_ROTATED' && current && current !== refreshToken) {
+      return localStorage.getItem('token');
+    }
+    throw error;
+  }
+};
+
+// Response Interceptor: Error Handling, Access-Token erneuern
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Login steps report wrong credentials/codes as 401 themselves
+    if (isAuthError(error) && !originalRequest.skipAuthHandling) {
+      if (!originalRequest._retried && localStorage.getItem('refreshToken')) {
+        originalRequest._retried = true;
+
+        try {
+          refreshPromise = refreshPromise || refreshAccessToken();
+          const token = await refreshPromise;
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return api(originalRequest);
+        } catch (refreshError) {
+          clearSession();
+          return Promise.reject(refreshError);
+        } finally {
+          refreshPromise = null;
+        }
+      }
+
       // Token expired or invalid
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+      clearSession();
     }
     return Promise.reject(error);
   }
@@ -72,9 +126,22 @@ export const pageModulesApi = {
 
 // AUTH API
 export const authApi = {
-  login: (credentials) => api.post('/auth/login', credentials),
-  logout: () => api.post('/auth/logout'),
+  login: (credentials) => api.post('/auth/login', credentials, { skipAuthHandling: true }),
+  verifyTwoFactor: (challengeToken, code) =>
+    api.post('/auth/2fa/verify', { challengeToken, code }, { skipAuthHandling: true }),
+  logout: () => api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') }),
   getProfile: () => api.get('/user/profile')
 };
 
+// TWO-FACTOR API (challengeToken: Einrichtung während des Logins)
+export const twoFactorApi = {
+  getStatus: () => api.get('/auth/2fa/status'),
+  setup: (challengeToken) =>
+    api.post('/auth/2fa/setup', { challengeToken }, { skipAuthHandling: !!challengeToken }),
+  enable: (code, challengeToken) =>
+    api.post('/auth/2fa/enable', { code, challengeToken }, { skipAuthHandling: !!challengeToken }),
+  disable: (code) => api.post('/auth/2fa/disable', { code }),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code })
+};
+
 export default api;
@@ -0,0 +1,111 @@
+// =====================================================
+// Socket.io Client Service für Echtzeit-Benachrichtigungen
+// =====================================================
+
+import { io } from 'socket.io-client';
+
+class NotificationSocketService {
+    constructor() {
+        this.socket = null;
+        this.listeners = new Map();
+        this.connected = false;
+    }
+
+    /**
+     * Connect to the /notifications namespace
+     */
+    connect(token) {
+        if (this.socket) {
+            return;
+        }
+
+        const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
+
+        this.socket = io(`${SOCKET_URL}/notifications`, {
+            // Read on every (re)connect so refreshed access tokens are used
+            auth: (cb) => cb({ token: localStorage.getItem('token') || token }),
+            transports: ['websocket', 'polling'],
+            reconnection: true,
+            reconnectionDelay: 1000
+        });
+
+        this.socket.on('connect', () => {
+            this.connected = true;
+            this.emit('socket:connected', { socketId: this.socket.id });
+        });
+
+        this.socket.on('disconnect', (reason) => {
+            this.connected = false;
+            this.emit('socket:disconnected', { reason });
+        });
+
+        this.socket.on('connect_error', (error) => {
+            console.error('Notification socket connection error:', error);
+        });
+
+        // New notification, unread count and read state (synced across tabs)
+        ['notification:new', 'notification:unread-count', 'notification:read'].forEach((event) => {
+            this.socket.on(event, (data) => this.emit(event, data));
+        });
+    }
+
+    /**
+     * Disconnect from the server
+     */
+    disconnect() {
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+            this.connected = false;
+        }
+    }
+
+    /**
+     * Check if connected
+     */
+    isConnected() {
+        return this.connected && this.socket?.connected;
+    }
+
+    /**
+     * Subscribe to events (internal event emitter)
+     */
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(callback);
+
+        // Return unsubscribe function
+        return () => {
+            const callbacks = this.listeners.get(event);
+            if (callbacks) {
+                const index = callbacks.indexOf(callback);
+                if (index > -1) {
+                    callbacks.splice(index, 1);
+                }
+            }
+        };
+    }
+
+    /**
+     * Emit internal event to listeners
+     */
+    emit(event, data) {
+        const callbacks = this.listeners.get(event);
+        if (callbacks) {
+            callbacks.forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in notification socket listener (${event}):`, error);
+                }
+            });
+        }
+    }
+}
+
+// Singleton instance
+const notificationSocket = new NotificationSocketService();
+
+export default notificationSocket;
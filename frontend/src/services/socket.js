@@ -23,9 +23,8 @@ class SocketService {
         const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:3000';
 
         this.socket = io(`${SOCKET_URL}/chat`, {
-            auth: {
-                token: token
-            },
+            // Read on every (re)connect so refreshed access tokens are used
+            auth: (cb) => cb({ token: localStorage.getItem('token') || token }),
             transports: ['websocket', 'polling'],
             reconnection: true,
             reconnectionAttempts: 5,
@@ -44,12 +44,31 @@ module.exports = {
             }
         );
 
-        // 5. Auf Events hören
+        // 5. Eigene Permission registrieren (neu angelegt: für die Rolle moderator freigegeben,
+        //    admin hat immer alle Permissions; danach im Rollen-Editor anpassbar)
+        permissions.registerPermissions([
+            { key: 'example.manage', name: 'Example-Modul verwalten', roles: ['moderator'] }
+        ]).catch((error) => {
+            logger.warn('Permissions konnten nicht registriert werden', { error: error.message });
+        });
+
+        router.get('/api/example/manage',
+            middleware.authenticateToken,
+            permissions.requirePermission('example.manage'),
+            (req, res) => {
+                res.json({
+                    message: 'Du hast die Permission example.manage!',
+                    user: req.user
+                });
+            }
+        );
+
+        // 6. Auf Events hören
         events.on('USER_LOGIN', (user) => {
             logger.info('User-Login bemerkt', { username: user.username, role: user.role });
         });
 
-        // 6. i18n Demonstration
+        // 7. i18n Demonstration
         router.get('/api/example/i18n-demo', (req, res) => {
             logger.info('i18n-Demo Endpoint aufgerufen', { language: req.language });
 
@@ -87,7 +106,7 @@ module.exports = {
             });
         });
 
-        // 7. Lokalisierte Fehlerantwort
+        // 8. Lokalisierte Fehlerantwort
         router.get('/api/example/error-demo', (req, res) => {
             // Demonstriert res.localizedJson() für konsistente lokalisierte Antworten
             res.localizedJson(400, 'errors:validation.required', {
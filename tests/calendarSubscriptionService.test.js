@@ -0,0 +1,109 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../core/eventsService', () => ({}));
+
+const dns = require('dns').promises;
+const database = require('../core/database');
+const calendarSubscriptionService = require('../core/calendarSubscriptionService');
+
+const PUBLIC_ADDRESS = '93.184.216.34';
+
+// Hosts of the tests resolve without network access
+const hosts = {
+    'feeds.example.com': [{ address: PUBLIC_ADDRESS, family: 4 }],
+    'cdn.example.com': [{ address: PUBLIC_ADDRESS, family: 4 }],
+    'intranet.example.com': [{ address: '10.1.2.3', family: 4 }],
+    'rebind.example.com': [{ address: PUBLIC_ADDRESS, family: 4 }, { address: 'fd00::5', family: 6 }]
+};
+
+const subscription = { id: 5, ical_url: 'https://feeds.example.com/cal.ics' };
+
+function redirect(location) {
+    return new Response(null, { status: 302, headers: { location } });
+}
+
+describe('calendarSubscriptionService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(dns, 'lookup').mockImplementation(async (hostname, options) => {
+            if (hosts[hostname]) {
+                return hosts[hostname];
+            }
+            const family = hostname.includes(':') ? 6 : 4;
+            if (/^[\d.]+$/.test(hostname) || family === 6) {
+                return [{ address: hostname, family }];
+            }
+            throw new Error('ENOTFOUND');
+        });
+        global.fetch = jest.fn();
+        database.query.mockResolvedValue({ rows: [{ id: 5 }] });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('createSubscription', () => {
+        it.each([
+            'http://127.0.0.1:8080/cal.ics',
+            'http://169.254.169.254/latest/meta-data',
+            'http://[::1]/cal.ics',
+            'http://[::ffff:127.0.0.1]/cal.ics',
+            'webcal://192.168.0.10/cal.ics',
+            'https://intranet.example.com/cal.ics',
+            'https://rebind.example.com/cal.ics'
+        ])('rejects %s', async (url) => {
+            await expect(calendarSubscriptionService.createSubscription(1, { name: 'Feed', ical_url: url }))
+                .rejects.toThrow('Calendar URL must point to a public host');
+
+            expect(database.query).not.toHaveBeenCalled();
+        });
+
+        it('accepts public hosts', async () => {
+            await calendarSubscriptionService.createSubscription(1, {
+                name: 'Feed',
+                ical_url: 'webcal://feeds.example.com/cal.ics'
+            });
+
+            expect(database.query.mock.calls[0][1][2]).toBe('https://feeds.example.com/cal.ics');
+        });
+    });
+
+    describe('syncSubscription', () => {
+        it('checks every redirect target', async () => {
+            global.fetch.mockResolvedValueOnce(redirect('http://169.254.169.254/latest/meta-data'));
+
+            await expect(calendarSubscriptionService.syncSubscription(subscription))
+                .rejects.toThrow('Calendar URL must point to a public host');
+
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+        });
+
+        it('follows redirects to public hosts', async () => {
+            global.fetch
+                .mockResolvedValueOnce(redirect('https://cdn.example.com/cal.ics'))
+                .mockResolvedValueOnce(new Response(null, { status: 304 }));
+
+            const result = await calendarSubscriptionService.syncSubscription(subscription);
+
+            expect(result.status).toBe('not_modified');
+            expect(global.fetch.mock.calls[1][0]).toBe('https://cdn.example.com/cal.ics');
+        });
+
+        it('stops reading a feed without Content-Length once it exceeds the limit', async () => {
+            let pulls = 0;
+            const endless = new ReadableStream({
+                pull(controller) {
+                    pulls++;
+                    controller.enqueue(new Uint8Array(1024 * 1024));
+                }
+            });
+            global.fetch.mockResolvedValueOnce(new Response(endless, { status: 200 }));
+
+            await expect(calendarSubscriptionService.syncSubscription(subscription))
+                .rejects.toThrow('Feed exceeds maximum size');
+
+            expect(pulls).toBeLessThanOrEqual(8);
+        });
+    });
+});
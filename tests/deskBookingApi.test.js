@@ -0,0 +1,103 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/deskBookingService', () => ({
+    reserveDesk: jest.fn(),
+    getUserDeskReservations: jest.fn(),
+    checkIn: jest.fn()
+}));
+jest.mock('../core/resourceBookingService', () => ({
+    getBooking: jest.fn(),
+    cancelBooking: jest.fn()
+}));
+
+const request = require('supertest');
+const deskBookingService = require('../core/deskBookingService');
+const resourceBookingService = require('../core/resourceBookingService');
+const deskBookingApi = require('../core/deskBookingApi');
+const { createApp, authHeader } = require('./helpers');
+
+const alice = { userId: 1, username: 'alice', role: 'user' };
+const bob = { userId: 2, username: 'bob', role: 'user' };
+const moderator = { userId: 3, username: 'mod', role: 'moderator' };
+
+const reservation = { id: 9, user_id: alice.userId, resource_type: 'desk', status: 'confirmed' };
+
+describe('deskBookingApi', () => {
+    const app = createApp(deskBookingApi);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        resourceBookingService.getBooking.mockResolvedValue(reservation);
+        resourceBookingService.cancelBooking.mockResolvedValue(1);
+    });
+
+    it('reserves desks for the authenticated user', async () => {
+        deskBookingService.reserveDesk.mockResolvedValue({ ...reservation, status: 'confirmed' });
+
+        const res = await request(app)
+            .post('/api/desks/4/reservations')
+            .set('Authorization', authHeader(alice))
+            .send({ date: '2025-03-03' });
+
+        expect(res.status).toBe(201);
+        expect(deskBookingService.reserveDesk).toHaveBeenCalledWith(alice.userId, {
+            resource_id: 4,
+            date: '2025-03-03',
+            period: undefined
+        });
+    });
+
+    it('lists and checks in with the own user id', async () => {
+        deskBookingService.getUserDeskReservations.mockResolvedValue([]);
+        deskBookingService.checkIn.mockResolvedValue(reservation);
+
+        await request(app).get('/api/user/desk-reservations').set('Authorization', authHeader(bob));
+        await request(app).post('/api/desk-reservations/9/check-in').set('Authorization', authHeader(bob));
+
+        expect(deskBookingService.getUserDeskReservations.mock.calls[0][0]).toBe(bob.userId);
+        expect(deskBookingService.checkIn).toHaveBeenCalledWith(9, bob.userId);
+    });
+
+    it('refuses to cancel the reservation of another user', async () => {
+        const res = await request(app).delete('/api/desk-reservations/9').set('Authorization', authHeader(bob));
+
+        expect(res.status).toBe(403);
+        expect(resourceBookingService.cancelBooking).not.toHaveBeenCalled();
+    });
+
+    it('lets the owner and approvers cancel', async () => {
+        const byOwner = await request(app).delete('/api/desk-reservations/9').set('Authorization', authHeader(alice));
+        const byModerator = await request(app).delete('/api/desk-reservations/9').set('Authorization', authHeader(moderator));
+
+        expect(byOwner.status).toBe(200);
+        expect(byModerator.status).toBe(200);
+        expect(resourceBookingService.cancelBooking.mock.calls).toEqual([
+            [9, alice.userId],
+            [9, moderator.userId]
+        ]);
+    });
+
+    it('does not expose database errors', async () => {
+        deskBookingService.reserveDesk.mockRejectedValue(new Error('null value in column "user_id" violates not-null constraint'));
+
+        const res = await request(app)
+            .post('/api/desks/4/reservations')
+            .set('Authorization', authHeader(alice))
+            .send({ date: '2025-03-03' });
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).not.toMatch(/user_id/);
+    });
+
+    it('returns validation errors as 400', async () => {
+        deskBookingService.reserveDesk.mockRejectedValue(new Error('Reservation is in the past'));
+
+        const res = await request(app)
+            .post('/api/desks/4/reservations')
+            .set('Authorization', authHeader(alice))
+            .send({ date: '2020-01-01' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('Reservation is in the past');
+    });
+});
@@ -0,0 +1,119 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../core/driveService', () => ({}));
+jest.mock('../core/notificationService', () => ({}));
+jest.mock('../core/locationService', () => ({ getLocationSettings: jest.fn(async () => ({})) }));
+jest.mock('../core/resourceBookingService', () => ({
+    createBooking: jest.fn(),
+    BLOCKING_STATUSES: ['pending', 'confirmed']
+}));
+
+const database = require('../core/database');
+const resourceBookingService = require('../core/resourceBookingService');
+const deskBookingService = require('../core/deskBookingService');
+
+const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * In-memory resource_bookings with a per-user advisory lock held until COMMIT/ROLLBACK
+ */
+function useFakeDatabase() {
+    const bookings = [];
+    const locks = new Map();
+
+    database.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM location_resources lr')) {
+            return { rows: [{ id: params[0], name: `Desk ${params[0]}`, location_id: 1, timezone: 'UTC' }] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+
+    database.pool.connect.mockImplementation(async () => {
+        let release = null;
+        const client = {
+            query: jest.fn(async (sql, params) => {
+                if (sql.includes('pg_advisory_xact_lock')) {
+                    while (locks.has(params[0])) {
+                        await locks.get(params[0]);
+                    }
+                    let unlock;
+                    locks.set(params[0], new Promise((resolve) => { unlock = resolve; }));
+                    release = () => {
+                        locks.delete(params[0]);
+                        unlock();
+                    };
+                    return { rows: [] };
+                }
+                if (sql.includes('FROM resource_bookings rb')) {
+                    await tick();
+                    return { rows: bookings.filter(booking => booking.user_id === params[0]) };
+                }
+                if (sql === 'COMMIT' || sql === 'ROLLBACK') {
+                    if (release) {
+                        release();
+                        release = null;
+                    }
+                }
+                return { rows: [] };
+            }),
+            release: jest.fn()
+        };
+        return client;
+    });
+
+    resourceBookingService.createBooking.mockImplementation(async (data, userId, options) => {
+        expect(options.client).toBeDefined();
+        await tick();
+        const booking = { ...data, id: bookings.length + 1, user_id: userId, status: 'confirmed' };
+        bookings.push(booking);
+        return { bookings: [booking], skipped: [] };
+    });
+
+    return bookings;
+}
+
+describe('deskBookingService.reserveDesk', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('books inside the transaction that checks the user limits', async () => {
+        useFakeDatabase();
+
+        await deskBookingService.reserveDesk(1, { resource_id: 7, date: tomorrow });
+
+        const client = await database.pool.connect.mock.results[0].value;
+        const statements = client.query.mock.calls.map(([sql]) => sql);
+        expect(statements[0]).toBe('BEGIN');
+        expect(statements[1]).toContain('pg_advisory_xact_lock');
+        expect(statements[statements.length - 1]).toBe('COMMIT');
+        expect(resourceBookingService.createBooking).toHaveBeenCalledWith(
+            expect.objectContaining({ resource_id: 7, booking_period: 'full_day' }), 1, { client }
+        );
+    });
+
+    it('allows only one of two concurrent reservations for the same period', async () => {
+        const bookings = useFakeDatabase();
+
+        const results = await Promise.allSettled([
+            deskBookingService.reserveDesk(1, { resource_id: 7, date: tomorrow }),
+            deskBookingService.reserveDesk(1, { resource_id: 8, date: tomorrow })
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason.message)
+            .toBe('You already have a desk reserved for this time');
+        expect(bookings).toHaveLength(1);
+    });
+
+    it('does not hold back reservations of other users', async () => {
+        const bookings = useFakeDatabase();
+
+        await Promise.all([
+            deskBookingService.reserveDesk(1, { resource_id: 7, date: tomorrow }),
+            deskBookingService.reserveDesk(2, { resource_id: 8, date: tomorrow })
+        ]);
+
+        expect(bookings).toHaveLength(2);
+    });
+});
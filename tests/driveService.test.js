@@ -0,0 +1,94 @@
+jest.mock('../core/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/driveQuotaService', () => ({
+    checkUpload: jest.fn(),
+    checkSoftLimits: jest.fn()
+}));
+jest.mock('../core/notificationService', () => ({}));
+jest.mock('../core/groupService', () => ({}));
+
+const pool = require('../core/db');
+const driveQuotaService = require('../core/driveQuotaService');
+const driveService = require('../core/driveService');
+
+describe('driveService', () => {
+    let client;
+    let steps;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        steps = [];
+        client = {
+            query: jest.fn(async (sql) => {
+                steps.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+                if (sql.includes('INSERT INTO drive_files')) {
+                    return { rows: [{ id: 10, name: 'notes.txt', preview_status: 'none', index_status: 'none' }] };
+                }
+                return { rows: [] };
+            }),
+            release: jest.fn(() => steps.push('release'))
+        };
+        pool.connect.mockResolvedValue(client);
+        driveQuotaService.checkSoftLimits.mockImplementation(async () => steps.push('checkSoftLimits'));
+    });
+
+    describe('_createFile', () => {
+        const store = async () => ({ storagePath: 'ab/cd', fileHash: 'abcd' });
+
+        it('checks the soft limits after the transaction is committed', async () => {
+            const file = await driveService._createFile('notes.txt', 5, { userId: 1 }, store);
+
+            expect(file.id).toBe(10);
+            expect(steps).toEqual(['BEGIN', 'INSERT INTO drive_files', 'COMMIT', 'release', 'checkSoftLimits']);
+            expect(driveQuotaService.checkSoftLimits).toHaveBeenCalledWith(1, null);
+        });
+
+        it('rolls back without checking the soft limits when the insert fails', async () => {
+            client.query.mockImplementation(async (sql) => {
+                steps.push(sql.trim().split(/\s+/)[0]);
+                if (sql.includes('INSERT INTO drive_files')) {
+                    throw new Error('duplicate key');
+                }
+                return { rows: [] };
+            });
+
+            await expect(driveService._createFile('notes.txt', 5, { userId: 1 }, store)).rejects.toThrow('duplicate key');
+
+            expect(steps).toEqual(['BEGIN', 'INSERT', 'ROLLBACK', 'release']);
+            expect(driveQuotaService.checkSoftLimits).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('listFiles', () => {
+        beforeEach(() => {
+            pool.query.mockImplementation(async sql => ({
+                rows: sql.includes('COUNT(*)') ? [{ total: '0' }] : []
+            }));
+        });
+
+        const folderFilters = () => pool.query.mock.calls.map(([sql]) => /f\.folder_id (IS NULL|= \$)/.test(sql));
+
+        it('lists only the requested folder without a search term', async () => {
+            await driveService.listFiles({ userId: 1, folderId: 4 });
+
+            expect(folderFilters()).toEqual([true, true]);
+            expect(pool.query.mock.calls[0][1]).toEqual([4, 1, 50, 0]);
+        });
+
+        it('searches all accessible files regardless of the current folder', async () => {
+            await driveService.listFiles({ userId: 1, folderId: 4, search: 'budget' });
+
+            expect(folderFilters()).toEqual([false, false]);
+            expect(pool.query.mock.calls[0][0]).toContain("user_has_drive_file_access($2, f.id, 'read')");
+            expect(pool.query.mock.calls[0][1]).toEqual(['budget', 1, '%budget%', 50, 0]);
+            expect(pool.query.mock.calls[1][1]).toEqual(['budget', 1, '%budget%']);
+        });
+
+        it('limits the search to the folder with scope folder', async () => {
+            await driveService.listFiles({ userId: 1, folderId: 4, search: 'budget', scope: 'folder' });
+
+            expect(folderFilters()).toEqual([true, true]);
+            expect(pool.query.mock.calls[0][1]).toEqual(['budget', 4, 1, '%budget%', 50, 0]);
+        });
+    });
+});
@@ -0,0 +1,180 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/eventsService');
+jest.mock('../core/icalService');
+jest.mock('../core/calendarSubscriptionService');
+
+const request = require('supertest');
+const eventsService = require('../core/eventsService');
+const icalService = require('../core/icalService');
+const calendarSubscriptionService = require('../core/calendarSubscriptionService');
+const eventsApi = require('../core/eventsApi');
+const { createApp, authHeader } = require('./helpers');
+
+const alice = { userId: 1, username: 'alice', role: 'user' };
+const bob = { userId: 2, username: 'bob', role: 'user' };
+const moderator = { userId: 3, username: 'mod', role: 'moderator' };
+
+const series = { id: 10, organizer_id: alice.userId, is_recurring: true };
+const occurrence = { occurrence_start: '2025-01-08T09:00:00.000Z', scope: 'this', title: 'Changed' };
+
+describe('eventsApi occurrences', () => {
+    const app = createApp(eventsApi);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        eventsService.findEventById.mockResolvedValue(series);
+        eventsService.updateOccurrence.mockResolvedValue({ id: 11 });
+        eventsService.deleteOccurrence.mockResolvedValue();
+    });
+
+    it('lets the organizer update an occurrence', async () => {
+        const res = await request(app)
+            .put('/api/events/10/occurrences')
+            .set('Authorization', authHeader(alice))
+            .send(occurrence);
+
+        expect(res.status).toBe(200);
+        expect(eventsService.updateOccurrence).toHaveBeenCalledWith(
+            10, occurrence.occurrence_start, { title: 'Changed' }, 'this', alice.userId
+        );
+    });
+
+    it('refuses other users', async () => {
+        const res = await request(app)
+            .put('/api/events/10/occurrences')
+            .set('Authorization', authHeader(bob))
+            .send(occurrence);
+
+        expect(res.status).toBe(403);
+        expect(eventsService.updateOccurrence).not.toHaveBeenCalled();
+    });
+
+    it('allows users with events.manage_all', async () => {
+        const res = await request(app)
+            .put('/api/events/10/occurrences')
+            .set('Authorization', authHeader(moderator))
+            .send(occurrence);
+
+        expect(res.status).toBe(200);
+        expect(eventsService.updateOccurrence.mock.calls[0][4]).toBe(moderator.userId);
+    });
+
+    it('passes the acting user when deleting an occurrence', async () => {
+        const admin = { userId: 4, username: 'admin', role: 'admin' };
+
+        const res = await request(app)
+            .delete('/api/events/10/occurrences')
+            .query({ occurrence_start: occurrence.occurrence_start })
+            .set('Authorization', authHeader(admin));
+
+        expect(res.status).toBe(200);
+        expect(eventsService.deleteOccurrence).toHaveBeenCalledWith(
+            10, occurrence.occurrence_start, 'this', admin.userId
+        );
+    });
+});
+
+describe('eventsApi visibility', () => {
+    const app = createApp(eventsApi);
+    const privateSeries = { ...series, visibility: 'private' };
+    const carol = { userId: 4, username: 'carol', role: 'user' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        eventsService.findEventById.mockResolvedValue(privateSeries);
+        eventsService.getEventParticipants.mockResolvedValue([{ user_id: alice.userId }, { user_id: carol.userId }]);
+        eventsService.getEventOccurrences.mockResolvedValue([{ start_time: '2025-01-08T09:00:00.000Z' }]);
+    });
+
+    it('lists occurrences of private events for the organizer and participants', async () => {
+        for (const user of [alice, carol]) {
+            const res = await request(app).get('/api/events/10/occurrences').set('Authorization', authHeader(user));
+            expect(res.status).toBe(200);
+            expect(res.body.data).toHaveLength(1);
+        }
+    });
+
+    it('refuses occurrences and details of private events to other users', async () => {
+        const occurrences = await request(app).get('/api/events/10/occurrences').set('Authorization', authHeader(bob));
+        const details = await request(app).get('/api/events/10').set('Authorization', authHeader(bob));
+
+        expect(occurrences.status).toBe(403);
+        expect(details.status).toBe(403);
+        expect(eventsService.getEventOccurrences).not.toHaveBeenCalled();
+    });
+
+    it('lists occurrences of public events for everyone', async () => {
+        eventsService.findEventById.mockResolvedValue({ ...series, visibility: 'public' });
+
+        const res = await request(app).get('/api/events/10/occurrences').set('Authorization', authHeader(bob));
+
+        expect(res.status).toBe(200);
+    });
+
+    it('answers 404 for unknown events', async () => {
+        eventsService.findEventById.mockResolvedValue(null);
+
+        const res = await request(app).get('/api/events/99/occurrences').set('Authorization', authHeader(alice));
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('eventsApi feed tokens', () => {
+    const app = createApp(eventsApi);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        icalService.getOrCreateFeedToken.mockResolvedValue({ token: 'abc' });
+        icalService.regenerateFeedToken.mockResolvedValue({ token: 'def' });
+    });
+
+    it('creates the feed token for the authenticated user', async () => {
+        const res = await request(app)
+            .get('/api/user/events/feed')
+            .set('Authorization', authHeader(alice));
+
+        expect(res.status).toBe(200);
+        expect(icalService.getOrCreateFeedToken).toHaveBeenCalledWith(alice.userId);
+    });
+
+    it('regenerates and revokes only the own token', async () => {
+        await request(app).post('/api/user/events/feed/regenerate').set('Authorization', authHeader(bob));
+        await request(app).delete('/api/user/events/feed').set('Authorization', authHeader(bob));
+
+        expect(icalService.regenerateFeedToken).toHaveBeenCalledWith(bob.userId);
+        expect(icalService.revokeFeedToken).toHaveBeenCalledWith(bob.userId);
+    });
+});
+
+describe('eventsApi calendar subscriptions', () => {
+    const app = createApp(eventsApi);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        calendarSubscriptionService.createSubscription.mockResolvedValue({ id: 5 });
+        calendarSubscriptionService.syncSubscription.mockResolvedValue({ status: 'ok' });
+        calendarSubscriptionService.getSubscription.mockResolvedValue({ id: 5 });
+        calendarSubscriptionService.listSubscriptions.mockResolvedValue([]);
+    });
+
+    it('creates subscriptions for the authenticated user', async () => {
+        const res = await request(app)
+            .post('/api/calendar/subscriptions')
+            .set('Authorization', authHeader(alice))
+            .send({ name: 'Holidays', ical_url: 'https://example.com/holidays.ics' });
+
+        expect(res.status).toBe(201);
+        expect(calendarSubscriptionService.createSubscription.mock.calls[0][0]).toBe(alice.userId);
+        expect(calendarSubscriptionService.getSubscription).toHaveBeenCalledWith(5, alice.userId);
+    });
+
+    it('lists and deletes only the own subscriptions', async () => {
+        await request(app).get('/api/calendar/subscriptions').set('Authorization', authHeader(bob));
+        await request(app).delete('/api/calendar/subscriptions/5').set('Authorization', authHeader(bob));
+
+        expect(calendarSubscriptionService.listSubscriptions).toHaveBeenCalledWith(bob.userId);
+        expect(calendarSubscriptionService.deleteSubscription).toHaveBeenCalledWith(5, bob.userId);
+    });
+});
@@ -0,0 +1,195 @@
+jest.mock('../core/database', () => ({
+    query: jest.fn(),
+    pool: { connect: jest.fn() }
+}));
+jest.mock('../core/resourceBookingService', () => ({
+    createBooking: jest.fn(),
+    moveEventBooking: jest.fn(),
+    releaseEventBookings: jest.fn()
+}));
+jest.mock('../core/enhancedModuleRegistry', () => ({
+    applyFilterHook: jest.fn(async (hook, value) => value),
+    triggerHook: jest.fn()
+}));
+
+const database = require('../core/database');
+const moduleRegistry = require('../core/enhancedModuleRegistry');
+const resourceBookingService = require('../core/resourceBookingService');
+const eventsService = require('../core/eventsService');
+
+const dailySeries = {
+    id: 1,
+    title: 'Daily',
+    start_time: new Date('2025-01-01T09:00:00Z'),
+    end_time: new Date('2025-01-01T09:30:00Z'),
+    timezone: 'UTC',
+    is_recurring: true,
+    recurrence_rule: { freq: 'DAILY', interval: 1 },
+    recurrence_exception_dates: []
+};
+
+const singleEvent = {
+    id: 2,
+    title: 'Single',
+    start_time: new Date('2025-01-02T12:00:00Z'),
+    end_time: new Date('2025-01-02T13:00:00Z'),
+    is_recurring: false
+};
+
+describe('eventsService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('listEvents', () => {
+        it('applies limit and offset after expanding recurring events', async () => {
+            database.query
+                .mockResolvedValueOnce({ rows: [singleEvent] })
+                .mockResolvedValueOnce({ rows: [dailySeries] });
+
+            const events = await eventsService.listEvents({
+                start_date: '2025-01-01T00:00:00Z',
+                end_date: '2025-01-31T23:59:59Z',
+                limit: 3,
+                offset: 1
+            });
+
+            expect(events.map(e => [e.id, new Date(e.start_time).toISOString()])).toEqual([
+                [1, '2025-01-02T09:00:00.000Z'],
+                [2, '2025-01-02T12:00:00.000Z'],
+                [1, '2025-01-03T09:00:00.000Z']
+            ]);
+
+            // Single events are limited to offset + limit, not paged in SQL
+            const [singleQuery, singleParams] = database.query.mock.calls[0];
+            expect(singleQuery).not.toMatch(/OFFSET/);
+            expect(singleParams[singleParams.length - 1]).toBe(4);
+        });
+
+        it('only loads series that reach the requested range', async () => {
+            database.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await eventsService.listEvents({
+                start_date: '2025-06-01T00:00:00Z',
+                end_date: '2025-06-30T00:00:00Z'
+            });
+
+            const [mastersQuery, mastersParams] = database.query.mock.calls[1];
+            expect(mastersQuery).toMatch(/e\.recurrence_end IS NULL OR e\.recurrence_end >= \$2/);
+            expect(mastersParams).toEqual([new Date('2025-06-30T00:00:00Z'), new Date('2025-06-01T00:00:00Z')]);
+        });
+    });
+
+    describe('updateOccurrence', () => {
+        it("runs scope 'all' in one transaction on the same client", async () => {
+            const client = {
+                query: jest.fn(async () => ({ rows: [{ ...dailySeries, title: 'Moved' }] })),
+                release: jest.fn()
+            };
+            database.pool.connect.mockResolvedValue(client);
+            database.query.mockResolvedValue({ rows: [dailySeries] });
+
+            await eventsService.updateOccurrence(1, '2025-01-03T09:00:00Z', {
+                title: 'Moved',
+                start_time: '2025-01-03T10:00:00Z'
+            }, 'all', 7);
+
+            const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+            expect(statements[0]).toBe('BEGIN');
+            expect(client.query.mock.calls[1][0]).toMatch(/recurrence_original_start = recurrence_original_start/);
+            expect(statements).toContain('UPDATE events');
+            expect(statements[statements.length - 1]).toBe('COMMIT');
+            expect(client.release).toHaveBeenCalled();
+
+            // No write outside the transaction
+            expect(database.query.mock.calls.every(([sql]) => /^\s*SELECT/.test(sql))).toBe(true);
+            expect(moduleRegistry.triggerHook).toHaveBeenCalledTimes(1);
+        });
+
+        it('rolls back when the update fails', async () => {
+            const client = {
+                query: jest.fn(async (sql) => {
+                    if (/^\s*UPDATE events\s+SET title/.test(sql)) {
+                        throw new Error('boom');
+                    }
+                    return { rows: [] };
+                }),
+                release: jest.fn()
+            };
+            database.pool.connect.mockResolvedValue(client);
+            database.query.mockResolvedValue({ rows: [dailySeries] });
+
+            await expect(eventsService.updateOccurrence(1, '2025-01-03T09:00:00Z', { title: 'X' }, 'all', 7))
+                .rejects.toThrow('boom');
+
+            expect(client.query.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+            expect(client.release).toHaveBeenCalled();
+            expect(moduleRegistry.triggerHook).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateEvent', () => {
+        const moved = {
+            ...singleEvent,
+            start_time: new Date('2025-01-02T14:00:00Z'),
+            end_time: new Date('2025-01-02T15:00:00Z')
+        };
+
+        function mockClient(updateResult) {
+            const client = {
+                query: jest.fn(async (sql) => {
+                    if (/^\s*UPDATE events/.test(sql)) {
+                        return updateResult();
+                    }
+                    return { rows: sql.startsWith('SELECT') ? [moved] : [] };
+                }),
+                release: jest.fn()
+            };
+            database.pool.connect.mockResolvedValue(client);
+            return client;
+        }
+
+        it('moves the room booking to the stored times in the same transaction', async () => {
+            // A module moves the event by another hour
+            moduleRegistry.applyFilterHook.mockImplementationOnce(async (hook, value) => ({
+                ...value,
+                end_time: '2025-01-02T15:00:00Z'
+            }));
+            const client = mockClient(() => ({ rows: [moved] }));
+
+            await eventsService.updateEvent(2, { start_time: '2025-01-02T14:00:00Z' }, 7);
+
+            expect(resourceBookingService.moveEventBooking)
+                .toHaveBeenCalledWith(2, moved.start_time, moved.end_time, { client });
+            const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+            expect(statements[0]).toBe('BEGIN');
+            expect(statements[statements.length - 1]).toBe('COMMIT');
+            expect(database.query).not.toHaveBeenCalled();
+        });
+
+        it('rolls back the booking move when the event cannot be saved', async () => {
+            const client = mockClient(() => ({ rows: [moved] }));
+            resourceBookingService.moveEventBooking.mockRejectedValueOnce(new Error('Resource is not available'));
+
+            await expect(eventsService.updateEvent(2, { start_time: '2025-01-02T14:00:00Z' }, 7))
+                .rejects.toThrow('Resource is not available');
+
+            expect(client.query.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+            expect(client.query.mock.calls.map(([sql]) => sql)).not.toContain('COMMIT');
+            expect(moduleRegistry.triggerHook).not.toHaveBeenCalled();
+        });
+
+        it('does not move the booking when the update fails', async () => {
+            const client = mockClient(() => {
+                throw new Error('boom');
+            });
+
+            await expect(eventsService.updateEvent(2, { start_time: '2025-01-02T14:00:00Z' }, 7)).rejects.toThrow('boom');
+
+            expect(resourceBookingService.moveEventBooking).not.toHaveBeenCalled();
+            expect(client.query.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+        });
+    });
+});
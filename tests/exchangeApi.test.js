@@ -0,0 +1,52 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/exchangeService', () => ({
+    getConflictPreview: jest.fn(),
+    resolveConflict: jest.fn(),
+    resolveConflicts: jest.fn()
+}));
+
+const request = require('supertest');
+const exchangeService = require('../core/exchangeService');
+const exchangeApi = require('../core/exchangeApi');
+const { createApp, authHeader } = require('./helpers');
+
+const alice = { userId: 1, username: 'alice', role: 'user' };
+
+describe('exchangeApi conflicts', () => {
+    const app = createApp(exchangeApi);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('requires authentication', async () => {
+        const res = await request(app).get('/api/exchange/conflicts/4/preview');
+
+        expect(res.status).toBe(401);
+        expect(exchangeService.getConflictPreview).not.toHaveBeenCalled();
+    });
+
+    it('previews and resolves conflicts of the authenticated user', async () => {
+        exchangeService.getConflictPreview.mockResolvedValue({ fields: [] });
+        exchangeService.resolveConflict.mockResolvedValue({ resolved: true });
+        exchangeService.resolveConflicts.mockResolvedValue({ resolved: 2, failed: 0 });
+
+        const preview = await request(app)
+            .get('/api/exchange/conflicts/4/preview')
+            .set('Authorization', authHeader(alice));
+        await request(app)
+            .post('/api/exchange/conflicts/4/resolve')
+            .set('Authorization', authHeader(alice))
+            .send({ resolution_strategy: 'exchange_wins' });
+        await request(app)
+            .post('/api/exchange/conflicts/resolve')
+            .set('Authorization', authHeader(alice))
+            .send({ resolution_strategy: 'exchange_wins' });
+
+        expect(preview.status).toBe(200);
+        expect(exchangeService.getConflictPreview.mock.calls[0][0]).toBe(alice.userId);
+        expect(exchangeService.resolveConflict.mock.calls[0].slice(0, 2)).toEqual([alice.userId, 4]);
+        expect(exchangeService.resolveConflicts.mock.calls[0][0]).toBe(alice.userId);
+    });
+});
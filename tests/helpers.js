@@ -0,0 +1,29 @@
+const express = require('express');
+const { generateToken } = require('../core/auth');
+
+/**
+ * Express app with a single router mounted (like core/app.js)
+ */
+function createApp(router, mountPath = '/api') {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+    return app;
+}
+
+/**
+ * Authorization header for a user (token without session, as without database)
+ */
+function authHeader(user) {
+    const token = generateToken({
+        userId: user.userId,
+        username: user.username,
+        role: user.role || 'user'
+    });
+    return `Bearer ${token}`;
+}
+
+module.exports = {
+    createApp,
+    authHeader
+};
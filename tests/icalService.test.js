@@ -0,0 +1,51 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/eventsService', () => ({}));
+
+const icalService = require('../core/icalService');
+
+const weekly = {
+    id: 10,
+    title: 'Weekly',
+    start_time: '2025-01-01T09:00:00.000Z',
+    end_time: '2025-01-01T10:00:00.000Z',
+    timezone: 'UTC',
+    is_recurring: true,
+    recurrence_rule: { freq: 'WEEKLY', interval: 1 },
+    // 8th: changed occurrence, 15th: deleted occurrence
+    recurrence_exception_dates: ['2025-01-08T09:00:00.000Z', '2025-01-15T09:00:00.000Z']
+};
+
+const changed = {
+    id: 11,
+    title: 'Weekly (moved)',
+    start_time: '2025-01-08T11:00:00.000Z',
+    end_time: '2025-01-08T12:00:00.000Z',
+    timezone: 'UTC',
+    is_recurring: false,
+    recurrence_parent_id: 10,
+    recurrence_original_start: '2025-01-08T09:00:00.000Z'
+};
+
+const lines = calendar => calendar.split('\r\n');
+
+describe('icalService.buildCalendar', () => {
+    it('writes EXDATE only for deleted occurrences, not for exported overrides', () => {
+        const calendar = lines(icalService.buildCalendar([weekly, changed]));
+
+        expect(calendar.filter(line => line.startsWith('EXDATE'))).toEqual(['EXDATE;TZID=UTC:20250115T090000']);
+        expect(calendar).toContain('RECURRENCE-ID;TZID=UTC:20250108T090000');
+
+        const uids = calendar.filter(line => line.startsWith('UID:'));
+        expect(uids).toHaveLength(2);
+        expect(uids[1]).toBe(uids[0]);
+    });
+
+    it('keeps the EXDATE when the override is not part of the calendar', () => {
+        const calendar = lines(icalService.buildCalendar([weekly]));
+
+        expect(calendar.filter(line => line.startsWith('EXDATE'))).toEqual([
+            'EXDATE;TZID=UTC:20250108T090000',
+            'EXDATE;TZID=UTC:20250115T090000'
+        ]);
+    });
+});
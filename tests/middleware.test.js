@@ -0,0 +1,191 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/sessionService', () => ({
+    isEnabled: jest.fn(),
+    isSessionActive: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const sessionService = require('../core/sessionService');
+const database = require('../core/database');
+const roleService = require('../core/roleService');
+const { generateToken } = require('../core/auth');
+const { authenticateToken, optionalAuth, requireRole, requirePermission } = require('../core/middleware');
+const { authHeader } = require('./helpers');
+const twoFactorService = require('../core/twoFactorService');
+
+const alice = { userId: 1, username: 'alice', role: 'user' };
+
+function createApp() {
+    const app = express();
+    app.get('/me', authenticateToken, (req, res) => res.json(req.user));
+    app.get('/optional', optionalAuth, (req, res) => res.json({ user: req.user }));
+    app.get('/admin', authenticateToken, requireRole('admin'), (req, res) => res.json({ ok: true }));
+    app.get('/events', authenticateToken, requirePermission('events.view'), (req, res) => res.json({ ok: true }));
+    app.get('/users', authenticateToken, requirePermission('admin.users'), (req, res) => res.json({ ok: true }));
+    return app;
+}
+
+const sessionToken = (sid) => `Bearer ${generateToken({ ...alice, sid })}`;
+
+describe('authenticateToken', () => {
+    const app = createApp();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        delete process.env.SESSION_ALLOW_LEGACY_TOKENS;
+        sessionService.isEnabled.mockReturnValue(true);
+    });
+
+    it('rejects requests without token with 401', async () => {
+        const res = await request(app).get('/me');
+        expect(res.status).toBe(401);
+    });
+
+    it('rejects invalid and expired tokens with 403', async () => {
+        const invalid = await request(app).get('/me').set('Authorization', 'Bearer not-a-token');
+        const expired = await request(app)
+            .get('/me')
+            .set('Authorization', `Bearer ${generateToken({ ...alice, sid: 5 }, '-10s')}`);
+
+        for (const res of [invalid, expired]) {
+            expect(res.status).toBe(403);
+            expect(res.body).toEqual({ error: 'Ungültiger oder abgelaufener Token', code: 'TOKEN_INVALID' });
+        }
+    });
+
+    it('accepts tokens of an active session', async () => {
+        sessionService.isSessionActive.mockResolvedValue(true);
+
+        const res = await request(app).get('/me').set('Authorization', sessionToken(5));
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ userId: 1, username: 'alice', role: 'user', sessionId: 5 });
+        expect(sessionService.isSessionActive).toHaveBeenCalledWith(5);
+    });
+
+    it('rejects tokens of a revoked session with 403', async () => {
+        sessionService.isSessionActive.mockResolvedValue(false);
+
+        const res = await request(app).get('/me').set('Authorization', sessionToken(5));
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('rejects tokens without session outside production unless the migration flag is set', async () => {
+        expect(process.env.NODE_ENV).not.toBe('production');
+
+        const rejected = await request(app).get('/me').set('Authorization', authHeader(alice));
+        expect(rejected.status).toBe(403);
+        expect(rejected.body.code).toBe('SESSION_REVOKED');
+
+        process.env.SESSION_ALLOW_LEGACY_TOKENS = 'true';
+        const accepted = await request(app).get('/me').set('Authorization', authHeader(alice));
+        expect(accepted.status).toBe(200);
+    });
+
+    it('accepts tokens without session when sessions are disabled (no database)', async () => {
+        sessionService.isEnabled.mockReturnValue(false);
+
+        const res = await request(app).get('/me').set('Authorization', authHeader(alice));
+
+        expect(res.status).toBe(200);
+        expect(res.body.sessionId).toBeNull();
+    });
+});
+
+describe('2FA challenge tokens', () => {
+    const app = createApp();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        delete process.env.SESSION_ALLOW_LEGACY_TOKENS;
+    });
+
+    it.each(['verify', 'setup'])('are no access tokens (%s), even when session-less tokens are accepted', async (purpose) => {
+        const challenge = `Bearer ${twoFactorService.createChallenge({ id: 1, authMethod: 'local' }, purpose)}`;
+
+        sessionService.isEnabled.mockReturnValue(false);
+        const stateless = await request(app).get('/me').set('Authorization', challenge);
+
+        sessionService.isEnabled.mockReturnValue(true);
+        process.env.SESSION_ALLOW_LEGACY_TOKENS = 'true';
+        const legacy = await request(app).get('/me').set('Authorization', challenge);
+        const optional = await request(app).get('/optional').set('Authorization', challenge);
+
+        expect(stateless.status).toBe(403);
+        expect(stateless.body.code).toBe('TOKEN_INVALID');
+        expect(legacy.status).toBe(403);
+        expect(optional.body.user).toBeNull();
+    });
+});
+
+describe('optionalAuth', () => {
+    const app = createApp();
+
+    beforeEach(() => {
+        sessionService.isEnabled.mockReturnValue(true);
+    });
+
+    it('treats revoked sessions and invalid tokens as anonymous', async () => {
+        sessionService.isSessionActive.mockResolvedValue(false);
+
+        const revoked = await request(app).get('/optional').set('Authorization', sessionToken(5));
+        const invalid = await request(app).get('/optional').set('Authorization', 'Bearer not-a-token');
+
+        expect(revoked.body.user).toBeNull();
+        expect(invalid.body.user).toBeNull();
+    });
+});
+
+describe('role and permission middleware', () => {
+    const app = createApp();
+
+    beforeEach(() => {
+        sessionService.isEnabled.mockReturnValue(false);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        database.pool = null;
+    });
+
+    it('checks roles', async () => {
+        const asUser = await request(app).get('/admin').set('Authorization', authHeader(alice));
+        const asAdmin = await request(app).get('/admin').set('Authorization', authHeader({ ...alice, role: 'admin' }));
+
+        expect(asUser.status).toBe(403);
+        expect(asAdmin.status).toBe(200);
+    });
+
+    it('checks the roles from the database instead of the token role', async () => {
+        database.pool = {};
+        const getUserPermissions = jest.spyOn(roleService, 'getUserPermissions');
+
+        // admin revoked after the token was issued
+        getUserPermissions.mockResolvedValue({ roles: ['user'], permissions: new Set() });
+        const revoked = await request(app).get('/admin').set('Authorization', authHeader({ ...alice, role: 'admin' }));
+        expect(revoked.status).toBe(403);
+
+        // admin granted as additional role
+        getUserPermissions.mockResolvedValue({ roles: ['user', 'admin'], permissions: new Set() });
+        const granted = await request(app).get('/admin').set('Authorization', authHeader(alice));
+        expect(granted.status).toBe(200);
+    });
+
+    it('checks permissions including inherited ones', async () => {
+        const guest = { ...alice, role: 'guest' };
+        const moderator = { ...alice, role: 'moderator' };
+
+        expect((await request(app).get('/events').set('Authorization', authHeader(alice))).status).toBe(200);
+        expect((await request(app).get('/events').set('Authorization', authHeader(guest))).status).toBe(403);
+        // moderator inherits events.view via editor → user
+        expect((await request(app).get('/events').set('Authorization', authHeader(moderator))).status).toBe(200);
+        expect((await request(app).get('/users').set('Authorization', authHeader(moderator))).status).toBe(403);
+    });
+});
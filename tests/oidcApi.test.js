@@ -0,0 +1,202 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/sessionService', () => ({ isEnabled: () => false }));
+jest.mock('../core/auditService', () => ({ log: jest.fn(), ACTIONS: {} }));
+jest.mock('../core/userService', () => ({
+    findUserById: jest.fn(),
+    findUserByEmail: jest.fn(),
+    createUser: jest.fn()
+}));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const database = require('../core/database');
+const auditService = require('../core/auditService');
+const userService = require('../core/userService');
+const oidcApi = require('../core/oidcApi');
+
+process.env.OIDC_REDIRECT_BASE_URL = 'http://intranet.test';
+
+let provider;
+let users;
+let identities;
+
+/**
+ * In-memory oidc_providers, oidc_role_mappings and oidc_identities
+ */
+function handleQuery(sql, params = []) {
+    if (sql.startsWith('SELECT * FROM oidc_providers WHERE slug = $1')) {
+        return { rows: params[0] === provider.slug ? [provider] : [] };
+    }
+    if (sql.includes('FROM oidc_role_mappings')) {
+        const [, values] = params;
+        const mappings = [
+            { claim_value: 'intranet-admins', app_role: 'admin', priority: 10 },
+            { claim_value: 'intranet-editors', app_role: 'editor', priority: 5 }
+        ];
+        return {
+            rows: mappings
+                .filter(mapping => values.includes(mapping.claim_value))
+                .sort((a, b) => b.priority - a.priority)
+                .slice(0, 1)
+        };
+    }
+    if (sql.startsWith('SELECT user_id FROM oidc_identities')) {
+        return { rows: identities.filter(identity => identity.subject === params[1]) };
+    }
+    if (sql.includes('INSERT INTO oidc_identities')) {
+        identities.push({ user_id: params[1], subject: params[2] });
+        return { rows: [] };
+    }
+    if (sql.includes('UPDATE oidc_identities SET last_login_at') || sql.startsWith('UPDATE users SET role')) {
+        return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+/**
+ * Result of the frontend redirect (/login#token=... or /login#error=...)
+ */
+function fragment(res) {
+    expect(res.status).toBe(302);
+    return Object.fromEntries(new URLSearchParams(res.headers.location.split('#')[1]));
+}
+
+describe('oidcApi callback against the mock issuer', () => {
+    const app = express();
+    app.use(cookieParser());
+    app.use('/api', oidcApi);
+
+    let issuerServer;
+
+    beforeAll(async () => {
+        const issuerApp = express();
+        issuerServer = await new Promise((resolve) => {
+            const server = issuerApp.listen(0, '127.0.0.1', () => resolve(server));
+        });
+
+        // The issuer URL is read when the mock issuer is loaded
+        process.env.OIDC_MOCK_ISSUER_URL = `http://127.0.0.1:${issuerServer.address().port}/api/oidc-mock`;
+        issuerApp.use('/api/oidc-mock', require('../core/oidcMockIssuer'));
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => issuerServer.close(resolve));
+    });
+
+    beforeEach(() => {
+        provider = {
+            id: 1,
+            slug: 'mock',
+            name: 'Mock',
+            issuer_url: process.env.OIDC_MOCK_ISSUER_URL,
+            client_id: 'intranet',
+            client_secret: null,
+            scopes: 'openid profile email',
+            username_claim: 'preferred_username',
+            role_claim: 'groups',
+            default_role: 'user',
+            auto_provision: true,
+            link_existing_users: false,
+            is_active: true
+        };
+        users = [];
+        identities = [];
+
+        jest.clearAllMocks();
+        database.query.mockImplementation(async (sql, params) => handleQuery(sql, params));
+        userService.findUserById.mockImplementation(async id => users.find(user => user.id === id) || null);
+        userService.createUser.mockImplementation(async (data) => {
+            const user = { id: users.length + 10, ...data, auth_method: data.authMethod, is_active: true };
+            users.push(user);
+            return user;
+        });
+    });
+
+    /**
+     * Login redirect and sign-in at the mock issuer
+     *
+     * @returns {Promise<{ cookie: string, code: string, state: string }>}
+     */
+    async function signIn(username, groups = '') {
+        const login = await request(app).get('/api/auth/oidc/mock/login');
+        expect(login.status).toBe(302);
+
+        const authorizeUrl = new URL(login.headers.location);
+        authorizeUrl.searchParams.set('login_hint', username);
+        authorizeUrl.searchParams.set('mock_groups', groups);
+
+        const authorize = await fetch(authorizeUrl, { redirect: 'manual' });
+        const callbackUrl = new URL(authorize.headers.get('location'));
+        expect(callbackUrl.pathname).toBe('/api/auth/oidc/mock/callback');
+
+        return {
+            cookie: login.headers['set-cookie'][0].split(';')[0],
+            code: callbackUrl.searchParams.get('code'),
+            state: callbackUrl.searchParams.get('state')
+        };
+    }
+
+    const callback = ({ cookie, code, state }) => request(app)
+        .get('/api/auth/oidc/mock/callback')
+        .query({ code, state })
+        .set('Cookie', cookie);
+
+    it('provisions a new user just in time and signs them in', async () => {
+        const res = await callback(await signIn('alice'));
+
+        const { token } = fragment(res);
+        expect(jwt.verify(token, process.env.JWT_SECRET)).toMatchObject({ username: 'alice', role: 'user' });
+        expect(userService.createUser).toHaveBeenCalledWith({
+            username: 'alice',
+            email: 'alice@oidc-mock.local',
+            name: 'Alice',
+            role: 'user',
+            authMethod: 'oauth'
+        });
+        expect(identities).toEqual([{ user_id: users[0].id, subject: 'mock-alice' }]);
+
+        // Second login uses the linked identity
+        const again = await callback(await signIn('alice'));
+        expect(fragment(again).token).toBeDefined();
+        expect(userService.createUser).toHaveBeenCalledTimes(1);
+    });
+
+    it('maps the role claim to the highest priority role', async () => {
+        const res = await callback(await signIn('bob', 'staff,intranet-editors,intranet-admins'));
+
+        expect(jwt.decode(fragment(res).token).role).toBe('admin');
+        expect(users[0].role).toBe('admin');
+    });
+
+    it('rejects a callback whose state does not match the login', async () => {
+        const flow = await signIn('alice');
+
+        const res = await callback({ ...flow, state: 'forged-state' });
+
+        expect(fragment(res)).toEqual({ error: 'login_expired' });
+        expect(userService.createUser).not.toHaveBeenCalled();
+    });
+
+    it('rejects an ID token whose nonce does not match the login', async () => {
+        const flow = await signIn('alice');
+        const { iat, exp, ...pending } = jwt.decode(decodeURIComponent(flow.cookie.split('=')[1]));
+        const cookie = `oidc_auth=${jwt.sign({ ...pending, nonce: 'other-nonce' }, process.env.JWT_SECRET)}`;
+
+        const res = await callback({ ...flow, cookie });
+
+        expect(fragment(res)).toEqual({ error: 'oidc_failed' });
+        expect(auditService.log).toHaveBeenCalledWith(expect.objectContaining({ errorMessage: 'ID token nonce mismatch' }));
+        expect(userService.createUser).not.toHaveBeenCalled();
+    });
+
+    it('refuses unknown users when auto provisioning is off', async () => {
+        provider.auto_provision = false;
+
+        const res = await callback(await signIn('carol'));
+
+        expect(fragment(res)).toEqual({ error: 'not_provisioned' });
+    });
+});
@@ -0,0 +1,71 @@
+const recurrence = require('../core/recurrence');
+
+const weeklyEvent = (rule) => ({
+    start_time: '2025-01-01T09:00:00.000Z',
+    end_time: '2025-01-01T10:00:00.000Z',
+    timezone: 'UTC',
+    recurrence_rule: rule
+});
+
+describe('recurrence', () => {
+    describe('expandRecurrence', () => {
+        it('expands a weekly series within the range', () => {
+            const event = weeklyEvent({ freq: 'WEEKLY', interval: 1 });
+            const occurrences = recurrence.expandRecurrence(event, '2025-01-01T00:00:00Z', '2025-01-31T23:59:59Z');
+
+            expect(occurrences.map(o => o.start.toISOString())).toEqual([
+                '2025-01-01T09:00:00.000Z',
+                '2025-01-08T09:00:00.000Z',
+                '2025-01-15T09:00:00.000Z',
+                '2025-01-22T09:00:00.000Z',
+                '2025-01-29T09:00:00.000Z'
+            ]);
+        });
+
+        it('skips exception dates and honours the limit', () => {
+            const event = {
+                ...weeklyEvent({ freq: 'WEEKLY', interval: 1 }),
+                recurrence_exception_dates: ['2025-01-08T09:00:00.000Z']
+            };
+            const occurrences = recurrence.expandRecurrence(event, '2025-01-01T00:00:00Z', '2025-12-31T00:00:00Z', { limit: 2 });
+
+            expect(occurrences.map(o => o.start.toISOString())).toEqual([
+                '2025-01-01T09:00:00.000Z',
+                '2025-01-15T09:00:00.000Z'
+            ]);
+        });
+
+        it('keeps the local time across daylight saving changes', () => {
+            const event = {
+                start_time: '2025-03-28T08:00:00.000Z', // 09:00 Europe/Berlin (CET)
+                end_time: '2025-03-28T09:00:00.000Z',
+                timezone: 'Europe/Berlin',
+                recurrence_rule: { freq: 'DAILY', interval: 1, count: 4 }
+            };
+            const occurrences = recurrence.expandRecurrence(event, '2025-03-01T00:00:00Z', '2025-04-30T00:00:00Z');
+
+            expect(occurrences.map(o => o.start.toISOString())).toEqual([
+                '2025-03-28T08:00:00.000Z',
+                '2025-03-29T08:00:00.000Z',
+                '2025-03-30T07:00:00.000Z',
+                '2025-03-31T07:00:00.000Z'
+            ]);
+        });
+    });
+
+    describe('getSeriesEnd', () => {
+        it('returns the end of the last occurrence for COUNT', () => {
+            const end = recurrence.getSeriesEnd(weeklyEvent({ freq: 'WEEKLY', interval: 1, count: 3 }));
+            expect(end.toISOString()).toBe('2025-01-15T10:00:00.000Z');
+        });
+
+        it('returns UNTIL plus the duration', () => {
+            const end = recurrence.getSeriesEnd(weeklyEvent({ freq: 'WEEKLY', interval: 1, until: '2025-02-01T00:00:00Z' }));
+            expect(end.toISOString()).toBe('2025-02-01T01:00:00.000Z');
+        });
+
+        it('returns null for unbounded series', () => {
+            expect(recurrence.getSeriesEnd(weeklyEvent({ freq: 'DAILY', interval: 1 }))).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,133 @@
+jest.mock('../core/database', () => {
+    const database = { query: jest.fn() };
+    database.pool = { connect: jest.fn(async () => ({ query: database.query, release: () => {} })) };
+    return database;
+});
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/sessionService', () => ({ isEnabled: () => false }));
+jest.mock('../core/notificationService', () => ({ createNotification: jest.fn() }));
+
+const request = require('supertest');
+const database = require('../core/database');
+const resourceBookingApi = require('../core/resourceBookingApi');
+const { createApp, authHeader } = require('./helpers');
+
+const alice = { userId: 1, username: 'alice', role: 'user' };
+const bob = { userId: 2, username: 'bob', role: 'user' };
+const moderator = { userId: 3, username: 'mod', role: 'moderator' };
+
+const room = {
+    id: 7, name: 'Room 1', is_active: true, is_bookable: true,
+    requires_approval: false, booking_buffer: 0, capacity: 10
+};
+
+// In-memory resource_bookings table for the statements the booking service issues
+let bookings;
+
+function handleQuery(sql, params = []) {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) {
+        return { rows: [] };
+    }
+    if (/FROM location_resources WHERE id = \$1 FOR UPDATE/.test(sql)) {
+        return { rows: params[0] === room.id ? [room] : [] };
+    }
+    if (/JOIN unnest/.test(sql)) {
+        return { rows: [] };
+    }
+    if (/^\s*INSERT INTO resource_bookings/.test(sql)) {
+        const booking = {
+            id: bookings.length + 1,
+            resource_id: params[0],
+            user_id: params[1],
+            title: params[3],
+            start_time: params[6],
+            end_time: params[7],
+            status: params[10]
+        };
+        bookings.push(booking);
+        return { rows: [booking] };
+    }
+    if (/FROM resource_bookings rb[\s\S]*WHERE 1=1/.test(sql)) {
+        const userFilter = sql.match(/rb\.user_id = \$(\d+)/);
+        return {
+            rows: userFilter
+                ? bookings.filter(booking => booking.user_id === params[userFilter[1] - 1])
+                : bookings
+        };
+    }
+    if (/FROM resource_bookings rb[\s\S]*WHERE rb\.id = \$1/.test(sql)) {
+        return { rows: bookings.filter(booking => booking.id === params[0]) };
+    }
+    if (/^\s*UPDATE resource_bookings/.test(sql)) {
+        return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+describe('resourceBookingApi', () => {
+    const app = createApp(resourceBookingApi);
+
+    beforeEach(() => {
+        bookings = [];
+        database.query.mockReset();
+        database.query.mockImplementation(async (sql, params) => handleQuery(sql, params));
+    });
+
+    const book = (user, hour) => request(app)
+        .post('/api/bookings')
+        .set('Authorization', authHeader(user))
+        .send({
+            resource_id: room.id,
+            title: `${user.username}'s meeting`,
+            start_time: `2025-03-03T${hour}:00:00Z`,
+            end_time: `2025-03-03T${hour}:30:00Z`
+        });
+
+    it('creates bookings for the authenticated user and lists only their own', async () => {
+        expect((await book(alice, '09')).status).toBe(201);
+        expect((await book(bob, '10')).status).toBe(201);
+
+        expect(bookings.map(booking => booking.user_id)).toEqual([alice.userId, bob.userId]);
+
+        const aliceList = await request(app).get('/api/user/bookings').set('Authorization', authHeader(alice));
+        const bobList = await request(app).get('/api/user/bookings').set('Authorization', authHeader(bob));
+
+        expect(aliceList.status).toBe(200);
+        expect(aliceList.body.data.map(booking => booking.title)).toEqual(["alice's meeting"]);
+        expect(bobList.body.data.map(booking => booking.title)).toEqual(["bob's meeting"]);
+    });
+
+    it('only lets the owner or an approver cancel a booking', async () => {
+        await book(alice, '09');
+
+        const byBob = await request(app).delete('/api/bookings/1').set('Authorization', authHeader(bob));
+        expect(byBob.status).toBe(403);
+
+        const byModerator = await request(app).delete('/api/bookings/1').set('Authorization', authHeader(moderator));
+        expect(byModerator.status).not.toBe(403);
+    });
+
+    it('does not expose database errors', async () => {
+        database.query.mockImplementation(async (sql, params) => {
+            if (/^\s*INSERT INTO resource_bookings/.test(sql)) {
+                throw new Error('null value in column "user_id" violates not-null constraint');
+            }
+            return handleQuery(sql, params);
+        });
+
+        const res = await book(alice, '09');
+
+        expect(res.status).toBe(500);
+        expect(res.body.message).not.toMatch(/user_id/);
+    });
+
+    it('returns validation errors as 400', async () => {
+        const res = await request(app)
+            .post('/api/bookings')
+            .set('Authorization', authHeader(alice))
+            .send({ resource_id: room.id, start_time: '2025-03-03T10:00:00Z', end_time: '2025-03-03T09:00:00Z' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toBe('End time must be after start time');
+    });
+});
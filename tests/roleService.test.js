@@ -0,0 +1,111 @@
+jest.mock('../core/database', () => ({
+    query: jest.fn(),
+    pool: { connect: jest.fn() }
+}));
+
+const database = require('../core/database');
+const roleService = require('../core/roleService');
+const { userHasPermission } = require('../core/permissions');
+
+/**
+ * Fake role tables: roles { name: [permissions] }, inheritance [[role, parent]],
+ * userRoles { userId: [roles] }
+ */
+function useRoleTables({ roles, inheritance = [], userRoles = {} }) {
+    const allPermissions = [...new Set(Object.values(roles).flat())].sort();
+
+    database.query.mockImplementation(async (sql, params) => {
+        if (sql.startsWith('SELECT id, role_name FROM roles')) {
+            return { rows: Object.keys(roles).map((name, index) => ({ id: index + 1, role_name: name })) };
+        }
+        if (sql.includes('FROM role_permissions')) {
+            return {
+                rows: Object.entries(roles).flatMap(([name, keys]) =>
+                    keys.map(key => ({ role_name: name, permission_key: key })))
+            };
+        }
+        if (sql.includes('FROM role_inheritance')) {
+            return { rows: inheritance.map(([name, parent]) => ({ role_name: name, parent_name: parent })) };
+        }
+        if (sql.startsWith('SELECT permission_key FROM permissions')) {
+            return { rows: allPermissions.map(key => ({ permission_key: key })) };
+        }
+        if (sql.includes('FROM users u')) {
+            return { rows: (userRoles[params[0]] || []).map(name => ({ role_name: name })) };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+}
+
+describe('roleService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        roleService.invalidateCache();
+    });
+
+    it('resolves inherited permissions', async () => {
+        useRoleTables({
+            roles: { guest: ['wiki.read'], user: ['events.view'], editor: ['wiki.edit'] },
+            inheritance: [['user', 'guest'], ['editor', 'user']]
+        });
+
+        expect(await roleService.getRolePermissions('editor')).toEqual(['events.view', 'wiki.edit', 'wiki.read']);
+        expect(await roleService.getRolePermissions('guest')).toEqual(['wiki.read']);
+    });
+
+    it('does not cache a partial set for roles inside an inheritance cycle', async () => {
+        useRoleTables({
+            roles: { alpha: ['alpha.read'], beta: ['beta.read'], gamma: ['gamma.read'] },
+            inheritance: [['alpha', 'beta'], ['beta', 'gamma'], ['gamma', 'alpha']]
+        });
+
+        const expected = ['alpha.read', 'beta.read', 'gamma.read'];
+        expect(await roleService.getRolePermissions('alpha')).toEqual(expected);
+        expect(await roleService.getRolePermissions('beta')).toEqual(expected);
+        expect(await roleService.getRolePermissions('gamma')).toEqual(expected);
+        expect(roleService.getCachedRolePermissions('beta').sort()).toEqual(expected);
+    });
+
+    it('gives the admin role every permission', async () => {
+        useRoleTables({ roles: { admin: [], user: ['events.view'], custom: ['custom.run'] } });
+
+        expect(await roleService.getRolePermissions('admin')).toEqual(['custom.run', 'events.view']);
+    });
+
+    it('combines the primary and additional roles of a user', async () => {
+        useRoleTables({
+            roles: { user: ['events.view'], booker: ['bookings.approve'] },
+            userRoles: { 7: ['user', 'booker'] }
+        });
+
+        const { roles, permissions } = await roleService.getUserPermissions({ userId: 7, role: 'user' });
+
+        expect(roles).toEqual(['user', 'booker']);
+        expect([...permissions].sort()).toEqual(['bookings.approve', 'events.view']);
+    });
+});
+
+describe('userHasPermission', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        roleService.invalidateCache();
+        roleService.invalidateUserCache(7);
+    });
+
+    it('uses custom roles from the database', async () => {
+        useRoleTables({
+            roles: { user: ['events.view'], booker: ['bookings.approve'] },
+            userRoles: { 7: ['user', 'booker'], 8: ['user'] }
+        });
+
+        expect(await userHasPermission({ userId: 7, role: 'user' }, 'bookings.approve')).toBe(true);
+        expect(await userHasPermission({ userId: 8, role: 'user' }, 'bookings.approve')).toBe(false);
+    });
+
+    it('falls back to the default roles when the role tables are unavailable', async () => {
+        database.query.mockRejectedValue(new Error('relation "roles" does not exist'));
+
+        expect(await userHasPermission({ userId: 7, role: 'moderator' }, 'bookings.approve')).toBe(true);
+        expect(await userHasPermission({ userId: 7, role: 'user' }, 'bookings.approve')).toBe(false);
+    });
+});
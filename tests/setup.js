@@ -0,0 +1,3 @@
+// Test environment: no database connection, quiet logs, fixed JWT secret
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = 'error';
@@ -0,0 +1,52 @@
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/socialService', () => ({}));
+jest.mock('../core/notificationService', () => ({
+    getUnreadCount: jest.fn(),
+    markAsRead: jest.fn(),
+    markAllAsRead: jest.fn(),
+    getSettings: jest.fn(),
+    updateSettings: jest.fn()
+}));
+
+const request = require('supertest');
+const notificationService = require('../core/notificationService');
+const socialApi = require('../core/socialApi');
+const { createApp, authHeader } = require('./helpers');
+
+const alice = { userId: 1, username: 'alice', role: 'user' };
+
+describe('socialApi notifications', () => {
+    const app = createApp(socialApi);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('counts and marks the notifications of the authenticated user', async () => {
+        notificationService.getUnreadCount.mockResolvedValue(3);
+
+        const count = await request(app).get('/api/notifications/unread-count').set('Authorization', authHeader(alice));
+        await request(app).put('/api/notifications/5/read').set('Authorization', authHeader(alice));
+        await request(app).put('/api/notifications/read-all').set('Authorization', authHeader(alice));
+
+        expect(count.body.data).toEqual({ count: 3 });
+        expect(notificationService.getUnreadCount).toHaveBeenCalledWith(alice.userId);
+        expect(notificationService.markAsRead).toHaveBeenCalledWith(5, alice.userId);
+        expect(notificationService.markAllAsRead).toHaveBeenCalledWith(alice.userId);
+    });
+
+    it('reads and updates the own notification settings', async () => {
+        notificationService.getSettings.mockResolvedValue({ digest_frequency: 'none' });
+        notificationService.updateSettings.mockResolvedValue({ digest_frequency: 'daily' });
+
+        await request(app).get('/api/notifications/settings').set('Authorization', authHeader(alice));
+        await request(app)
+            .put('/api/notifications/settings')
+            .set('Authorization', authHeader(alice))
+            .send({ digest_frequency: 'daily' });
+
+        expect(notificationService.getSettings).toHaveBeenCalledWith(alice.userId);
+        expect(notificationService.updateSettings).toHaveBeenCalledWith(alice.userId, { digest_frequency: 'daily' });
+    });
+});
@@ -0,0 +1,327 @@
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'admin';
+
+jest.mock('../core/database', () => {
+    const database = { query: jest.fn() };
+    database.pool = { connect: jest.fn(async () => ({ query: database.query, release: () => {} })) };
+    return database;
+});
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/sessionService', () => ({ isEnabled: () => false }));
+jest.mock('../core/auditService', () => ({ log: jest.fn(), ACTIONS: {} }));
+jest.mock('../core/userService', () => ({}));
+jest.mock('../core/locationService', () => ({}));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const database = require('../core/database');
+const roleService = require('../core/roleService');
+const auth = require('../core/auth');
+const twoFactorApi = require('../core/twoFactorApi');
+const userManagementApi = require('../core/userManagementApi');
+const { authHeader } = require('./helpers');
+
+const PASSWORD = 'correct horse';
+
+let users;
+let recoveryCodes;
+// userId -> additional roles (user_roles)
+let additionalRoles;
+
+function hash(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * In-memory users (with 2FA columns) and user_recovery_codes
+ */
+function handleQuery(sql, params = []) {
+    const user = users.find(row => row.id === params[0] || row.username === params[0]);
+
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) {
+        return { rows: [] };
+    }
+    if (/^SELECT .* FROM users WHERE (id|username) = \$1$/.test(sql.replace(/\s+/g, ' ').trim())) {
+        return { rows: user ? [{ ...user }] : [] };
+    }
+    if (sql.includes('FROM user_roles ur')) {
+        return { rows: [user.role, ...(additionalRoles[user.id] || [])].map(role_name => ({ role_name })) };
+    }
+    if (sql === 'SELECT id, role_name FROM roles') {
+        return { rows: ['admin', 'user'].map((role_name, index) => ({ id: index + 1, role_name })) };
+    }
+    if (/FROM role_permissions|FROM role_inheritance/.test(sql)) {
+        return { rows: [] };
+    }
+    if (sql.startsWith('SELECT permission_key FROM permissions')) {
+        return { rows: [{ permission_key: 'admin.users' }] };
+    }
+    if (sql.includes('UPDATE users SET two_factor_last_step = $2')) {
+        if (user.two_factor_last_step !== null && user.two_factor_last_step >= params[1]) {
+            return { rows: [] };
+        }
+        user.two_factor_last_step = params[1];
+        return { rows: [{ id: user.id }] };
+    }
+    if (sql.includes('UPDATE users SET two_factor_pending_secret = $2')) {
+        user.two_factor_pending_secret = params[1];
+        return { rows: [] };
+    }
+    if (sql.includes('two_factor_secret = two_factor_pending_secret')) {
+        Object.assign(user, {
+            two_factor_secret: user.two_factor_pending_secret,
+            two_factor_pending_secret: null,
+            two_factor_enabled: true,
+            two_factor_last_step: params[1]
+        });
+        return { rows: [] };
+    }
+    if (sql.includes('two_factor_secret = NULL')) {
+        if (!user) {
+            return { rows: [] };
+        }
+        Object.assign(user, {
+            two_factor_secret: null,
+            two_factor_pending_secret: null,
+            two_factor_enabled: false,
+            two_factor_last_step: null
+        });
+        return { rows: [{ id: user.id }] };
+    }
+    if (sql.includes('DELETE FROM user_recovery_codes')) {
+        recoveryCodes = recoveryCodes.filter(row => row.user_id !== params[0]);
+        return { rows: [] };
+    }
+    if (sql.includes('INSERT INTO user_recovery_codes')) {
+        recoveryCodes.push({ user_id: params[0], code_hash: params[1], used_at: null });
+        return { rows: [] };
+    }
+    if (sql.includes('UPDATE user_recovery_codes SET used_at')) {
+        const code = recoveryCodes.find(row =>
+            row.user_id === params[0] && row.code_hash === params[1] && row.used_at === null);
+        if (!code) {
+            return { rows: [] };
+        }
+        code.used_at = new Date();
+        return { rows: [{ id: 1 }] };
+    }
+    if (sql.includes('FROM user_recovery_codes')) {
+        return { rows: [{ remaining: recoveryCodes.filter(row => row.user_id === params[0] && !row.used_at).length }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+/**
+ * TOTP code (RFC 6238, SHA-1, 6 digits, 30 s) of a base32 secret
+ */
+function totp(secret, time = Date.now()) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = '';
+    for (const char of secret) {
+        bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+    }
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(time / 30000)));
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+function createApp() {
+    const app = express();
+    app.use(express.json());
+    app.post('/api/auth/login', auth.login);
+    app.post('/api/auth/2fa/verify', auth.verifyTwoFactor);
+    app.use('/api', twoFactorApi);
+    app.use('/api', userManagementApi);
+    return app;
+}
+
+const login = (app, username) => request(app).post('/api/auth/login').send({ username, password: PASSWORD });
+
+describe('Two-factor authentication', () => {
+    const app = createApp();
+    let passwordHash;
+
+    beforeAll(async () => {
+        passwordHash = await auth.hashPassword(PASSWORD);
+    });
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        const base = {
+            password_hash: passwordHash,
+            is_active: true,
+            two_factor_secret: null,
+            two_factor_pending_secret: null,
+            two_factor_enabled: false,
+            two_factor_last_step: null
+        };
+        users = [
+            { ...base, id: 1, username: 'alice', name: 'Alice', email: 'alice@example.com', role: 'user' },
+            { ...base, id: 2, username: 'root', name: 'Root', email: 'root@example.com', role: 'admin' }
+        ];
+        recoveryCodes = [];
+        additionalRoles = {};
+        roleService.invalidateCache();
+        database.query.mockImplementation(async (sql, params) => handleQuery(sql, params));
+    });
+
+    /**
+     * Enrolls alice via the settings API and returns secret and recovery codes
+     */
+    async function enrollAlice() {
+        const alice = authHeader({ userId: 1, username: 'alice', role: 'user' });
+        const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', alice);
+        const { secret } = setup.body.data;
+
+        const enable = await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Authorization', alice)
+            .send({ code: totp(secret) });
+        expect(enable.status).toBe(200);
+
+        return { secret, codes: enable.body.data.recoveryCodes };
+    }
+
+    it('logs in without second factor when 2FA is neither enabled nor required', async () => {
+        const res = await login(app, 'alice');
+
+        expect(res.status).toBe(200);
+        expect(res.body.token).toBeDefined();
+    });
+
+    it('requires the code after enrollment and rejects a replayed code', async () => {
+        const { secret } = await enrollAlice();
+
+        // Next time step: the enrollment code was consumed
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 30000);
+        const code = totp(secret);
+
+        const first = await login(app, 'alice');
+        expect(first.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+        expect(first.body.token).toBeUndefined();
+
+        const verified = await request(app)
+            .post('/api/auth/2fa/verify')
+            .send({ challengeToken: first.body.challengeToken, code });
+        expect(verified.status).toBe(200);
+        expect(verified.body.token).toBeDefined();
+
+        const second = await login(app, 'alice');
+        const replay = await request(app)
+            .post('/api/auth/2fa/verify')
+            .send({ challengeToken: second.body.challengeToken, code });
+        expect(replay.status).toBe(401);
+        expect(replay.body.code).toBe('TWO_FACTOR_INVALID_CODE');
+    });
+
+    it('locks a challenge after five wrong codes', async () => {
+        const { secret } = await enrollAlice();
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 30000);
+
+        const { challengeToken } = (await login(app, 'alice')).body;
+        const wrong = String((Number(totp(secret)) + 1) % 1000000).padStart(6, '0');
+
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const res = await request(app).post('/api/auth/2fa/verify').send({ challengeToken, code: wrong });
+            expect(res.status).toBe(401);
+        }
+
+        const locked = await request(app).post('/api/auth/2fa/verify').send({ challengeToken, code: totp(secret) });
+        expect(locked.status).toBe(429);
+        expect(locked.body.code).toBe('TWO_FACTOR_TOO_MANY_ATTEMPTS');
+    });
+
+    it('accepts each recovery code once', async () => {
+        const { codes } = await enrollAlice();
+        expect(codes).toHaveLength(10);
+
+        const first = await login(app, 'alice');
+        const used = await request(app)
+            .post('/api/auth/2fa/verify')
+            .send({ challengeToken: first.body.challengeToken, code: codes[0].toLowerCase() });
+        expect(used.status).toBe(200);
+
+        const second = await login(app, 'alice');
+        const reused = await request(app)
+            .post('/api/auth/2fa/verify')
+            .send({ challengeToken: second.body.challengeToken, code: codes[0] });
+        expect(reused.status).toBe(401);
+
+        const status = await request(app)
+            .get('/api/auth/2fa/status')
+            .set('Authorization', authHeader({ userId: 1, username: 'alice', role: 'user' }));
+        expect(status.body.data.recovery_codes_remaining).toBe(9);
+    });
+
+    it('forces enforced roles to enroll during login', async () => {
+        const res = await login(app, 'root');
+        expect(res.body).toEqual({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+
+        const { challengeToken } = res.body;
+
+        // The setup challenge is no access token
+        const misuse = await request(app).get('/api/auth/2fa/status').set('Authorization', `Bearer ${challengeToken}`);
+        expect(misuse.status).toBe(403);
+
+        const setup = await request(app).post('/api/auth/2fa/setup').send({ challengeToken });
+        expect(setup.status).toBe(200);
+
+        const enable = await request(app)
+            .post('/api/auth/2fa/enable')
+            .send({ challengeToken, code: totp(setup.body.data.secret) });
+        expect(enable.status).toBe(200);
+        expect(enable.body.token).toBeDefined();
+        expect(enable.body.recoveryCodes).toHaveLength(10);
+        expect(users[1].two_factor_enabled).toBe(true);
+
+        // Enforced roles cannot switch 2FA off themselves
+        const disable = await request(app)
+            .post('/api/auth/2fa/disable')
+            .set('Authorization', `Bearer ${enable.body.token}`)
+            .send({ code: enable.body.recoveryCodes[0] });
+        expect(disable.status).toBe(403);
+    });
+
+    it('enforces 2FA for an additional role, not only the primary role', async () => {
+        additionalRoles[1] = ['admin'];
+
+        const res = await login(app, 'alice');
+        expect(res.body).toEqual({ twoFactorSetupRequired: true, challengeToken: expect.any(String) });
+
+        const status = await request(app)
+            .get('/api/auth/2fa/status')
+            .set('Authorization', authHeader({ userId: 1, username: 'alice', role: 'user' }));
+        expect(status.body.data.required).toBe(true);
+    });
+
+    it('lets administrators reset the 2FA of a user', async () => {
+        await enrollAlice();
+
+        const denied = await request(app)
+            .post('/api/admin/users/1/2fa/reset')
+            .set('Authorization', authHeader({ userId: 1, username: 'alice', role: 'user' }));
+        expect(denied.status).toBe(403);
+        expect(users[0].two_factor_enabled).toBe(true);
+
+        const reset = await request(app)
+            .post('/api/admin/users/1/2fa/reset')
+            .set('Authorization', authHeader({ userId: 2, username: 'root', role: 'admin' }));
+        expect(reset.status).toBe(200);
+        expect(users[0].two_factor_enabled).toBe(false);
+        expect(recoveryCodes).toHaveLength(0);
+
+        const res = await login(app, 'alice');
+        expect(res.body.token).toBeDefined();
+
+        const missing = await request(app)
+            .post('/api/admin/users/99/2fa/reset')
+            .set('Authorization', authHeader({ userId: 2, username: 'root', role: 'admin' }));
+        expect(missing.status).toBe(404);
+    });
+});
@@ -0,0 +1,256 @@
+jest.mock('../core/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../core/database', () => ({ query: jest.fn(), pool: null }));
+jest.mock('../core/driveQuotaService', () => ({
+    checkUpload: jest.fn(),
+    checkSoftLimits: jest.fn()
+}));
+jest.mock('../core/notificationService', () => ({}));
+jest.mock('../core/groupService', () => ({}));
+
+const crypto = require('crypto');
+const request = require('supertest');
+const pool = require('../core/db');
+const database = require('../core/database');
+const driveService = require('../core/driveService');
+const webdavApi = require('../core/webdavApi');
+const { createApp } = require('./helpers');
+
+const ALICE_APP_PASSWORD = 'abcde-fghij-kmnpq-rstuv-wxyz2';
+const BOB_APP_PASSWORD = 'bbbbb-ccccc-ddddd-eeeee-fffff';
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+let folders;
+let files;
+let versions;
+let locks;
+
+// "<userId>:<folderId>" -> permission of a share
+const shares = {
+    '1:1': 'read',
+    '2:2': 'write'
+};
+
+const appPasswords = [
+    { hash: sha256(ALICE_APP_PASSWORD.replace(/-/g, '')), user: { id: 1, username: 'alice', role: 'user' } },
+    { hash: sha256(BOB_APP_PASSWORD.replace(/-/g, '')), user: { id: 2, username: 'bob', role: 'user' } }
+];
+
+function hasFolderAccess(userId, folderId, permission) {
+    const folder = folders.find(f => f.id === folderId);
+    if (!folder) {
+        return false;
+    }
+    if (folder.owner_id === userId) {
+        return true;
+    }
+    const share = shares[`${userId}:${folderId}`];
+    return permission === 'read' ? Boolean(share) : share === 'write';
+}
+
+function hasFileAccess(userId, fileId, permission) {
+    const file = files.find(f => f.id === fileId);
+    return file.uploaded_by === userId || hasFolderAccess(userId, file.folder_id, permission);
+}
+
+/**
+ * In-memory drive tables (folders without nesting), drive_locks and app_passwords
+ */
+function handleQuery(sql, params = []) {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) {
+        return { rows: [] };
+    }
+    if (sql.includes('FROM app_passwords ap')) {
+        const entry = appPasswords.find(ap => ap.hash === params[0]);
+        return { rows: entry ? [{ app_password_id: entry.user.id, last_used_at: new Date(), ...entry.user }] : [] };
+    }
+    if (sql.includes('user_has_drive_folder_access($1, $2, $3)')) {
+        return { rows: [{ has_access: hasFolderAccess(...params) }] };
+    }
+    if (sql.includes('user_has_drive_file_access($1, $2, $3)')) {
+        return { rows: [{ has_access: hasFileAccess(...params) }] };
+    }
+    if (sql.includes('FROM drive_folders f') && sql.includes('LOWER(f.name) = LOWER($2)')) {
+        const [parentId, name, userId] = params;
+        return {
+            rows: folders.filter(f => f.parent_id === parentId && f.name.toLowerCase() === name.toLowerCase()
+                && hasFolderAccess(userId, f.id, 'read'))
+        };
+    }
+    if (sql.includes('FROM drive_files f') && sql.includes('LOWER(f.name) = LOWER($2)')) {
+        const [folderId, name, userId] = params;
+        return {
+            rows: files.filter(f => f.folder_id === folderId && f.name.toLowerCase() === name.toLowerCase()
+                && hasFileAccess(userId, f.id, 'read'))
+        };
+    }
+    if (sql.startsWith('SELECT * FROM drive_files WHERE id = $1')) {
+        return { rows: files.filter(f => f.id === params[0]).map(f => ({ ...f })) };
+    }
+    if (sql.includes('INSERT INTO drive_file_versions')) {
+        const [fileId, version, filePath, fileHash] = params;
+        versions.push({ file_id: fileId, version, file_path: filePath, file_hash: fileHash });
+        return { rows: [] };
+    }
+    if (sql.includes('UPDATE drive_files') && sql.includes('version = version + 1')) {
+        const file = files.find(f => f.id === params[0]);
+        Object.assign(file, { file_path: params[1], file_hash: params[2], file_size_bytes: params[3], version: file.version + 1 });
+        return { rows: [{ ...file }] };
+    }
+    if (sql.includes('UPDATE drive_folders') || sql.startsWith('DELETE FROM drive_locks WHERE expires_at')) {
+        return { rows: [] };
+    }
+    if (sql.includes('FROM drive_locks') && sql.includes('file_id = $1 OR')) {
+        const [fileId, folderId] = params;
+        return { rows: locks.filter(l => l.file_id === fileId || (l.depth === 'infinity' && l.folder_id === folderId && folderId !== null)) };
+    }
+    if (sql.includes('FROM drive_locks') && sql.includes('drive_folder_ancestors($1)')) {
+        return { rows: locks.filter(l => l.folder_id === params[0]) };
+    }
+    if (sql.includes('INSERT INTO drive_locks')) {
+        const [token, fileId, folderId, userId, scope, depth, owner, timeout] = params;
+        const lock = { token, file_id: fileId, folder_id: folderId, user_id: userId, scope, depth, owner, timeout };
+        locks.push(lock);
+        return { rows: [lock] };
+    }
+    if (sql.startsWith('DELETE FROM drive_locks WHERE token = $1')) {
+        locks = locks.filter(l => l.token !== params[0]);
+        return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+const basic = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+const asAlice = basic('alice', ALICE_APP_PASSWORD);
+const asBob = basic('bob', BOB_APP_PASSWORD);
+
+const LOCKINFO = '<?xml version="1.0" encoding="utf-8"?>'
+    + '<D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope>'
+    + '<D:locktype><D:write/></D:locktype><D:owner>alice</D:owner></D:lockinfo>';
+
+describe('webdavApi', () => {
+    const app = createApp(webdavApi, '/dav/drive');
+
+    const put = (path, auth, content, headers = {}) => request(app)
+        .put(`/dav/drive${path}`)
+        .set('Authorization', auth)
+        .set({ 'Content-Type': 'text/plain', ...headers })
+        .send(content);
+
+    beforeEach(() => {
+        const file = (id, name, folderId, uploadedBy) => ({
+            id, name, folder_id: folderId, uploaded_by: uploadedBy, version: 1, mime_type: 'text/plain',
+            file_path: `blob/${id}`, file_hash: sha256(name), file_size_bytes: 4,
+            created_at: new Date(), updated_at: new Date(), deleted_at: null
+        });
+
+        folders = [
+            { id: 1, name: 'Team', parent_id: null, owner_id: 2, updated_at: new Date() },
+            { id: 2, name: 'Project', parent_id: null, owner_id: 1, updated_at: new Date() }
+        ];
+        files = [
+            file(10, 'report.txt', 1, 2),
+            file(11, 'notes.txt', null, 1),
+            file(12, 'plan.txt', 2, 1)
+        ];
+        versions = [];
+        locks = [];
+
+        jest.restoreAllMocks();
+        const query = async (sql, params) => handleQuery(sql.trim(), params);
+        pool.query.mockImplementation(query);
+        pool.connect.mockResolvedValue({ query: jest.fn(query), release: () => {} });
+        database.query.mockImplementation(query);
+        jest.spyOn(driveService, '_storeBlob').mockImplementation(async (client, buffer) => ({
+            storagePath: `blob/${sha256(buffer)}`,
+            fileHash: sha256(buffer)
+        }));
+    });
+
+    describe('authentication', () => {
+        it('accepts the app password', async () => {
+            const res = await request(app).head('/dav/drive/notes.txt').set('Authorization', asAlice);
+
+            expect(res.status).toBe(200);
+        });
+
+        it('rejects the account password and requests Basic auth', async () => {
+            const res = await request(app).head('/dav/drive/notes.txt').set('Authorization', basic('alice', 'secret'));
+
+            expect(res.status).toBe(401);
+            expect(res.headers['www-authenticate']).toMatch(/^Basic realm=/);
+        });
+
+        it('rejects an app password of another user', async () => {
+            const res = await request(app).head('/dav/drive/notes.txt').set('Authorization', basic('alice', BOB_APP_PASSWORD));
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('PUT', () => {
+        it('keeps the previous content as a version when overwriting a file', async () => {
+            const res = await put('/notes.txt', asAlice, 'new content');
+
+            expect(res.status).toBe(204);
+            expect(versions).toEqual([{ file_id: 11, version: 1, file_path: 'blob/11', file_hash: sha256('notes.txt') }]);
+            expect(files[1]).toMatchObject({ version: 2, file_hash: sha256('new content') });
+        });
+
+        it('refuses writes to a folder shared read-only with 403', async () => {
+            const overwrite = await put('/Team/report.txt', asAlice, 'changed');
+            const create = await put('/Team/new.txt', asAlice, 'created');
+
+            expect(overwrite.status).toBe(403);
+            expect(create.status).toBe(403);
+            expect(files).toHaveLength(3);
+            expect(files[0].version).toBe(1);
+            expect(versions).toHaveLength(0);
+        });
+    });
+
+    describe('LOCK and UNLOCK', () => {
+        async function lock(path) {
+            const res = await request(app)
+                .lock(`/dav/drive${path}`)
+                .set('Authorization', asAlice)
+                .set({ 'Content-Type': 'application/xml', Timeout: 'Second-600' })
+                .send(LOCKINFO);
+
+            expect(res.status).toBe(200);
+            return res.headers['lock-token'].slice(1, -1);
+        }
+
+        it('returns the lock token and blocks other users until it is submitted', async () => {
+            const token = await lock('/Project/plan.txt');
+
+            expect(token).toMatch(/^urn:uuid:/);
+            expect(locks).toEqual([expect.objectContaining({ token, file_id: 12, user_id: 1, scope: 'exclusive' })]);
+
+            expect((await put('/Project/plan.txt', asBob, 'by bob')).status).toBe(423);
+            expect((await put('/Project/plan.txt', asBob, 'by bob', { If: `(<${token}>)` })).status).toBe(204);
+        });
+
+        it('only removes the lock with its token and by its owner', async () => {
+            const token = await lock('/Project/plan.txt');
+            const unlock = (auth, lockToken) => request(app)
+                .unlock('/dav/drive/Project/plan.txt')
+                .set('Authorization', auth)
+                .set('Lock-Token', `<${lockToken}>`);
+
+            expect((await unlock(asAlice, 'urn:uuid:00000000-0000-0000-0000-000000000000')).status).toBe(409);
+            expect((await unlock(asBob, token)).status).toBe(409);
+            expect(locks).toHaveLength(1);
+
+            expect((await unlock(asAlice, token)).status).toBe(204);
+            expect(locks).toHaveLength(0);
+            expect((await put('/Project/plan.txt', asBob, 'by bob')).status).toBe(204);
+        });
+
+        it('requires the Lock-Token header for UNLOCK', async () => {
+            const res = await request(app).unlock('/dav/drive/Project/plan.txt').set('Authorization', asAlice);
+
+            expect(res.status).toBe(400);
+        });
+    });
+});
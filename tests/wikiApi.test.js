@@ -0,0 +1,98 @@
+jest.mock('../core/database', () => {
+    const database = { query: jest.fn() };
+    database.pool = { connect: jest.fn(async () => ({ query: database.query, release: () => {} })) };
+    return database;
+});
+jest.mock('../core/ldapService', () => ({}));
+jest.mock('../core/sessionService', () => ({ isEnabled: () => false }));
+jest.mock('../core/driveService', () => ({}));
+
+const request = require('supertest');
+const database = require('../core/database');
+const wikiApi = require('../core/wikiApi');
+const { createApp, authHeader } = require('./helpers');
+
+const alice = { userId: 1, username: 'alice', role: 'editor' };
+const bob = { userId: 2, username: 'bob', role: 'editor' };
+
+// Single wiki_pages row with the lock columns used by lockPage, unlockPage and updatePage
+let page;
+
+function handleQuery(sql, params = []) {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) {
+        return { rows: [] };
+    }
+    if (/UPDATE wiki_pages SET\s+locked_at = CASE/.test(sql)) {
+        const [, userId] = params;
+        const free = page.locked_by === null || page.locked_by === userId || page.lock_expires_at <= new Date();
+        if (!free) {
+            return { rows: [] };
+        }
+        page.locked_by = userId;
+        page.locked_at = new Date();
+        page.lock_expires_at = new Date(Date.now() + 15 * 60 * 1000);
+        return { rows: [{ locked_by: page.locked_by, locked_at: page.locked_at, lock_expires_at: page.lock_expires_at }] };
+    }
+    if (/UPDATE wiki_pages SET locked_by = NULL/.test(sql)) {
+        const [, userId, force] = params;
+        if (page.locked_by !== null && page.locked_by !== userId && !force) {
+            return { rows: [] };
+        }
+        page.locked_by = null;
+        return { rows: [{ id: page.id }] };
+    }
+    if (/WITH RECURSIVE ancestors|FROM wiki_page_links/.test(sql)) {
+        return { rows: [] };
+    }
+    if (/FROM wiki_pages p[\s\S]*WHERE p\.id = \$1/.test(sql)) {
+        return { rows: [{ ...page, space_archived: false, locked_by_name: page.locked_by ? 'Alice' : null }] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+}
+
+describe('wikiApi page locks', () => {
+    const app = createApp(wikiApi);
+
+    beforeEach(() => {
+        page = {
+            id: 1, space_id: 1, title: 'Home', slug: 'home', content: '', parent_id: null, position: 0,
+            current_revision: 1, locked_by: null, locked_at: null, lock_expires_at: null
+        };
+        database.query.mockReset();
+        database.query.mockImplementation(async (sql, params) => handleQuery(sql, params));
+    });
+
+    it('locks the page for the authenticated user', async () => {
+        const res = await request(app).post('/api/wiki/pages/1/lock').set('Authorization', authHeader(alice));
+
+        expect(res.status).toBe(200);
+        expect(page.locked_by).toBe(alice.userId);
+    });
+
+    it('refuses a second user while the page is locked', async () => {
+        await request(app).post('/api/wiki/pages/1/lock').set('Authorization', authHeader(alice));
+
+        const lock = await request(app).post('/api/wiki/pages/1/lock').set('Authorization', authHeader(bob));
+        expect(lock.status).toBe(423);
+        expect(lock.body.lock.locked_by).toBe(alice.userId);
+
+        const edit = await request(app)
+            .put('/api/wiki/pages/1')
+            .set('Authorization', authHeader(bob))
+            .send({ content: 'Changed by bob' });
+        expect(edit.status).toBe(423);
+
+        const unlock = await request(app).delete('/api/wiki/pages/1/lock').set('Authorization', authHeader(bob));
+        expect(unlock.status).toBe(423);
+        expect(page.locked_by).toBe(alice.userId);
+    });
+
+    it('lets the lock holder release the lock', async () => {
+        await request(app).post('/api/wiki/pages/1/lock').set('Authorization', authHeader(alice));
+
+        const res = await request(app).delete('/api/wiki/pages/1/lock').set('Authorization', authHeader(alice));
+
+        expect(res.status).toBe(200);
+        expect(page.locked_by).toBeNull();
+    });
+});